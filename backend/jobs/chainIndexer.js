@@ -0,0 +1,72 @@
+const cron = require('node-cron');
+const chainIndexerService = require('../services/chainIndexerService');
+const logger = require('../utils/logger');
+
+/**
+ * Chain event indexer job
+ * Runs every minute to reconcile MongoDB with newly confirmed contract events.
+ * Checkpointing and reorg handling live in services/chainIndexerService.js.
+ */
+
+class ChainIndexerJob {
+  constructor() {
+    this.lastRun = null;
+    this.schedule = '* * * * *'; // Run every minute
+  }
+
+  /**
+   * Start the chain indexer job
+   */
+  start() {
+    logger.info('Starting chain indexer job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Index newly confirmed blocks
+   */
+  async run() {
+    const startTime = new Date();
+    const results = await chainIndexerService.sync();
+
+    if (results && (results.events > 0 || results.reorg)) {
+      logger.info('Chain indexer run completed:', {
+        duration: `${Date.now() - startTime}ms`,
+        ...results
+      });
+    }
+
+    this.lastRun = new Date();
+    return results;
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: chainIndexerService.isRunning,
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual chain indexer run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const chainIndexerJob = new ChainIndexerJob();
+
+module.exports = chainIndexerJob;
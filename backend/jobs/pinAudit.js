@@ -0,0 +1,82 @@
+const cron = require('node-cron');
+const pinAuditService = require('../services/pinAuditService');
+const logger = require('../utils/logger');
+
+/**
+ * Pin audit job
+ * Runs hourly to re-fetch and hash-check stored files whose last audit is older than
+ * PIN_AUDIT_INTERVAL_HOURS, re-pinning missing replicas from a healthy copy.
+ */
+
+class PinAuditJob {
+  constructor() {
+    this.lastRun = null;
+    this.schedule = '30 * * * *'; // Run hourly at half past
+  }
+
+  /**
+   * Start the pin audit job
+   */
+  start() {
+    logger.info('Starting pin audit job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Audit the next batch of due documents
+   */
+  async run() {
+    const startTime = new Date();
+
+    try {
+      const results = await pinAuditService.runAudit();
+
+      if (results?.documents > 0) {
+        logger.info('Pin audit completed:', {
+          duration: `${Date.now() - startTime}ms`,
+          ...results
+        });
+      }
+
+      this.lastRun = new Date();
+      return results;
+
+    } catch (error) {
+      logger.error('Pin audit job failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      ...pinAuditService.getStatus(),
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual pin audit run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const pinAuditJob = new PinAuditJob();
+
+module.exports = pinAuditJob;
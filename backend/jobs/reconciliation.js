@@ -0,0 +1,68 @@
+const cron = require('node-cron');
+const reconciliationService = require('../services/reconciliationService');
+const logger = require('../utils/logger');
+
+/**
+ * DB/chain reconciliation job
+ * Runs daily at 3 AM to compare Document records with DocumentRegistry.
+ * Admins review the resulting report and apply repairs from the admin dashboard.
+ */
+
+class ReconciliationJob {
+  constructor() {
+    this.lastRun = null;
+    this.schedule = '0 3 * * *'; // Run daily at 3 AM
+  }
+
+  /**
+   * Start the reconciliation job
+   */
+  start() {
+    logger.info('Starting reconciliation job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Compare every stored document with the chain
+   */
+  async run() {
+    try {
+      const report = await reconciliationService.run();
+      this.lastRun = new Date();
+      return report;
+    } catch (error) {
+      logger.error('Reconciliation job failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: reconciliationService.isRunning,
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual reconciliation run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const reconciliationJob = new ReconciliationJob();
+
+module.exports = reconciliationJob;
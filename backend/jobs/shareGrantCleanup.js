@@ -0,0 +1,142 @@
+const cron = require('node-cron');
+const Document = require('../models/Document');
+const { auditLogger } = require('../utils/auditLogger');
+const logger = require('../utils/logger');
+
+/**
+ * Share grant cleanup job
+ * Runs hourly to remove expired or exhausted document share grants.
+ * Access checks already ignore these grants; this keeps documents tidy.
+ */
+
+class ShareGrantCleanupJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.schedule = '15 * * * *'; // Run hourly at quarter past
+    this.revokedRetentionDays = 30; // Keep revoked grants for audit visibility
+  }
+
+  /**
+   * Start the share grant cleanup job
+   */
+  start() {
+    logger.info('Starting share grant cleanup job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Remove share grants that can no longer be used
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Share grant cleanup job is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      const revokedCutoff = new Date(
+        startTime.getTime() - this.revokedRetentionDays * 24 * 60 * 60 * 1000
+      );
+
+      // Candidate documents: any grant past expiry, revoked before the cutoff,
+      // or with a view limit (exhaustion is checked per grant below)
+      const documents = await Document.find({
+        $or: [
+          { 'access.shareGrants.expiresAt': { $lte: startTime } },
+          { 'access.shareGrants.revokedAt': { $lte: revokedCutoff } },
+          { 'access.shareGrants.maxViews': { $ne: null } }
+        ]
+      });
+
+      let documentsUpdated = 0;
+      let grantsRemoved = 0;
+
+      for (const document of documents) {
+        const removed = document.pruneShareGrants(revokedCutoff);
+        if (removed > 0) {
+          await document.save();
+          documentsUpdated++;
+          grantsRemoved += removed;
+        }
+      }
+
+      const results = {
+        documentsScanned: documents.length,
+        documentsUpdated,
+        grantsRemoved
+      };
+
+      logger.info('Share grant cleanup completed:', {
+        duration: `${Date.now() - startTime}ms`,
+        ...results
+      });
+
+      if (grantsRemoved > 0) {
+        await auditLogger.logSystemEvent(
+          'system_maintenance',
+          'Expired document share grants removed',
+          'success',
+          { jobType: 'share_grant_cleanup', results }
+        );
+      }
+
+      this.lastRun = new Date();
+      return results;
+
+    } catch (error) {
+      logger.error('Share grant cleanup job failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      await auditLogger.logSystemEvent(
+        'system_maintenance',
+        'Share grant cleanup failed',
+        'failure',
+        {
+          jobType: 'share_grant_cleanup',
+          error: error.message
+        }
+      ).catch(() => {});
+
+      return null;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual share grant cleanup triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const shareGrantCleanupJob = new ShareGrantCleanupJob();
+
+module.exports = shareGrantCleanupJob;
@@ -0,0 +1,82 @@
+const cron = require('node-cron');
+const storageMigrationService = require('../services/storageMigrationService');
+const logger = require('../utils/logger');
+
+/**
+ * Storage migration job
+ * Runs every 10 minutes to move files from local fallback storage to IPFS once a
+ * remote provider is healthy again
+ */
+
+class StorageMigrationJob {
+  constructor() {
+    this.lastRun = null;
+    this.schedule = '*/10 * * * *'; // Run every 10 minutes
+  }
+
+  /**
+   * Start the storage migration job
+   */
+  start() {
+    logger.info('Starting storage migration job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Migrate the next batch of locally stored documents
+   */
+  async run() {
+    const startTime = new Date();
+
+    try {
+      const results = await storageMigrationService.runMigration();
+
+      if (results && (results.migrated > 0 || results.failed > 0)) {
+        logger.info('Storage migration completed:', {
+          duration: `${Date.now() - startTime}ms`,
+          ...results
+        });
+      }
+
+      this.lastRun = new Date();
+      return results;
+
+    } catch (error) {
+      logger.error('Storage migration job failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  async getStatus() {
+    return {
+      ...await storageMigrationService.getStatus(),
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual storage migration run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const storageMigrationJob = new StorageMigrationJob();
+
+module.exports = storageMigrationJob;
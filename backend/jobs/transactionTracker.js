@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const transactionTrackerService = require('../services/transactionTrackerService');
+const logger = require('../utils/logger');
+
+/**
+ * Pending transaction tracker job
+ * Runs every minute to poll receipts for transactions the backend sent, replace stuck
+ * ones with higher fees and settle the documents they register.
+ */
+
+class TransactionTrackerJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.schedule = '* * * * *'; // Run every minute
+    this.batchSize = 100;
+  }
+
+  /**
+   * Start the transaction tracker job
+   */
+  start() {
+    logger.info('Starting transaction tracker job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Check pending transactions
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Transaction tracker job is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      const results = await transactionTrackerService.processPending(this.batchSize);
+
+      if (results.checked > 0) {
+        logger.info('Pending transactions checked:', {
+          duration: `${Date.now() - startTime}ms`,
+          ...results
+        });
+      }
+
+      this.lastRun = new Date();
+      return results;
+
+    } catch (error) {
+      logger.error('Transaction tracker job failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual transaction tracker run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const transactionTrackerJob = new TransactionTrackerJob();
+
+module.exports = transactionTrackerJob;
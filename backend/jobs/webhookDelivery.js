@@ -0,0 +1,93 @@
+const cron = require('node-cron');
+const webhookService = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+/**
+ * Webhook delivery retry job
+ * Runs every minute to retry webhook deliveries whose backoff has elapsed.
+ * First attempts are made as soon as an event is emitted; this only handles retries.
+ */
+
+class WebhookDeliveryJob {
+  constructor() {
+    this.isRunning = false;
+    this.lastRun = null;
+    this.schedule = '* * * * *'; // Run every minute
+    this.batchSize = 100;
+  }
+
+  /**
+   * Start the webhook delivery job
+   */
+  start() {
+    logger.info('Starting webhook delivery job with schedule:', this.schedule);
+
+    cron.schedule(this.schedule, async () => {
+      await this.run();
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+  }
+
+  /**
+   * Retry due webhook deliveries
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn('Webhook delivery job is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const startTime = new Date();
+
+    try {
+      const results = await webhookService.processDueDeliveries(this.batchSize);
+
+      if (results.attempted > 0) {
+        logger.info('Webhook delivery retries completed:', {
+          duration: `${Date.now() - startTime}ms`,
+          ...results
+        });
+      }
+
+      this.lastRun = new Date();
+      return results;
+
+    } catch (error) {
+      logger.error('Webhook delivery job failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+      return null;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      schedule: this.schedule
+    };
+  }
+
+  /**
+   * Manual run for testing/admin purposes
+   */
+  async manualRun() {
+    logger.info('Manual webhook delivery run triggered');
+    return this.run();
+  }
+}
+
+// Create singleton instance
+const webhookDeliveryJob = new WebhookDeliveryJob();
+
+module.exports = webhookDeliveryJob;
@@ -1,26 +1,57 @@
 const jwt = require('jsonwebtoken');
 const { ethers } = require('ethers');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const { validateRateLimit } = require('../utils/validation');
 const logger = require('../utils/logger');
 
-// Generate JWT token
-const generateToken = (userId, walletAddress) => {
+// Generate a short-lived access token for a session (see sessionService); clients keep
+// it fresh with the session's refresh token
+const generateToken = (userId, walletAddress, sessionId) => {
   return jwt.sign(
     { 
       userId, 
       walletAddress: walletAddress.toLowerCase(),
+      sid: sessionId,
       // Add timestamp to ensure unique tokens even within same second
       timestamp: Date.now()
     },
     process.env.JWT_SECRET,
     { 
-      expiresIn: process.env.JWT_EXPIRE || '7d',
+      expiresIn: process.env.JWT_EXPIRE || '15m',
       issuer: 'blockchain-document-system',
       audience: 'blockchain-document-users'
     }
   );
 };
 
+// Generate signed token for an anonymous share link
+const generateShareToken = (linkId, documentHash, expiresAt) => {
+  return jwt.sign(
+    { linkId, documentHash },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: Math.max(Math.floor((expiresAt.getTime() - Date.now()) / 1000), 1),
+      issuer: 'blockchain-document-system',
+      audience: 'blockchain-document-share'
+    }
+  );
+};
+
+// Verify share link token; returns the decoded payload or null
+const verifyShareToken = (token) => {
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: 'blockchain-document-system',
+      audience: 'blockchain-document-share'
+    });
+  } catch (error) {
+    logger.warn('Share token verification failed:', { error: error.message });
+    return null;
+  }
+};
+
 // Verify wallet signature
 const verifySignature = (message, signature, walletAddress) => {
   try {
@@ -32,7 +63,38 @@ const verifySignature = (message, signature, walletAddress) => {
   }
 };
 
-// Generate message for signing
+// Chain IDs of the networks ETHEREUM_NETWORK can name
+const NETWORK_CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  holesky: 17000,
+  polygon: 137,
+  amoy: 80002,
+  mumbai: 80001,
+  localhost: 31337,
+  hardhat: 31337
+};
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// What Sign-In with Ethereum messages must be bound to. Domains default to the host of
+// FRONTEND_URL and chains to ETHEREUM_NETWORK. Messages in the older free-text format
+// (generateSignMessage) are accepted until SIWE_ALLOW_LEGACY is set to false.
+const getSiweConfig = () => {
+  const chainIds = parseList(process.env.SIWE_CHAIN_IDS).map(Number);
+  return {
+    domains: parseList(process.env.SIWE_DOMAINS).length
+      ? parseList(process.env.SIWE_DOMAINS)
+      : [new URL(process.env.FRONTEND_URL || 'http://localhost:3000').host],
+    chainIds: chainIds.length
+      ? chainIds
+      : [NETWORK_CHAIN_IDS[process.env.ETHEREUM_NETWORK || 'localhost'] || NETWORK_CHAIN_IDS.localhost],
+    allowLegacy: process.env.SIWE_ALLOW_LEGACY !== 'false',
+    nonceTtlMs: (parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10) * 60 * 1000
+  };
+};
+
+// Generate message for signing (legacy format, superseded by Sign-In with Ethereum)
 const generateSignMessage = (walletAddress, nonce, timestamp) => {
   return `Welcome to Blockchain Document Verification System!\n\n` +
          `Please sign this message to authenticate your wallet.\n\n` +
@@ -42,6 +104,34 @@ const generateSignMessage = (walletAddress, nonce, timestamp) => {
          `This request will not trigger a blockchain transaction or cost any gas fees.`;
 };
 
+// Check that a legacy sign-in message is the one /nonce issued for this wallet and nonce,
+// and that it is recent, so an old signature cannot be replayed with a fresh nonce.
+// Returns the reason the message is rejected, or null.
+const validateLegacyMessage = (message, { walletAddress, nonce, maxAgeMs, now = Date.now() }) => {
+  const wallet = /\nWallet: (0x[a-fA-F0-9]{40})\n/.exec(message)?.[1];
+  const timestamp = Number(/\nTimestamp: (\d+)\n/.exec(message)?.[1]);
+  if (!wallet || wallet.toLowerCase() !== walletAddress.toLowerCase()) {
+    return 'Message is not for this wallet';
+  }
+  if (!timestamp || message !== generateSignMessage(wallet, nonce, timestamp)) {
+    return 'Message does not carry the current nonce';
+  }
+  if (timestamp > now || now - timestamp > maxAgeMs) {
+    return 'Message has expired';
+  }
+  return null;
+};
+
+// Generate message the current owner signs to authorize a document ownership transfer
+const generateTransferMessage = (documentHash, currentOwner, newOwner, timestamp) => {
+  return `Blockchain Document Verification System - Ownership Transfer\n\n` +
+         `I authorize the transfer of this document to a new owner.\n\n` +
+         `Document: ${documentHash}\n` +
+         `Current Owner: ${currentOwner.toLowerCase()}\n` +
+         `New Owner: ${newOwner.toLowerCase()}\n` +
+         `Timestamp: ${timestamp}`;
+};
+
 // Middleware to authenticate JWT token
 const authenticateToken = async (req, res, next) => {
   try {
@@ -66,8 +156,21 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Revocation: the wallet was signed out everywhere after this token was issued, or the
+    // token's session was revoked. Tokens without a session predate refresh tokens.
+    const revokedBefore = user.session.revokedBefore;
+    const sessionRevoked = (revokedBefore && decoded.iat * 1000 < revokedBefore.getTime()) ||
+      (decoded.sid && !await sessionService.getActiveSession(decoded.sid, user._id));
+    if (sessionRevoked) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session revoked'
+      });
+    }
+
     req.user = user;
     req.walletAddress = decoded.walletAddress;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
@@ -94,6 +197,98 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Requests with an invalid API key are limited per IP, so keys cannot be guessed
+const invalidApiKeyLimiter = validateRateLimit(15 * 60 * 1000, 20);
+
+// Authenticate the request's X-API-Key header once; identifyApiKey and authenticateApiKey
+// share the result
+const resolveApiKey = (req) => {
+  if (!req.apiKeyAuthentication) {
+    req.apiKeyAuthentication = apiKeyService.authenticate(req.get('x-api-key'));
+  }
+  return req.apiKeyAuthentication;
+};
+
+// Middleware run ahead of the global IP rate limiter, so it can tell working API keys
+// from made-up ones. A working key becomes req.verifiedApiKey; failures are answered by
+// authenticateApiKey on the routes that accept keys.
+const identifyApiKey = async (req, res, next) => {
+  if (req.get('x-api-key')) {
+    try {
+      const { apiKey } = await resolveApiKey(req);
+      req.verifiedApiKey = apiKey || null;
+    } catch (error) {
+      logger.error('API key authentication error:', { error: error.message });
+    }
+  }
+  next();
+};
+
+// Requests allowed per IP in a rate limit window. Requests with a working API key get
+// at least the key's own allowance for the window, so the key's limit is the one that
+// applies; made-up keys get the normal limit.
+const ipRateLimit = (windowMs, max) => (req) => {
+  const perMinute = req.verifiedApiKey?.rateLimit?.perMinute;
+  return perMinute ? Math.max(max, Math.ceil(perMinute * windowMs / (60 * 1000))) : max;
+};
+
+// Middleware to authenticate a verifier API key (X-API-Key header) that has the given
+// scope. The key's owner becomes req.user and the key req.apiKey. Requests without a key
+// go on to `fallback` (e.g. authenticateToken), or through unauthenticated if there is none.
+const authenticateApiKey = (scope, fallback) => {
+  return async (req, res, next) => {
+    const key = req.get('x-api-key');
+    if (!key) {
+      return fallback ? fallback(req, res, next) : next();
+    }
+
+    try {
+      const { apiKey, owner, status, error } = await resolveApiKey(req);
+      if (error) {
+        logger.warn('API key authentication failed:', { error, ip: req.ip, endpoint: req.originalUrl });
+        return invalidApiKeyLimiter(req, res, () => res.status(status).json({
+          success: false,
+          error
+        }));
+      }
+
+      if (!apiKey.hasScope(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key does not have the '${scope}' scope`
+        });
+      }
+
+      const limit = apiKeyService.consume(apiKey);
+      res.set({
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
+        'X-RateLimit-Reset': String(Math.ceil(limit.resetAt / 1000))
+      });
+      await apiKeyService.recordUsage(apiKey, req.ip, !limit.allowed);
+
+      if (!limit.allowed) {
+        res.set('Retry-After', String(Math.max(Math.ceil((limit.resetAt - Date.now()) / 1000), 1)));
+        return res.status(429).json({
+          success: false,
+          error: 'API key rate limit exceeded'
+        });
+      }
+
+      req.user = owner;
+      req.walletAddress = owner.walletAddress;
+      req.apiKey = apiKey;
+      next();
+    } catch (error) {
+      logger.error('API key authentication error:', { error: error.message });
+      return res.status(500).json({
+        success: false,
+        error: 'Authentication error'
+      });
+    }
+  };
+};
+
 // Middleware to check user role
 const requireRole = (roles) => {
   return (req, res, next) => {
@@ -202,8 +397,16 @@ const logAuthEvent = (event) => {
 module.exports = {
   generateToken,
   verifySignature,
+  getSiweConfig,
   generateSignMessage,
+  validateLegacyMessage,
+  generateTransferMessage,
+  generateShareToken,
+  verifyShareToken,
   authenticateToken,
+  authenticateApiKey,
+  identifyApiKey,
+  ipRateLimit,
   requireRole,
   requirePermission,
   validateWalletAddress,
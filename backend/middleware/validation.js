@@ -393,9 +393,12 @@ function securityValidation(options = {}) {
   
   const middlewares = [];
   
-  // Rate limiting should be first
+  // Rate limiting should be first. rateLimitOptions.skip(req) exempts requests that are
+  // limited elsewhere.
   if (enableRateLimit) {
-    middlewares.push(validateRateLimit(rateLimitOptions.windowMs, rateLimitOptions.max));
+    const limiter = validateRateLimit(rateLimitOptions.windowMs, rateLimitOptions.max);
+    const { skip } = rateLimitOptions;
+    middlewares.push(skip ? (req, res, next) => (skip(req) ? next() : limiter(req, res, next)) : limiter);
   }
   
   // Security checks should run BEFORE sanitization to detect attacks
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Channel types with a notifier in services/alertNotificationService.js
+const ALERT_CHANNEL_TYPES = ['email', 'webhook', 'slack'];
+
+const ALERT_SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+const alertChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ALERT_CHANNEL_TYPES
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  // Routing rule: the channel receives alerts of these severities...
+  severities: {
+    type: [{
+      type: String,
+      enum: ALERT_SEVERITIES
+    }],
+    default: ['high', 'critical'],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'At least one severity is required'
+    }
+  },
+  // ...optionally narrowed to these alert types (empty means every type)
+  alertTypes: {
+    type: [String],
+    default: []
+  },
+  config: {
+    recipients: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: function(v) {
+          return v.every(address => validator.isEmail(address));
+        },
+        message: 'Invalid email recipient'
+      }
+    },
+    url: {
+      type: String,
+      trim: true,
+      validate: {
+        validator: function(v) {
+          return !v || validator.isURL(v, { protocols: ['http', 'https'], require_protocol: true, require_tld: false });
+        },
+        message: 'Invalid webhook URL'
+      }
+    },
+    // Shared HMAC secret for generic webhooks; never returned by the API
+    secret: {
+      type: String,
+      select: false
+    }
+  },
+  createdBy: {
+    type: String,
+    lowercase: true
+  },
+  lastDeliveryAt: {
+    type: Date
+  },
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['sent', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+alertChannelSchema.index({ enabled: 1, severities: 1 });
+
+// Each channel type needs its own destination
+alertChannelSchema.pre('validate', function(next) {
+  if (this.type === 'email' && this.config.recipients.length === 0) {
+    this.invalidate('config.recipients', 'Email channels need at least one recipient');
+  }
+  if ((this.type === 'webhook' || this.type === 'slack') && !this.config.url) {
+    this.invalidate('config.url', 'Webhook channels need a URL');
+  }
+  next();
+});
+
+// Static method to find the enabled channels an alert is routed to
+alertChannelSchema.statics.findForAlert = function(alert) {
+  return this.find({
+    enabled: true,
+    severities: alert.severity,
+    $or: [
+      { alertTypes: { $size: 0 } },
+      { alertTypes: alert.alertType }
+    ]
+  }).select('+config.secret');
+};
+
+// Method to get the channel without its secret
+alertChannelSchema.methods.toSafeJSON = function() {
+  const channel = this.toObject();
+  const hasSecret = !!channel.config?.secret;
+  delete channel.config?.secret;
+  delete channel.__v;
+  return { ...channel, config: { ...channel.config, hasSecret } };
+};
+
+module.exports = mongoose.model('AlertChannel', alertChannelSchema);
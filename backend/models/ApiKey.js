@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// What a key may be used for: `verify` calls the verification endpoints, `read-audit`
+// reads the verification history of the key owner
+const API_KEY_SCOPES = ['verify', 'read-audit'];
+
+// Keys look like "dvk_<keyId>_<secret>"; the keyId is public and identifies the key in
+// logs and usage reports
+const KEY_PREFIX = 'dvk';
+
+/**
+ * An API key for server-to-server verifier integrations. Only a hash of the secret is
+ * stored; the full key is shown once, when it is created or rotated. Rotating creates a
+ * new key and lets the old one keep working until the end of a grace period.
+ */
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(8).toString('hex')
+  },
+  // SHA-256 of the full key
+  secretHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  ownerWallet: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  // Verifier organization the key was issued to, from the owner's profile
+  organization: {
+    type: String,
+    trim: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: API_KEY_SCOPES
+    }],
+    validate: {
+      validator: scopes => scopes.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  rateLimit: {
+    perMinute: {
+      type: Number,
+      default: 60,
+      min: 1
+    },
+    perDay: {
+      type: Number,
+      default: 10000,
+      min: 1
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+    index: true
+  },
+  // Set for keys created with an expiry and for rotated-out keys (end of the grace period)
+  expiresAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: String,
+    lowercase: true
+  },
+  rotatedFrom: String,
+  replacedBy: String,
+  usage: {
+    totalRequests: {
+      type: Number,
+      default: 0
+    },
+    rateLimitedRequests: {
+      type: Number,
+      default: 0
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ owner: 1, status: 1 });
+
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Static method to split a presented key into its keyId, or null if it is malformed
+apiKeySchema.statics.parseKeyId = function(key) {
+  const match = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{16})_[0-9a-f]{64}$`).exec(key || '');
+  return match ? match[1] : null;
+};
+
+// Method to set a new secret. Returns the full key; the caller saves the document.
+apiKeySchema.methods.generateSecret = function() {
+  const key = `${KEY_PREFIX}_${this.keyId}_${crypto.randomBytes(32).toString('hex')}`;
+  this.secretHash = this.constructor.hashKey(key);
+  return key;
+};
+
+// Method to check whether the key can still be used
+apiKeySchema.methods.isUsable = function() {
+  return this.status === 'active' && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to check whether the key was granted a scope
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Method to get the key's details without its secret hash
+apiKeySchema.methods.toPublicJSON = function() {
+  return {
+    keyId: this.keyId,
+    name: this.name,
+    organization: this.organization,
+    ownerWallet: this.ownerWallet,
+    scopes: this.scopes,
+    rateLimit: {
+      perMinute: this.rateLimit.perMinute,
+      perDay: this.rateLimit.perDay
+    },
+    status: this.isUsable() ? 'active' : (this.status === 'revoked' ? 'revoked' : 'expired'),
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    rotatedFrom: this.rotatedFrom,
+    replacedBy: this.replacedBy,
+    usage: {
+      totalRequests: this.usage.totalRequests,
+      rateLimitedRequests: this.usage.rateLimitedRequests,
+      lastUsedAt: this.usage.lastUsedAt
+    },
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
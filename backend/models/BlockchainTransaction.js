@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Fee fields are kept as decimal strings; wei amounts overflow Number
+const feesSchema = {
+  gasPrice: String,
+  maxFeePerGas: String,
+  maxPriorityFeePerGas: String
+};
+
+const blockchainTransactionSchema = new mongoose.Schema({
+  from: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  nonce: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  chainId: {
+    type: Number,
+    required: true
+  },
+  // Call payload, re-signed with higher fees when the transaction is replaced
+  to: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  data: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: String,
+    default: '0'
+  },
+  gasLimit: {
+    type: String,
+    required: true
+  },
+  fees: feesSchema,
+  contractName: String,
+  method: {
+    type: String,
+    required: true
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: []
+  },
+  // Document the transaction registers or changes, if any
+  documentHash: {
+    type: String,
+    index: true
+  },
+  // Hash of the latest signed version; replacements share the nonce
+  hash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  submissions: [{
+    _id: false,
+    hash: String,
+    ...feesSchema,
+    submittedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  receipt: {
+    hash: String,
+    blockNumber: Number,
+    gasUsed: String,
+    effectiveGasPrice: String,
+    status: Number
+  },
+  confirmedAt: Date,
+  lastCheckedAt: Date,
+  error: String
+}, {
+  timestamps: true
+});
+
+blockchainTransactionSchema.index({ from: 1, nonce: 1 });
+blockchainTransactionSchema.index({ 'submissions.hash': 1 });
+
+// Number of fee bumps sent after the original submission
+blockchainTransactionSchema.virtual('replacementCount').get(function() {
+  return Math.max(this.submissions.length - 1, 0);
+});
+
+// Time of the most recent submission, used to decide when the transaction is stuck
+blockchainTransactionSchema.virtual('lastSubmittedAt').get(function() {
+  return this.submissions.length > 0
+    ? this.submissions[this.submissions.length - 1].submittedAt
+    : this.createdAt;
+});
+
+blockchainTransactionSchema.set('toJSON', { virtuals: true });
+
+// Static method to find pending transactions, oldest nonce first
+blockchainTransactionSchema.statics.findPending = function(limit = 100) {
+  return this.find({ status: 'pending' })
+    .sort({ from: 1, nonce: 1 })
+    .limit(limit);
+};
+
+// Static method to find the tracked transaction that sent a hash, including replaced versions
+blockchainTransactionSchema.statics.findByHash = function(hash) {
+  return this.findOne({ 'submissions.hash': hash.toLowerCase() });
+};
+
+// Static method to get the highest nonce an address has pending or mined. Transactions that
+// failed before reaching a block left their nonce unused, so they are not counted.
+blockchainTransactionSchema.statics.getHighestUsedNonce = async function(from) {
+  const latest = await this.findOne({
+    from: from.toLowerCase(),
+    $or: [
+      { status: { $in: ['pending', 'confirmed'] } },
+      { 'receipt.blockNumber': { $exists: true } }
+    ]
+  })
+    .sort({ nonce: -1 })
+    .select('nonce');
+  return latest ? latest.nonce : null;
+};
+
+module.exports = mongoose.model('BlockchainTransaction', blockchainTransactionSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Contract events the chain indexer follows
+const INDEXED_EVENTS = [
+  'DocumentRegistered',
+  'AccessGranted',
+  'AccessRevoked',
+  'OwnershipTransferred',
+  'DocumentDeactivated',
+  'DocumentStorageUpdated',
+  'RoleAssigned'
+];
+
+const chainEventSchema = new mongoose.Schema({
+  transactionHash: {
+    type: String,
+    required: true
+  },
+  logIndex: {
+    type: Number,
+    required: true
+  },
+  blockNumber: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  blockHash: {
+    type: String,
+    required: true
+  },
+  contractAddress: {
+    type: String,
+    lowercase: true
+  },
+  eventName: {
+    type: String,
+    required: true,
+    enum: INDEXED_EVENTS,
+    index: true
+  },
+  args: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Record the event was reconciled against
+  target: {
+    model: {
+      type: String,
+      enum: ['Document', 'User']
+    },
+    key: {
+      type: String,
+      lowercase: true,
+      index: true
+    }
+  },
+  // Fields the indexer changed to bring MongoDB in line; used to undo the event after a reorg
+  changes: [{
+    _id: false,
+    path: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  outcome: {
+    type: String,
+    enum: ['applied', 'in_sync', 'unmatched'],
+    required: true,
+    index: true
+  },
+  // Set when the block holding the event was dropped by a reorg
+  removed: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  removedAt: Date
+}, {
+  timestamps: true
+});
+
+chainEventSchema.index({ transactionHash: 1, logIndex: 1 }, { unique: true });
+
+// Static method to count indexed events by name and outcome
+chainEventSchema.statics.getSummary = async function() {
+  const rows = await this.aggregate([
+    { $match: { removed: false } },
+    { $group: { _id: { eventName: '$eventName', outcome: '$outcome' }, count: { $sum: 1 } } }
+  ]);
+
+  return rows.reduce((summary, { _id, count }) => {
+    summary[_id.eventName] = summary[_id.eventName] || { applied: 0, in_sync: 0, unmatched: 0 };
+    summary[_id.eventName][_id.outcome] = count;
+    return summary;
+  }, {});
+};
+
+const ChainEvent = mongoose.model('ChainEvent', chainEventSchema);
+
+ChainEvent.INDEXED_EVENTS = INDEXED_EVENTS;
+
+module.exports = ChainEvent;
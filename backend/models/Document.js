@@ -1,6 +1,168 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// Share grant levels, ordered from least to most privileged
+const SHARE_GRANT_LEVELS = ['verify', 'view', 'download'];
+
+const shareGrantSchema = new mongoose.Schema({
+  grantee: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid grantee address format'
+    }
+  },
+  level: {
+    type: String,
+    enum: SHARE_GRANT_LEVELS,
+    default: 'view'
+  },
+  grantedBy: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  maxViews: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: String,
+    lowercase: true
+  },
+  revocationReason: {
+    type: String,
+    maxlength: 500
+  }
+});
+
+// 'server': the backend encrypts the file and holds its key in encryptionKey.
+// 'client': the file was encrypted in the uploader's browser (end-to-end); the backend
+// only stores the ciphertext and the document key wrapped to each reader's public key.
+const ENCRYPTION_MODES = ['server', 'client'];
+
+// Document key wrapped for one reader: by the reader's browser for end-to-end encrypted
+// documents, by documentKeyService for server-encrypted ones
+const wrappedKeySchema = new mongoose.Schema({
+  address: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid wrapped key address format'
+    }
+  },
+  // JSON envelope only the reader's private key opens; see encryptionService.isValidWrappedKey
+  wrappedKey: {
+    type: String,
+    required: true
+  },
+  wrappedBy: {
+    type: String,
+    lowercase: true
+  },
+  // Document keyVersion the wrapped key belongs to
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const KEY_ROTATION_STATUSES = ['pending', 'completed', 'failed'];
+
+// Replacement of a server-encrypted document's key after a reader holding a wrapped copy
+// lost access. The file is re-encrypted under the new key and stored under a new CID.
+const documentKeyRotationSchema = new mongoose.Schema({
+  keyVersion: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    default: 'access_revoked'
+  },
+  revokedReader: {
+    type: String,
+    lowercase: true
+  },
+  triggeredBy: {
+    type: String,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: KEY_ROTATION_STATUSES,
+    default: 'pending'
+  },
+  fromIpfsHash: String,
+  toIpfsHash: String,
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  error: String
+});
+
+// State of a stored copy as last seen by the pin audit
+const REPLICA_STATUSES = ['pinned', 'missing', 'corrupt'];
+
+const replicaSchema = new mongoose.Schema({
+  // IPFS provider holding the copy (see ipfsService.providers); 'gateway' for copies
+  // recorded before replication was tracked, whose holder is unknown
+  provider: {
+    type: String,
+    required: true
+  },
+  cid: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: REPLICA_STATUSES,
+    default: 'pinned'
+  },
+  pinnedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastCheckedAt: Date,
+  lastError: String
+}, { _id: false });
+
+// A grant is usable until it expires, is revoked, or runs out of views
+const isShareGrantActive = (grant, now = new Date()) => (
+  !grant.revokedAt &&
+  grant.expiresAt > now &&
+  (!grant.maxViews || grant.viewCount < grant.maxViews)
+);
+
 const documentSchema = new mongoose.Schema({
   documentHash: {
     type: String,
@@ -18,17 +180,47 @@ const documentSchema = new mongoose.Schema({
     required: true,
     validate: {
       validator: function(v) {
-        // Allow standard IPFS hashes (CIDv0 and CIDv1) or local fallback hashes
+        // Allow CIDv0, base32 CIDv1 of any codec or hash length (bafy..., bafkrei...,
+        // as returned by the providers and written by migrations) or local fallback hashes
         return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(v) || 
-               /^bafy[a-z0-9]{55}$/.test(v) || 
+               /^b[a-z2-7]{58,}$/.test(v) || 
                /^local_[a-fA-F0-9]{32}$/.test(v);
       },
       message: 'Invalid IPFS hash format'
     }
   },
+  encryptionMode: {
+    type: String,
+    enum: ENCRYPTION_MODES,
+    default: 'server'
+  },
+  // Wrapped by the KMS; end-to-end encrypted documents have none
   encryptionKey: {
     type: String,
-    required: true
+    required: function() {
+      return this.encryptionMode !== 'client';
+    }
+  },
+  wrappedKeys: [wrappedKeySchema],
+  // Bumped each time the document key is replaced; see documentKeyService.rotateKey
+  keyVersion: {
+    type: Number,
+    default: 1
+  },
+  keyRotations: [documentKeyRotationSchema],
+  // KMS and KEK version named by the encryptionKey record, kept in sync on save so keys
+  // still wrapped with an old KEK can be found for re-wrapping. Empty for keys stored
+  // before KEK versioning.
+  keyEncryption: {
+    kms: String,
+    kekVersion: Number
+  },
+  // Where the encrypted file is stored, checked and repaired by the pin audit job
+  storage: {
+    // SHA-256 (hex) of the stored bytes
+    contentHash: String,
+    replicas: [replicaSchema],
+    lastAuditedAt: Date
   },
   metadata: {
     studentName: {
@@ -110,8 +302,37 @@ const documentSchema = new mongoose.Schema({
         },
         message: 'Invalid contract address format'
       }
+    },
+    // Set when the document was anchored as part of a Merkle batch instead of individually
+    merkle: {
+      root: {
+        type: String,
+        validate: {
+          validator: function(v) {
+            return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+          },
+          message: 'Invalid Merkle root format'
+        }
+      },
+      proof: [{
+        type: String,
+        match: [/^0x[a-fA-F0-9]{64}$/, 'Invalid Merkle proof node format']
+      }],
+      leafIndex: {
+        type: Number,
+        min: 0
+      },
+      batchId: String,
+      anchoredAt: Date
     }
   },
+  // Registered institution the document was issued under; metadata.institutionName is
+  // its name at issuance. Documents from before institutions existed have none.
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null
+  },
   access: {
     owner: {
       type: String,
@@ -144,7 +365,8 @@ const documentSchema = new mongoose.Schema({
         },
         message: 'Invalid viewer address format'
       }
-    }]
+    }],
+    shareGrants: [shareGrantSchema]
   },
   audit: {
     createdAt: {
@@ -197,7 +419,7 @@ const documentSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: 1,
-      max: 10485760 // 10MB limit
+      max: parseInt(process.env.MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024 // 2GB limit
     }
   },
   status: {
@@ -226,20 +448,59 @@ const documentSchema = new mongoose.Schema({
       },
       message: 'Invalid deactivator address format'
     }
+  },
+  version: {
+    number: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    previousHash: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: 'Invalid previous version hash format'
+      }
+    },
+    supersededBy: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: 'Invalid superseding version hash format'
+      }
+    },
+    supersededAt: {
+      type: Date
+    }
   }
 }, {
   timestamps: true
 });
 
+// Upper bound on how far a version chain is followed, in case of corrupted links
+const MAX_VERSION_CHAIN_LENGTH = 50;
+
 // Indexes for faster queries (documentHash already indexed via unique: true)
 documentSchema.index({ ipfsHash: 1 });
 documentSchema.index({ 'access.owner': 1 });
 documentSchema.index({ 'access.issuer': 1 });
+documentSchema.index({ 'access.shareGrants.grantee': 1 });
+documentSchema.index({ 'access.shareGrants.expiresAt': 1 });
+documentSchema.index({ 'blockchain.merkle.root': 1 }, { sparse: true });
+documentSchema.index({ 'version.previousHash': 1 }, { sparse: true });
+documentSchema.index({ 'version.supersededBy': 1 }, { sparse: true });
 documentSchema.index({ 'metadata.studentId': 1 });
 documentSchema.index({ 'metadata.institutionName': 1 });
+documentSchema.index({ institution: 1 }, { sparse: true });
 documentSchema.index({ 'metadata.documentType': 1 });
 documentSchema.index({ status: 1 });
 documentSchema.index({ createdAt: -1 });
+documentSchema.index({ 'storage.lastAuditedAt': 1 });
+documentSchema.index({ 'keyEncryption.kms': 1, 'keyEncryption.kekVersion': 1 });
 
 // Update the updatedAt field before saving
 documentSchema.pre('save', function(next) {
@@ -247,6 +508,20 @@ documentSchema.pre('save', function(next) {
   next();
 });
 
+// Mirror the KEK named by the stored key record
+documentSchema.pre('validate', function(next) {
+  if (this.isModified('encryptionKey')) {
+    let record = null;
+    try {
+      record = JSON.parse(this.encryptionKey);
+    } catch (error) {
+      // Raw key stored before keys were wrapped
+    }
+    this.keyEncryption = { kms: record?.kms, kekVersion: record?.kekVersion };
+  }
+  next();
+});
+
 // Static method to generate document hash
 documentSchema.statics.generateDocumentHash = function(fileBuffer) {
   return '0x' + crypto.createHash('sha256').update(fileBuffer).digest('hex');
@@ -268,16 +543,281 @@ documentSchema.statics.findByIssuer = function(issuerAddress) {
   }).sort({ createdAt: -1 });
 };
 
-// Method to check if user has access to document
-documentSchema.methods.hasAccess = function(userAddress) {
+// Static query matching documents with an active share grant for an address. A grant's
+// view count can only be compared with its own maxViews in an aggregation expression, so
+// $elemMatch narrows the candidates and $expr applies the same checks as isShareGrantActive.
+documentSchema.statics.activeShareGrantQuery = function(userAddress) {
+  const grantee = userAddress.toLowerCase();
+  const now = new Date();
+
+  return {
+    'access.shareGrants': {
+      $elemMatch: {
+        grantee,
+        revokedAt: null,
+        expiresAt: { $gt: now }
+      }
+    },
+    $expr: {
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$access.shareGrants', []] },
+          as: 'grant',
+          in: {
+            $and: [
+              { $eq: ['$$grant.grantee', grantee] },
+              { $eq: [{ $ifNull: ['$$grant.revokedAt', null] }, null] },
+              { $gt: ['$$grant.expiresAt', now] },
+              {
+                $or: [
+                  { $eq: [{ $ifNull: ['$$grant.maxViews', null] }, null] },
+                  { $lt: [{ $ifNull: ['$$grant.viewCount', 0] }, '$$grant.maxViews'] }
+                ]
+              }
+            ]
+          }
+        }
+      }]
+    }
+  };
+};
+
+// Static method to find active documents whose stored copies are due for a pin audit,
+// never-audited documents first
+documentSchema.statics.findDueForPinAudit = function(auditedBefore, limit = 50) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { 'storage.lastAuditedAt': null },
+      { 'storage.lastAuditedAt': { $lt: auditedBefore } }
+    ]
+  })
+    .sort({ 'storage.lastAuditedAt': 1 })
+    .limit(limit);
+};
+
+// Static method to find documents whose file only exists in local fallback storage
+documentSchema.statics.findLocallyStored = function(limit = 20) {
+  return this.find({ ipfsHash: /^local_/ })
+    .sort({ createdAt: 1 })
+    .limit(limit);
+};
+
+// Static method to page through documents whose key is not wrapped with the given KEK,
+// in _id order starting after `after`
+documentSchema.statics.findNeedingRewrap = function({ kms, kekVersion }, { after = null, limit = 100 } = {}) {
+  const query = {
+    encryptionMode: { $ne: 'client' },
+    $or: [
+      { 'keyEncryption.kms': { $ne: kms } },
+      { 'keyEncryption.kekVersion': { $ne: kekVersion } }
+    ]
+  };
+  if (after) {
+    query._id = { $gt: after };
+  }
+
+  return this.find(query)
+    .select('documentHash encryptionKey keyEncryption')
+    .sort({ _id: 1 })
+    .limit(limit);
+};
+
+// Static method to count documents per KMS and KEK version
+documentSchema.statics.getKeyEncryptionStats = async function() {
+  const counts = await this.aggregate([
+    { $match: { encryptionMode: { $ne: 'client' } } },
+    { $group: { _id: { kms: '$keyEncryption.kms', kekVersion: '$keyEncryption.kekVersion' }, count: { $sum: 1 } } },
+    { $sort: { '_id.kms': 1, '_id.kekVersion': 1 } }
+  ]);
+
+  return counts.map(({ _id, count }) => ({
+    kms: _id.kms || null,
+    kekVersion: _id.kekVersion ?? null,
+    count
+  }));
+};
+
+// Static method to link a document to the version that replaces it. Only succeeds
+// once per document, so two corrections cannot both claim the same predecessor.
+documentSchema.statics.markSuperseded = function(previousHash, newHash) {
+  return this.findOneAndUpdate(
+    { documentHash: previousHash, 'version.supersededBy': null },
+    { $set: { 'version.supersededBy': newHash, 'version.supersededAt': new Date() } },
+    { new: true }
+  );
+};
+
+// Static method to get every version of a document, oldest first
+documentSchema.statics.getVersionChain = async function(documentHash) {
+  const fields = 'documentHash version status isActive createdAt';
+  const start = await this.findOne({ documentHash }).select(fields);
+  if (!start) {
+    return [];
+  }
+
+  const chain = [start];
+  let current = start;
+  while (current.version?.previousHash && chain.length < MAX_VERSION_CHAIN_LENGTH) {
+    const previous = await this.findOne({ documentHash: current.version.previousHash }).select(fields);
+    if (!previous) break;
+    chain.unshift(previous);
+    current = previous;
+  }
+
+  current = start;
+  while (current.version?.supersededBy && chain.length < MAX_VERSION_CHAIN_LENGTH) {
+    const next = await this.findOne({ documentHash: current.version.supersededBy }).select(fields);
+    if (!next) break;
+    chain.push(next);
+    current = next;
+  }
+
+  return chain.map(doc => ({
+    documentHash: doc.documentHash,
+    version: doc.version?.number || 1,
+    status: doc.status,
+    isActive: doc.isActive,
+    supersededAt: doc.version?.supersededAt || null,
+    createdAt: doc.createdAt
+  }));
+};
+
+// Method to check if user has access to document at the given share level
+documentSchema.methods.hasAccess = function(userAddress, level = 'view') {
   const address = userAddress.toLowerCase();
   return (
     this.access.owner === address ||
     this.access.issuer === address ||
-    this.access.authorizedViewers.includes(address)
+    this.access.authorizedViewers.includes(address) ||
+    !!this.getActiveShareGrant(address, level)
   );
 };
 
+// Method to find the active share grant that covers the requested level
+documentSchema.methods.getActiveShareGrant = function(userAddress, level = 'view') {
+  const address = userAddress.toLowerCase();
+  const required = SHARE_GRANT_LEVELS.indexOf(level);
+  const now = new Date();
+
+  return (this.access.shareGrants || []).find(grant =>
+    grant.grantee === address &&
+    SHARE_GRANT_LEVELS.indexOf(grant.level) >= required &&
+    isShareGrantActive(grant, now)
+  ) || null;
+};
+
+// Method to count a use against the share grant the user is accessing through.
+// Owners, issuers and legacy authorized viewers are not metered, and null is returned
+// for them. Otherwise the update result is returned; the count is only taken while the
+// grant is still active, so a modifiedCount of 0 means it was used up, revoked or expired
+// after the document was loaded and the access must be refused.
+documentSchema.methods.recordShareGrantUse = async function(userAddress, level = 'view') {
+  const address = userAddress.toLowerCase();
+  if (this.access.owner === address ||
+      this.access.issuer === address ||
+      this.access.authorizedViewers.includes(address)) {
+    return null;
+  }
+
+  const grant = this.getActiveShareGrant(address, level);
+  if (!grant) {
+    return null;
+  }
+
+  // Grants are replaced rather than edited, so the loaded maxViews is the grant's limit
+  const viewLimit = grant.maxViews ? { viewCount: { $lt: grant.maxViews } } : {};
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'access.shareGrants': {
+        $elemMatch: { _id: grant._id, revokedAt: null, expiresAt: { $gt: new Date() }, ...viewLimit }
+      }
+    },
+    { $inc: { 'access.shareGrants.$.viewCount': 1 } }
+  );
+  if (result.modifiedCount > 0) {
+    grant.viewCount += 1;
+  }
+  return result;
+};
+
+// Method to add or replace the share grant for an address
+documentSchema.methods.addShareGrant = function({ grantee, level, grantedBy, expiresAt, maxViews }) {
+  const address = grantee.toLowerCase();
+  this.access.shareGrants = (this.access.shareGrants || []).filter(
+    grant => grant.grantee !== address || !isShareGrantActive(grant)
+  );
+  this.access.shareGrants.push({
+    grantee: address,
+    level,
+    grantedBy,
+    expiresAt,
+    maxViews: maxViews || null
+  });
+  return this.access.shareGrants[this.access.shareGrants.length - 1];
+};
+
+// Method to revoke all active share grants for an address
+documentSchema.methods.revokeShareGrants = function(granteeAddress, revokedBy, reason) {
+  const address = granteeAddress.toLowerCase();
+  const now = new Date();
+  const revoked = [];
+
+  (this.access.shareGrants || []).forEach(grant => {
+    if (grant.grantee === address && isShareGrantActive(grant, now)) {
+      grant.revokedAt = now;
+      grant.revokedBy = revokedBy;
+      grant.revocationReason = reason;
+      revoked.push(grant);
+    }
+  });
+
+  return revoked;
+};
+
+// Method to drop grants that can no longer be used. Revoked grants are kept
+// until the retention cutoff so the revocation reason stays visible.
+documentSchema.methods.pruneShareGrants = function(revokedRetentionCutoff) {
+  const now = new Date();
+  const before = this.access.shareGrants.length;
+
+  this.access.shareGrants = this.access.shareGrants.filter(grant => {
+    if (grant.revokedAt) {
+      return grant.revokedAt > revokedRetentionCutoff;
+    }
+    return isShareGrantActive(grant, now);
+  });
+
+  return before - this.access.shareGrants.length;
+};
+
+// Method to get the document key wrapped for a reader
+documentSchema.methods.getWrappedKey = function(address) {
+  const reader = address.toLowerCase();
+  return (this.wrappedKeys || []).find(entry => entry.address === reader) || null;
+};
+
+// Method to add or replace the wrapped document key for a reader
+documentSchema.methods.setWrappedKey = function(address, wrappedKey, wrappedBy) {
+  const reader = address.toLowerCase();
+  this.wrappedKeys = (this.wrappedKeys || []).filter(entry => entry.address !== reader);
+  this.wrappedKeys.push({ address: reader, wrappedKey, wrappedBy, keyVersion: this.keyVersion });
+  return this.wrappedKeys[this.wrappedKeys.length - 1];
+};
+
+// Method to drop a reader's wrapped document key. The owner's and issuer's keys are kept.
+documentSchema.methods.removeWrappedKey = function(address) {
+  const reader = address.toLowerCase();
+  if (reader === this.access.owner || reader === this.access.issuer) {
+    return false;
+  }
+
+  const before = (this.wrappedKeys || []).length;
+  this.wrappedKeys = (this.wrappedKeys || []).filter(entry => entry.address !== reader);
+  return this.wrappedKeys.length < before;
+};
+
 // Method to add authorized viewer
 documentSchema.methods.addAuthorizedViewer = function(viewerAddress) {
   const address = viewerAddress.toLowerCase();
@@ -303,14 +843,58 @@ documentSchema.methods.incrementVerificationCount = function() {
   return this.save();
 };
 
-// Method to update blockchain info
-documentSchema.methods.updateBlockchainInfo = function(transactionHash, blockNumber, gasUsed, contractAddress) {
+// Method to update blockchain info. A new version only supersedes its predecessor
+// once it is itself on-chain, so verifiers are never pointed at an unregistered copy.
+documentSchema.methods.updateBlockchainInfo = async function(transactionHash, blockNumber, gasUsed, contractAddress) {
   this.blockchain.transactionHash = transactionHash;
   this.blockchain.blockNumber = blockNumber;
   this.blockchain.gasUsed = gasUsed;
   this.blockchain.contractAddress = contractAddress;
   this.status = 'blockchain_stored';
-  return this.save();
+  await this.save();
+
+  if (this.version?.previousHash) {
+    await this.constructor.markSuperseded(this.version.previousHash, this.documentHash);
+  }
+  return this;
+};
+
+// Method to summarise where this document sits in its version chain
+documentSchema.methods.getVersionInfo = async function() {
+  const number = this.version?.number || 1;
+  const chain = this.version?.previousHash || this.version?.supersededBy
+    ? await this.constructor.getVersionChain(this.documentHash)
+    : [{
+        documentHash: this.documentHash,
+        version: number,
+        status: this.status,
+        isActive: this.isActive,
+        supersededAt: null,
+        createdAt: this.createdAt
+      }];
+  const latest = chain[chain.length - 1];
+
+  return {
+    current: number,
+    isLatest: !this.version?.supersededBy,
+    latestHash: latest.documentHash,
+    latestVersion: latest.version,
+    supersededBy: this.version?.supersededBy || null,
+    previousHash: this.version?.previousHash || null,
+    chain
+  };
+};
+
+// Method to record anchoring as part of a Merkle batch
+documentSchema.methods.updateMerkleAnchorInfo = function({ root, proof, leafIndex, batchId, transactionHash, blockNumber, gasUsed, contractAddress }) {
+  this.blockchain.merkle = {
+    root,
+    proof,
+    leafIndex,
+    batchId,
+    anchoredAt: new Date()
+  };
+  return this.updateBlockchainInfo(transactionHash, blockNumber, gasUsed, contractAddress);
 };
 
 // Virtual for document age
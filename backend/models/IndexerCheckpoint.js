@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const indexerCheckpointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Last block whose events have been reconciled
+  lastProcessedBlock: {
+    type: Number,
+    required: true,
+    min: -1
+  },
+  // Hashes of recently processed blocks, newest last, used to detect reorgs
+  recentBlocks: [{
+    _id: false,
+    number: Number,
+    hash: String
+  }],
+  lastRunAt: Date,
+  lastError: String,
+  reorgCount: {
+    type: Number,
+    default: 0
+  },
+  lastReorg: {
+    detectedAt: Date,
+    forkBlock: Number,
+    eventsRemoved: Number
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to load a checkpoint, creating it one block before startBlock
+indexerCheckpointSchema.statics.load = async function(name, startBlock) {
+  return this.findOneAndUpdate(
+    { name },
+    { $setOnInsert: { name, lastProcessedBlock: startBlock - 1, recentBlocks: [] } },
+    { new: true, upsert: true }
+  );
+};
+
+// Method to advance the checkpoint, keeping at most `keep` block hashes
+indexerCheckpointSchema.methods.advance = function(block, keep) {
+  this.lastProcessedBlock = block.number;
+  this.recentBlocks = this.recentBlocks
+    .filter(entry => entry.number < block.number)
+    .concat({ number: block.number, hash: block.hash })
+    .slice(-keep);
+};
+
+// Method to rewind the checkpoint to the last block both chains agree on
+indexerCheckpointSchema.methods.rewind = function(forkBlock) {
+  this.lastProcessedBlock = forkBlock;
+  this.recentBlocks = this.recentBlocks.filter(entry => entry.number <= forkBlock);
+};
+
+module.exports = mongoose.model('IndexerCheckpoint', indexerCheckpointSchema);
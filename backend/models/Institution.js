@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Hostname under which an institution publishes its domain verification TXT record
+const VERIFICATION_RECORD_PREFIX = '_docverify';
+
+const domainSchema = new mongoose.Schema({
+  domain: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 253
+  },
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  // Published by the institution in DNS to prove it controls the domain
+  verificationToken: {
+    type: String,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  verifiedAt: Date
+}, { _id: false });
+
+// A key the institution publishes so verifiers can check what it signs outside this
+// system (e.g. PDF signatures on its certificates)
+const publicKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    default: () => crypto.randomBytes(8).toString('hex')
+  },
+  type: {
+    type: String,
+    enum: ['secp256k1', 'ed25519'],
+    required: true
+  },
+  // Hex encoded, 0x-prefixed
+  publicKey: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  addedBy: {
+    type: String,
+    lowercase: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date
+}, { _id: false });
+
+/**
+ * An issuing organization. Issuers belong to one institution (User.institution) and can
+ * only issue documents under its name; documents reference it, and verification shows
+ * the institution with the domains it has proven control of. Members with the
+ * institution admin role manage its issuers, domains and keys.
+ */
+const institutionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Lowercased name, so two institutions cannot share a name in different case
+  normalizedName: {
+    type: String,
+    unique: true
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    match: /^[a-z0-9-]+$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 2000
+  },
+  website: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  logoUrl: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  domains: [domainSchema],
+  publicKeys: [publicKeySchema],
+  status: {
+    type: String,
+    enum: ['active', 'suspended'],
+    default: 'active',
+    index: true
+  },
+  createdBy: {
+    type: String,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+institutionSchema.index({ 'domains.domain': 1 });
+
+institutionSchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.normalizedName = this.name.trim().toLowerCase();
+  }
+  if (!this.slug && this.name) {
+    const base = this.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    this.slug = `${base || 'institution'}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+  next();
+});
+
+// Static method to find an institution by name, ignoring case
+institutionSchema.statics.findByName = function(name) {
+  return this.findOne({ normalizedName: String(name || '').trim().toLowerCase() });
+};
+
+// Static method to find an institution by id or slug
+institutionSchema.statics.findByIdOrSlug = function(idOrSlug) {
+  return mongoose.isValidObjectId(idOrSlug)
+    ? this.findById(idOrSlug)
+    : this.findOne({ slug: String(idOrSlug).toLowerCase() });
+};
+
+// Static method to build the TXT record that proves control of a domain
+institutionSchema.statics.verificationRecord = function(domain, token) {
+  return {
+    name: `${VERIFICATION_RECORD_PREFIX}.${domain}`,
+    type: 'TXT',
+    value: `docverify-site-verification=${token}`
+  };
+};
+
+// Method to check whether the institution has proven control of at least one domain
+institutionSchema.methods.isVerified = function() {
+  return this.domains.some(domain => domain.verified);
+};
+
+// Method to get the identity shown to verifiers and on the public profile
+institutionSchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description,
+    website: this.website,
+    logoUrl: this.logoUrl,
+    status: this.status,
+    verified: this.isVerified(),
+    verifiedDomains: this.domains.filter(domain => domain.verified).map(domain => domain.domain),
+    publicKeys: this.publicKeys
+      .filter(key => !key.revokedAt)
+      .map(({ keyId, type, publicKey, purpose, addedAt }) => ({ keyId, type, publicKey, purpose, addedAt }))
+  };
+};
+
+module.exports = mongoose.model('Institution', institutionSchema);
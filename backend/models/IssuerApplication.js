@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+const APPLICATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A file the institution attached as proof (accreditation, registration certificate, ...).
+// Stored encrypted like documents; the key is wrapped by the KMS.
+const supportingDocumentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  mimeType: String,
+  size: Number,
+  // SHA-256 of the plaintext, checked when an admin downloads the file
+  sha256: String,
+  ipfsHash: {
+    type: String,
+    required: true
+  },
+  iv: {
+    type: String,
+    required: true
+  },
+  encryptionKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+});
+
+/**
+ * An institution's request to become an issuer. Admins approve or reject it; approval
+ * gives the applicant's wallet the issuer role in the database and in the
+ * AccessControl contract.
+ */
+const issuerApplicationSchema = new mongoose.Schema({
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  organization: {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200
+    },
+    // Web domain the institution controls, e.g. university.edu
+    domain: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+      maxlength: 253
+    },
+    website: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    }
+  },
+  contact: {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true
+    },
+    phone: {
+      type: String,
+      trim: true,
+      maxlength: 30
+    }
+  },
+  supportingDocuments: [supportingDocumentSchema],
+  status: {
+    type: String,
+    enum: APPLICATION_STATUSES,
+    default: 'pending',
+    index: true
+  },
+  review: {
+    reviewedBy: {
+      type: String,
+      lowercase: true
+    },
+    reviewedAt: Date,
+    comments: {
+      type: String,
+      trim: true,
+      maxlength: 2000
+    }
+  },
+  // Institution the applicant joined on approval
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution'
+  },
+  // The on-chain half of an approval. The database role is granted even when the
+  // transaction fails, so a failure is retried from the review screen.
+  roleAssignment: {
+    status: {
+      type: String,
+      enum: ['pending', 'confirmed', 'failed']
+    },
+    transactionHash: String,
+    blockNumber: Number,
+    error: String,
+    attemptedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+issuerApplicationSchema.index({ status: 1, createdAt: 1 });
+
+// Static method to find the application of a wallet that is still waiting for review
+issuerApplicationSchema.statics.findPendingForWallet = function(walletAddress) {
+  return this.findOne({ walletAddress: walletAddress.toLowerCase(), status: 'pending' });
+};
+
+// Method to get the application without stored keys, for API responses
+issuerApplicationSchema.methods.toPublicJSON = function() {
+  const application = this.toObject();
+  application.supportingDocuments = (application.supportingDocuments || []).map(
+    ({ encryptionKey, ...supportingDocument }) => supportingDocument
+  );
+  return application;
+};
+
+module.exports = mongoose.model('IssuerApplication', issuerApplicationSchema);
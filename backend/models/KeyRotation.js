@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * A run that re-wraps stored document keys with the current key-encryption key (KEK).
+ * Only Document.encryptionKey changes; encrypted files on IPFS are left untouched.
+ */
+const keyRotationSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  // Wallet address of the admin who started the run
+  triggeredBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  kms: String,
+  // KEK version that was current before the run, when a new version was created for it
+  fromVersion: Number,
+  // KEK version every key is re-wrapped with
+  toVersion: Number,
+  rotatedKek: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  totals: {
+    checked: { type: Number, default: 0 },
+    rewrapped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    // Keys changed by someone else during the run, e.g. a document edit
+    skipped: { type: Number, default: 0 }
+  },
+  // Documents whose key could not be re-wrapped; they stay readable with their old KEK
+  failures: [{
+    _id: false,
+    documentHash: String,
+    error: String
+  }],
+  error: String
+}, {
+  timestamps: true
+});
+
+keyRotationSchema.index({ createdAt: -1 });
+
+// Method to return the run without the failure list
+keyRotationSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    triggeredBy: this.triggeredBy,
+    kms: this.kms,
+    fromVersion: this.fromVersion,
+    toVersion: this.toVersion,
+    rotatedKek: this.rotatedKek,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    totals: this.totals,
+    error: this.error
+  };
+};
+
+module.exports = mongoose.model('KeyRotation', keyRotationSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Ways a MongoDB document can disagree with DocumentRegistry
+const MISMATCH_TYPES = [
+  'missing_on_chain',
+  'missing_in_db',
+  'owner_differs',
+  'active_differs',
+  'viewers_differ'
+];
+
+// adopt_chain writes the on-chain state to MongoDB, push_to_chain sends a transaction
+// that makes the contract match MongoDB, dismiss closes the mismatch without changes
+const REPAIR_ACTIONS = ['adopt_chain', 'push_to_chain', 'dismiss'];
+
+const mismatchSchema = new mongoose.Schema({
+  documentHash: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: MISMATCH_TYPES,
+    required: true
+  },
+  // Values on each side, e.g. { db: { owner }, chain: { owner } }
+  details: {
+    db: mongoose.Schema.Types.Mixed,
+    chain: mongoose.Schema.Types.Mixed
+  },
+  repairActions: [{
+    type: String,
+    enum: REPAIR_ACTIONS
+  }],
+  resolution: {
+    action: {
+      type: String,
+      enum: REPAIR_ACTIONS
+    },
+    status: {
+      type: String,
+      enum: ['repaired', 'failed']
+    },
+    resolvedBy: {
+      type: String,
+      lowercase: true
+    },
+    resolvedAt: Date,
+    transactionHash: String,
+    error: String
+  }
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+    index: true
+  },
+  // Wallet address of the admin who started the run; null for scheduled runs
+  triggeredBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  totals: {
+    checked: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    mismatched: { type: Number, default: 0 },
+    // Documents that could not be compared, e.g. Merkle-anchored ones or failed reads
+    skipped: { type: Number, default: 0 }
+  },
+  mismatches: [mismatchSchema],
+  error: String
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Static method to get the most recent finished report
+reconciliationReportSchema.statics.findLatest = function() {
+  return this.findOne({ status: { $ne: 'running' } }).sort({ createdAt: -1 });
+};
+
+// Method to count mismatches by type, split into open and resolved (repaired or dismissed)
+reconciliationReportSchema.methods.getMismatchSummary = function() {
+  return this.mismatches.reduce((summary, mismatch) => {
+    summary[mismatch.type] = summary[mismatch.type] || { open: 0, resolved: 0 };
+    if (mismatch.resolution?.status === 'repaired') {
+      summary[mismatch.type].resolved++;
+    } else {
+      summary[mismatch.type].open++;
+    }
+    return summary;
+  }, {});
+};
+
+// Method to return the report without the mismatch list
+reconciliationReportSchema.methods.toSummaryJSON = function() {
+  return {
+    id: this._id,
+    status: this.status,
+    triggeredBy: this.triggeredBy,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt,
+    totals: this.totals,
+    mismatchSummary: this.getMismatchSummary(),
+    error: this.error
+  };
+};
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+ReconciliationReport.MISMATCH_TYPES = MISMATCH_TYPES;
+ReconciliationReport.REPAIR_ACTIONS = REPAIR_ACTIONS;
+
+module.exports = ReconciliationReport;
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// Structured reasons a verifier can act on; free-text notes stay private to the issuer
+const REVOCATION_REASON_CODES = ['rescinded', 'superseded', 'error', 'fraud'];
+
+const revocationSchema = new mongoose.Schema({
+  documentHash: {
+    type: String,
+    required: true,
+    unique: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{64}$/.test(v);
+      },
+      message: 'Invalid document hash format'
+    }
+  },
+  issuer: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid issuer address format'
+    }
+  },
+  revokedBy: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid revoker address format'
+    }
+  },
+  reasonCode: {
+    type: String,
+    required: true,
+    enum: REVOCATION_REASON_CODES,
+    index: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  effectiveDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  supersededBy: {
+    type: String,
+    required: [
+      function() { return this.reasonCode === 'superseded'; },
+      'Superseded documents must reference the superseding document'
+    ],
+    validate: {
+      validator: function(v) {
+        return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+      },
+      message: 'Invalid superseding document hash format'
+    }
+  },
+  blockchain: {
+    transactionHash: {
+      type: String,
+      validate: {
+        validator: function(v) {
+          return !v || /^0x[a-fA-F0-9]{64}$/.test(v);
+        },
+        message: 'Invalid transaction hash format'
+      }
+    },
+    blockNumber: {
+      type: Number,
+      min: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+revocationSchema.index({ createdAt: -1 });
+revocationSchema.index({ supersededBy: 1 }, { sparse: true });
+
+// Static method to get a page of the public revocation list, newest first
+revocationSchema.statics.getPublicList = async function(options = {}) {
+  const { page = 1, limit = 50, since, reasonCode } = options;
+
+  const query = {};
+  if (since) {
+    query.createdAt = { $gte: new Date(since) };
+  }
+  if (reasonCode) {
+    query.reasonCode = reasonCode;
+  }
+
+  const [revocations, totalCount] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    this.countDocuments(query)
+  ]);
+
+  return {
+    revocations: revocations.map(revocation => revocation.toPublicJSON()),
+    totalCount
+  };
+};
+
+// Method to get the fields that are safe to publish to any verifier
+revocationSchema.methods.toPublicJSON = function() {
+  return {
+    documentHash: this.documentHash,
+    issuer: this.issuer,
+    reasonCode: this.reasonCode,
+    effectiveDate: this.effectiveDate,
+    supersededBy: this.supersededBy || null,
+    revokedAt: this.createdAt,
+    transactionHash: this.blockchain?.transactionHash || null
+  };
+};
+
+module.exports = mongoose.model('Revocation', revocationSchema);
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Rotated-out refresh token hashes kept per session to recognise a replayed token
+const MAX_PREVIOUS_TOKENS = 20;
+
+const REVOCATION_REASONS = ['logout', 'user', 'admin', 'refresh_token_reuse'];
+
+/**
+ * A signed-in device. Access tokens carry the sessionId (`sid`) and stop working as soon
+ * as the session is revoked; the session's refresh token is rotated on every use, and a
+ * rotated-out token coming back means it was copied, so the session is revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  walletAddress: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  // Short description of the browser and OS, from the user agent
+  device: String,
+  ipAddress: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When the refresh token stops working and the user has to sign in again
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: String,
+    lowercase: true
+  },
+  revocationReason: {
+    type: String,
+    enum: REVOCATION_REASONS
+  }
+}, {
+  timestamps: true
+});
+
+// Sessions are deleted a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+sessionSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find the sessions of a user that can still be used, most recent first
+sessionSchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function(userId, { reason, revokedBy, exceptSessionId } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter.sessionId = { $ne: exceptSessionId };
+  }
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedBy, revocationReason: reason }
+  });
+  return result.modifiedCount;
+};
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to replace the refresh token. Returns the new token, "<sessionId>.<secret>".
+// The caller saves the session.
+sessionSchema.methods.rotateRefreshToken = function() {
+  if (this.refreshTokenHash) {
+    this.previousTokenHashes = [...(this.previousTokenHashes || []), this.refreshTokenHash]
+      .slice(-MAX_PREVIOUS_TOKENS);
+  }
+
+  const refreshToken = `${this.sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  this.refreshTokenHash = this.constructor.hashToken(refreshToken);
+  return refreshToken;
+};
+
+// Static method to swap a session's refresh token for a new one, but only if the token
+// presented is still current. Returns { session, refreshToken }, or null when another
+// refresh got there first or the session was revoked.
+sessionSchema.statics.rotateIfCurrent = async function(sessionId, tokenHash, fields = {}) {
+  const refreshToken = `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  const session = await this.findOneAndUpdate(
+    { sessionId, refreshTokenHash: tokenHash, revokedAt: null },
+    {
+      $set: { ...fields, refreshTokenHash: this.hashToken(refreshToken) },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+  return session ? { session, refreshToken } : null;
+};
+
+// Method to revoke the session. The caller saves the session.
+sessionSchema.methods.revoke = function(reason, revokedBy) {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedBy = revokedBy;
+    this.revocationReason = reason;
+  }
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
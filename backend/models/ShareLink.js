@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const shareLinkSchema = new mongoose.Schema({
+  linkId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomBytes(16).toString('hex')
+  },
+  documentHash: {
+    type: String,
+    required: true,
+    index: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{64}$/.test(v);
+      },
+      message: 'Invalid document hash format'
+    }
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^0x[a-fA-F0-9]{40}$/.test(v);
+      },
+      message: 'Invalid creator address format'
+    }
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  },
+  passcodeHash: {
+    type: String,
+    select: false
+  },
+  allowDownload: {
+    type: Boolean,
+    default: false
+  },
+  accessCount: {
+    type: Number,
+    default: 0
+  },
+  lastAccessedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: String,
+    lowercase: true
+  },
+  revocationReason: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the links created for a document, newest first
+shareLinkSchema.statics.findByDocument = function(documentHash) {
+  return this.find({ documentHash }).sort({ createdAt: -1 });
+};
+
+// Method to set or clear the passcode protecting the link
+shareLinkSchema.methods.setPasscode = async function(passcode) {
+  this.passcodeHash = passcode ? await bcrypt.hash(passcode, 10) : undefined;
+};
+
+// Method to check a passcode; links without a passcode accept any input
+shareLinkSchema.methods.checkPasscode = function(passcode) {
+  if (!this.passcodeHash) {
+    return Promise.resolve(true);
+  }
+  if (!passcode) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(passcode, this.passcodeHash);
+};
+
+// Method to check whether the link can still be used
+shareLinkSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to record an access through the link
+shareLinkSchema.methods.recordAccess = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { accessCount: 1 }, $set: { lastAccessedAt: new Date() } }
+  );
+};
+
+// Hide the passcode hash and expose whether one is set
+shareLinkSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.hasPasscode = !!ret.passcodeHash;
+    delete ret.passcodeHash;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
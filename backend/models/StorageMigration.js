@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+// State of the optional DocumentRegistry update that follows a migration
+const CHAIN_UPDATE_STATUSES = [
+  'not_requested', // STORAGE_MIGRATION_UPDATE_CHAIN is off
+  'not_registered', // No individual on-chain record, e.g. pending or Merkle-anchored documents
+  'submitted', // Transaction sent but not yet mined; the transaction tracker settles it
+  'confirmed',
+  'failed'
+];
+
+/**
+ * Audit trail of documents moved from local fallback storage to IPFS.
+ * One record per migration, mapping the old local CID to the new IPFS CID.
+ */
+const storageMigrationSchema = new mongoose.Schema({
+  documentHash: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fromCid: {
+    type: String,
+    required: true
+  },
+  toCid: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Providers that accepted the file, primary first
+  replicas: [{
+    _id: false,
+    provider: String,
+    cid: String
+  }],
+  contentHash: String,
+  chainUpdate: {
+    status: {
+      type: String,
+      enum: CHAIN_UPDATE_STATUSES,
+      default: 'not_requested',
+      index: true
+    },
+    transactionHash: String,
+    blockNumber: Number,
+    error: String
+  },
+  // Wallet address of the admin who started the run; null for scheduled runs
+  triggeredBy: {
+    type: String,
+    lowercase: true,
+    default: null
+  },
+  migratedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+storageMigrationSchema.index({ migratedAt: -1 });
+
+// Static method to get migration counts by chain update status
+storageMigrationSchema.statics.getStats = async function() {
+  const counts = await this.aggregate([
+    { $group: { _id: '$chainUpdate.status', count: { $sum: 1 } } }
+  ]);
+
+  return counts.reduce((stats, { _id, count }) => {
+    stats.total += count;
+    stats.chainUpdates[_id] = count;
+    return stats;
+  }, { total: 0, chainUpdates: {} });
+};
+
+const StorageMigration = mongoose.model('StorageMigration', storageMigrationSchema);
+
+StorageMigration.CHAIN_UPDATE_STATUSES = CHAIN_UPDATE_STATUSES;
+
+module.exports = StorageMigration;
@@ -1,6 +1,17 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// How long a sign-in nonce from /api/auth/nonce can be used
+const NONCE_TTL_MS = (parseInt(process.env.SIWE_NONCE_TTL_MINUTES) || 10) * 60 * 1000;
+
+// Default permissions of each role
+const ROLE_PERMISSIONS = {
+  admin: { canIssue: true, canVerify: true, canTransfer: true },
+  issuer: { canIssue: true, canVerify: true, canTransfer: false },
+  verifier: { canIssue: false, canVerify: true, canTransfer: false },
+  student: { canIssue: false, canVerify: true, canTransfer: false }
+};
+
 const userSchema = new mongoose.Schema({
   walletAddress: {
     type: String,
@@ -74,8 +85,37 @@ const userSchema = new mongoose.Schema({
     nonce: {
       type: String,
       default: () => Math.random().toString(36).substring(2, 15)
+    },
+    // Set by generateNonce; nonces from before expiry was tracked have none
+    nonceExpiresAt: Date,
+    // Access tokens issued before this are rejected (sessionService.revokeAllSessions)
+    revokedBefore: Date
+  },
+  // secp256k1 public key (uncompressed, 0x04...) derived in the browser from a wallet
+  // signature. Keys of end-to-end encrypted documents are wrapped to it; the private key
+  // never reaches the server.
+  encryptionPublicKey: {
+    type: String,
+    default: null,
+    validate: {
+      validator: function(v) {
+        return !v || /^0x04[a-fA-F0-9]{128}$/.test(v);
+      },
+      message: 'Invalid encryption public key format'
     }
   },
+  // Institution the user issues for, and whether they manage its issuers
+  institution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Institution',
+    default: null,
+    index: true
+  },
+  institutionRole: {
+    type: String,
+    enum: ['admin', 'issuer', null],
+    default: null
+  },
   isVerified: {
     type: Boolean,
     default: false
@@ -107,9 +147,18 @@ userSchema.methods.generateNonce = function() {
   // Generate a 32-character nonce using crypto for better security
   const crypto = require('crypto');
   this.session.nonce = crypto.randomBytes(16).toString('hex');
+  this.session.nonceExpiresAt = new Date(Date.now() + NONCE_TTL_MS);
   return this.session.nonce;
 };
 
+// Method to check a sign-in nonce against the current, unexpired one
+userSchema.methods.isNonceValid = function(nonce) {
+  if (!nonce || this.session.nonce !== nonce) {
+    return false;
+  }
+  return !this.session.nonceExpiresAt || this.session.nonceExpiresAt > new Date();
+};
+
 // Method to check if user has specific permission
 userSchema.methods.hasPermission = function(permission) {
   if (this.role === 'admin') return true;
@@ -123,6 +172,18 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+// Method to change the role and reset permissions to the role's defaults
+userSchema.methods.setRole = function(role) {
+  this.role = role;
+  this.permissions = ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.student;
+};
+
+// Method to check whether the user manages the given institution
+userSchema.methods.isInstitutionAdmin = function(institutionId) {
+  return !!this.institution && this.institutionRole === 'admin' &&
+    this.institution.toString() === institutionId.toString();
+};
+
 // Static method to find user by wallet address
 userSchema.statics.findByWallet = function(walletAddress) {
   return this.findOne({ walletAddress: walletAddress.toLowerCase() });
@@ -130,17 +191,10 @@ userSchema.statics.findByWallet = function(walletAddress) {
 
 // Static method to create user with default permissions based on role
 userSchema.statics.createWithRole = function(walletAddress, role = 'student') {
-  const permissions = {
-    admin: { canIssue: true, canVerify: true, canTransfer: true },
-    issuer: { canIssue: true, canVerify: true, canTransfer: false },
-    verifier: { canIssue: false, canVerify: true, canTransfer: false },
-    student: { canIssue: false, canVerify: true, canTransfer: false }
-  };
-
   return this.create({
     walletAddress: walletAddress.toLowerCase(),
     role,
-    permissions: permissions[role] || permissions.student
+    permissions: ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.student
   });
 };
 
@@ -26,16 +26,20 @@ const verificationLogSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // keyId of the API key the verification was made with, if any
+  apiKeyId: {
+    type: String
+  },
   verificationMethod: {
     type: String,
     required: true,
-    enum: ['upload', 'qr', 'hash'],
+    enum: ['upload', 'qr', 'hash', 'transfer', 'share_link', 'credential'],
     default: 'hash'
   },
   result: {
     type: String,
     required: true,
-    enum: ['authentic', 'tampered', 'not_found'],
+    enum: ['authentic', 'tampered', 'not_found', 'revoked'],
     index: true
   },
   timestamp: {
@@ -53,7 +57,11 @@ const verificationLogSchema = new mongoose.Schema({
   additionalInfo: {
     blockchainVerified: Boolean,
     fileIntegrityChecked: Boolean,
-    transactionHash: String
+    transactionHash: String,
+    previousOwner: String,
+    newOwner: String,
+    shareLinkId: String,
+    downloaded: Boolean
   }
 }, {
   timestamps: true
@@ -63,6 +71,7 @@ const verificationLogSchema = new mongoose.Schema({
 verificationLogSchema.index({ documentHash: 1, timestamp: -1 });
 verificationLogSchema.index({ result: 1, timestamp: -1 });
 verificationLogSchema.index({ verifier: 1, timestamp: -1 });
+verificationLogSchema.index({ apiKeyId: 1, timestamp: -1 }, { sparse: true });
 verificationLogSchema.index({ timestamp: -1 });
 
 // Static method to log verification attempt
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true,
+    index: true
+  },
+  // Shared by every delivery of the same event, including replays, so receivers can deduplicate
+  eventId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    index: true
+  },
+  documentHash: {
+    type: String,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  attempts: [{
+    attemptedAt: Date,
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+  }],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  deliveredAt: Date,
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  replayedBy: {
+    type: String,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Static method to find pending deliveries whose retry time has come
+webhookDeliverySchema.statics.findDue = function(limit = 100) {
+  return this.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() }
+  }).sort({ nextAttemptAt: 1 }).limit(limit);
+};
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
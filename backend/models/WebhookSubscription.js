@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const validator = require('validator');
+const { isAllowedWebhookUrl } = require('../utils/webhookTarget');
+
+// Document lifecycle events emitted by routes/documents.js
+const WEBHOOK_EVENT_TYPES = [
+  'document.registered',
+  'document.verified',
+  'document.shared',
+  'document.revoked',
+  'document.transferred'
+];
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: [
+      {
+        validator: function(v) {
+          return validator.isURL(v, { protocols: ['http', 'https'], require_protocol: true, require_tld: false });
+        },
+        message: 'Invalid webhook URL'
+      },
+      {
+        // Loopback, private and link-local hosts are refused; see utils/webhookTarget.js
+        validator: isAllowedWebhookUrl,
+        message: 'Webhook URL must point to a public host'
+      }
+    ]
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  eventTypes: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENT_TYPES
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0;
+      },
+      message: 'At least one event type is required'
+    }
+  },
+  // Shared HMAC secret; only returned when the subscription is created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: () => crypto.randomBytes(32).toString('hex')
+  },
+  // Issuer whose documents the subscription receives events for; null receives every document (admins only)
+  issuer: {
+    type: String,
+    lowercase: true,
+    default: null,
+    index: true
+  },
+  active: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: String,
+    required: true,
+    lowercase: true,
+    index: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['delivered', 'failed']
+  }
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ active: 1, eventTypes: 1 });
+
+// Static method to find the active subscriptions an event on a document is routed to
+webhookSubscriptionSchema.statics.findForEvent = function(eventType, issuer) {
+  const issuers = issuer ? [null, issuer.toLowerCase()] : [null];
+  return this.find({
+    active: true,
+    eventTypes: eventType,
+    issuer: { $in: issuers }
+  }).select('+secret');
+};
+
+// Method to check whether a user may view or change the subscription
+webhookSubscriptionSchema.methods.canManage = function(user) {
+  return user.role === 'admin' || user.walletAddress?.toLowerCase() === this.createdBy;
+};
+
+// Method to replace the signing secret
+webhookSubscriptionSchema.methods.rotateSecret = function() {
+  this.secret = crypto.randomBytes(32).toString('hex');
+  return this.secret;
+};
+
+// Method to get the subscription without its secret
+webhookSubscriptionSchema.methods.toSafeJSON = function() {
+  const subscription = this.toObject();
+  delete subscription.secret;
+  delete subscription.__v;
+  return subscription;
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+WebhookSubscription.EVENT_TYPES = WEBHOOK_EVENT_TYPES;
+
+module.exports = WebhookSubscription;
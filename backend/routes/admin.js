@@ -1,8 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const User = require('../models/User');
 const Document = require('../models/Document');
 const VerificationLog = require('../models/VerificationLog');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const reconciliationService = require('../services/reconciliationService');
+const StorageMigration = require('../models/StorageMigration');
+const storageMigrationService = require('../services/storageMigrationService');
+const KeyRotation = require('../models/KeyRotation');
+const keyRotationService = require('../services/keyRotationService');
+const sessionService = require('../services/sessionService');
+const IssuerApplication = require('../models/IssuerApplication');
+const issuerApplicationService = require('../services/issuerApplicationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -231,4 +241,697 @@ router.put('/users/:userId/role',
   }
 );
 
+// @route   POST /api/admin/users/:walletAddress/revoke-sessions
+// @desc    Sign a compromised wallet out of every device (admin only)
+// @access  Private (Admin)
+router.post('/users/:walletAddress/revoke-sessions',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const user = await User.findByWallet(req.params.walletAddress);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const revoked = await sessionService.revokeAllSessions(user, {
+        reason: 'admin',
+        revokedBy: req.user.walletAddress
+      });
+
+      logger.warn('User sessions revoked by admin', {
+        admin: req.user.walletAddress,
+        targetUser: user.walletAddress,
+        revoked
+      });
+
+      res.json({
+        success: true,
+        data: {
+          walletAddress: user.walletAddress,
+          revokedSessions: revoked,
+          revokedBefore: user.session.revokedBefore
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin revoke sessions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke sessions'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/reconciliation
+// @desc    List recent DB/chain reconciliation reports
+// @access  Private (Admin)
+router.get('/reconciliation',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const reports = await ReconciliationReport.find()
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      res.json({
+        success: true,
+        data: {
+          isRunning: reconciliationService.isRunning,
+          configured: reconciliationService.isConfigured(),
+          reports: reports.map(report => report.toSummaryJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get reconciliation reports error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve reconciliation reports'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/reconciliation/run
+// @desc    Start a reconciliation run; poll the returned report for results
+// @access  Private (Admin)
+router.post('/reconciliation/run',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      if (!reconciliationService.isConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Document registry contract is not configured'
+        });
+      }
+
+      const report = await reconciliationService.start({ triggeredBy: req.user.walletAddress });
+      if (!report) {
+        return res.status(409).json({
+          success: false,
+          error: 'A reconciliation run is already in progress'
+        });
+      }
+
+      logger.info('Reconciliation run started by admin', {
+        admin: req.user.walletAddress,
+        reportId: report._id
+      });
+
+      res.status(202).json({
+        success: true,
+        data: { report: report.toSummaryJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin start reconciliation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start reconciliation'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/reconciliation/:reportId
+// @desc    Get a reconciliation report with its mismatches
+// @access  Private (Admin)
+router.get('/reconciliation/:reportId',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { reportId } = req.params;
+      const { type, open } = req.query;
+
+      const report = mongoose.isValidObjectId(reportId)
+        ? await ReconciliationReport.findById(reportId)
+        : null;
+      if (!report) {
+        return res.status(404).json({
+          success: false,
+          error: 'Reconciliation report not found'
+        });
+      }
+
+      let mismatches = report.mismatches;
+      if (type) {
+        mismatches = mismatches.filter(mismatch => mismatch.type === type);
+      }
+      if (open === 'true') {
+        mismatches = mismatches.filter(mismatch => mismatch.resolution?.status !== 'repaired');
+      }
+
+      res.json({
+        success: true,
+        data: {
+          report: {
+            ...report.toSummaryJSON(),
+            mismatches
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get reconciliation report error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve reconciliation report'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/reconciliation/:reportId/mismatches/:mismatchId/repair
+// @desc    Repair a mismatch: adopt_chain, push_to_chain or dismiss
+// @access  Private (Admin)
+router.post('/reconciliation/:reportId/mismatches/:mismatchId/repair',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { reportId, mismatchId } = req.params;
+      const { action } = req.body;
+
+      const report = mongoose.isValidObjectId(reportId)
+        ? await ReconciliationReport.findById(reportId)
+        : null;
+      const mismatch = report && mongoose.isValidObjectId(mismatchId)
+        ? report.mismatches.id(mismatchId)
+        : null;
+      if (!mismatch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mismatch not found'
+        });
+      }
+
+      if (!mismatch.repairActions.includes(action)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid repair action. Allowed: ${mismatch.repairActions.join(', ')}`
+        });
+      }
+
+      if (mismatch.resolution?.status === 'repaired') {
+        return res.status(409).json({
+          success: false,
+          error: 'Mismatch has already been resolved'
+        });
+      }
+
+      const repaired = await reconciliationService.repair(report, mismatch, action, req.user.walletAddress);
+
+      if (repaired.resolution.status === 'failed') {
+        return res.status(502).json({
+          success: false,
+          error: `Repair failed: ${repaired.resolution.error}`,
+          data: { mismatch: repaired }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { mismatch: repaired }
+      });
+
+    } catch (error) {
+      logger.error('Admin reconciliation repair error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to repair mismatch'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/storage-migrations
+// @desc    Storage migration status and the old-to-new CID audit trail
+// @access  Private (Admin)
+router.get('/storage-migrations',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const query = {};
+      if (req.query.documentHash) {
+        query.documentHash = req.query.documentHash;
+      }
+      if (req.query.chainStatus) {
+        query['chainUpdate.status'] = req.query.chainStatus;
+      }
+
+      const migrations = await StorageMigration.find(query)
+        .sort({ migratedAt: -1 })
+        .limit(limit);
+
+      res.json({
+        success: true,
+        data: {
+          status: await storageMigrationService.getStatus(),
+          migrations
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get storage migrations error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve storage migrations'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/storage-migrations/run
+// @desc    Migrate locally stored files to IPFS now instead of waiting for the job
+// @access  Private (Admin)
+router.post('/storage-migrations/run',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const limit = req.body.limit ? Math.min(parseInt(req.body.limit) || 1, 100) : undefined;
+
+      const results = await storageMigrationService.runMigration({
+        limit,
+        triggeredBy: req.user.walletAddress
+      });
+      if (!results) {
+        return res.status(409).json({
+          success: false,
+          error: 'A storage migration run is already in progress'
+        });
+      }
+
+      logger.info('Storage migration run by admin', {
+        admin: req.user.walletAddress,
+        ...results
+      });
+
+      if (results.pending > 0 && results.providers.length === 0) {
+        return res.status(503).json({
+          success: false,
+          error: 'No IPFS provider is available',
+          data: { results }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { results }
+      });
+
+    } catch (error) {
+      logger.error('Admin storage migration run error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to run storage migration'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/keys
+// @desc    KMS and KEK versions, documents per KEK version and recent key rotations
+// @access  Private (Admin)
+router.get('/keys',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const rotations = await KeyRotation.find()
+        .sort({ createdAt: -1 })
+        .limit(limit);
+
+      res.json({
+        success: true,
+        data: {
+          status: await keyRotationService.getStatus(),
+          rotations: rotations.map(rotation => rotation.toSummaryJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get key status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve key management status'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/keys/rotate
+// @desc    Create a new KEK version and re-wrap every document key with it; poll the
+//          returned rotation for progress. { rotateKek: false } only re-wraps keys left
+//          on older versions.
+// @access  Private (Admin)
+router.post('/keys/rotate',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const rotation = await keyRotationService.start({
+        triggeredBy: req.user.walletAddress,
+        rotateKek: req.body.rotateKek !== false
+      });
+      if (!rotation) {
+        return res.status(409).json({
+          success: false,
+          error: 'A key rotation is already in progress'
+        });
+      }
+
+      logger.info('Key rotation started by admin', {
+        admin: req.user.walletAddress,
+        rotationId: rotation._id
+      });
+
+      res.status(202).json({
+        success: true,
+        data: { rotation: rotation.toSummaryJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin start key rotation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start key rotation'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/keys/rotations/:rotationId
+// @desc    Get a key rotation with the documents it could not re-wrap
+// @access  Private (Admin)
+router.get('/keys/rotations/:rotationId',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { rotationId } = req.params;
+
+      const rotation = mongoose.isValidObjectId(rotationId)
+        ? await KeyRotation.findById(rotationId)
+        : null;
+      if (!rotation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Key rotation not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          rotation: {
+            ...rotation.toSummaryJSON(),
+            failures: rotation.failures
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get key rotation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve key rotation'
+      });
+    }
+  }
+);
+
+// Load an issuer application by id, or respond with 404
+const loadIssuerApplication = async (req, res) => {
+  const { applicationId } = req.params;
+  const application = mongoose.isValidObjectId(applicationId)
+    ? await IssuerApplication.findById(applicationId)
+    : null;
+  if (!application) {
+    res.status(404).json({
+      success: false,
+      error: 'Issuer application not found'
+    });
+  }
+  return application;
+};
+
+// Respond to an approve/reject of an application that was reviewed in the meantime
+const rejectReviewed = (res, application) => res.status(409).json({
+  success: false,
+  error: `Application has already been ${application.status}`
+});
+
+// @route   GET /api/admin/issuer-applications
+// @desc    Get issuer applications, oldest first (default: those waiting for review)
+// @access  Private (Admin)
+router.get('/issuer-applications',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { status = 'pending', page = 1, limit = 20 } = req.query;
+      const skip = (page - 1) * limit;
+
+      const query = status === 'all' ? {} : { status };
+
+      const applications = await IssuerApplication.find(query)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(parseInt(limit));
+
+      const total = await IssuerApplication.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          applications: applications.map(application => application.toPublicJSON()),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Admin get issuer applications error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve issuer applications'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/issuer-applications/:applicationId
+// @desc    Get an issuer application
+// @access  Private (Admin)
+router.get('/issuer-applications/:applicationId',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const application = await loadIssuerApplication(req, res);
+      if (!application) return;
+
+      res.json({
+        success: true,
+        data: { application: application.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin get issuer application error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve issuer application'
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/issuer-applications/:applicationId/documents/:documentId
+// @desc    Download a supporting document of an issuer application
+// @access  Private (Admin)
+router.get('/issuer-applications/:applicationId/documents/:documentId',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { applicationId, documentId } = req.params;
+
+      const result = mongoose.isValidObjectId(applicationId) && mongoose.isValidObjectId(documentId)
+        ? await issuerApplicationService.readSupportingDocument(applicationId, documentId)
+        : null;
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Supporting document not found'
+        });
+      }
+
+      const { supportingDocument, buffer } = result;
+      res.set({
+        'Content-Type': supportingDocument.mimeType || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${encodeURIComponent(supportingDocument.filename)}"`,
+        'Content-Length': buffer.length
+      });
+      res.send(buffer);
+
+    } catch (error) {
+      logger.error('Admin download supporting document error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve supporting document'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/issuer-applications/:applicationId/approve
+// @desc    Approve an issuer application: the applicant becomes an issuer, also on-chain
+// @access  Private (Admin)
+router.post('/issuer-applications/:applicationId/approve',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const application = await loadIssuerApplication(req, res);
+      if (!application) return;
+      if (application.status !== 'pending') {
+        return rejectReviewed(res, application);
+      }
+
+      let approved;
+      try {
+        approved = await issuerApplicationService.approve(application._id, {
+          reviewedBy: req.user.walletAddress,
+          comments: req.body.comments
+        });
+      } catch (approveError) {
+        if (!['INSTITUTION_EXISTS', 'MEMBER_OF_OTHER_INSTITUTION'].includes(approveError.code)) throw approveError;
+        return res.status(409).json({
+          success: false,
+          error: approveError.message
+        });
+      }
+      if (!approved) {
+        return rejectReviewed(res, await IssuerApplication.findById(application._id));
+      }
+
+      // As with PUT /api/users/:walletAddress/role, the role is granted even if the
+      // blockchain transaction failed; the assignment can be retried
+      const onChain = approved.roleAssignment?.status !== 'failed';
+      res.status(onChain ? 200 : 207).json({
+        success: true,
+        ...(onChain ? {} : { warning: 'Issuer role granted but blockchain role assignment failed' }),
+        data: { application: approved.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin approve issuer application error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to approve issuer application'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/issuer-applications/:applicationId/reject
+// @desc    Reject an issuer application; comments are shown to the applicant
+// @access  Private (Admin)
+router.post('/issuer-applications/:applicationId/reject',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const { comments } = req.body;
+      if (typeof comments !== 'string' || !comments.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comments explaining the rejection are required'
+        });
+      }
+
+      const application = await loadIssuerApplication(req, res);
+      if (!application) return;
+      if (application.status !== 'pending') {
+        return rejectReviewed(res, application);
+      }
+
+      const rejected = await issuerApplicationService.reject(application._id, {
+        reviewedBy: req.user.walletAddress,
+        comments
+      });
+      if (!rejected) {
+        return rejectReviewed(res, await IssuerApplication.findById(application._id));
+      }
+
+      res.json({
+        success: true,
+        data: { application: rejected.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin reject issuer application error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reject issuer application'
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/issuer-applications/:applicationId/assign-role
+// @desc    Retry the on-chain issuer role assignment of an approved application
+// @access  Private (Admin)
+router.post('/issuer-applications/:applicationId/assign-role',
+  authenticateToken,
+  requireRole('admin'),
+  async (req, res) => {
+    try {
+      const application = await loadIssuerApplication(req, res);
+      if (!application) return;
+      if (application.status !== 'approved' || application.roleAssignment?.status !== 'failed') {
+        return res.status(409).json({
+          success: false,
+          error: 'Application has no failed role assignment to retry'
+        });
+      }
+
+      const updated = await issuerApplicationService.assignRole(application, req.user.walletAddress);
+      const onChain = updated.roleAssignment.status === 'confirmed';
+      res.status(onChain ? 200 : 502).json({
+        success: onChain,
+        ...(onChain ? {} : { error: `Blockchain role assignment failed: ${updated.roleAssignment.error}` }),
+        data: { application: updated.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Admin assign issuer role error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to assign issuer role'
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,298 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const ApiKey = require('../models/ApiKey');
+const apiKeyService = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SCOPES = ApiKey.schema.path('scopes').caster.enumValues;
+
+const rateLimitValidation = [
+  body('rateLimit.perMinute')
+    .optional()
+    .isInt({ min: 1, max: apiKeyService.config.maxPerMinute })
+    .withMessage(`Requests per minute must be between 1 and ${apiKeyService.config.maxPerMinute}`)
+    .toInt(),
+  body('rateLimit.perDay')
+    .optional()
+    .isInt({ min: 1, max: apiKeyService.config.maxPerDay })
+    .withMessage(`Requests per day must be between 1 and ${apiKeyService.config.maxPerDay}`)
+    .toInt()
+];
+
+const scopesValidation = (field) => body(field)
+  .isArray({ min: 1 })
+  .withMessage(`Scopes must be a list with at least one of: ${SCOPES.join(', ')}`)
+  .custom(scopes => scopes.every(scope => SCOPES.includes(scope)))
+  .withMessage(`Allowed scopes: ${SCOPES.join(', ')}`);
+
+// Load the key named by :keyId. Admins can manage any key, verifiers their own; other
+// keys are reported as not found.
+const loadApiKey = async (req, res) => {
+  const apiKey = await ApiKey.findOne({ keyId: req.params.keyId });
+  if (!apiKey || (req.user.role !== 'admin' && !apiKey.owner.equals(req.user._id))) {
+    res.status(404).json({
+      success: false,
+      error: 'API key not found'
+    });
+    return null;
+  }
+  return apiKey;
+};
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys
+// @access  Private (Verifier)
+router.get('/', authenticateToken, requireRole('verifier'), async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ owner: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: apiKeys.map(apiKey => apiKey.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve API keys'
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key. The key is only returned in this response.
+// @access  Private (Verifier)
+router.post('/',
+  authenticateToken,
+  requireRole('verifier'),
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name is required'),
+  scopesValidation('scopes'),
+  ...rateLimitValidation,
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Expiry must be between 1 and 730 days')
+    .toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const activeKeys = await ApiKey.countDocuments({
+        owner: req.user._id,
+        status: 'active',
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+      });
+      if (activeKeys >= apiKeyService.config.maxActiveKeysPerOwner) {
+        return res.status(409).json({
+          success: false,
+          error: `At most ${apiKeyService.config.maxActiveKeysPerOwner} active API keys are allowed; revoke one first`
+        });
+      }
+
+      const { name, scopes, rateLimit, expiresInDays } = req.body;
+      const { apiKey, key } = await apiKeyService.createKey(req.user, {
+        name,
+        scopes,
+        rateLimit,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this key now; it will not be shown again',
+        data: {
+          apiKey: apiKey.toPublicJSON(),
+          key
+        }
+      });
+
+    } catch (error) {
+      logger.error('Create API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create API key'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/api-keys/:keyId
+// @desc    Rename an API key or change its scopes and rate limits
+// @access  Private (Verifier)
+router.put('/:keyId',
+  authenticateToken,
+  requireRole('verifier'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be 1-100 characters'),
+  scopesValidation('scopes').optional(),
+  ...rateLimitValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const apiKey = await loadApiKey(req, res);
+      if (!apiKey) return;
+
+      if (!apiKey.isUsable()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Revoked or expired API keys cannot be changed'
+        });
+      }
+
+      const { name, scopes, rateLimit = {} } = req.body;
+      if (name !== undefined) apiKey.name = name;
+      if (scopes !== undefined) apiKey.scopes = [...new Set(scopes)];
+      if (rateLimit.perMinute !== undefined) apiKey.rateLimit.perMinute = rateLimit.perMinute;
+      if (rateLimit.perDay !== undefined) apiKey.rateLimit.perDay = rateLimit.perDay;
+      await apiKey.save();
+
+      logger.info('API key updated', {
+        keyId: apiKey.keyId,
+        updatedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        data: { apiKey: apiKey.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Update API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update API key'
+      });
+    }
+  }
+);
+
+// @route   POST /api/api-keys/:keyId/rotate
+// @desc    Replace an API key. The old key keeps working for the grace period (default 24h).
+// @access  Private (Verifier)
+router.post('/:keyId/rotate',
+  authenticateToken,
+  requireRole('verifier'),
+  body('gracePeriodHours')
+    .optional()
+    .isInt({ min: 0, max: apiKeyService.config.maxRotationGraceHours })
+    .withMessage(`Grace period must be between 0 and ${apiKeyService.config.maxRotationGraceHours} hours`)
+    .toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const previous = await loadApiKey(req, res);
+      if (!previous) return;
+
+      if (!previous.isUsable() || previous.replacedBy) {
+        return res.status(409).json({
+          success: false,
+          error: previous.replacedBy
+            ? `API key has already been rotated to ${previous.replacedBy}`
+            : 'Revoked or expired API keys cannot be rotated'
+        });
+      }
+
+      const { apiKey, key } = await apiKeyService.rotateKey(
+        previous,
+        { gracePeriodHours: req.body.gracePeriodHours },
+        req.user.walletAddress
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Store this key now; it will not be shown again',
+        data: {
+          apiKey: apiKey.toPublicJSON(),
+          key,
+          previous: previous.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Rotate API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to rotate API key'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/api-keys/:keyId
+// @desc    Revoke an API key immediately
+// @access  Private (Verifier)
+router.delete('/:keyId', authenticateToken, requireRole('verifier'), async (req, res) => {
+  try {
+    const apiKey = await loadApiKey(req, res);
+    if (!apiKey) return;
+
+    if (apiKey.status === 'revoked') {
+      return res.status(409).json({
+        success: false,
+        error: 'API key has already been revoked'
+      });
+    }
+
+    await apiKeyService.revokeKey(apiKey, req.user.walletAddress);
+
+    res.json({
+      success: true,
+      data: { apiKey: apiKey.toPublicJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+// @route   GET /api/api-keys/:keyId/usage
+// @desc    Get usage statistics for an API key (default: last 30 days)
+// @access  Private (Verifier)
+router.get('/:keyId/usage',
+  authenticateToken,
+  requireRole('verifier'),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Days must be between 1 and 90')
+    .toInt(),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const apiKey = await loadApiKey(req, res);
+      if (!apiKey) return;
+
+      res.json({
+        success: true,
+        data: {
+          usage: await apiKeyService.getUsage(apiKey, req.query.days || 30)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get API key usage error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve API key usage'
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,15 @@
 const express = require("express");
-const { body, validationResult } = require("express-validator");
+const jwt = require("jsonwebtoken");
+const { body, param, validationResult } = require("express-validator");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const sessionService = require("../services/sessionService");
 const {
   generateToken,
   verifySignature,
+  getSiweConfig,
   generateSignMessage,
+  validateLegacyMessage,
   authenticateToken,
   validateWalletAddress,
   logAuthEvent,
@@ -13,11 +18,39 @@ const {
   handleValidationErrors
 } = require("../middleware/validation");
 const logger = require("../utils/logger");
+const {
+  isSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage,
+} = require("../utils/siwe");
 
 const router = express.Router();
 
+// Access and refresh tokens for a session, as returned by /verify and /refresh
+const sessionTokens = (user, session, refreshToken) => {
+  const token = generateToken(user._id, user.walletAddress, session.sessionId);
+  return {
+    token,
+    expiresAt: new Date(jwt.decode(token).exp * 1000),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+};
+
+const formatUser = (user) => ({
+  id: user._id,
+  walletAddress: user.walletAddress,
+  role: user.role,
+  permissions: user.permissions,
+  profile: user.profile,
+  institution: user.institution,
+  institutionRole: user.institutionRole,
+  isVerified: user.isVerified,
+});
+
 // @route   POST /api/auth/nonce
-// @desc    Get nonce for wallet signature
+// @desc    Get nonce for a Sign-In with Ethereum (EIP-4361) message. `message` is the
+//          legacy free-text message, kept for older clients during the transition.
 // @access  Public
 router.post(
   "/nonce",
@@ -31,26 +64,15 @@ router.post(
   // Auth middleware
   async (req, res) => {
     try {
-      const { walletAddress, role } = req.body;
+      const { walletAddress } = req.body;
 
       let user = await User.findByWallet(walletAddress);
 
       if (!user) {
-        // Create new user with specified role or default to student
-        const userRole = role || "student";
-        user = await User.createWithRole(walletAddress, userRole);
-        logger.info("New user created:", { walletAddress, role: userRole });
-      } else if (role && user.role !== role) {
-        // Update user role if different
-        user.role = role;
-        const permissions = {
-          admin: { canIssue: true, canVerify: true, canTransfer: true },
-          issuer: { canIssue: true, canVerify: true, canTransfer: false },
-          verifier: { canIssue: false, canVerify: true, canTransfer: false },
-          student: { canIssue: false, canVerify: true, canTransfer: false }
-        };
-        user.permissions = permissions[role] || permissions.student;
-        logger.info("User role updated:", { walletAddress, oldRole: user.role, newRole: role });
+        // New wallets start as students; other roles are granted by admins, issuers
+        // through an approved issuer application
+        user = await User.createWithRole(walletAddress, "student");
+        logger.info("New user created:", { walletAddress, role: "student" });
       }
 
       // Generate new nonce
@@ -66,6 +88,7 @@ router.post(
           message,
           nonce,
           timestamp,
+          expiresAt: user.session.nonceExpiresAt,
           walletAddress,
         },
       });
@@ -83,7 +106,8 @@ router.post(
 );
 
 // @route   POST /api/auth/verify
-// @desc    Verify wallet signature and authenticate user
+// @desc    Verify a signed Sign-In with Ethereum message (or, while SIWE_ALLOW_LEGACY
+//          allows it, a legacy message and nonce) and authenticate user
 // @access  Public
 router.post(
   "/verify",
@@ -100,8 +124,9 @@ router.post(
     .notEmpty()
     .withMessage("Message is required"),
   body("nonce")
-    .notEmpty()
-    .withMessage("Nonce is required"),
+    .optional()
+    .isString()
+    .withMessage("Nonce must be a string"),
   handleValidationErrors,
   // Auth middleware
   async (req, res) => {
@@ -116,7 +141,38 @@ router.post(
         });
       }
 
-      const { walletAddress, signature, message, nonce } = req.body;
+      const { walletAddress, signature, message } = req.body;
+      const siweConfig = getSiweConfig();
+      const isSiwe = isSiweMessage(message);
+
+      if (!isSiwe && !siweConfig.allowLegacy) {
+        return res.status(400).json({
+          success: false,
+          error: "A Sign-In with Ethereum message is required",
+        });
+      }
+
+      let siweFields;
+      if (isSiwe) {
+        try {
+          siweFields = parseSiweMessage(message);
+        } catch (parseError) {
+          return res.status(400).json({
+            success: false,
+            error: "Invalid Sign-In with Ethereum message",
+            details: parseError.message,
+          });
+        }
+      }
+
+      // A SIWE message carries its own nonce
+      const nonce = isSiwe ? siweFields.nonce : req.body.nonce;
+      if (!nonce) {
+        return res.status(400).json({
+          success: false,
+          error: "Nonce is required",
+        });
+      }
 
       // Find user
       const user = await User.findByWallet(walletAddress);
@@ -127,14 +183,45 @@ router.post(
         });
       }
 
-      // Verify nonce matches
-      if (user.session.nonce !== nonce) {
+      // Verify nonce matches and has not expired
+      if (!user.isNonceValid(nonce)) {
         return res.status(400).json({
           success: false,
           error: "Invalid or expired nonce",
         });
       }
 
+      if (isSiwe) {
+        const rejection = validateSiweMessage(siweFields, {
+          address: walletAddress,
+          domains: siweConfig.domains,
+          chainIds: siweConfig.chainIds,
+        });
+        if (rejection) {
+          logger.warn("Sign-In with Ethereum message rejected:", { walletAddress, reason: rejection });
+          return res.status(401).json({
+            success: false,
+            error: "Invalid Sign-In with Ethereum message",
+            details: rejection,
+          });
+        }
+      } else {
+        const rejection = validateLegacyMessage(message, {
+          walletAddress,
+          nonce,
+          maxAgeMs: siweConfig.nonceTtlMs,
+        });
+        if (rejection) {
+          logger.warn("Legacy sign-in message rejected:", { walletAddress, reason: rejection });
+          return res.status(401).json({
+            success: false,
+            error: "Invalid sign-in message",
+            details: rejection,
+          });
+        }
+        logger.warn("Legacy sign-in message used:", { walletAddress });
+      }
+
       // Verify signature
       const isValidSignature = verifySignature(
         message,
@@ -152,8 +239,8 @@ router.post(
       // Update user session
       await user.updateLastLogin();
 
-      // Generate JWT token
-      const token = generateToken(user._id, walletAddress);
+      // Start a session for this device
+      const { session, refreshToken } = await sessionService.createSession(user, req);
 
       // Generate new nonce for next authentication
       user.generateNonce();
@@ -162,20 +249,14 @@ router.post(
       logger.info("User authenticated successfully:", {
         walletAddress,
         role: user.role,
+        sessionId: session.sessionId,
       });
 
       res.json({
         success: true,
         data: {
-          token,
-          user: {
-            id: user._id,
-            walletAddress: user.walletAddress,
-            role: user.role,
-            permissions: user.permissions,
-            profile: user.profile,
-            isVerified: user.isVerified,
-          },
+          ...sessionTokens(user, session, refreshToken),
+          user: formatUser(user),
         },
       });
     } catch (error) {
@@ -192,30 +273,52 @@ router.post(
 );
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh JWT token
-// @access  Private
+// @desc    Exchange a refresh token for a new access token and refresh token. The old
+//          refresh token stops working; presenting it again revokes the session.
+//          Access tokens from before sessions existed can be sent instead, once, to be
+//          moved onto a session.
+// @access  Public (refresh token) / Private (legacy access token)
 router.post(
   "/refresh",
-  authenticateToken,
+  body("refreshToken")
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage("Invalid refresh token"),
+  handleValidationErrors,
+  (req, res, next) => (req.body.refreshToken ? next() : authenticateToken(req, res, next)),
   async (req, res) => {
     try {
-      const user = req.user;
-
-      // Generate new token
-      const token = generateToken(user._id, user.walletAddress);
+      let user;
+      let session;
+      let refreshToken;
+
+      if (req.body.refreshToken) {
+        try {
+          ({ user, session, refreshToken } = await sessionService.refresh(req.body.refreshToken, req));
+        } catch (refreshError) {
+          if (!refreshError.code) throw refreshError;
+          return res.status(401).json({
+            success: false,
+            error: refreshError.message,
+            code: refreshError.code,
+          });
+        }
+      } else if (req.sessionId) {
+        return res.status(400).json({
+          success: false,
+          error: "Refresh token is required",
+        });
+      } else {
+        user = req.user;
+        ({ session, refreshToken } = await sessionService.createSession(user, req));
+      }
 
       res.json({
         success: true,
         data: {
-          token,
-          user: {
-            id: user._id,
-            walletAddress: user.walletAddress,
-            role: user.role,
-            permissions: user.permissions,
-            profile: user.profile,
-            isVerified: user.isVerified,
-          },
+          ...sessionTokens(user, session, refreshToken),
+          user: formatUser(user),
         },
       });
     } catch (error) {
@@ -232,7 +335,7 @@ router.post(
 );
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (invalidate session)
+// @desc    Logout user (revoke this device's session and its tokens)
 // @access  Private
 router.post(
   "/logout",
@@ -241,12 +344,20 @@ router.post(
     try {
       const user = req.user;
 
-      // Deactivate user session
-      user.session.isActive = false;
-      user.generateNonce(); // Generate new nonce to invalidate any cached tokens
-      await user.save();
+      if (req.sessionId) {
+        await sessionService.revokeSession(req.sessionId, {
+          userId: user._id,
+          reason: "logout",
+          revokedBy: user.walletAddress,
+        });
+      } else {
+        // Tokens from before sessions existed can only be stopped by deactivating the user
+        user.session.isActive = false;
+        user.generateNonce(); // Generate new nonce to invalidate any cached tokens
+        await user.save();
+      }
 
-      logger.info("User logged out:", { walletAddress: user.walletAddress });
+      logger.info("User logged out:", { walletAddress: user.walletAddress, sessionId: req.sessionId });
 
       res.json({
         success: true,
@@ -265,6 +376,103 @@ router.post(
   }
 );
 
+// @route   GET /api/auth/sessions
+// @desc    List the signed-in devices of the current user
+// @access  Private
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveByUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => sessionService.format(session, req.sessionId)),
+      },
+    });
+  } catch (error) {
+    logger.error("List sessions failed:", {
+      error: error.message,
+      userId: req.user?._id,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to list sessions",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device of the current user
+// @access  Private
+router.delete("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, {
+      reason: "user",
+      revokedBy: req.user.walletAddress,
+      exceptSessionId: req.sessionId,
+    });
+
+    logger.info("Other sessions revoked:", { walletAddress: req.user.walletAddress, revoked });
+
+    res.json({
+      success: true,
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error("Revoke sessions failed:", {
+      error: error.message,
+      userId: req.user?._id,
+    });
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke sessions",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Sign out one device of the current user
+// @access  Private
+router.delete(
+  "/sessions/:sessionId",
+  authenticateToken,
+  param("sessionId").matches(/^[a-f0-9]{32}$/).withMessage("Invalid session ID"),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      const revoked = await sessionService.revokeSession(sessionId, {
+        userId: req.user._id,
+        reason: "user",
+        revokedBy: req.user.walletAddress,
+      });
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: "Session not found",
+        });
+      }
+
+      logger.info("Session revoked:", { walletAddress: req.user.walletAddress, sessionId });
+
+      res.json({
+        success: true,
+        data: { sessionId, current: sessionId === req.sessionId },
+      });
+    } catch (error) {
+      logger.error("Revoke session failed:", {
+        error: error.message,
+        userId: req.user?._id,
+      });
+      res.status(500).json({
+        success: false,
+        error: "Failed to revoke session",
+      });
+    }
+  }
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -303,7 +511,7 @@ router.get("/me", authenticateToken, async (req, res) => {
 });
 
 // @route   POST /api/auth/register
-// @desc    Register new user with wallet address
+// @desc    Register new student with wallet address
 // @access  Public
 router.post(
   "/register",
@@ -319,6 +527,13 @@ router.post(
     try {
       const { walletAddress, name, email, role } = req.body;
 
+      if (role && role !== 'student') {
+        return res.status(403).json({
+          success: false,
+          error: "Only student accounts can be self-registered; institutions apply for the issuer role at /api/issuer-applications"
+        });
+      }
+
       // Check if user already exists
       const existingUser = await User.findByWallet(walletAddress);
       if (existingUser) {
@@ -339,9 +554,7 @@ router.post(
         }
       }
 
-      // Create new user with specified role or default to 'student'
-      const userRole = role || 'student';
-      const user = await User.createWithRole(walletAddress, userRole);
+      const user = await User.createWithRole(walletAddress, 'student');
 
       // Update profile if provided
       if (name) {
@@ -354,7 +567,7 @@ router.post(
 
       logger.info("User registered successfully:", {
         walletAddress,
-        role: userRole,
+        role: user.role,
         hasEmail: !!email
       });
 
@@ -1,13 +1,24 @@
+const fs = require('fs');
+const stream = require('stream');
+const { pipeline } = require('stream/promises');
 const express = require('express');
 const multer = require('multer');
 const { body, validationResult, param } = require('express-validator');
 const Document = require('../models/Document');
 const User = require('../models/User');
 const VerificationLog = require('../models/VerificationLog');
+const ShareLink = require('../models/ShareLink');
+const Revocation = require('../models/Revocation');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
 const {
   authenticateToken,
+  authenticateApiKey,
   requireRole,
-  requirePermission
+  requirePermission,
+  verifySignature,
+  generateTransferMessage,
+  generateShareToken,
+  verifyShareToken
 } = require('../middleware/auth');
 const {
   requireDocumentStorageConsent,
@@ -23,17 +34,26 @@ const {
   validateFile
 } = require('../middleware/validation');
 const { validationRules } = require('../utils/validation');
+const { verifyMerkleProof } = require('../utils/merkleTree');
 const ipfsService = require('../services/ipfsService');
 const encryptionService = require('../services/encryptionService');
+const documentKeyService = require('../services/documentKeyService');
 const blockchainService = require('../services/blockchainService');
+const blockchainOptimizationService = require('../services/blockchainOptimizationService');
+const transactionTrackerService = require('../services/transactionTrackerService');
 const qrcodeService = require('../services/qrcodeService');
+const credentialService = require('../services/credentialService');
 const dbOptimizationService = require('../services/databaseOptimizationService');
 const batchProcessingService = require('../services/batchProcessingService');
+const webhookService = require('../services/webhookService');
+const institutionService = require('../services/institutionService');
+const { auditLogger } = require('../utils/auditLogger');
 const logger = require('../utils/logger');
 
 // File constants
 const FILE_SIZE_LIMITS = {
-  document: 10 * 1024 * 1024, // 10MB
+  // Uploads are spooled to disk and encrypted in chunks, so this is not bounded by memory
+  document: parseInt(process.env.MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
   image: 5 * 1024 * 1024,     // 5MB
   default: 10 * 1024 * 1024   // 10MB
 };
@@ -44,17 +64,413 @@ const ALLOWED_FILE_TYPES = {
   all: ['pdf', 'doc', 'docx', 'txt', 'jpg', 'jpeg', 'png', 'gif']
 };
 
+// Signed ownership transfer requests are only accepted for this long after signing
+const TRANSFER_SIGNATURE_TTL = 10 * 60 * 1000; // 10 minutes
+
+// Share grants default to 30 days and may not exceed one year
+const SHARE_GRANT_DEFAULT_TTL = 30 * 24 * 60 * 60 * 1000;
+const SHARE_GRANT_MAX_TTL = 365 * 24 * 60 * 60 * 1000;
+
+// Anonymous share links default to 7 days and may not exceed one year
+const SHARE_LINK_DEFAULT_HOURS = 7 * 24;
+const SHARE_LINK_MAX_HOURS = 365 * 24;
+
+// Maximum number of documents anchored under a single Merkle root
+const MERKLE_BATCH_MAX_SIZE = 256;
+
+// Maximum number of rows returned by a CSV export of verification history
+const VERIFICATION_EXPORT_LIMIT = 10000;
+
+// Fields sent with the document.registered webhook once a document is on-chain
+const registeredEventData = (document) => ({
+  transactionHash: document.blockchain.transactionHash,
+  blockNumber: document.blockchain.blockNumber,
+  merkleRoot: document.blockchain.merkle?.root || null,
+  version: document.version?.number || 1,
+  supersedes: document.version?.previousHash || null
+});
+
+// Escape a value for inclusion in a CSV cell. Cells a spreadsheet would read as a
+// formula are prefixed with a quote so they are shown as text.
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Error carrying a message that is safe to return to the client
+const retrievalError = (clientMessage, cause) => {
+  const error = new Error(cause ? cause.message : clientMessage);
+  error.clientMessage = clientMessage;
+  return error;
+};
+
+// Decrypted bytes read before a download response starts. Files that fit are decrypted
+// and integrity-checked in full first; larger ones still surface storage, key and format
+// errors before anything is sent.
+const DOWNLOAD_PREFETCH_BYTES = 1024 * 1024;
+
+// The file key is stored wrapped with a KEK from the KMS. Documents from the old /upload
+// route stored it raw, and legacy envelopes also embed it, so decryption falls back to
+// the embedded key when no stored key can be recovered.
+const resolveDocumentKey = async (document) => {
+  try {
+    return await encryptionService.decryptKeyFromStorage(JSON.parse(document.encryptionKey));
+  } catch (error) {
+    if (/^[A-Za-z0-9+/]{43}=$/.test(document.encryptionKey || '')) {
+      return document.encryptionKey;
+    }
+
+    logger.error('Failed to decrypt encryption key from storage', {
+      documentHash: document.documentHash,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+// Read from a stream until `limit` bytes have arrived or it ends, leaving it paused
+const prefetch = (readable, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let length = 0;
+
+  const finish = (error, ended) => {
+    readable.off('data', onData);
+    readable.off('end', onEnd);
+    readable.off('error', onError);
+    if (error) return reject(error);
+    resolve({ head: Buffer.concat(chunks), ended });
+  };
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    if (length >= limit) {
+      readable.pause();
+      finish(null, false);
+    }
+  };
+  const onEnd = () => finish(null, true);
+  const onError = (error) => finish(error);
+
+  readable.on('data', onData);
+  readable.once('end', onEnd);
+  readable.once('error', onError);
+});
+
+// Open a document for download: stream it from IPFS/local storage through decryption
+// and a SHA-256 check against the document hash. Resolves to { head, stream }, where
+// stream carries the rest of the file or is null if head is the whole file.
+// Throws errors with a clientMessage for failures the caller should report as-is.
+const openDecryptedDocument = async (document) => {
+  const { documentHash } = document;
+
+  const source = await ipfsService.retrieveFileStream(document.ipfsHash, document.storage?.replicas);
+
+  // Errors from any stage are delivered on the last stream
+  const decrypted = stream.pipeline(
+    source,
+    encryptionService.createDecryptStream(await resolveDocumentKey(document)),
+    encryptionService.createIntegrityCheckStream(documentHash),
+    () => {}
+  );
+
+  try {
+    const { head, ended } = await prefetch(decrypted, DOWNLOAD_PREFETCH_BYTES);
+    logger.info('Document decryption started', { documentHash, ipfsHash: document.ipfsHash, complete: ended });
+    return { head, stream: ended ? null : decrypted };
+  } catch (error) {
+    logger.error('Failed to decrypt document', {
+      documentHash,
+      error: error.message,
+      ipfsHash: document.ipfsHash
+    });
+
+    if (error.code === 'INTEGRITY_MISMATCH') {
+      throw retrievalError('File integrity verification failed');
+    }
+    if (error.code === 'UNSUPPORTED_FORMAT') {
+      throw retrievalError('Document is in an incompatible legacy format and cannot be downloaded. Please re-upload the document.');
+    }
+    throw retrievalError(
+      'Failed to decrypt document. The file may be corrupted or in an incompatible format. Please re-upload the document.',
+      error
+    );
+  }
+};
+
+// Send a download opened with openDecryptedDocument. Chunks are authenticated before
+// they are released, and if the remainder fails part-way the connection is cut so the
+// client sees an incomplete transfer rather than a complete-looking file.
+const sendDecryptedDocument = (res, document, { head, stream: remainder }) => {
+  res.setHeader('Content-Type', document.fileInfo.mimeType);
+  res.setHeader('Content-Disposition', `attachment; filename="${document.fileInfo.originalName}"`);
+
+  if (!remainder) {
+    res.setHeader('Content-Length', head.length);
+    return res.send(head);
+  }
+
+  res.setHeader('Content-Length', document.fileInfo.size);
+  res.write(head);
+  stream.pipeline(remainder, res, (error) => {
+    if (error) {
+      logger.error('Document download aborted', {
+        documentHash: document.documentHash,
+        error: error.message
+      });
+    }
+  });
+};
+
+// Encrypt a file multer spooled to disk into the chunked format and store it, so memory
+// use does not grow with the file size
+const storeEncryptedUpload = async (file, encryptionKey, metadata) => {
+  const encryptedPath = `${file.path}.enc`;
+
+  try {
+    await pipeline(
+      fs.createReadStream(file.path),
+      encryptionService.createEncryptStream(encryptionKey),
+      fs.createWriteStream(encryptedPath)
+    );
+    const { size } = await fs.promises.stat(encryptedPath);
+
+    return await ipfsService.uploadFile(
+      { path: encryptedPath, size },
+      `encrypted_${file.originalname}`,
+      metadata,
+      true
+    );
+  } finally {
+    await fs.promises.rm(encryptedPath, { force: true });
+  }
+};
+
+// Response shape of a key rotation started by revoking access
+const formatKeyRotation = (rotation) => rotation && {
+  rotationId: rotation._id,
+  status: rotation.status,
+  keyVersion: rotation.keyVersion
+};
+
+// Store a file that was already encrypted in the uploader's browser, as it is
+const storeClientEncryptedUpload = (file, metadata) =>
+  ipfsService.uploadFile(
+    { path: file.path, size: file.size },
+    `encrypted_${file.originalname}`,
+    metadata,
+    true
+  );
+
+// End-to-end encrypted uploads (encryptionMode=client) send the ciphertext, in the same
+// chunked format the server writes, as the file and a clientEncryption JSON field:
+//   { documentHash, size, wrappedKeys: [{ address, wrappedKey }] }
+// documentHash and size describe the plaintext, which the server never sees, so the hash
+// is taken on trust from the uploader like the rest of the metadata. Keys may only be
+// wrapped for `readers` (owner first) and the owner's is required.
+// Returns { error } when the upload cannot be accepted.
+const readClientEncryption = async (req, readers) => {
+  let declared;
+  try {
+    declared = JSON.parse(req.body.clientEncryption || 'null');
+  } catch (error) {
+    declared = null;
+  }
+  if (!declared || typeof declared !== 'object') {
+    return { error: 'clientEncryption must be a JSON object' };
+  }
+
+  const { documentHash, size, wrappedKeys } = declared;
+  if (!/^0x[a-fA-F0-9]{64}$/.test(documentHash || '')) {
+    return { error: 'Invalid document hash format' };
+  }
+  if (!Number.isInteger(size) || size < 0 || size > FILE_SIZE_LIMITS.document) {
+    return { error: 'Invalid document size' };
+  }
+  if (!Array.isArray(wrappedKeys)) {
+    return { error: 'wrappedKeys must be an array' };
+  }
+
+  const keys = new Map();
+  for (const entry of wrappedKeys) {
+    const address = typeof entry?.address === 'string' ? entry.address.toLowerCase() : null;
+    if (!readers.includes(address)) {
+      return { error: 'Document keys can only be wrapped for the owner and issuer when uploading' };
+    }
+    if (!encryptionService.isValidWrappedKey(entry.wrappedKey)) {
+      return { error: `Invalid wrapped document key for ${address}` };
+    }
+    keys.set(address, entry.wrappedKey);
+  }
+  if (!keys.has(readers[0])) {
+    return { error: 'A wrapped document key for the owner is required' };
+  }
+
+  // The file must be a complete chunked-format ciphertext of the declared plaintext size
+  const head = Buffer.alloc(16);
+  const handle = await fs.promises.open(req.file.path, 'r');
+  try {
+    await handle.read(head, 0, head.length, 0);
+  } finally {
+    await handle.close();
+  }
+  const header = encryptionService.parseStreamHeader(head);
+  if (!header || encryptionService.getEncryptedSize(size, header.chunkSize) !== req.file.size) {
+    return { error: 'Uploaded file is not an end-to-end encrypted document of the declared size' };
+  }
+
+  return {
+    documentHash: documentHash.toLowerCase(),
+    size,
+    wrappedKeys: [...keys].map(([address, wrappedKey]) => ({
+      address,
+      wrappedKey,
+      wrappedBy: req.user.walletAddress
+    }))
+  };
+};
+
+// Send the stored ciphertext of an end-to-end encrypted document; the reader's browser
+// decrypts it with the document key wrapped for them
+const sendStoredCiphertext = async (res, document) => {
+  const source = await ipfsService.retrieveFileStream(document.ipfsHash, document.storage?.replicas);
+
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${document.fileInfo.originalName}.enc"`);
+  res.setHeader('X-Encryption-Mode', 'client');
+  stream.pipeline(source, res, (error) => {
+    if (error) {
+      logger.error('Encrypted document download aborted', {
+        documentHash: document.documentHash,
+        error: error.message
+      });
+    }
+  });
+};
+
+// Check a document against DocumentRegistry. Batch-anchored documents are checked by
+// proving inclusion under their anchored Merkle root instead of by direct lookup.
+const verifyOnChain = async (document) => {
+  const merkle = document.blockchain?.merkle;
+  if (!merkle?.root) {
+    return blockchainService.verifyDocument(document.documentHash);
+  }
+
+  // A stored proof that does not lead to the stored root can never verify on-chain
+  if (!verifyMerkleProof(document.documentHash, merkle.proof, merkle.root)) {
+    return {
+      isValid: false,
+      documentHash: document.documentHash,
+      merkleRoot: merkle.root,
+      anchorMode: 'merkle'
+    };
+  }
+
+  const inclusion = await blockchainService.verifyMerkleInclusion(
+    document.documentHash,
+    merkle.root,
+    merkle.proof
+  );
+  return { ...inclusion, anchorMode: 'merkle' };
+};
+
+// Resolve an anonymous share link token and passcode to the link and its document.
+// Returns { status, error } when the link cannot be used, with the public revocation
+// record if the document was revoked. Avoids 401 so that a bad link never clears the
+// session of a signed-in visitor.
+const resolveShareLink = async (token, passcode) => {
+  const payload = verifyShareToken(token);
+  if (!payload) {
+    return { status: 410, error: 'Share link is invalid or has expired' };
+  }
+
+  const link = await ShareLink.findOne({ linkId: payload.linkId }).select('+passcodeHash');
+  if (!link || link.documentHash !== payload.documentHash) {
+    return { status: 404, error: 'Share link not found' };
+  }
+
+  if (!link.isUsable()) {
+    return { status: 410, error: 'Share link has been revoked or has expired' };
+  }
+
+  if (!(await link.checkPasscode(passcode))) {
+    return {
+      status: 403,
+      error: passcode ? 'Incorrect passcode' : 'A passcode is required to open this link',
+      passcodeRequired: true
+    };
+  }
+
+  const document = await Document.findOne({ documentHash: link.documentHash });
+  if (!document) {
+    return { status: 404, error: 'Document not found' };
+  }
+
+  // Recipients of a revoked document are told so, as the public revocation status does
+  if (!document.isActive) {
+    const revocation = await Revocation.findOne({ documentHash: document.documentHash });
+    return revocation
+      ? { status: 410, error: 'Document has been revoked', revocation: revocation.toPublicJSON() }
+      : { status: 404, error: 'Document not found' };
+  }
+
+  return { link, document };
+};
+
+// Resolve the registered document that a new upload declares it supersedes.
+// Returns { status, error } when this user cannot register a new version of it.
+const resolvePreviousVersion = async (previousHash, user) => {
+  const previous = await Document.findOne({ documentHash: previousHash });
+  if (!previous) {
+    return { status: 404, error: 'Superseded document not found' };
+  }
+
+  if (previous.access.issuer !== user.walletAddress && user.role !== 'admin') {
+    return { status: 403, error: 'Only the document issuer or an admin can register a new version' };
+  }
+
+  if (previous.version?.supersededBy ||
+      await Document.exists({ 'version.previousHash': previousHash, isActive: true })) {
+    return { status: 409, error: 'A newer version of this document has already been registered' };
+  }
+
+  return { previous };
+};
+
+// A registration that is not mined before the request ends stays with the transaction
+// tracker, which marks the document stored or failed once it settles
+const isPendingTransaction = (error) => error.cause?.code === 'TRANSACTION_PENDING';
+
+// Register a document on DocumentRegistry. A new version is linked on-chain to its
+// predecessor when the predecessor was registered individually rather than in a batch.
+const registerOnChain = (documentHash, ipfsHash, ownerAddress, metadata, previous) => {
+  if (previous?.blockchain?.transactionHash && !previous.blockchain.merkle?.root) {
+    return blockchainService.registerDocumentVersion(
+      documentHash,
+      previous.documentHash,
+      ipfsHash,
+      ownerAddress,
+      metadata.documentType,
+      metadata
+    );
+  }
+
+  return blockchainService.registerDocument(documentHash, ipfsHash, ownerAddress, metadata);
+};
+
 const router = express.Router();
 
-// Configure multer for file uploads with enhanced security
-const storage = multer.memoryStorage();
+// Configure multer for file uploads with enhanced security. Files are spooled to the OS
+// temp directory rather than held in memory.
+const storage = multer.diskStorage({});
 const upload = multer({
   storage,
   limits: {
     fileSize: FILE_SIZE_LIMITS.document,
     files: 1,
     fieldSize: 1024 * 1024, // 1MB field size limit
-    fields: 10 // Maximum number of fields
+    fields: 16 // Maximum number of fields, including the end-to-end encryption fields
   },
   fileFilter: (req, file, cb) => {
     // Enhanced file validation
@@ -96,6 +512,18 @@ const upload = multer({
   }
 });
 
+// Delete multer's temp file once the response is done, however the request ended
+const removeUploadAfterResponse = (req, res, next) => {
+  res.on('close', () => {
+    if (req.file?.path) {
+      fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    }
+  });
+  next();
+};
+
+const uploadDocument = [removeUploadAfterResponse, upload.single('document')];
+
 // @route   POST /api/documents/student-upload
 // @desc    Allow students to upload their own documents
 // @access  Private (Student role)
@@ -104,7 +532,7 @@ router.post('/student-upload',
   authenticateToken,
   
   // File upload
-  upload.single('document'),
+  ...uploadDocument,
   
   // Input validation
   body('studentName')
@@ -156,7 +584,6 @@ router.post('/student-upload',
       }
 
       const student = req.user;
-      const fileBuffer = req.file.buffer;
       const {
         studentName,
         documentType,
@@ -173,7 +600,7 @@ router.post('/student-upload',
       });
 
       // Step 1: Generate document hash
-      const documentHash = encryptionService.generateFileHash(fileBuffer);
+      const documentHash = await encryptionService.hashFile(req.file.path);
       logger.info('Document hash generated', { documentHash });
 
       // Check if document already exists
@@ -186,24 +613,14 @@ router.post('/student-upload',
         });
       }
 
-      // Step 2: Encrypt document
+      // Steps 2-3: Encrypt document and upload to IPFS
       const encryptionKey = encryptionService.generateKey();
-      const encryptedData = encryptionService.encryptFile(fileBuffer, encryptionKey);
-      logger.info('Document encrypted', { documentHash });
-
-      // Step 3: Upload to IPFS
-      const encryptedBuffer = Buffer.from(JSON.stringify(encryptedData));
-      ipfsResult = await ipfsService.uploadFile(
-        encryptedBuffer,
-        `encrypted_${req.file.originalname}`,
-        {
-          documentHash,
-          studentId: student.walletAddress.substring(0, 10),
-          documentType,
-          issuer: student.walletAddress // Student is both owner and issuer for self-uploaded docs
-        },
-        true
-      );
+      ipfsResult = await storeEncryptedUpload(req.file, encryptionKey, {
+        documentHash,
+        studentId: student.walletAddress.substring(0, 10),
+        documentType,
+        issuer: student.walletAddress // Student is both owner and issuer for self-uploaded docs
+      });
       logger.info('Document uploaded to IPFS', { 
         documentHash, 
         ipfsCid: ipfsResult.cid,
@@ -223,13 +640,17 @@ router.post('/student-upload',
       };
 
       // Encrypt encryption key for storage
-      const encryptedKeyData = encryptionService.encryptKeyForStorage(encryptionKey);
+      const encryptedKeyData = await encryptionService.encryptKeyForStorage(encryptionKey);
 
       // Step 4: Create document record in MongoDB
       document = new Document({
         documentHash,
         ipfsHash: ipfsResult.cid,
         encryptionKey: JSON.stringify(encryptedKeyData),
+        storage: {
+          contentHash: ipfsResult.contentHash,
+          replicas: ipfsResult.replicas
+        },
         metadata,
         access: {
           owner: student.walletAddress,
@@ -273,6 +694,8 @@ router.post('/student-upload',
           blockchainResult.contractAddress
         );
 
+        await webhookService.emit('document.registered', document, registeredEventData(document));
+
         logger.info('Document registered on blockchain', {
           documentHash,
           transactionHash: blockchainResult.transactionHash,
@@ -284,6 +707,10 @@ router.post('/student-upload',
           documentHash,
           error: blockchainError.message
         });
+        if (isPendingTransaction(blockchainError)) {
+          document.status = 'pending';
+          await document.save();
+        }
         // For student uploads, blockchain failure is not critical
         // Document is still saved and can be used
       }
@@ -411,7 +838,7 @@ router.post('/register',
   requirePermission('canIssue'),
   
   // File upload
-  upload.single('document'),
+  ...uploadDocument,
   
   // Input validation
   body('studentName')
@@ -455,6 +882,14 @@ router.post('/register',
     .optional()
     .matches(/^0x[a-fA-F0-9]{40}$/)
     .withMessage('Invalid wallet address format'),
+  body('supersedes')
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage('Invalid superseded document hash format'),
+  body('encryptionMode')
+    .optional()
+    .isIn(['server', 'client'])
+    .withMessage('Invalid encryption mode'),
   handleValidationErrors,
   async (req, res) => {
     let document = null;
@@ -481,7 +916,6 @@ router.post('/register',
       }
 
       const issuer = req.user;
-      const fileBuffer = req.file.buffer;
       const {
         studentName,
         studentId,
@@ -492,18 +926,50 @@ router.post('/register',
         grade,
         course,
         description,
-        ownerAddress
+        ownerAddress,
+        supersedes,
+        encryptionMode
       } = req.body;
 
       logger.info('Starting document registration process', {
         filename: req.file.originalname,
         size: req.file.size,
         issuer: issuer.walletAddress,
-        studentId
+        studentId,
+        encryptionMode: encryptionMode || 'server'
       });
 
+      // Members issue under their institution; registered names are reserved for members
+      const issuing = await institutionService.resolveIssuingInstitution(issuer, institutionName);
+      if (issuing.error) {
+        return res.status(issuing.status).json({
+          success: false,
+          error: issuing.error
+        });
+      }
+
+      // Determine owner address
+      const finalOwnerAddress = ownerAddress || issuer.walletAddress;
+
+      // Files encrypted in the browser arrive with their plaintext hash and wrapped keys
+      let clientEncryption = null;
+      if (encryptionMode === 'client') {
+        clientEncryption = await readClientEncryption(req, [
+          finalOwnerAddress.toLowerCase(),
+          issuer.walletAddress
+        ]);
+        if (clientEncryption.error) {
+          return res.status(400).json({
+            success: false,
+            error: clientEncryption.error
+          });
+        }
+      }
+
       // Step 1: Generate document hash (Requirement 1.1)
-      const documentHash = encryptionService.generateFileHash(fileBuffer);
+      const documentHash = clientEncryption
+        ? clientEncryption.documentHash
+        : await encryptionService.hashFile(req.file.path);
       logger.info('Document hash generated', { documentHash });
 
       // Check if document already exists
@@ -516,38 +982,41 @@ router.post('/register',
         });
       }
 
-      // Step 2: Encrypt document (Requirement 3.1)
-      const encryptionKey = encryptionService.generateKey();
-      const encryptedData = encryptionService.encryptFile(fileBuffer, encryptionKey);
-      logger.info('Document encrypted', { documentHash });
-
-      // Step 3: Upload to IPFS (Requirement 1.2, 3.2)
-      const encryptedBuffer = Buffer.from(JSON.stringify(encryptedData));
-      ipfsResult = await ipfsService.uploadFile(
-        encryptedBuffer,
-        `encrypted_${req.file.originalname}`,
-        {
-          documentHash,
-          studentId,
-          documentType,
-          issuer: issuer.walletAddress
-        },
-        true
-      );
+      // A corrected copy declares which registered version it replaces
+      let previousVersion = null;
+      if (supersedes) {
+        const resolved = await resolvePreviousVersion(supersedes, issuer);
+        if (resolved.error) {
+          return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error
+          });
+        }
+        previousVersion = resolved.previous;
+      }
+
+      // Steps 2-3: Encrypt document and upload to IPFS (Requirements 1.2, 3.1, 3.2)
+      const storageMetadata = {
+        documentHash,
+        studentId,
+        documentType,
+        issuer: issuer.walletAddress
+      };
+      const encryptionKey = clientEncryption ? null : encryptionService.generateKey();
+      ipfsResult = clientEncryption
+        ? await storeClientEncryptedUpload(req.file, storageMetadata)
+        : await storeEncryptedUpload(req.file, encryptionKey, storageMetadata);
       logger.info('Document uploaded to IPFS', { 
         documentHash, 
         ipfsCid: ipfsResult.cid,
         provider: ipfsResult.provider 
       });
 
-      // Determine owner address
-      const finalOwnerAddress = ownerAddress || issuer.walletAddress;
-
       // Prepare metadata
       const metadata = {
         studentName,
         studentId,
-        institutionName,
+        institutionName: issuing.institutionName,
         documentType,
         issueDate: new Date(issueDate),
         expiryDate: expiryDate ? new Date(expiryDate) : undefined,
@@ -562,14 +1031,23 @@ router.post('/register',
       }
 
       // Encrypt encryption key for storage
-      const encryptedKeyData = encryptionService.encryptKeyForStorage(encryptionKey);
+      const encryptedKeyData = clientEncryption
+        ? null
+        : await encryptionService.encryptKeyForStorage(encryptionKey);
 
       // Step 4: Create document record in MongoDB
       document = new Document({
         documentHash,
         ipfsHash: ipfsResult.cid,
-        encryptionKey: JSON.stringify(encryptedKeyData),
+        encryptionMode: clientEncryption ? 'client' : 'server',
+        encryptionKey: encryptedKeyData ? JSON.stringify(encryptedKeyData) : undefined,
+        wrappedKeys: clientEncryption?.wrappedKeys,
+        storage: {
+          contentHash: ipfsResult.contentHash,
+          replicas: ipfsResult.replicas
+        },
         metadata,
+        institution: issuing.institution?._id,
         access: {
           owner: finalOwnerAddress,
           issuer: issuer.walletAddress,
@@ -581,8 +1059,12 @@ router.post('/register',
         fileInfo: {
           originalName: req.file.originalname,
           mimeType: req.file.mimetype,
-          size: req.file.size
+          size: clientEncryption ? clientEncryption.size : req.file.size
         },
+        version: previousVersion ? {
+          number: (previousVersion.version?.number || 1) + 1,
+          previousHash: previousVersion.documentHash
+        } : undefined,
         status: 'uploaded'
       });
 
@@ -591,16 +1073,17 @@ router.post('/register',
 
       // Step 5: Register on blockchain (Requirement 1.3, 1.4)
       try {
-        blockchainResult = await blockchainService.registerDocument(
+        blockchainResult = await registerOnChain(
           documentHash,
           ipfsResult.cid,
           finalOwnerAddress,
           {
             studentId,
             documentType,
-            institutionName,
+            institutionName: metadata.institutionName,
             issueDate: metadata.issueDate.toISOString()
-          }
+          },
+          previousVersion
         );
 
         // Update document with blockchain info
@@ -611,6 +1094,8 @@ router.post('/register',
           blockchainResult.contractAddress
         );
 
+        await webhookService.emit('document.registered', document, registeredEventData(document));
+
         logger.info('Document registered on blockchain', {
           documentHash,
           transactionHash: blockchainResult.transactionHash,
@@ -618,6 +1103,22 @@ router.post('/register',
         });
 
       } catch (blockchainError) {
+        if (isPendingTransaction(blockchainError)) {
+          document.status = 'pending';
+          await document.save();
+
+          return res.status(202).json({
+            success: true,
+            message: 'Blockchain registration submitted and awaiting confirmation',
+            data: {
+              documentHash,
+              ipfsCid: ipfsResult.cid,
+              status: 'pending',
+              transactionHash: blockchainError.cause.transactionHash
+            }
+          });
+        }
+
         logger.error('Blockchain registration failed', {
           documentHash,
           error: blockchainError.message
@@ -695,6 +1196,10 @@ router.post('/register',
               owner: document.access.owner,
               issuer: document.access.issuer
             },
+            version: {
+              number: document.version.number,
+              previousHash: document.version.previousHash || null
+            },
             fileInfo: {
               originalName: document.fileInfo.originalName,
               mimeType: document.fileInfo.mimeType,
@@ -759,7 +1264,7 @@ router.post('/register',
 // @access  Private (Issuer role required)
 router.post('/upload',
   // Security middleware
-  validateRequestSize(50 * 1024 * 1024), // 50MB limit
+  validateRequestSize(FILE_SIZE_LIMITS.document + 1024 * 1024), // File plus form fields
   validateContentType(['multipart/form-data']),
   ...securityValidation({
     enableSanitization: true,
@@ -778,7 +1283,7 @@ router.post('/upload',
   requireConsents(['document_storage', 'blockchain_storage']),
   
   // File upload
-  upload.single('document'),
+  ...uploadDocument,
   
   // Input validation
   validationRules.name('metadata.studentName', true),
@@ -791,6 +1296,14 @@ router.post('/upload',
   validationRules.text('metadata.course', 200, false),
   validationRules.text('metadata.description', 500, false),
   validationRules.walletAddress('ownerAddress').optional(),
+  body('supersedes')
+    .optional()
+    .matches(/^0x[a-fA-F0-9]{64}$/)
+    .withMessage('Invalid superseded document hash format'),
+  body('encryptionMode')
+    .optional()
+    .isIn(['server', 'client'])
+    .withMessage('Invalid encryption mode'),
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -812,9 +1325,8 @@ router.post('/upload',
         });
       }
 
-      const { metadata, ownerAddress } = req.body;
+      const { metadata, ownerAddress, supersedes, encryptionMode } = req.body;
       const issuer = req.user;
-      const fileBuffer = req.file.buffer;
 
       logger.info('Starting document upload process', {
         filename: req.file.originalname,
@@ -834,8 +1346,38 @@ router.post('/upload',
         });
       }
 
+      // Members issue under their institution; registered names are reserved for members
+      const issuing = await institutionService.resolveIssuingInstitution(issuer, parsedMetadata.institutionName);
+      if (issuing.error) {
+        return res.status(issuing.status).json({
+          success: false,
+          error: issuing.error
+        });
+      }
+      parsedMetadata.institutionName = issuing.institutionName;
+
+      // Determine owner address (default to issuer if not specified)
+      const finalOwnerAddress = ownerAddress || issuer.walletAddress;
+
+      // Files encrypted in the browser arrive with their plaintext hash and wrapped keys
+      let clientEncryption = null;
+      if (encryptionMode === 'client') {
+        clientEncryption = await readClientEncryption(req, [
+          finalOwnerAddress.toLowerCase(),
+          issuer.walletAddress
+        ]);
+        if (clientEncryption.error) {
+          return res.status(400).json({
+            success: false,
+            error: clientEncryption.error
+          });
+        }
+      }
+
       // Generate document hash
-      const documentHash = encryptionService.generateFileHash(fileBuffer);
+      const documentHash = clientEncryption
+        ? clientEncryption.documentHash
+        : await encryptionService.hashFile(req.file.path);
 
       // Check if document already exists
       const existingDocument = await Document.findOne({ documentHash });
@@ -846,36 +1388,46 @@ router.post('/upload',
         });
       }
 
-      // Generate encryption key
-      const encryptionKey = encryptionService.generateKey();
-
-      // Encrypt file
-      const encryptedData = encryptionService.encryptFile(fileBuffer, encryptionKey);
-
-      // Create encrypted file buffer for IPFS upload
-      const encryptedBuffer = Buffer.from(JSON.stringify(encryptedData));
-
-      // Upload to IPFS
-      const ipfsResult = await ipfsService.uploadFile(
-        encryptedBuffer,
-        `encrypted_${req.file.originalname}`,
-        {
-          documentHash,
-          studentId: parsedMetadata.studentId,
-          documentType: parsedMetadata.documentType,
-          issuer: issuer.walletAddress
+      // A corrected copy declares which registered version it replaces
+      let previousVersion = null;
+      if (supersedes) {
+        const resolved = await resolvePreviousVersion(supersedes, issuer);
+        if (resolved.error) {
+          return res.status(resolved.status).json({
+            success: false,
+            error: resolved.error
+          });
         }
-      );
+        previousVersion = resolved.previous;
+      }
 
-      // Determine owner address (default to issuer if not specified)
-      const finalOwnerAddress = ownerAddress || issuer.walletAddress;
+      // Encrypt file and upload to IPFS
+      const storageMetadata = {
+        documentHash,
+        studentId: parsedMetadata.studentId,
+        documentType: parsedMetadata.documentType,
+        issuer: issuer.walletAddress
+      };
+      const encryptionKey = clientEncryption ? null : encryptionService.generateKey();
+      const ipfsResult = clientEncryption
+        ? await storeClientEncryptedUpload(req.file, storageMetadata)
+        : await storeEncryptedUpload(req.file, encryptionKey, storageMetadata);
 
       // Create document record
       const document = new Document({
         documentHash,
-        ipfsHash: ipfsResult.hash,
-        encryptionKey, // In production, this should be encrypted with user's public key
+        ipfsHash: ipfsResult.cid,
+        encryptionMode: clientEncryption ? 'client' : 'server',
+        encryptionKey: clientEncryption
+          ? undefined
+          : JSON.stringify(await encryptionService.encryptKeyForStorage(encryptionKey)),
+        wrappedKeys: clientEncryption?.wrappedKeys,
+        storage: {
+          contentHash: ipfsResult.contentHash,
+          replicas: ipfsResult.replicas
+        },
         metadata: parsedMetadata,
+        institution: issuing.institution?._id,
         access: {
           owner: finalOwnerAddress,
           issuer: issuer.walletAddress,
@@ -887,8 +1439,12 @@ router.post('/upload',
         fileInfo: {
           originalName: req.file.originalname,
           mimeType: req.file.mimetype,
-          size: req.file.size
+          size: clientEncryption ? clientEncryption.size : req.file.size
         },
+        version: previousVersion ? {
+          number: (previousVersion.version?.number || 1) + 1,
+          previousHash: previousVersion.documentHash
+        } : undefined,
         status: 'uploaded'
       });
 
@@ -896,15 +1452,16 @@ router.post('/upload',
 
       // Register on blockchain
       try {
-        const blockchainResult = await blockchainService.registerDocument(
+        const blockchainResult = await registerOnChain(
           documentHash,
-          ipfsResult.hash,
+          ipfsResult.cid,
           finalOwnerAddress,
           {
             studentId: parsedMetadata.studentId,
             documentType: parsedMetadata.documentType,
             institutionName: parsedMetadata.institutionName
-          }
+          },
+          previousVersion
         );
 
         // Update document with blockchain info
@@ -915,9 +1472,11 @@ router.post('/upload',
           blockchainResult.contractAddress
         );
 
+        await webhookService.emit('document.registered', document, registeredEventData(document));
+
         logger.info('Document uploaded and registered successfully', {
           documentHash,
-          ipfsHash: ipfsResult.hash,
+          ipfsHash: ipfsResult.cid,
           transactionHash: blockchainResult.transactionHash,
           issuer: issuer.walletAddress
         });
@@ -928,7 +1487,7 @@ router.post('/upload',
             document: {
               id: document._id,
               documentHash,
-              ipfsHash: ipfsResult.hash,
+              ipfsHash: ipfsResult.cid,
               metadata: parsedMetadata,
               blockchain: {
                 transactionHash: blockchainResult.transactionHash,
@@ -937,6 +1496,7 @@ router.post('/upload',
               },
               access: document.access,
               fileInfo: document.fileInfo,
+              version: document.version,
               status: document.status,
               createdAt: document.audit.createdAt
             }
@@ -949,18 +1509,22 @@ router.post('/upload',
           error: blockchainError.message
         });
 
-        // Update document status to failed
-        document.status = 'failed';
+        const pending = isPendingTransaction(blockchainError);
+
+        // Update document status to failed, or pending while the tracker follows the transaction
+        document.status = pending ? 'pending' : 'failed';
         await document.save();
 
         res.status(201).json({
           success: true,
-          warning: 'Document uploaded but blockchain registration failed',
+          warning: pending
+            ? 'Document uploaded; blockchain registration is awaiting confirmation'
+            : 'Document uploaded but blockchain registration failed',
           data: {
             document: {
               id: document._id,
               documentHash,
-              ipfsHash: ipfsResult.hash,
+              ipfsHash: ipfsResult.cid,
               metadata: parsedMetadata,
               access: document.access,
               fileInfo: document.fileInfo,
@@ -1011,7 +1575,8 @@ router.get('/',
         // Students and verifiers can see documents they own or are authorized to view
         query.$or = [
           { 'access.owner': user.walletAddress },
-          { 'access.authorizedViewers': user.walletAddress }
+          { 'access.authorizedViewers': user.walletAddress },
+          Document.activeShareGrantQuery(user.walletAddress)
         ];
       }
 
@@ -1078,93 +1643,365 @@ router.get('/',
   }
 );
 
-// @route   GET /api/documents/:documentHash
-// @desc    Get document by hash
-// @access  Private
-router.get('/:documentHash',
-  authenticateToken,
-  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
-  dataMinimization(['metadata.studentName', 'profile.email']),
+// @route   GET /api/documents/verifications
+// @desc    Get paginated verification history, scoped by role (admins see all logs,
+//          verifiers see their own checks, owners/issuers see logs for their documents)
+// @access  Private (or API key with the read-audit scope)
+router.get('/verifications',
+  authenticateApiKey('read-audit', authenticateToken),
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
+      const user = req.user;
+      const {
+        page = 1,
+        limit = 10,
+        result,
+        method,
+        startDate,
+        endDate,
+        documentHash,
+        search,
+        apiKeyId,
+        format = 'json'
+      } = req.query;
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+      // Validate filters against the VerificationLog schema
+      const validResults = VerificationLog.schema.path('result').enumValues;
+      const validMethods = VerificationLog.schema.path('verificationMethod').enumValues;
+
+      if (result && !validResults.includes(result)) {
         return res.status(400).json({
           success: false,
-          error: 'Validation failed',
-          details: errors.array()
+          error: `Invalid result filter. Allowed values: ${validResults.join(', ')}`
         });
       }
-
-      const { documentHash } = req.params;
-      const user = req.user;
-
-      const document = await Document.findOne({ documentHash, isActive: true })
-        .populate('audit.uploadedBy', 'walletAddress profile.name');
-
-      if (!document) {
-        return res.status(404).json({
+      if (method && !validMethods.includes(method)) {
+        return res.status(400).json({
           success: false,
-          error: 'Document not found'
+          error: `Invalid method filter. Allowed values: ${validMethods.join(', ')}`
         });
       }
-
-      // Check access permissions
-      if (!document.hasAccess(user.walletAddress) && user.role !== 'admin') {
-        return res.status(403).json({
+      if (documentHash && !/^0x[a-fA-F0-9]{64}$/.test(documentHash)) {
+        return res.status(400).json({
           success: false,
-          error: 'Access denied'
+          error: 'Invalid document hash format'
         });
       }
-
-      // Don't expose encryption key unless user is owner or issuer
-      const responseDocument = document.toObject();
-      if (user.walletAddress !== document.access.owner && 
-          user.walletAddress !== document.access.issuer && 
-          user.role !== 'admin') {
-        delete responseDocument.encryptionKey;
+      if ((startDate && isNaN(Date.parse(startDate))) || (endDate && isNaN(Date.parse(endDate)))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid date range'
+        });
+      }
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid format. Allowed values: json, csv'
+        });
       }
 
-      res.json({
-        success: true,
-        data: { document: responseDocument }
-      });
+      const conditions = [];
 
-    } catch (error) {
-      logger.error('Get document failed:', {
-        error: error.message,
-        documentHash: req.params.documentHash,
-        user: req.user?.walletAddress
-      });
+      // Scope results by role
+      if (user.role === 'verifier') {
+        conditions.push({ verifier: user.walletAddress });
+      } else if (user.role !== 'admin') {
+        const ownDocumentHashes = await Document.find({
+          $or: [
+            { 'access.owner': user.walletAddress },
+            { 'access.issuer': user.walletAddress }
+          ]
+        }).distinct('documentHash');
+
+        conditions.push({
+          $or: [
+            { documentHash: { $in: ownDocumentHashes } },
+            { verifier: user.walletAddress }
+          ]
+        });
+      }
+
+      // Apply filters
+      if (result) {
+        conditions.push({ result });
+      }
+      if (method) {
+        conditions.push({ verificationMethod: method });
+      }
+      if (documentHash) {
+        conditions.push({ documentHash });
+      }
+      if (apiKeyId) {
+        conditions.push({ apiKeyId: String(apiKeyId) });
+      }
+      if (startDate || endDate) {
+        const timestamp = {};
+        if (startDate) timestamp.$gte = new Date(startDate);
+        if (endDate) {
+          // endDate is the last day included, so match everything before the next one starts
+          const nextDay = new Date(endDate);
+          nextDay.setUTCHours(24, 0, 0, 0);
+          timestamp.$lt = nextDay;
+        }
+        conditions.push({ timestamp });
+      }
+      if (search && search.trim()) {
+        const pattern = search.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const matchingHashes = await Document.find({
+          'metadata.studentName': { $regex: pattern, $options: 'i' }
+        }).distinct('documentHash');
+
+        conditions.push({
+          $or: [
+            { documentHash: { $regex: pattern, $options: 'i' } },
+            { documentHash: { $in: matchingHashes } }
+          ]
+        });
+      }
+
+      const logQuery = conditions.length > 0 ? { $and: conditions } : {};
+      const isCsv = format === 'csv';
+
+      const [logs, total] = await Promise.all([
+        VerificationLog.find(logQuery)
+          .sort({ timestamp: -1 })
+          .skip(isCsv ? 0 : (pageNum - 1) * limitNum)
+          .limit(isCsv ? VERIFICATION_EXPORT_LIMIT : limitNum)
+          .lean(),
+        VerificationLog.countDocuments(logQuery)
+      ]);
+
+      // Attach document metadata for the logs on this page
+      const documents = await Document.find({
+        documentHash: { $in: [...new Set(logs.map(log => log.documentHash))] }
+      }).select('documentHash metadata.studentName metadata.documentType metadata.institutionName status');
+
+      const documentsByHash = new Map(documents.map(doc => [doc.documentHash, doc]));
+
+      const verifications = logs.map(log => {
+        const document = documentsByHash.get(log.documentHash);
+        return {
+          verificationId: log._id.toString(),
+          documentHash: log.documentHash,
+          timestamp: log.timestamp,
+          result: log.result,
+          isValid: log.result === 'authentic',
+          method: log.verificationMethod,
+          verifier: log.verifier,
+          apiKeyId: log.apiKeyId,
+          additionalInfo: log.additionalInfo,
+          document: document ? {
+            metadata: {
+              studentName: document.metadata.studentName,
+              documentType: document.metadata.documentType,
+              institutionName: document.metadata.institutionName
+            },
+            status: document.status
+          } : null
+        };
+      });
+
+      logger.info('Verification history retrieved', {
+        user: user.walletAddress,
+        role: user.role,
+        format,
+        returned: verifications.length,
+        total
+      });
+
+      if (isCsv) {
+        const header = [
+          'Verification ID', 'Document Hash', 'Timestamp', 'Result', 'Method',
+          'Verifier', 'Student Name', 'Document Type', 'Institution'
+        ];
+        const rows = verifications.map(v => [
+          v.verificationId,
+          v.documentHash,
+          v.timestamp,
+          v.result,
+          v.method,
+          v.verifier,
+          v.document?.metadata.studentName,
+          v.document?.metadata.documentType,
+          v.document?.metadata.institutionName
+        ].map(toCsvValue).join(','));
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader(
+          'Content-Disposition',
+          `attachment; filename="verification-history-${new Date().toISOString().split('T')[0]}.csv"`
+        );
+        return res.send([header.join(','), ...rows].join('\n'));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          verifications,
+          totalCount: total,
+          pagination: {
+            current: pageNum,
+            pages: Math.ceil(total / limitNum),
+            total,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get verification history failed:', {
+        error: error.message,
+        user: req.user?.walletAddress
+      });
 
       res.status(500).json({
         success: false,
-        error: 'Failed to retrieve document'
+        error: 'Failed to retrieve verification history'
       });
     }
   }
 );
 
-// @route   POST /api/documents/verify
-// @desc    Verify document authenticity by file upload, document hash, or QR code
-// @access  Public (Requirements 2.1, 2.2, 2.3, 2.4, 2.5, 5.4, 11.1, 11.2, 11.3, 11.4, 11.5)
-router.post('/verify',
-  // Security middleware
-  validateRequestSize(50 * 1024 * 1024), // 50MB limit
+// @route   POST /api/documents/anchor-batch
+// @desc    Anchor documents awaiting registration on-chain under a single Merkle root
+// @access  Private (Issuer/Admin)
+router.post('/anchor-batch',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  body('documentHashes')
+    .optional()
+    .isArray({ min: 1, max: MERKLE_BATCH_MAX_SIZE })
+    .withMessage(`documentHashes must contain between 1 and ${MERKLE_BATCH_MAX_SIZE} hashes`),
+  body('documentHashes.*').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      const documentHashes = req.body.documentHashes
+        ? [...new Set(req.body.documentHashes.map(hash => hash.toLowerCase()))]
+        : null;
+
+      // Documents that were saved but never registered, including failed registrations
+      const query = {
+        isActive: true,
+        status: { $in: ['uploaded', 'failed'] },
+        'blockchain.transactionHash': { $exists: false }
+      };
+      if (documentHashes) {
+        query.documentHash = { $in: documentHashes };
+      }
+      if (user.role !== 'admin') {
+        query['access.issuer'] = user.walletAddress;
+      }
+
+      const documents = await Document.find(query)
+        .sort({ createdAt: 1 })
+        .limit(MERKLE_BATCH_MAX_SIZE);
+
+      if (documentHashes && documents.length !== documentHashes.length) {
+        const eligible = new Set(documents.map(doc => doc.documentHash.toLowerCase()));
+        return res.status(409).json({
+          success: false,
+          error: 'Some documents are not awaiting anchoring or are not yours to anchor',
+          details: {
+            ineligible: documentHashes.filter(hash => !eligible.has(hash))
+          }
+        });
+      }
+
+      if (documents.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No documents are awaiting anchoring'
+        });
+      }
+
+      const batchId = batchProcessingService.generateBatchId();
+      const results = await blockchainOptimizationService.batchRegisterDocuments(documents, {
+        batchId,
+        anchorMode: 'merkle'
+      });
+
+      const anchored = results.filter(r => r.success);
+      if (anchored.length === 0) {
+        logger.error('Merkle batch anchoring failed', {
+          batchId,
+          documentCount: documents.length,
+          error: results[0]?.error
+        });
+
+        return res.status(502).json({
+          success: false,
+          error: 'Batch anchoring failed',
+          details: results[0]?.error
+        });
+      }
+
+      const anchorResult = anchored[0].result;
+      for (const { documentHash, result } of anchored) {
+        const document = documents.find(doc => doc.documentHash === documentHash);
+        await document.updateMerkleAnchorInfo({
+          ...result.merkle,
+          transactionHash: result.transactionHash,
+          blockNumber: result.blockNumber,
+          gasUsed: result.gasUsed,
+          contractAddress: result.contractAddress
+        });
+        await webhookService.emit('document.registered', document, registeredEventData(document));
+      }
+
+      logger.info('Documents anchored in Merkle batch', {
+        batchId,
+        merkleRoot: anchorResult.merkle.root,
+        transactionHash: anchorResult.transactionHash,
+        documentCount: anchored.length,
+        anchoredBy: user.walletAddress
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${anchored.length} document(s) anchored`,
+        data: {
+          batchId,
+          merkleRoot: anchorResult.merkle.root,
+          transactionHash: anchorResult.transactionHash,
+          blockNumber: anchorResult.blockNumber,
+          documents: anchored.map(({ documentHash, result }) => ({
+            documentHash,
+            leafIndex: result.merkle.leafIndex,
+            proof: result.merkle.proof
+          }))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Merkle batch anchoring failed:', {
+        error: error.message,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to anchor documents'
+      });
+    }
+  }
+);
+
+// @route   POST /api/documents/credentials/verify
+// @desc    Verify a W3C Verifiable Credential (VC-JWT) signature and its DocumentRegistry state
+// @access  Public (API keys with the verify scope are attributed)
+router.post('/credentials/verify',
+  authenticateApiKey('verify'),
   ...securityValidation({
-    enableSanitization: true,
-    enableXSSPrevention: true,
-    enableSQLInjectionPrevention: true,
-    enableNoSQLInjectionPrevention: true
+    enableRateLimit: true,
+    // Requests with an API key are limited per key by authenticateApiKey
+    rateLimitOptions: { windowMs: 15 * 60 * 1000, max: 60, skip: (req) => !!req.apiKey }
   }),
-  
-  // File upload (optional)
-  upload.single('document'),
-  
-  // Input validation
-  validationRules.documentHash('documentHash').optional(),
-  body('qrCode').optional().isString().withMessage('QR code must be a string'),
-  handleValidationErrors,
+  body('credential').isString().isLength({ min: 1, max: 20000 }).withMessage('Credential must be a VC-JWT string'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -1176,291 +2013,1561 @@ router.post('/verify',
         });
       }
 
-      let documentHash;
-      let verificationMethod;
-      let providedFile = null;
-      let qrCodeData = null;
+      const verification = await credentialService.verifyCredential(req.body.credential.trim());
 
-      // Determine verification method and extract document hash
-      // Priority: QR code > File upload > Direct hash
-      if (req.body.qrCode) {
-        // Requirement 2.2: Support QR code verification
-        try {
-          qrCodeData = qrcodeService.parseQRCode(req.body.qrCode);
-          documentHash = qrCodeData.documentHash;
-          verificationMethod = 'qr';
-        } catch (qrError) {
-          return res.status(400).json({
-            success: false,
-            error: 'Invalid QR code format',
-            details: qrError.message
+      // A valid signature does not outlive the issuer revoking the underlying document
+      const revocation = verification.documentHash
+        ? await Revocation.findOne({ documentHash: verification.documentHash })
+        : null;
+      if (revocation) {
+        verification.isValid = false;
+        verification.revocation = revocation.toPublicJSON();
+        verification.errors = [...(verification.errors || []), 'Document has been revoked'];
+      }
+
+      if (verification.documentHash && /^0x[a-fA-F0-9]{64}$/.test(verification.documentHash)) {
+        await VerificationLog.logVerification({
+          documentHash: verification.documentHash,
+          verifier: req.user?.walletAddress || 'anonymous',
+          verifierIp: req.ip || req.connection.remoteAddress,
+          apiKeyId: req.apiKey?.keyId,
+          verificationMethod: 'credential',
+          result: revocation ? 'revoked' : (verification.isValid ? 'authentic' : 'tampered'),
+          userAgent: req.headers['user-agent'],
+          additionalInfo: {
+            blockchainVerified: verification.checks.registry
+          }
+        });
+
+        const document = await Document.findOne({ documentHash: verification.documentHash });
+        if (document) {
+          await webhookService.emit('document.verified', document, {
+            result: revocation ? 'revoked' : (verification.isValid ? 'authentic' : 'tampered'),
+            method: 'credential',
+            verifier: req.user?.walletAddress || 'anonymous'
           });
         }
-      } else if (req.file) {
-        // Requirement 2.1: Support file upload verification
-        documentHash = encryptionService.generateFileHash(req.file.buffer);
-        providedFile = {
-          buffer: req.file.buffer,
-          originalName: req.file.originalname,
-          mimeType: req.file.mimetype,
-          size: req.file.size
-        };
-        verificationMethod = 'upload';
-      } else if (req.body.documentHash) {
-        // Support direct hash verification
-        documentHash = req.body.documentHash;
-        verificationMethod = 'hash';
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Either document file, document hash, or QR code must be provided'
-        });
       }
 
-      // Get verifier information (anonymous if not authenticated)
-      const verifier = req.user?.walletAddress || 'anonymous';
-      const verifierIp = req.ip || req.connection.remoteAddress;
-
-      logger.info('Document verification requested', {
-        documentHash,
-        verifier,
-        method: verificationMethod,
-        hasFile: !!providedFile
+      logger.info('Verifiable credential checked', {
+        documentHash: verification.documentHash,
+        issuer: verification.issuer,
+        isValid: verification.isValid
       });
 
-      // Requirement 2.3: Query blockchain for matching records
-      // Find document in database
-      const document = await Document.findOne({ documentHash, isActive: true })
-        .populate('audit.uploadedBy', 'walletAddress profile.name');
+      res.json({
+        success: true,
+        data: { verification }
+      });
 
-      let verificationResult;
-      let verificationState;
+    } catch (error) {
+      logger.error('Credential verification failed:', { error: error.message });
 
-      if (!document) {
-        // Requirement 11.3: Return "not found" state
-        verificationState = 'not_found';
-        
-        logger.warn('Document verification failed - not found', {
-          documentHash,
-          verifier,
-          method: verificationMethod
-        });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to verify credential'
+      });
+    }
+  }
+);
 
-        // Log verification attempt (Requirement 9.1)
-        const VerificationLog = require('../models/VerificationLog');
-        await VerificationLog.logVerification({
-          documentHash,
-          verifier,
-          verifierIp,
-          verificationMethod,
-          result: verificationState,
-          userAgent: req.headers['user-agent']
+// @route   POST /api/documents/shared/view
+// @desc    Open a read-only verification view through an anonymous share link
+// @access  Public (signed share token, optional passcode)
+router.post('/shared/view',
+  ...securityValidation({
+    enableRateLimit: true,
+    rateLimitOptions: { windowMs: 15 * 60 * 1000, max: 30 }
+  }),
+  body('token').isString().notEmpty().withMessage('Share token is required'),
+  body('passcode').optional().isString().isLength({ max: 64 }),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
         });
+      }
 
-        verificationResult = {
-          state: verificationState,
-          isAuthentic: false,
-          documentHash,
-          timestamp: new Date().toISOString(),
-          verifier,
-          method: verificationMethod,
-          message: 'Document not found in registry'
-        };
+      const { link, document, status, error, passcodeRequired, revocation } =
+        await resolveShareLink(req.body.token, req.body.passcode);
 
-        return res.status(200).json({
-          success: true,
-          data: {
-            verification: verificationResult
-          }
-        });
+      if (error) {
+        return res.status(status).json({ success: false, error, passcodeRequired, revocation });
       }
 
-      // Requirement 2.4: Compare computed hash with stored hash
-      // Verify on blockchain
       let blockchainVerification = null;
       try {
-        blockchainVerification = await blockchainService.verifyDocument(documentHash);
+        blockchainVerification = await verifyOnChain(document);
       } catch (blockchainError) {
         logger.warn('Blockchain verification failed', {
-          documentHash,
+          documentHash: document.documentHash,
           error: blockchainError.message
         });
       }
 
-      // If file was provided, verify file integrity
-      let fileIntegrityCheck = null;
-      if (providedFile) {
-        const isIntegrityValid = encryptionService.verifyFileIntegrity(
-          providedFile.buffer, 
-          documentHash
-        );
-        
-        fileIntegrityCheck = {
-          isValid: isIntegrityValid,
-          providedFileHash: documentHash,
-          storedFileHash: document.documentHash,
-          hashesMatch: documentHash === document.documentHash
-        };
+      const isValid = document.status === 'blockchain_stored' &&
+                      (!blockchainVerification || blockchainVerification.isValid);
 
-        // If file integrity check fails, document is tampered
-        if (!isIntegrityValid) {
-          verificationState = 'tampered';
-        }
-      }
+      await link.recordAccess();
+      await document.incrementVerificationCount();
 
-      // Determine overall verification state (Requirement 11.3)
-      if (!verificationState) {
-        const isHashMatch = document.documentHash === documentHash;
-        const isBlockchainValid = !blockchainVerification || blockchainVerification.isValid;
-        const isFileValid = !fileIntegrityCheck || fileIntegrityCheck.isValid;
-        const isStatusValid = document.status === 'blockchain_stored';
+      const log = await VerificationLog.logVerification({
+        documentHash: document.documentHash,
+        verifierIp: req.ip || req.connection.remoteAddress,
+        verificationMethod: 'share_link',
+        result: isValid ? 'authentic' : 'tampered',
+        userAgent: req.headers['user-agent'],
+        additionalInfo: {
+          blockchainVerified: !!blockchainVerification,
+          transactionHash: document.blockchain?.transactionHash,
+          shareLinkId: link.linkId,
+          downloaded: false
+        }
+      });
 
-        if (isHashMatch && isBlockchainValid && isFileValid && isStatusValid) {
-          verificationState = 'authentic';
-        } else {
-          verificationState = 'tampered';
+      logger.info('Share link opened', {
+        documentHash: document.documentHash,
+        linkId: link.linkId,
+        isValid
+      });
+
+      res.json({
+        success: true,
+        data: {
+          verification: {
+            verificationId: log?._id,
+            isValid,
+            documentHash: document.documentHash,
+            timestamp: new Date().toISOString(),
+            verifier: 'anonymous',
+            document: {
+              metadata: {
+                studentName: document.metadata.studentName,
+                studentId: document.metadata.studentId,
+                institutionName: document.metadata.institutionName,
+                documentType: document.metadata.documentType,
+                issueDate: document.metadata.issueDate
+              },
+              issuer: document.access.issuer,
+              owner: document.access.owner,
+              status: document.status,
+              createdAt: document.audit.createdAt,
+              verificationCount: document.audit.verificationCount
+            },
+            institution: await institutionService.getIssuingIdentity(document),
+            blockchain: {
+              isValid: blockchainVerification?.isValid || false,
+              transactionHash: document.blockchain?.transactionHash,
+              blockNumber: document.blockchain?.blockNumber
+            }
+          },
+          link: {
+            label: link.label,
+            expiresAt: link.expiresAt,
+            allowDownload: link.allowDownload && document.encryptionMode !== 'client',
+            fileName: link.allowDownload ? document.fileInfo.originalName : undefined
+          }
         }
+      });
+
+    } catch (error) {
+      logger.error('Open share link failed:', { error: error.message });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to open share link'
+      });
+    }
+  }
+);
+
+// @route   POST /api/documents/shared/download
+// @desc    Download a document through an anonymous share link that allows downloads
+// @access  Public (signed share token, optional passcode)
+router.post('/shared/download',
+  ...securityValidation({
+    enableRateLimit: true,
+    rateLimitOptions: { windowMs: 15 * 60 * 1000, max: 30 }
+  }),
+  body('token').isString().notEmpty().withMessage('Share token is required'),
+  body('passcode').optional().isString().isLength({ max: 64 }),
+  async (req, res) => {
+    let download = null;
+
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
       }
 
-      // Increment verification count
-      await document.incrementVerificationCount();
+      const { link, document, status, error, passcodeRequired, revocation } =
+        await resolveShareLink(req.body.token, req.body.passcode);
+
+      if (error) {
+        return res.status(status).json({ success: false, error, passcodeRequired, revocation });
+      }
+
+      if (!link.allowDownload) {
+        return res.status(403).json({
+          success: false,
+          error: 'This share link does not allow downloads'
+        });
+      }
+
+      // Anonymous recipients have no key to open an end-to-end encrypted document with
+      if (document.encryptionMode === 'client') {
+        return res.status(409).json({
+          success: false,
+          error: 'End-to-end encrypted documents cannot be downloaded through a share link'
+        });
+      }
+
+      try {
+        download = await openDecryptedDocument(document);
+      } catch (downloadError) {
+        if (!downloadError.clientMessage) {
+          throw downloadError;
+        }
+
+        return res.status(500).json({
+          success: false,
+          error: downloadError.clientMessage
+        });
+      }
+
+      await link.recordAccess();
 
-      // Log verification attempt (Requirement 9.1, 9.2)
-      const VerificationLog = require('../models/VerificationLog');
       await VerificationLog.logVerification({
-        documentHash,
-        verifier,
-        verifierIp,
-        verificationMethod,
-        result: verificationState,
+        documentHash: document.documentHash,
+        verifierIp: req.ip || req.connection.remoteAddress,
+        verificationMethod: 'share_link',
+        result: 'authentic',
         userAgent: req.headers['user-agent'],
         additionalInfo: {
-          blockchainVerified: !!blockchainVerification,
-          fileIntegrityChecked: !!fileIntegrityCheck,
-          transactionHash: qrCodeData?.transactionHash || document.blockchain?.transactionHash
+          fileIntegrityChecked: true,
+          shareLinkId: link.linkId,
+          downloaded: true
+        }
+      });
+
+      logger.info('Document downloaded through share link', {
+        documentHash: document.documentHash,
+        linkId: link.linkId
+      });
+
+      sendDecryptedDocument(res, document, download);
+
+    } catch (error) {
+      logger.error('Share link download failed:', { error: error.message });
+      download?.stream?.destroy();
+
+      res.status(500).json({
+        success: false,
+        error: 'Document download failed'
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/revocations
+// @desc    Get the public revocation list, newest first. Only structured revocation
+//          data is published; the issuer's free-text note stays private.
+// @access  Public
+router.get('/revocations',
+  ...securityValidation({
+    enableRateLimit: true,
+    rateLimitOptions: { windowMs: 15 * 60 * 1000, max: 100 }
+  }),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, since, reasonCode } = req.query;
+
+      const pageNum = Math.max(parseInt(page) || 1, 1);
+      const limitNum = Math.min(Math.max(parseInt(limit) || 50, 1), 200);
+
+      const validReasonCodes = Revocation.schema.path('reasonCode').enumValues;
+      if (reasonCode && !validReasonCodes.includes(reasonCode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid reason code. Allowed values: ${validReasonCodes.join(', ')}`
+        });
+      }
+      if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid since date'
+        });
+      }
+
+      const { revocations, totalCount } = await Revocation.getPublicList({
+        page: pageNum,
+        limit: limitNum,
+        since,
+        reasonCode
+      });
+
+      res.json({
+        success: true,
+        data: {
+          revocations,
+          totalCount,
+          pagination: {
+            current: pageNum,
+            pages: Math.ceil(totalCount / limitNum),
+            total: totalCount,
+            limit: limitNum
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get revocation list failed:', {
+        error: error.message
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get revocation list'
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/revocations/:documentHash
+// @desc    Get the public revocation status of a document
+// @access  Public
+router.get('/revocations/:documentHash',
+  ...securityValidation({
+    enableRateLimit: true,
+    rateLimitOptions: { windowMs: 15 * 60 * 1000, max: 100 }
+  }),
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { documentHash } = req.params;
+
+      const [revocation, document] = await Promise.all([
+        Revocation.findOne({ documentHash }),
+        Document.findOne({ documentHash }).select('isActive')
+      ]);
+
+      let status = 'not_found';
+      if (revocation) {
+        status = 'revoked';
+      } else if (document) {
+        status = document.isActive ? 'active' : 'deactivated';
+      }
+
+      res.json({
+        success: true,
+        data: {
+          documentHash,
+          status,
+          revocation: revocation ? revocation.toPublicJSON() : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get revocation status failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get revocation status'
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/:documentHash
+// @desc    Get document by hash
+// @access  Private
+router.get('/:documentHash',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  dataMinimization(['metadata.studentName', 'profile.email']),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash } = req.params;
+      const user = req.user;
+
+      const document = await Document.findOne({ documentHash, isActive: true })
+        .populate('audit.uploadedBy', 'walletAddress profile.name');
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Check access permissions
+      if (!document.hasAccess(user.walletAddress, 'view') && user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (user.role !== 'admin') {
+        // A grant used up by a concurrent request no longer covers this one
+        const use = await document.recordShareGrantUse(user.walletAddress, 'view');
+        if (use && use.modifiedCount === 0) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied'
+          });
         }
+      }
+
+      // Don't expose encryption key or share grants unless user is owner or issuer
+      const responseDocument = document.toObject();
+      if (user.walletAddress !== document.access.owner && 
+          user.walletAddress !== document.access.issuer && 
+          user.role !== 'admin') {
+        delete responseDocument.encryptionKey;
+        delete responseDocument.access.shareGrants;
+      }
+
+      res.json({
+        success: true,
+        data: { document: responseDocument }
+      });
+
+    } catch (error) {
+      logger.error('Get document failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve document'
       });
+    }
+  }
+);
+
+// @route   POST /api/documents/verify
+// @desc    Verify document authenticity by file upload, document hash, or QR code
+// @access  Public (Requirements 2.1, 2.2, 2.3, 2.4, 2.5, 5.4, 11.1, 11.2, 11.3, 11.4, 11.5).
+//          API keys with the verify scope are attributed.
+router.post('/verify',
+  authenticateApiKey('verify'),
+  // Security middleware
+  validateRequestSize(FILE_SIZE_LIMITS.document + 1024 * 1024), // File plus form fields
+  ...securityValidation({
+    enableSanitization: true,
+    enableXSSPrevention: true,
+    enableSQLInjectionPrevention: true,
+    enableNoSQLInjectionPrevention: true
+  }),
+  
+  // File upload (optional)
+  ...uploadDocument,
+  
+  // Input validation
+  validationRules.documentHash('documentHash').optional(),
+  body('qrCode').optional().isString().withMessage('QR code must be a string'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      let documentHash;
+      let verificationMethod;
+      let providedFile = null;
+      let qrCodeData = null;
+
+      // Determine verification method and extract document hash
+      // Priority: QR code > File upload > Direct hash
+      if (req.body.qrCode) {
+        // Requirement 2.2: Support QR code verification
+        try {
+          qrCodeData = qrcodeService.parseQRCode(req.body.qrCode);
+          documentHash = qrCodeData.documentHash;
+          verificationMethod = 'qr';
+        } catch (qrError) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid QR code format',
+            details: qrError.message
+          });
+        }
+      } else if (req.file) {
+        // Requirement 2.1: Support file upload verification
+        documentHash = await encryptionService.hashFile(req.file.path);
+        providedFile = {
+          hash: documentHash,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size
+        };
+        verificationMethod = 'upload';
+      } else if (req.body.documentHash) {
+        // Support direct hash verification
+        documentHash = req.body.documentHash;
+        verificationMethod = 'hash';
+      } else {
+        return res.status(400).json({
+          success: false,
+          error: 'Either document file, document hash, or QR code must be provided'
+        });
+      }
+
+      // Get verifier information (anonymous if not authenticated)
+      const verifier = req.user?.walletAddress || 'anonymous';
+      const verifierIp = req.ip || req.connection.remoteAddress;
+
+      logger.info('Document verification requested', {
+        documentHash,
+        verifier,
+        method: verificationMethod,
+        hasFile: !!providedFile
+      });
+
+      // Requirement 2.3: Query blockchain for matching records
+      // Find document in database
+      const document = await Document.findOne({ documentHash, isActive: true })
+        .populate('audit.uploadedBy', 'walletAddress profile.name');
+
+      let verificationResult;
+      let verificationState;
+
+      if (!document) {
+        // Revoked documents are reported with their revocation rather than as unknown
+        const revocation = await Revocation.findOne({ documentHash });
+
+        // Requirement 11.3: Return "not found" state
+        verificationState = revocation ? 'revoked' : 'not_found';
+        
+        logger.warn(`Document verification failed - ${verificationState}`, {
+          documentHash,
+          verifier,
+          method: verificationMethod
+        });
+
+        // Log verification attempt (Requirement 9.1)
+        const VerificationLog = require('../models/VerificationLog');
+        await VerificationLog.logVerification({
+          documentHash,
+          verifier,
+          verifierIp,
+          apiKeyId: req.apiKey?.keyId,
+          verificationMethod,
+          result: verificationState,
+          userAgent: req.headers['user-agent']
+        });
+
+        verificationResult = {
+          state: verificationState,
+          isAuthentic: false,
+          documentHash,
+          timestamp: new Date().toISOString(),
+          verifier,
+          method: verificationMethod,
+          message: revocation ? 'Document has been revoked by its issuer' : 'Document not found in registry',
+          ...(revocation && { revocation: revocation.toPublicJSON() })
+        };
+
+        return res.status(200).json({
+          success: true,
+          data: {
+            verification: verificationResult
+          }
+        });
+      }
+
+      // Requirement 2.4: Compare computed hash with stored hash
+      // Verify on blockchain
+      let blockchainVerification = null;
+      try {
+        blockchainVerification = await verifyOnChain(document);
+      } catch (blockchainError) {
+        logger.warn('Blockchain verification failed', {
+          documentHash,
+          error: blockchainError.message
+        });
+      }
+
+      // If file was provided, verify file integrity
+      let fileIntegrityCheck = null;
+      if (providedFile) {
+        const isIntegrityValid = providedFile.hash.toLowerCase() === document.documentHash.toLowerCase();
+        
+        fileIntegrityCheck = {
+          isValid: isIntegrityValid,
+          providedFileHash: documentHash,
+          storedFileHash: document.documentHash,
+          hashesMatch: documentHash === document.documentHash
+        };
+
+        // If file integrity check fails, document is tampered
+        if (!isIntegrityValid) {
+          verificationState = 'tampered';
+        }
+      }
+
+      // Determine overall verification state (Requirement 11.3)
+      if (!verificationState) {
+        const isHashMatch = document.documentHash === documentHash;
+        const isBlockchainValid = !blockchainVerification || blockchainVerification.isValid;
+        const isFileValid = !fileIntegrityCheck || fileIntegrityCheck.isValid;
+        const isStatusValid = document.status === 'blockchain_stored';
+
+        if (isHashMatch && isBlockchainValid && isFileValid && isStatusValid) {
+          verificationState = 'authentic';
+        } else {
+          verificationState = 'tampered';
+        }
+      }
+
+      // Increment verification count
+      await document.incrementVerificationCount();
+
+      // Log verification attempt (Requirement 9.1, 9.2)
+      const VerificationLog = require('../models/VerificationLog');
+      await VerificationLog.logVerification({
+        documentHash,
+        verifier,
+        verifierIp,
+        apiKeyId: req.apiKey?.keyId,
+        verificationMethod,
+        result: verificationState,
+        userAgent: req.headers['user-agent'],
+        additionalInfo: {
+          blockchainVerified: !!blockchainVerification,
+          fileIntegrityChecked: !!fileIntegrityCheck,
+          transactionHash: qrCodeData?.transactionHash || document.blockchain?.transactionHash
+        }
+      });
+
+      await webhookService.emit('document.verified', document, {
+        result: verificationState,
+        method: verificationMethod,
+        verifier
+      });
+
+      // Requirement 9.4: Detect suspicious activity
+      const suspiciousActivity = await VerificationLog.detectSuspiciousActivity(documentHash);
+      if (suspiciousActivity.isSuspicious) {
+        logger.warn('Suspicious verification activity detected', {
+          documentHash,
+          failedAttempts: suspiciousActivity.failedAttempts,
+          threshold: suspiciousActivity.threshold
+        });
+      }
+
+      // Log verification completion
+      logger.info('Document verification completed', {
+        documentHash,
+        verifier,
+        state: verificationState,
+        method: verificationMethod,
+        blockchainValid: blockchainVerification?.isValid,
+        fileIntegrityValid: fileIntegrityCheck?.isValid,
+        suspicious: suspiciousActivity.isSuspicious
+      });
+
+      // Requirement 2.5, 11.4: Return complete document metadata for authentic documents
+      verificationResult = {
+        state: verificationState,
+        isAuthentic: verificationState === 'authentic',
+        documentHash,
+        timestamp: new Date().toISOString(),
+        verifier,
+        method: verificationMethod,
+        verificationCount: document.audit.verificationCount
+      };
+
+      // Include full metadata only for authentic documents
+      if (verificationState === 'authentic') {
+        verificationResult.document = {
+          metadata: document.metadata,
+          issuer: document.access.issuer,
+          owner: document.access.owner,
+          status: document.status,
+          createdAt: document.audit.createdAt,
+          fileInfo: {
+            originalName: document.fileInfo.originalName,
+            mimeType: document.fileInfo.mimeType,
+            size: document.fileInfo.size
+          }
+        };
+
+        verificationResult.institution = await institutionService.getIssuingIdentity(document);
+
+        verificationResult.blockchain = {
+          transactionHash: document.blockchain?.transactionHash,
+          blockNumber: document.blockchain?.blockNumber,
+          contractAddress: document.blockchain?.contractAddress,
+          explorerUrl: document.blockchain?.transactionHash ? 
+            `${process.env.BLOCKCHAIN_EXPLORER_URL || 'https://sepolia.etherscan.io'}/tx/${document.blockchain.transactionHash}` : 
+            null,
+          verified: blockchainVerification?.isValid || false,
+          anchorMode: document.blockchain?.merkle?.root ? 'merkle' : 'individual'
+        };
+
+        if (document.blockchain?.merkle?.root) {
+          verificationResult.blockchain.merkle = {
+            root: document.blockchain.merkle.root,
+            proof: document.blockchain.merkle.proof,
+            leafIndex: document.blockchain.merkle.leafIndex,
+            batchId: document.blockchain.merkle.batchId
+          };
+        }
+
+        verificationResult.ipfs = {
+          cid: document.ipfsHash,
+          gateway: `https://ipfs.io/ipfs/${document.ipfsHash}`
+        };
+      } else if (verificationState === 'tampered') {
+        verificationResult.message = 'Document has been tampered with or does not match the registered version';
+        verificationResult.details = {
+          hashMatch: document.documentHash === documentHash,
+          blockchainValid: blockchainVerification?.isValid,
+          fileIntegrityValid: fileIntegrityCheck?.isValid
+        };
+      }
+
+      // Tell verifiers holding an older copy that a corrected version exists
+      verificationResult.versions = await document.getVersionInfo();
+      if (!verificationResult.versions.isLatest) {
+        verificationResult.notice = 'A newer version of this document has been issued';
+      }
+
+      // Include suspicious activity warning if detected
+      if (suspiciousActivity.isSuspicious) {
+        verificationResult.warning = {
+          message: 'Suspicious verification activity detected for this document',
+          failedAttempts: suspiciousActivity.failedAttempts,
+          timeWindow: `${suspiciousActivity.timeWindowMinutes} minutes`
+        };
+      }
+
+      res.status(200).json({
+        success: true,
+        data: {
+          verification: verificationResult
+        }
+      });
+
+    } catch (error) {
+      logger.error('Document verification failed:', {
+        error: error.message,
+        stack: error.stack,
+        verifier: req.user?.walletAddress || 'anonymous',
+        documentHash: req.body?.documentHash
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Document verification failed',
+        message: error.message,
+        details: process.env.NODE_ENV === 'development' ? {
+          error: error.message,
+          stack: error.stack
+        } : undefined
+      });
+    }
+  }
+);
+
+// @route   POST /api/documents/verify-hash
+// @desc    Verify document by hash only (simple verification)
+// @access  Public (API keys with the verify scope are counted)
+router.post('/verify-hash',
+  authenticateApiKey('verify'),
+  body('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { documentHash } = req.body;
+
+      // Find document in database
+      const document = await Document.findOne({ documentHash, isActive: true })
+        .populate('audit.uploadedBy', 'walletAddress profile.name');
+
+      if (!document) {
+        const revocation = await Revocation.findOne({ documentHash });
+        if (revocation) {
+          return res.json({
+            success: true,
+            data: {
+              verified: false,
+              documentHash,
+              revocation: revocation.toPublicJSON()
+            }
+          });
+        }
+
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Batch-anchored documents must also prove inclusion under their anchored root
+      let merkleVerification = null;
+      if (document.blockchain?.merkle?.root) {
+        try {
+          merkleVerification = await verifyOnChain(document);
+        } catch (blockchainError) {
+          logger.warn('Merkle inclusion check failed', {
+            documentHash,
+            error: blockchainError.message
+          });
+        }
+      }
+
+      const versions = await document.getVersionInfo();
+
+      // Simple verification - check the document exists and, if batched, is included
+      res.json({
+        success: true,
+        data: {
+          verified: !merkleVerification || merkleVerification.isValid,
+          documentHash,
+          ...(document.blockchain?.merkle?.root && {
+            merkle: {
+              root: document.blockchain.merkle.root,
+              leafIndex: document.blockchain.merkle.leafIndex,
+              included: merkleVerification ? merkleVerification.isValid : null
+            }
+          }),
+          versions,
+          ...(!versions.isLatest && {
+            notice: 'A newer version of this document has been issued'
+          }),
+          metadata: {
+            title: document.metadata.studentName + "'s " + document.metadata.documentType,
+            type: document.metadata.documentType,
+            owner: document.access.owner,
+            issuer: document.access.issuer,
+            createdAt: document.audit.createdAt
+          },
+          institution: await institutionService.getIssuingIdentity(document)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Hash verification failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Verification failed'
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/verify/:documentHash
+// @desc    Get verification status of a document
+// @access  Private (or API key with the verify scope)
+router.get('/verify/:documentHash',
+  authenticateApiKey('verify', authenticateToken),
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash } = req.params;
+      const user = req.user;
+
+      const document = await Document.findOne({ documentHash, isActive: true })
+        .populate('audit.uploadedBy', 'walletAddress profile.name');
+
+      if (!document) {
+        // Revocation status is public, so it is reported without an access check
+        const revocation = await Revocation.findOne({ documentHash });
+        if (revocation) {
+          return res.json({
+            success: true,
+            data: {
+              verification: {
+                documentHash,
+                isValid: false,
+                status: 'revoked',
+                timestamp: new Date().toISOString(),
+                verifier: user.walletAddress,
+                revocation: revocation.toPublicJSON()
+              }
+            }
+          });
+        }
+
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Check access permissions
+      if (!document.hasAccess(user.walletAddress, 'verify') && 
+          user.role !== 'admin' && 
+          !user.hasPermission('canVerify')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      // Get blockchain verification status
+      let blockchainStatus = null;
+      try {
+        blockchainStatus = await verifyOnChain(document);
+      } catch (error) {
+        logger.warn('Blockchain status check failed', {
+          documentHash,
+          error: error.message
+        });
+      }
+
+      const verificationStatus = {
+        documentHash,
+        isValid: document.status === 'blockchain_stored' && 
+                 (!blockchainStatus || blockchainStatus.isValid),
+        status: document.status,
+        metadata: document.metadata,
+        institution: await institutionService.getIssuingIdentity(document),
+        blockchain: blockchainStatus,
+        versions: await document.getVersionInfo(),
+        audit: {
+          verificationCount: document.audit.verificationCount,
+          lastVerified: document.audit.lastVerified,
+          createdAt: document.audit.createdAt
+        },
+        access: {
+          issuer: document.access.issuer,
+          owner: document.access.owner
+        }
+      };
+
+      res.json({
+        success: true,
+        data: {
+          verification: verificationStatus
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get verification status failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get verification status'
+      });
+    }
+  }
+);
+
+// @route   POST /api/documents/:documentHash/download
+// @desc    Download and decrypt document from IPFS
+// @access  Private
+router.post('/:documentHash/download',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash } = req.params;
+      const user = req.user;
+
+      const document = await Document.findOne({ documentHash, isActive: true });
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Check access permissions; shared access needs an active download grant
+      if (!document.hasAccess(user.walletAddress, 'download') && user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      if (user.role !== 'admin') {
+        // A grant used up by a concurrent request no longer covers this one
+        const use = await document.recordShareGrantUse(user.walletAddress, 'download');
+        if (use && use.modifiedCount === 0) {
+          return res.status(403).json({
+            success: false,
+            error: 'Access denied'
+          });
+        }
+      }
+
+      logger.info('Document download requested', {
+        documentHash,
+        user: user.walletAddress,
+        ipfsHash: document.ipfsHash,
+        encryptionMode: document.encryptionMode
+      });
+
+      if (document.encryptionMode === 'client') {
+        return await sendStoredCiphertext(res, document);
+      }
+
+      let download;
+      try {
+        download = await openDecryptedDocument(document);
+      } catch (downloadError) {
+        if (!downloadError.clientMessage) {
+          throw downloadError;
+        }
+
+        return res.status(500).json({
+          success: false,
+          error: downloadError.clientMessage,
+          details: process.env.NODE_ENV === 'development' ? downloadError.message : undefined
+        });
+      }
+
+      logger.info('Document download started', {
+        documentHash,
+        user: user.walletAddress,
+        filename: document.fileInfo.originalName
+      });
+
+      sendDecryptedDocument(res, document, download);
+
+    } catch (error) {
+      logger.error('Document download failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Document download failed',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/:documentHash/wrapped-key
+// @desc    Get the document key wrapped to the caller's encryption key
+// @access  Private (Owner, issuer or wallets the document is shared with)
+router.get('/:documentHash/wrapped-key',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash } = req.params;
+      const user = req.user;
+
+      const document = await Document.findOne({ documentHash, isActive: true });
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      if (!document.hasAccess(user.walletAddress, 'view')) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const entry = document.getWrappedKey(user.walletAddress);
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'No document key has been shared with this wallet'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          documentHash,
+          address: entry.address,
+          wrappedKey: entry.wrappedKey,
+          wrappedBy: entry.wrappedBy,
+          keyVersion: entry.keyVersion,
+          createdAt: entry.createdAt
+        }
+      });
+
+    } catch (error) {
+      logger.error('Wrapped key retrieval failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve document key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// @route   GET /api/documents/audit/:documentHash
+// @desc    Get audit trail for a document including verification logs (Requirements 9.1, 9.2, 9.3, 9.4, 9.5)
+// @access  Private (Admin or document owner/issuer)
+router.get('/audit/:documentHash',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash } = req.params;
+      const user = req.user;
+      
+      // Requirement 9.5: Support filtering by date range, status, and verifier
+      const {
+        startDate,
+        endDate,
+        result,
+        verifier,
+        limit = 50,
+        skip = 0
+      } = req.query;
+
+      const document = await Document.findOne({ documentHash, isActive: true })
+        .populate('audit.uploadedBy', 'walletAddress profile.name');
+
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Only admin, owner, or issuer can view audit trail
+      if (user.role !== 'admin' && 
+          user.walletAddress !== document.access.owner && 
+          user.walletAddress !== document.access.issuer) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const auditTrail = {
+        documentHash,
+        events: [
+          {
+            type: 'document_created',
+            timestamp: document.audit.createdAt,
+            actor: document.audit.uploadedBy?.walletAddress,
+            details: {
+              issuer: document.access.issuer,
+              owner: document.access.owner,
+              documentType: document.metadata.documentType
+            }
+          },
+          {
+            type: 'ipfs_upload',
+            timestamp: document.audit.createdAt,
+            actor: document.audit.uploadedBy?.walletAddress,
+            details: {
+              ipfsHash: document.ipfsHash,
+              fileSize: document.fileInfo.size
+            }
+          }
+        ],
+        statistics: {
+          verificationCount: document.audit.verificationCount,
+          lastVerified: document.audit.lastVerified,
+          status: document.status,
+          age: Math.floor((Date.now() - document.audit.createdAt) / (1000 * 60 * 60 * 24)) // days
+        }
+      };
+
+      // Add blockchain event if available
+      if (document.blockchain.transactionHash) {
+        auditTrail.events.push({
+          type: 'blockchain_registered',
+          timestamp: document.audit.createdAt, // Approximate
+          actor: document.access.issuer,
+          details: {
+            transactionHash: document.blockchain.transactionHash,
+            blockNumber: document.blockchain.blockNumber,
+            gasUsed: document.blockchain.gasUsed
+          }
+        });
+      }
+
+      // Readers holding a copy of the document key, and key rotations after revocations
+      const wrappedKeys = (document.wrappedKeys || []).map(entry => ({
+        address: entry.address,
+        wrappedKey: entry.wrappedKey,
+        wrappedBy: entry.wrappedBy,
+        keyVersion: entry.keyVersion,
+        createdAt: entry.createdAt
+      }));
+      auditTrail.keyAccess = {
+        encryptionMode: document.encryptionMode,
+        keyVersion: document.keyVersion,
+        wrappedKeys
+      };
+
+      for (const entry of wrappedKeys) {
+        auditTrail.events.push({
+          type: 'key_wrapped',
+          timestamp: entry.createdAt,
+          actor: entry.wrappedBy,
+          details: {
+            reader: entry.address,
+            keyVersion: entry.keyVersion
+          }
+        });
+      }
+
+      for (const rotation of document.keyRotations || []) {
+        auditTrail.events.push({
+          type: 'key_rotated',
+          timestamp: rotation.completedAt || rotation.requestedAt,
+          actor: rotation.triggeredBy,
+          details: {
+            status: rotation.status,
+            keyVersion: rotation.keyVersion,
+            revokedReader: rotation.revokedReader,
+            fromIpfsHash: rotation.fromIpfsHash,
+            toIpfsHash: rotation.toIpfsHash,
+            error: rotation.error
+          }
+        });
+      }
+
+      // Requirement 9.3: Get verification history with filtering (Requirement 9.5)
+      const verificationQuery = { documentHash };
+      
+      if (startDate || endDate) {
+        verificationQuery.timestamp = {};
+        if (startDate) verificationQuery.timestamp.$gte = new Date(startDate);
+        if (endDate) verificationQuery.timestamp.$lte = new Date(endDate);
+      }
+      
+      if (result) {
+        verificationQuery.result = result;
+      }
+      
+      if (verifier) {
+        verificationQuery.verifier = verifier;
+      }
+
+      const verificationLogs = await VerificationLog.find(verificationQuery)
+        .sort({ timestamp: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip));
+
+      const totalVerifications = await VerificationLog.countDocuments(verificationQuery);
+
+      // Get verification statistics
+      const verificationStats = await VerificationLog.getStatistics(documentHash);
+
+      // Requirement 9.4: Detect suspicious activity
+      const suspiciousActivity = await VerificationLog.detectSuspiciousActivity(documentHash);
+
+      // Add verification logs to audit trail
+      auditTrail.verificationLogs = {
+        logs: verificationLogs,
+        pagination: {
+          total: totalVerifications,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+          hasMore: totalVerifications > parseInt(skip) + parseInt(limit)
+        },
+        statistics: verificationStats,
+        suspiciousActivity: suspiciousActivity.isSuspicious ? {
+          detected: true,
+          failedAttempts: suspiciousActivity.failedAttempts,
+          timeWindowMinutes: suspiciousActivity.timeWindowMinutes,
+          threshold: suspiciousActivity.threshold,
+          message: 'Multiple failed verification attempts detected in a short time period'
+        } : {
+          detected: false
+        }
+      };
+
+      logger.info('Audit trail retrieved', {
+        documentHash,
+        user: user.walletAddress,
+        verificationLogsCount: verificationLogs.length,
+        suspiciousActivity: suspiciousActivity.isSuspicious
+      });
+
+      res.json({
+        success: true,
+        data: {
+          audit: auditTrail
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get audit trail failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get audit trail'
+      });
+    }
+  }
+);
+
+// @route   POST /api/documents/:documentHash/share
+// @desc    Grant time-limited access to a document for a specific wallet address
+// @access  Private (Owner or Issuer only)
+router.post('/:documentHash/share',
+  // Security middleware
+  ...securityValidation({
+    enableSanitization: true,
+    enableXSSPrevention: true,
+    enableSQLInjectionPrevention: true,
+    enableNoSQLInjectionPrevention: true
+  }),
+  
+  // Authentication
+  authenticateToken,
+  
+  // Input validation
+  [
+    param('documentHash').custom(value => {
+      if (!/^0x[a-fA-F0-9]{64}$/.test(value)) {
+        throw new Error('Invalid document hash format');
+      }
+      return true;
+    }),
+    validationRules.walletAddress('viewerAddress'),
+    validationRules.accessLevel('accessLevel'),
+    validationRules.date('expiresAt', false),
+    body('maxViews').optional({ nullable: true }).isInt({ min: 1, max: 1000 })
+      .withMessage('maxViews must be between 1 and 1000').toInt(),
+    body('wrappedKey').optional().isString().isLength({ max: 1024 })
+      .withMessage('wrappedKey must be a string of at most 1024 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
 
-      // Requirement 9.4: Detect suspicious activity
-      const suspiciousActivity = await VerificationLog.detectSuspiciousActivity(documentHash);
-      if (suspiciousActivity.isSuspicious) {
-        logger.warn('Suspicious verification activity detected', {
-          documentHash,
-          failedAttempts: suspiciousActivity.failedAttempts,
-          threshold: suspiciousActivity.threshold
+      const { documentHash } = req.params;
+      const { viewerAddress, accessLevel, maxViews, wrappedKey } = req.body;
+      const user = req.user;
+
+      const expiresAt = req.body.expiresAt
+        ? new Date(req.body.expiresAt)
+        : new Date(Date.now() + SHARE_GRANT_DEFAULT_TTL);
+
+      if (expiresAt <= new Date() || expiresAt > new Date(Date.now() + SHARE_GRANT_MAX_TTL)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Share expiry must be in the future and within 365 days'
         });
       }
 
-      // Log verification completion
-      logger.info('Document verification completed', {
-        documentHash,
-        verifier,
-        state: verificationState,
-        method: verificationMethod,
-        blockchainValid: blockchainVerification?.isValid,
-        fileIntegrityValid: fileIntegrityCheck?.isValid,
-        suspicious: suspiciousActivity.isSuspicious
-      });
+      const document = await Document.findOne({ documentHash, isActive: true });
 
-      // Requirement 2.5, 11.4: Return complete document metadata for authentic documents
-      verificationResult = {
-        state: verificationState,
-        isAuthentic: verificationState === 'authentic',
-        documentHash,
-        timestamp: new Date().toISOString(),
-        verifier,
-        method: verificationMethod,
-        verificationCount: document.audit.verificationCount
-      };
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
 
-      // Include full metadata only for authentic documents
-      if (verificationState === 'authentic') {
-        verificationResult.document = {
-          metadata: document.metadata,
-          issuer: document.access.issuer,
-          owner: document.access.owner,
-          status: document.status,
-          createdAt: document.audit.createdAt,
-          fileInfo: {
-            originalName: document.fileInfo.originalName,
-            mimeType: document.fileInfo.mimeType,
-            size: document.fileInfo.size
-          }
-        };
+      // Check if user has permission to share (owner or issuer)
+      if (user.walletAddress !== document.access.owner && 
+          user.walletAddress !== document.access.issuer && 
+          user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only document owner or issuer can grant access'
+        });
+      }
 
-        verificationResult.blockchain = {
-          transactionHash: document.blockchain?.transactionHash,
-          blockNumber: document.blockchain?.blockNumber,
-          contractAddress: document.blockchain?.contractAddress,
-          explorerUrl: document.blockchain?.transactionHash ? 
-            `${process.env.BLOCKCHAIN_EXPLORER_URL || 'https://sepolia.etherscan.io'}/tx/${document.blockchain.transactionHash}` : 
-            null,
-          verified: blockchainVerification?.isValid || false
-        };
+      // Permanent viewers already have unrestricted access
+      if (document.access.authorizedViewers.includes(viewerAddress.toLowerCase())) {
+        return res.status(409).json({
+          success: false,
+          error: 'Access already granted to this address'
+        });
+      }
 
-        verificationResult.ipfs = {
-          cid: document.ipfsHash,
-          gateway: `https://ipfs.io/ipfs/${document.ipfsHash}`
-        };
-      } else if (verificationState === 'tampered') {
-        verificationResult.message = 'Document has been tampered with or does not match the registered version';
-        verificationResult.details = {
-          hashMatch: document.documentHash === documentHash,
-          blockchainValid: blockchainVerification?.isValid,
-          fileIntegrityValid: fileIntegrityCheck?.isValid
-        };
+      // End-to-end encrypted documents can only be read with the document key wrapped to the
+      // viewer's encryption key, which only the sharer's browser can produce
+      const needsWrappedKey = document.encryptionMode === 'client' && accessLevel !== 'verify';
+      if (needsWrappedKey && !encryptionService.isValidWrappedKey(wrappedKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'End-to-end encrypted documents need the document key wrapped for the viewer'
+        });
       }
 
-      // Include suspicious activity warning if detected
-      if (suspiciousActivity.isSuspicious) {
-        verificationResult.warning = {
-          message: 'Suspicious verification activity detected for this document',
-          failedAttempts: suspiciousActivity.failedAttempts,
-          timeWindow: `${suspiciousActivity.timeWindowMinutes} minutes`
-        };
+      // Create the grant, replacing any active grant for the same address
+      const grant = document.addShareGrant({
+        grantee: viewerAddress,
+        level: accessLevel,
+        grantedBy: user.walletAddress,
+        expiresAt,
+        maxViews
+      });
+      let keyWrapped = needsWrappedKey;
+      if (needsWrappedKey) {
+        document.setWrappedKey(viewerAddress, wrappedKey, user.walletAddress);
+      } else if (document.encryptionMode !== 'client' && accessLevel !== 'verify') {
+        // Server-encrypted documents get a copy of their key wrapped for the viewer,
+        // if the viewer has registered an encryption key
+        keyWrapped = !!await documentKeyService.wrapForReader(document, viewerAddress, user.walletAddress);
       }
+      await document.save();
 
-      res.status(200).json({
+      await webhookService.emit('document.shared', document, {
+        shareType: 'grant',
+        grantee: viewerAddress.toLowerCase(),
+        accessLevel,
+        expiresAt: grant.expiresAt,
+        maxViews: grant.maxViews,
+        sharedBy: user.walletAddress
+      });
+
+      logger.info('Document access granted', {
+        documentHash,
+        viewerAddress,
+        grantedBy: user.walletAddress,
+        accessLevel,
+        expiresAt,
+        maxViews: grant.maxViews
+      });
+
+      res.json({
         success: true,
         data: {
-          verification: verificationResult
+          message: 'Access granted successfully',
+          viewerAddress,
+          accessLevel,
+          keyWrapped,
+          grant: {
+            grantId: grant._id,
+            level: grant.level,
+            expiresAt: grant.expiresAt,
+            maxViews: grant.maxViews,
+            viewCount: grant.viewCount
+          }
         }
       });
 
     } catch (error) {
-      logger.error('Document verification failed:', {
+      logger.error('Grant document access failed:', {
         error: error.message,
-        stack: error.stack,
-        verifier: req.user?.walletAddress || 'anonymous',
-        documentHash: req.body?.documentHash
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
       });
 
       res.status(500).json({
         success: false,
-        error: 'Document verification failed',
-        message: error.message,
-        details: process.env.NODE_ENV === 'development' ? {
-          error: error.message,
-          stack: error.stack
-        } : undefined
+        error: 'Failed to grant access'
       });
     }
   }
 );
 
-// @route   POST /api/documents/verify-hash
-// @desc    Verify document by hash only (simple verification)
-// @access  Public
-router.post('/verify-hash',
-  body('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
-  handleValidationErrors,
+// @route   DELETE /api/documents/:documentHash/share
+// @desc    Revoke access to a document for a specific wallet address
+// @access  Private (Owner or Issuer only)
+router.delete('/:documentHash/share',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  body('viewerAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid viewer address format'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
   async (req, res) => {
     try {
-      const { documentHash } = req.body;
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
 
-      // Find document in database
-      const document = await Document.findOne({ documentHash, isActive: true })
-        .populate('audit.uploadedBy', 'walletAddress profile.name');
+      const { documentHash } = req.params;
+      const { viewerAddress, reason } = req.body;
+      const user = req.user;
+
+      const document = await Document.findOne({ documentHash, isActive: true });
 
       if (!document) {
         return res.status(404).json({
@@ -1469,36 +3576,82 @@ router.post('/verify-hash',
         });
       }
 
-      // Simple verification - just check if document exists
+      // Check if user has permission to revoke access (owner or issuer)
+      if (user.walletAddress !== document.access.owner && 
+          user.walletAddress !== document.access.issuer && 
+          user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only document owner or issuer can revoke access'
+        });
+      }
+
+      // Revoke active share grants and remove any permanent viewer entry
+      const revokedGrants = document.revokeShareGrants(
+        viewerAddress,
+        user.walletAddress,
+        reason || 'Revoked by document owner'
+      );
+      const viewerIndex = document.access.authorizedViewers.indexOf(viewerAddress.toLowerCase());
+
+      if (revokedGrants.length === 0 && viewerIndex === -1) {
+        return res.status(404).json({
+          success: false,
+          error: 'Viewer not found in access list'
+        });
+      }
+
+      if (viewerIndex !== -1) {
+        document.access.authorizedViewers.splice(viewerIndex, 1);
+      }
+      const rotateKey = document.removeWrappedKey(viewerAddress) && document.encryptionMode !== 'client';
+      await document.save();
+
+      // The viewer's copy of the key cannot be taken back, so future versions use a new key
+      const keyRotation = rotateKey
+        ? await documentKeyService.requestRotation(document, {
+          revokedReader: viewerAddress,
+          triggeredBy: user.walletAddress
+        })
+        : null;
+
+      logger.info('Document access revoked', {
+        documentHash,
+        viewerAddress,
+        revokedBy: user.walletAddress,
+        revokedGrants: revokedGrants.length,
+        keyRotation: keyRotation?._id,
+        reason
+      });
+
       res.json({
         success: true,
         data: {
-          verified: true,
-          documentHash,
-          metadata: {
-            title: document.metadata.studentName + "'s " + document.metadata.documentType,
-            type: document.metadata.documentType,
-            owner: document.access.owner,
-            issuer: document.access.issuer,
-            createdAt: document.audit.createdAt
-          }
+          message: 'Access revoked successfully',
+          viewerAddress,
+          keyRotation: formatKeyRotation(keyRotation)
         }
       });
 
     } catch (error) {
-      logger.error('Hash verification failed:', error);
+      logger.error('Revoke document access failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
       res.status(500).json({
         success: false,
-        error: 'Verification failed'
+        error: 'Failed to revoke access'
       });
     }
   }
 );
 
-// @route   GET /api/documents/verify/:documentHash
-// @desc    Get verification status of a document
-// @access  Private
-router.get('/verify/:documentHash',
+// @route   GET /api/documents/:documentHash/credential
+// @desc    Issue a W3C Verifiable Credential (VC-JWT) for a registered document
+// @access  Private (Owner, Issuer or Admin)
+router.get('/:documentHash/credential',
   authenticateToken,
   param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
   async (req, res) => {
@@ -1515,8 +3668,7 @@ router.get('/verify/:documentHash',
       const { documentHash } = req.params;
       const user = req.user;
 
-      const document = await Document.findOne({ documentHash, isActive: true })
-        .populate('audit.uploadedBy', 'walletAddress profile.name');
+      const document = await Document.findOne({ documentHash, isActive: true });
 
       if (!document) {
         return res.status(404).json({
@@ -1525,54 +3677,47 @@ router.get('/verify/:documentHash',
         });
       }
 
-      // Check access permissions
-      if (!document.hasAccess(user.walletAddress) && 
-          user.role !== 'admin' && 
-          !user.hasPermission('canVerify')) {
+      if (user.walletAddress !== document.access.owner &&
+          user.walletAddress !== document.access.issuer &&
+          user.role !== 'admin') {
         return res.status(403).json({
           success: false,
-          error: 'Access denied'
+          error: 'Only document owner or issuer can export credentials'
         });
       }
 
-      // Get blockchain verification status
-      let blockchainStatus = null;
-      try {
-        blockchainStatus = await blockchainService.verifyDocument(documentHash);
-      } catch (error) {
-        logger.warn('Blockchain status check failed', {
-          documentHash,
-          error: error.message
+      if (document.status !== 'blockchain_stored' || !document.blockchain?.transactionHash) {
+        return res.status(409).json({
+          success: false,
+          error: 'Document must be registered on the blockchain before a credential can be issued'
         });
       }
 
-      const verificationStatus = {
-        documentHash,
-        isValid: document.status === 'blockchain_stored' && 
-                 (!blockchainStatus || blockchainStatus.isValid),
-        status: document.status,
-        metadata: document.metadata,
-        blockchain: blockchainStatus,
-        audit: {
-          verificationCount: document.audit.verificationCount,
-          lastVerified: document.audit.lastVerified,
-          createdAt: document.audit.createdAt
-        },
-        access: {
-          issuer: document.access.issuer,
-          owner: document.access.owner
-        }
-      };
+      if (!credentialService.getSigningWallet()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Credential signing is not configured on this server'
+        });
+      }
+
+      const { jwt, credential } = await credentialService.issueCredential(document);
+
+      if (req.query.format === 'jwt') {
+        res.setHeader('Content-Type', 'application/vc+jwt');
+        res.setHeader('Content-Disposition', `attachment; filename="credential-${documentHash.slice(2, 10)}.jwt"`);
+        return res.send(jwt);
+      }
 
       res.json({
         success: true,
         data: {
-          verification: verificationStatus
+          jwt,
+          credential
         }
       });
 
     } catch (error) {
-      logger.error('Get verification status failed:', {
+      logger.error('Issue credential failed:', {
         error: error.message,
         documentHash: req.params.documentHash,
         user: req.user?.walletAddress
@@ -1580,18 +3725,30 @@ router.get('/verify/:documentHash',
 
       res.status(500).json({
         success: false,
-        error: 'Failed to get verification status'
+        error: 'Failed to issue credential'
       });
     }
   }
 );
 
-// @route   POST /api/documents/:documentHash/download
-// @desc    Download and decrypt document from IPFS
-// @access  Private
-router.post('/:documentHash/download',
+// @route   POST /api/documents/:documentHash/share-links
+// @desc    Create an expiring anonymous share link, optionally protected by a passcode
+// @access  Private (Owner or Issuer only)
+router.post('/:documentHash/share-links',
+  ...securityValidation({
+    enableSanitization: true,
+    enableXSSPrevention: true,
+    enableSQLInjectionPrevention: true,
+    enableNoSQLInjectionPrevention: true
+  }),
   authenticateToken,
   param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  body('expiresInHours').optional().isInt({ min: 1, max: SHARE_LINK_MAX_HOURS })
+    .withMessage(`expiresInHours must be between 1 and ${SHARE_LINK_MAX_HOURS}`).toInt(),
+  body('passcode').optional({ checkFalsy: true }).isString().isLength({ min: 4, max: 64 })
+    .withMessage('Passcode must be between 4 and 64 characters'),
+  body('allowDownload').optional().isBoolean().withMessage('allowDownload must be a boolean').toBoolean(),
+  body('label').optional().isString().isLength({ max: 100 }).withMessage('Label must be less than 100 characters'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -1604,6 +3761,7 @@ router.post('/:documentHash/download',
       }
 
       const { documentHash } = req.params;
+      const { expiresInHours = SHARE_LINK_DEFAULT_HOURS, passcode, allowDownload = false, label } = req.body;
       const user = req.user;
 
       const document = await Document.findOne({ documentHash, isActive: true });
@@ -1615,131 +3773,63 @@ router.post('/:documentHash/download',
         });
       }
 
-      // Check access permissions
-      if (!document.hasAccess(user.walletAddress) && user.role !== 'admin') {
+      if (user.walletAddress !== document.access.owner &&
+          user.walletAddress !== document.access.issuer &&
+          user.role !== 'admin') {
         return res.status(403).json({
           success: false,
-          error: 'Access denied'
+          error: 'Only document owner or issuer can create share links'
         });
       }
 
-      logger.info('Document download requested', {
-        documentHash,
-        user: user.walletAddress,
-        ipfsHash: document.ipfsHash
-      });
-
-      // Retrieve encrypted file from IPFS/local storage
-      const encryptedBuffer = await ipfsService.retrieveFile(document.ipfsHash);
-      
-      logger.info('Retrieved file from storage', {
-        documentHash,
-        ipfsHash: document.ipfsHash,
-        bufferSize: encryptedBuffer.length,
-        firstBytes: encryptedBuffer.slice(0, 20).toString('hex')
-      });
-      
-      let decryptedBuffer;
-      
-      try {
-        // Try to parse the buffer as JSON to get encrypted data object
-        const bufferString = encryptedBuffer.toString('utf8');
-        
-        // Check if it looks like JSON (starts with '{')
-        if (bufferString.trim().startsWith('{')) {
-          logger.info('File appears to be JSON format');
-          const encryptedData = JSON.parse(bufferString);
-          
-          logger.info('Successfully parsed encrypted data', {
-            documentHash,
-            hasEncryptedData: !!encryptedData.encryptedData,
-            hasIV: !!encryptedData.iv,
-            algorithm: encryptedData.algorithm
-          });
-          
-          // Decrypt file using the stored encryption key
-          // The encryptionKey in document is a JSON string containing encrypted key data
-          // We need to decrypt it first using decryptKeyFromStorage
-          let encryptionKeyToUse;
-          try {
-            const encryptedKeyData = JSON.parse(document.encryptionKey);
-            // Decrypt the encryption key from storage
-            encryptionKeyToUse = encryptionService.decryptKeyFromStorage(encryptedKeyData);
-            
-            logger.info('Decrypted encryption key from storage', {
-              documentHash,
-              keyLength: encryptionKeyToUse.length
-            });
-          } catch (e) {
-            logger.error('Failed to decrypt encryption key from storage', {
-              documentHash,
-              error: e.message
-            });
-            // Fallback: try using the key from encrypted data itself
-            encryptionKeyToUse = encryptedData.encryptionKey;
-          }
-          
-          decryptedBuffer = encryptionService.decryptFile(encryptedData, encryptionKeyToUse);
-        } else {
-          // Legacy format: File is raw encrypted buffer without JSON wrapper
-          // This shouldn't happen with current code, but handle it for old uploads
-          logger.warn('File is in legacy binary format, cannot decrypt without IV', {
-            documentHash,
-            ipfsHash: document.ipfsHash
-          });
-          
-          return res.status(500).json({
-            success: false,
-            error: 'Document is in an incompatible legacy format and cannot be downloaded. Please re-upload the document.'
-          });
-        }
-        
-        logger.info('Document decrypted successfully', { documentHash });
-      } catch (parseError) {
-        logger.error('Failed to parse or decrypt document', {
-          documentHash,
-          error: parseError.message,
-          stack: parseError.stack,
-          ipfsHash: document.ipfsHash,
-          bufferSize: encryptedBuffer.length
-        });
-        
-        return res.status(500).json({
+      if (allowDownload && document.encryptionMode === 'client') {
+        return res.status(400).json({
           success: false,
-          error: 'Failed to decrypt document. The file may be corrupted or in an incompatible format. Please re-upload the document.',
-          details: process.env.NODE_ENV === 'development' ? parseError.message : undefined
+          error: 'End-to-end encrypted documents cannot be downloaded through a share link'
         });
       }
 
-      // Verify file integrity
-      const isIntegrityValid = encryptionService.verifyFileIntegrity(decryptedBuffer, documentHash);
-      if (!isIntegrityValid) {
-        logger.error('File integrity check failed during download', {
-          documentHash,
-          user: user.walletAddress
-        });
-        
-        return res.status(500).json({
-          success: false,
-          error: 'File integrity verification failed'
-        });
-      }
+      const link = new ShareLink({
+        documentHash,
+        createdBy: user.walletAddress,
+        label,
+        allowDownload,
+        expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+      });
+      await link.setPasscode(passcode);
+      await link.save();
+
+      await webhookService.emit('document.shared', document, {
+        shareType: 'link',
+        linkId: link.linkId,
+        expiresAt: link.expiresAt,
+        allowDownload,
+        sharedBy: user.walletAddress
+      });
 
-      // Set appropriate headers for file download
-      res.setHeader('Content-Type', document.fileInfo.mimeType);
-      res.setHeader('Content-Disposition', `attachment; filename="${document.fileInfo.originalName}"`);
-      res.setHeader('Content-Length', decryptedBuffer.length);
+      const token = generateShareToken(link.linkId, documentHash, link.expiresAt);
+      const url = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/?share=${encodeURIComponent(token)}`;
 
-      logger.info('Document downloaded successfully', {
+      logger.info('Share link created', {
         documentHash,
-        user: user.walletAddress,
-        filename: document.fileInfo.originalName
+        linkId: link.linkId,
+        createdBy: user.walletAddress,
+        expiresAt: link.expiresAt,
+        allowDownload,
+        hasPasscode: !!passcode
       });
 
-      res.send(decryptedBuffer);
+      res.status(201).json({
+        success: true,
+        data: {
+          link: link.toJSON(),
+          token,
+          url
+        }
+      });
 
     } catch (error) {
-      logger.error('Document download failed:', {
+      logger.error('Create share link failed:', {
         error: error.message,
         documentHash: req.params.documentHash,
         user: req.user?.walletAddress
@@ -1747,17 +3837,16 @@ router.post('/:documentHash/download',
 
       res.status(500).json({
         success: false,
-        error: 'Document download failed',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        error: 'Failed to create share link'
       });
     }
   }
 );
 
-// @route   GET /api/documents/audit/:documentHash
-// @desc    Get audit trail for a document including verification logs (Requirements 9.1, 9.2, 9.3, 9.4, 9.5)
-// @access  Private (Admin or document owner/issuer)
-router.get('/audit/:documentHash',
+// @route   GET /api/documents/:documentHash/share-links
+// @desc    List anonymous share links created for a document
+// @access  Private (Owner or Issuer only)
+router.get('/:documentHash/share-links',
   authenticateToken,
   param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
   async (req, res) => {
@@ -1773,19 +3862,8 @@ router.get('/audit/:documentHash',
 
       const { documentHash } = req.params;
       const user = req.user;
-      
-      // Requirement 9.5: Support filtering by date range, status, and verifier
-      const {
-        startDate,
-        endDate,
-        result,
-        verifier,
-        limit = 50,
-        skip = 0
-      } = req.query;
 
-      const document = await Document.findOne({ documentHash, isActive: true })
-        .populate('audit.uploadedBy', 'walletAddress profile.name');
+      const document = await Document.findOne({ documentHash, isActive: true });
 
       if (!document) {
         return res.status(404).json({
@@ -1794,128 +3872,29 @@ router.get('/audit/:documentHash',
         });
       }
 
-      // Only admin, owner, or issuer can view audit trail
-      if (user.role !== 'admin' && 
-          user.walletAddress !== document.access.owner && 
-          user.walletAddress !== document.access.issuer) {
+      if (user.walletAddress !== document.access.owner &&
+          user.walletAddress !== document.access.issuer &&
+          user.role !== 'admin') {
         return res.status(403).json({
           success: false,
-          error: 'Access denied'
-        });
-      }
-
-      const auditTrail = {
-        documentHash,
-        events: [
-          {
-            type: 'document_created',
-            timestamp: document.audit.createdAt,
-            actor: document.audit.uploadedBy?.walletAddress,
-            details: {
-              issuer: document.access.issuer,
-              owner: document.access.owner,
-              documentType: document.metadata.documentType
-            }
-          },
-          {
-            type: 'ipfs_upload',
-            timestamp: document.audit.createdAt,
-            actor: document.audit.uploadedBy?.walletAddress,
-            details: {
-              ipfsHash: document.ipfsHash,
-              fileSize: document.fileInfo.size
-            }
-          }
-        ],
-        statistics: {
-          verificationCount: document.audit.verificationCount,
-          lastVerified: document.audit.lastVerified,
-          status: document.status,
-          age: Math.floor((Date.now() - document.audit.createdAt) / (1000 * 60 * 60 * 24)) // days
-        }
-      };
-
-      // Add blockchain event if available
-      if (document.blockchain.transactionHash) {
-        auditTrail.events.push({
-          type: 'blockchain_registered',
-          timestamp: document.audit.createdAt, // Approximate
-          actor: document.access.issuer,
-          details: {
-            transactionHash: document.blockchain.transactionHash,
-            blockNumber: document.blockchain.blockNumber,
-            gasUsed: document.blockchain.gasUsed
-          }
+          error: 'Only document owner or issuer can view share links'
         });
       }
 
-      // Requirement 9.3: Get verification history with filtering (Requirement 9.5)
-      const verificationQuery = { documentHash };
-      
-      if (startDate || endDate) {
-        verificationQuery.timestamp = {};
-        if (startDate) verificationQuery.timestamp.$gte = new Date(startDate);
-        if (endDate) verificationQuery.timestamp.$lte = new Date(endDate);
-      }
-      
-      if (result) {
-        verificationQuery.result = result;
-      }
-      
-      if (verifier) {
-        verificationQuery.verifier = verifier;
-      }
-
-      const verificationLogs = await VerificationLog.find(verificationQuery)
-        .sort({ timestamp: -1 })
-        .limit(parseInt(limit))
-        .skip(parseInt(skip));
-
-      const totalVerifications = await VerificationLog.countDocuments(verificationQuery);
-
-      // Get verification statistics
-      const verificationStats = await VerificationLog.getStatistics(documentHash);
-
-      // Requirement 9.4: Detect suspicious activity
-      const suspiciousActivity = await VerificationLog.detectSuspiciousActivity(documentHash);
-
-      // Add verification logs to audit trail
-      auditTrail.verificationLogs = {
-        logs: verificationLogs,
-        pagination: {
-          total: totalVerifications,
-          limit: parseInt(limit),
-          skip: parseInt(skip),
-          hasMore: totalVerifications > parseInt(skip) + parseInt(limit)
-        },
-        statistics: verificationStats,
-        suspiciousActivity: suspiciousActivity.isSuspicious ? {
-          detected: true,
-          failedAttempts: suspiciousActivity.failedAttempts,
-          timeWindowMinutes: suspiciousActivity.timeWindowMinutes,
-          threshold: suspiciousActivity.threshold,
-          message: 'Multiple failed verification attempts detected in a short time period'
-        } : {
-          detected: false
-        }
-      };
-
-      logger.info('Audit trail retrieved', {
-        documentHash,
-        user: user.walletAddress,
-        verificationLogsCount: verificationLogs.length,
-        suspiciousActivity: suspiciousActivity.isSuspicious
-      });
+      const links = await ShareLink.findByDocument(documentHash).select('+passcodeHash');
 
       res.json({
         success: true,
         data: {
-          audit: auditTrail
+          links: links.map(link => ({
+            ...link.toJSON(),
+            isActive: link.isUsable()
+          }))
         }
       });
 
     } catch (error) {
-      logger.error('Get audit trail failed:', {
+      logger.error('List share links failed:', {
         error: error.message,
         documentHash: req.params.documentHash,
         user: req.user?.walletAddress
@@ -1923,39 +3902,18 @@ router.get('/audit/:documentHash',
 
       res.status(500).json({
         success: false,
-        error: 'Failed to get audit trail'
+        error: 'Failed to retrieve share links'
       });
     }
   }
 );
 
-// @route   POST /api/documents/:documentHash/share
-// @desc    Grant access to a document for a specific wallet address
-// @access  Private (Owner or Issuer only)
-router.post('/:documentHash/share',
-  // Security middleware
-  ...securityValidation({
-    enableSanitization: true,
-    enableXSSPrevention: true,
-    enableSQLInjectionPrevention: true,
-    enableNoSQLInjectionPrevention: true
-  }),
-  
-  // Authentication
+// @route   GET /api/documents/:documentHash/transactions
+// @desc    List blockchain transactions sent for a document, including fee replacements
+// @access  Private (Owner, Issuer or Admin)
+router.get('/:documentHash/transactions',
   authenticateToken,
-  
-  // Input validation
-  [
-    param('documentHash').custom(value => {
-      if (!/^0x[a-fA-F0-9]{64}$/.test(value)) {
-        throw new Error('Invalid document hash format');
-      }
-      return true;
-    }),
-    validationRules.walletAddress('viewerAddress'),
-    validationRules.accessLevel('accessLevel')
-  ],
-  handleValidationErrors,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -1968,10 +3926,9 @@ router.post('/:documentHash/share',
       }
 
       const { documentHash } = req.params;
-      const { viewerAddress, accessLevel } = req.body;
       const user = req.user;
 
-      const document = await Document.findOne({ documentHash, isActive: true });
+      const document = await Document.findOne({ documentHash });
 
       if (!document) {
         return res.status(404).json({
@@ -1980,46 +3937,29 @@ router.post('/:documentHash/share',
         });
       }
 
-      // Check if user has permission to share (owner or issuer)
-      if (user.walletAddress !== document.access.owner && 
-          user.walletAddress !== document.access.issuer && 
+      if (user.walletAddress !== document.access.owner &&
+          user.walletAddress !== document.access.issuer &&
           user.role !== 'admin') {
         return res.status(403).json({
           success: false,
-          error: 'Only document owner or issuer can grant access'
-        });
-      }
-
-      // Check if viewer is already in the list
-      if (document.access.authorizedViewers.includes(viewerAddress)) {
-        return res.status(409).json({
-          success: false,
-          error: 'Access already granted to this address'
+          error: 'Only document owner or issuer can view transactions'
         });
       }
 
-      // Add viewer to authorized list
-      document.access.authorizedViewers.push(viewerAddress);
-      await document.save();
-
-      logger.info('Document access granted', {
-        documentHash,
-        viewerAddress,
-        grantedBy: user.walletAddress,
-        accessLevel
-      });
+      const transactions = await BlockchainTransaction.find({ documentHash })
+        .sort({ createdAt: -1 })
+        .limit(50);
 
       res.json({
         success: true,
         data: {
-          message: 'Access granted successfully',
-          viewerAddress,
-          accessLevel
+          documentStatus: document.status,
+          transactions: transactions.map(transaction => transactionTrackerService.toStatusJSON(transaction))
         }
       });
 
     } catch (error) {
-      logger.error('Grant document access failed:', {
+      logger.error('List document transactions failed:', {
         error: error.message,
         documentHash: req.params.documentHash,
         user: req.user?.walletAddress
@@ -2027,19 +3967,20 @@ router.post('/:documentHash/share',
 
       res.status(500).json({
         success: false,
-        error: 'Failed to grant access'
+        error: 'Failed to retrieve transactions'
       });
     }
   }
 );
 
-// @route   DELETE /api/documents/:documentHash/share
-// @desc    Revoke access to a document for a specific wallet address
+// @route   DELETE /api/documents/:documentHash/share-links/:linkId
+// @desc    Revoke an anonymous share link
 // @access  Private (Owner or Issuer only)
-router.delete('/:documentHash/share',
+router.delete('/:documentHash/share-links/:linkId',
   authenticateToken,
   param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
-  body('viewerAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid viewer address format'),
+  param('linkId').matches(/^[a-f0-9]{32}$/).withMessage('Invalid share link ID'),
+  body('reason').optional().isString().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -2051,8 +3992,7 @@ router.delete('/:documentHash/share',
         });
       }
 
-      const { documentHash } = req.params;
-      const { viewerAddress } = req.body;
+      const { documentHash, linkId } = req.params;
       const user = req.user;
 
       const document = await Document.findOne({ documentHash, isActive: true });
@@ -2064,44 +4004,52 @@ router.delete('/:documentHash/share',
         });
       }
 
-      // Check if user has permission to revoke access (owner or issuer)
-      if (user.walletAddress !== document.access.owner && 
-          user.walletAddress !== document.access.issuer && 
+      if (user.walletAddress !== document.access.owner &&
+          user.walletAddress !== document.access.issuer &&
           user.role !== 'admin') {
         return res.status(403).json({
           success: false,
-          error: 'Only document owner or issuer can revoke access'
+          error: 'Only document owner or issuer can revoke share links'
+        });
+      }
+
+      const link = await ShareLink.findOne({ linkId, documentHash });
+
+      if (!link) {
+        return res.status(404).json({
+          success: false,
+          error: 'Share link not found'
         });
       }
 
-      // Remove viewer from authorized list
-      const viewerIndex = document.access.authorizedViewers.indexOf(viewerAddress);
-      if (viewerIndex === -1) {
-        return res.status(404).json({
+      if (link.revokedAt) {
+        return res.status(409).json({
           success: false,
-          error: 'Viewer not found in access list'
+          error: 'Share link is already revoked'
         });
       }
 
-      document.access.authorizedViewers.splice(viewerIndex, 1);
-      await document.save();
+      link.revokedAt = new Date();
+      link.revokedBy = user.walletAddress;
+      link.revocationReason = req.body.reason || 'Revoked by document owner';
+      await link.save();
 
-      logger.info('Document access revoked', {
+      logger.info('Share link revoked', {
         documentHash,
-        viewerAddress,
+        linkId,
         revokedBy: user.walletAddress
       });
 
       res.json({
         success: true,
         data: {
-          message: 'Access revoked successfully',
-          viewerAddress
+          message: 'Share link revoked successfully',
+          linkId
         }
       });
 
     } catch (error) {
-      logger.error('Revoke document access failed:', {
+      logger.error('Revoke share link failed:', {
         error: error.message,
         documentHash: req.params.documentHash,
         user: req.user?.walletAddress
@@ -2109,7 +4057,7 @@ router.delete('/:documentHash/share',
 
       res.status(500).json({
         success: false,
-        error: 'Failed to revoke access'
+        error: 'Failed to revoke share link'
       });
     }
   }
@@ -2301,6 +4249,8 @@ router.post('/:documentHash/access/grant',
   param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
   validationRules.walletAddress('userAddress'),
   validationRules.date('expiresAt', false),
+  body('wrappedKey').optional().isString().isLength({ max: 1024 })
+    .withMessage('wrappedKey must be a string of at most 1024 characters'),
   handleValidationErrors,
   async (req, res) => {
     try {
@@ -2314,7 +4264,7 @@ router.post('/:documentHash/access/grant',
       }
 
       const { documentHash } = req.params;
-      const { userAddress, expiresAt } = req.body;
+      const { userAddress, expiresAt, wrappedKey } = req.body;
       const grantingUser = req.user;
 
       logger.info('Access grant requested', {
@@ -2361,9 +4311,25 @@ router.post('/:documentHash/access/grant',
         });
       }
 
-      // Grant access on blockchain
+      // The viewer can only read an end-to-end encrypted document with its key wrapped for them
+      const needsWrappedKey = document.encryptionMode === 'client';
+      if (needsWrappedKey && !encryptionService.isValidWrappedKey(wrappedKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'End-to-end encrypted documents need the document key wrapped for the viewer'
+        });
+      }
+
+      // Server-encrypted documents get a copy of their key wrapped for the viewer, if the
+      // viewer has registered an encryption key
+      const keyWrapped = needsWrappedKey ||
+        !!await documentKeyService.wrapForReader(document, userAddress, grantingUser.walletAddress);
+
+      // Grant access on blockchain. Documents anchored in a Merkle batch have no
+      // DocumentRegistry record, so their access list lives in the database alone.
+      const merkleAnchored = !!document.blockchain?.merkle?.root;
       try {
-        const blockchainResult = await blockchainService.grantDocumentAccess(
+        const blockchainResult = merkleAnchored ? null : await blockchainService.grantDocumentAccess(
           documentHash,
           userAddress,
           grantingUser.walletAddress
@@ -2371,14 +4337,25 @@ router.post('/:documentHash/access/grant',
 
         // Add to authorized viewers
         document.access.authorizedViewers.push(userAddress);
+        if (needsWrappedKey) {
+          document.setWrappedKey(userAddress, wrappedKey, grantingUser.walletAddress);
+        }
         document.audit.updatedAt = new Date();
         await document.save();
 
+        await webhookService.emit('document.shared', document, {
+          shareType: 'viewer',
+          grantee: userAddress,
+          expiresAt: expiresAt || null,
+          sharedBy: grantingUser.walletAddress,
+          transactionHash: blockchainResult?.transactionHash || null
+        });
+
         logger.info('Access granted successfully', {
           documentHash,
           userAddress,
           grantedBy: grantingUser.walletAddress,
-          transactionHash: blockchainResult.transactionHash
+          transactionHash: blockchainResult?.transactionHash
         });
 
         res.json({
@@ -2389,10 +4366,13 @@ router.post('/:documentHash/access/grant',
             userAddress,
             grantedBy: grantingUser.walletAddress,
             expiresAt: expiresAt || null,
-            blockchain: {
+            keyWrapped,
+            blockchain: blockchainResult ? {
               transactionHash: blockchainResult.transactionHash,
               blockNumber: blockchainResult.blockNumber,
               gasUsed: blockchainResult.gasUsed
+            } : {
+              message: 'Document is anchored in a Merkle batch - access updated in database only'
             }
           }
         });
@@ -2406,9 +4386,20 @@ router.post('/:documentHash/access/grant',
 
         // Still grant access in database even if blockchain fails
         document.access.authorizedViewers.push(userAddress);
+        if (needsWrappedKey) {
+          document.setWrappedKey(userAddress, wrappedKey, grantingUser.walletAddress);
+        }
         document.audit.updatedAt = new Date();
         await document.save();
 
+        await webhookService.emit('document.shared', document, {
+          shareType: 'viewer',
+          grantee: userAddress,
+          expiresAt: expiresAt || null,
+          sharedBy: grantingUser.walletAddress,
+          transactionHash: null
+        });
+
         res.status(207).json({
           success: true,
           warning: 'Access granted in database but blockchain transaction failed',
@@ -2417,6 +4408,7 @@ router.post('/:documentHash/access/grant',
             userAddress,
             grantedBy: grantingUser.walletAddress,
             expiresAt: expiresAt || null,
+            keyWrapped,
             blockchainError: blockchainError.message
           }
         });
@@ -2509,9 +4501,19 @@ router.post('/:documentHash/access/revoke',
         });
       }
 
-      // Revoke access on blockchain
+      // The user's copy of the key cannot be taken back, so future versions use a new key
+      const rotateKey = document.removeWrappedKey(userAddress) && document.encryptionMode !== 'client';
+      const requestKeyRotation = () => rotateKey
+        ? documentKeyService.requestRotation(document, {
+          revokedReader: userAddress,
+          triggeredBy: revokingUser.walletAddress
+        })
+        : null;
+
+      // Revoke access on blockchain, unless the document is anchored in a Merkle batch
+      const merkleAnchored = !!document.blockchain?.merkle?.root;
       try {
-        const blockchainResult = await blockchainService.revokeDocumentAccess(
+        const blockchainResult = merkleAnchored ? null : await blockchainService.revokeDocumentAccess(
           documentHash,
           userAddress,
           revokingUser.walletAddress
@@ -2523,12 +4525,13 @@ router.post('/:documentHash/access/revoke',
         );
         document.audit.updatedAt = new Date();
         await document.save();
+        const keyRotation = await requestKeyRotation();
 
         logger.info('Access revoked successfully', {
           documentHash,
           userAddress,
           revokedBy: revokingUser.walletAddress,
-          transactionHash: blockchainResult.transactionHash
+          transactionHash: blockchainResult?.transactionHash
         });
 
         res.json({
@@ -2538,10 +4541,13 @@ router.post('/:documentHash/access/revoke',
             documentHash,
             userAddress,
             revokedBy: revokingUser.walletAddress,
-            blockchain: {
+            keyRotation: formatKeyRotation(keyRotation),
+            blockchain: blockchainResult ? {
               transactionHash: blockchainResult.transactionHash,
               blockNumber: blockchainResult.blockNumber,
               gasUsed: blockchainResult.gasUsed
+            } : {
+              message: 'Document is anchored in a Merkle batch - access updated in database only'
             }
           }
         });
@@ -2559,6 +4565,7 @@ router.post('/:documentHash/access/revoke',
         );
         document.audit.updatedAt = new Date();
         await document.save();
+        const keyRotation = await requestKeyRotation();
 
         res.status(207).json({
           success: true,
@@ -2567,6 +4574,7 @@ router.post('/:documentHash/access/revoke',
             documentHash,
             userAddress,
             revokedBy: revokingUser.walletAddress,
+            keyRotation: formatKeyRotation(keyRotation),
             blockchainError: blockchainError.message
           }
         });
@@ -2588,6 +4596,234 @@ router.post('/:documentHash/access/revoke',
   }
 );
 
+// @route   POST /api/documents/transfer
+// @desc    Transfer document ownership using a transfer request signed by the current owner
+// @access  Private (Owner, Issuer, or Admin; signature must come from the current owner)
+router.post('/transfer',
+  // Security middleware
+  validateRequestSize(2048), // 2KB limit
+  validateContentType(['application/json']),
+  ...securityValidation({
+    enableSanitization: true,
+    enableXSSPrevention: true,
+    enableSQLInjectionPrevention: true,
+    enableNoSQLInjectionPrevention: true
+  }),
+
+  // Authentication
+  authenticateToken,
+
+  // Input validation
+  body('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  body('newOwner').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid new owner address format'),
+  body('signature').notEmpty().withMessage('Signature is required'),
+  body('timestamp').isInt({ min: 0 }).withMessage('Timestamp must be a valid integer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const { documentHash, signature, timestamp } = req.body;
+      const newOwner = req.body.newOwner.toLowerCase();
+      const requestingUser = req.user;
+      const verifierIp = req.ip || req.connection.remoteAddress;
+
+      logger.info('Ownership transfer requested', {
+        documentHash,
+        newOwner,
+        requestedBy: requestingUser.walletAddress
+      });
+
+      // Find document
+      const document = await Document.findOne({ documentHash, isActive: true });
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      const previousOwner = document.access.owner;
+
+      // Check if user has permission to submit the transfer (owner, issuer, or admin)
+      const canTransfer = previousOwner === requestingUser.walletAddress ||
+                          document.access.issuer === requestingUser.walletAddress ||
+                          requestingUser.role === 'admin';
+
+      if (!canTransfer) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only document owner, issuer, or admin can transfer ownership'
+        });
+      }
+
+      if (newOwner === previousOwner) {
+        return res.status(400).json({
+          success: false,
+          error: 'New owner is already the document owner'
+        });
+      }
+
+      // Reject stale or future-dated transfer requests
+      const signedAt = parseInt(timestamp);
+      if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > TRANSFER_SIGNATURE_TTL) {
+        return res.status(400).json({
+          success: false,
+          error: 'Transfer request has expired. Please sign a new request.'
+        });
+      }
+
+      // The transfer must be authorized by the current owner's wallet
+      const message = generateTransferMessage(documentHash, previousOwner, newOwner, signedAt);
+      if (!verifySignature(message, signature, previousOwner)) {
+        logger.warn('Invalid ownership transfer signature', {
+          documentHash,
+          owner: previousOwner,
+          requestedBy: requestingUser.walletAddress
+        });
+
+        try {
+          await auditLogger.logDocumentEvent('document_transfer', req, documentHash, 'failure', {
+            reason: 'invalid_signature',
+            previousOwner,
+            newOwner
+          });
+        } catch (auditError) {
+          logger.warn('Failed to record transfer audit event', { error: auditError.message });
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: 'Transfer request must be signed by the current document owner'
+        });
+      }
+
+      // Verify the new owner exists
+      const targetUser = await User.findByWallet(newOwner);
+      if (!targetUser) {
+        return res.status(404).json({
+          success: false,
+          error: 'New owner not found'
+        });
+      }
+
+      // Transfer on blockchain first for documents that are registered on-chain,
+      // so the database never reports an owner the contract does not know about.
+      // Documents anchored in a Merkle batch have no DocumentRegistry record; only the
+      // batch root is on-chain, so their owner lives in the database alone.
+      const merkleAnchored = !!document.blockchain?.merkle?.root;
+      let blockchainResult = null;
+      if (document.blockchain?.transactionHash && !merkleAnchored) {
+        try {
+          blockchainResult = await blockchainService.transferOwnership(
+            documentHash,
+            newOwner,
+            previousOwner
+          );
+        } catch (blockchainError) {
+          logger.error('Blockchain ownership transfer failed:', {
+            documentHash,
+            newOwner,
+            error: blockchainError.message
+          });
+
+          return res.status(500).json({
+            success: false,
+            error: 'Blockchain ownership transfer failed',
+            details: blockchainError.message
+          });
+        }
+      }
+
+      // Move the document to the new owner
+      document.access.owner = newOwner;
+      document.access.authorizedViewers = document.access.authorizedViewers.filter(
+        addr => addr !== newOwner
+      );
+      document.audit.updatedAt = new Date();
+      await document.save();
+
+      try {
+        await auditLogger.logDocumentEvent('document_transfer', req, documentHash, 'success', {
+          previousOwner,
+          newOwner,
+          transactionHash: blockchainResult?.transactionHash
+        });
+      } catch (auditError) {
+        logger.warn('Failed to record transfer audit event', { error: auditError.message });
+      }
+
+      await VerificationLog.logVerification({
+        documentHash,
+        verifier: requestingUser.walletAddress,
+        verifierIp,
+        verificationMethod: 'transfer',
+        result: 'authentic',
+        userAgent: req.headers['user-agent'],
+        additionalInfo: {
+          blockchainVerified: !!blockchainResult,
+          transactionHash: blockchainResult?.transactionHash,
+          previousOwner,
+          newOwner
+        }
+      });
+
+      await webhookService.emit('document.transferred', document, {
+        previousOwner,
+        newOwner,
+        transactionHash: blockchainResult?.transactionHash || null
+      });
+
+      logger.info('Ownership transferred successfully', {
+        documentHash,
+        previousOwner,
+        newOwner,
+        transactionHash: blockchainResult?.transactionHash
+      });
+
+      res.json({
+        success: true,
+        message: 'Ownership transferred successfully',
+        data: {
+          documentHash,
+          previousOwner,
+          newOwner,
+          transferredBy: requestingUser.walletAddress,
+          blockchain: blockchainResult ? {
+            transactionHash: blockchainResult.transactionHash,
+            blockNumber: blockchainResult.blockNumber,
+            gasUsed: blockchainResult.gasUsed
+          } : {
+            message: merkleAnchored
+              ? 'Document is anchored in a Merkle batch - ownership updated in database only'
+              : 'Document is not registered on blockchain - ownership updated in database only'
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Ownership transfer failed:', {
+        error: error.message,
+        documentHash: req.body?.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to transfer ownership',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 // @route   GET /api/documents/user/:address
 // @desc    Get all documents for a specific user (owner or authorized viewer)
 // @access  Private (User can only see their own documents unless admin)
@@ -2643,7 +4879,8 @@ router.get('/user/:address',
         $or: [
           { 'access.owner': address.toLowerCase() },
           { 'access.issuer': address.toLowerCase() },
-          { 'access.authorizedViewers': address.toLowerCase() }
+          { 'access.authorizedViewers': address.toLowerCase() },
+          Document.activeShareGrantQuery(address)
         ]
       };
 
@@ -2742,6 +4979,173 @@ router.get('/user/:address',
   }
 );
 
+// @route   POST /api/documents/:documentHash/revoke
+// @desc    Revoke a document with a structured reason and record it in the revocation registry
+// @access  Private (Issuer or Admin only)
+router.post('/:documentHash/revoke',
+  authenticateToken,
+  param('documentHash').matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid document hash format'),
+  body('reasonCode').isString().withMessage('Reason code is required'),
+  body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason must be at most 500 characters'),
+  body('effectiveDate').optional().isISO8601().withMessage('Effective date must be a valid date'),
+  body('supersededBy').optional().matches(/^0x[a-fA-F0-9]{64}$/).withMessage('Invalid superseding document hash format'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { documentHash } = req.params;
+      const { reasonCode, reason, supersededBy } = req.body;
+      const user = req.user;
+
+      const validReasonCodes = Revocation.schema.path('reasonCode').enumValues;
+      if (!validReasonCodes.includes(reasonCode)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid reason code. Allowed values: ${validReasonCodes.join(', ')}`
+        });
+      }
+
+      const effectiveDate = req.body.effectiveDate ? new Date(req.body.effectiveDate) : new Date();
+      if (isNaN(effectiveDate.getTime()) || effectiveDate > new Date()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Effective date must be a valid date that is not in the future'
+        });
+      }
+
+      if (reasonCode === 'superseded' && !supersededBy) {
+        return res.status(400).json({
+          success: false,
+          error: 'Superseded documents must reference the superseding document'
+        });
+      }
+      if (reasonCode !== 'superseded' && supersededBy) {
+        return res.status(400).json({
+          success: false,
+          error: 'supersededBy only applies to superseded documents'
+        });
+      }
+      if (supersededBy && supersededBy.toLowerCase() === documentHash.toLowerCase()) {
+        return res.status(400).json({
+          success: false,
+          error: 'A document cannot supersede itself'
+        });
+      }
+
+      const document = await Document.findOne({ documentHash });
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Document not found'
+        });
+      }
+
+      // Only the issuing institution (its issuer or institution admins) or an admin can
+      // revoke what it issued
+      if (document.access.issuer !== user.walletAddress && user.role !== 'admin' &&
+          !(document.institution && user.isInstitutionAdmin(document.institution))) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only the document issuer, its institution admins or an admin can revoke this document'
+        });
+      }
+
+      if (await Revocation.exists({ documentHash })) {
+        return res.status(409).json({
+          success: false,
+          error: 'Document has already been revoked'
+        });
+      }
+
+      if (supersededBy) {
+        const replacement = await Document.findOne({ documentHash: supersededBy, isActive: true });
+        if (!replacement) {
+          return res.status(400).json({
+            success: false,
+            error: 'Superseding document not found or not active'
+          });
+        }
+      }
+
+      // Mirror the revocation on-chain for individually registered documents. Only the
+      // reason code is published there; the free-text note stays off-chain.
+      let blockchainResult = null;
+      if (document.blockchain?.transactionHash && !document.blockchain?.merkle?.root && document.isActive) {
+        try {
+          blockchainResult = await blockchainService.deactivateDocument(documentHash, reasonCode);
+        } catch (blockchainError) {
+          logger.warn('On-chain revocation failed, recording revocation off-chain only', {
+            documentHash,
+            error: blockchainError.message
+          });
+        }
+      }
+
+      const revocation = await Revocation.create({
+        documentHash,
+        issuer: document.access.issuer,
+        revokedBy: user.walletAddress,
+        reasonCode,
+        reason,
+        effectiveDate,
+        supersededBy,
+        blockchain: blockchainResult ? {
+          transactionHash: blockchainResult.transactionHash,
+          blockNumber: blockchainResult.blockNumber
+        } : undefined
+      });
+
+      document.isActive = false;
+      document.deactivationReason = reason || reasonCode;
+      document.deactivatedAt = revocation.createdAt;
+      document.deactivatedBy = user.walletAddress;
+      await document.save();
+
+      await auditLogger.logDocumentEvent('document_revoke', req, documentHash, 'success', {
+        reasonCode,
+        effectiveDate,
+        supersededBy,
+        transactionHash: blockchainResult?.transactionHash
+      });
+
+      await webhookService.emit('document.revoked', document, {
+        revocation: revocation.toPublicJSON()
+      });
+
+      logger.info('Document revoked', {
+        documentHash,
+        revokedBy: user.walletAddress,
+        reasonCode,
+        supersededBy,
+        onChain: !!blockchainResult
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Document revoked successfully',
+        data: {
+          revocation: {
+            ...revocation.toPublicJSON(),
+            reason: revocation.reason,
+            revokedBy: revocation.revokedBy
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Document revocation failed:', {
+        error: error.message,
+        documentHash: req.params.documentHash,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke document'
+      });
+    }
+  }
+);
+
 // @route   POST /api/documents/:documentHash/deactivate
 // @desc    Deactivate a document (soft delete)
 // @access  Private (Owner, Issuer, or Admin only)
@@ -0,0 +1,718 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const institutionService = require('../services/institutionService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Public key formats accepted per key type (hex, 0x-prefixed)
+const PUBLIC_KEY_FORMATS = {
+  secp256k1: /^0x(04[0-9a-fA-F]{128}|0[23][0-9a-fA-F]{64})$/,
+  ed25519: /^0x[0-9a-fA-F]{64}$/
+};
+
+/**
+ * Load the institution named by :institutionId (id or slug) and, when manage is set,
+ * check that the caller is a global admin or an admin of that institution. Responds
+ * and returns null otherwise.
+ */
+const loadInstitution = async (req, res, { manage = false } = {}) => {
+  const institution = await Institution.findByIdOrSlug(req.params.institutionId);
+  if (!institution) {
+    res.status(404).json({
+      success: false,
+      error: 'Institution not found'
+    });
+    return null;
+  }
+
+  if (manage && req.user.role !== 'admin' && !req.user.isInstitutionAdmin(institution._id)) {
+    res.status(403).json({
+      success: false,
+      error: 'Only administrators of this institution can manage it'
+    });
+    return null;
+  }
+  return institution;
+};
+
+const memberJSON = (user) => ({
+  walletAddress: user.walletAddress,
+  role: user.role,
+  institutionRole: user.institutionRole,
+  name: user.profile?.name,
+  lastLogin: user.session?.lastLogin
+});
+
+// @route   POST /api/institutions
+// @desc    Register an institution
+// @access  Private (Admin)
+router.post('/',
+  authenticateToken,
+  requireRole('admin'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Institution name is required'),
+  body('domain')
+    .optional({ checkFalsy: true })
+    .trim()
+    .isFQDN()
+    .withMessage('Domain must be a domain name, e.g. university.edu'),
+  body('website')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Invalid website URL'),
+  body('logoUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Logo URL must be an https URL'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await institutionService.createInstitution({
+        name: req.body.name,
+        domain: req.body.domain || undefined,
+        website: req.body.website || undefined,
+        logoUrl: req.body.logoUrl || undefined,
+        description: req.body.description
+      }, req.user.walletAddress);
+
+      res.status(201).json({
+        success: true,
+        data: { institution: institution.toPublicJSON() }
+      });
+
+    } catch (error) {
+      if (error.code === 'INSTITUTION_EXISTS') {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      logger.error('Create institution error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create institution'
+      });
+    }
+  }
+);
+
+// @route   GET /api/institutions
+// @desc    List active institutions
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { search, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const query = { status: 'active' };
+    if (search) {
+      query.normalizedName = { $regex: String(search).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    }
+
+    const institutions = await Institution.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Institution.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        institutions: institutions.map(institution => institution.toPublicJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('List institutions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve institutions'
+    });
+  }
+});
+
+// @route   GET /api/institutions/:institutionId
+// @desc    Get an institution's public profile (by id or slug)
+// @access  Public
+router.get('/:institutionId', async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res);
+    if (!institution) return;
+
+    res.json({
+      success: true,
+      data: { institution: institution.toPublicJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Get institution error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve institution'
+    });
+  }
+});
+
+// @route   PUT /api/institutions/:institutionId
+// @desc    Update an institution's profile. Only global admins can rename it.
+// @access  Private (Admin, Institution admin)
+router.put('/:institutionId',
+  authenticateToken,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Institution name must be 2-200 characters'),
+  body('website')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Invalid website URL'),
+  body('logoUrl')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Logo URL must be an https URL'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res, { manage: true });
+      if (!institution) return;
+
+      const { name, website, logoUrl, description } = req.body;
+
+      if (name !== undefined && name !== institution.name) {
+        if (req.user.role !== 'admin') {
+          return res.status(403).json({
+            success: false,
+            error: 'Only administrators can rename an institution'
+          });
+        }
+        const existing = await Institution.findByName(name);
+        if (existing && !existing._id.equals(institution._id)) {
+          return res.status(409).json({
+            success: false,
+            error: `An institution named ${name} already exists`
+          });
+        }
+        institution.name = name;
+      }
+      if (website !== undefined) institution.website = website || undefined;
+      if (logoUrl !== undefined) institution.logoUrl = logoUrl || undefined;
+      if (description !== undefined) institution.description = description;
+
+      await institution.save();
+
+      logger.info('Institution updated', {
+        institutionId: institution._id,
+        updatedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        data: { institution: institution.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Update institution error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update institution'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/institutions/:institutionId/status
+// @desc    Suspend or reactivate an institution. Members of a suspended institution cannot issue.
+// @access  Private (Admin)
+router.put('/:institutionId/status',
+  authenticateToken,
+  requireRole('admin'),
+  body('status')
+    .isIn(['active', 'suspended'])
+    .withMessage('Status must be active or suspended'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res);
+      if (!institution) return;
+
+      institution.status = req.body.status;
+      await institution.save();
+
+      logger.info('Institution status changed', {
+        institutionId: institution._id,
+        status: institution.status,
+        changedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        data: { institution: institution.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Update institution status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update institution status'
+      });
+    }
+  }
+);
+
+// @route   GET /api/institutions/:institutionId/domains
+// @desc    Get an institution's domains and the DNS records that verify them
+// @access  Private (Admin, Institution admin)
+router.get('/:institutionId/domains', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+
+    res.json({
+      success: true,
+      data: {
+        domains: institution.domains.map(entry => ({
+          domain: entry.domain,
+          verified: entry.verified,
+          verifiedAt: entry.verifiedAt,
+          verificationRecord: Institution.verificationRecord(entry.domain, entry.verificationToken)
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get institution domains error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve domains'
+    });
+  }
+});
+
+// @route   POST /api/institutions/:institutionId/domains
+// @desc    Add a domain; it is verified once its TXT record is published
+// @access  Private (Admin, Institution admin)
+router.post('/:institutionId/domains',
+  authenticateToken,
+  body('domain')
+    .trim()
+    .toLowerCase()
+    .isFQDN()
+    .withMessage('Domain must be a domain name, e.g. university.edu'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res, { manage: true });
+      if (!institution) return;
+
+      const { domain } = req.body;
+      if (institution.domains.some(entry => entry.domain === domain)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Domain has already been added'
+        });
+      }
+
+      institution.domains.push({ domain });
+      await institution.save();
+      const entry = institution.domains.find(candidate => candidate.domain === domain);
+
+      res.status(201).json({
+        success: true,
+        message: 'Publish the TXT record, then verify the domain',
+        data: {
+          domain,
+          verified: false,
+          verificationRecord: Institution.verificationRecord(domain, entry.verificationToken)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Add institution domain error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add domain'
+      });
+    }
+  }
+);
+
+// @route   POST /api/institutions/:institutionId/domains/:domain/verify
+// @desc    Check the domain's TXT record and mark it verified
+// @access  Private (Admin, Institution admin)
+router.post('/:institutionId/domains/:domain/verify', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+
+    const domain = req.params.domain.toLowerCase();
+    const entry = institution.domains.find(candidate => candidate.domain === domain);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found'
+      });
+    }
+
+    const record = Institution.verificationRecord(entry.domain, entry.verificationToken);
+    if (!entry.verified && !(await institutionService.verifyDomain(institution, domain))) {
+      return res.status(400).json({
+        success: false,
+        error: `TXT record ${record.name} with value ${record.value} was not found`,
+        data: { verificationRecord: record }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { institution: institution.toPublicJSON() }
+    });
+
+  } catch (error) {
+    if (error.code === 'DOMAIN_TAKEN') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error('Verify institution domain error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify domain'
+    });
+  }
+});
+
+// @route   DELETE /api/institutions/:institutionId/domains/:domain
+// @desc    Remove a domain
+// @access  Private (Admin, Institution admin)
+router.delete('/:institutionId/domains/:domain', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+
+    const domain = req.params.domain.toLowerCase();
+    const remaining = institution.domains.filter(entry => entry.domain !== domain);
+    if (remaining.length === institution.domains.length) {
+      return res.status(404).json({
+        success: false,
+        error: 'Domain not found'
+      });
+    }
+
+    institution.domains = remaining;
+    await institution.save();
+
+    logger.info('Institution domain removed', {
+      institutionId: institution._id,
+      domain,
+      removedBy: req.user.walletAddress
+    });
+
+    res.json({
+      success: true,
+      data: { institution: institution.toPublicJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Remove institution domain error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove domain'
+    });
+  }
+});
+
+// @route   POST /api/institutions/:institutionId/keys
+// @desc    Publish a public key for the institution
+// @access  Private (Admin, Institution admin)
+router.post('/:institutionId/keys',
+  authenticateToken,
+  body('type')
+    .isIn(Object.keys(PUBLIC_KEY_FORMATS))
+    .withMessage('Key type must be secp256k1 or ed25519'),
+  body('publicKey')
+    .custom((publicKey, { req }) => PUBLIC_KEY_FORMATS[req.body.type]?.test(publicKey) || false)
+    .withMessage('Public key must be a 0x-prefixed hex key of the given type'),
+  body('purpose')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Purpose must be at most 100 characters'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res, { manage: true });
+      if (!institution) return;
+
+      const publicKey = req.body.publicKey.toLowerCase();
+      if (institution.publicKeys.some(key => !key.revokedAt && key.publicKey === publicKey)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Public key has already been published'
+        });
+      }
+
+      institution.publicKeys.push({
+        type: req.body.type,
+        publicKey,
+        purpose: req.body.purpose,
+        addedBy: req.user.walletAddress
+      });
+      await institution.save();
+
+      res.status(201).json({
+        success: true,
+        data: { institution: institution.toPublicJSON() }
+      });
+
+    } catch (error) {
+      logger.error('Add institution key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add public key'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/institutions/:institutionId/keys/:keyId
+// @desc    Revoke a public key. Revoked keys stay on record but are no longer published.
+// @access  Private (Admin, Institution admin)
+router.delete('/:institutionId/keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+
+    const key = institution.publicKeys.find(candidate => candidate.keyId === req.params.keyId && !candidate.revokedAt);
+    if (!key) {
+      return res.status(404).json({
+        success: false,
+        error: 'Public key not found'
+      });
+    }
+
+    key.revokedAt = new Date();
+    await institution.save();
+
+    logger.info('Institution key revoked', {
+      institutionId: institution._id,
+      keyId: key.keyId,
+      revokedBy: req.user.walletAddress
+    });
+
+    res.json({
+      success: true,
+      data: { institution: institution.toPublicJSON() }
+    });
+
+  } catch (error) {
+    logger.error('Revoke institution key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke public key'
+    });
+  }
+});
+
+// @route   GET /api/institutions/:institutionId/members
+// @desc    List the institution's issuers and admins
+// @access  Private (Admin, Institution admin)
+router.get('/:institutionId/members', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+
+    const members = await User.find({ institution: institution._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { members: members.map(memberJSON) }
+    });
+
+  } catch (error) {
+    logger.error('List institution members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve members'
+    });
+  }
+});
+
+// @route   POST /api/institutions/:institutionId/members
+// @desc    Add an issuer or institution admin. The wallet is granted the issuer role.
+// @access  Private (Admin, Institution admin)
+router.post('/:institutionId/members',
+  authenticateToken,
+  body('walletAddress')
+    .isEthereumAddress()
+    .withMessage('Invalid wallet address'),
+  body('role')
+    .optional()
+    .isIn(['admin', 'issuer'])
+    .withMessage('Role must be admin or issuer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res, { manage: true });
+      if (!institution) return;
+
+      const { user, roleAssignment } = await institutionService.addMember(
+        institution,
+        req.body.walletAddress,
+        req.body.role || 'issuer',
+        req.user.walletAddress
+      );
+
+      const response = {
+        success: true,
+        data: { member: memberJSON(user), roleAssignment }
+      };
+      if (roleAssignment?.status === 'failed') {
+        response.warning = `Member added, but the on-chain role assignment failed: ${roleAssignment.error}`;
+      }
+      res.status(201).json(response);
+
+    } catch (error) {
+      if (error.code === 'MEMBER_OF_OTHER_INSTITUTION') {
+        return res.status(error.status).json({
+          success: false,
+          error: error.message
+        });
+      }
+      logger.error('Add institution member error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add member'
+      });
+    }
+  }
+);
+
+// Load a member of the institution by :walletAddress, responding 404 if there is none
+const loadMember = async (req, res, institution) => {
+  const member = await User.findOne({
+    walletAddress: req.params.walletAddress.toLowerCase(),
+    institution: institution._id
+  });
+  if (!member) {
+    res.status(404).json({
+      success: false,
+      error: 'Member not found'
+    });
+  }
+  return member;
+};
+
+// An institution must keep at least one admin
+const isLastAdmin = async (institution, member) => member.institutionRole === 'admin' &&
+  await User.countDocuments({ institution: institution._id, institutionRole: 'admin' }) <= 1;
+
+// @route   PUT /api/institutions/:institutionId/members/:walletAddress
+// @desc    Change a member's institution role
+// @access  Private (Admin, Institution admin)
+router.put('/:institutionId/members/:walletAddress',
+  authenticateToken,
+  body('role')
+    .isIn(['admin', 'issuer'])
+    .withMessage('Role must be admin or issuer'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const institution = await loadInstitution(req, res, { manage: true });
+      if (!institution) return;
+      const member = await loadMember(req, res, institution);
+      if (!member) return;
+
+      if (req.body.role === 'issuer' && await isLastAdmin(institution, member)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An institution must keep at least one admin'
+        });
+      }
+
+      member.institutionRole = req.body.role;
+      await member.save();
+
+      logger.info('Institution member role changed', {
+        institutionId: institution._id,
+        walletAddress: member.walletAddress,
+        institutionRole: member.institutionRole,
+        changedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        data: { member: memberJSON(member) }
+      });
+
+    } catch (error) {
+      logger.error('Update institution member error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update member'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/institutions/:institutionId/members/:walletAddress
+// @desc    Remove a member. Issuers lose the issuer role.
+// @access  Private (Admin, Institution admin)
+router.delete('/:institutionId/members/:walletAddress', authenticateToken, async (req, res) => {
+  try {
+    const institution = await loadInstitution(req, res, { manage: true });
+    if (!institution) return;
+    const member = await loadMember(req, res, institution);
+    if (!member) return;
+
+    if (await isLastAdmin(institution, member)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An institution must keep at least one admin'
+      });
+    }
+
+    const { roleAssignment } = await institutionService.removeMember(institution, member, req.user.walletAddress);
+
+    const response = {
+      success: true,
+      data: { member: memberJSON(member), roleAssignment }
+    };
+    if (roleAssignment?.status === 'failed') {
+      response.warning = `Member removed, but the on-chain role change failed: ${roleAssignment.error}`;
+    }
+    res.json(response);
+
+  } catch (error) {
+    logger.error('Remove institution member error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove member'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require('express');
+const multer = require('multer');
+const { body } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+const IssuerApplication = require('../models/IssuerApplication');
+const issuerApplicationService = require('../services/issuerApplicationService');
+const { isValidFileType } = require('../utils/validation');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Supporting documents are small, so they are kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: issuerApplicationService.config.maxSupportingDocumentSize,
+    files: issuerApplicationService.config.maxSupportingDocuments,
+    fields: 16
+  },
+  fileFilter: (req, file, cb) => {
+    if (!isValidFileType(file.originalname) || /\.\.|[<>:"|?*]/.test(file.originalname)) {
+      return cb(new Error(`File ${file.originalname} is not an allowed supporting document`));
+    }
+    cb(null, true);
+  }
+});
+
+// Answer upload errors (too many files, too large, wrong type) with 400
+const uploadSupportingDocuments = (req, res, next) => {
+  upload.array('supportingDocuments')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.code === 'LIMIT_FILE_COUNT'
+          ? `At most ${issuerApplicationService.config.maxSupportingDocuments} supporting documents are allowed`
+          : error.message
+      });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/issuer-applications
+// @desc    Apply for the issuer role on behalf of an institution
+// @access  Private
+router.post('/',
+  authenticateToken,
+  uploadSupportingDocuments,
+  body('organizationName')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Organization name is required'),
+  body('organizationDomain')
+    .trim()
+    .isFQDN()
+    .withMessage('Organization domain must be a domain name, e.g. university.edu'),
+  body('organizationWebsite')
+    .optional({ checkFalsy: true })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Invalid website URL'),
+  body('organizationDescription')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be at most 2000 characters'),
+  body('contactName')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Contact name is required'),
+  body('contactEmail')
+    .isEmail()
+    .withMessage('A valid contact email is required'),
+  body('contactPhone')
+    .optional({ checkFalsy: true })
+    .matches(/^\+?[0-9 ()-]{6,30}$/)
+    .withMessage('Invalid contact phone number'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = req.user;
+
+      if (['issuer', 'admin'].includes(user.role)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This wallet can already issue documents'
+        });
+      }
+
+      if (await IssuerApplication.findPendingForWallet(user.walletAddress)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An application for this wallet is already waiting for review'
+        });
+      }
+
+      const application = await issuerApplicationService.submit(user, {
+        organization: {
+          name: req.body.organizationName,
+          domain: req.body.organizationDomain,
+          website: req.body.organizationWebsite || undefined,
+          description: req.body.organizationDescription
+        },
+        contact: {
+          name: req.body.contactName,
+          email: req.body.contactEmail,
+          phone: req.body.contactPhone || undefined
+        }
+      }, req.files);
+
+      res.status(201).json({
+        success: true,
+        message: 'Application submitted for review',
+        data: {
+          application: application.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Issuer application submission failed:', {
+        error: error.message,
+        walletAddress: req.user?.walletAddress
+      });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to submit application'
+      });
+    }
+  }
+);
+
+// @route   GET /api/issuer-applications/mine
+// @desc    Get the current user's issuer applications and their review outcome
+// @access  Private
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const applications = await IssuerApplication.find({ walletAddress: req.user.walletAddress })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        applications: applications.map(application => application.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get issuer applications failed:', {
+      error: error.message,
+      walletAddress: req.user?.walletAddress
+    });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve applications'
+    });
+  }
+});
+
+module.exports = router;
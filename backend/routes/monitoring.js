@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken: auth } = require('../middleware/auth');
 const { monitoring } = require('../utils/monitoring');
+const AlertChannel = require('../models/AlertChannel');
+const alertNotificationService = require('../services/alertNotificationService');
+const chainIndexerService = require('../services/chainIndexerService');
 const ipfsService = require('../services/ipfsService');
 const blockchainService = require('../services/blockchainService');
 const cacheService = require('../services/cacheService');
@@ -325,6 +328,243 @@ router.put('/alerts/:alertId', auth, requireAdmin, async (req, res) => {
   }
 });
 
+// Fields an admin may set on a notification channel
+const pickChannelFields = (body) => {
+  const fields = {};
+  ['name', 'type', 'enabled', 'severities', 'alertTypes'].forEach(key => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+  });
+  if (body.config) {
+    ['recipients', 'url', 'secret'].forEach(key => {
+      if (body.config[key] !== undefined) {
+        fields[`config.${key}`] = body.config[key];
+      }
+    });
+  }
+  return fields;
+};
+
+// Translate mongoose errors on notification channels into client errors
+const channelErrorResponse = (res, error, fallbackMessage) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid notification channel',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A notification channel with this name already exists'
+    });
+  }
+
+  logger.error(fallbackMessage, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+};
+
+const findChannel = (channelId, withSecret = false) => {
+  if (!mongoose.Types.ObjectId.isValid(channelId)) {
+    return null;
+  }
+  const query = AlertChannel.findById(channelId);
+  return withSecret ? query.select('+config.secret') : query;
+};
+
+/**
+ * @route GET /api/monitoring/notification-channels
+ * @desc List alert notification channels and their routing rules
+ * @access Admin
+ */
+router.get('/notification-channels', auth, requireAdmin, async (req, res) => {
+  try {
+    const channels = await AlertChannel.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        channels: channels.map(channel => channel.toSafeJSON()),
+        types: AlertChannel.schema.path('type').enumValues
+      }
+    });
+
+  } catch (error) {
+    logger.error('Failed to get notification channels:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve notification channels',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/monitoring/notification-channels
+ * @desc Create an alert notification channel with its severity routing
+ * @access Admin
+ */
+router.post('/notification-channels', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = new AlertChannel({
+      ...pickChannelFields(req.body),
+      createdBy: req.user.walletAddress
+    });
+    await channel.save();
+
+    logger.info('Notification channel created', {
+      channelId: channel._id,
+      type: channel.type,
+      severities: channel.severities,
+      createdBy: req.user.walletAddress
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Notification channel created successfully',
+      data: channel.toSafeJSON()
+    });
+
+  } catch (error) {
+    channelErrorResponse(res, error, 'Failed to create notification channel');
+  }
+});
+
+/**
+ * @route PUT /api/monitoring/notification-channels/:channelId
+ * @desc Update an alert notification channel or its routing rules
+ * @access Admin
+ */
+router.put('/notification-channels/:channelId', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.channelId, true);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    channel.set(pickChannelFields(req.body));
+    await channel.save();
+
+    logger.info('Notification channel updated', {
+      channelId: channel._id,
+      updatedBy: req.user.walletAddress
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification channel updated successfully',
+      data: channel.toSafeJSON()
+    });
+
+  } catch (error) {
+    channelErrorResponse(res, error, 'Failed to update notification channel');
+  }
+});
+
+/**
+ * @route DELETE /api/monitoring/notification-channels/:channelId
+ * @desc Delete an alert notification channel
+ * @access Admin
+ */
+router.delete('/notification-channels/:channelId', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.channelId);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    await channel.deleteOne();
+
+    logger.info('Notification channel deleted', {
+      channelId: channel._id,
+      deletedBy: req.user.walletAddress
+    });
+
+    res.json({
+      success: true,
+      message: 'Notification channel deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Failed to delete notification channel:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete notification channel',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/monitoring/notification-channels/:channelId/test
+ * @desc Send a test notification through a channel
+ * @access Admin
+ */
+router.post('/notification-channels/:channelId/test', auth, requireAdmin, async (req, res) => {
+  try {
+    const channel = await findChannel(req.params.channelId, true);
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification channel not found'
+      });
+    }
+
+    const deliveries = await alertNotificationService.sendTest(channel, req.user.walletAddress);
+    const delivered = deliveries[deliveries.length - 1].status === 'sent';
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered ? 'Test notification sent' : 'Test notification failed',
+      data: { deliveries }
+    });
+
+  } catch (error) {
+    logger.error('Failed to send test notification:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send test notification',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/monitoring/indexer
+ * @desc Chain event indexer checkpoint, lag behind the chain head and reconciliation counts
+ * @access Admin
+ */
+router.get('/indexer', auth, requireAdmin, async (req, res) => {
+  try {
+    const status = await chainIndexerService.getStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Failed to get indexer status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve indexer status',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/monitoring/system
  * @desc Get system resource usage
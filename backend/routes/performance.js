@@ -6,6 +6,7 @@ const cacheService = require('../services/cacheService');
 const dbOptimizationService = require('../services/databaseOptimizationService');
 const blockchainOptimizationService = require('../services/blockchainOptimizationService');
 const batchProcessingService = require('../services/batchProcessingService');
+const transactionTrackerService = require('../services/transactionTrackerService');
 const logger = require('../utils/logger');
 
 /**
@@ -190,16 +191,18 @@ router.post('/database/optimize', auth, requireAdmin, async (req, res) => {
  */
 router.get('/blockchain/stats', auth, requireAdmin, async (req, res) => {
   try {
-    const [gasStats, networkCongestion] = await Promise.all([
+    const [gasStats, networkCongestion, transactions] = await Promise.all([
       blockchainOptimizationService.getGasStats(),
-      blockchainOptimizationService.getNetworkCongestion()
+      blockchainOptimizationService.getNetworkCongestion(),
+      transactionTrackerService.getStats()
     ]);
     
     res.json({
       success: true,
       data: {
         gasOptimization: gasStats,
-        networkCongestion
+        networkCongestion,
+        transactions
       }
     });
 
@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const User = require('../models/User');
+const encryptionService = require('../services/encryptionService');
 const {
   authenticateToken,
   requireRole,
@@ -202,6 +203,114 @@ router.put('/profile',
   }
 );
 
+// @route   PUT /api/users/encryption-key
+// @desc    Register the public key that end-to-end encrypted documents are wrapped to
+// @access  Private
+router.put('/encryption-key',
+  authenticateToken,
+  body('publicKey')
+    .matches(/^0x04[a-fA-F0-9]{128}$/)
+    .withMessage('Invalid encryption public key format'),
+  body('replace')
+    .optional()
+    .isBoolean()
+    .withMessage('replace must be a boolean'),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const user = req.user;
+      const publicKey = req.body.publicKey.toLowerCase();
+
+      if (!encryptionService.isValidEncryptionPublicKey(publicKey)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Encryption public key is not a valid secp256k1 point'
+        });
+      }
+
+      // Keys already wrapped to the old public key cannot be opened with a new one
+      if (user.encryptionPublicKey && user.encryptionPublicKey !== publicKey && req.body.replace !== true) {
+        return res.status(409).json({
+          success: false,
+          error: 'A different encryption key is already registered; documents shared with it would become unreadable'
+        });
+      }
+
+      user.encryptionPublicKey = publicKey;
+      await user.save();
+
+      logger.info('Encryption public key registered:', { walletAddress: user.walletAddress });
+
+      res.json({
+        success: true,
+        data: {
+          walletAddress: user.walletAddress,
+          encryptionPublicKey: user.encryptionPublicKey
+        }
+      });
+
+    } catch (error) {
+      logger.error('Register encryption key failed:', { error: error.message, userId: req.user?._id });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to register encryption key'
+      });
+    }
+  }
+);
+
+// @route   GET /api/users/:walletAddress/encryption-key
+// @desc    Get the public key to wrap document keys to when sharing with this user
+// @access  Private
+router.get('/:walletAddress/encryption-key',
+  authenticateToken,
+  param('walletAddress').matches(/^0x[a-fA-F0-9]{40}$/).withMessage('Invalid wallet address'),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: errors.array()
+        });
+      }
+
+      const user = await User.findByWallet(req.params.walletAddress);
+      if (!user?.encryptionPublicKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'User has not enabled end-to-end encryption'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          walletAddress: user.walletAddress,
+          encryptionPublicKey: user.encryptionPublicKey
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get encryption key failed:', { error: error.message, walletAddress: req.params.walletAddress });
+      res.status(500).json({
+        success: false,
+        error: 'Failed to retrieve encryption key'
+      });
+    }
+  }
+);
+
 // @route   PUT /api/users/:walletAddress/role
 // @desc    Update user role (admin only)
 // @access  Private (Admin)
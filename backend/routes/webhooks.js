@@ -0,0 +1,402 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { assertPublicWebhookUrl } = require('../utils/webhookTarget');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Respond with 400 if express-validator collected any errors
+const rejectInvalid = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+// Load a subscription the current user may manage, or respond with 404/403
+const loadSubscription = async (req, res, withSecret = false) => {
+  const { subscriptionId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(subscriptionId)) {
+    res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    return null;
+  }
+
+  const subscriptionQuery = WebhookSubscription.findById(subscriptionId);
+  const subscription = await (withSecret ? subscriptionQuery.select('+secret') : subscriptionQuery);
+  if (!subscription) {
+    res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    return null;
+  }
+
+  if (!subscription.canManage(req.user)) {
+    res.status(403).json({ success: false, error: 'Not authorized to manage this webhook subscription' });
+    return null;
+  }
+
+  return subscription;
+};
+
+const subscriptionValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http(s) URL')
+      .custom(assertPublicWebhookUrl),
+    field('eventTypes').isArray({ min: 1 }).withMessage('eventTypes must be a non-empty array'),
+    body('eventTypes.*').isIn(WebhookSubscription.EVENT_TYPES).withMessage('Unknown event type'),
+    body('description').optional().isString().isLength({ max: 200 })
+      .withMessage('Description must be less than 200 characters'),
+    body('active').optional().isBoolean().withMessage('active must be a boolean').toBoolean()
+  ];
+};
+
+// @route   GET /api/webhooks/events
+// @desc    List the document lifecycle events that can be subscribed to
+// @access  Private (Issuer, Admin)
+router.get('/events',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: { eventTypes: WebhookSubscription.EVENT_TYPES }
+    });
+  }
+);
+
+// @route   GET /api/webhooks/subscriptions
+// @desc    List webhook subscriptions (admins see every subscription)
+// @access  Private (Issuer, Admin)
+router.get('/subscriptions',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  async (req, res) => {
+    try {
+      const filter = req.user.role === 'admin' ? {} : { createdBy: req.user.walletAddress.toLowerCase() };
+      const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: {
+          subscriptions: subscriptions.map(subscription => subscription.toSafeJSON())
+        }
+      });
+
+    } catch (error) {
+      logger.error('List webhook subscriptions failed:', {
+        error: error.message,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook subscriptions'
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhooks/subscriptions
+// @desc    Register a webhook endpoint for document lifecycle events. The signing secret
+//          is only returned in this response.
+// @access  Private (Issuer, Admin)
+router.post('/subscriptions',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  ...subscriptionValidation(false),
+  body('allDocuments').optional().isBoolean().withMessage('allDocuments must be a boolean').toBoolean(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { url, eventTypes, description, allDocuments = false } = req.body;
+      const user = req.user;
+
+      if (allDocuments && user.role !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Only admins can subscribe to events for every document'
+        });
+      }
+
+      const subscription = new WebhookSubscription({
+        url,
+        eventTypes: [...new Set(eventTypes)],
+        description,
+        // Issuers only receive events for the documents they issued
+        issuer: allDocuments ? null : user.walletAddress,
+        createdBy: user.walletAddress
+      });
+      await subscription.save();
+
+      logger.info('Webhook subscription created', {
+        subscriptionId: subscription._id,
+        eventTypes: subscription.eventTypes,
+        createdBy: user.walletAddress
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook subscription created. Store the secret now; it will not be shown again.',
+        data: {
+          subscription: subscription.toSafeJSON(),
+          secret: subscription.secret
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      logger.error('Create webhook subscription failed:', {
+        error: error.message,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook subscription'
+      });
+    }
+  }
+);
+
+// @route   PUT /api/webhooks/subscriptions/:subscriptionId
+// @desc    Update a webhook subscription, optionally rotating its signing secret
+// @access  Private (Subscription creator or Admin)
+router.put('/subscriptions/:subscriptionId',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  ...subscriptionValidation(true),
+  body('rotateSecret').optional().isBoolean().withMessage('rotateSecret must be a boolean').toBoolean(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const subscription = await loadSubscription(req, res, true);
+      if (!subscription) return;
+
+      const { url, eventTypes, description, active, rotateSecret } = req.body;
+      if (url !== undefined) subscription.url = url;
+      if (eventTypes !== undefined) subscription.eventTypes = [...new Set(eventTypes)];
+      if (description !== undefined) subscription.description = description;
+      if (active !== undefined) subscription.active = active;
+      const secret = rotateSecret ? subscription.rotateSecret() : undefined;
+
+      await subscription.save();
+
+      logger.info('Webhook subscription updated', {
+        subscriptionId: subscription._id,
+        secretRotated: !!rotateSecret,
+        updatedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription updated',
+        data: {
+          subscription: subscription.toSafeJSON(),
+          secret
+        }
+      });
+
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation failed',
+          details: Object.values(error.errors).map(err => err.message)
+        });
+      }
+
+      logger.error('Update webhook subscription failed:', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook subscription'
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/webhooks/subscriptions/:subscriptionId
+// @desc    Delete a webhook subscription; its delivery log is kept
+// @access  Private (Subscription creator or Admin)
+router.delete('/subscriptions/:subscriptionId',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  async (req, res) => {
+    try {
+      const subscription = await loadSubscription(req, res);
+      if (!subscription) return;
+
+      await subscription.deleteOne();
+
+      logger.info('Webhook subscription deleted', {
+        subscriptionId: subscription._id,
+        deletedBy: req.user.walletAddress
+      });
+
+      res.json({
+        success: true,
+        message: 'Webhook subscription deleted'
+      });
+
+    } catch (error) {
+      logger.error('Delete webhook subscription failed:', {
+        error: error.message,
+        subscriptionId: req.params.subscriptionId,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook subscription'
+      });
+    }
+  }
+);
+
+// @route   GET /api/webhooks/deliveries
+// @desc    Delivery log, newest first, with every attempt's outcome
+// @access  Private (Issuer sees own subscriptions, Admin sees all)
+router.get('/deliveries',
+  authenticateToken,
+  requireRole(['issuer', 'admin']),
+  query('subscriptionId').optional().isMongoId().withMessage('Invalid subscription id'),
+  query('status').optional().isIn(['pending', 'delivered', 'failed']).withMessage('Invalid status'),
+  query('eventType').optional().isIn(WebhookSubscription.EVENT_TYPES).withMessage('Unknown event type'),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { subscriptionId, status, eventType } = req.query;
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+
+      const filter = {};
+      if (status) filter.status = status;
+      if (eventType) filter.eventType = eventType;
+
+      if (req.user.role === 'admin') {
+        if (subscriptionId) filter.subscription = subscriptionId;
+      } else {
+        const owned = await WebhookSubscription.find({ createdBy: req.user.walletAddress.toLowerCase() })
+          .distinct('_id');
+        const ownedIds = owned.map(String);
+        if (subscriptionId && !ownedIds.includes(subscriptionId)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Not authorized to view these deliveries'
+          });
+        }
+        filter.subscription = subscriptionId || { $in: owned };
+      }
+
+      const [deliveries, total] = await Promise.all([
+        WebhookDelivery.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit),
+        WebhookDelivery.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          deliveries,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('List webhook deliveries failed:', {
+        error: error.message,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list webhook deliveries'
+      });
+    }
+  }
+);
+
+// @route   POST /api/webhooks/deliveries/:deliveryId/replay
+// @desc    Send a delivery again; the replay is logged as a new delivery
+// @access  Private (Admin)
+router.post('/deliveries/:deliveryId/replay',
+  authenticateToken,
+  requireRole('admin'),
+  param('deliveryId').isMongoId().withMessage('Invalid delivery id'),
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const delivery = await WebhookDelivery.findById(req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook delivery not found'
+        });
+      }
+
+      if (delivery.status === 'pending') {
+        return res.status(409).json({
+          success: false,
+          error: 'Delivery is still being retried'
+        });
+      }
+
+      const replay = await webhookService.replay(delivery, req.user.walletAddress);
+
+      res.status(201).json({
+        success: true,
+        message: replay.status === 'delivered' ? 'Delivery replayed' : 'Replay attempted; it will be retried',
+        data: { delivery: replay }
+      });
+
+    } catch (error) {
+      logger.error('Replay webhook delivery failed:', {
+        error: error.message,
+        deliveryId: req.params.deliveryId,
+        user: req.user?.walletAddress
+      });
+
+      res.status(500).json({
+        success: false,
+        error: 'Failed to replay webhook delivery'
+      });
+    }
+  }
+);
+
+module.exports = router;
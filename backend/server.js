@@ -7,9 +7,19 @@ require('dotenv').config();
 
 const connectDB = require('./config/database');
 const errorHandler = require('./middleware/errorHandler');
+const { identifyApiKey, ipRateLimit } = require('./middleware/auth');
 const logger = require('./utils/logger');
 const { privacyCompliantLogging, checkConsentWithdrawal } = require('./middleware/consentCheck');
 const retentionComplianceJob = require('./jobs/retentionCompliance');
+const shareGrantCleanupJob = require('./jobs/shareGrantCleanup');
+const webhookDeliveryJob = require('./jobs/webhookDelivery');
+const chainIndexerJob = require('./jobs/chainIndexer');
+const chainIndexerService = require('./services/chainIndexerService');
+const reconciliationJob = require('./jobs/reconciliation');
+const reconciliationService = require('./services/reconciliationService');
+const transactionTrackerJob = require('./jobs/transactionTracker');
+const pinAuditJob = require('./jobs/pinAudit');
+const storageMigrationJob = require('./jobs/storageMigration');
 const {
   requestTiming,
   responseCache,
@@ -49,16 +59,19 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
 }));
 
-// Rate limiting
+// Rate limiting. Requests with a working verifier API key are allowed the key's own
+// limit (enforced per key by authenticateApiKey); made-up keys get the IP limit.
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
 const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
+  windowMs: RATE_LIMIT_WINDOW_MS,
+  max: ipRateLimit(RATE_LIMIT_WINDOW_MS, 100), // limit each IP to 100 requests per windowMs
   message: {
     error: 'Too many requests from this IP, please try again later.',
   },
   standardHeaders: true,
   legacyHeaders: false,
 });
+app.use(identifyApiKey);
 app.use(limiter);
 
 // Performance middleware
@@ -130,6 +143,10 @@ app.use('/api/documents', require('./routes/documents'));
 app.use('/api/privacy', require('./routes/privacy'));
 app.use('/api/performance', require('./routes/performance'));
 app.use('/api/monitoring', require('./routes/monitoring'));
+app.use('/api/webhooks', require('./routes/webhooks'));
+app.use('/api/issuer-applications', require('./routes/issuerApplications'));
+app.use('/api/institutions', require('./routes/institutions'));
+app.use('/api/api-keys', require('./routes/apiKeys'));
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -168,6 +185,31 @@ if (process.env.NODE_ENV !== 'test') {
           retentionComplianceJob.start();
           logger.info('Retention compliance job started');
         }
+
+        // Expired share grants are ignored by access checks, so cleanup can run everywhere
+        shareGrantCleanupJob.start();
+
+        // Retries failed webhook deliveries with backoff
+        webhookDeliveryJob.start();
+
+        // Keeps MongoDB in sync with contract events once contracts are configured
+        if (chainIndexerService.isConfigured()) {
+          chainIndexerJob.start();
+        }
+
+        // Daily comparison of Document records with DocumentRegistry
+        if (reconciliationService.isConfigured()) {
+          reconciliationJob.start();
+        }
+
+        // Settles, and if needed re-prices, transactions left pending by earlier requests
+        transactionTrackerJob.start();
+
+        // Re-checks stored files and restores lost replicas
+        pinAuditJob.start();
+
+        // Moves files from local fallback storage to IPFS once a provider is healthy
+        storageMigrationJob.start();
       });
     })
     .catch((error) => {
@@ -0,0 +1,168 @@
+const AlertChannel = require('../models/AlertChannel');
+const emailNotifier = require('./notifiers/emailNotifier');
+const webhookNotifier = require('./notifiers/webhookNotifier');
+const slackNotifier = require('./notifiers/slackNotifier');
+const logger = require('../utils/logger');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delivers monitoring alerts to the notification channels admins have routed them to.
+ *
+ * Each channel type is handled by a notifier exposing `send(payload, channel)`. Failed
+ * sends are retried with a linear backoff and every attempt is returned as a delivery
+ * record, so the caller can keep them in `alert.notificationsSent`.
+ */
+class AlertNotificationService {
+  constructor() {
+    this.notifiers = new Map([
+      ['email', emailNotifier],
+      ['webhook', webhookNotifier],
+      ['slack', slackNotifier]
+    ]);
+
+    this.config = {
+      maxAttempts: parseInt(process.env.ALERT_NOTIFICATION_MAX_ATTEMPTS) || 3,
+      retryDelayMs: parseInt(process.env.ALERT_NOTIFICATION_RETRY_DELAY_MS) || 1000
+    };
+  }
+
+  /**
+   * Register or replace the notifier for a channel type
+   * @param {string} type - Channel type
+   * @param {Object} notifier - Object with an async send(payload, channel) method
+   */
+  registerNotifier(type, notifier) {
+    if (!notifier || typeof notifier.send !== 'function') {
+      throw new Error('Notifier must implement send(payload, channel)');
+    }
+    this.notifiers.set(type, notifier);
+  }
+
+  /**
+   * Build the channel-independent payload for an alert
+   * @param {Object} alert - SecurityAlert document
+   * @returns {Object} Alert payload
+   */
+  buildPayload(alert) {
+    return {
+      alertId: String(alert._id),
+      alertType: alert.alertType,
+      severity: alert.severity,
+      description: alert.description,
+      status: alert.status,
+      source: alert.source || {},
+      evidence: alert.evidence || {},
+      createdAt: alert.createdAt || new Date()
+    };
+  }
+
+  /**
+   * Send a payload to one channel, retrying failed attempts
+   * @param {Object} channel - AlertChannel document
+   * @param {Object} payload - Alert payload
+   * @returns {Promise<Array>} One delivery record per attempt
+   */
+  async deliver(channel, payload) {
+    const notifier = this.notifiers.get(channel.type);
+    if (!notifier) {
+      return [{
+        channel: channel.name,
+        channelType: channel.type,
+        sentAt: new Date(),
+        status: 'failed',
+        attempt: 1,
+        error: `No notifier registered for channel type: ${channel.type}`
+      }];
+    }
+
+    const records = [];
+    for (let attempt = 1; attempt <= this.config.maxAttempts; attempt++) {
+      try {
+        const result = await notifier.send(payload, channel);
+        records.push({
+          channel: channel.name,
+          channelType: channel.type,
+          sentAt: new Date(),
+          recipient: result?.recipient,
+          status: 'sent',
+          attempt
+        });
+        break;
+      } catch (error) {
+        records.push({
+          channel: channel.name,
+          channelType: channel.type,
+          sentAt: new Date(),
+          status: 'failed',
+          attempt,
+          error: error.message
+        });
+
+        logger.warn('Alert notification attempt failed', {
+          channel: channel.name,
+          alertId: payload.alertId,
+          attempt,
+          error: error.message
+        });
+
+        if (attempt < this.config.maxAttempts) {
+          await delay(this.config.retryDelayMs * attempt);
+        }
+      }
+    }
+
+    const lastRecord = records[records.length - 1];
+    await AlertChannel.updateOne(
+      { _id: channel._id },
+      { $set: { lastDeliveryAt: lastRecord.sentAt, lastDeliveryStatus: lastRecord.status } }
+    );
+
+    return records;
+  }
+
+  /**
+   * Notify every channel routed to an alert's severity and type
+   * @param {Object} alert - SecurityAlert document
+   * @returns {Promise<Array>} Delivery records for all channels
+   */
+  async notify(alert) {
+    const channels = await AlertChannel.findForAlert(alert);
+    if (channels.length === 0) {
+      return [];
+    }
+
+    const payload = this.buildPayload(alert);
+    const results = await Promise.all(channels.map(channel => this.deliver(channel, payload)));
+    const records = results.flat();
+
+    logger.info('Alert notifications delivered', {
+      alertId: payload.alertId,
+      channels: channels.length,
+      failed: results.filter(channelRecords => channelRecords[channelRecords.length - 1].status === 'failed').length
+    });
+
+    return records;
+  }
+
+  /**
+   * Send a test notification through one channel
+   * @param {Object} channel - AlertChannel document, with config.secret selected
+   * @param {string} requestedBy - Address of the admin sending the test
+   * @returns {Promise<Array>} Delivery records
+   */
+  async sendTest(channel, requestedBy) {
+    return this.deliver(channel, {
+      alertId: 'test',
+      alertType: 'test_notification',
+      severity: channel.severities[0],
+      description: `Test notification for channel "${channel.name}"`,
+      status: 'open',
+      source: { walletAddress: requestedBy },
+      evidence: {},
+      createdAt: new Date()
+    });
+  }
+}
+
+module.exports = new AlertNotificationService();
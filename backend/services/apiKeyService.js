@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const VerificationLog = require('../models/VerificationLog');
+const logger = require('../utils/logger');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * API keys for verifier organizations calling the verification endpoints from their
+ * servers. Keys are scoped (see ApiKey), rate limited per key and attributed in the
+ * VerificationLog entries they produce (apiKeyId).
+ *
+ * Rate limits use fixed one-minute and one-day windows counted in memory, like
+ * validateRateLimit, so they apply per backend instance.
+ */
+class ApiKeyService {
+  constructor() {
+    this.config = {
+      maxActiveKeysPerOwner: 20,
+      maxPerMinute: parseInt(process.env.API_KEY_MAX_PER_MINUTE) || 600,
+      maxPerDay: parseInt(process.env.API_KEY_MAX_PER_DAY) || 100000,
+      defaultRotationGraceHours: 24,
+      maxRotationGraceHours: 7 * 24
+    };
+    this.counters = new Map();
+  }
+
+  /**
+   * Create a key for a verifier
+   * @param {Object} owner - User the key belongs to
+   * @param {Object} options - { name, scopes, rateLimit: { perMinute, perDay }, expiresAt, rotatedFrom }
+   * @returns {Promise<Object>} { apiKey, key } - the key is only available here
+   */
+  async createKey(owner, { name, scopes, rateLimit = {}, expiresAt, rotatedFrom }) {
+    const apiKey = new ApiKey({
+      name,
+      owner: owner._id,
+      ownerWallet: owner.walletAddress,
+      organization: owner.profile?.organization,
+      scopes: [...new Set(scopes)],
+      rateLimit: {
+        perMinute: rateLimit.perMinute,
+        perDay: rateLimit.perDay
+      },
+      expiresAt,
+      rotatedFrom
+    });
+    const key = apiKey.generateSecret();
+    await apiKey.save();
+
+    logger.info('API key created', {
+      keyId: apiKey.keyId,
+      owner: owner.walletAddress,
+      scopes: apiKey.scopes,
+      rotatedFrom
+    });
+    return { apiKey, key };
+  }
+
+  /**
+   * Replace a key with a new one with the same name, scopes and limits. The old key keeps
+   * working for the grace period so integrations can switch over.
+   * @returns {Promise<Object>} { apiKey, key, previous }
+   */
+  async rotateKey(previous, { gracePeriodHours = this.config.defaultRotationGraceHours } = {}, rotatedBy) {
+    const owner = await User.findById(previous.owner);
+    const { apiKey, key } = await this.createKey(owner, {
+      name: previous.name,
+      scopes: previous.scopes,
+      rateLimit: previous.rateLimit,
+      expiresAt: previous.expiresAt,
+      rotatedFrom: previous.keyId
+    });
+
+    const graceEndsAt = new Date(Date.now() + gracePeriodHours * 60 * 60 * 1000);
+    previous.replacedBy = apiKey.keyId;
+    if (!previous.expiresAt || previous.expiresAt > graceEndsAt) {
+      previous.expiresAt = graceEndsAt;
+    }
+    await previous.save();
+
+    logger.info('API key rotated', {
+      keyId: previous.keyId,
+      replacedBy: apiKey.keyId,
+      gracePeriodHours,
+      rotatedBy
+    });
+    return { apiKey, key, previous };
+  }
+
+  async revokeKey(apiKey, revokedBy) {
+    apiKey.status = 'revoked';
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = revokedBy;
+    await apiKey.save();
+    this.counters.delete(apiKey.keyId);
+
+    logger.info('API key revoked', { keyId: apiKey.keyId, revokedBy });
+    return apiKey;
+  }
+
+  /**
+   * Look up the key presented with a request
+   * @returns {Promise<Object>} { apiKey, owner } or { status, error }
+   */
+  async authenticate(key) {
+    const invalid = { status: 401, error: 'Invalid API key' };
+
+    const keyId = ApiKey.parseKeyId(key);
+    if (!keyId) {
+      return invalid;
+    }
+
+    const apiKey = await ApiKey.findOne({ keyId }).select('+secretHash');
+    const presentedHash = Buffer.from(ApiKey.hashKey(key), 'hex');
+    if (!apiKey || !crypto.timingSafeEqual(presentedHash, Buffer.from(apiKey.secretHash, 'hex'))) {
+      return invalid;
+    }
+    if (!apiKey.isUsable()) {
+      return {
+        status: 401,
+        error: apiKey.status === 'revoked' ? 'API key has been revoked' : 'API key has expired'
+      };
+    }
+
+    const owner = await User.findById(apiKey.owner);
+    if (!owner || !owner.session.isActive || !['verifier', 'admin'].includes(owner.role)) {
+      return { status: 401, error: 'API key owner can no longer verify documents' };
+    }
+    return { apiKey, owner };
+  }
+
+  /**
+   * Count a request against the key's limits
+   * @returns {Object} { allowed, limit, remaining, resetAt } for the window that applies
+   */
+  consume(apiKey, now = Date.now()) {
+    const counter = this.counters.get(apiKey.keyId) || {};
+    const windows = [
+      ['minute', MINUTE_MS, apiKey.rateLimit.perMinute],
+      ['day', DAY_MS, apiKey.rateLimit.perDay]
+    ].map(([name, length, limit]) => {
+      const start = Math.floor(now / length) * length;
+      if (counter[name]?.start !== start) {
+        counter[name] = { start, count: 0 };
+      }
+      return { name, limit, resetAt: start + length };
+    });
+    this.counters.set(apiKey.keyId, counter);
+
+    const exceeded = windows.find(window => counter[window.name].count >= window.limit);
+    if (exceeded) {
+      return { allowed: false, limit: exceeded.limit, remaining: 0, resetAt: exceeded.resetAt };
+    }
+
+    windows.forEach(window => { counter[window.name].count += 1; });
+    const [minute] = windows;
+    return {
+      allowed: true,
+      limit: minute.limit,
+      remaining: minute.limit - counter.minute.count,
+      resetAt: minute.resetAt
+    };
+  }
+
+  // Update the key's usage counters
+  async recordUsage(apiKey, ipAddress, rateLimited = false) {
+    await ApiKey.updateOne({ _id: apiKey._id }, {
+      $inc: {
+        'usage.totalRequests': 1,
+        'usage.rateLimitedRequests': rateLimited ? 1 : 0
+      },
+      $set: {
+        'usage.lastUsedAt': new Date(),
+        'usage.lastUsedIp': ipAddress
+      }
+    });
+  }
+
+  /**
+   * Usage statistics for a key: request counters, the current rate limit windows and
+   * the verifications attributed to it over the last `days` days
+   */
+  async getUsage(apiKey, days = 30) {
+    const since = new Date(Date.now() - days * DAY_MS);
+    const match = { apiKeyId: apiKey.keyId, timestamp: { $gte: since } };
+
+    const [byResult, byDay] = await Promise.all([
+      VerificationLog.aggregate([
+        { $match: match },
+        { $group: { _id: '$result', count: { $sum: 1 } } }
+      ]),
+      VerificationLog.aggregate([
+        { $match: match },
+        { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }, count: { $sum: 1 } } },
+        { $sort: { _id: 1 } }
+      ])
+    ]);
+
+    const now = Date.now();
+    const counter = this.counters.get(apiKey.keyId) || {};
+    const used = (name, length) => (counter[name]?.start === Math.floor(now / length) * length ? counter[name].count : 0);
+
+    return {
+      keyId: apiKey.keyId,
+      totalRequests: apiKey.usage.totalRequests,
+      rateLimitedRequests: apiKey.usage.rateLimitedRequests,
+      lastUsedAt: apiKey.usage.lastUsedAt,
+      currentWindow: {
+        minute: { used: used('minute', MINUTE_MS), limit: apiKey.rateLimit.perMinute },
+        day: { used: used('day', DAY_MS), limit: apiKey.rateLimit.perDay }
+      },
+      verifications: {
+        since,
+        total: byResult.reduce((sum, entry) => sum + entry.count, 0),
+        byResult: Object.fromEntries(byResult.map(entry => [entry._id, entry.count])),
+        byDay: byDay.map(entry => ({ date: entry._id, count: entry.count }))
+      }
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
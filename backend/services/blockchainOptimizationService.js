@@ -3,6 +3,9 @@ const logger = require('../utils/logger');
 const { auditLogger } = require('../utils/auditLogger');
 const cacheService = require('./cacheService');
 const batchProcessingService = require('./batchProcessingService');
+const { buildMerkleTree } = require('../utils/merkleTree');
+const DocumentRegistryABI = require('../contracts/DocumentRegistry.json');
+const transactionTrackerService = require('./transactionTrackerService');
 
 /**
  * Blockchain optimization service for gas efficiency and transaction management
@@ -27,7 +30,9 @@ class BlockchainOptimizationService {
       retryAttempts: 3,
       retryMultiplier: 1.1,
       batchSize: 10,
-      confirmationBlocks: 1
+      confirmationBlocks: 1,
+      // 'merkle' anchors one root per batch instead of one transaction per document
+      anchorMode: process.env.BLOCKCHAIN_ANCHOR_MODE === 'merkle' ? 'merkle' : 'individual'
     };
 
     this.initialize();
@@ -46,10 +51,21 @@ class BlockchainOptimizationService {
       const privateKey = process.env.PRIVATE_KEY;
       if (privateKey && privateKey !== 'your_private_key_here' && !privateKey.includes('your_')) {
         this.wallet = new ethers.Wallet(privateKey, this.provider);
+        await transactionTrackerService.registerSigner(this.wallet);
       } else {
         logger.warn('No valid private key for blockchain optimization. Write operations disabled.');
       }
 
+      // Load DocumentRegistry for batch operations
+      const documentRegistryAddress = process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY;
+      if (documentRegistryAddress) {
+        this.loadContract(
+          'DocumentRegistry',
+          documentRegistryAddress,
+          DocumentRegistryABI.abi || DocumentRegistryABI
+        );
+      }
+
       // Register batch processors
       this.registerBatchProcessors();
 
@@ -193,7 +209,7 @@ class BlockchainOptimizationService {
           ? BigInt(Math.floor(Number(gasPrice) * Math.pow(this.optimizationConfig.retryMultiplier, attempt - 1)))
           : gasPrice;
 
-        const txOptions = {
+        const overrides = {
           gasLimit,
           gasPrice: adjustedGasPrice,
           ...options
@@ -206,11 +222,12 @@ class BlockchainOptimizationService {
           gasPrice: adjustedGasPrice.toString()
         });
 
-        // Execute transaction
-        const tx = await contract[methodName](...params, txOptions);
-        
-        // Wait for confirmation
-        const receipt = await tx.wait(this.optimizationConfig.confirmationBlocks);
+        // Execute through the tracker so a stuck transaction is replaced rather than resent
+        const { receipt } = await transactionTrackerService.send(contract, methodName, params, {
+          contractName: [...this.contracts].find(([, loaded]) => loaded === contract)?.[0],
+          documentHash: methodName === 'registerDocument' ? params[0] : undefined,
+          overrides
+        });
         
         // Update statistics
         this.updateGasTracker(receipt, adjustedGasPrice);
@@ -243,6 +260,11 @@ class BlockchainOptimizationService {
           error: error.message
         });
 
+        // A pending transaction is left to the tracker; sending again would duplicate it
+        if (error.code === 'TRANSACTION_PENDING') {
+          break;
+        }
+
         // Check if error is retryable
         if (!this.isRetryableError(error) || attempt >= this.optimizationConfig.retryAttempts) {
           break;
@@ -280,12 +302,18 @@ class BlockchainOptimizationService {
   async batchRegisterDocuments(documents, context) {
     try {
       const { batchId } = context;
+      const anchorMode = context.anchorMode || this.optimizationConfig.anchorMode;
       
       logger.info('Processing document registration batch:', {
         batchId,
-        documentCount: documents.length
+        documentCount: documents.length,
+        anchorMode
       });
 
+      if (anchorMode === 'merkle') {
+        return await this.anchorMerkleBatch(documents, context);
+      }
+
       const results = [];
       
       for (const doc of documents) {
@@ -330,6 +358,69 @@ class BlockchainOptimizationService {
     }
   }
 
+  /**
+   * Anchor a batch of documents as a single Merkle root
+   * Each result carries the document's proof so it can be stored alongside the document
+   */
+  async anchorMerkleBatch(documents, context) {
+    const { batchId } = context;
+    const contract = this.contracts.get('DocumentRegistry');
+    if (!contract) {
+      throw new Error('DocumentRegistry contract not loaded');
+    }
+
+    const tree = buildMerkleTree(documents.map(doc => doc.documentHash));
+    const metadata = JSON.stringify({ batchId, documentCount: documents.length });
+
+    const transaction = await this.executeTransactionOptimized(
+      contract,
+      'anchorMerkleBatch',
+      [tree.root, documents.length, metadata]
+    );
+
+    if (!transaction.success) {
+      logger.error('Merkle batch anchoring failed:', {
+        batchId,
+        merkleRoot: tree.root,
+        error: transaction.error.message
+      });
+
+      return documents.map(doc => ({
+        documentHash: doc.documentHash,
+        success: false,
+        error: transaction.error.message
+      }));
+    }
+
+    // Gas is shared by every document in the batch
+    const gasUsedPerDocument = Math.ceil(Number(transaction.gasUsed) / documents.length);
+
+    logger.info('Merkle batch anchored:', {
+      batchId,
+      merkleRoot: tree.root,
+      documentCount: documents.length,
+      txHash: transaction.receipt.hash,
+      gasUsed: transaction.gasUsed.toString()
+    });
+
+    return documents.map((doc, index) => ({
+      documentHash: doc.documentHash,
+      success: true,
+      result: {
+        transactionHash: transaction.receipt.hash,
+        blockNumber: transaction.receipt.blockNumber,
+        gasUsed: gasUsedPerDocument,
+        contractAddress: contract.target,
+        merkle: {
+          root: tree.root,
+          proof: tree.proofs[index],
+          leafIndex: index,
+          batchId
+        }
+      }
+    }));
+  }
+
   /**
    * Batch verify documents on blockchain
    */
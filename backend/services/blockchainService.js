@@ -1,5 +1,6 @@
 const { ethers } = require('ethers');
 const logger = require('../utils/logger');
+const transactionTrackerService = require('./transactionTrackerService');
 
 // Import contract ABIs (these would be generated from the smart contracts)
 const DocumentRegistryABI = require('../contracts/DocumentRegistry.json');
@@ -24,6 +25,7 @@ class BlockchainService {
       const privateKey = process.env.PRIVATE_KEY;
       if (privateKey && privateKey !== 'your_private_key_here' && !privateKey.includes('your_')) {
         this.wallet = new ethers.Wallet(privateKey, this.provider);
+        transactionTrackerService.registerSigner(this.wallet);
       } else {
         logger.warn('No valid private key configured. Blockchain write operations will be disabled.');
       }
@@ -87,62 +89,89 @@ class BlockchainService {
         ownerAddress
       });
 
-      // Estimate gas
-      const gasEstimate = await this.documentRegistryContract.registerDocument.estimateGas(
-        documentHash,
-        ipfsHash,
-        ownerAddress,
-        JSON.stringify(metadata)
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'registerDocument',
+        [
+          documentHash,
+          ipfsHash,
+          ownerAddress,
+          JSON.stringify(metadata)
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
       );
 
-      // Add 20% buffer to gas estimate
-      const gasLimit = Math.floor(gasEstimate * 1.2);
+      logger.info('Document registered successfully', {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString()
+      });
 
-      // Get current gas price
-      const gasPrice = await this.provider.getFeeData();
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString(),
+        contractAddress: this.documentRegistryContract.address,
+        success: true
+      };
 
-      // Execute transaction
-      const transaction = await this.documentRegistryContract.registerDocument(
+    } catch (error) {
+      logger.error('Document registration failed:', {
+        error: error.message,
         documentHash,
-        ipfsHash,
-        ownerAddress,
-        JSON.stringify(metadata),
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
-      );
+        ipfsHash
+      });
+      throw new Error(`Blockchain registration failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  async registerDocumentVersion(documentHash, previousHash, ipfsHash, ownerAddress, documentType, metadata = {}) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
 
-      logger.info('Document registration transaction sent', {
-        transactionHash: transaction.hash,
-        gasLimit,
-        gasPrice: gasPrice.gasPrice?.toString()
+      logger.info('Registering document version on blockchain', {
+        documentHash,
+        previousHash,
+        ownerAddress
       });
 
-      // Wait for confirmation
-      const receipt = await transaction.wait();
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'registerDocumentVersion',
+        [
+          documentHash,
+          previousHash,
+          ownerAddress,
+          ipfsHash,
+          documentType,
+          JSON.stringify(metadata)
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
+      );
 
-      logger.info('Document registered successfully', {
-        transactionHash: receipt.transactionHash,
+      logger.info('Document version registered successfully', {
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString()
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
-        contractAddress: this.documentRegistryContract.address,
+        contractAddress: await this.documentRegistryContract.getAddress(),
         success: true
       };
 
     } catch (error) {
-      logger.error('Document registration failed:', {
+      logger.error('Document version registration failed:', {
         error: error.message,
         documentHash,
-        ipfsHash
+        previousHash
       });
-      throw new Error(`Blockchain registration failed: ${error.message}`);
+      throw new Error(`Blockchain registration failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -184,6 +213,46 @@ class BlockchainService {
     }
   }
 
+  async verifyMerkleInclusion(documentHash, merkleRoot, proof) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
+
+      logger.info('Verifying Merkle inclusion on blockchain', { documentHash, merkleRoot });
+
+      const [isIncluded, batch] = await Promise.all([
+        this.documentRegistryContract.verifyMerkleInclusion(documentHash, merkleRoot, proof),
+        this.documentRegistryContract.getMerkleBatch(merkleRoot)
+      ]);
+
+      logger.info('Merkle inclusion verification completed', {
+        documentHash,
+        merkleRoot,
+        isValid: isIncluded,
+        issuer: batch.issuer
+      });
+
+      return {
+        isValid: isIncluded,
+        documentHash,
+        merkleRoot,
+        issuer: batch.issuer,
+        timestamp: batch.timestamp?.toString(),
+        documentCount: batch.documentCount?.toString(),
+        isActive: batch.isActive
+      };
+
+    } catch (error) {
+      logger.error('Merkle inclusion verification failed:', {
+        error: error.message,
+        documentHash,
+        merkleRoot
+      });
+      throw new Error(`Merkle inclusion verification failed: ${error.message}`);
+    }
+  }
+
   async transferOwnership(documentHash, newOwner, currentOwner) {
     try {
       if (!this.documentRegistryContract) {
@@ -196,47 +265,125 @@ class BlockchainService {
         currentOwner
       });
 
-      // Estimate gas
-      const gasEstimate = await this.documentRegistryContract.transferOwnership.estimateGas(
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'transferOwnership',
+        [
+          documentHash,
+          newOwner
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
+      );
+
+      logger.info('Ownership transferred successfully', {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString()
+      });
+
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString(),
+        success: true
+      };
+
+    } catch (error) {
+      logger.error('Ownership transfer failed:', {
+        error: error.message,
         documentHash,
         newOwner
-      );
+      });
+      throw new Error(`Ownership transfer failed: ${error.message}`, { cause: error });
+    }
+  }
 
-      const gasLimit = Math.floor(gasEstimate * 1.2);
-      const gasPrice = await this.provider.getFeeData();
+  async deactivateDocument(documentHash, reason) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
 
-      // Execute transaction
-      const transaction = await this.documentRegistryContract.transferOwnership(
+      logger.info('Deactivating document on blockchain', {
         documentHash,
-        newOwner,
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
-      );
+        reason
+      });
 
-      const receipt = await transaction.wait();
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'deactivateDocument',
+        [
+          documentHash,
+          reason
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
+      );
 
-      logger.info('Ownership transferred successfully', {
-        transactionHash: receipt.transactionHash,
+      logger.info('Document deactivated on blockchain', {
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString()
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         success: true
       };
 
     } catch (error) {
-      logger.error('Ownership transfer failed:', {
+      logger.error('Document deactivation on blockchain failed:', {
         error: error.message,
+        documentHash
+      });
+      throw new Error(`Blockchain deactivation failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Point a registered document at a new IPFS hash, e.g. after its file moved to another provider
+   */
+  async updateDocumentIpfsHash(documentHash, ipfsHash) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
+
+      logger.info('Updating document IPFS hash on blockchain', {
         documentHash,
-        newOwner
+        ipfsHash
+      });
+
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'updateIpfsHash',
+        [
+          documentHash,
+          ipfsHash
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
+      );
+
+      logger.info('Document IPFS hash updated on blockchain', {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString()
+      });
+
+      return {
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed?.toString(),
+        success: true
+      };
+
+    } catch (error) {
+      logger.error('Document IPFS hash update on blockchain failed:', {
+        error: error.message,
+        documentHash
       });
-      throw new Error(`Ownership transfer failed: ${error.message}`);
+      throw new Error(`Blockchain IPFS hash update failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -294,33 +441,24 @@ class BlockchainService {
         throw new Error(`Invalid role: ${role}`);
       }
 
-      const gasEstimate = await this.accessControlContract.grantRole.estimateGas(
-        userAddress,
-        roleNumber
-      );
-
-      const gasLimit = Math.floor(gasEstimate * 1.2);
-      const gasPrice = await this.provider.getFeeData();
-
-      const transaction = await this.accessControlContract.grantRole(
-        userAddress,
-        roleNumber,
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
+      const { receipt } = await transactionTrackerService.send(
+        this.accessControlContract,
+        'grantRole',
+        [
+          userAddress,
+          roleNumber
+        ],
+        { contractName: 'AccessControl' }
       );
 
-      const receipt = await transaction.wait();
-
       logger.info('Role granted successfully', {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString()
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         success: true
@@ -332,7 +470,7 @@ class BlockchainService {
         userAddress,
         role
       });
-      throw new Error(`Role grant failed: ${error.message}`);
+      throw new Error(`Role grant failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -349,7 +487,7 @@ class BlockchainService {
 
       return {
         status: receipt.status === 1 ? 'success' : 'failed',
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         confirmations: await receipt.confirmations()
@@ -485,35 +623,24 @@ class BlockchainService {
         grantedBy
       });
 
-      // Estimate gas
-      const gasEstimate = await this.documentRegistryContract.grantAccess.estimateGas(
-        documentHash,
-        userAddress
-      );
-
-      const gasLimit = Math.floor(gasEstimate * 1.2);
-      const gasPrice = await this.provider.getFeeData();
-
-      // Execute transaction
-      const transaction = await this.documentRegistryContract.grantAccess(
-        documentHash,
-        userAddress,
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'grantAccess',
+        [
+          documentHash,
+          userAddress
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
       );
 
-      const receipt = await transaction.wait();
-
       logger.info('Document access granted successfully', {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString()
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         success: true
@@ -525,7 +652,7 @@ class BlockchainService {
         documentHash,
         userAddress
       });
-      throw new Error(`Grant access failed: ${error.message}`);
+      throw new Error(`Grant access failed: ${error.message}`, { cause: error });
     }
   }
 
@@ -541,35 +668,24 @@ class BlockchainService {
         revokedBy
       });
 
-      // Estimate gas
-      const gasEstimate = await this.documentRegistryContract.revokeAccess.estimateGas(
-        documentHash,
-        userAddress
-      );
-
-      const gasLimit = Math.floor(gasEstimate * 1.2);
-      const gasPrice = await this.provider.getFeeData();
-
-      // Execute transaction
-      const transaction = await this.documentRegistryContract.revokeAccess(
-        documentHash,
-        userAddress,
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
+      const { receipt } = await transactionTrackerService.send(
+        this.documentRegistryContract,
+        'revokeAccess',
+        [
+          documentHash,
+          userAddress
+        ],
+        { documentHash, contractName: 'DocumentRegistry' }
       );
 
-      const receipt = await transaction.wait();
-
       logger.info('Document access revoked successfully', {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString()
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         success: true
@@ -581,7 +697,79 @@ class BlockchainService {
         documentHash,
         userAddress
       });
-      throw new Error(`Revoke access failed: ${error.message}`);
+      throw new Error(`Revoke access failed: ${error.message}`, { cause: error });
+    }
+  }
+
+  /**
+   * Read a document record from the registry
+   * @returns {Object|null} Record with lowercased addresses, or null if the hash is not registered
+   */
+  async getDocumentRecord(documentHash) {
+    if (!this.documentRegistryContract) {
+      throw new Error('Document registry contract not initialized');
+    }
+
+    try {
+      const document = await this.documentRegistryContract.getDocument(documentHash);
+
+      return {
+        documentHash: document.documentHash,
+        issuer: document.issuer.toLowerCase(),
+        owner: document.owner.toLowerCase(),
+        timestamp: Number(document.timestamp),
+        ipfsHash: document.ipfsHash,
+        isActive: document.isActive,
+        documentType: document.documentType
+      };
+    } catch (error) {
+      if (/Document does not exist/.test(error.reason || error.message)) {
+        return null;
+      }
+      logger.error('Failed to read document from blockchain:', {
+        error: error.message,
+        documentHash
+      });
+      throw new Error(`Blockchain read failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Addresses holding on-chain access to a document (includes the owner and issuer)
+   */
+  async getDocumentViewers(documentHash) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
+
+      const viewers = await this.documentRegistryContract.getDocumentViewers(documentHash);
+      return [...new Set(viewers.map(viewer => viewer.toLowerCase()))];
+
+    } catch (error) {
+      logger.error('Failed to read document viewers from blockchain:', {
+        error: error.message,
+        documentHash
+      });
+      throw new Error(`Blockchain read failed: ${error.message}`);
+    }
+  }
+
+  async checkDocumentAccess(documentHash, userAddress) {
+    try {
+      if (!this.documentRegistryContract) {
+        throw new Error('Document registry contract not initialized');
+      }
+
+      return await this.documentRegistryContract.checkAccess(documentHash, userAddress);
+
+    } catch (error) {
+      logger.error('Failed to check document access on blockchain:', {
+        error: error.message,
+        documentHash,
+        userAddress
+      });
+      throw new Error(`Blockchain read failed: ${error.message}`);
     }
   }
 
@@ -610,29 +798,18 @@ class BlockchainService {
         throw new Error(`Invalid role: ${role}`);
       }
 
-      // Estimate gas
-      const gasEstimate = await this.accessControlContract.assignRole.estimateGas(
-        userAddress,
-        roleNumber
+      const { receipt } = await transactionTrackerService.send(
+        this.accessControlContract,
+        'assignRole',
+        [
+          userAddress,
+          roleNumber
+        ],
+        { contractName: 'AccessControl' }
       );
 
-      const gasLimit = Math.floor(gasEstimate * 1.2);
-      const gasPrice = await this.provider.getFeeData();
-
-      // Execute transaction
-      const transaction = await this.accessControlContract.assignRole(
-        userAddress,
-        roleNumber,
-        {
-          gasLimit,
-          gasPrice: gasPrice.gasPrice
-        }
-      );
-
-      const receipt = await transaction.wait();
-
       logger.info('Role assigned successfully on blockchain', {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         userAddress,
@@ -640,7 +817,7 @@ class BlockchainService {
       });
 
       return {
-        transactionHash: receipt.transactionHash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         gasUsed: receipt.gasUsed?.toString(),
         success: true
@@ -652,7 +829,7 @@ class BlockchainService {
         userAddress,
         role
       });
-      throw new Error(`Blockchain role assignment failed: ${error.message}`);
+      throw new Error(`Blockchain role assignment failed: ${error.message}`, { cause: error });
     }
   }
 }
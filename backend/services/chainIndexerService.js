@@ -0,0 +1,507 @@
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+const DocumentRegistryABI = require('../contracts/DocumentRegistry.json');
+const AccessControlABI = require('../contracts/AccessControl.json');
+
+// AccessControl.Role enum order
+const ROLE_NAMES = ['student', 'verifier', 'issuer', 'admin'];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Follows DocumentRegistry and AccessControl events and reconciles MongoDB with them.
+ *
+ * The indexer reads confirmed blocks from a checkpoint forward. Every event is stored as
+ * a ChainEvent together with the fields it changed, so when a reorg drops blocks the
+ * indexer can undo exactly those changes before re-reading the canonical chain. Reorgs
+ * are detected by comparing the hashes of recently processed blocks with the chain.
+ */
+class ChainIndexerService {
+  constructor() {
+    // Defaults to blockchainService.provider; tests inject their own
+    this.provider = null;
+
+    this.config = {
+      checkpointName: 'chain-events',
+      startBlock: parseInt(process.env.INDEXER_START_BLOCK) || 0,
+      confirmations: process.env.INDEXER_CONFIRMATIONS !== undefined
+        ? parseInt(process.env.INDEXER_CONFIRMATIONS)
+        : 3,
+      batchSize: parseInt(process.env.INDEXER_BATCH_SIZE) || 1000,
+      // Block hashes kept for reorg detection; reorgs deeper than this are rewound conservatively
+      reorgDepth: 64
+    };
+
+    this.interfaces = {
+      registry: new ethers.Interface(DocumentRegistryABI.abi || DocumentRegistryABI),
+      accessControl: new ethers.Interface(AccessControlABI.abi || AccessControlABI)
+    };
+
+    this.handlers = {
+      DocumentRegistered: this.handleDocumentRegistered,
+      AccessGranted: this.handleAccessGranted,
+      AccessRevoked: this.handleAccessRevoked,
+      OwnershipTransferred: this.handleOwnershipTransferred,
+      DocumentDeactivated: this.handleDocumentDeactivated,
+      DocumentStorageUpdated: this.handleDocumentStorageUpdated,
+      RoleAssigned: this.handleRoleAssigned
+    };
+
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResult = null;
+  }
+
+  getProvider() {
+    return this.provider || blockchainService.provider;
+  }
+
+  getAddresses() {
+    return {
+      registry: process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY?.toLowerCase(),
+      accessControl: process.env.CONTRACT_ADDRESS_ACCESS_CONTROL?.toLowerCase()
+    };
+  }
+
+  /**
+   * Whether there is a provider and at least one contract to follow
+   */
+  isConfigured() {
+    const { registry, accessControl } = this.getAddresses();
+    return !!this.getProvider() && !!(registry || accessControl);
+  }
+
+  /**
+   * Build the getLogs filter for every indexed event on both contracts
+   */
+  buildFilter(fromBlock, toBlock) {
+    const { registry, accessControl } = this.getAddresses();
+    const topics = ChainEvent.INDEXED_EVENTS
+      .map(name => (this.interfaces.registry.getEvent(name) || this.interfaces.accessControl.getEvent(name)).topicHash);
+
+    return {
+      address: [registry, accessControl].filter(Boolean),
+      fromBlock,
+      toBlock,
+      topics: [topics]
+    };
+  }
+
+  /**
+   * Decode a raw log into an indexed event with plain JSON arguments
+   * @param {Object} log - Log returned by provider.getLogs
+   * @returns {Object|null} { eventName, args } or null for logs the indexer does not follow
+   */
+  parseLog(log) {
+    const { registry, accessControl } = this.getAddresses();
+    const address = log.address.toLowerCase();
+    const iface = address === registry ? this.interfaces.registry
+      : address === accessControl ? this.interfaces.accessControl
+        : null;
+    if (!iface) return null;
+
+    let parsed;
+    try {
+      parsed = iface.parseLog({ topics: log.topics, data: log.data });
+    } catch (error) {
+      return null;
+    }
+    if (!parsed || !ChainEvent.INDEXED_EVENTS.includes(parsed.name)) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      const value = parsed.args[index];
+      if (typeof value === 'bigint') {
+        args[input.name] = Number(value);
+      } else if (typeof value === 'string' && /^0x/.test(value)) {
+        args[input.name] = value.toLowerCase();
+      } else {
+        args[input.name] = value;
+      }
+    });
+
+    return { eventName: parsed.name, args };
+  }
+
+  /**
+   * Compare stored block hashes with the chain
+   * @param {Object} checkpoint - IndexerCheckpoint document
+   * @returns {Promise<number|null>} Last block both agree on, or null if there was no reorg
+   */
+  async detectReorg(checkpoint) {
+    const provider = this.getProvider();
+    const recent = checkpoint.recentBlocks;
+
+    for (let i = recent.length - 1; i >= 0; i--) {
+      const block = await provider.getBlock(recent[i].number);
+      if (block && block.hash === recent[i].hash) {
+        return i === recent.length - 1 ? null : recent[i].number;
+      }
+    }
+
+    if (recent.length === 0) {
+      return null;
+    }
+
+    // Every tracked block changed: rewind past all of them
+    logger.error('Chain reorg deeper than tracked blocks', {
+      oldestTrackedBlock: recent[0].number,
+      trackedBlocks: recent.length
+    });
+    return recent[0].number - 1;
+  }
+
+  /**
+   * Undo the changes made for events in blocks dropped by a reorg, newest first
+   * @param {number} forkBlock - Last block still on the canonical chain
+   * @returns {Promise<number>} Number of events removed
+   */
+  async rollback(forkBlock) {
+    const events = await ChainEvent.find({ blockNumber: { $gt: forkBlock }, removed: false })
+      .sort({ blockNumber: -1, logIndex: -1 });
+
+    for (const event of events) {
+      if (event.changes.length > 0) {
+        const record = await this.loadTarget(event.target);
+        if (record) {
+          // Only revert fields nothing else has changed since
+          [...event.changes].reverse().forEach(change => {
+            if (sameValue(this.readPath(record, change.path), change.to)) {
+              record.set(change.path, change.from ?? undefined);
+            }
+          });
+          await record.save();
+        }
+      }
+
+      event.removed = true;
+      event.removedAt = new Date();
+      await event.save();
+    }
+
+    return events.length;
+  }
+
+  loadTarget(target) {
+    if (target?.model === 'Document') {
+      return Document.findOne({ documentHash: target.key });
+    }
+    if (target?.model === 'User') {
+      return User.findByWallet(target.key);
+    }
+    return null;
+  }
+
+  readPath(record, path) {
+    const value = record.get(path);
+    return Array.isArray(value) ? [...value] : value;
+  }
+
+  /**
+   * Set fields that differ from the chain and report what changed
+   * @param {Object} record - Mongoose document
+   * @param {Object} updates - Map of path to the value the chain implies
+   * @returns {Promise<Array>} Changes as { path, from, to }
+   */
+  async applyUpdates(record, updates) {
+    const changes = [];
+    Object.entries(updates).forEach(([path, value]) => {
+      const current = this.readPath(record, path);
+      if (!sameValue(current, value)) {
+        changes.push({ path, from: current ?? null, to: value });
+        record.set(path, value);
+      }
+    });
+
+    if (changes.length > 0) {
+      await record.save();
+    }
+    return changes;
+  }
+
+  async reconcileDocument(documentHash, buildUpdates) {
+    const target = { model: 'Document', key: documentHash };
+    const document = await Document.findOne({ documentHash });
+    if (!document) {
+      return { target, changes: [], outcome: 'unmatched' };
+    }
+
+    const changes = await this.applyUpdates(document, buildUpdates(document));
+    return { target, changes, outcome: changes.length > 0 ? 'applied' : 'in_sync', document };
+  }
+
+  // A registration mined after the API gave up on it leaves the document pending or failed
+  async handleDocumentRegistered({ documentHash }, log) {
+    const result = await this.reconcileDocument(documentHash, document => {
+      if (['blockchain_stored', 'verified'].includes(document.status)) {
+        return {};
+      }
+      return {
+        status: 'blockchain_stored',
+        'blockchain.transactionHash': log.transactionHash,
+        'blockchain.blockNumber': log.blockNumber,
+        'blockchain.contractAddress': log.address.toLowerCase()
+      };
+    });
+
+    if (result.outcome === 'applied' && result.document.version?.previousHash) {
+      await Document.markSuperseded(result.document.version.previousHash, documentHash);
+    }
+    return result;
+  }
+
+  handleAccessGranted({ documentHash, grantedTo }) {
+    return this.reconcileDocument(documentHash, document => {
+      const viewers = [...document.access.authorizedViewers];
+      if (grantedTo === document.access.owner || viewers.includes(grantedTo)) {
+        return {};
+      }
+      return { 'access.authorizedViewers': [...viewers, grantedTo] };
+    });
+  }
+
+  handleAccessRevoked({ documentHash, revokedFrom }) {
+    return this.reconcileDocument(documentHash, document => ({
+      'access.authorizedViewers': document.access.authorizedViewers.filter(viewer => viewer !== revokedFrom)
+    }));
+  }
+
+  handleOwnershipTransferred({ documentHash, newOwner }) {
+    return this.reconcileDocument(documentHash, document => ({
+      'access.owner': newOwner,
+      'access.authorizedViewers': document.access.authorizedViewers.filter(viewer => viewer !== newOwner)
+    }));
+  }
+
+  async handleDocumentDeactivated({ documentHash, deactivatedBy, reason }, log, getBlock) {
+    const block = await getBlock(log.blockNumber);
+    return this.reconcileDocument(documentHash, document => {
+      if (!document.isActive) {
+        return {};
+      }
+      return {
+        isActive: false,
+        deactivationReason: reason,
+        deactivatedAt: new Date(block.timestamp * 1000),
+        deactivatedBy
+      };
+    });
+  }
+
+  // Only follows a move away from the CID MongoDB still has, so a later migration is not undone
+  handleDocumentStorageUpdated({ documentHash, previousIpfsHash, newIpfsHash }) {
+    return this.reconcileDocument(documentHash, document => (
+      document.ipfsHash === previousIpfsHash ? { ipfsHash: newIpfsHash } : {}
+    ));
+  }
+
+  async handleRoleAssigned({ user, role }) {
+    const target = { model: 'User', key: user };
+    const record = await User.findByWallet(user);
+    if (!record || !ROLE_NAMES[role]) {
+      return { target, changes: [], outcome: 'unmatched' };
+    }
+
+    const changes = await this.applyUpdates(record, { role: ROLE_NAMES[role] });
+    return { target, changes, outcome: changes.length > 0 ? 'applied' : 'in_sync' };
+  }
+
+  /**
+   * Reconcile one log and record it
+   * @returns {Promise<Object|null>} The ChainEvent, or null if the log was skipped
+   */
+  async processLog(log, getBlock) {
+    const decoded = this.parseLog(log);
+    if (!decoded) return null;
+
+    const existing = await ChainEvent.findOne({ transactionHash: log.transactionHash, logIndex: log.index });
+    if (existing && !existing.removed) {
+      // Already reconciled by a run that stopped before saving its checkpoint
+      return null;
+    }
+    if (existing) {
+      // The transaction was dropped by a reorg and mined again
+      await existing.deleteOne();
+    }
+
+    const { target, changes, outcome } = await this.handlers[decoded.eventName].call(
+      this, decoded.args, log, getBlock
+    );
+
+    if (outcome === 'unmatched') {
+      logger.warn('Chain event has no matching record', {
+        eventName: decoded.eventName,
+        transactionHash: log.transactionHash,
+        target
+      });
+    } else if (outcome === 'applied') {
+      logger.info('Chain event reconciled drift', {
+        eventName: decoded.eventName,
+        transactionHash: log.transactionHash,
+        target,
+        paths: changes.map(change => change.path)
+      });
+    }
+
+    return ChainEvent.create({
+      transactionHash: log.transactionHash,
+      logIndex: log.index,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      contractAddress: log.address,
+      eventName: decoded.eventName,
+      args: decoded.args,
+      target,
+      changes,
+      outcome
+    });
+  }
+
+  /**
+   * Index confirmed blocks from the checkpoint up to the chain head
+   * @returns {Promise<Object|null>} Run summary, or null if skipped
+   */
+  async sync() {
+    if (!this.isConfigured()) {
+      return null;
+    }
+    if (this.isRunning) {
+      logger.warn('Chain indexer is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const provider = this.getProvider();
+    const result = { fromBlock: null, toBlock: null, events: 0, applied: 0, inSync: 0, unmatched: 0, reorg: null };
+    let checkpoint;
+
+    try {
+      checkpoint = await IndexerCheckpoint.load(this.config.checkpointName, this.config.startBlock);
+
+      const forkBlock = await this.detectReorg(checkpoint);
+      if (forkBlock !== null) {
+        const eventsRemoved = await this.rollback(forkBlock);
+        checkpoint.rewind(forkBlock);
+        checkpoint.reorgCount += 1;
+        checkpoint.lastReorg = { detectedAt: new Date(), forkBlock, eventsRemoved };
+        await checkpoint.save();
+        result.reorg = { forkBlock, eventsRemoved };
+
+        logger.warn('Chain reorg detected, indexer rewound', { forkBlock, eventsRemoved });
+      }
+
+      const head = await this.getChainHead();
+      const target = head - this.config.confirmations;
+      const blocks = new Map();
+      const getBlock = async (number) => {
+        if (!blocks.has(number)) {
+          blocks.set(number, await provider.getBlock(number));
+        }
+        return blocks.get(number);
+      };
+
+      let fromBlock = checkpoint.lastProcessedBlock + 1;
+      result.fromBlock = fromBlock;
+
+      while (fromBlock <= target) {
+        const toBlock = Math.min(fromBlock + this.config.batchSize - 1, target);
+        const logs = await provider.getLogs(this.buildFilter(fromBlock, toBlock));
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+        for (const log of logs) {
+          const event = await this.processLog(log, getBlock);
+          if (!event) continue;
+          result.events++;
+          if (event.outcome === 'applied') result.applied++;
+          else if (event.outcome === 'in_sync') result.inSync++;
+          else result.unmatched++;
+        }
+
+        // Track the blocks that held events as well as the batch end, so a reorg inside
+        // a batch rewinds only as far as it needs to
+        for (const number of new Set(logs.map(log => log.blockNumber))) {
+          checkpoint.advance(await getBlock(number), this.config.reorgDepth);
+        }
+        checkpoint.advance(await getBlock(toBlock), this.config.reorgDepth);
+        await checkpoint.save();
+        result.toBlock = toBlock;
+        fromBlock = toBlock + 1;
+      }
+
+      checkpoint.lastRunAt = new Date();
+      checkpoint.lastError = undefined;
+      await checkpoint.save();
+
+      this.lastRun = new Date();
+      this.lastResult = result;
+      return result;
+
+    } catch (error) {
+      logger.error('Chain indexer run failed:', {
+        error: error.message,
+        stack: error.stack
+      });
+
+      if (checkpoint) {
+        checkpoint.lastRunAt = new Date();
+        checkpoint.lastError = error.message;
+        await checkpoint.save().catch(() => {});
+      }
+      this.lastResult = { ...result, error: error.message };
+      return null;
+
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // provider.getBlockNumber() may answer from a short-lived cache; the latest block does not
+  async getChainHead() {
+    const block = await this.getProvider().getBlock('latest');
+    return block.number;
+  }
+
+  /**
+   * Indexer progress for the monitoring API
+   */
+  async getStatus() {
+    const status = {
+      configured: this.isConfigured(),
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResult: this.lastResult,
+      confirmations: this.config.confirmations,
+      contracts: this.getAddresses()
+    };
+
+    const checkpoint = await IndexerCheckpoint.findOne({ name: this.config.checkpointName });
+    status.checkpoint = checkpoint ? {
+      lastProcessedBlock: checkpoint.lastProcessedBlock,
+      lastRunAt: checkpoint.lastRunAt,
+      lastError: checkpoint.lastError || null,
+      reorgCount: checkpoint.reorgCount,
+      lastReorg: checkpoint.lastReorg?.detectedAt ? checkpoint.lastReorg : null
+    } : null;
+
+    if (status.configured) {
+      try {
+        status.chainHead = await this.getChainHead();
+        status.lag = checkpoint ? status.chainHead - checkpoint.lastProcessedBlock : null;
+      } catch (error) {
+        status.chainHead = null;
+        status.providerError = error.message;
+      }
+    }
+
+    status.events = await ChainEvent.getSummary();
+    return status;
+  }
+}
+
+module.exports = new ChainIndexerService();
@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+const VC_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://www.w3.org/2018/credentials/examples/v1'
+];
+
+const base64url = (input) => Buffer.from(input).toString('base64url');
+
+const decodeSegment = (segment) => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+const toUnixTime = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Issues and verifies W3C Verifiable Credentials for registered documents.
+ *
+ * Credentials use the VC-JWT encoding (VC Data Model 1.1, section 6.3.1) with an
+ * ES256K signature. The signing key is the backend wallet that registers documents
+ * on-chain, so the credential issuer matches the issuer recorded in DocumentRegistry.
+ */
+class CredentialService {
+  constructor() {
+    this.network = process.env.ETHEREUM_NETWORK || 'localhost';
+  }
+
+  /**
+   * Get the wallet used to sign credentials
+   * @returns {ethers.Wallet|null} Signing wallet, or null if no key is configured
+   */
+  getSigningWallet() {
+    const privateKey = process.env.PRIVATE_KEY;
+    if (!privateKey || privateKey.includes('your_')) {
+      return null;
+    }
+    return new ethers.Wallet(privateKey);
+  }
+
+  /**
+   * Build a did:ethr identifier for an Ethereum address on the configured network
+   * @param {string} address - Ethereum address
+   * @returns {string} DID
+   */
+  toDid(address) {
+    const prefix = this.network === 'mainnet' ? 'did:ethr' : `did:ethr:${this.network}`;
+    return `${prefix}:${ethers.getAddress(address)}`;
+  }
+
+  /**
+   * Extract the Ethereum address from a did:ethr identifier
+   * @param {string} did - DID
+   * @returns {string|null} Lowercase address or null if the DID is not did:ethr
+   */
+  addressFromDid(did) {
+    const match = /^did:ethr:(?:[a-z0-9]+:)?(0x[a-fA-F0-9]{40})$/.exec(did || '');
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  /**
+   * Issue a VC-JWT for a registered document
+   * @param {Object} document - Document model instance
+   * @returns {Promise<Object>} The signed JWT and the decoded credential
+   */
+  async issueCredential(document) {
+    const wallet = this.getSigningWallet();
+    if (!wallet) {
+      throw new Error('Credential signing key not configured');
+    }
+
+    if (!document.blockchain?.transactionHash) {
+      throw new Error('Document must be registered on the blockchain before a credential can be issued');
+    }
+
+    const issuerDid = this.toDid(wallet.address);
+    const subjectDid = this.toDid(document.access.owner);
+    const issuedAt = new Date();
+    const { metadata } = document;
+
+    const credential = {
+      '@context': VC_CONTEXT,
+      type: ['VerifiableCredential', 'AcademicDocumentCredential'],
+      credentialSubject: {
+        id: subjectDid,
+        studentName: metadata.studentName,
+        studentId: metadata.studentId,
+        institutionName: metadata.institutionName,
+        documentType: metadata.documentType,
+        issueDate: metadata.issueDate,
+        ...(metadata.course && { course: metadata.course }),
+        ...(metadata.grade && { grade: metadata.grade }),
+        documentHash: document.documentHash
+      },
+      evidence: [{
+        type: ['BlockchainAnchor'],
+        network: this.network,
+        contractAddress: document.blockchain.contractAddress || process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY,
+        transactionHash: document.blockchain.transactionHash,
+        blockNumber: document.blockchain.blockNumber,
+        ...(document.blockchain.merkle?.root && {
+          merkleRoot: document.blockchain.merkle.root,
+          merkleProof: document.blockchain.merkle.proof
+        })
+      }]
+    };
+
+    const payload = {
+      iss: issuerDid,
+      sub: subjectDid,
+      jti: `urn:uuid:${crypto.randomUUID()}`,
+      iat: toUnixTime(issuedAt),
+      nbf: toUnixTime(metadata.issueDate || issuedAt),
+      ...(metadata.expiryDate && { exp: toUnixTime(metadata.expiryDate) }),
+      vc: credential
+    };
+
+    const header = { alg: 'ES256K', typ: 'JWT', kid: `${issuerDid}#controller` };
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const digest = crypto.createHash('sha256').update(signingInput).digest();
+    const signature = wallet.signingKey.sign(digest);
+    const jwt = `${signingInput}.${base64url(ethers.getBytes(ethers.concat([signature.r, signature.s])))}`;
+
+    logger.info('Verifiable credential issued', {
+      documentHash: document.documentHash,
+      issuer: issuerDid,
+      subject: subjectDid,
+      id: payload.jti
+    });
+
+    return {
+      jwt,
+      credential: {
+        ...credential,
+        id: payload.jti,
+        issuer: issuerDid,
+        issuanceDate: issuedAt.toISOString(),
+        ...(metadata.expiryDate && { expirationDate: new Date(metadata.expiryDate).toISOString() })
+      }
+    };
+  }
+
+  /**
+   * Verify a VC-JWT signature and its DocumentRegistry state
+   * @param {string} jwt - Credential in VC-JWT form
+   * @returns {Promise<Object>} Verification result with individual checks
+   */
+  async verifyCredential(jwt) {
+    const checks = {
+      format: false,
+      signature: false,
+      notExpired: false,
+      registry: false,
+      issuerMatchesRegistry: false
+    };
+    const result = { isValid: false, checks, errors: [] };
+
+    let header, payload, signatureBytes;
+    try {
+      const segments = jwt.split('.');
+      if (segments.length !== 3) {
+        throw new Error('Credential must be a compact JWS with three segments');
+      }
+      header = decodeSegment(segments[0]);
+      payload = decodeSegment(segments[1]);
+      signatureBytes = Buffer.from(segments[2], 'base64url');
+
+      if (header.alg !== 'ES256K' || !payload.vc || signatureBytes.length !== 64) {
+        throw new Error('Unsupported credential format');
+      }
+      checks.format = true;
+    } catch (error) {
+      result.errors.push(error.message);
+      return result;
+    }
+
+    const issuerAddress = this.addressFromDid(payload.iss);
+    const documentHash = payload.vc.credentialSubject?.documentHash;
+    result.issuer = payload.iss;
+    result.subject = payload.sub;
+    result.documentHash = documentHash;
+    result.credential = payload.vc;
+
+    // ES256K signatures carry no recovery id, so try both and compare with the issuer DID
+    if (issuerAddress) {
+      const [headerSegment, payloadSegment] = jwt.split('.');
+      const digest = crypto.createHash('sha256').update(`${headerSegment}.${payloadSegment}`).digest();
+      const r = ethers.hexlify(signatureBytes.subarray(0, 32));
+      const s = ethers.hexlify(signatureBytes.subarray(32));
+
+      checks.signature = [27, 28].some(v => {
+        try {
+          return ethers.recoverAddress(digest, { r, s, v }).toLowerCase() === issuerAddress;
+        } catch (error) {
+          return false;
+        }
+      });
+    }
+    if (!checks.signature) {
+      result.errors.push('Signature does not match the credential issuer');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    checks.notExpired = (!payload.exp || payload.exp > now) && (!payload.nbf || payload.nbf <= now);
+    if (!checks.notExpired) {
+      result.errors.push('Credential is expired or not yet valid');
+    }
+
+    // Check DocumentRegistry state for the anchored document; batch-anchored
+    // documents carry the Merkle proof of their inclusion in the evidence
+    if (/^0x[a-fA-F0-9]{64}$/.test(documentHash || '')) {
+      try {
+        const anchor = (payload.vc.evidence || []).find(evidence => evidence.merkleRoot);
+        const onChain = anchor
+          ? await blockchainService.verifyMerkleInclusion(documentHash, anchor.merkleRoot, anchor.merkleProof || [])
+          : await blockchainService.verifyDocument(documentHash);
+        checks.registry = !!onChain.isValid;
+        checks.issuerMatchesRegistry = !!onChain.issuer && !!issuerAddress &&
+          onChain.issuer.toLowerCase() === issuerAddress;
+        result.registry = {
+          isActive: onChain.isActive,
+          issuer: onChain.issuer,
+          owner: onChain.owner,
+          timestamp: onChain.timestamp
+        };
+      } catch (error) {
+        logger.warn('Registry lookup failed during credential verification', {
+          documentHash,
+          error: error.message
+        });
+        result.errors.push('Document could not be checked against the registry');
+      }
+    } else {
+      result.errors.push('Credential does not reference a document hash');
+    }
+
+    if (checks.registry && !checks.issuerMatchesRegistry) {
+      result.errors.push('Credential issuer does not match the registry issuer');
+    } else if (!checks.registry && result.registry) {
+      result.errors.push('Document is not active in the registry');
+    }
+
+    result.isValid = Object.values(checks).every(Boolean);
+    return result;
+  }
+}
+
+module.exports = new CredentialService();
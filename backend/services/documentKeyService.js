@@ -0,0 +1,199 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const encryptionService = require('./encryptionService');
+const keyRotationService = require('./keyRotationService');
+const ipfsService = require('./ipfsService');
+const logger = require('../utils/logger');
+
+/**
+ * Per-reader copies of the keys of server-encrypted documents.
+ *
+ * When a wallet is granted access, the document key is wrapped for the encryption public
+ * key it registered (PUT /api/users/encryption-key), in the same format browsers use for
+ * end-to-end encrypted documents, so every reader holds their own copy.
+ *
+ * When a reader who held a copy loses access, that copy can no longer be taken back, so
+ * the document key is replaced: the file is re-encrypted under a new key and stored under
+ * a new CID, and the remaining readers' copies are wrapped again for the new keyVersion.
+ * Rotations run in the background, one at a time per document, and are recorded on the
+ * document's keyRotations. The on-chain ipfsHash is left as it was, like a storage
+ * migration without STORAGE_MIGRATION_UPDATE_CHAIN; verification does not depend on it.
+ */
+class DocumentKeyService {
+  constructor() {
+    // Latest rotation promise per document id, so rotations of one document run in order
+    this.runs = new Map();
+  }
+
+  /**
+   * Wrap a server-encrypted document's key for a reader and record it on the document.
+   * The caller saves the document.
+   * @param {Object} document - Document model instance
+   * @param {string} address - Reader wallet address
+   * @param {string} wrappedBy - Wallet address that granted access
+   * @returns {Promise<Object|null>} The wrapped key entry, or null if the reader has not
+   *   registered an encryption public key
+   */
+  async wrapForReader(document, address, wrappedBy) {
+    const reader = await User.findByWallet(address);
+    if (!reader?.encryptionPublicKey) {
+      return null;
+    }
+
+    const encryptionKey = await keyRotationService.readStoredKey(document.encryptionKey);
+    const wrappedKey = encryptionService.wrapKeyForReader(encryptionKey, reader.encryptionPublicKey);
+    return document.setWrappedKey(address, wrappedKey, wrappedBy);
+  }
+
+  /**
+   * Record a pending key rotation and start it in the background
+   * @param {Object} document - Saved document model instance
+   * @param {Object} options
+   * @param {string} options.revokedReader - Reader whose wrapped key was dropped
+   * @param {string} options.triggeredBy - Wallet address that revoked access
+   * @returns {Promise<Object>} The pending keyRotations entry
+   */
+  async requestRotation(document, { revokedReader = null, triggeredBy = null } = {}) {
+    const rotation = document.keyRotations.create({
+      keyVersion: document.keyVersion + 1,
+      revokedReader,
+      triggeredBy,
+      fromIpfsHash: document.ipfsHash
+    });
+    await Document.updateOne({ _id: document._id }, { $push: { keyRotations: rotation } });
+
+    logger.info('Document key rotation requested', {
+      documentHash: document.documentHash,
+      rotationId: rotation._id,
+      revokedReader
+    });
+
+    const id = document._id.toString();
+    const run = (this.runs.get(id) || Promise.resolve())
+      .then(() => this.rotateKey(document._id, rotation._id))
+      .finally(() => {
+        if (this.runs.get(id) === run) {
+          this.runs.delete(id);
+        }
+      });
+    this.runs.set(id, run);
+
+    return rotation;
+  }
+
+  /**
+   * Wait for the rotations queued for a document
+   */
+  async waitForRotation(documentId) {
+    await this.runs.get(documentId.toString());
+  }
+
+  /**
+   * Re-encrypt a document under a new key and re-wrap the remaining readers' copies
+   * @returns {Promise<boolean>} Whether the rotation completed
+   */
+  async rotateKey(documentId, rotationId) {
+    const document = await Document.findById(documentId);
+    const encryptedPath = path.join(os.tmpdir(), `key-rotation-${rotationId}.enc`);
+
+    try {
+      const previousKey = await keyRotationService.readStoredKey(document.encryptionKey);
+      const encryptionKey = encryptionService.generateKey();
+
+      await pipeline(
+        await ipfsService.retrieveFileStream(document.ipfsHash, document.storage?.replicas),
+        encryptionService.createDecryptStream(previousKey),
+        encryptionService.createIntegrityCheckStream(document.documentHash),
+        encryptionService.createEncryptStream(encryptionKey),
+        fs.createWriteStream(encryptedPath)
+      );
+      const { size } = await fs.promises.stat(encryptedPath);
+
+      const ipfsResult = await ipfsService.uploadFile(
+        { path: encryptedPath, size },
+        `encrypted_${document.fileInfo.originalName}`,
+        { documentHash: document.documentHash, keyVersion: document.keyVersion + 1 },
+        true
+      );
+      const record = await encryptionService.encryptKeyForStorage(encryptionKey);
+
+      // Readers granted access while the file was re-encrypted are included
+      const current = await Document.findById(documentId);
+      const keyVersion = current.keyVersion + 1;
+      const wrappedKeys = [];
+      for (const entry of current.wrappedKeys) {
+        const reader = await User.findByWallet(entry.address);
+        if (!reader?.encryptionPublicKey) continue;
+
+        wrappedKeys.push({
+          address: entry.address,
+          wrappedKey: encryptionService.wrapKeyForReader(encryptionKey, reader.encryptionPublicKey),
+          wrappedBy: entry.wrappedBy,
+          keyVersion
+        });
+      }
+
+      // updateOne skips the model's hooks, so keyEncryption is set here
+      const result = await Document.updateOne(
+        { _id: documentId, ipfsHash: current.ipfsHash, encryptionKey: current.encryptionKey },
+        {
+          $set: {
+            ipfsHash: ipfsResult.cid,
+            encryptionKey: JSON.stringify(record),
+            keyEncryption: { kms: record.kms, kekVersion: record.kekVersion },
+            'storage.contentHash': ipfsResult.contentHash,
+            'storage.replicas': ipfsResult.replicas,
+            keyVersion,
+            wrappedKeys,
+            'keyRotations.$[rotation].keyVersion': keyVersion,
+            'keyRotations.$[rotation].status': 'completed',
+            'keyRotations.$[rotation].toIpfsHash': ipfsResult.cid,
+            'keyRotations.$[rotation].completedAt': new Date()
+          }
+        },
+        { arrayFilters: [{ 'rotation._id': rotationId }] }
+      );
+      if (result.modifiedCount !== 1) {
+        throw new Error('Document changed while its key was being rotated');
+      }
+
+      logger.info('Document key rotated', {
+        documentHash: document.documentHash,
+        rotationId,
+        keyVersion,
+        ipfsHash: ipfsResult.cid,
+        rewrapped: wrappedKeys.length
+      });
+      return true;
+
+    } catch (error) {
+      logger.error('Document key rotation failed', {
+        documentHash: document?.documentHash,
+        rotationId,
+        error: error.message
+      });
+
+      await Document.updateOne(
+        { _id: documentId },
+        {
+          $set: {
+            'keyRotations.$[rotation].status': 'failed',
+            'keyRotations.$[rotation].error': error.message,
+            'keyRotations.$[rotation].completedAt': new Date()
+          }
+        },
+        { arrayFilters: [{ 'rotation._id': rotationId }] }
+      ).catch(() => {});
+      return false;
+
+    } finally {
+      await fs.promises.rm(encryptedPath, { force: true });
+    }
+  }
+}
+
+module.exports = new DocumentKeyService();
@@ -1,11 +1,36 @@
 const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const keyManagementService = require('./keyManagementService');
 const logger = require('../utils/logger');
 
+// Chunked AES-256-GCM file format used for stored documents:
+//   header  = "BDCE" | version (1 byte) | chunk size (uint32 BE) | nonce prefix (7 bytes)
+//   chunk i = ciphertext | 16-byte GCM tag; every chunk but the last holds chunk size bytes
+// Chunk i is sealed with nonce = prefix | i (uint32 BE) | final flag and the header as AAD,
+// so chunks cannot be reordered, dropped, truncated or swapped between files undetected.
+const STREAM_MAGIC = Buffer.from('BDCE');
+const STREAM_VERSION = 1;
+const STREAM_HEADER_LENGTH = 16;
+const STREAM_NONCE_PREFIX_LENGTH = 7;
+const STREAM_TAG_LENGTH = 16;
+const MAX_STREAM_CHUNK_SIZE = 16 * 1024 * 1024;
+
+// Files stored before the chunked format are JSON envelopes around one AES-256-CBC
+// ciphertext, written when uploads were capped at 10MB
+const MAX_LEGACY_ENVELOPE_SIZE = 32 * 1024 * 1024;
+
+// HKDF info for document keys wrapped to a reader's encryption key; must match the
+// frontend's utils/clientEncryption
+const WRAP_INFO = 'BDCE document key v1';
+
 class EncryptionService {
   constructor() {
     this.algorithm = 'aes-256-cbc';
+    this.streamAlgorithm = 'aes-256-gcm-chunked';
     this.keyLength = 32; // 256 bits
     this.ivLength = 16; // 128 bits
+    this.streamChunkSize = 64 * 1024;
   }
 
   /**
@@ -173,6 +198,395 @@ class EncryptionService {
     }
   }
 
+  /**
+   * Decode a base64 file key, checking its length
+   */
+  toKeyBuffer(encryptionKey) {
+    const key = Buffer.from(encryptionKey || '', 'base64');
+    if (key.length !== this.keyLength) {
+      throw new Error('Encryption key must be 32 bytes');
+    }
+    return key;
+  }
+
+  /**
+   * Nonce for chunk `index` of a chunked stream
+   */
+  chunkNonce(header, index, final) {
+    const nonce = Buffer.alloc(12);
+    header.copy(nonce, 0, 9, 9 + STREAM_NONCE_PREFIX_LENGTH);
+    nonce.writeUInt32BE(index, STREAM_NONCE_PREFIX_LENGTH);
+    nonce[11] = final ? 1 : 0;
+    return nonce;
+  }
+
+  /**
+   * Check whether stored bytes start with the chunked format header
+   * @param {Buffer} head - At least the first 4 bytes of the file
+   */
+  isChunkedFormat(head) {
+    return Buffer.isBuffer(head) && head.length >= STREAM_MAGIC.length &&
+      head.subarray(0, STREAM_MAGIC.length).equals(STREAM_MAGIC);
+  }
+
+  /**
+   * Create a stream that encrypts file content into the chunked AES-256-GCM format.
+   * Memory use is bounded by the chunk size whatever the length of the input.
+   * @param {string} encryptionKey - Base64 encoded 256-bit key
+   * @param {number} chunkSize - Plaintext bytes per chunk
+   * @returns {Transform} Plaintext in, header and sealed chunks out
+   */
+  createEncryptStream(encryptionKey, chunkSize = this.streamChunkSize) {
+    const key = this.toKeyBuffer(encryptionKey);
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_STREAM_CHUNK_SIZE) {
+      throw new Error('Invalid chunk size');
+    }
+
+    const header = Buffer.alloc(STREAM_HEADER_LENGTH);
+    STREAM_MAGIC.copy(header, 0);
+    header.writeUInt8(STREAM_VERSION, 4);
+    header.writeUInt32BE(chunkSize, 5);
+    crypto.randomBytes(STREAM_NONCE_PREFIX_LENGTH).copy(header, 9);
+
+    const service = this;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    const seal = (plaintext, final) => {
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, service.chunkNonce(header, index++, final));
+      cipher.setAAD(header);
+      return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+    };
+
+    return new Transform({
+      construct(callback) {
+        this.push(header);
+        callback();
+      },
+      transform(chunk, encoding, callback) {
+        try {
+          pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+          // Hold back a full chunk until more input shows it is not the last one
+          while (pending.length > chunkSize) {
+            this.push(seal(pending.subarray(0, chunkSize), false));
+            pending = pending.subarray(chunkSize);
+          }
+          callback();
+        } catch (error) {
+          callback(new Error(`Encryption failed: ${error.message}`));
+        }
+      },
+      flush(callback) {
+        try {
+          this.push(seal(pending, true));
+          callback();
+        } catch (error) {
+          callback(new Error(`Encryption failed: ${error.message}`));
+        }
+      }
+    });
+  }
+
+  /**
+   * Create a stream that decrypts a stored file. Chunked files are authenticated and
+   * released chunk by chunk; legacy JSON envelopes (AES-256-CBC) are collected and
+   * decrypted with decryptFile when the input ends.
+   * @param {string} encryptionKey - Base64 encoded key; legacy envelopes fall back to
+   *   the key embedded in them when omitted
+   * @returns {Transform} Stored bytes in, plaintext out
+   */
+  createDecryptStream(encryptionKey) {
+    const service = this;
+    let format = null;
+    let key = null;
+    let header = null;
+    let recordSize = 0;
+    let pending = Buffer.alloc(0);
+    let index = 0;
+
+    const open = (record, final) => {
+      if (record.length < STREAM_TAG_LENGTH) {
+        throw new Error('Encrypted file is truncated');
+      }
+      const tagStart = record.length - STREAM_TAG_LENGTH;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, service.chunkNonce(header, index, final));
+      decipher.setAAD(header);
+      decipher.setAuthTag(record.subarray(tagStart));
+      try {
+        const plaintext = Buffer.concat([decipher.update(record.subarray(0, tagStart)), decipher.final()]);
+        index++;
+        return plaintext;
+      } catch (error) {
+        throw new Error(`Chunk ${index} failed authentication`);
+      }
+    };
+
+    const detectFormat = () => {
+      if (service.isChunkedFormat(pending)) {
+        return 'chunked';
+      }
+      const text = pending.toString('latin1', 0, Math.min(pending.length, 64)).trimStart();
+      if (text.startsWith('{')) {
+        return 'legacy';
+      }
+      if (text.length > 0 && !STREAM_MAGIC.toString('latin1').startsWith(text.substring(0, STREAM_MAGIC.length))) {
+        const error = new Error('Unrecognized encrypted file format');
+        error.code = 'UNSUPPORTED_FORMAT';
+        throw error;
+      }
+      return null;
+    };
+
+    const readHeader = () => {
+      header = pending.subarray(0, STREAM_HEADER_LENGTH);
+      const version = header.readUInt8(4);
+      const chunkSize = header.readUInt32BE(5);
+      if (version !== STREAM_VERSION) {
+        const error = new Error(`Unsupported encrypted file version ${version}`);
+        error.code = 'UNSUPPORTED_FORMAT';
+        throw error;
+      }
+      if (chunkSize < 1 || chunkSize > MAX_STREAM_CHUNK_SIZE) {
+        throw new Error('Invalid chunk size in encrypted file header');
+      }
+      key = service.toKeyBuffer(encryptionKey);
+      recordSize = chunkSize + STREAM_TAG_LENGTH;
+      pending = pending.subarray(STREAM_HEADER_LENGTH);
+    };
+
+    const fail = (callback, error) => {
+      if (error.message.startsWith('Decryption failed')) {
+        return callback(error);
+      }
+      const wrapped = new Error(`Decryption failed: ${error.message}`);
+      wrapped.code = error.code;
+      callback(wrapped);
+    };
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        try {
+          pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+          if (!format) {
+            format = detectFormat();
+          }
+          if (format === 'legacy') {
+            if (pending.length > MAX_LEGACY_ENVELOPE_SIZE) {
+              throw new Error('Legacy encrypted file is too large');
+            }
+            return callback();
+          }
+          if (format === 'chunked' && !header && pending.length >= STREAM_HEADER_LENGTH) {
+            readHeader();
+          }
+
+          // Keep the last record back until the end of input marks it as final
+          while (header && pending.length > recordSize) {
+            this.push(open(pending.subarray(0, recordSize), false));
+            pending = pending.subarray(recordSize);
+          }
+          callback();
+        } catch (error) {
+          fail(callback, error);
+        }
+      },
+      flush(callback) {
+        try {
+          if (format === 'legacy') {
+            this.push(service.decryptFile(JSON.parse(pending.toString('utf8')), encryptionKey));
+            return callback();
+          }
+          if (!header) {
+            throw new Error('Encrypted file is truncated');
+          }
+          this.push(open(pending, true));
+          callback();
+        } catch (error) {
+          fail(callback, error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Create a pass-through stream that fails at the end if the SHA-256 of the data does
+   * not match, for checking a decrypted file against its document hash while it streams
+   * @param {string} expectedHash - Hex hash with 0x prefix
+   */
+  createIntegrityCheckStream(expectedHash) {
+    const hash = crypto.createHash('sha256');
+
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        const actualHash = '0x' + hash.digest('hex');
+        if (actualHash.toLowerCase() !== expectedHash.toLowerCase()) {
+          const error = new Error('File integrity verification failed');
+          error.code = 'INTEGRITY_MISMATCH';
+          return callback(error);
+        }
+        callback();
+      }
+    });
+  }
+
+  /**
+   * Generate SHA-256 hash of a file on disk without reading it into memory
+   * @param {string} filePath - Path of the file
+   * @returns {Promise<string>} Hex encoded hash with 0x prefix
+   */
+  async hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return '0x' + hash.digest('hex');
+  }
+
+  /**
+   * Read the header of a file in the chunked format
+   * @param {Buffer} head - At least the first 16 bytes of the file
+   * @returns {Object|null} { version, chunkSize }, or null if it is not a valid header
+   */
+  parseStreamHeader(head) {
+    if (!this.isChunkedFormat(head) || head.length < STREAM_HEADER_LENGTH) {
+      return null;
+    }
+
+    const version = head.readUInt8(4);
+    const chunkSize = head.readUInt32BE(5);
+    if (version !== STREAM_VERSION || chunkSize < 1 || chunkSize > MAX_STREAM_CHUNK_SIZE) {
+      return null;
+    }
+    return { version, chunkSize };
+  }
+
+  /**
+   * Size of a chunked-format file holding `plaintextSize` bytes, which always has at
+   * least one (final) chunk
+   */
+  getEncryptedSize(plaintextSize, chunkSize = this.streamChunkSize) {
+    const chunks = Math.max(1, Math.ceil(plaintextSize / chunkSize));
+    return STREAM_HEADER_LENGTH + plaintextSize + chunks * STREAM_TAG_LENGTH;
+  }
+
+  /**
+   * Check that a key is an uncompressed point on secp256k1, the curve of the keys
+   * browsers derive from wallet signatures for end-to-end encryption
+   * @param {string} publicKey - 0x04-prefixed hex
+   */
+  isValidEncryptionPublicKey(publicKey) {
+    if (typeof publicKey !== 'string' || !/^0x04[a-fA-F0-9]{128}$/.test(publicKey)) {
+      return false;
+    }
+
+    try {
+      crypto.ECDH.convertKey(publicKey.slice(2), 'secp256k1', 'hex');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check the shape of a document key wrapped in the browser for an end-to-end encrypted
+   * document. The wrapped key is JSON { version: 1, ephemeralPublicKey, iv, ciphertext }:
+   * ECDH between an ephemeral secp256k1 key and the reader's public key, HKDF-SHA256,
+   * then the 32-byte document key sealed with AES-256-GCM. The server cannot open it;
+   * this only keeps malformed records out of the database.
+   * @param {string} wrappedKey - JSON string
+   */
+  isValidWrappedKey(wrappedKey) {
+    if (typeof wrappedKey !== 'string' || wrappedKey.length > 1024) {
+      return false;
+    }
+
+    try {
+      const { version, ephemeralPublicKey, iv, ciphertext } = JSON.parse(wrappedKey);
+      return version === 1 &&
+        this.isValidEncryptionPublicKey(ephemeralPublicKey) &&
+        Buffer.from(iv, 'base64').length === 12 &&
+        Buffer.from(ciphertext, 'base64').length === this.keyLength + STREAM_TAG_LENGTH;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Wrapping key shared by the ephemeral and reader keys: HKDF over the ECDH x coordinate
+  deriveWrappingKey(ecdh, publicKey) {
+    const shared = ecdh.computeSecret(Buffer.from(publicKey.slice(2), 'hex'));
+    return Buffer.from(crypto.hkdfSync('sha256', shared, Buffer.alloc(0), WRAP_INFO, this.keyLength));
+  }
+
+  /**
+   * Wrap a document key for a reader's encryption public key, in the format browsers use
+   * for end-to-end encrypted documents (see isValidWrappedKey), so the reader can recover
+   * it with their wallet-derived key
+   * @param {string} encryptionKey - Base64 document key
+   * @param {string} publicKey - Reader's 0x04-prefixed secp256k1 public key
+   * @returns {string} JSON { version, ephemeralPublicKey, iv, ciphertext }
+   */
+  wrapKeyForReader(encryptionKey, publicKey) {
+    if (!this.isValidEncryptionPublicKey(publicKey)) {
+      throw new Error('Invalid encryption public key');
+    }
+
+    const ephemeral = crypto.createECDH('secp256k1');
+    ephemeral.generateKeys();
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveWrappingKey(ephemeral, publicKey), iv);
+    const ciphertext = Buffer.concat([
+      cipher.update(this.toKeyBuffer(encryptionKey)),
+      cipher.final(),
+      cipher.getAuthTag()
+    ]);
+
+    return JSON.stringify({
+      version: 1,
+      ephemeralPublicKey: '0x' + ephemeral.getPublicKey('hex', 'uncompressed'),
+      iv: iv.toString('base64'),
+      ciphertext: ciphertext.toString('base64')
+    });
+  }
+
+  /**
+   * Recover a document key from wrapKeyForReader with the reader's private key
+   * @param {string} wrappedKey - JSON from wrapKeyForReader
+   * @param {string} privateKey - Reader's 0x-prefixed secp256k1 private key
+   * @returns {string} Base64 document key
+   */
+  unwrapKeyForReader(wrappedKey, privateKey) {
+    if (!this.isValidWrappedKey(wrappedKey)) {
+      throw new Error('Invalid wrapped key');
+    }
+
+    const { ephemeralPublicKey, iv, ciphertext } = JSON.parse(wrappedKey);
+    const reader = crypto.createECDH('secp256k1');
+    reader.setPrivateKey(Buffer.from(privateKey.replace(/^0x/, ''), 'hex'));
+
+    const sealed = Buffer.from(ciphertext, 'base64');
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.deriveWrappingKey(reader, ephemeralPublicKey),
+      Buffer.from(iv, 'base64')
+    );
+    decipher.setAuthTag(sealed.subarray(-STREAM_TAG_LENGTH));
+
+    try {
+      return Buffer.concat([
+        decipher.update(sealed.subarray(0, -STREAM_TAG_LENGTH)),
+        decipher.final()
+      ]).toString('base64');
+    } catch (error) {
+      throw new Error('Document key was not wrapped for this key');
+    }
+  }
+
   /**
    * Encrypt data with user's public key (for key storage)
    * @param {string} data - Data to encrypt
@@ -360,28 +774,14 @@ class EncryptionService {
   }
 
   /**
-   * Encrypt encryption key for secure storage in database
-   * Uses a master key from environment variable
+   * Encrypt encryption key for secure storage in database. The key is wrapped by the
+   * current key-encryption key of the configured KMS (see keyManagementService).
    * @param {string} encryptionKey - Base64 encoded encryption key
-   * @returns {Object} Encrypted key with IV
+   * @returns {Promise<Object>} Key record naming the KMS and KEK version used
    */
-  encryptKeyForStorage(encryptionKey) {
+  async encryptKeyForStorage(encryptionKey) {
     try {
-      const masterKey = process.env.MASTER_ENCRYPTION_KEY || 'default-master-key-change-in-production';
-      
-      // Derive a 32-byte key from master key
-      const key = crypto.createHash('sha256').update(masterKey).digest();
-      const iv = crypto.randomBytes(this.ivLength);
-      
-      const cipher = crypto.createCipheriv(this.algorithm, key, iv);
-      
-      let encrypted = cipher.update(encryptionKey, 'utf8');
-      encrypted = Buffer.concat([encrypted, cipher.final()]);
-
-      return {
-        encryptedKey: encrypted.toString('base64'),
-        iv: iv.toString('base64')
-      };
+      return await keyManagementService.wrapKey(encryptionKey);
     } catch (error) {
       logger.error('Key encryption for storage failed:', error);
       throw new Error(`Key encryption failed: ${error.message}`);
@@ -390,33 +790,40 @@ class EncryptionService {
 
   /**
    * Decrypt encryption key from database storage
-   * @param {Object} encryptedKeyData - Object with encryptedKey and iv
-   * @returns {string} Base64 encoded encryption key
+   * @param {Object} encryptedKeyData - Key record from encryptKeyForStorage, or a legacy
+   *   { encryptedKey, iv } record wrapped with MASTER_ENCRYPTION_KEY
+   * @returns {Promise<string>} Base64 encoded encryption key
    */
-  decryptKeyFromStorage(encryptedKeyData) {
+  async decryptKeyFromStorage(encryptedKeyData) {
     try {
-      if (!encryptedKeyData || !encryptedKeyData.encryptedKey || !encryptedKeyData.iv) {
-        throw new Error('Invalid encrypted key data format');
+      if (encryptedKeyData?.kekVersion !== undefined) {
+        return await keyManagementService.unwrapKey(encryptedKeyData);
       }
-
-      const masterKey = process.env.MASTER_ENCRYPTION_KEY || 'default-master-key-change-in-production';
-      
-      // Derive the same 32-byte key from master key
-      const key = crypto.createHash('sha256').update(masterKey).digest();
-      const iv = Buffer.from(encryptedKeyData.iv, 'base64');
-      const encrypted = Buffer.from(encryptedKeyData.encryptedKey, 'base64');
-
-      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
-      
-      let decrypted = decipher.update(encrypted);
-      decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-      return decrypted.toString('utf8');
+      return this.decryptLegacyKeyRecord(encryptedKeyData);
     } catch (error) {
       logger.error('Key decryption from storage failed:', error);
       throw new Error(`Key decryption failed: ${error.message}`);
     }
   }
+
+  /**
+   * Records written before KEK versioning: AES-256-CBC under a key derived from
+   * MASTER_ENCRYPTION_KEY. Only read, until a key rotation re-wraps them.
+   */
+  decryptLegacyKeyRecord(encryptedKeyData) {
+    if (!encryptedKeyData || !encryptedKeyData.encryptedKey || !encryptedKeyData.iv) {
+      throw new Error('Invalid encrypted key data format');
+    }
+
+    // The fallback is the value those records were written with when the variable was unset
+    const masterKey = process.env.MASTER_ENCRYPTION_KEY || 'default-master-key-change-in-production';
+    const key = crypto.createHash('sha256').update(masterKey).digest();
+    const iv = Buffer.from(encryptedKeyData.iv, 'base64');
+    const encrypted = Buffer.from(encryptedKeyData.encryptedKey, 'base64');
+
+    const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
 }
 
 module.exports = new EncryptionService();
\ No newline at end of file
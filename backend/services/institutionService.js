@@ -0,0 +1,241 @@
+const dns = require('dns');
+const Institution = require('../models/Institution');
+const User = require('../models/User');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+const fail = (code, message, status = 409) => Object.assign(new Error(message), { code, status });
+
+/**
+ * Institution tenancy: membership of issuers, domain verification and the issuing
+ * identity documents are registered and verified under.
+ */
+class InstitutionService {
+  /**
+   * Register an institution
+   * @param {Object} details - { name, domain, website, logoUrl, description }
+   * @param {string} createdBy - Wallet address of the admin creating it
+   * @throws {Error} With code INSTITUTION_EXISTS if the name is taken
+   */
+  async createInstitution({ name, domain, website, logoUrl, description }, createdBy) {
+    if (await Institution.findByName(name)) {
+      throw fail('INSTITUTION_EXISTS', `An institution named ${name} already exists`);
+    }
+
+    const institution = await Institution.create({
+      name,
+      website,
+      logoUrl,
+      description,
+      domains: domain ? [{ domain }] : [],
+      createdBy
+    });
+
+    logger.info('Institution created', { institutionId: institution._id, name, createdBy });
+    return institution;
+  }
+
+  /**
+   * Find the institution an approved issuer application joins: the one holding its
+   * domain, or a new one named after the organization
+   * @returns {Promise<Object>} { institution, created }
+   * @throws {Error} With code INSTITUTION_EXISTS if another institution has the name
+   */
+  async findOrCreateForApplication(application, reviewedBy) {
+    const { name, domain, website, description } = application.organization;
+
+    const existing = await Institution.findOne({ 'domains.domain': domain });
+    if (existing) {
+      return { institution: existing, created: false };
+    }
+
+    const institution = await this.createInstitution({ name, domain, website, description }, reviewedBy);
+    return { institution, created: true };
+  }
+
+  /**
+   * Check that an issuer application can be approved, without changing anything: the
+   * organization name must be free unless an institution holds the domain, and the
+   * applicant must not belong to a different institution
+   * @returns {Promise<Object|null>} The institution holding the domain, or null if
+   *   approval creates one
+   * @throws {Error} With code INSTITUTION_EXISTS or MEMBER_OF_OTHER_INSTITUTION
+   */
+  async checkApplication(application) {
+    const { name, domain } = application.organization;
+
+    const existing = await Institution.findOne({ 'domains.domain': domain });
+    if (!existing && await Institution.findByName(name)) {
+      throw fail('INSTITUTION_EXISTS', `An institution named ${name} already exists`);
+    }
+
+    const user = await User.findByWallet(application.walletAddress);
+    if (user?.institution && user.institution.toString() !== existing?._id.toString()) {
+      throw fail('MEMBER_OF_OTHER_INSTITUTION', 'Wallet already belongs to another institution');
+    }
+    return existing;
+  }
+
+  /**
+   * Check the DNS TXT record proving control of a domain and mark it verified
+   * @returns {Promise<boolean>} Whether the record was found
+   * @throws {Error} With code DOMAIN_TAKEN if another institution verified the domain first
+   */
+  async verifyDomain(institution, domain) {
+    const entry = institution.domains.find(candidate => candidate.domain === domain);
+    const record = Institution.verificationRecord(entry.domain, entry.verificationToken);
+
+    let values = [];
+    try {
+      values = (await dns.promises.resolveTxt(record.name)).map(chunks => chunks.join(''));
+    } catch (error) {
+      logger.info('Domain verification record not found', { domain, error: error.code || error.message });
+    }
+    if (!values.includes(record.value)) {
+      return false;
+    }
+
+    const owner = await Institution.findOne({
+      _id: { $ne: institution._id },
+      domains: { $elemMatch: { domain, verified: true } }
+    });
+    if (owner) {
+      throw fail('DOMAIN_TAKEN', `${domain} has already been verified by another institution`);
+    }
+
+    entry.verified = true;
+    entry.verifiedAt = new Date();
+    await institution.save();
+
+    logger.info('Institution domain verified', { institutionId: institution._id, domain });
+    return true;
+  }
+
+  /**
+   * Assign an AccessControl role to a wallet. Failures are logged and returned rather
+   * than thrown; the database stays the source of truth for membership.
+   */
+  async syncRoleOnChain(walletAddress, role, assignedBy) {
+    try {
+      const result = await blockchainService.assignRoleOnChain(walletAddress, role, assignedBy);
+      return { status: 'confirmed', transactionHash: result.transactionHash, blockNumber: result.blockNumber };
+    } catch (error) {
+      logger.warn('Institution member role sync on-chain failed', { walletAddress, role, error: error.message });
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Add a wallet to an institution as an issuer or institution admin. Wallets that have
+   * never signed in get an account.
+   * @returns {Promise<Object>} { user, roleAssignment }
+   * @throws {Error} With code MEMBER_OF_OTHER_INSTITUTION
+   */
+  async addMember(institution, walletAddress, institutionRole, addedBy) {
+    let user = await User.findByWallet(walletAddress);
+    if (!user) {
+      user = await User.createWithRole(walletAddress, 'student');
+    }
+
+    if (user.institution && user.institution.toString() !== institution._id.toString()) {
+      throw fail('MEMBER_OF_OTHER_INSTITUTION', 'Wallet already belongs to another institution');
+    }
+
+    user.institution = institution._id;
+    user.institutionRole = institutionRole;
+    user.profile.organization = institution.name;
+    const becomesIssuer = user.role !== 'admin' && user.role !== 'issuer';
+    if (becomesIssuer) {
+      user.setRole('issuer');
+    }
+    await user.save();
+
+    logger.info('Institution member added', {
+      institutionId: institution._id,
+      walletAddress: user.walletAddress,
+      institutionRole,
+      addedBy
+    });
+
+    const roleAssignment = becomesIssuer
+      ? await this.syncRoleOnChain(user.walletAddress, 'issuer', addedBy)
+      : null;
+    return { user, roleAssignment };
+  }
+
+  /**
+   * Remove a member. Issuers go back to being students; global admins keep their role.
+   * @returns {Promise<Object>} { user, roleAssignment }
+   */
+  async removeMember(institution, user, removedBy) {
+    user.institution = null;
+    user.institutionRole = null;
+    const demoted = user.role === 'issuer';
+    if (demoted) {
+      user.setRole('student');
+    }
+    await user.save();
+
+    logger.info('Institution member removed', {
+      institutionId: institution._id,
+      walletAddress: user.walletAddress,
+      removedBy
+    });
+
+    const roleAssignment = demoted
+      ? await this.syncRoleOnChain(user.walletAddress, 'student', removedBy)
+      : null;
+    return { user, roleAssignment };
+  }
+
+  /**
+   * Work out the institution a document is issued under. Members issue under their
+   * institution only. Issuers without one (from before institutions existed) keep
+   * naming the institution themselves, but cannot use a registered institution's name.
+   * @param {Object} issuer - Issuing user
+   * @param {string} requestedName - institutionName sent with the document, if any
+   * @returns {Promise<Object>} { institution, institutionName } or { status, error }
+   */
+  async resolveIssuingInstitution(issuer, requestedName) {
+    const requested = typeof requestedName === 'string' ? requestedName.trim() : '';
+
+    if (issuer.institution) {
+      const institution = await Institution.findById(issuer.institution);
+      if (!institution || institution.status !== 'active') {
+        return { status: 403, error: 'Your institution is suspended and cannot issue documents' };
+      }
+      if (requested && requested.toLowerCase() !== institution.normalizedName) {
+        return { status: 403, error: `You can only issue documents under ${institution.name}` };
+      }
+      return { institution, institutionName: institution.name };
+    }
+
+    if (requested && await Institution.findByName(requested)) {
+      return {
+        status: 403,
+        error: `${requested} is a registered institution; only its members can issue under its name`
+      };
+    }
+    return { institution: null, institutionName: requestedName };
+  }
+
+  /**
+   * Institution identity shown to verifiers
+   * @param {Object} document - Document model instance
+   * @returns {Promise<Object>} The registered institution, or the unverified name of a
+   *   document issued without one
+   */
+  async getIssuingIdentity(document) {
+    const institution = document.institution
+      ? await Institution.findById(document.institution)
+      : null;
+    if (!institution) {
+      return { name: document.metadata?.institutionName, registered: false, verified: false };
+    }
+
+    const { id, name, slug, logoUrl, website, status, verified, verifiedDomains } = institution.toPublicJSON();
+    return { id, name, slug, logoUrl, website, status, registered: true, verified, verifiedDomains };
+  }
+}
+
+module.exports = new InstitutionService();
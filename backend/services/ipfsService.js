@@ -1,4 +1,7 @@
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const FormData = require('form-data');
 const logger = require('../utils/logger');
 
@@ -8,10 +11,21 @@ class IPFSService {
     
     // Configure multiple IPFS providers with priority
     this.providers = [
+      {
+        // Self-hosted Kubo node; preferred when configured so content never leaves the deployment
+        name: 'kubo',
+        endpoint: (process.env.KUBO_API_URL || '').replace(/\/+$/, ''),
+        auth: process.env.KUBO_API_AUTH,
+        priority: 0,
+        free: true,
+        limits: 'disk space',
+        enabled: !!process.env.KUBO_API_URL
+      },
       {
         name: 'web3.storage',
         apiKey: process.env.WEB3_STORAGE_API_KEY,
         endpoint: 'https://api.web3.storage',
+        gateway: 'https://w3s.link/ipfs/',
         priority: 1,
         free: true,
         limits: 'unlimited',
@@ -22,6 +36,7 @@ class IPFSService {
         apiKey: process.env.PINATA_API_KEY,
         apiSecret: process.env.PINATA_SECRET_API_KEY,
         endpoint: 'https://api.pinata.cloud',
+        gateway: 'https://gateway.pinata.cloud/ipfs/',
         priority: 2,
         free: true,
         limits: '1GB',
@@ -31,6 +46,7 @@ class IPFSService {
         name: 'nft.storage',
         apiKey: process.env.NFT_STORAGE_API_KEY,
         endpoint: 'https://api.nft.storage',
+        gateway: 'https://nftstorage.link/ipfs/',
         priority: 3,
         free: true,
         limits: 'unlimited',
@@ -48,6 +64,10 @@ class IPFSService {
 
     // Sort providers by priority
     this.providers.sort((a, b) => a.priority - b.priority);
+
+    // Number of providers each file is stored with. The local fallback never counts as a
+    // replica of an IPFS upload since it cannot serve the same CID.
+    this.replicationFactor = Math.max(parseInt(process.env.IPFS_REPLICATION_FACTOR) || 1, 1);
     
     // Upload queue for offline scenarios
     this.uploadQueue = [];
@@ -74,7 +94,7 @@ class IPFSService {
       
       if (enabledProviders.length === 0) {
         logger.warn('No IPFS providers configured. Please set API keys for at least one provider.');
-        logger.info('Supported providers: Web3.Storage, Pinata, NFT.Storage');
+        logger.info('Supported providers: Kubo (self-hosted), Web3.Storage, Pinata, NFT.Storage');
       } else {
         logger.info(`IPFS service initialized with ${enabledProviders.length} provider(s):`);
         enabledProviders.forEach(p => {
@@ -105,31 +125,39 @@ class IPFSService {
   }
 
   /**
-   * Upload file to IPFS with automatic provider fallback and retry logic
-   * @param {Buffer} fileBuffer - File content as buffer
+   * Upload file to IPFS with automatic provider fallback and retry logic.
+   * Providers are tried in priority order until replicationFactor of them hold the file.
+   * @param {Buffer|Object} source - File content as a buffer, or { path, size } of a file
+   *   on disk to stream it without loading it into memory
    * @param {string} filename - Name of the file
    * @param {Object} metadata - Additional metadata
    * @param {boolean} encryption - Whether file is encrypted (default: true)
-   * @returns {Promise<Object>} Upload result with CID, encryption key, and provider
+   * @returns {Promise<Object>} Upload result with the primary CID, its provider, every
+   *   replica and the SHA-256 of the stored bytes
    */
-  async uploadFile(fileBuffer, filename, metadata = {}, encryption = true) {
+  async uploadFile(source, filename, metadata = {}, encryption = true) {
     const enabledProviders = this.providers.filter(p => p.enabled);
     
     if (enabledProviders.length === 0) {
       // Queue upload for later if no providers available
-      return await this.queueUpload(fileBuffer, filename, metadata, encryption);
+      return await this.queueUpload(source, filename, metadata, encryption);
     }
 
+    const replicas = [];
     let lastError = null;
     
     // Try each provider in priority order
     for (const provider of enabledProviders) {
+      if (replicas.length >= this.replicationFactor) break;
+      // Local storage is only a fallback for when no IPFS provider accepted the file
+      if (provider.name === 'local' && replicas.length > 0) break;
+
       try {
         logger.info(`Attempting upload to ${provider.name}...`, { filename });
         
         const result = await this.uploadWithRetry(
           provider,
-          fileBuffer,
+          source,
           filename,
           metadata
         );
@@ -138,15 +166,13 @@ class IPFSService {
           filename, 
           cid: result.cid 
         });
-        
-        return {
-          cid: result.cid,
-          size: fileBuffer.length,
+
+        replicas.push({
           provider: provider.name,
-          gateway: `${this.ipfsGateway}${result.cid}`,
-          pinned: true,
-          timestamp: new Date().toISOString()
-        };
+          cid: result.cid,
+          status: 'pinned',
+          pinnedAt: new Date()
+        });
         
       } catch (error) {
         lastError = error;
@@ -154,30 +180,157 @@ class IPFSService {
         // Continue to next provider
       }
     }
+
+    if (replicas.length > 0) {
+      if (replicas.length < this.replicationFactor && replicas[0].provider !== 'local') {
+        logger.warn('File stored with fewer replicas than configured; the pin audit will add more', {
+          filename,
+          replicas: replicas.length,
+          replicationFactor: this.replicationFactor
+        });
+      }
+
+      const [primary] = replicas;
+      return {
+        cid: primary.cid,
+        size: this.getSourceSize(source),
+        provider: primary.provider,
+        replicas,
+        contentHash: await this.hashSource(source),
+        gateway: `${this.ipfsGateway}${primary.cid}`,
+        pinned: true,
+        timestamp: new Date().toISOString()
+      };
+    }
     
     // All providers failed
     logger.error('All IPFS providers failed', { filename, error: lastError?.message });
     
     // Queue for retry
-    await this.queueUpload(fileBuffer, filename, metadata, encryption);
+    await this.queueUpload(source, filename, metadata, encryption);
     
     throw new Error(`IPFS upload failed: All providers unavailable. Upload queued for retry.`);
   }
 
+  /**
+   * SHA-256 of stored bytes, used to check replicas have not been altered
+   */
+  getContentHash(fileBuffer) {
+    return crypto.createHash('sha256').update(fileBuffer).digest('hex');
+  }
+
+  /**
+   * Hash an upload source, streaming files from disk
+   */
+  async hashSource(source) {
+    if (Buffer.isBuffer(source)) {
+      return this.getContentHash(source);
+    }
+
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(source.path)) {
+      hash.update(chunk);
+    }
+    return hash.digest('hex');
+  }
+
+  getSourceSize(source) {
+    return Buffer.isBuffer(source) ? source.length : source.size;
+  }
+
+  /**
+   * Add an upload source to a multipart body. Files on disk are opened per request so
+   * retries get a fresh stream, and their length is declared up front.
+   */
+  appendSource(formData, source, filename) {
+    if (Buffer.isBuffer(source)) {
+      formData.append('file', source, filename);
+    } else {
+      formData.append('file', fs.createReadStream(source.path), { filename, knownLength: source.size });
+    }
+  }
+
+  /**
+   * Store a file with one specific provider, e.g. to replace a lost replica
+   * @returns {Promise<Object>} Replica entry { provider, cid, status, pinnedAt }
+   */
+  async storeReplica(providerName, source, filename, metadata = {}) {
+    const provider = this.providers.find(p => p.name === providerName && p.enabled);
+    if (!provider) {
+      throw new Error(`IPFS provider not available: ${providerName}`);
+    }
+
+    const result = await this.uploadWithRetry(provider, source, filename, metadata);
+    return {
+      provider: provider.name,
+      cid: result.cid,
+      status: 'pinned',
+      pinnedAt: new Date()
+    };
+  }
+
+  /**
+   * Fetch a replica from the provider that holds it rather than any public gateway,
+   * so an outage or unpin at that provider shows up as a failure
+   */
+  async fetchReplica(replica) {
+    if (replica.provider === 'local') {
+      return this.retrieveLocalFile(replica.cid);
+    }
+    if (replica.provider === 'kubo') {
+      return this.retrieveFromKubo(replica.cid);
+    }
+
+    const provider = this.providers.find(p => p.name === replica.provider);
+    const gateway = provider?.gateway || this.ipfsGateway;
+    const response = await axios.get(`${gateway}${replica.cid}`, {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    return Buffer.from(response.data);
+  }
+
+  /**
+   * Ask the provider whether it still pins a replica
+   * @returns {Promise<boolean|null>} null when the provider has no pin status API
+   */
+  async isReplicaPinned(replica) {
+    switch (replica.provider) {
+      case 'kubo':
+        return (await this.getPinStatus(replica.cid)).pinned;
+      case 'pinata': {
+        const provider = this.providers.find(p => p.name === 'pinata');
+        const response = await axios.get(`${provider.endpoint}/data/pinList`, {
+          params: { hashContains: replica.cid, status: 'pinned', pageLimit: 1 },
+          headers: {
+            pinata_api_key: provider.apiKey,
+            pinata_secret_api_key: provider.apiSecret
+          },
+          timeout: 10000
+        });
+        return response.data.count > 0;
+      }
+      default:
+        return null;
+    }
+  }
+
   /**
    * Upload with exponential backoff retry logic
    */
-  async uploadWithRetry(provider, fileBuffer, filename, metadata, attempt = 1) {
+  async uploadWithRetry(provider, source, filename, metadata, attempt = 1) {
     try {
       switch (provider.name) {
+        case 'kubo':
+          return await this.uploadToKubo(source, filename, metadata);
         case 'web3.storage':
-          return await this.uploadToWeb3Storage(fileBuffer, filename, metadata);
+          return await this.uploadToWeb3Storage(source, filename, metadata);
         case 'pinata':
-          return await this.uploadToPinata(fileBuffer, filename, metadata);
+          return await this.uploadToPinata(source, filename, metadata);
         case 'nft.storage':
-          return await this.uploadToNFTStorage(fileBuffer, filename, metadata);
+          return await this.uploadToNFTStorage(source, filename, metadata);
         case 'local':
-          return await this.uploadToLocal(fileBuffer, filename, metadata);
+          return await this.uploadToLocal(source, filename, metadata);
         default:
           throw new Error(`Unknown provider: ${provider.name}`);
       }
@@ -191,7 +344,7 @@ class IPFSService {
         logger.info(`Retrying upload to ${provider.name} in ${delay}ms (attempt ${attempt + 1}/${this.retryConfig.maxRetries})`);
         
         await this.sleep(delay);
-        return await this.uploadWithRetry(provider, fileBuffer, filename, metadata, attempt + 1);
+        return await this.uploadWithRetry(provider, source, filename, metadata, attempt + 1);
       }
       
       throw error;
@@ -216,9 +369,25 @@ class IPFSService {
   /**
    * Queue upload for later processing
    */
-  async queueUpload(fileBuffer, filename, metadata, encryption) {
+  async queueUpload(source, filename, metadata, encryption) {
+    // A queued upload that fails again comes back through here; keep its one entry
+    const queuedIndex = this.uploadQueue.findIndex(item => item.source === source);
+    if (queuedIndex !== -1) {
+      return {
+        queued: true,
+        queuePosition: queuedIndex + 1,
+        message: 'Upload queued for processing when providers become available'
+      };
+    }
+
+    // Callers delete their files once uploadFile returns, so a file on disk is queued
+    // as a copy owned by the queue
+    if (!Buffer.isBuffer(source)) {
+      source = await this.copyToQueue(source);
+    }
+
     const queueItem = {
-      fileBuffer,
+      source,
       filename,
       metadata,
       encryption,
@@ -244,6 +413,31 @@ class IPFSService {
     };
   }
 
+  /**
+   * Copy a file on disk into the queue directory
+   * @param {Object} source - { path, size } of the file
+   * @returns {Promise<Object>} { path, size } of the copy
+   */
+  async copyToQueue(source) {
+    const queueDir = path.join(this.localStoragePath, 'queue');
+    await fs.promises.mkdir(queueDir, { recursive: true });
+
+    const queuedPath = path.join(queueDir, `${Date.now()}_${crypto.randomBytes(8).toString('hex')}`);
+    await fs.promises.copyFile(source.path, queuedPath);
+    return { path: queuedPath, size: source.size, queueCopy: true };
+  }
+
+  /**
+   * Take the first item off the queue, deleting its queue copy
+   */
+  async dequeueUpload() {
+    const item = this.uploadQueue.shift();
+    if (item?.source?.queueCopy) {
+      await fs.promises.rm(item.source.path, { force: true });
+    }
+    return item;
+  }
+
   /**
    * Process queued uploads
    */
@@ -267,8 +461,8 @@ class IPFSService {
       const item = this.uploadQueue[0];
       
       try {
-        await this.uploadFile(item.fileBuffer, item.filename, item.metadata, item.encryption);
-        this.uploadQueue.shift(); // Remove from queue on success
+        await this.uploadFile(item.source, item.filename, item.metadata, item.encryption);
+        await this.dequeueUpload(); // Remove from queue on success
         logger.info(`Queued upload processed successfully`, { filename: item.filename });
       } catch (error) {
         item.attempts++;
@@ -277,7 +471,7 @@ class IPFSService {
           logger.error(`Queued upload failed after 5 attempts, removing from queue`, { 
             filename: item.filename 
           });
-          this.uploadQueue.shift();
+          await this.dequeueUpload();
         } else {
           logger.warn(`Queued upload failed, will retry later`, { 
             filename: item.filename,
@@ -303,15 +497,161 @@ class IPFSService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Get the Kubo provider, failing if no node is configured
+   */
+  getKuboProvider() {
+    const provider = this.providers.find(p => p.name === 'kubo');
+    if (!provider?.enabled) {
+      throw new Error('Kubo node not configured (set KUBO_API_URL)');
+    }
+    return provider;
+  }
+
+  /**
+   * Call the Kubo HTTP RPC API. Every RPC endpoint is a POST under /api/v0; failures come
+   * back as HTTP 500 with a JSON body holding the node's message.
+   * @param {string} command - RPC command path, e.g. 'pin/add'
+   * @param {Object} params - Query string arguments
+   * @param {Object} options - Extra axios options (data, headers, responseType, timeout)
+   */
+  async kuboRequest(command, params = {}, options = {}) {
+    const provider = this.getKuboProvider();
+    const headers = { ...options.headers };
+
+    // Kubo's API.Authorizations accepts basic (user:password) or bearer credentials
+    if (provider.auth) {
+      headers.Authorization = provider.auth.includes(':')
+        ? `Basic ${Buffer.from(provider.auth).toString('base64')}`
+        : `Bearer ${provider.auth}`;
+    }
+
+    try {
+      const response = await axios.post(`${provider.endpoint}/api/v0/${command}`, options.data, {
+        params,
+        headers,
+        responseType: options.responseType,
+        maxContentLength: Infinity,
+        maxBodyLength: Infinity,
+        timeout: options.timeout || 60000
+      });
+      return response.data;
+    } catch (error) {
+      const data = error.response?.data;
+      const message = Buffer.isBuffer(data) || data instanceof ArrayBuffer
+        ? this.parseKuboError(Buffer.from(data).toString('utf8'))
+        : data?.Message || error.message;
+
+      const kuboError = new Error(`Kubo ${command} failed: ${message}`);
+      kuboError.code = error.code;
+      kuboError.response = error.response;
+      throw kuboError;
+    }
+  }
+
+  parseKuboError(body) {
+    try {
+      return JSON.parse(body).Message || body;
+    } catch (parseError) {
+      return body;
+    }
+  }
+
+  /**
+   * Upload to a self-hosted Kubo node and pin it there
+   */
+  async uploadToKubo(source, filename, metadata) {
+    try {
+      const formData = new FormData();
+      this.appendSource(formData, source, filename);
+
+      // CIDv1 without raw leaves always yields a dag-pb "bafy..." CID, the form Document.ipfsHash accepts
+      const data = await this.kuboRequest('add', {
+        pin: true,
+        'cid-version': 1,
+        'raw-leaves': false
+      }, {
+        data: formData,
+        headers: formData.getHeaders()
+      });
+
+      // add streams newline-delimited JSON; the last entry describes the file
+      const entry = typeof data === 'string'
+        ? JSON.parse(data.trim().split('\n').pop())
+        : data;
+
+      return {
+        cid: entry.Hash,
+        size: this.getSourceSize(source)
+      };
+
+    } catch (error) {
+      logger.error('Kubo upload failed:', { error: error.message, filename });
+      throw error;
+    }
+  }
+
+  /**
+   * Pin an existing CID on the Kubo node, fetching it from the network if needed
+   */
+  async pinFile(cid) {
+    await this.kuboRequest('pin/add', { arg: cid }, { timeout: 300000 });
+    logger.info('CID pinned on Kubo node', { cid });
+    return { cid, pinned: true, provider: 'kubo' };
+  }
+
+  /**
+   * Unpin a CID from the Kubo node. Unpinning a CID that is not pinned succeeds.
+   */
+  async unpinFile(cid) {
+    try {
+      await this.kuboRequest('pin/rm', { arg: cid });
+    } catch (error) {
+      if (!/not pinned/i.test(error.message)) {
+        throw error;
+      }
+    }
+    logger.info('CID unpinned from Kubo node', { cid });
+    return { cid, pinned: false, provider: 'kubo' };
+  }
+
+  /**
+   * Report whether a CID is pinned on the Kubo node
+   * @returns {Promise<Object>} { cid, pinned, type } where type is recursive, direct or indirect
+   */
+  async getPinStatus(cid) {
+    try {
+      const data = await this.kuboRequest('pin/ls', { arg: cid, type: 'all' });
+      const [pinnedCid, pin] = Object.entries(data.Keys || {})[0] || [];
+      return { cid: pinnedCid || cid, pinned: !!pin, type: pin?.Type || null, provider: 'kubo' };
+    } catch (error) {
+      if (/not pinned/i.test(error.message)) {
+        return { cid, pinned: false, type: null, provider: 'kubo' };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read file content from the Kubo node
+   */
+  async retrieveFromKubo(cid) {
+    const data = await this.kuboRequest('cat', { arg: cid }, {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    return Buffer.from(data);
+  }
+
   /**
    * Upload to Web3.Storage (Primary provider - unlimited free storage)
    */
-  async uploadToWeb3Storage(fileBuffer, filename, metadata) {
+  async uploadToWeb3Storage(source, filename, metadata) {
     try {
       const provider = this.providers.find(p => p.name === 'web3.storage');
       
       const formData = new FormData();
-      formData.append('file', fileBuffer, filename);
+      this.appendSource(formData, source, filename);
 
       const response = await axios.post(
         `${provider.endpoint}/upload`,
@@ -332,7 +672,7 @@ class IPFSService {
       
       return {
         cid,
-        size: fileBuffer.length
+        size: this.getSourceSize(source)
       };
 
     } catch (error) {
@@ -344,12 +684,12 @@ class IPFSService {
   /**
    * Upload to Pinata (Fallback provider - 1GB free)
    */
-  async uploadToPinata(fileBuffer, filename, metadata) {
+  async uploadToPinata(source, filename, metadata) {
     try {
       const provider = this.providers.find(p => p.name === 'pinata');
       
       const formData = new FormData();
-      formData.append('file', fileBuffer, filename);
+      this.appendSource(formData, source, filename);
       
       // Add metadata
       const pinataMetadata = {
@@ -385,7 +725,7 @@ class IPFSService {
 
       return {
         cid,
-        size: fileBuffer.length
+        size: this.getSourceSize(source)
       };
 
     } catch (error) {
@@ -397,12 +737,12 @@ class IPFSService {
   /**
    * Upload to NFT.Storage (Secondary fallback - unlimited free)
    */
-  async uploadToNFTStorage(fileBuffer, filename, metadata) {
+  async uploadToNFTStorage(source, filename, metadata) {
     try {
       const provider = this.providers.find(p => p.name === 'nft.storage');
       
       const formData = new FormData();
-      formData.append('file', fileBuffer, filename);
+      this.appendSource(formData, source, filename);
 
       const response = await axios.post(
         `${provider.endpoint}/upload`,
@@ -422,7 +762,7 @@ class IPFSService {
 
       return {
         cid,
-        size: fileBuffer.length
+        size: this.getSourceSize(source)
       };
 
     } catch (error) {
@@ -434,14 +774,12 @@ class IPFSService {
   /**
    * Upload to local storage (Final fallback when all IPFS providers are down)
    */
-  async uploadToLocal(fileBuffer, filename, metadata) {
+  async uploadToLocal(source, filename, metadata) {
     try {
-      const fs = require('fs');
       const path = require('path');
-      const crypto = require('crypto');
       
       // Generate a pseudo-CID for local storage
-      const hash = crypto.createHash('sha256').update(fileBuffer).digest('hex');
+      const hash = await this.hashSource(source);
       const localCid = `local_${hash.substring(0, 32)}`;
       
       // Create filename with timestamp to avoid conflicts
@@ -451,7 +789,11 @@ class IPFSService {
       const filePath = path.join(this.localStoragePath, localFilename);
       
       // Write file to local storage
-      fs.writeFileSync(filePath, fileBuffer);
+      if (Buffer.isBuffer(source)) {
+        fs.writeFileSync(filePath, source);
+      } else {
+        fs.copyFileSync(source.path, filePath);
+      }
       
       // Create metadata file
       const metadataPath = path.join(this.localStoragePath, `${localFilename}.meta.json`);
@@ -459,7 +801,7 @@ class IPFSService {
         originalFilename: filename,
         localFilename,
         localCid,
-        size: fileBuffer.length,
+        size: this.getSourceSize(source),
         uploadedAt: new Date().toISOString(),
         metadata: metadata || {}
       };
@@ -473,7 +815,7 @@ class IPFSService {
       
       return {
         cid: localCid,
-        size: fileBuffer.length,
+        size: this.getSourceSize(source),
         localPath: filePath
       };
 
@@ -505,6 +847,12 @@ class IPFSService {
         let isHealthy = false;
         
         switch (provider.name) {
+          case 'kubo':
+            // Reachable and authorized if the node reports its version
+            await this.kuboRequest('version', {}, { timeout: 5000 });
+            isHealthy = true;
+            break;
+
           case 'web3.storage':
             // Check if we can authenticate
             await axios.get(`${provider.endpoint}/user/uploads`, {
@@ -573,13 +921,27 @@ class IPFSService {
 
   /**
    * Retrieve file from IPFS using public gateway or local storage
+   * @param {string} ipfsHash - CID to retrieve
+   * @param {Array} replicas - Known copies (Document.storage.replicas) to fall back to
    */
-  async retrieveFile(ipfsHash) {
+  async retrieveFile(ipfsHash, replicas = []) {
     try {
       // Check if it's a local file
       if (ipfsHash.startsWith('local_')) {
         return await this.retrieveLocalFile(ipfsHash);
       }
+
+      // Prefer our own node, which holds everything uploaded through it
+      if (this.providers.some(p => p.name === 'kubo' && p.enabled)) {
+        try {
+          return await this.retrieveFromKubo(ipfsHash);
+        } catch (kuboError) {
+          logger.warn('Kubo retrieval failed, falling back to gateway', {
+            ipfsHash,
+            error: kuboError.message
+          });
+        }
+      }
       
       // Try IPFS gateway
       const response = await axios.get(`${this.ipfsGateway}${ipfsHash}`, {
@@ -589,65 +951,156 @@ class IPFSService {
 
       return Buffer.from(response.data);
     } catch (error) {
+      for (const replica of replicas.filter(r => r.status !== 'corrupt')) {
+        try {
+          const fileBuffer = await this.fetchReplica(replica);
+          logger.warn('Primary copy unavailable, served file from replica', {
+            ipfsHash,
+            provider: replica.provider,
+            cid: replica.cid
+          });
+          return fileBuffer;
+        } catch (replicaError) {
+          // Try the next replica
+        }
+      }
+
       logger.error('File retrieval failed:', { error: error.message, ipfsHash });
       throw new Error(`IPFS retrieval failed: ${error.message}`);
     }
   }
 
   /**
-   * Retrieve file from local storage
+   * Stream a file from IPFS or local storage, trying the same sources in the same order
+   * as retrieveFile without buffering the content
+   * @param {string} ipfsHash - CID to retrieve
+   * @param {Array} replicas - Known copies (Document.storage.replicas) to fall back to
+   * @returns {Promise<Readable>} File content
    */
-  async retrieveLocalFile(localCid) {
+  async retrieveFileStream(ipfsHash, replicas = []) {
     try {
-      const fs = require('fs');
-      const path = require('path');
-      
-      // Find all metadata files
-      const files = fs.readdirSync(this.localStoragePath);
-      const metadataFiles = files.filter(f => f.endsWith('.meta.json'));
-      
-      if (metadataFiles.length === 0) {
-        throw new Error('No local file metadata found');
+      if (ipfsHash.startsWith('local_')) {
+        return fs.createReadStream(this.findLocalFilePath(ipfsHash));
       }
-      
-      // Find the metadata file that matches this CID
-      let matchedMetadata = null;
-      let matchedMetadataFile = null;
-      
-      for (const metadataFile of metadataFiles) {
-        const metadataPath = path.join(this.localStoragePath, metadataFile);
-        const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
-        
-        if (metadata.localCid === localCid) {
-          matchedMetadata = metadata;
-          matchedMetadataFile = metadataFile;
-          break;
+
+      if (this.providers.some(p => p.name === 'kubo' && p.enabled)) {
+        try {
+          return await this.kuboRequest('cat', { arg: ipfsHash }, {
+            responseType: 'stream',
+            timeout: 30000
+          });
+        } catch (kuboError) {
+          logger.warn('Kubo retrieval failed, falling back to gateway', {
+            ipfsHash,
+            error: kuboError.message
+          });
         }
       }
-      
-      if (!matchedMetadata) {
-        throw new Error(`Local CID not found: ${localCid}`);
-      }
-      
-      const filePath = path.join(this.localStoragePath, matchedMetadata.localFilename);
-      
-      if (!fs.existsSync(filePath)) {
-        throw new Error(`Local file not found: ${matchedMetadata.localFilename}`);
+
+      const response = await axios.get(`${this.ipfsGateway}${ipfsHash}`, {
+        responseType: 'stream',
+        timeout: 30000
+      });
+      return response.data;
+    } catch (error) {
+      for (const replica of replicas.filter(r => r.status !== 'corrupt')) {
+        try {
+          const stream = await this.openReplicaStream(replica);
+          logger.warn('Primary copy unavailable, streaming file from replica', {
+            ipfsHash,
+            provider: replica.provider,
+            cid: replica.cid
+          });
+          return stream;
+        } catch (replicaError) {
+          // Try the next replica
+        }
       }
-      
-      logger.info('Local file retrieved successfully', { 
-        localCid, 
-        filename: matchedMetadata.localFilename 
+
+      logger.error('File retrieval failed:', { error: error.message, ipfsHash });
+      throw new Error(`IPFS retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Streaming counterpart of fetchReplica
+   */
+  async openReplicaStream(replica) {
+    if (replica.provider === 'local') {
+      return fs.createReadStream(this.findLocalFilePath(replica.cid));
+    }
+    if (replica.provider === 'kubo') {
+      return this.kuboRequest('cat', { arg: replica.cid }, { responseType: 'stream', timeout: 30000 });
+    }
+
+    const provider = this.providers.find(p => p.name === replica.provider);
+    const gateway = provider?.gateway || this.ipfsGateway;
+    const response = await axios.get(`${gateway}${replica.cid}`, {
+      responseType: 'stream',
+      timeout: 30000
+    });
+    return response.data;
+  }
+
+  /**
+   * Retrieve file from local storage
+   */
+  async retrieveLocalFile(localCid) {
+    try {
+      const filePath = this.findLocalFilePath(localCid);
+
+      logger.info('Local file retrieved successfully', {
+        localCid,
+        filename: require('path').basename(filePath)
       });
-      
+
       return fs.readFileSync(filePath);
-      
     } catch (error) {
       logger.error('Local file retrieval failed:', { error: error.message, localCid });
       throw new Error(`Local file retrieval failed: ${error.message}`);
     }
   }
 
+  /**
+   * Resolve a local CID to the path of the stored file
+   */
+  findLocalFilePath(localCid) {
+    const path = require('path');
+
+    // Find all metadata files
+    const files = fs.readdirSync(this.localStoragePath);
+    const metadataFiles = files.filter(f => f.endsWith('.meta.json'));
+
+    if (metadataFiles.length === 0) {
+      throw new Error('No local file metadata found');
+    }
+
+    // Find the metadata file that matches this CID
+    let matchedMetadata = null;
+
+    for (const metadataFile of metadataFiles) {
+      const metadataPath = path.join(this.localStoragePath, metadataFile);
+      const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf8'));
+
+      if (metadata.localCid === localCid) {
+        matchedMetadata = metadata;
+        break;
+      }
+    }
+
+    if (!matchedMetadata) {
+      throw new Error(`Local CID not found: ${localCid}`);
+    }
+
+    const filePath = path.join(this.localStoragePath, matchedMetadata.localFilename);
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Local file not found: ${matchedMetadata.localFilename}`);
+    }
+
+    return filePath;
+  }
+
   /**
    * Download file from IPFS (alias for retrieveFile)
    */
@@ -672,8 +1125,8 @@ class IPFSService {
    * Validate IPFS CID format
    */
   isValidIPFSHash(hash) {
-    // Check for CIDv0 (Qm...) or CIDv1 (bafy...)
-    return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(hash) || /^bafy[a-z0-9]{55,}$/.test(hash);
+    // Check for CIDv0 (Qm...) or base32 CIDv1 (bafy..., bafkrei...)
+    return /^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(hash) || /^b[a-z2-7]{58,}$/.test(hash);
   }
 
   /**
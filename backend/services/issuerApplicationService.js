@@ -0,0 +1,242 @@
+const IssuerApplication = require('../models/IssuerApplication');
+const encryptionService = require('./encryptionService');
+const ipfsService = require('./ipfsService');
+const blockchainService = require('./blockchainService');
+const institutionService = require('./institutionService');
+const logger = require('../utils/logger');
+
+/**
+ * Issuer onboarding. Institutions apply with their details and supporting documents;
+ * an admin approves or rejects the application. Approval makes the applicant's wallet an
+ * issuer of the institution holding the application's domain, or the admin of a new
+ * institution, in the database and then in the AccessControl contract. The contract call can
+ * fail independently (no gas, RPC down), so it is recorded on the application and can be
+ * retried without reviewing the application again.
+ */
+class IssuerApplicationService {
+  constructor() {
+    this.config = {
+      maxSupportingDocuments: 5,
+      maxSupportingDocumentSize: 10 * 1024 * 1024 // 10MB
+    };
+  }
+
+  // Encrypt an uploaded supporting document and store it on IPFS
+  async storeSupportingDocument(file) {
+    const encrypted = encryptionService.encryptFile(file.buffer);
+    const ipfsResult = await ipfsService.uploadFile(
+      Buffer.from(encrypted.encryptedData, 'base64'),
+      file.originalname,
+      {
+        filename: file.originalname,
+        contentType: file.mimetype
+      }
+    );
+
+    return {
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      sha256: encryptionService.generateFileHash(file.buffer),
+      ipfsHash: ipfsResult.cid,
+      iv: encrypted.iv,
+      encryptionKey: JSON.stringify(await encryptionService.encryptKeyForStorage(encrypted.encryptionKey))
+    };
+  }
+
+  /**
+   * Create an application for a user
+   * @param {Object} user - Applicant
+   * @param {Object} details - { organization, contact }
+   * @param {Array} files - Supporting documents from multer (memory storage)
+   * @returns {Promise<Object>} The new application
+   */
+  async submit(user, { organization, contact }, files = []) {
+    const supportingDocuments = [];
+    for (const file of files) {
+      supportingDocuments.push(await this.storeSupportingDocument(file));
+    }
+
+    const application = await IssuerApplication.create({
+      applicant: user._id,
+      walletAddress: user.walletAddress,
+      organization,
+      contact,
+      supportingDocuments
+    });
+
+    logger.info('Issuer application submitted', {
+      applicationId: application._id,
+      walletAddress: user.walletAddress,
+      organization: organization.name,
+      supportingDocuments: supportingDocuments.length
+    });
+    return application;
+  }
+
+  /**
+   * Decrypt a supporting document for review
+   * @returns {Promise<Object>} { supportingDocument, buffer }
+   * @throws {Error} If the file cannot be read or fails its integrity check
+   */
+  async readSupportingDocument(applicationId, documentId) {
+    const application = await IssuerApplication.findById(applicationId)
+      .select('+supportingDocuments.encryptionKey');
+    const supportingDocument = application?.supportingDocuments.id(documentId);
+    if (!supportingDocument) {
+      return null;
+    }
+
+    const encryptionKey = await encryptionService.decryptKeyFromStorage(
+      JSON.parse(supportingDocument.encryptionKey)
+    );
+    const encryptedData = await ipfsService.retrieveFile(supportingDocument.ipfsHash);
+    const buffer = encryptionService.decryptFile({
+      encryptedData: encryptedData.toString('base64'),
+      iv: supportingDocument.iv
+    }, encryptionKey);
+
+    if (supportingDocument.sha256 && !encryptionService.verifyFileIntegrity(buffer, supportingDocument.sha256)) {
+      throw new Error('Supporting document failed its integrity check');
+    }
+    return { supportingDocument, buffer };
+  }
+
+  /**
+   * Close a pending application. Only the first review wins, so two admins cannot both
+   * act on the same application.
+   * @returns {Promise<Object|null>} The reviewed application, or null if it was not pending
+   */
+  async review(applicationId, { status, reviewedBy, comments }) {
+    const update = {
+      status,
+      review: {
+        reviewedBy,
+        reviewedAt: new Date(),
+        comments
+      }
+    };
+    if (status === 'approved') {
+      update.roleAssignment = { status: 'pending' };
+    }
+
+    return IssuerApplication.findOneAndUpdate(
+      { _id: applicationId, status: 'pending' },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+  }
+
+  /**
+   * Put an approval that could not be completed back in the review queue
+   * @returns {Promise<Object|null>} The reopened application
+   */
+  async reopen(applicationId) {
+    return IssuerApplication.findOneAndUpdate(
+      { _id: applicationId, status: 'approved' },
+      { $set: { status: 'pending' }, $unset: { review: 1, roleAssignment: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Approve an application: make the applicant a member of its institution, which grants
+   * the issuer role and assigns it on-chain. Nothing changes unless the approval can be
+   * completed: the checks run before the review is recorded, and the institution is only
+   * created once this review has won.
+   * @returns {Promise<Object|null>} The application, or null if it was not pending
+   * @throws {Error} With code INSTITUTION_EXISTS if the organization name belongs to an
+   *   institution that does not hold the application's domain, or
+   *   MEMBER_OF_OTHER_INSTITUTION if the applicant belongs to another institution
+   */
+  async approve(applicationId, { reviewedBy, comments }) {
+    const pending = await IssuerApplication.findOne({ _id: applicationId, status: 'pending' });
+    if (!pending) {
+      return null;
+    }
+    await institutionService.checkApplication(pending);
+
+    const application = await this.review(applicationId, { status: 'approved', reviewedBy, comments });
+    if (!application) {
+      return null;
+    }
+
+    // The checks above can still be overtaken by a concurrent change; undo the approval then
+    let institution;
+    let created = false;
+    let roleAssignment;
+    try {
+      ({ institution, created } = await institutionService.findOrCreateForApplication(application, reviewedBy));
+      ({ roleAssignment } = await institutionService.addMember(
+        institution,
+        application.walletAddress,
+        created ? 'admin' : 'issuer',
+        reviewedBy
+      ));
+    } catch (error) {
+      if (created) {
+        await institution.deleteOne();
+      }
+      await this.reopen(applicationId);
+      throw error;
+    }
+
+    application.institution = institution._id;
+    application.roleAssignment = roleAssignment ? { ...roleAssignment, attemptedAt: new Date() } : undefined;
+    await application.save();
+
+    logger.info('Issuer application approved', {
+      applicationId: application._id,
+      walletAddress: application.walletAddress,
+      institutionId: institution._id,
+      reviewedBy
+    });
+    return application;
+  }
+
+  async reject(applicationId, { reviewedBy, comments }) {
+    const application = await this.review(applicationId, { status: 'rejected', reviewedBy, comments });
+    if (application) {
+      logger.info('Issuer application rejected', {
+        applicationId: application._id,
+        walletAddress: application.walletAddress,
+        reviewedBy
+      });
+    }
+    return application;
+  }
+
+  /**
+   * Assign the issuer role in the AccessControl contract for an approved application and
+   * record the outcome on it. Failures are recorded, not thrown.
+   * @returns {Promise<Object>} The updated application
+   */
+  async assignRole(application, assignedBy) {
+    const attemptedAt = new Date();
+    try {
+      const result = await blockchainService.assignRoleOnChain(application.walletAddress, 'issuer', assignedBy);
+      application.roleAssignment = {
+        status: 'confirmed',
+        transactionHash: result.transactionHash,
+        blockNumber: result.blockNumber,
+        attemptedAt
+      };
+    } catch (error) {
+      logger.warn('Issuer role assignment on-chain failed', {
+        applicationId: application._id,
+        walletAddress: application.walletAddress,
+        error: error.message
+      });
+      application.roleAssignment = {
+        status: 'failed',
+        error: error.message,
+        attemptedAt
+      };
+    }
+
+    await application.save();
+    return application;
+  }
+}
+
+module.exports = new IssuerApplicationService();
@@ -0,0 +1,103 @@
+const localKeyring = require('./kms/localKeyring');
+const vaultTransit = require('./kms/vaultTransit');
+
+/**
+ * Envelope encryption for document keys. Every document is encrypted with its own random
+ * key, which is stored wrapped by a versioned key-encryption key (KEK) held in a KMS.
+ *
+ * A KMS is an object exposing getCurrentVersion(), wrapKey(encryptionKey),
+ * unwrapKey(record), rotate() and describe(). The one named by KMS_PROVIDER wraps new
+ * keys; a stored record names the KMS and KEK version it was wrapped with, so it can be
+ * opened after a rotation or a switch to a different KMS:
+ *
+ *   { kms: 'local', kekVersion: 3, wrappedKey, ...provider fields }
+ */
+class KeyManagementService {
+  constructor() {
+    this.providers = new Map([
+      ['local', localKeyring],
+      ['vault', vaultTransit]
+    ]);
+
+    this.providerName = process.env.KMS_PROVIDER || 'local';
+  }
+
+  /**
+   * Register or replace a KMS
+   * @param {string} name - Name stored in key records
+   * @param {Object} provider - Object implementing the KMS methods
+   */
+  registerProvider(name, provider) {
+    const methods = ['getCurrentVersion', 'wrapKey', 'unwrapKey', 'rotate', 'describe'];
+    const missing = methods.filter(method => typeof provider?.[method] !== 'function');
+    if (missing.length > 0) {
+      throw new Error(`KMS provider must implement ${missing.join(', ')}`);
+    }
+    this.providers.set(name, provider);
+  }
+
+  getProvider(name = this.providerName) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown KMS provider: ${name}`);
+    }
+    return provider;
+  }
+
+  /**
+   * Wrap a document key with the current KEK of the active KMS
+   * @param {string} encryptionKey - Base64 document key
+   * @returns {Promise<Object>} Key record naming its KMS and KEK version
+   */
+  async wrapKey(encryptionKey) {
+    const wrapped = await this.getProvider().wrapKey(encryptionKey);
+    return { kms: this.providerName, ...wrapped };
+  }
+
+  /**
+   * Unwrap a key record with the KMS and KEK version it names
+   * @returns {Promise<string>} Base64 document key
+   */
+  async unwrapKey(record) {
+    return this.getProvider(record.kms).unwrapKey(record);
+  }
+
+  /**
+   * The KMS and KEK version new keys are wrapped with
+   * @returns {Promise<Object>} { kms, kekVersion }
+   */
+  async getCurrentKek() {
+    return {
+      kms: this.providerName,
+      kekVersion: await this.getProvider().getCurrentVersion()
+    };
+  }
+
+  /**
+   * Create a new KEK version in the active KMS. Existing records stay readable with
+   * their old version until they are re-wrapped.
+   * @returns {Promise<Object>} { kms, kekVersion } of the new KEK
+   */
+  async rotate() {
+    return {
+      kms: this.providerName,
+      kekVersion: await this.getProvider().rotate()
+    };
+  }
+
+  /**
+   * Whether a record is wrapped with the given KEK
+   */
+  isWrappedWith(record, { kms, kekVersion }) {
+    return record?.kms === kms && record?.kekVersion === kekVersion;
+  }
+
+  async describe() {
+    return {
+      provider: this.providerName,
+      ...await this.getProvider().describe()
+    };
+  }
+}
+
+module.exports = new KeyManagementService();
@@ -0,0 +1,205 @@
+const Document = require('../models/Document');
+const KeyRotation = require('../models/KeyRotation');
+const encryptionService = require('./encryptionService');
+const keyManagementService = require('./keyManagementService');
+const logger = require('../utils/logger');
+
+// Document keys stored unwrapped by the old /upload route
+const RAW_KEY_PATTERN = /^[A-Za-z0-9+/]{43}=$/;
+
+/**
+ * Re-wraps every stored document key with the current key-encryption key (KEK), so an old
+ * KEK version can be retired. Document keys themselves do not change, so the encrypted
+ * files on IPFS and their CIDs stay as they are.
+ *
+ * A run optionally creates a new KEK version first, then pages through documents whose
+ * keyEncryption names any other KMS or version. Each key is unwrapped, wrapped again,
+ * checked by unwrapping the new record, and written only if the stored key has not
+ * changed in the meantime. Keys that fail stay readable with their old KEK and are listed
+ * on the KeyRotation record.
+ */
+class KeyRotationService {
+  constructor() {
+    this.config = {
+      batchSize: parseInt(process.env.KEY_ROTATION_BATCH_SIZE) || 100,
+      // Failures kept on a KeyRotation record; totals count all of them
+      maxRecordedFailures: 100
+    };
+
+    this.isRunning = false;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Recover the plain document key from a stored encryptionKey value
+   * @param {string} storedKey - JSON key record, or a raw base64 key
+   * @returns {Promise<string>} Base64 document key
+   */
+  async readStoredKey(storedKey) {
+    let record;
+    try {
+      record = JSON.parse(storedKey);
+    } catch (error) {
+      if (RAW_KEY_PATTERN.test(storedKey || '')) {
+        return storedKey;
+      }
+      throw new Error('Stored key is neither a key record nor a raw key');
+    }
+    return encryptionService.decryptKeyFromStorage(record);
+  }
+
+  /**
+   * Re-wrap one document's key with the given KEK
+   * @returns {Promise<boolean>} false if the key changed while it was being re-wrapped
+   */
+  async rewrapDocument(document, kek) {
+    const encryptionKey = await this.readStoredKey(document.encryptionKey);
+
+    const record = await encryptionService.encryptKeyForStorage(encryptionKey);
+    if (!keyManagementService.isWrappedWith(record, kek)) {
+      throw new Error(`Key was wrapped with ${record.kms} v${record.kekVersion} instead of ${kek.kms} v${kek.kekVersion}`);
+    }
+    if (await encryptionService.decryptKeyFromStorage(record) !== encryptionKey) {
+      throw new Error('Re-wrapped key did not unwrap to the original key');
+    }
+
+    // updateOne skips the model's hooks, so keyEncryption is set here
+    const result = await Document.updateOne(
+      { _id: document._id, encryptionKey: document.encryptionKey },
+      {
+        $set: {
+          encryptionKey: JSON.stringify(record),
+          keyEncryption: { kms: record.kms, kekVersion: record.kekVersion }
+        }
+      }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Start a rotation in the background
+   * @param {Object} options
+   * @param {string} options.triggeredBy - Admin wallet address
+   * @param {boolean} options.rotateKek - Create a new KEK version first; false only
+   *   re-wraps keys still on older versions, e.g. to finish an interrupted run
+   * @returns {Promise<Object|null>} The KeyRotation being filled, or null if one is running
+   */
+  async start({ triggeredBy = null, rotateKek = true } = {}) {
+    if (this.isRunning) {
+      logger.warn('Key rotation is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    let rotation;
+    try {
+      const previous = await keyManagementService.getCurrentKek();
+      const kek = rotateKek ? await keyManagementService.rotate() : previous;
+
+      rotation = await KeyRotation.create({
+        triggeredBy,
+        kms: kek.kms,
+        fromVersion: previous.kms === kek.kms ? previous.kekVersion : undefined,
+        toVersion: kek.kekVersion,
+        rotatedKek: rotateKek
+      });
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+
+    logger.info('Key rotation started', {
+      rotationId: rotation._id,
+      kms: rotation.kms,
+      fromVersion: rotation.fromVersion,
+      toVersion: rotation.toVersion
+    });
+
+    this.currentRun = this.execute(rotation);
+    return rotation;
+  }
+
+  /**
+   * Run a rotation and wait for it to finish
+   * @returns {Promise<Object|null>} The finished KeyRotation, or null if one is running
+   */
+  async run(options) {
+    const rotation = await this.start(options);
+    if (!rotation) return null;
+
+    await this.currentRun;
+    return rotation;
+  }
+
+  async execute(rotation) {
+    const kek = { kms: rotation.kms, kekVersion: rotation.toVersion };
+
+    try {
+      let after = null;
+      for (;;) {
+        const documents = await Document.findNeedingRewrap(kek, {
+          after,
+          limit: this.config.batchSize
+        });
+        if (documents.length === 0) break;
+
+        for (const document of documents) {
+          rotation.totals.checked++;
+          try {
+            if (await this.rewrapDocument(document, kek)) {
+              rotation.totals.rewrapped++;
+            } else {
+              rotation.totals.skipped++;
+            }
+          } catch (error) {
+            logger.warn('Could not re-wrap document key', {
+              documentHash: document.documentHash,
+              error: error.message
+            });
+            rotation.totals.failed++;
+            if (rotation.failures.length < this.config.maxRecordedFailures) {
+              rotation.failures.push({ documentHash: document.documentHash, error: error.message });
+            }
+          }
+        }
+
+        after = documents[documents.length - 1]._id;
+        await rotation.save();
+      }
+
+      rotation.status = 'completed';
+    } catch (error) {
+      logger.error('Key rotation failed:', error);
+      rotation.status = 'failed';
+      rotation.error = error.message;
+    }
+
+    try {
+      rotation.completedAt = new Date();
+      await rotation.save();
+    } catch (error) {
+      logger.error('Failed to save key rotation:', error);
+    } finally {
+      this.isRunning = false;
+      this.lastRun = rotation.completedAt;
+    }
+
+    logger.info('Key rotation finished', {
+      rotationId: rotation._id,
+      status: rotation.status,
+      ...rotation.toObject().totals
+    });
+  }
+
+  async getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      kms: await keyManagementService.describe(),
+      documents: await Document.getKeyEncryptionStats()
+    };
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * Key-encryption keys kept in a JSON keyring file on local disk:
+ *
+ *   { "currentVersion": 2, "keys": { "1": { "key": "<base64>", "createdAt": "..." }, ... } }
+ *
+ * Document keys are wrapped with AES-256-GCM under the current version; older versions
+ * stay in the file so records wrapped with them can still be opened until a rotation has
+ * re-wrapped them. The file is re-read whenever it changes on disk, so a rotation made
+ * by another process is picked up. It holds raw key material and is created with 0600
+ * permissions; keep it out of backups that are stored next to the database.
+ */
+class LocalKeyring {
+  constructor() {
+    // Relative paths are taken from the backend directory, which .gitignore covers,
+    // rather than from wherever the server was started
+    this.keyringPath = path.resolve(__dirname, '../..', process.env.KMS_KEYRING_PATH || 'keys/keyring.json');
+    this.keyring = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Read the keyring, creating one with a first key version if none exists yet
+   */
+  load() {
+    if (!fs.existsSync(this.keyringPath)) {
+      this.keyring = {
+        currentVersion: 1,
+        keys: { 1: { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date().toISOString() } }
+      };
+      this.save();
+      logger.warn('Created a new local KMS keyring', { path: this.keyringPath });
+      return this.keyring;
+    }
+
+    const { mtimeMs } = fs.statSync(this.keyringPath);
+    if (!this.keyring || mtimeMs !== this.loadedMtime) {
+      this.keyring = JSON.parse(fs.readFileSync(this.keyringPath, 'utf8'));
+      this.loadedMtime = mtimeMs;
+    }
+    return this.keyring;
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.keyringPath), { recursive: true });
+
+    // Write then rename so a crash never leaves a half-written keyring
+    const tempPath = `${this.keyringPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.keyring, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.keyringPath);
+    this.loadedMtime = fs.statSync(this.keyringPath).mtimeMs;
+  }
+
+  getKek(version) {
+    const entry = this.load().keys[version];
+    if (!entry) {
+      throw new Error(`KEK version ${version} not found in keyring`);
+    }
+    return Buffer.from(entry.key, 'base64');
+  }
+
+  async getCurrentVersion() {
+    return this.load().currentVersion;
+  }
+
+  /**
+   * Wrap a document key under the current KEK version
+   * @param {string} encryptionKey - Base64 document key
+   * @returns {Promise<Object>} { kekVersion, wrappedKey, iv, authTag }
+   */
+  async wrapKey(encryptionKey) {
+    const kekVersion = this.load().currentVersion;
+    const iv = crypto.randomBytes(12);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.getKek(kekVersion), iv);
+    cipher.setAAD(Buffer.from(`kek:v${kekVersion}`));
+    const wrapped = Buffer.concat([cipher.update(encryptionKey, 'utf8'), cipher.final()]);
+
+    return {
+      kekVersion,
+      wrappedKey: wrapped.toString('base64'),
+      iv: iv.toString('base64'),
+      authTag: cipher.getAuthTag().toString('base64')
+    };
+  }
+
+  /**
+   * Unwrap a record produced by wrapKey, with whichever version it names
+   * @returns {Promise<string>} Base64 document key
+   */
+  async unwrapKey(record) {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.getKek(record.kekVersion),
+      Buffer.from(record.iv, 'base64')
+    );
+    decipher.setAAD(Buffer.from(`kek:v${record.kekVersion}`));
+    decipher.setAuthTag(Buffer.from(record.authTag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.wrappedKey, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Add a new KEK version and make it current
+   * @returns {Promise<number>} The new version
+   */
+  async rotate() {
+    const keyring = this.load();
+    const version = Math.max(...Object.keys(keyring.keys).map(Number)) + 1;
+
+    keyring.keys[version] = { key: crypto.randomBytes(32).toString('base64'), createdAt: new Date().toISOString() };
+    keyring.currentVersion = version;
+    this.save();
+
+    return version;
+  }
+
+  /**
+   * Keyring details without key material
+   */
+  async describe() {
+    const keyring = this.load();
+    return {
+      currentVersion: keyring.currentVersion,
+      versions: Object.entries(keyring.keys).map(([version, { createdAt }]) => ({
+        version: Number(version),
+        createdAt
+      }))
+    };
+  }
+}
+
+module.exports = new LocalKeyring();
@@ -0,0 +1,102 @@
+const axios = require('axios');
+
+/**
+ * Key-encryption keys held by a HashiCorp Vault transit secrets engine, or anything that
+ * speaks its HTTP API (OpenBao, or a stand-in in development). The key material never
+ * leaves Vault: document keys are sent to its encrypt/decrypt endpoints, and the
+ * returned "vault:v<N>:..." ciphertext is stored as the wrapped key.
+ */
+class VaultTransit {
+  constructor() {
+    this.config = {
+      address: (process.env.VAULT_ADDR || 'http://127.0.0.1:8200').replace(/\/+$/, ''),
+      token: process.env.VAULT_TOKEN,
+      namespace: process.env.VAULT_NAMESPACE,
+      mount: process.env.VAULT_TRANSIT_MOUNT || 'transit',
+      keyName: process.env.VAULT_TRANSIT_KEY || 'document-keys'
+    };
+  }
+
+  /**
+   * Call a transit endpoint
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Path below the transit mount, e.g. "encrypt/<key>"
+   * @param {Object} data - JSON body
+   * @returns {Promise<Object>} The response's data object
+   */
+  async request(method, endpoint, data) {
+    const { address, token, namespace, mount } = this.config;
+
+    try {
+      const response = await axios({
+        method,
+        url: `${address}/v1/${mount}/${endpoint}`,
+        data,
+        headers: {
+          'X-Vault-Token': token,
+          ...(namespace && { 'X-Vault-Namespace': namespace })
+        },
+        timeout: 10000
+      });
+      return response.data?.data || {};
+    } catch (error) {
+      const reason = error.response?.data?.errors?.join(', ') || error.message;
+      throw new Error(`Vault ${endpoint} failed: ${reason}`);
+    }
+  }
+
+  async getCurrentVersion() {
+    const key = await this.request('get', `keys/${this.config.keyName}`);
+    return key.latest_version;
+  }
+
+  /**
+   * Encrypt a document key with the latest version of the transit key
+   * @param {string} encryptionKey - Base64 document key
+   * @returns {Promise<Object>} { kekVersion, wrappedKey }
+   */
+  async wrapKey(encryptionKey) {
+    const result = await this.request('post', `encrypt/${this.config.keyName}`, {
+      plaintext: Buffer.from(encryptionKey, 'utf8').toString('base64')
+    });
+
+    return {
+      kekVersion: result.key_version || parseInt(result.ciphertext.split(':')[1].substring(1)),
+      wrappedKey: result.ciphertext
+    };
+  }
+
+  /**
+   * Decrypt a wrapped document key; Vault picks the key version from the ciphertext
+   * @returns {Promise<string>} Base64 document key
+   */
+  async unwrapKey(record) {
+    const result = await this.request('post', `decrypt/${this.config.keyName}`, {
+      ciphertext: record.wrappedKey
+    });
+    return Buffer.from(result.plaintext, 'base64').toString('utf8');
+  }
+
+  /**
+   * Create a new version of the transit key
+   * @returns {Promise<number>} The new version
+   */
+  async rotate() {
+    await this.request('post', `keys/${this.config.keyName}/rotate`);
+    return this.getCurrentVersion();
+  }
+
+  async describe() {
+    const key = await this.request('get', `keys/${this.config.keyName}`);
+    return {
+      currentVersion: key.latest_version,
+      minDecryptionVersion: key.min_decryption_version,
+      versions: Object.entries(key.keys || {}).map(([version, createdAt]) => ({
+        version: Number(version),
+        createdAt: typeof createdAt === 'number' ? new Date(createdAt * 1000).toISOString() : createdAt
+      }))
+    };
+  }
+}
+
+module.exports = new VaultTransit();
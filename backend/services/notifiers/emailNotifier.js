@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Sends monitoring alerts by SMTP email. The transport is built from the SMTP_*
+ * environment variables on every send so configuration changes apply without a restart.
+ */
+class EmailNotifier {
+  createTransport() {
+    const auth = process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined;
+
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth,
+      connectionTimeout: 10000,
+      greetingTimeout: 10000
+    });
+  }
+
+  /**
+   * Send an alert to the channel's recipients
+   * @param {Object} payload - Alert payload built by the notification service
+   * @param {Object} channel - AlertChannel document
+   * @returns {Promise<Object>} Delivery details
+   */
+  async send(payload, channel) {
+    const recipient = channel.config.recipients.join(', ');
+    const lines = [
+      payload.description,
+      '',
+      `Alert type: ${payload.alertType}`,
+      `Severity: ${payload.severity}`,
+      `Raised at: ${new Date(payload.createdAt).toISOString()}`,
+      `Alert ID: ${payload.alertId}`
+    ];
+    if (payload.source && Object.keys(payload.source).length > 0) {
+      lines.push('', `Source: ${JSON.stringify(payload.source)}`);
+    }
+
+    const info = await this.createTransport().sendMail({
+      from: process.env.ALERT_EMAIL_FROM || 'alerts@localhost',
+      to: recipient,
+      subject: `[${payload.severity.toUpperCase()}] ${payload.alertType}: ${payload.description}`,
+      text: lines.join('\n')
+    });
+
+    return { recipient, messageId: info.messageId };
+  }
+}
+
+module.exports = new EmailNotifier();
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+const SEVERITY_COLORS = {
+  low: '#439FE0',
+  medium: '#DAA038',
+  high: '#E01E5A',
+  critical: '#8B0000'
+};
+
+/**
+ * Posts monitoring alerts to a Slack incoming webhook. Any service that accepts the
+ * Slack message format (Mattermost, Rocket.Chat, ...) works the same way.
+ */
+class SlackNotifier {
+  /**
+   * Send an alert to the channel's incoming webhook
+   * @param {Object} payload - Alert payload built by the notification service
+   * @param {Object} channel - AlertChannel document
+   * @returns {Promise<Object>} Delivery details
+   */
+  async send(payload, channel) {
+    const message = {
+      text: `[${payload.severity.toUpperCase()}] ${payload.alertType}: ${payload.description}`,
+      attachments: [{
+        color: SEVERITY_COLORS[payload.severity],
+        fields: [
+          { title: 'Severity', value: payload.severity, short: true },
+          { title: 'Alert type', value: payload.alertType, short: true },
+          { title: 'Source', value: payload.source?.ipAddress || payload.source?.endpoint || 'system', short: true },
+          { title: 'Alert ID', value: String(payload.alertId), short: true }
+        ],
+        ts: Math.floor(new Date(payload.createdAt).getTime() / 1000)
+      }]
+    };
+
+    const response = await axios.post(channel.config.url, message, { timeout: 10000 });
+
+    return { recipient: channel.name, statusCode: response.status };
+  }
+}
+
+module.exports = new SlackNotifier();
@@ -0,0 +1,33 @@
+const axios = require('axios');
+const { buildSignatureHeaders } = require('../../utils/webhookSignature');
+
+/**
+ * Posts monitoring alerts as JSON to a generic HTTP endpoint. When the channel has a
+ * secret, the body is signed with HMAC-SHA256 (see utils/webhookSignature.js).
+ */
+class WebhookNotifier {
+  /**
+   * Send an alert to the channel's URL
+   * @param {Object} payload - Alert payload built by the notification service
+   * @param {Object} channel - AlertChannel document, with config.secret selected
+   * @returns {Promise<Object>} Delivery details
+   */
+  async send(payload, channel) {
+    const body = JSON.stringify({ event: 'monitoring.alert', alert: payload });
+    const headers = {
+      'Content-Type': 'application/json',
+      ...(channel.config.secret && buildSignatureHeaders(channel.config.secret, body))
+    };
+
+    const response = await axios.post(channel.config.url, body, {
+      headers,
+      timeout: 10000,
+      // Send the signed string as-is rather than letting axios re-serialise it
+      transformRequest: [data => data]
+    });
+
+    return { recipient: channel.config.url, statusCode: response.status };
+  }
+}
+
+module.exports = new WebhookNotifier();
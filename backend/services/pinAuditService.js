@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const Document = require('../models/Document');
+const ipfsService = require('./ipfsService');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Checks that every stored file is still held, unaltered, by the providers recorded in
+ * Document.storage.replicas, and restores the replication factor when it is not.
+ *
+ * Each replica is fetched from its own provider (not a public gateway, which could serve a
+ * cached copy after an unpin) and its SHA-256 compared with storage.contentHash. Providers
+ * with a pin API are also asked whether the CID is still pinned. Replicas that are missing
+ * or corrupt are re-uploaded from a healthy copy; if too few healthy copies remain, the
+ * file is added to further providers. Replicas are hashed as they stream in, and the one
+ * healthy copy used for repairs is kept in a temporary file rather than in memory.
+ */
+class PinAuditService {
+  constructor() {
+    this.config = {
+      // How long a document's audit stays valid before it is checked again
+      intervalMs: (parseFloat(process.env.PIN_AUDIT_INTERVAL_HOURS) || 24) * HOUR_MS,
+      batchSize: parseInt(process.env.PIN_AUDIT_BATCH_SIZE) || 50
+    };
+
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResults = null;
+  }
+
+  /**
+   * Replicas to check. Documents stored before replication was tracked only know their
+   * primary CID, so it is audited as a copy of unknown provenance.
+   */
+  getReplicas(document) {
+    const replicas = document.storage?.replicas || [];
+    if (replicas.length > 0) {
+      return replicas.map(replica => ({ ...(replica.toObject ? replica.toObject() : replica) }));
+    }
+
+    return [{
+      provider: document.ipfsHash.startsWith('local_') ? 'local' : 'gateway',
+      cid: document.ipfsHash,
+      status: 'pinned'
+    }];
+  }
+
+  /**
+   * Hash a replica as it streams in, copying it to a temporary file when asked to
+   * @returns {Promise<Object>} { contentHash, source } - source is the { path, size } of
+   *   the copy, which the caller removes
+   */
+  async readReplica(stream, keepCopy) {
+    const hash = crypto.createHash('sha256');
+    if (!keepCopy) {
+      for await (const chunk of stream) {
+        hash.update(chunk);
+      }
+      return { contentHash: hash.digest('hex') };
+    }
+
+    const copyPath = path.join(os.tmpdir(), `pin-audit-${crypto.randomBytes(8).toString('hex')}`);
+    try {
+      await pipeline(
+        stream,
+        async function* (source) {
+          for await (const chunk of source) {
+            hash.update(chunk);
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(copyPath)
+      );
+      const { size } = await fs.promises.stat(copyPath);
+      return { contentHash: hash.digest('hex'), source: { path: copyPath, size } };
+    } catch (error) {
+      await fs.promises.rm(copyPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch and verify one replica
+   * @param {Object} replica - Replica entry to check
+   * @param {string} expectedHash - Recorded content hash, if any
+   * @param {Object} options
+   * @param {boolean} options.keepCopy - Keep a healthy replica on disk to repair others from
+   * @returns {Promise<Object>} { status, source, contentHash, error }
+   */
+  async checkReplica(replica, expectedHash, { keepCopy = false } = {}) {
+    try {
+      const pinned = replica.provider === 'gateway' ? null : await ipfsService.isReplicaPinned(replica);
+      if (pinned === false) {
+        return { status: 'missing', error: 'Not pinned by provider' };
+      }
+
+      const stream = replica.provider === 'gateway'
+        ? await ipfsService.retrieveFileStream(replica.cid)
+        : await ipfsService.openReplicaStream(replica);
+      const { contentHash, source } = await this.readReplica(stream, keepCopy);
+
+      if (expectedHash && contentHash !== expectedHash) {
+        if (source) await fs.promises.rm(source.path, { force: true });
+        return { status: 'corrupt', error: `Content hash ${contentHash} does not match` };
+      }
+      return { status: 'pinned', source, contentHash };
+    } catch (error) {
+      return { status: 'missing', error: error.message };
+    }
+  }
+
+  /**
+   * Audit and repair one document's stored copies
+   * @returns {Promise<Object>} { checked, healthy, repaired, added, failed }
+   */
+  async auditDocument(document) {
+    const now = new Date();
+    const replicas = this.getReplicas(document);
+    let contentHash = document.storage?.contentHash;
+    let healthySource = null;
+    const summary = { checked: replicas.length, healthy: 0, repaired: 0, added: 0, failed: 0 };
+
+    for (const replica of replicas) {
+      const result = await this.checkReplica(replica, contentHash, { keepCopy: !healthySource });
+
+      // Without a recorded hash, the first readable copy becomes the reference
+      if (!contentHash && result.contentHash) {
+        contentHash = result.contentHash;
+      }
+
+      replica.status = result.status;
+      replica.lastCheckedAt = now;
+      replica.lastError = result.error;
+
+      if (result.status === 'pinned') {
+        summary.healthy++;
+        healthySource = healthySource || result.source;
+      }
+    }
+
+    const filename = `encrypted_${document.fileInfo?.originalName || document.documentHash}`;
+    const metadata = { documentHash: document.documentHash };
+
+    try {
+      if (healthySource) {
+        // Re-upload lost copies to the providers that held them
+        for (const [index, replica] of replicas.entries()) {
+          if (replica.status === 'pinned' || replica.provider === 'gateway') continue;
+
+          try {
+            replicas[index] = {
+              ...await ipfsService.storeReplica(replica.provider, healthySource, filename, metadata),
+              lastCheckedAt: now
+            };
+            summary.repaired++;
+            logger.info('Replica restored from healthy copy', {
+              documentHash: document.documentHash,
+              provider: replica.provider,
+              previousStatus: replica.status,
+              cid: replicas[index].cid
+            });
+          } catch (error) {
+            summary.failed++;
+            replica.lastError = error.message;
+            logger.warn('Failed to restore replica', {
+              documentHash: document.documentHash,
+              provider: replica.provider,
+              error: error.message
+            });
+          }
+        }
+
+        // Add providers that do not hold the file yet until the replication factor is met.
+        // A copy of unknown provenance may only be a gateway cache, so it does not count.
+        const holders = new Set(replicas
+          .filter(r => r.status === 'pinned' && r.provider !== 'gateway')
+          .map(r => r.provider));
+        const candidates = ipfsService.providers.filter(p => (
+          p.enabled && p.name !== 'local' && !replicas.some(r => r.provider === p.name)
+        ));
+        for (const provider of candidates) {
+          if (holders.size >= ipfsService.replicationFactor) break;
+
+          try {
+            const replica = await ipfsService.storeReplica(provider.name, healthySource, filename, metadata);
+            replicas.push({ ...replica, lastCheckedAt: now });
+            holders.add(provider.name);
+            summary.added++;
+          } catch (error) {
+            logger.warn('Failed to add replica', {
+              documentHash: document.documentHash,
+              provider: provider.name,
+              error: error.message
+            });
+          }
+        }
+      } else {
+        summary.failed = replicas.length;
+        logger.error('No healthy copy of stored file found', {
+          documentHash: document.documentHash,
+          ipfsHash: document.ipfsHash,
+          replicas: replicas.map(({ provider, status, lastError }) => ({ provider, status, lastError }))
+        });
+      }
+    } finally {
+      if (healthySource) {
+        await fs.promises.rm(healthySource.path, { force: true });
+      }
+    }
+
+    // Targeted update so the audit never overwrites concurrent edits to the document
+    await Document.updateOne({ _id: document._id }, {
+      $set: {
+        'storage.contentHash': contentHash,
+        'storage.replicas': replicas,
+        'storage.lastAuditedAt': now
+      }
+    });
+
+    return summary;
+  }
+
+  /**
+   * Audit the documents that are due
+   * @returns {Promise<Object>} Totals across audited documents
+   */
+  async runAudit(limit = this.config.batchSize) {
+    if (this.isRunning) {
+      logger.warn('Pin audit is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const totals = { documents: 0, checked: 0, healthy: 0, repaired: 0, added: 0, failed: 0, unrecoverable: 0 };
+
+    try {
+      const documents = await Document.findDueForPinAudit(new Date(Date.now() - this.config.intervalMs), limit);
+
+      for (const document of documents) {
+        try {
+          const summary = await this.auditDocument(document);
+          totals.documents++;
+          for (const key of ['checked', 'healthy', 'repaired', 'added', 'failed']) {
+            totals[key] += summary[key];
+          }
+          if (summary.healthy === 0) totals.unrecoverable++;
+        } catch (error) {
+          logger.error('Pin audit failed for document', {
+            documentHash: document.documentHash,
+            error: error.message
+          });
+        }
+      }
+
+      this.lastRun = new Date();
+      this.lastResults = totals;
+      return totals;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get audit status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResults: this.lastResults,
+      replicationFactor: ipfsService.replicationFactor,
+      intervalHours: this.config.intervalMs / HOUR_MS
+    };
+  }
+}
+
+module.exports = new PinAuditService();
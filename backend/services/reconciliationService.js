@@ -0,0 +1,475 @@
+const Document = require('../models/Document');
+const ChainEvent = require('../models/ChainEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Revocation = require('../models/Revocation');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+// Statuses that claim the document is registered on DocumentRegistry
+const STORED_STATUSES = ['blockchain_stored', 'verified'];
+
+const lower = (address) => address?.toLowerCase();
+
+/**
+ * Compares MongoDB Document records with DocumentRegistry and records every disagreement
+ * in a ReconciliationReport.
+ *
+ * Documents whose status says they are on-chain are read back with getDocument,
+ * getDocumentViewers and checkAccess. On-chain registrations with no MongoDB record come
+ * from DocumentRegistered events the chain indexer could not match. Each mismatch lists
+ * the repairs that make sense for it; repairs re-read both sides first, so a stale
+ * report never pushes outdated values.
+ */
+class ReconciliationService {
+  constructor() {
+    this.config = {
+      // Reports kept when pruning after a run
+      keepReports: parseInt(process.env.RECONCILIATION_KEEP_REPORTS) || 30
+    };
+
+    this.isRunning = false;
+    this.currentRun = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Whether there is a registry contract to compare against
+   */
+  isConfigured() {
+    return !!process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY;
+  }
+
+  /**
+   * Compare one MongoDB document with its on-chain record
+   * @param {Object} document - Document stored on-chain according to MongoDB
+   * @returns {Promise<Array>} Mismatches, empty when both sides agree
+   */
+  async compareDocument(document) {
+    const { documentHash } = document;
+    const chain = await blockchainService.getDocumentRecord(documentHash);
+
+    if (!chain) {
+      return [{
+        documentHash,
+        type: 'missing_on_chain',
+        details: {
+          db: { status: document.status, transactionHash: document.blockchain?.transactionHash || null },
+          chain: null
+        },
+        repairActions: ['push_to_chain', 'adopt_chain', 'dismiss']
+      }];
+    }
+
+    const mismatches = [];
+    const dbOwner = lower(document.access.owner);
+
+    if (chain.owner !== dbOwner) {
+      mismatches.push({
+        documentHash,
+        type: 'owner_differs',
+        details: { db: { owner: dbOwner }, chain: { owner: chain.owner } },
+        repairActions: ['adopt_chain', 'push_to_chain', 'dismiss']
+      });
+    }
+
+    if (chain.isActive !== document.isActive) {
+      // The registry cannot reactivate a document, so only a deactivation can be pushed.
+      // A revoked document must not be reactivated from the chain either.
+      let repairActions = ['adopt_chain', 'dismiss'];
+      if (chain.isActive) {
+        repairActions = await Revocation.exists({ documentHash })
+          ? ['push_to_chain', 'dismiss']
+          : ['adopt_chain', 'push_to_chain', 'dismiss'];
+      }
+
+      mismatches.push({
+        documentHash,
+        type: 'active_differs',
+        details: { db: { isActive: document.isActive }, chain: { isActive: chain.isActive } },
+        repairActions
+      });
+    }
+
+    const viewers = await this.compareViewers(document, chain);
+    if (viewers) {
+      mismatches.push({
+        documentHash,
+        type: 'viewers_differ',
+        details: viewers,
+        repairActions: ['adopt_chain', 'push_to_chain', 'dismiss']
+      });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Compare authorized viewers. The owner and issuer always hold access on-chain, so they
+   * are left out; a viewer missing from the on-chain list but allowed by checkAccess
+   * (verifier role or higher) can already read the document and is not reported.
+   * @returns {Promise<Object|null>} { db, chain } with the viewers only each side has
+   */
+  async compareViewers(document, chain) {
+    const implicit = [chain.owner, chain.issuer, lower(document.access.owner)];
+    const chainViewers = (await blockchainService.getDocumentViewers(document.documentHash))
+      .filter(viewer => !implicit.includes(viewer));
+    const dbViewers = document.access.authorizedViewers.map(lower);
+
+    const onlyInDb = [];
+    for (const viewer of dbViewers.filter(viewer => !chainViewers.includes(viewer))) {
+      if (!await blockchainService.checkDocumentAccess(document.documentHash, viewer)) {
+        onlyInDb.push(viewer);
+      }
+    }
+    const onlyOnChain = chainViewers.filter(viewer => !dbViewers.includes(viewer));
+
+    if (onlyInDb.length === 0 && onlyOnChain.length === 0) {
+      return null;
+    }
+    return { db: { viewers: onlyInDb }, chain: { viewers: onlyOnChain } };
+  }
+
+  /**
+   * On-chain registrations the indexer saw but could not match to a MongoDB document
+   * @returns {Promise<Array>} missing_in_db mismatches
+   */
+  async findUnknownRegistrations() {
+    const events = await ChainEvent.find({
+      eventName: 'DocumentRegistered',
+      outcome: 'unmatched',
+      removed: false
+    }).sort({ blockNumber: 1 });
+
+    const mismatches = [];
+    const seen = new Set();
+    for (const event of events) {
+      const documentHash = event.args.documentHash;
+      if (seen.has(documentHash)) continue;
+      seen.add(documentHash);
+
+      if (await Document.exists({ documentHash })) continue;
+
+      const chain = await blockchainService.getDocumentRecord(documentHash);
+      if (!chain) continue;
+
+      mismatches.push({
+        documentHash,
+        type: 'missing_in_db',
+        details: {
+          db: null,
+          chain: {
+            issuer: chain.issuer,
+            owner: chain.owner,
+            ipfsHash: chain.ipfsHash,
+            documentType: chain.documentType,
+            isActive: chain.isActive,
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber
+          }
+        },
+        // There is no file or metadata to rebuild the record from; the registration can
+        // only be deactivated or acknowledged
+        repairActions: chain.isActive ? ['push_to_chain', 'dismiss'] : ['dismiss']
+      });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Start a reconciliation run in the background
+   * @param {Object} options
+   * @param {string} options.triggeredBy - Admin wallet address, omitted for scheduled runs
+   * @returns {Promise<Object|null>} The report being filled, or null if a run is in progress
+   */
+  async start({ triggeredBy = null } = {}) {
+    if (this.isRunning) {
+      logger.warn('Reconciliation is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    let report;
+    try {
+      report = await ReconciliationReport.create({ triggeredBy });
+    } catch (error) {
+      this.isRunning = false;
+      throw error;
+    }
+
+    this.currentRun = this.execute(report);
+    return report;
+  }
+
+  /**
+   * Run a full reconciliation and wait for it to finish
+   * @returns {Promise<Object|null>} The finished report, or null if a run is in progress
+   */
+  async run(options) {
+    const report = await this.start(options);
+    if (!report) return null;
+
+    await this.currentRun;
+    return report;
+  }
+
+  async execute(report) {
+    try {
+      const cursor = Document.find({ status: { $in: STORED_STATUSES } })
+        .sort({ createdAt: 1 })
+        .cursor();
+
+      for await (const document of cursor) {
+        report.totals.checked++;
+
+        // Batch-anchored documents have no individual registry entry to compare
+        if (document.blockchain?.merkle?.root) {
+          report.totals.skipped++;
+          continue;
+        }
+
+        let mismatches;
+        try {
+          mismatches = await this.compareDocument(document);
+        } catch (error) {
+          logger.warn('Could not reconcile document', {
+            documentHash: document.documentHash,
+            error: error.message
+          });
+          report.totals.skipped++;
+          continue;
+        }
+
+        if (mismatches.length > 0) {
+          report.totals.mismatched++;
+          report.mismatches.push(...mismatches);
+        } else {
+          report.totals.matched++;
+        }
+      }
+
+      const unknown = await this.findUnknownRegistrations();
+      report.totals.mismatched += unknown.length;
+      report.mismatches.push(...unknown);
+
+      report.status = 'completed';
+    } catch (error) {
+      logger.error('Reconciliation run failed:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    try {
+      report.completedAt = new Date();
+      await report.save();
+      await this.pruneReports();
+    } catch (error) {
+      logger.error('Failed to save reconciliation report:', error);
+    } finally {
+      this.isRunning = false;
+      this.lastRun = report.completedAt;
+    }
+
+    logger.info('Reconciliation run finished', {
+      reportId: report._id,
+      status: report.status,
+      ...report.toObject().totals
+    });
+  }
+
+  /**
+   * Delete all but the most recent reports
+   */
+  async pruneReports() {
+    const stale = await ReconciliationReport.find({ status: { $ne: 'running' } })
+      .sort({ createdAt: -1 })
+      .skip(this.config.keepReports)
+      .select('_id');
+
+    if (stale.length > 0) {
+      await ReconciliationReport.deleteMany({ _id: { $in: stale.map(report => report._id) } });
+    }
+  }
+
+  /**
+   * Apply a repair action to a mismatch and record the outcome on the report
+   * @param {Object} report - ReconciliationReport holding the mismatch
+   * @param {Object} mismatch - Embedded mismatch
+   * @param {string} action - One of the mismatch's repairActions
+   * @param {string} resolvedBy - Admin wallet address
+   * @returns {Promise<Object>} The updated mismatch
+   */
+  async repair(report, mismatch, action, resolvedBy) {
+    const resolution = { action, resolvedBy, resolvedAt: new Date() };
+
+    try {
+      if (action !== 'dismiss') {
+        const result = mismatch.type === 'missing_in_db'
+          ? await this.repairUnknownRegistration(mismatch)
+          : await this.repairDocument(mismatch, action);
+        resolution.transactionHash = result?.transactionHash;
+      }
+      resolution.status = 'repaired';
+    } catch (error) {
+      logger.error('Reconciliation repair failed:', {
+        error: error.message,
+        documentHash: mismatch.documentHash,
+        type: mismatch.type,
+        action
+      });
+      resolution.status = 'failed';
+      resolution.error = error.message;
+    }
+
+    mismatch.resolution = resolution;
+    await report.save();
+
+    logger.info('Reconciliation mismatch resolved', {
+      reportId: report._id,
+      documentHash: mismatch.documentHash,
+      type: mismatch.type,
+      action,
+      status: resolution.status,
+      resolvedBy
+    });
+
+    return mismatch;
+  }
+
+  async repairUnknownRegistration(mismatch) {
+    const chain = await blockchainService.getDocumentRecord(mismatch.documentHash);
+    if (!chain?.isActive) return null;
+
+    return blockchainService.deactivateDocument(
+      mismatch.documentHash,
+      'No matching off-chain record'
+    );
+  }
+
+  async repairDocument(mismatch, action) {
+    const document = await Document.findOne({ documentHash: mismatch.documentHash });
+    if (!document) {
+      throw new Error('Document no longer exists');
+    }
+
+    // Repair against the current state; if the sides agree by now there is nothing to do
+    const current = (await this.compareDocument(document)).find(entry => entry.type === mismatch.type);
+    if (!current) return null;
+    if (!current.repairActions.includes(action)) {
+      throw new Error(`Cannot ${action} for ${mismatch.type} in the current state`);
+    }
+
+    const repairs = {
+      missing_on_chain: this.repairMissingOnChain,
+      owner_differs: this.repairOwner,
+      active_differs: this.repairActive,
+      viewers_differ: this.repairViewers
+    };
+    return repairs[mismatch.type].call(this, document, current.details, action);
+  }
+
+  async repairMissingOnChain(document, details, action) {
+    if (action === 'adopt_chain') {
+      document.status = 'failed';
+      document.audit.updatedAt = new Date();
+      await document.save();
+      return null;
+    }
+
+    const result = await blockchainService.registerDocument(
+      document.documentHash,
+      document.ipfsHash,
+      document.access.owner,
+      {
+        studentId: document.metadata.studentId,
+        documentType: document.metadata.documentType,
+        institutionName: document.metadata.institutionName,
+        issueDate: document.metadata.issueDate?.toISOString()
+      }
+    );
+    await document.updateBlockchainInfo(
+      result.transactionHash,
+      result.blockNumber,
+      result.gasUsed,
+      result.contractAddress
+    );
+    return result;
+  }
+
+  async repairOwner(document, details, action) {
+    if (action === 'push_to_chain') {
+      return blockchainService.transferOwnership(
+        document.documentHash,
+        details.db.owner,
+        details.chain.owner
+      );
+    }
+
+    document.access.owner = details.chain.owner;
+    document.access.authorizedViewers = document.access.authorizedViewers.filter(
+      addr => addr !== details.chain.owner
+    );
+    document.audit.updatedAt = new Date();
+    await document.save();
+    return null;
+  }
+
+  async repairActive(document, details, action) {
+    if (action === 'push_to_chain') {
+      return blockchainService.deactivateDocument(
+        document.documentHash,
+        document.deactivationReason || 'Deactivated off-chain'
+      );
+    }
+
+    document.isActive = details.chain.isActive;
+    if (details.chain.isActive) {
+      document.deactivationReason = undefined;
+      document.deactivatedAt = undefined;
+      document.deactivatedBy = undefined;
+    } else {
+      document.deactivationReason = document.deactivationReason || 'Deactivated on-chain';
+      document.deactivatedAt = document.deactivatedAt || new Date();
+    }
+    document.audit.updatedAt = new Date();
+    await document.save();
+    return null;
+  }
+
+  async repairViewers(document, details, action) {
+    if (action === 'adopt_chain') {
+      document.access.authorizedViewers = document.access.authorizedViewers
+        .filter(viewer => !details.db.viewers.includes(viewer))
+        .concat(details.chain.viewers);
+      document.audit.updatedAt = new Date();
+      await document.save();
+      return null;
+    }
+
+    const issuer = document.access.issuer;
+    let result = null;
+    for (const viewer of details.db.viewers) {
+      result = await blockchainService.grantDocumentAccess(document.documentHash, viewer, issuer);
+    }
+    for (const viewer of details.chain.viewers) {
+      result = await blockchainService.revokeDocumentAccess(document.documentHash, viewer, issuer);
+    }
+    return result;
+  }
+
+  /**
+   * Get the latest report and whether a run is in progress
+   */
+  async getStatus() {
+    const latest = await ReconciliationReport.findLatest();
+
+    return {
+      configured: this.isConfigured(),
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      latestReport: latest ? latest.toSummaryJSON() : null
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
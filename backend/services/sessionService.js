@@ -0,0 +1,190 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Browsers and operating systems recognised in user agents, most specific first
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X/],
+  ['Linux', /Linux/]
+];
+
+/**
+ * Refresh-token sessions behind short-lived access tokens.
+ *
+ * Signing in creates a Session and returns its refresh token. Each refresh hands out a new
+ * refresh token and invalidates the old one; presenting an old one again revokes the
+ * session, since either the client or whoever copied the token is replaying it.
+ * authenticateToken rejects access tokens whose session has been revoked.
+ */
+class SessionService {
+  constructor() {
+    this.config = {
+      refreshTokenTtlMs: (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000,
+      // lastSeenAt is only written when it is older than this, not on every request
+      touchIntervalMs: 60 * 1000
+    };
+  }
+
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+    const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+    if (!browser && !os) return 'Unknown device';
+    return [browser?.[0] || 'Unknown browser', os?.[0]].filter(Boolean).join(' on ');
+  }
+
+  clientInfo(req) {
+    const userAgent = (req.get('user-agent') || '').slice(0, 500);
+    return {
+      userAgent,
+      device: this.describeDevice(userAgent),
+      ipAddress: req.ip
+    };
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @returns {Promise<Object>} { session, refreshToken }
+   */
+  async createSession(user, req) {
+    const session = new Session({
+      userId: user._id,
+      walletAddress: user.walletAddress,
+      expiresAt: new Date(Date.now() + this.config.refreshTokenTtlMs),
+      ...this.clientInfo(req)
+    });
+    const refreshToken = session.rotateRefreshToken();
+    await session.save();
+
+    logger.info('Session created', { walletAddress: user.walletAddress, sessionId: session.sessionId });
+    return { session, refreshToken };
+  }
+
+  /**
+   * Exchange a refresh token for a new one
+   * @returns {Promise<Object>} { user, session, refreshToken }
+   * @throws {Error} With code INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED or SESSION_REVOKED
+   */
+  async refresh(refreshToken, req) {
+    const fail = (code, message) => Object.assign(new Error(message), { code });
+
+    const [sessionId] = String(refreshToken || '').split('.');
+    const tokenHash = Session.hashToken(String(refreshToken || ''));
+    const findSession = () => Session.findOne({ sessionId }).select('+refreshTokenHash +previousTokenHashes');
+
+    // A token that is no longer current is either unknown or a replay of a rotated-out one
+    const rejectStaleToken = async (session) => {
+      if (!session || !session.previousTokenHashes.includes(tokenHash)) {
+        throw fail('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+      }
+
+      session.revoke('refresh_token_reuse');
+      await session.save();
+      logger.warn('Refresh token reused, session revoked', {
+        walletAddress: session.walletAddress,
+        sessionId: session.sessionId,
+        ipAddress: req.ip
+      });
+      throw fail('REFRESH_TOKEN_REUSED', 'Refresh token has already been used; the session was revoked');
+    };
+
+    const session = await findSession();
+    if (!session || tokenHash !== session.refreshTokenHash) {
+      await rejectStaleToken(session);
+    }
+
+    if (!session.isActive()) {
+      throw fail('SESSION_REVOKED', 'Session has expired or been revoked');
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.session.isActive) {
+      throw fail('SESSION_REVOKED', 'Invalid or inactive user');
+    }
+
+    // Only one of two concurrent refreshes with the same token can swap it out; the other
+    // then sees a rotated-out token, like any other replay
+    const rotated = await Session.rotateIfCurrent(sessionId, tokenHash, {
+      ...this.clientInfo(req),
+      lastSeenAt: new Date()
+    });
+    if (!rotated) {
+      const current = await findSession();
+      if (current && current.refreshTokenHash === tokenHash) {
+        throw fail('SESSION_REVOKED', 'Session has expired or been revoked');
+      }
+      await rejectStaleToken(current);
+    }
+
+    return { user, session: rotated.session, refreshToken: rotated.refreshToken };
+  }
+
+  /**
+   * Check the session an access token was issued for
+   * @returns {Promise<Object|null>} The session, or null if it has been revoked or expired
+   */
+  async getActiveSession(sessionId, userId) {
+    const session = await Session.findOne({ sessionId, userId });
+    if (!session || !session.isActive()) {
+      return null;
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > this.config.touchIntervalMs) {
+      Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+        .catch(error => logger.warn('Failed to update session last seen time', { error: error.message }));
+    }
+    return session;
+  }
+
+  async revokeSession(sessionId, { userId, reason, revokedBy }) {
+    const filter = { sessionId, revokedAt: null };
+    if (userId) {
+      filter.userId = userId;
+    }
+
+    const result = await Session.updateOne(filter, {
+      $set: { revokedAt: new Date(), revokedBy, revocationReason: reason }
+    });
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Sign a wallet out everywhere: revoke its sessions and every access token issued
+   * before now, including tokens from before sessions existed
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllSessions(user, { reason, revokedBy }) {
+    user.session.revokedBefore = new Date();
+    await user.save();
+
+    const revoked = await Session.revokeAllForUser(user._id, { reason, revokedBy });
+    logger.warn('All sessions revoked', { walletAddress: user.walletAddress, revoked, revokedBy, reason });
+    return revoked;
+  }
+
+  format(session, currentSessionId) {
+    return {
+      sessionId: session.sessionId,
+      device: session.device,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: session.sessionId === currentSessionId
+    };
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const Document = require('../models/Document');
+const StorageMigration = require('../models/StorageMigration');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const ipfsService = require('./ipfsService');
+const blockchainService = require('./blockchainService');
+const logger = require('../utils/logger');
+
+/**
+ * Moves files that uploadFile left in local fallback storage (local_<hex> CIDs) to IPFS
+ * once a remote provider is healthy again.
+ *
+ * Each file is streamed from disk, checked against its recorded content hash and added to
+ * as many healthy providers as the replication factor asks for. The document then points at
+ * the new CID, with the local copy kept as a last-resort replica. Every move is recorded
+ * as a StorageMigration; when STORAGE_MIGRATION_UPDATE_CHAIN is set the on-chain record is
+ * updated too.
+ */
+class StorageMigrationService {
+  constructor() {
+    this.config = {
+      batchSize: parseInt(process.env.STORAGE_MIGRATION_BATCH_SIZE) || 20,
+      updateChain: process.env.STORAGE_MIGRATION_UPDATE_CHAIN === 'true'
+    };
+
+    this.isRunning = false;
+    this.lastRun = null;
+    this.lastResults = null;
+  }
+
+  /**
+   * Remote providers that are configured and currently pass their health check
+   * @returns {Promise<Array>} Provider configs in priority order
+   */
+  async getHealthyProviders() {
+    const remote = ipfsService.providers.filter(p => p.enabled && p.name !== 'local');
+    if (remote.length === 0) return [];
+
+    const health = await ipfsService.checkIPFSHealth();
+    return remote.filter(provider => health[provider.name]?.available);
+  }
+
+  /**
+   * Whether the document has an individual DocumentRegistry record whose IPFS hash can
+   * be changed. Merkle-anchored documents only have their hash in a batch root.
+   */
+  isRegisteredOnChain(document) {
+    return ['blockchain_stored', 'verified'].includes(document.status) &&
+      !!document.blockchain?.transactionHash &&
+      !document.blockchain?.merkle?.root;
+  }
+
+  async updateChain(document, cid) {
+    if (!this.config.updateChain) {
+      return { status: 'not_requested' };
+    }
+    if (!this.isRegisteredOnChain(document)) {
+      return { status: 'not_registered' };
+    }
+
+    try {
+      const result = await blockchainService.updateDocumentIpfsHash(document.documentHash, cid);
+      return { status: 'confirmed', transactionHash: result.transactionHash, blockNumber: result.blockNumber };
+    } catch (error) {
+      if (error.cause?.code === 'TRANSACTION_PENDING') {
+        return { status: 'submitted', transactionHash: error.cause.transactionHash };
+      }
+      return { status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Move one document's file from local storage to the given providers
+   * @param {Object} document - Document with a local_ ipfsHash
+   * @param {Array} providers - Healthy remote providers, primary first
+   * @param {Object} options
+   * @param {string} options.triggeredBy - Admin wallet address, omitted for scheduled runs
+   * @returns {Promise<Object>} The StorageMigration record
+   */
+  async migrateDocument(document, providers, { triggeredBy = null } = {}) {
+    const fromCid = document.ipfsHash;
+    const filePath = ipfsService.findLocalFilePath(fromCid);
+    const { size } = await fs.promises.stat(filePath);
+    const source = { path: filePath, size };
+
+    const contentHash = await ipfsService.hashSource(source);
+    if (document.storage?.contentHash && document.storage.contentHash !== contentHash) {
+      throw new Error('Local copy does not match the recorded content hash');
+    }
+
+    const filename = `encrypted_${document.fileInfo?.originalName || document.documentHash}`;
+    const metadata = { documentHash: document.documentHash };
+    const replicas = [];
+
+    for (const provider of providers) {
+      if (replicas.length >= ipfsService.replicationFactor) break;
+
+      try {
+        replicas.push(await ipfsService.storeReplica(provider.name, source, filename, metadata));
+      } catch (error) {
+        logger.warn('Failed to migrate file to provider', {
+          documentHash: document.documentHash,
+          provider: provider.name,
+          error: error.message
+        });
+      }
+    }
+
+    if (replicas.length === 0) {
+      throw new Error('No IPFS provider accepted the file');
+    }
+
+    const [primary] = replicas;
+    const localReplica = { provider: 'local', cid: fromCid, status: 'pinned', pinnedAt: document.createdAt };
+
+    // Only switch documents still on the local CID, in case a concurrent run moved it first
+    const { modifiedCount } = await Document.updateOne({ _id: document._id, ipfsHash: fromCid }, {
+      $set: {
+        ipfsHash: primary.cid,
+        'storage.contentHash': contentHash,
+        'storage.replicas': [...replicas, localReplica]
+      }
+    });
+    if (modifiedCount === 0) {
+      throw new Error('Document storage changed during migration');
+    }
+
+    const chainUpdate = await this.updateChain(document, primary.cid);
+
+    const migration = await StorageMigration.create({
+      documentHash: document.documentHash,
+      fromCid,
+      toCid: primary.cid,
+      replicas: replicas.map(({ provider, cid }) => ({ provider, cid })),
+      contentHash,
+      chainUpdate,
+      triggeredBy
+    });
+
+    logger.info('Document migrated from local storage to IPFS', {
+      documentHash: document.documentHash,
+      fromCid,
+      toCid: primary.cid,
+      providers: replicas.map(replica => replica.provider),
+      chainUpdate: chainUpdate.status
+    });
+
+    return migration;
+  }
+
+  /**
+   * Settle chain updates that were still pending when their migration was recorded
+   * @returns {Promise<number>} Number of records settled
+   */
+  async refreshChainUpdates() {
+    const submitted = await StorageMigration.find({ 'chainUpdate.status': 'submitted' }).limit(100);
+    let settled = 0;
+
+    for (const migration of submitted) {
+      const transaction = await BlockchainTransaction.findByHash(migration.chainUpdate.transactionHash);
+      if (!transaction || transaction.status === 'pending') continue;
+
+      migration.chainUpdate = transaction.status === 'confirmed'
+        ? { status: 'confirmed', transactionHash: transaction.hash, blockNumber: transaction.receipt?.blockNumber }
+        : { status: 'failed', transactionHash: transaction.hash, error: transaction.error };
+      await migration.save();
+      settled++;
+    }
+
+    return settled;
+  }
+
+  /**
+   * Migrate the next batch of locally stored documents if a remote provider is healthy
+   * @param {Object} options
+   * @param {number} options.limit - Maximum documents to migrate
+   * @param {string} options.triggeredBy - Admin wallet address, omitted for scheduled runs
+   * @returns {Promise<Object|null>} Run totals, or null if a run is in progress
+   */
+  async runMigration({ limit = this.config.batchSize, triggeredBy = null } = {}) {
+    if (this.isRunning) {
+      logger.warn('Storage migration is already running, skipping...');
+      return null;
+    }
+
+    this.isRunning = true;
+    const totals = { pending: 0, providers: [], migrated: 0, failed: 0, chainUpdatesSettled: 0 };
+
+    try {
+      totals.chainUpdatesSettled = await this.refreshChainUpdates();
+
+      const documents = await Document.findLocallyStored(limit);
+      totals.pending = documents.length;
+      if (documents.length === 0) {
+        return this.finish(totals);
+      }
+
+      const providers = await this.getHealthyProviders();
+      totals.providers = providers.map(provider => provider.name);
+      if (providers.length === 0) {
+        logger.debug('No healthy IPFS provider for storage migration', { pending: documents.length });
+        return this.finish(totals);
+      }
+
+      for (const document of documents) {
+        try {
+          await this.migrateDocument(document, providers, { triggeredBy });
+          totals.migrated++;
+        } catch (error) {
+          totals.failed++;
+          logger.error('Storage migration failed for document', {
+            documentHash: document.documentHash,
+            ipfsHash: document.ipfsHash,
+            error: error.message
+          });
+        }
+      }
+
+      return this.finish(totals);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  finish(totals) {
+    this.lastRun = new Date();
+    this.lastResults = totals;
+    return totals;
+  }
+
+  /**
+   * Get migration status
+   */
+  async getStatus() {
+    return {
+      isRunning: this.isRunning,
+      lastRun: this.lastRun,
+      lastResults: this.lastResults,
+      updateChain: this.config.updateChain,
+      localDocuments: await Document.countDocuments({ ipfsHash: /^local_/ }),
+      migrations: await StorageMigration.getStats()
+    };
+  }
+}
+
+module.exports = new StorageMigrationService();
@@ -0,0 +1,540 @@
+const { ethers } = require('ethers');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const Document = require('../models/Document');
+const webhookService = require('./webhookService');
+const logger = require('../utils/logger');
+
+// Contract methods whose confirmation moves a document to blockchain_stored
+const REGISTRATION_METHODS = ['registerDocument', 'registerDocumentVersion'];
+
+// Document statuses a settled registration may still move away from
+const UNSETTLED_STATUSES = ['pending', 'uploaded', 'failed'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toPlain = (value) => {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+};
+
+/**
+ * Persists and follows every transaction the backend sends.
+ *
+ * send() signs a contract call, stores it as a BlockchainTransaction and only then
+ * broadcasts it, so a restart between the two never loses track of a nonce. Callers
+ * wait for the receipt up to waitTimeoutMs; after that the transaction stays pending
+ * and jobs/transactionTracker.js keeps polling it. Transactions that are not mined
+ * within stuckAfterMs are re-signed with the same nonce and higher fees. Once a
+ * registration settles, its document is marked blockchain_stored or failed.
+ */
+class TransactionTrackerService {
+  constructor() {
+    this.config = {
+      waitTimeoutMs: parseInt(process.env.TX_WAIT_TIMEOUT_MS) || 120000,
+      pollIntervalMs: parseInt(process.env.TX_POLL_INTERVAL_MS) || 2000,
+      stuckAfterMs: parseInt(process.env.TX_STUCK_AFTER_MS) || 180000,
+      // Nodes reject replacements that raise fees by less than 10%
+      feeBumpPercent: Math.max(parseInt(process.env.TX_FEE_BUMP_PERCENT) || 20, 10),
+      maxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS) || 5,
+      maxFeePerGas: ethers.parseUnits(process.env.TX_MAX_FEE_GWEI || '500', 'gwei')
+    };
+
+    // Signers by lowercased address, needed to re-sign replacements
+    this.signers = new Map();
+    // Per-address queue so concurrent sends never pick the same nonce
+    this.nonceLocks = new Map();
+    // Transactions currently being checked, so the worker and a waiting caller don't both replace
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Make a signer available for replacing its transactions after a restart
+   */
+  async registerSigner(signer) {
+    const address = (await signer.getAddress()).toLowerCase();
+    this.signers.set(address, signer);
+    return address;
+  }
+
+  async withNonceLock(address, fn) {
+    const previous = this.nonceLocks.get(address) || Promise.resolve();
+    const current = previous.catch(() => {}).then(fn);
+    this.nonceLocks.set(address, current);
+    try {
+      return await current;
+    } finally {
+      if (this.nonceLocks.get(address) === current) {
+        this.nonceLocks.delete(address);
+      }
+    }
+  }
+
+  /**
+   * Next nonce for an address. Tracked transactions the node has forgotten (e.g. never
+   * broadcast before a restart) still hold their nonce until they are replaced, and the
+   * provider may briefly cache the count from just before our previous send.
+   */
+  async getNextNonce(provider, address) {
+    const [networkNonce, highestTracked] = await Promise.all([
+      provider.getTransactionCount(address, 'pending'),
+      BlockchainTransaction.getHighestUsedNonce(address)
+    ]);
+    return highestTracked === null ? networkNonce : Math.max(networkNonce, highestTracked + 1);
+  }
+
+  async getFees(provider, overrides = {}) {
+    if (overrides.gasPrice) {
+      return { gasPrice: BigInt(overrides.gasPrice) };
+    }
+
+    const feeData = await provider.getFeeData();
+    if (feeData.maxFeePerGas != null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  buildTransaction(record, fees) {
+    const tx = {
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value || 0),
+      nonce: record.nonce,
+      gasLimit: BigInt(record.gasLimit),
+      chainId: record.chainId
+    };
+
+    if (fees.maxFeePerGas != null) {
+      tx.type = 2;
+      tx.maxFeePerGas = BigInt(fees.maxFeePerGas);
+      tx.maxPriorityFeePerGas = BigInt(fees.maxPriorityFeePerGas);
+    } else {
+      tx.type = 0;
+      tx.gasPrice = BigInt(fees.gasPrice);
+    }
+    return tx;
+  }
+
+  serializeFees(fees) {
+    return Object.fromEntries(
+      Object.entries(fees)
+        .filter(([, value]) => value != null)
+        .map(([key, value]) => [key, value.toString()])
+    );
+  }
+
+  /**
+   * Send a contract call and wait for it to be mined
+   * @param {Object} contract - ethers Contract connected to a signer
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @param {Object} options
+   * @param {string} options.documentHash - Document the call registers or changes
+   * @param {string} options.contractName - Label stored with the transaction
+   * @param {Object} options.overrides - gasLimit and/or gasPrice to use instead of estimates
+   * @returns {Promise<Object>} { receipt, transaction }
+   * @throws Error with code TRANSACTION_PENDING when not mined within waitTimeoutMs
+   */
+  async send(contract, method, args = [], options = {}) {
+    const signer = contract.runner;
+    const provider = signer.provider;
+    const from = await this.registerSigner(signer);
+
+    const [populated, gasLimit, network] = await Promise.all([
+      contract[method].populateTransaction(...args),
+      options.overrides?.gasLimit
+        ? Promise.resolve(BigInt(options.overrides.gasLimit))
+        : contract[method].estimateGas(...args)
+          .then(estimate => BigInt(Math.floor(Number(estimate) * 1.2))),
+      provider.getNetwork()
+    ]);
+    const fees = await this.getFees(provider, options.overrides);
+
+    const { record, signed } = await this.withNonceLock(from, async () => {
+      const record = new BlockchainTransaction({
+        from,
+        nonce: await this.getNextNonce(provider, from),
+        chainId: Number(network.chainId),
+        to: populated.to,
+        data: populated.data,
+        value: (populated.value || 0n).toString(),
+        gasLimit: gasLimit.toString(),
+        fees: this.serializeFees(fees),
+        contractName: options.contractName,
+        method,
+        args: toPlain(args),
+        documentHash: options.documentHash
+      });
+
+      const signed = await signer.signTransaction(this.buildTransaction(record, fees));
+      record.hash = ethers.Transaction.from(signed).hash;
+      record.submissions.push({ hash: record.hash, ...this.serializeFees(fees) });
+
+      // Persist before broadcasting so the nonce is accounted for even if we crash here
+      await record.save();
+      return { record, signed };
+    });
+
+    try {
+      await provider.broadcastTransaction(signed);
+    } catch (error) {
+      if (!/already known/i.test(error.message)) {
+        record.status = 'failed';
+        record.error = error.shortMessage || error.message;
+        await record.save();
+        throw error;
+      }
+    }
+
+    logger.info('Blockchain transaction sent', {
+      method,
+      hash: record.hash,
+      nonce: record.nonce,
+      documentHash: options.documentHash
+    });
+
+    return this.waitForTransaction(record);
+  }
+
+  /**
+   * Poll a tracked transaction until it settles or waitTimeoutMs passes
+   */
+  async waitForTransaction(record) {
+    const deadline = Date.now() + this.config.waitTimeoutMs;
+
+    while (Date.now() < deadline) {
+      const { receipt } = await this.checkTransaction(record, { updateDocument: false });
+
+      if (record.status === 'confirmed') {
+        return { receipt, transaction: record };
+      }
+      if (record.status === 'failed') {
+        const error = new Error(record.error || 'Transaction failed');
+        error.code = 'TRANSACTION_FAILED';
+        error.transactionHash = record.hash;
+        throw error;
+      }
+
+      await sleep(this.config.pollIntervalMs);
+      record = await BlockchainTransaction.findById(record._id);
+    }
+
+    const error = new Error(
+      `Transaction ${record.hash} is still pending; it will be settled in the background`
+    );
+    error.code = 'TRANSACTION_PENDING';
+    error.transactionHash = record.hash;
+    error.trackedTransactionId = record._id;
+    throw error;
+  }
+
+  async getProvider(record) {
+    const signer = this.signers.get(record.from);
+    if (!signer?.provider) {
+      throw new Error(`No signer registered for ${record.from}`);
+    }
+    return signer.provider;
+  }
+
+  /**
+   * Check one pending transaction: settle it if mined, replace it if stuck
+   * @param {Object} record - BlockchainTransaction
+   * @param {Object} options
+   * @param {boolean} options.updateDocument - Apply the outcome to the related document
+   * @returns {Promise<Object>} { action, receipt } where action is one of
+   *   confirmed | failed | replaced | waiting | busy
+   */
+  async checkTransaction(record, { updateDocument = true } = {}) {
+    const id = record._id.toString();
+    if (record.status !== 'pending') {
+      return { action: record.status };
+    }
+    if (this.inFlight.has(id)) {
+      return { action: 'busy' };
+    }
+
+    this.inFlight.add(id);
+    try {
+      const provider = await this.getProvider(record);
+      record.lastCheckedAt = new Date();
+
+      let receipt = await this.findReceipt(record, provider);
+      if (receipt) {
+        await this.settle(record, receipt, { updateDocument });
+        return { action: record.status, receipt };
+      }
+
+      // The nonce was used but none of our versions were mined. One of them may have
+      // been mined since the receipts were looked up, so look again before failing.
+      const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+      if (minedNonce > record.nonce) {
+        receipt = await this.findReceipt(record, provider);
+        if (receipt) {
+          await this.settle(record, receipt, { updateDocument });
+          return { action: record.status, receipt };
+        }
+        await this.fail(record, 'Nonce was used by another transaction', { updateDocument });
+        return { action: 'failed' };
+      }
+
+      const known = await provider.getTransaction(record.hash);
+      const stuck = Date.now() - new Date(record.lastSubmittedAt).getTime() >= this.config.stuckAfterMs;
+      if (!known || stuck) {
+        if (record.replacementCount >= this.config.maxReplacements) {
+          if (stuck) {
+            await this.fail(record, `Not mined after ${record.replacementCount} replacements`, { updateDocument });
+            return { action: 'failed' };
+          }
+        } else if (await this.replace(record, provider)) {
+          return { action: 'replaced' };
+        }
+      }
+
+      await record.save();
+      return { action: 'waiting' };
+    } finally {
+      this.inFlight.delete(id);
+    }
+  }
+
+  // Receipt of whichever submitted version of a transaction was mined, if any
+  async findReceipt(record, provider) {
+    for (const { hash } of [...record.submissions].reverse()) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Re-sign a stuck transaction with the same nonce and higher fees
+   * @returns {Promise<boolean>} Whether a replacement was broadcast
+   */
+  async replace(record, provider) {
+    const signer = this.signers.get(record.from);
+    const bump = (value) => (BigInt(value) * BigInt(100 + this.config.feeBumpPercent)) / 100n;
+    const current = await this.getFees(provider);
+    const max = (a, b) => (a > b ? a : b);
+
+    let fees;
+    if (record.fees.maxFeePerGas) {
+      fees = {
+        maxFeePerGas: max(bump(record.fees.maxFeePerGas), current.maxFeePerGas || 0n),
+        maxPriorityFeePerGas: max(bump(record.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas || 0n)
+      };
+      if (fees.maxFeePerGas > this.config.maxFeePerGas) {
+        logger.warn('Replacement fee above cap, leaving transaction as is', {
+          hash: record.hash,
+          maxFeePerGas: fees.maxFeePerGas.toString()
+        });
+        return false;
+      }
+    } else {
+      fees = { gasPrice: max(bump(record.fees.gasPrice), current.gasPrice || 0n) };
+      if (fees.gasPrice > this.config.maxFeePerGas) {
+        logger.warn('Replacement fee above cap, leaving transaction as is', {
+          hash: record.hash,
+          gasPrice: fees.gasPrice.toString()
+        });
+        return false;
+      }
+    }
+
+    const signed = await signer.signTransaction(this.buildTransaction(record, fees));
+    const hash = ethers.Transaction.from(signed).hash;
+    const previousHash = record.hash;
+
+    record.hash = hash;
+    record.fees = this.serializeFees(fees);
+    record.submissions.push({ hash, ...this.serializeFees(fees) });
+    await record.save();
+
+    try {
+      await provider.broadcastTransaction(signed);
+    } catch (error) {
+      // An earlier version may have been mined meanwhile; the next check will find it
+      logger.warn('Replacement broadcast failed', {
+        hash,
+        previousHash,
+        error: error.shortMessage || error.message
+      });
+    }
+
+    logger.info('Stuck transaction replaced with higher fees', {
+      previousHash,
+      hash,
+      nonce: record.nonce,
+      replacement: record.replacementCount,
+      ...this.serializeFees(fees)
+    });
+    return true;
+  }
+
+  async settle(record, receipt, { updateDocument }) {
+    record.receipt = {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed?.toString(),
+      effectiveGasPrice: (receipt.gasPrice ?? receipt.effectiveGasPrice)?.toString(),
+      status: receipt.status
+    };
+    record.hash = receipt.hash;
+
+    if (receipt.status === 0) {
+      await this.fail(record, 'Transaction reverted', { updateDocument });
+      return;
+    }
+
+    record.status = 'confirmed';
+    record.confirmedAt = new Date();
+    await record.save();
+
+    logger.info('Blockchain transaction confirmed', {
+      method: record.method,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      replacements: record.replacementCount
+    });
+
+    if (updateDocument) {
+      await this.markDocumentStored(record);
+    }
+  }
+
+  async fail(record, reason, { updateDocument }) {
+    record.status = 'failed';
+    record.error = reason;
+    await record.save();
+
+    logger.warn('Blockchain transaction failed', {
+      method: record.method,
+      hash: record.hash,
+      nonce: record.nonce,
+      reason
+    });
+
+    if (updateDocument && REGISTRATION_METHODS.includes(record.method) && record.documentHash) {
+      await Document.updateOne(
+        { documentHash: record.documentHash, status: { $in: ['pending', 'uploaded'] } },
+        { status: 'failed', 'audit.updatedAt': new Date() }
+      );
+    }
+  }
+
+  async markDocumentStored(record) {
+    if (!REGISTRATION_METHODS.includes(record.method) || !record.documentHash) return;
+
+    const document = await Document.findOne({
+      documentHash: record.documentHash,
+      status: { $in: UNSETTLED_STATUSES }
+    });
+    if (!document) return;
+
+    await document.updateBlockchainInfo(
+      record.receipt.hash,
+      record.receipt.blockNumber,
+      record.receipt.gasUsed,
+      record.to
+    );
+
+    logger.info('Document registration settled by transaction tracker', {
+      documentHash: record.documentHash,
+      transactionHash: record.receipt.hash
+    });
+
+    await webhookService.emit('document.registered', document, {
+      transactionHash: document.blockchain.transactionHash,
+      blockNumber: document.blockchain.blockNumber,
+      merkleRoot: null,
+      version: document.version?.number || 1,
+      supersedes: document.version?.previousHash || null
+    });
+  }
+
+  /**
+   * Check every pending transaction once
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  async processPending(limit = 100) {
+    const results = { checked: 0, confirmed: 0, failed: 0, replaced: 0, waiting: 0 };
+    const pending = await BlockchainTransaction.findPending(limit);
+
+    for (const record of pending) {
+      try {
+        const { action } = await this.checkTransaction(record);
+        results.checked++;
+        if (results[action] !== undefined) results[action]++;
+      } catch (error) {
+        logger.error('Failed to check tracked transaction', {
+          hash: record.hash,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Summary for /api/performance/blockchain/stats
+   */
+  async getStats() {
+    const [counts, replaced, confirmation, pending] = await Promise.all([
+      BlockchainTransaction.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      BlockchainTransaction.countDocuments({ 'submissions.1': { $exists: true } }),
+      BlockchainTransaction.aggregate([
+        { $match: { status: 'confirmed', confirmedAt: { $exists: true } } },
+        { $group: { _id: null, average: { $avg: { $subtract: ['$confirmedAt', '$createdAt'] } } } }
+      ]),
+      BlockchainTransaction.findPending(20)
+    ]);
+
+    const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+    const stuckBefore = Date.now() - this.config.stuckAfterMs;
+
+    return {
+      pending: byStatus.pending || 0,
+      confirmed: byStatus.confirmed || 0,
+      failed: byStatus.failed || 0,
+      replaced,
+      stuck: pending.filter(record => new Date(record.lastSubmittedAt).getTime() < stuckBefore).length,
+      averageConfirmationMs: confirmation[0] ? Math.round(confirmation[0].average) : null,
+      pendingTransactions: pending.map(record => this.toStatusJSON(record)),
+      config: {
+        stuckAfterMs: this.config.stuckAfterMs,
+        feeBumpPercent: this.config.feeBumpPercent,
+        maxReplacements: this.config.maxReplacements
+      }
+    };
+  }
+
+  /**
+   * Public view of a tracked transaction, as consumed by TransactionStatus.js
+   */
+  toStatusJSON(record) {
+    return {
+      id: record._id,
+      hash: record.hash,
+      status: record.status,
+      method: record.method,
+      documentHash: record.documentHash,
+      nonce: record.nonce,
+      replacements: record.replacementCount,
+      submissions: record.submissions.map(({ hash, submittedAt }) => ({ hash, submittedAt })),
+      blockNumber: record.receipt?.blockNumber,
+      error: record.error,
+      submittedAt: record.createdAt,
+      confirmedAt: record.confirmedAt
+    };
+  }
+}
+
+module.exports = new TransactionTrackerService();
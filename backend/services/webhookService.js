@@ -0,0 +1,239 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { buildSignatureHeaders } = require('../utils/webhookSignature');
+const { assertPublicWebhookUrl, safeLookup } = require('../utils/webhookTarget');
+const logger = require('../utils/logger');
+
+// Deliveries connect through these agents so the address actually dialled is checked too
+const httpAgent = new http.Agent({ lookup: safeLookup });
+const httpsAgent = new https.Agent({ lookup: safeLookup });
+
+/**
+ * Outbound webhooks for document lifecycle events.
+ *
+ * emit() records one WebhookDelivery per matching subscription before returning, then
+ * attempts the deliveries in the background. Failed attempts are rescheduled with an
+ * exponential backoff and picked up again by jobs/webhookDelivery.js; once the attempts
+ * run out the delivery is marked failed and can be replayed by an admin.
+ */
+class WebhookService {
+  constructor() {
+    this.config = {
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+      retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30000,
+      timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+    };
+  }
+
+  /**
+   * Delay before the next attempt: base, 2x base, 4x base...
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    return this.config.retryBaseDelayMs * Math.pow(2, attemptCount - 1);
+  }
+
+  /**
+   * Build the event envelope sent to subscribers
+   * @param {string} eventType - One of WebhookSubscription.EVENT_TYPES
+   * @param {Object} document - Document the event concerns
+   * @param {Object} data - Event-specific fields
+   * @returns {Object} Event payload
+   */
+  buildEvent(eventType, document, data = {}) {
+    return {
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data: {
+        documentHash: document.documentHash,
+        documentType: document.metadata?.documentType,
+        issuer: document.access?.issuer,
+        owner: document.access?.owner,
+        ...data
+      }
+    };
+  }
+
+  /**
+   * Record and dispatch an event to every subscription routed to it. Never throws, so
+   * callers can emit without affecting their own response.
+   * @param {string} eventType - One of WebhookSubscription.EVENT_TYPES
+   * @param {Object} document - Document the event concerns
+   * @param {Object} data - Event-specific fields
+   * @returns {Promise<Array>} Created deliveries
+   */
+  async emit(eventType, document, data = {}) {
+    try {
+      const subscriptions = await WebhookSubscription.findForEvent(eventType, document.access?.issuer);
+      if (subscriptions.length === 0) {
+        return [];
+      }
+
+      const event = this.buildEvent(eventType, document, data);
+      const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscription: subscription._id,
+        eventId: event.id,
+        eventType,
+        documentHash: document.documentHash,
+        payload: event,
+        // The retry job only picks these up if the immediate attempt below never runs
+        nextAttemptAt: new Date(Date.now() + this.getRetryDelay(1))
+      })));
+
+      setImmediate(() => {
+        deliveries.forEach((delivery, index) => {
+          this.attemptDelivery(delivery, subscriptions[index]).catch(error => {
+            logger.error('Webhook delivery attempt crashed:', {
+              deliveryId: delivery._id,
+              error: error.message
+            });
+          });
+        });
+      });
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Failed to emit webhook event:', {
+        eventType,
+        documentHash: document?.documentHash,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} subscription - WebhookSubscription with secret selected (loaded if omitted)
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attemptDelivery(delivery, subscription = null) {
+    if (!subscription) {
+      subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+    }
+
+    const attemptedAt = new Date();
+
+    if (!subscription || !subscription.active) {
+      delivery.attempts.push({ attemptedAt, error: 'Subscription is no longer active' });
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      return delivery.save();
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const attempt = { attemptedAt };
+
+    try {
+      // The URL was checked when the subscription was saved, but its host may resolve
+      // somewhere else by now
+      await assertPublicWebhookUrl(subscription.url);
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': String(delivery._id),
+          ...buildSignatureHeaders(subscription.secret, body)
+        },
+        timeout: this.config.timeoutMs,
+        maxRedirects: 0,
+        httpAgent,
+        httpsAgent,
+        // Send the signed string as-is rather than letting axios re-serialise it
+        transformRequest: [data => data]
+      });
+      attempt.statusCode = response.status;
+    } catch (error) {
+      attempt.statusCode = error.response?.status;
+      attempt.error = error.message;
+    }
+
+    attempt.durationMs = Date.now() - attemptedAt.getTime();
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts.length >= this.config.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+      logger.warn('Webhook delivery failed permanently', {
+        deliveryId: delivery._id,
+        subscriptionId: subscription._id,
+        eventType: delivery.eventType,
+        attempts: delivery.attempts.length,
+        error: attempt.error
+      });
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(delivery.attempts.length));
+    }
+
+    await delivery.save();
+
+    if (delivery.status !== 'pending') {
+      await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastDeliveryAt: attemptedAt, lastDeliveryStatus: delivery.status } }
+      );
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed
+   * @param {number} limit - Maximum deliveries to attempt in one pass
+   * @returns {Promise<Object>} Counts by outcome
+   */
+  async processDueDeliveries(limit = 100) {
+    const deliveries = await WebhookDelivery.findDue(limit);
+    const results = { attempted: deliveries.length, delivered: 0, failed: 0, pending: 0 };
+
+    for (const delivery of deliveries) {
+      const updated = await this.attemptDelivery(delivery);
+      results[updated.status]++;
+    }
+
+    return results;
+  }
+
+  /**
+   * Send a delivery again as a new delivery record. The event id is kept so receivers
+   * can recognise the duplicate; the signature is fresh.
+   * @param {Object} delivery - WebhookDelivery to replay
+   * @param {string} replayedBy - Address of the admin replaying it
+   * @returns {Promise<Object>} The replay delivery after its first attempt
+   */
+  async replay(delivery, replayedBy) {
+    const replay = await WebhookDelivery.create({
+      subscription: delivery.subscription,
+      eventId: delivery.eventId,
+      eventType: delivery.eventType,
+      documentHash: delivery.documentHash,
+      payload: delivery.payload,
+      replayOf: delivery._id,
+      replayedBy,
+      nextAttemptAt: new Date(Date.now() + this.getRetryDelay(1))
+    });
+
+    logger.info('Webhook delivery replayed', {
+      deliveryId: delivery._id,
+      replayId: replay._id,
+      replayedBy
+    });
+
+    return this.attemptDelivery(replay);
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,260 @@
+const http = require('http');
+const net = require('net');
+const request = require('supertest');
+const express = require('express');
+const AlertChannel = require('../models/AlertChannel');
+const alertNotificationService = require('../services/alertNotificationService');
+const { monitoring, SecurityAlert } = require('../utils/monitoring');
+const { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../utils/webhookSignature');
+
+// The channel routes are admin-only; sign requests in as an admin instead of the default issuer
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateToken: (req, res, next) => {
+    req.user = {
+      _id: 'test-admin-id',
+      walletAddress: '0x1234567890123456789012345678901234567890',
+      role: 'admin',
+      permissions: {}
+    };
+    next();
+  }
+}));
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+
+// Local stand-in for a webhook receiver: records signed requests and fails the first `failures`
+const startWebhookServer = (failures = 0) => new Promise(resolve => {
+  const received = [];
+  let remainingFailures = failures;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = remainingFailures-- > 0 ? 500 : 200;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hooks/alerts` });
+  });
+});
+
+// Minimal SMTP stand-in that accepts every message and keeps its DATA section
+const startSmtpServer = () => new Promise(resolve => {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 localhost ESMTP test\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while (buffer.length > 0) {
+        if (inData) {
+          index = buffer.indexOf('\r\n.\r\n');
+          if (index === -1) return;
+          messages.push(buffer.slice(0, index));
+          buffer = buffer.slice(index + 5);
+          inData = false;
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+        index = buffer.indexOf('\r\n');
+        if (index === -1) return;
+        const command = buffer.slice(0, index).toUpperCase();
+        buffer = buffer.slice(index + 2);
+        if (command.startsWith('EHLO') || command.startsWith('HELO')) {
+          socket.write('250 localhost\r\n');
+        } else if (command === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, messages, port: server.address().port });
+  });
+});
+
+const createAlert = (overrides = {}) => SecurityAlert.create({
+  alertType: 'multiple_failed_attempts',
+  severity: 'critical',
+  description: 'Repeated failed verifications from one address',
+  source: { walletAddress: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcd' },
+  ...overrides
+});
+
+describe('Alert Notifications', () => {
+  let webhook;
+  let smtp;
+  const originalConfig = { ...alertNotificationService.config };
+
+  beforeAll(async () => {
+    alertNotificationService.config.retryDelayMs = 0;
+    smtp = await startSmtpServer();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+  });
+
+  afterAll(async () => {
+    alertNotificationService.config = originalConfig;
+    delete process.env.SMTP_HOST;
+    delete process.env.SMTP_PORT;
+    await new Promise(resolve => smtp.server.close(resolve));
+  });
+
+  afterEach(async () => {
+    if (webhook) {
+      await new Promise(resolve => webhook.server.close(resolve));
+      webhook = null;
+    }
+  });
+
+  describe('Delivery', () => {
+    it('should sign webhook deliveries with the channel secret', async () => {
+      webhook = await startWebhookServer();
+      await AlertChannel.create({
+        name: 'ops-webhook',
+        type: 'webhook',
+        config: { url: webhook.url, secret: WEBHOOK_SECRET }
+      });
+      const alert = await createAlert();
+
+      await monitoring.sendAlertNotification(alert);
+
+      expect(webhook.received).toHaveLength(1);
+      const { headers, body } = webhook.received[0];
+      expect(verifySignature(
+        WEBHOOK_SECRET,
+        headers[TIMESTAMP_HEADER.toLowerCase()],
+        body,
+        headers[SIGNATURE_HEADER.toLowerCase()]
+      )).toBe(true);
+      expect(JSON.parse(body)).toMatchObject({
+        event: 'monitoring.alert',
+        alert: { alertId: String(alert._id), severity: 'critical' }
+      });
+    });
+
+    it('should email the channel recipients over SMTP', async () => {
+      await AlertChannel.create({
+        name: 'security-team',
+        type: 'email',
+        config: { recipients: ['security@example.com'] }
+      });
+      const alert = await createAlert();
+
+      await monitoring.sendAlertNotification(alert);
+
+      expect(smtp.messages.length).toBeGreaterThan(0);
+      expect(smtp.messages[smtp.messages.length - 1]).toMatch(/Repeated failed verifications/);
+
+      const stored = await SecurityAlert.findById(alert._id);
+      const emailRecord = stored.notificationsSent.find(record => record.channelType === 'email');
+      expect(emailRecord).toMatchObject({
+        channel: 'security-team',
+        recipient: 'security@example.com',
+        status: 'sent',
+        attempt: 1
+      });
+    });
+
+    it('should retry failed deliveries and record every attempt', async () => {
+      webhook = await startWebhookServer(1);
+      await AlertChannel.create({
+        name: 'flaky-webhook',
+        type: 'webhook',
+        config: { url: webhook.url }
+      });
+      const alert = await createAlert();
+
+      await monitoring.sendAlertNotification(alert);
+
+      const stored = await SecurityAlert.findById(alert._id);
+      const attempts = stored.notificationsSent.filter(record => record.channel === 'flaky-webhook');
+      expect(attempts.map(record => record.status)).toEqual(['failed', 'sent']);
+      expect(attempts.map(record => record.attempt)).toEqual([1, 2]);
+      expect(attempts[0].error).toMatch(/500/);
+
+      const channel = await AlertChannel.findOne({ name: 'flaky-webhook' });
+      expect(channel.lastDeliveryStatus).toBe('sent');
+    });
+
+    it('should only notify channels routed to the alert severity', async () => {
+      webhook = await startWebhookServer();
+      await AlertChannel.create({
+        name: 'critical-only',
+        type: 'webhook',
+        severities: ['critical'],
+        config: { url: webhook.url }
+      });
+      const alert = await createAlert({ severity: 'medium' });
+
+      await monitoring.sendAlertNotification(alert);
+
+      expect(webhook.received).toHaveLength(0);
+    });
+  });
+
+  describe('Channel management', () => {
+    let app;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/monitoring', require('../routes/monitoring'));
+    });
+
+    it('should create a channel without returning its secret', async () => {
+      const response = await request(app)
+        .post('/api/monitoring/notification-channels')
+        .send({
+          name: 'pager',
+          type: 'webhook',
+          severities: ['critical'],
+          config: { url: 'https://hooks.example.com/pager', secret: WEBHOOK_SECRET }
+        })
+        .expect(201);
+
+      expect(response.body.data.config.secret).toBeUndefined();
+      expect(response.body.data.config.hasSecret).toBe(true);
+
+      const listed = await request(app)
+        .get('/api/monitoring/notification-channels')
+        .expect(200);
+      expect(listed.body.data.channels).toHaveLength(1);
+      expect(listed.body.data.channels[0].config.secret).toBeUndefined();
+    });
+
+    it('should reject a channel without a destination', async () => {
+      await request(app)
+        .post('/api/monitoring/notification-channels')
+        .send({ name: 'empty', type: 'email' })
+        .expect(400);
+    });
+
+    it('should send a test notification through a channel', async () => {
+      webhook = await startWebhookServer();
+      const channel = await AlertChannel.create({
+        name: 'test-target',
+        type: 'webhook',
+        config: { url: webhook.url, secret: WEBHOOK_SECRET }
+      });
+
+      const response = await request(app)
+        .post(`/api/monitoring/notification-channels/${channel._id}/test`)
+        .expect(200);
+
+      expect(response.body.data.deliveries[0].status).toBe('sent');
+      expect(webhook.received).toHaveLength(1);
+      expect(webhook.received[0].headers[SIGNATURE_HEADER.toLowerCase()]).toMatch(/^sha256=/);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const request = require('supertest');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const VerificationLog = require('../models/VerificationLog');
+const { identifyApiKey, ipRateLimit } = require('../middleware/auth');
+
+// Mock the database connection
+jest.mock('../config/database', () => jest.fn());
+
+// Roles and keys are checked by the real auth middleware
+jest.unmock('../middleware/auth');
+
+describe('Verifier API keys', () => {
+  let app;
+  let verifierWallet;
+  let verifierToken;
+
+  const documentHash = '0x' + '7a'.repeat(32);
+
+  const signIn = async (wallet) => {
+    const nonceResponse = await request(app)
+      .post('/api/auth/nonce')
+      .send({ walletAddress: wallet.address });
+    const { nonce, message } = nonceResponse.body.data;
+
+    const response = await request(app)
+      .post('/api/auth/verify')
+      .send({
+        walletAddress: wallet.address,
+        signature: await wallet.signMessage(message),
+        message,
+        nonce
+      });
+    return response.body.data.token;
+  };
+
+  const createKey = async (fields = {}) => {
+    const response = await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${verifierToken}`)
+      .send({ name: 'Background checks', scopes: ['verify'], ...fields })
+      .expect(201);
+    return response.body.data;
+  };
+
+  const verifyWithKey = (key) => request(app)
+    .post('/api/documents/verify')
+    .set('X-API-Key', key)
+    .send({ documentHash });
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    app.use('/api/api-keys', require('../routes/apiKeys'));
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    verifierWallet = ethers.Wallet.createRandom();
+    const verifier = await User.createWithRole(verifierWallet.address, 'verifier');
+    verifier.profile.organization = 'Acme Screening';
+    await verifier.save();
+    verifierToken = await signIn(verifierWallet);
+  });
+
+  it('should create a key that is only shown once', async () => {
+    const { apiKey, key } = await createKey();
+    expect(key).toMatch(/^dvk_[0-9a-f]{16}_[0-9a-f]{64}$/);
+    expect(apiKey.organization).toBe('Acme Screening');
+    expect(apiKey.scopes).toEqual(['verify']);
+
+    const stored = await ApiKey.findOne({ keyId: apiKey.keyId }).select('+secretHash');
+    expect(stored.secretHash).not.toContain(key);
+
+    const list = await request(app)
+      .get('/api/api-keys')
+      .set('Authorization', `Bearer ${verifierToken}`)
+      .expect(200);
+    expect(list.body.data.apiKeys).toHaveLength(1);
+    expect(JSON.stringify(list.body)).not.toContain(key);
+  });
+
+  it('should not let students create keys', async () => {
+    const studentToken = await signIn(ethers.Wallet.createRandom());
+
+    await request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${studentToken}`)
+      .send({ name: 'Mine', scopes: ['verify'] })
+      .expect(403);
+  });
+
+  it('should attribute verifications to the key and report its usage', async () => {
+    const { apiKey, key } = await createKey();
+
+    const response = await verifyWithKey(key).expect(200);
+    expect(response.body.data.verification.verifier).toBe(verifierWallet.address.toLowerCase());
+    expect(response.headers['x-ratelimit-limit']).toBe('60');
+
+    const log = await VerificationLog.findOne({ documentHash });
+    expect(log.apiKeyId).toBe(apiKey.keyId);
+    expect(log.verifier).toBe(verifierWallet.address.toLowerCase());
+
+    const usage = await request(app)
+      .get(`/api/api-keys/${apiKey.keyId}/usage`)
+      .set('Authorization', `Bearer ${verifierToken}`)
+      .expect(200);
+    expect(usage.body.data.usage.totalRequests).toBe(1);
+    expect(usage.body.data.usage.verifications.total).toBe(1);
+    expect(usage.body.data.usage.verifications.byResult).toEqual({ not_found: 1 });
+  });
+
+  it('should enforce scopes', async () => {
+    const { key: verifyKey } = await createKey();
+    const { key: auditKey } = await createKey({ name: 'Audit export', scopes: ['read-audit'] });
+
+    await verifyWithKey(auditKey).expect(403);
+    await verifyWithKey(verifyKey).expect(200);
+
+    await request(app)
+      .get('/api/documents/verifications')
+      .set('X-API-Key', verifyKey)
+      .expect(403);
+
+    const history = await request(app)
+      .get('/api/documents/verifications')
+      .set('X-API-Key', auditKey)
+      .expect(200);
+    expect(history.body.data.verifications).toHaveLength(1);
+  });
+
+  it('should apply the key\'s own rate limit', async () => {
+    const { apiKey, key } = await createKey({ rateLimit: { perMinute: 2 } });
+
+    await verifyWithKey(key).expect(200);
+    await verifyWithKey(key).expect(200);
+    const limited = await verifyWithKey(key).expect(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+
+    const stored = await ApiKey.findOne({ keyId: apiKey.keyId });
+    expect(stored.usage.totalRequests).toBe(3);
+    expect(stored.usage.rateLimitedRequests).toBe(1);
+  });
+
+  it('should only raise the IP rate limit for working keys', async () => {
+    // Mounted as in server.js, allowing one request per IP without a working key
+    const limitedApp = () => {
+      const limited = express();
+      limited.use(identifyApiKey);
+      limited.use(rateLimit({ windowMs: 60 * 1000, max: ipRateLimit(60 * 1000, 1) }));
+      limited.get('/ping', (req, res) => res.json({ success: true }));
+      return limited;
+    };
+
+    const { key } = await createKey({ rateLimit: { perMinute: 3 } });
+    const forged = key.slice(0, -4) + '0000';
+
+    const forgedApp = limitedApp();
+    await request(forgedApp).get('/ping').set('X-API-Key', forged).expect(200);
+    await request(forgedApp).get('/ping').set('X-API-Key', forged).expect(429);
+
+    const keyedApp = limitedApp();
+    for (let i = 0; i < 3; i++) {
+      await request(keyedApp).get('/ping').set('X-API-Key', key).expect(200);
+    }
+    await request(keyedApp).get('/ping').set('X-API-Key', key).expect(429);
+  });
+
+  it('should not count keyed credential verifications against the IP limit', async () => {
+    const { key } = await createKey({ rateLimit: { perMinute: 100 } });
+
+    // The route allows 60 requests per IP without a key
+    for (let i = 0; i < 61; i++) {
+      const response = await request(app)
+        .post('/api/documents/credentials/verify')
+        .set('X-API-Key', key)
+        .send({ credential: 'not-a-jwt' });
+      expect(response.status).not.toBe(429);
+    }
+
+    const anonymous = await request(app)
+      .post('/api/documents/credentials/verify')
+      .send({ credential: 'not-a-jwt' });
+    expect(anonymous.status).not.toBe(429);
+  });
+
+  it('should rotate keys with a grace period and revoke them', async () => {
+    const { apiKey, key: oldKey } = await createKey();
+
+    const rotated = await request(app)
+      .post(`/api/api-keys/${apiKey.keyId}/rotate`)
+      .set('Authorization', `Bearer ${verifierToken}`)
+      .send({ gracePeriodHours: 1 })
+      .expect(201);
+    const { key: newKey } = rotated.body.data;
+    expect(rotated.body.data.apiKey.rotatedFrom).toBe(apiKey.keyId);
+    expect(rotated.body.data.previous.replacedBy).toBe(rotated.body.data.apiKey.keyId);
+
+    // Both keys work during the grace period
+    await verifyWithKey(oldKey).expect(200);
+    await verifyWithKey(newKey).expect(200);
+
+    await request(app)
+      .delete(`/api/api-keys/${apiKey.keyId}`)
+      .set('Authorization', `Bearer ${verifierToken}`)
+      .expect(200);
+    const revoked = await verifyWithKey(oldKey).expect(401);
+    expect(revoked.body.error).toBe('API key has been revoked');
+  });
+
+  it('should reject unknown keys', async () => {
+    const { key } = await createKey();
+    const forged = key.slice(0, -4) + '0000';
+
+    const response = await verifyWithKey(forged).expect(401);
+    expect(response.body.error).toBe('Invalid API key');
+  });
+});
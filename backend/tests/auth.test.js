@@ -10,6 +10,7 @@ jest.mock('../config/database', () => jest.fn());
 // Unmock auth middleware for this test file since we're testing auth functionality
 jest.unmock('../middleware/auth');
 const { generateSignMessage, verifySignature } = require('../middleware/auth');
+const { createSiweMessage } = require('../utils/siwe');
 
 describe('Authentication System', () => {
   let app;
@@ -154,6 +155,24 @@ describe('Authentication System', () => {
       expect(response.body.error).toBe('Invalid or expired nonce');
     });
 
+    it('should not accept an old legacy signature with a fresh nonce', async () => {
+      const freshNonce = (await request(app)
+        .post('/api/auth/nonce')
+        .send({ walletAddress: testWallet.address })).body.data.nonce;
+
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send({
+          walletAddress: testWallet.address,
+          signature,
+          message,
+          nonce: freshNonce
+        })
+        .expect(401);
+
+      expect(response.body.details).toBe('Message does not carry the current nonce');
+    });
+
     it('should reject missing required fields', async () => {
       const response = await request(app)
         .post('/api/auth/verify')
@@ -168,6 +187,110 @@ describe('Authentication System', () => {
     });
   });
 
+  describe('Sign-In with Ethereum', () => {
+    const signIn = async (overrides = {}) => {
+      const nonceResponse = await request(app)
+        .post('/api/auth/nonce')
+        .send({ walletAddress: testWallet.address });
+      const { nonce, expiresAt } = nonceResponse.body.data;
+
+      const message = createSiweMessage({
+        domain: 'localhost:3000',
+        address: testWallet.address,
+        statement: 'Sign in to the Blockchain Document Verification System.',
+        uri: 'http://localhost:3000',
+        chainId: 11155111,
+        nonce,
+        issuedAt: new Date().toISOString(),
+        expirationTime: expiresAt,
+        ...overrides
+      });
+
+      return request(app)
+        .post('/api/auth/verify')
+        .send({
+          walletAddress: testWallet.address,
+          signature: await testWallet.signMessage(message),
+          message
+        });
+    };
+
+    beforeAll(() => {
+      process.env.SIWE_CHAIN_IDS = '11155111';
+    });
+
+    afterAll(() => {
+      delete process.env.SIWE_CHAIN_IDS;
+      delete process.env.SIWE_ALLOW_LEGACY;
+    });
+
+    it('should authenticate with a message bound to this domain and chain', async () => {
+      const response = await signIn().expect(200);
+
+      expect(response.body.data).toHaveProperty('token');
+      expect(response.body.data.user.walletAddress).toBe(testWallet.address.toLowerCase());
+    });
+
+    it('should reject messages for another domain or chain', async () => {
+      let response = await signIn({ domain: 'evil.example.com', uri: 'https://evil.example.com' }).expect(401);
+      expect(response.body.details).toBe('Domain evil.example.com is not accepted');
+
+      response = await signIn({ chainId: 1 }).expect(401);
+      expect(response.body.details).toBe('Chain ID 1 is not accepted');
+    });
+
+    it('should reject expired nonces', async () => {
+      const nonceResponse = await request(app)
+        .post('/api/auth/nonce')
+        .send({ walletAddress: testWallet.address });
+      const { nonce } = nonceResponse.body.data;
+      await User.updateOne(
+        { walletAddress: testWallet.address.toLowerCase() },
+        { 'session.nonceExpiresAt': new Date(Date.now() - 1000) }
+      );
+
+      const message = createSiweMessage({
+        domain: 'localhost:3000',
+        address: testWallet.address,
+        uri: 'http://localhost:3000',
+        chainId: 11155111,
+        nonce,
+        issuedAt: new Date().toISOString()
+      });
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send({
+          walletAddress: testWallet.address,
+          signature: await testWallet.signMessage(message),
+          message
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid or expired nonce');
+    });
+
+    it('should reject legacy messages once the transition is over', async () => {
+      process.env.SIWE_ALLOW_LEGACY = 'false';
+      const nonceResponse = await request(app)
+        .post('/api/auth/nonce')
+        .send({ walletAddress: testWallet.address });
+      const { nonce, message } = nonceResponse.body.data;
+
+      const response = await request(app)
+        .post('/api/auth/verify')
+        .send({
+          walletAddress: testWallet.address,
+          signature: await testWallet.signMessage(message),
+          message,
+          nonce
+        })
+        .expect(400);
+
+      expect(response.body.error).toBe('A Sign-In with Ethereum message is required');
+      delete process.env.SIWE_ALLOW_LEGACY;
+    });
+  });
+
   describe('Authentication Middleware', () => {
     let authToken;
 
@@ -0,0 +1,202 @@
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const ChainEvent = require('../models/ChainEvent');
+const IndexerCheckpoint = require('../models/IndexerCheckpoint');
+const chainIndexerService = require('../services/chainIndexerService');
+const { createTestDocument, createTestUser } = require('./setup');
+
+const REGISTRY_ADDRESS = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const ACCESS_CONTROL_ADDRESS = '0xe7f1725e7734ce288f8367e1bb143e90bb3f0512';
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const VIEWER = '0x2222222222222222222222222222222222222222';
+const NEW_OWNER = '0x3333333333333333333333333333333333333333';
+
+const registry = new ethers.Interface(require('../contracts/DocumentRegistry.json').abi);
+const accessControl = new ethers.Interface(require('../contracts/AccessControl.json').abi);
+
+/**
+ * In-memory chain exposing the provider calls the indexer makes. Each mined block holds
+ * the given events; reorg() replaces blocks from a height with differently hashed ones.
+ */
+const createFakeChain = () => {
+  const blocks = [];
+  let fork = 0;
+
+  const mine = (events = []) => {
+    const number = blocks.length;
+    const hash = ethers.id(`block-${number}-fork-${fork}`);
+    const logs = events.map(([iface, address, name, args], index) => {
+      const { data, topics } = iface.encodeEventLog(name, args);
+      return {
+        address,
+        data,
+        topics,
+        index,
+        blockNumber: number,
+        blockHash: hash,
+        transactionHash: ethers.id(`tx-${number}-${index}-fork-${fork}`)
+      };
+    });
+    blocks.push({ number, hash, timestamp: 1700000000 + number * 12, logs });
+    return blocks[number];
+  };
+
+  return {
+    mine,
+    reorg(fromBlock) {
+      fork++;
+      blocks.length = fromBlock;
+    },
+    provider: {
+      getBlock: async (tag) => {
+        const block = tag === 'latest' ? blocks[blocks.length - 1] : blocks[tag];
+        return block ? { number: block.number, hash: block.hash, timestamp: block.timestamp } : null;
+      },
+      getLogs: async ({ fromBlock, toBlock }) => blocks
+        .slice(fromBlock, toBlock + 1)
+        .flatMap(block => block.logs)
+    }
+  };
+};
+
+const registered = (document) => [
+  registry, REGISTRY_ADDRESS, 'DocumentRegistered',
+  [document.documentHash, document.access.issuer, document.access.owner, document.ipfsHash, 'certificate']
+];
+const accessGranted = (document, viewer) => [
+  registry, REGISTRY_ADDRESS, 'AccessGranted', [document.documentHash, viewer, document.access.owner]
+];
+
+describe('Chain Event Indexer', () => {
+  let chain;
+  let document;
+  const originalConfig = { ...chainIndexerService.config };
+
+  beforeEach(async () => {
+    process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY = REGISTRY_ADDRESS;
+    process.env.CONTRACT_ADDRESS_ACCESS_CONTROL = ACCESS_CONTROL_ADDRESS;
+
+    chain = createFakeChain();
+    chain.mine(); // genesis
+    chainIndexerService.provider = chain.provider;
+    chainIndexerService.config = { ...originalConfig, startBlock: 0, confirmations: 0 };
+
+    document = await createTestDocument(OWNER, { status: 'failed' });
+  });
+
+  afterEach(() => {
+    chainIndexerService.provider = null;
+    chainIndexerService.config = originalConfig;
+    delete process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY;
+    delete process.env.CONTRACT_ADDRESS_ACCESS_CONTROL;
+  });
+
+  it('should mark a document stored when its registration is mined after the API gave up', async () => {
+    const block = chain.mine([registered(document)]);
+
+    const result = await chainIndexerService.sync();
+
+    expect(result).toMatchObject({ events: 1, applied: 1 });
+    const updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.status).toBe('blockchain_stored');
+    expect(updated.blockchain.transactionHash).toBe(block.logs[0].transactionHash);
+
+    const checkpoint = await IndexerCheckpoint.findOne({ name: 'chain-events' });
+    expect(checkpoint.lastProcessedBlock).toBe(block.number);
+  });
+
+  it('should pick up access granted directly on-chain and not reprocess it', async () => {
+    chain.mine([accessGranted(document, VIEWER)]);
+
+    await chainIndexerService.sync();
+    const second = await chainIndexerService.sync();
+
+    expect(second.events).toBe(0);
+    const updated = await Document.findOne({ documentHash: document.documentHash });
+    expect([...updated.access.authorizedViewers]).toEqual([VIEWER]);
+  });
+
+  it('should record events that are already reflected in MongoDB as in sync', async () => {
+    await Document.updateOne({ documentHash: document.documentHash }, { 'access.authorizedViewers': [VIEWER] });
+    chain.mine([accessGranted(document, VIEWER)]);
+
+    const result = await chainIndexerService.sync();
+
+    expect(result).toMatchObject({ events: 1, inSync: 1 });
+  });
+
+  it('should update user roles assigned on-chain', async () => {
+    const user = await createTestUser();
+    chain.mine([[accessControl, ACCESS_CONTROL_ADDRESS, 'RoleAssigned', [user.walletAddress, 2, OWNER]]]);
+
+    await chainIndexerService.sync();
+
+    const updated = await User.findById(user._id);
+    expect(updated.role).toBe('issuer');
+  });
+
+  it('should follow storage moves from the CID MongoDB still has', async () => {
+    const migratedCid = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+    const storageUpdated = (from, to) => [
+      registry, REGISTRY_ADDRESS, 'DocumentStorageUpdated', [document.documentHash, OWNER, from, to]
+    ];
+    chain.mine([storageUpdated(document.ipfsHash, migratedCid)]);
+    // A stale move from a CID the document no longer uses is ignored
+    chain.mine([storageUpdated('QmStaleHash1234567890123456789012345678901234', document.ipfsHash)]);
+
+    const result = await chainIndexerService.sync();
+
+    expect(result).toMatchObject({ events: 2, applied: 1, inSync: 1 });
+    const updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.ipfsHash).toBe(migratedCid);
+  });
+
+  it('should only index blocks with enough confirmations', async () => {
+    chainIndexerService.config.confirmations = 2;
+    chain.mine([accessGranted(document, VIEWER)]);
+    chain.mine();
+
+    await chainIndexerService.sync();
+    expect(await ChainEvent.countDocuments()).toBe(0);
+
+    chain.mine();
+    await chainIndexerService.sync();
+    expect(await ChainEvent.countDocuments()).toBe(1);
+  });
+
+  it('should undo events from blocks dropped by a reorg and apply the canonical chain', async () => {
+    chain.mine([accessGranted(document, VIEWER)]);
+    const forkPoint = chain.mine().number;
+    chain.mine([
+      [registry, REGISTRY_ADDRESS, 'OwnershipTransferred', [document.documentHash, OWNER, NEW_OWNER]],
+      [registry, REGISTRY_ADDRESS, 'DocumentDeactivated', [document.documentHash, OWNER, 'Issued in error']]
+    ]);
+
+    await chainIndexerService.sync();
+    let updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.access.owner).toBe(NEW_OWNER);
+    expect(updated.isActive).toBe(false);
+
+    // The transfer and deactivation are replaced by a revocation of the viewer's access
+    chain.reorg(forkPoint + 1);
+    chain.mine([[registry, REGISTRY_ADDRESS, 'AccessRevoked', [document.documentHash, VIEWER, OWNER]]]);
+    chain.mine();
+
+    const result = await chainIndexerService.sync();
+
+    expect(result.reorg).toEqual({ forkBlock: forkPoint, eventsRemoved: 2 });
+    updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.access.owner).toBe(OWNER);
+    expect(updated.isActive).toBe(true);
+    expect(updated.deactivationReason).toBeUndefined();
+    expect([...updated.access.authorizedViewers]).toEqual([]);
+
+    const status = await chainIndexerService.getStatus();
+    expect(status.checkpoint.reorgCount).toBe(1);
+    expect(status.lag).toBe(0);
+    expect(status.events.OwnershipTransferred).toBeUndefined();
+    expect(status.events.AccessRevoked).toMatchObject({ applied: 1 });
+  });
+});
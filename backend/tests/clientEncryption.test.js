@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const { createTestDocument } = require('./setup');
+
+const encryptionService = jest.requireActual('../services/encryptionService');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+const publicKey = () => {
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.generateKeys();
+  return '0x' + ecdh.getPublicKey('hex', 'uncompressed');
+};
+
+const wrappedKey = (overrides = {}) => JSON.stringify({
+  version: 1,
+  ephemeralPublicKey: publicKey(),
+  iv: crypto.randomBytes(12).toString('base64'),
+  ciphertext: crypto.randomBytes(48).toString('base64'),
+  ...overrides
+});
+
+const encryptedLength = async (plaintext, chunkSize) => {
+  const stream = encryptionService.createEncryptStream(encryptionService.generateKey(), chunkSize);
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    stream.on('end', resolve);
+    stream.on('error', reject);
+  });
+  stream.end(plaintext);
+  await done;
+  return Buffer.concat(chunks).length;
+};
+
+describe('Client-side Encryption', () => {
+  describe('encryptionService', () => {
+    it('should accept only uncompressed secp256k1 points as encryption keys', () => {
+      expect(encryptionService.isValidEncryptionPublicKey(publicKey())).toBe(true);
+      expect(encryptionService.isValidEncryptionPublicKey('0x04' + '00'.repeat(64))).toBe(false);
+      expect(encryptionService.isValidEncryptionPublicKey(publicKey().replace('0x04', '0x03'))).toBe(false);
+      expect(encryptionService.isValidEncryptionPublicKey(undefined)).toBe(false);
+    });
+
+    it('should check the shape of wrapped document keys', () => {
+      expect(encryptionService.isValidWrappedKey(wrappedKey())).toBe(true);
+      expect(encryptionService.isValidWrappedKey(wrappedKey({ version: 2 }))).toBe(false);
+      expect(encryptionService.isValidWrappedKey(wrappedKey({ iv: crypto.randomBytes(16).toString('base64') }))).toBe(false);
+      expect(encryptionService.isValidWrappedKey(wrappedKey({ ciphertext: crypto.randomBytes(32).toString('base64') }))).toBe(false);
+      expect(encryptionService.isValidWrappedKey('not json')).toBe(false);
+    });
+
+    it('should predict the size of files in the chunked format', async () => {
+      for (const size of [0, 1, 1024, 2048, 5000]) {
+        const plaintext = crypto.randomBytes(size);
+        expect(encryptionService.getEncryptedSize(size, 1024)).toBe(await encryptedLength(plaintext, 1024));
+      }
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+    let document;
+    let ownerAddress;
+    let viewerAddress;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/documents', require('../routes/documents'));
+    });
+
+    beforeEach(async () => {
+      ownerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+      viewerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+
+      document = await createTestDocument(ownerAddress, {
+        encryptionMode: 'client',
+        encryptionKey: undefined,
+        access: { owner: ownerAddress, issuer: ISSUER_ADDRESS, authorizedViewers: [] },
+        wrappedKeys: [
+          { address: ownerAddress, wrappedKey: wrappedKey(), wrappedBy: ISSUER_ADDRESS },
+          { address: ISSUER_ADDRESS, wrappedKey: wrappedKey(), wrappedBy: ISSUER_ADDRESS }
+        ]
+      });
+    });
+
+    it('should return the document key wrapped for the caller', async () => {
+      const response = await request(app)
+        .get(`/api/documents/${document.documentHash}/wrapped-key`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        address: ISSUER_ADDRESS,
+        wrappedKey: document.getWrappedKey(ISSUER_ADDRESS).wrappedKey,
+        wrappedBy: ISSUER_ADDRESS
+      });
+    });
+
+    it('should require a wrapped key to share an end-to-end encrypted document', async () => {
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress, accessLevel: 'view' })
+        .expect(400);
+
+      const key = wrappedKey();
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress, accessLevel: 'view', wrappedKey: key })
+        .expect(200);
+
+      let stored = await Document.findById(document._id);
+      expect(stored.getWrappedKey(viewerAddress)).toMatchObject({ wrappedKey: key, wrappedBy: ISSUER_ADDRESS });
+
+      await request(app)
+        .delete(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress })
+        .expect(200);
+
+      stored = await Document.findById(document._id);
+      expect(stored.getWrappedKey(viewerAddress)).toBeNull();
+      expect(stored.wrappedKeys).toHaveLength(2);
+    });
+
+    it('should send the stored ciphertext without decrypting it', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document.documentHash}/download`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['x-encryption-mode']).toBe('client');
+      expect(response.body.toString()).toBe('test file content');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const blockchainService = require('../services/blockchainService');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+describe('Verifiable Credentials', () => {
+  let app;
+  let document;
+  let signingWallet;
+  const originalPrivateKey = process.env.PRIVATE_KEY;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    signingWallet = ethers.Wallet.createRandom();
+    process.env.PRIVATE_KEY = signingWallet.privateKey;
+
+    blockchainService.verifyDocument.mockResolvedValue({
+      isValid: true,
+      isActive: true,
+      issuer: signingWallet.address,
+      owner: ISSUER_ADDRESS
+    });
+
+    document = await createTestDocument(ISSUER_ADDRESS, {
+      access: { owner: ISSUER_ADDRESS, issuer: ISSUER_ADDRESS, authorizedViewers: [] },
+      status: 'blockchain_stored',
+      blockchain: {
+        transactionHash: '0x1234567890123456789012345678901234567890123456789012345678901234',
+        blockNumber: 12345
+      }
+    });
+  });
+
+  afterAll(() => {
+    process.env.PRIVATE_KEY = originalPrivateKey;
+  });
+
+  const issueCredential = async () => {
+    const response = await request(app)
+      .get(`/api/documents/${document.documentHash}/credential`)
+      .expect(200);
+    return response.body.data;
+  };
+
+  it('should issue a VC-JWT signed by the registry issuer key', async () => {
+    const { jwt, credential } = await issueCredential();
+
+    expect(jwt.split('.')).toHaveLength(3);
+    expect(credential.type).toContain('VerifiableCredential');
+    expect(credential.issuer.toLowerCase()).toContain(signingWallet.address.toLowerCase());
+    expect(credential.credentialSubject.documentHash).toBe(document.documentHash);
+    expect(credential.evidence[0].transactionHash).toBe(document.blockchain.transactionHash);
+  });
+
+  it('should refuse to issue for documents not yet on-chain', async () => {
+    const pending = await createTestDocument(ISSUER_ADDRESS, {
+      access: { owner: ISSUER_ADDRESS, issuer: ISSUER_ADDRESS, authorizedViewers: [] },
+      status: 'uploaded'
+    });
+
+    await request(app)
+      .get(`/api/documents/${pending.documentHash}/credential`)
+      .expect(409);
+  });
+
+  it('should verify a valid credential against the registry', async () => {
+    const { jwt } = await issueCredential();
+
+    const response = await request(app)
+      .post('/api/documents/credentials/verify')
+      .send({ credential: jwt })
+      .expect(200);
+
+    expect(response.body.data.verification.isValid).toBe(true);
+    expect(response.body.data.verification.checks).toEqual({
+      format: true,
+      signature: true,
+      notExpired: true,
+      registry: true,
+      issuerMatchesRegistry: true
+    });
+  });
+
+  it('should reject a credential whose claims were altered', async () => {
+    const { jwt } = await issueCredential();
+    const [header, payload, signature] = jwt.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    claims.vc.credentialSubject.studentName = 'Someone Else';
+    const forged = `${header}.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.${signature}`;
+
+    const response = await request(app)
+      .post('/api/documents/credentials/verify')
+      .send({ credential: forged })
+      .expect(200);
+
+    expect(response.body.data.verification.isValid).toBe(false);
+    expect(response.body.data.verification.checks.signature).toBe(false);
+  });
+
+  it('should reject a credential when the registry issuer differs', async () => {
+    const { jwt } = await issueCredential();
+
+    blockchainService.verifyDocument.mockResolvedValue({
+      isValid: true,
+      isActive: true,
+      issuer: ethers.Wallet.createRandom().address
+    });
+
+    const response = await request(app)
+      .post('/api/documents/credentials/verify')
+      .send({ credential: jwt })
+      .expect(200);
+
+    expect(response.body.data.verification.isValid).toBe(false);
+    expect(response.body.data.verification.checks.issuerMatchesRegistry).toBe(false);
+  });
+});
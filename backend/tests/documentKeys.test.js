@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const User = require('../models/User');
+const ipfsService = require('../services/ipfsService');
+const documentKeyService = require('../services/documentKeyService');
+const { createTestDocument } = require('./setup');
+
+const encryptionService = jest.requireActual('../services/encryptionService');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+// The mocked ipfsService.retrieveFileStream serves this content and the mocked
+// encryption streams pass it through unchanged
+const FILE_CONTENT = 'test file content';
+
+const encryptionKeyPair = () => {
+  const ecdh = crypto.createECDH('secp256k1');
+  ecdh.generateKeys();
+  return {
+    privateKey: '0x' + ecdh.getPrivateKey('hex').padStart(64, '0'),
+    publicKey: '0x' + ecdh.getPublicKey('hex', 'uncompressed')
+  };
+};
+
+// Stored key record in the shape the mocked decryptKeyFromStorage in setup.js reads
+const storedKey = (encryptionKey) => JSON.stringify({
+  encryptedKey: Buffer.from(encryptionKey + '_encrypted').toString('base64'),
+  iv: crypto.randomBytes(16).toString('base64')
+});
+
+const createReader = async (withKey = true) => {
+  const walletAddress = ethers.Wallet.createRandom().address.toLowerCase();
+  const keys = encryptionKeyPair();
+  await User.create({
+    walletAddress,
+    role: 'student',
+    profile: { name: 'Reader' },
+    encryptionPublicKey: withKey ? keys.publicKey : undefined
+  });
+  return { walletAddress, ...keys };
+};
+
+describe('Per-reader document keys', () => {
+  describe('encryptionService', () => {
+    it('should wrap a document key that only the reader can unwrap', () => {
+      const reader = encryptionKeyPair();
+      const encryptionKey = encryptionService.generateKey();
+
+      const wrappedKey = encryptionService.wrapKeyForReader(encryptionKey, reader.publicKey);
+
+      expect(encryptionService.isValidWrappedKey(wrappedKey)).toBe(true);
+      expect(encryptionService.unwrapKeyForReader(wrappedKey, reader.privateKey)).toBe(encryptionKey);
+      expect(() => encryptionService.unwrapKeyForReader(wrappedKey, encryptionKeyPair().privateKey))
+        .toThrow('Document key was not wrapped for this key');
+    });
+
+    it('should reject invalid reader keys', () => {
+      expect(() => encryptionService.wrapKeyForReader(encryptionService.generateKey(), '0x04' + '00'.repeat(64)))
+        .toThrow('Invalid encryption public key');
+    });
+  });
+
+  describe('Routes', () => {
+    let app;
+    let document;
+    let encryptionKey;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/documents', require('../routes/documents'));
+    });
+
+    beforeEach(async () => {
+      const ownerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+      encryptionKey = encryptionService.generateKey();
+      document = await createTestDocument(ownerAddress, {
+        documentHash: '0x' + crypto.createHash('sha256').update(FILE_CONTENT).digest('hex'),
+        encryptionKey: storedKey(encryptionKey),
+        access: { owner: ownerAddress, issuer: ISSUER_ADDRESS, authorizedViewers: [] }
+      });
+    });
+
+    const share = (viewerAddress, accessLevel = 'view') => request(app)
+      .post(`/api/documents/${document.documentHash}/share`)
+      .send({ viewerAddress, accessLevel });
+
+    it('should wrap the document key for a viewer with an encryption key', async () => {
+      const reader = await createReader();
+
+      const response = await share(reader.walletAddress).expect(200);
+      expect(response.body.data.keyWrapped).toBe(true);
+
+      const stored = await Document.findById(document._id);
+      const entry = stored.getWrappedKey(reader.walletAddress);
+      expect(entry).toMatchObject({ wrappedBy: ISSUER_ADDRESS, keyVersion: 1 });
+      expect(encryptionService.unwrapKeyForReader(entry.wrappedKey, reader.privateKey)).toBe(encryptionKey);
+    });
+
+    it('should still grant access to viewers without an encryption key', async () => {
+      const reader = await createReader(false);
+
+      const response = await share(reader.walletAddress).expect(200);
+      expect(response.body.data.keyWrapped).toBe(false);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.hasAccess(reader.walletAddress, 'view')).toBe(true);
+      expect(stored.getWrappedKey(reader.walletAddress)).toBeNull();
+    });
+
+    it('should rotate the key and re-wrap it for the remaining readers on revocation', async () => {
+      const revoked = await createReader();
+      const remaining = await createReader();
+      await share(revoked.walletAddress).expect(200);
+      await share(remaining.walletAddress).expect(200);
+
+      const newCid = 'QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG';
+      ipfsService.uploadFile.mockResolvedValueOnce({ cid: newCid, contentHash: 'abc', replicas: [] });
+
+      const response = await request(app)
+        .delete(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress: revoked.walletAddress })
+        .expect(200);
+      expect(response.body.data.keyRotation).toMatchObject({ status: 'pending', keyVersion: 2 });
+
+      await documentKeyService.waitForRotation(document._id);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.keyVersion).toBe(2);
+      expect(stored.ipfsHash).toBe(newCid);
+      expect(stored.keyRotations[0]).toMatchObject({
+        status: 'completed',
+        revokedReader: revoked.walletAddress,
+        fromIpfsHash: document.ipfsHash,
+        toIpfsHash: newCid
+      });
+      expect(stored.getWrappedKey(revoked.walletAddress)).toBeNull();
+
+      const entry = stored.getWrappedKey(remaining.walletAddress);
+      expect(entry.keyVersion).toBe(2);
+      const rotatedKey = encryptionService.unwrapKeyForReader(entry.wrappedKey, remaining.privateKey);
+      expect(rotatedKey).not.toBe(encryptionKey);
+      expect(JSON.parse(stored.encryptionKey).encryptedKey)
+        .toBe(Buffer.from(rotatedKey + '_encrypted').toString('base64'));
+    });
+
+    it('should not rotate the key when the viewer held no copy of it', async () => {
+      const reader = await createReader(false);
+      await share(reader.walletAddress).expect(200);
+
+      const response = await request(app)
+        .delete(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress: reader.walletAddress })
+        .expect(200);
+
+      expect(response.body.data.keyRotation).toBeNull();
+      const stored = await Document.findById(document._id);
+      expect(stored.keyVersion).toBe(1);
+      expect(stored.keyRotations).toHaveLength(0);
+    });
+
+    it('should list wrapped keys in the access audit', async () => {
+      const reader = await createReader();
+      await share(reader.walletAddress).expect(200);
+
+      const response = await request(app)
+        .get(`/api/documents/audit/${document.documentHash}`)
+        .expect(200);
+
+      const { keyAccess, events } = response.body.data.audit;
+      expect(keyAccess).toMatchObject({ encryptionMode: 'server', keyVersion: 1 });
+      expect(keyAccess.wrappedKeys).toEqual([
+        expect.objectContaining({ address: reader.walletAddress, wrappedBy: ISSUER_ADDRESS, keyVersion: 1 })
+      ]);
+      expect(events).toContainEqual(expect.objectContaining({
+        type: 'key_wrapped',
+        actor: ISSUER_ADDRESS,
+        details: { reader: reader.walletAddress, keyVersion: 1 }
+      }));
+    });
+  });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const shareGrantCleanupJob = require('../jobs/shareGrantCleanup');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Document Share Grants', () => {
+  let app;
+  let document;
+  let viewerAddress;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    const ownerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+    viewerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+
+    document = await createTestDocument(ownerAddress, {
+      access: { owner: ownerAddress, issuer: ISSUER_ADDRESS, authorizedViewers: [] }
+    });
+  });
+
+  describe('Document.hasAccess', () => {
+    it('should honour grant level ordering', () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR)
+      });
+
+      expect(document.hasAccess(viewerAddress, 'verify')).toBe(true);
+      expect(document.hasAccess(viewerAddress, 'view')).toBe(true);
+      expect(document.hasAccess(viewerAddress, 'download')).toBe(false);
+    });
+
+    it('should deny access once a grant has expired', () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'download',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() - 1000)
+      });
+
+      expect(document.hasAccess(viewerAddress)).toBe(false);
+    });
+
+    it('should deny access once the view limit is used up', async () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR),
+        maxViews: 2
+      });
+      await document.save();
+
+      await document.recordShareGrantUse(viewerAddress);
+      expect(document.hasAccess(viewerAddress)).toBe(true);
+
+      await document.recordShareGrantUse(viewerAddress);
+      expect(document.hasAccess(viewerAddress)).toBe(false);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.access.shareGrants[0].viewCount).toBe(2);
+    });
+
+    it('should not count past the view limit for requests that loaded the grant together', async () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR),
+        maxViews: 1
+      });
+      await document.save();
+
+      const [first, second] = await Promise.all([Document.findById(document._id), Document.findById(document._id)]);
+      expect((await first.recordShareGrantUse(viewerAddress)).modifiedCount).toBe(1);
+      expect((await second.recordShareGrantUse(viewerAddress)).modifiedCount).toBe(0);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.access.shareGrants[0].viewCount).toBe(1);
+    });
+  });
+
+  describe('Document.activeShareGrantQuery', () => {
+    it('should stop matching once the view limit is used up', async () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR),
+        maxViews: 1
+      });
+      await document.save();
+
+      expect(await Document.countDocuments(Document.activeShareGrantQuery(viewerAddress))).toBe(1);
+
+      await document.recordShareGrantUse(viewerAddress);
+      expect(await Document.countDocuments(Document.activeShareGrantQuery(viewerAddress))).toBe(0);
+    });
+
+    it('should keep matching grants without a view limit', async () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR)
+      });
+      await document.save();
+      await document.recordShareGrantUse(viewerAddress);
+
+      expect(await Document.countDocuments(Document.activeShareGrantQuery(viewerAddress))).toBe(1);
+    });
+  });
+
+  describe('POST /api/documents/:documentHash/share', () => {
+    it('should create a grant with the default expiry', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress, accessLevel: 'verify', maxViews: 5 })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.grant.level).toBe('verify');
+      expect(response.body.data.grant.maxViews).toBe(5);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.access.authorizedViewers).not.toContain(viewerAddress);
+      expect(stored.access.shareGrants).toHaveLength(1);
+
+      const ttl = stored.access.shareGrants[0].expiresAt - Date.now();
+      expect(ttl).toBeGreaterThan(29 * 24 * HOUR);
+      expect(ttl).toBeLessThanOrEqual(30 * 24 * HOUR);
+    });
+
+    it('should reject an expiry in the past', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document.documentHash}/share`)
+        .send({
+          viewerAddress,
+          accessLevel: 'view',
+          expiresAt: new Date(Date.now() - HOUR).toISOString()
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('Share expiry');
+    });
+  });
+
+  describe('DELETE /api/documents/:documentHash/share', () => {
+    it('should revoke the grant and keep the reason', async () => {
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'download',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR)
+      });
+      await document.save();
+
+      await request(app)
+        .delete(`/api/documents/${document.documentHash}/share`)
+        .send({ viewerAddress, reason: 'Application closed' })
+        .expect(200);
+
+      const stored = await Document.findById(document._id);
+      const grant = stored.access.shareGrants[0];
+      expect(grant.revokedAt).toBeDefined();
+      expect(grant.revokedBy).toBe(ISSUER_ADDRESS);
+      expect(grant.revocationReason).toBe('Application closed');
+      expect(stored.hasAccess(viewerAddress)).toBe(false);
+    });
+  });
+
+  describe('shareGrantCleanupJob', () => {
+    it('should remove expired grants and keep recently revoked ones', async () => {
+      const activeViewer = ethers.Wallet.createRandom().address.toLowerCase();
+      const revokedViewer = ethers.Wallet.createRandom().address.toLowerCase();
+
+      document.addShareGrant({
+        grantee: viewerAddress,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() - HOUR)
+      });
+      document.addShareGrant({
+        grantee: activeViewer,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR)
+      });
+      document.addShareGrant({
+        grantee: revokedViewer,
+        level: 'view',
+        grantedBy: ISSUER_ADDRESS,
+        expiresAt: new Date(Date.now() + HOUR)
+      });
+      document.revokeShareGrants(revokedViewer, ISSUER_ADDRESS, 'No longer needed');
+      await document.save();
+
+      const results = await shareGrantCleanupJob.manualRun();
+
+      expect(results.grantsRemoved).toBe(1);
+
+      const stored = await Document.findById(document._id);
+      expect(stored.access.shareGrants.map(grant => grant.grantee))
+        .toEqual([activeViewer, revokedViewer]);
+    });
+  });
+});
@@ -0,0 +1,237 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const VerificationLog = require('../models/VerificationLog');
+const { AuditLog } = require('../utils/auditLogger');
+const { generateTransferMessage } = require('../middleware/auth');
+const blockchainService = require('../services/blockchainService');
+const { createTestUser, createTestDocument } = require('./setup');
+
+jest.mock('../services/blockchainService', () => ({
+  transferOwnership: jest.fn().mockResolvedValue({
+    transactionHash: '0xabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcd',
+    blockNumber: 12346,
+    gasUsed: '52000',
+    success: true
+  })
+}));
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+describe('Document Ownership Transfer', () => {
+  let app;
+  let ownerWallet, newOwnerWallet;
+  let document;
+
+  const signTransfer = async (wallet, documentHash, newOwner, timestamp = Date.now()) => {
+    const message = generateTransferMessage(documentHash, wallet.address, newOwner, timestamp);
+    const signature = await wallet.signMessage(message);
+    return { signature, timestamp };
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+
+    ownerWallet = ethers.Wallet.createRandom();
+    newOwnerWallet = ethers.Wallet.createRandom();
+
+    await createTestUser({ walletAddress: newOwnerWallet.address.toLowerCase() });
+
+    document = await createTestDocument(ownerWallet.address.toLowerCase(), {
+      access: {
+        owner: ownerWallet.address.toLowerCase(),
+        issuer: ISSUER_ADDRESS,
+        authorizedViewers: [newOwnerWallet.address.toLowerCase()]
+      },
+      blockchain: {
+        transactionHash: '0x1234567890123456789012345678901234567890123456789012345678901234',
+        blockNumber: 12345
+      }
+    });
+  });
+
+  it('should transfer ownership with a valid owner signature', async () => {
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, newOwnerWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.previousOwner).toBe(ownerWallet.address.toLowerCase());
+    expect(response.body.data.newOwner).toBe(newOwnerWallet.address.toLowerCase());
+    expect(response.body.data.blockchain.transactionHash).toBeDefined();
+    expect(blockchainService.transferOwnership).toHaveBeenCalledWith(
+      document.documentHash,
+      newOwnerWallet.address.toLowerCase(),
+      ownerWallet.address.toLowerCase()
+    );
+
+    const updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.access.owner).toBe(newOwnerWallet.address.toLowerCase());
+    expect(updated.access.authorizedViewers).not.toContain(newOwnerWallet.address.toLowerCase());
+
+    const log = await VerificationLog.findOne({ documentHash: document.documentHash });
+    expect(log.verificationMethod).toBe('transfer');
+    expect(log.additionalInfo.previousOwner).toBe(ownerWallet.address.toLowerCase());
+    expect(log.additionalInfo.newOwner).toBe(newOwnerWallet.address.toLowerCase());
+
+    const auditEntry = await AuditLog.findOne({ resourceId: document.documentHash });
+    expect(auditEntry.eventType).toBe('document_transfer');
+    expect(auditEntry.result).toBe('success');
+  });
+
+  it('should reject a transfer signed by someone other than the owner', async () => {
+    const { signature, timestamp } = await signTransfer(
+      ethers.Wallet.createRandom(), document.documentHash, newOwnerWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(401);
+
+    expect(response.body.success).toBe(false);
+    expect(blockchainService.transferOwnership).not.toHaveBeenCalled();
+
+    const unchanged = await Document.findOne({ documentHash: document.documentHash });
+    expect(unchanged.access.owner).toBe(ownerWallet.address.toLowerCase());
+  });
+
+  it('should reject an expired transfer request', async () => {
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, newOwnerWallet.address, Date.now() - 60 * 60 * 1000
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(400);
+
+    expect(response.body.error).toContain('expired');
+  });
+
+  it('should return 404 when the new owner is not registered', async () => {
+    const unknownWallet = ethers.Wallet.createRandom();
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, unknownWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: unknownWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(404);
+
+    expect(response.body.error).toBe('New owner not found');
+  });
+
+  it('should leave the database untouched when the blockchain transfer fails', async () => {
+    blockchainService.transferOwnership.mockRejectedValueOnce(new Error('execution reverted'));
+
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, newOwnerWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(500);
+
+    expect(response.body.error).toBe('Blockchain ownership transfer failed');
+
+    const unchanged = await Document.findOne({ documentHash: document.documentHash });
+    expect(unchanged.access.owner).toBe(ownerWallet.address.toLowerCase());
+  });
+
+  it('should update the database only for documents not registered on-chain', async () => {
+    await Document.updateOne(
+      { documentHash: document.documentHash },
+      { $unset: { 'blockchain.transactionHash': 1 } }
+    );
+
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, newOwnerWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(200);
+
+    expect(blockchainService.transferOwnership).not.toHaveBeenCalled();
+    expect(response.body.data.blockchain.transactionHash).toBeUndefined();
+  });
+
+  it('should update the database only for documents anchored in a Merkle batch', async () => {
+    await Document.updateOne(
+      { documentHash: document.documentHash },
+      {
+        $set: {
+          'blockchain.merkle.root': '0x' + 'ab'.repeat(32),
+          'blockchain.merkle.proof': ['0x' + 'cd'.repeat(32)]
+        }
+      }
+    );
+
+    const { signature, timestamp } = await signTransfer(
+      ownerWallet, document.documentHash, newOwnerWallet.address
+    );
+
+    const response = await request(app)
+      .post('/api/documents/transfer')
+      .send({
+        documentHash: document.documentHash,
+        newOwner: newOwnerWallet.address,
+        signature,
+        timestamp
+      })
+      .expect(200);
+
+    expect(blockchainService.transferOwnership).not.toHaveBeenCalled();
+    expect(response.body.data.blockchain.message).toContain('Merkle batch');
+
+    const updated = await Document.findOne({ documentHash: document.documentHash });
+    expect(updated.access.owner).toBe(newOwnerWallet.address.toLowerCase());
+  });
+});
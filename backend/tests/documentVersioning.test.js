@@ -0,0 +1,142 @@
+const request = require('supertest');
+const express = require('express');
+const Document = require('../models/Document');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+const OTHER_ISSUER = '0x9999999999999999999999999999999999999999';
+
+const TRANSACTION_HASH = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+// Register a corrected copy of a document and anchor it, as the upload routes do
+const registerNewVersion = async (previous) => {
+  const next = await createTestDocument(ISSUER_ADDRESS, {
+    status: 'uploaded',
+    version: { number: previous.version.number + 1, previousHash: previous.documentHash }
+  });
+  await next.updateBlockchainInfo(TRANSACTION_HASH, 4242, 21000, ISSUER_ADDRESS);
+  return next;
+};
+
+describe('Document Versioning', () => {
+  let app;
+  let original;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    original = await createTestDocument(ISSUER_ADDRESS);
+  });
+
+  describe('Version chain', () => {
+    it('should supersede the previous version once the new one is on-chain', async () => {
+      const pending = await createTestDocument(ISSUER_ADDRESS, {
+        status: 'uploaded',
+        version: { number: 2, previousHash: original.documentHash }
+      });
+
+      let previous = await Document.findOne({ documentHash: original.documentHash });
+      expect(previous.version.supersededBy).toBeUndefined();
+
+      await pending.updateBlockchainInfo(TRANSACTION_HASH, 4242, 21000, ISSUER_ADDRESS);
+
+      previous = await Document.findOne({ documentHash: original.documentHash });
+      expect(previous.version.supersededBy).toBe(pending.documentHash);
+      expect(previous.version.supersededAt).toBeInstanceOf(Date);
+    });
+
+    it('should return every version oldest first from any point in the chain', async () => {
+      const second = await registerNewVersion(original);
+      const third = await registerNewVersion(second);
+
+      const chain = await Document.getVersionChain(second.documentHash);
+
+      expect(chain.map(entry => entry.documentHash)).toEqual([
+        original.documentHash,
+        second.documentHash,
+        third.documentHash
+      ]);
+      expect(chain.map(entry => entry.version)).toEqual([1, 2, 3]);
+    });
+
+    it('should only let one version claim a predecessor', async () => {
+      await registerNewVersion(original);
+      const competing = await createTestDocument(ISSUER_ADDRESS);
+
+      expect(await Document.markSuperseded(original.documentHash, competing.documentHash)).toBeNull();
+    });
+  });
+
+  describe('Verification', () => {
+    it('should tell a verifier holding an old copy that a newer version exists', async () => {
+      const latest = await registerNewVersion(original);
+
+      const response = await request(app)
+        .post('/api/documents/verify-hash')
+        .send({ documentHash: original.documentHash })
+        .expect(200);
+
+      expect(response.body.data.verified).toBe(true);
+      expect(response.body.data.notice).toMatch(/newer version/);
+      expect(response.body.data.versions).toMatchObject({
+        current: 1,
+        isLatest: false,
+        latestHash: latest.documentHash,
+        latestVersion: 2
+      });
+    });
+
+    it('should report the latest version without a notice', async () => {
+      const latest = await registerNewVersion(original);
+
+      const response = await request(app)
+        .get(`/api/documents/verify/${latest.documentHash}`)
+        .expect(200);
+
+      const { versions } = response.body.data.verification;
+      expect(versions.isLatest).toBe(true);
+      expect(versions.previousHash).toBe(original.documentHash);
+      expect(versions.chain).toHaveLength(2);
+    });
+  });
+
+  describe('POST /api/documents/register with supersedes', () => {
+    const registerFields = {
+      studentName: 'Test Student',
+      studentId: 'STU001',
+      ownerName: 'Test Student',
+      documentType: 'transcript',
+      issueDate: '2024-01-01'
+    };
+
+    it('should reject a missing predecessor', async () => {
+      await request(app)
+        .post('/api/documents/register')
+        .send({ ...registerFields, supersedes: '0x' + 'f'.repeat(64) })
+        .expect(404);
+    });
+
+    it('should only let the issuer register a new version', async () => {
+      const foreign = await createTestDocument(OTHER_ISSUER);
+
+      await request(app)
+        .post('/api/documents/register')
+        .send({ ...registerFields, supersedes: foreign.documentHash })
+        .expect(403);
+    });
+
+    it('should refuse to supersede a version that already has a successor', async () => {
+      await registerNewVersion(original);
+
+      await request(app)
+        .post('/api/documents/register')
+        .send({ ...registerFields, supersedes: original.documentHash })
+        .expect(409);
+    });
+  });
+});
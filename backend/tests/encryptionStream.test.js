@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const encryptionService = jest.requireActual('../services/encryptionService');
+
+const HEADER_LENGTH = 16;
+const TAG_LENGTH = 16;
+
+/**
+ * Pipe `input` (written in `writeSize` pieces) through a transform and collect the output
+ */
+const runThrough = async (transform, input, writeSize = 4096) => {
+  const pieces = [];
+  for (let offset = 0; offset < input.length; offset += writeSize) {
+    pieces.push(input.subarray(offset, offset + writeSize));
+  }
+
+  const output = [];
+  await pipeline(Readable.from(pieces), transform, async function* (source) {
+    for await (const chunk of source) {
+      output.push(chunk);
+    }
+  });
+  return Buffer.concat(output);
+};
+
+const encrypt = (plaintext, key, chunkSize = 1024) =>
+  runThrough(encryptionService.createEncryptStream(key, chunkSize), plaintext);
+
+const decrypt = (stored, key) =>
+  runThrough(encryptionService.createDecryptStream(key), stored, 1500);
+
+describe('Chunked Stream Encryption', () => {
+  let key;
+
+  beforeEach(() => {
+    key = encryptionService.generateKey();
+  });
+
+  it('should round-trip files of any length across chunk boundaries', async () => {
+    for (const length of [0, 1, 1023, 1024, 1025, 5 * 1024, 10000]) {
+      const plaintext = crypto.randomBytes(length);
+      const stored = await encrypt(plaintext, key);
+
+      expect(encryptionService.isChunkedFormat(stored)).toBe(true);
+      // Header plus one tag per chunk, with a final chunk even for empty files
+      const chunks = Math.max(1, Math.ceil(length / 1024));
+      expect(stored.length).toBe(HEADER_LENGTH + length + chunks * TAG_LENGTH);
+      expect((await decrypt(stored, key)).equals(plaintext)).toBe(true);
+    }
+  });
+
+  it('should reject tampered, reordered and truncated files', async () => {
+    const stored = await encrypt(crypto.randomBytes(3000), key);
+    const record = 1024 + TAG_LENGTH;
+
+    const tampered = Buffer.from(stored);
+    tampered[HEADER_LENGTH + 10] ^= 0x01;
+    await expect(decrypt(tampered, key)).rejects.toThrow('Chunk 0 failed authentication');
+
+    const reordered = Buffer.concat([
+      stored.subarray(0, HEADER_LENGTH),
+      stored.subarray(HEADER_LENGTH + record, HEADER_LENGTH + 2 * record),
+      stored.subarray(HEADER_LENGTH, HEADER_LENGTH + record),
+      stored.subarray(HEADER_LENGTH + 2 * record)
+    ]);
+    await expect(decrypt(reordered, key)).rejects.toThrow('failed authentication');
+
+    // Dropping whole trailing chunks leaves a chunk that was not sealed as final
+    const truncated = stored.subarray(0, HEADER_LENGTH + 2 * record);
+    await expect(decrypt(truncated, key)).rejects.toThrow('Chunk 1 failed authentication');
+
+    await expect(decrypt(stored.subarray(0, 10), key)).rejects.toThrow('truncated');
+  });
+
+  it('should reject the wrong key and unknown formats', async () => {
+    const stored = await encrypt(Buffer.from('transcript'), key);
+
+    await expect(decrypt(stored, encryptionService.generateKey())).rejects.toThrow('failed authentication');
+    await expect(decrypt(Buffer.from('%PDF-1.7 raw bytes'), key)).rejects.toMatchObject({
+      code: 'UNSUPPORTED_FORMAT'
+    });
+  });
+
+  it('should keep reading legacy AES-256-CBC envelopes', async () => {
+    const plaintext = Buffer.from('Degree certificate stored before chunked encryption');
+    const envelope = Buffer.from(JSON.stringify(encryptionService.encryptFile(plaintext, key)));
+
+    expect((await decrypt(envelope, key)).equals(plaintext)).toBe(true);
+    // Legacy envelopes carry their own key, used when the stored key is unavailable
+    expect((await decrypt(envelope, null)).equals(plaintext)).toBe(true);
+  });
+
+  it('should check streamed content against the document hash', async () => {
+    const content = crypto.randomBytes(5000);
+    const documentHash = encryptionService.generateFileHash(content);
+
+    const passed = await runThrough(encryptionService.createIntegrityCheckStream(documentHash), content);
+    expect(passed.equals(content)).toBe(true);
+
+    await expect(runThrough(encryptionService.createIntegrityCheckStream(`0x${'0'.repeat(64)}`), content))
+      .rejects.toMatchObject({ code: 'INTEGRITY_MISMATCH' });
+  });
+
+  it('should hash files on disk without reading them whole', async () => {
+    const content = crypto.randomBytes(200 * 1024);
+    const filePath = path.join(os.tmpdir(), `hash-${crypto.randomBytes(6).toString('hex')}`);
+    fs.writeFileSync(filePath, content);
+
+    try {
+      expect(await encryptionService.hashFile(filePath)).toBe(encryptionService.generateFileHash(content));
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  });
+});
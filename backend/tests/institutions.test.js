@@ -0,0 +1,251 @@
+const dns = require('dns');
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const Institution = require('../models/Institution');
+const institutionService = require('../services/institutionService');
+const blockchainService = require('../services/blockchainService');
+
+// Mock the database connection
+jest.mock('../config/database', () => jest.fn());
+
+// Roles are checked by the real auth middleware
+jest.unmock('../middleware/auth');
+
+// Request validation is part of what is tested
+jest.unmock('express-validator');
+jest.unmock('../middleware/validation');
+
+describe('Institutions', () => {
+  let app;
+  let adminWallet, institutionAdminWallet;
+  let adminToken, institutionAdminToken;
+  let institution;
+
+  const signIn = async (wallet) => {
+    const nonceResponse = await request(app)
+      .post('/api/auth/nonce')
+      .send({ walletAddress: wallet.address });
+    const { nonce, message } = nonceResponse.body.data;
+
+    const response = await request(app)
+      .post('/api/auth/verify')
+      .send({
+        walletAddress: wallet.address,
+        signature: await wallet.signMessage(message),
+        message,
+        nonce
+      });
+    return response.body.data.token;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    app.use('/api/institutions', require('../routes/institutions'));
+  });
+
+  beforeEach(async () => {
+    blockchainService.assignRoleOnChain = jest.fn().mockResolvedValue({
+      transactionHash: '0x' + 'ab'.repeat(32),
+      blockNumber: 42,
+      gasUsed: '50000',
+      success: true
+    });
+
+    adminWallet = ethers.Wallet.createRandom();
+    institutionAdminWallet = ethers.Wallet.createRandom();
+    await User.createWithRole(adminWallet.address, 'admin');
+    adminToken = await signIn(adminWallet);
+
+    const created = await request(app)
+      .post('/api/institutions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Example University', domain: 'example.edu', logoUrl: 'https://example.edu/logo.png' })
+      .expect(201);
+    institution = created.body.data.institution;
+
+    await request(app)
+      .post(`/api/institutions/${institution.id}/members`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ walletAddress: institutionAdminWallet.address, role: 'admin' })
+      .expect(201);
+    institutionAdminToken = await signIn(institutionAdminWallet);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should register institutions with unique names and public profiles', async () => {
+    expect(institution.slug).toMatch(/^example-university-[0-9a-f]{6}$/);
+    expect(institution.verified).toBe(false);
+
+    await request(app)
+      .post('/api/institutions')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'EXAMPLE UNIVERSITY' })
+      .expect(409);
+
+    const response = await request(app)
+      .get(`/api/institutions/${institution.slug}`)
+      .expect(200);
+    expect(response.body.data.institution.name).toBe('Example University');
+    expect(response.body.data.institution.logoUrl).toBe('https://example.edu/logo.png');
+  });
+
+  it('should let institution admins manage their issuers', async () => {
+    const issuerWallet = ethers.Wallet.createRandom();
+
+    const added = await request(app)
+      .post(`/api/institutions/${institution.id}/members`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .send({ walletAddress: issuerWallet.address })
+      .expect(201);
+    expect(added.body.data.member.institutionRole).toBe('issuer');
+    expect(added.body.data.roleAssignment.status).toBe('confirmed');
+
+    const issuer = await User.findByWallet(issuerWallet.address);
+    expect(issuer.role).toBe('issuer');
+    expect(issuer.profile.organization).toBe('Example University');
+
+    const members = await request(app)
+      .get(`/api/institutions/${institution.id}/members`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(200);
+    expect(members.body.data.members).toHaveLength(2);
+
+    // Issuers cannot manage the institution
+    const issuerToken = await signIn(issuerWallet);
+    await request(app)
+      .post(`/api/institutions/${institution.id}/members`)
+      .set('Authorization', `Bearer ${issuerToken}`)
+      .send({ walletAddress: ethers.Wallet.createRandom().address })
+      .expect(403);
+
+    await request(app)
+      .delete(`/api/institutions/${institution.id}/members/${issuerWallet.address}`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(200);
+    const removed = await User.findByWallet(issuerWallet.address);
+    expect(removed.role).toBe('student');
+    expect(removed.institution).toBeNull();
+    expect(blockchainService.assignRoleOnChain).toHaveBeenLastCalledWith(
+      issuerWallet.address.toLowerCase(),
+      'student',
+      institutionAdminWallet.address.toLowerCase()
+    );
+  });
+
+  it('should not let institution admins manage other institutions', async () => {
+    const other = await institutionService.createInstitution({ name: 'Other College' }, adminWallet.address);
+
+    await request(app)
+      .post(`/api/institutions/${other._id}/members`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .send({ walletAddress: ethers.Wallet.createRandom().address })
+      .expect(403);
+
+    await request(app)
+      .post(`/api/institutions/${other._id}/members`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ walletAddress: institutionAdminWallet.address })
+      .expect(409);
+  });
+
+  it('should keep at least one institution admin', async () => {
+    await request(app)
+      .put(`/api/institutions/${institution.id}/members/${institutionAdminWallet.address}`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .send({ role: 'issuer' })
+      .expect(409);
+
+    await request(app)
+      .delete(`/api/institutions/${institution.id}/members/${institutionAdminWallet.address}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+  });
+
+  it('should verify a domain through its DNS TXT record', async () => {
+    const domains = await request(app)
+      .get(`/api/institutions/${institution.id}/domains`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(200);
+    const { verificationRecord } = domains.body.data.domains[0];
+    expect(verificationRecord.name).toBe('_docverify.example.edu');
+
+    jest.spyOn(dns.promises, 'resolveTxt').mockResolvedValueOnce([['unrelated']]);
+    await request(app)
+      .post(`/api/institutions/${institution.id}/domains/example.edu/verify`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(400);
+
+    dns.promises.resolveTxt.mockResolvedValueOnce([[verificationRecord.value]]);
+    const response = await request(app)
+      .post(`/api/institutions/${institution.id}/domains/example.edu/verify`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(200);
+    expect(response.body.data.institution.verified).toBe(true);
+    expect(response.body.data.institution.verifiedDomains).toEqual(['example.edu']);
+  });
+
+  it('should publish and revoke public keys', async () => {
+    await request(app)
+      .post(`/api/institutions/${institution.id}/keys`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .send({ type: 'ed25519', publicKey: '0x1234' })
+      .expect(400);
+
+    const added = await request(app)
+      .post(`/api/institutions/${institution.id}/keys`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .send({ type: 'ed25519', publicKey: '0x' + 'cd'.repeat(32), purpose: 'PDF signing' })
+      .expect(201);
+    const [key] = added.body.data.institution.publicKeys;
+    expect(key.purpose).toBe('PDF signing');
+
+    const revoked = await request(app)
+      .delete(`/api/institutions/${institution.id}/keys/${key.keyId}`)
+      .set('Authorization', `Bearer ${institutionAdminToken}`)
+      .expect(200);
+    expect(revoked.body.data.institution.publicKeys).toHaveLength(0);
+  });
+
+  describe('issuance', () => {
+    it('should scope members to their institution', async () => {
+      const member = await User.findByWallet(institutionAdminWallet.address);
+
+      const resolved = await institutionService.resolveIssuingInstitution(member, undefined);
+      expect(resolved.institutionName).toBe('Example University');
+      expect(resolved.institution._id.toString()).toBe(institution.id);
+
+      const otherName = await institutionService.resolveIssuingInstitution(member, 'Other College');
+      expect(otherName.status).toBe(403);
+
+      await Institution.updateOne({ _id: institution.id }, { status: 'suspended' });
+      expect((await institutionService.resolveIssuingInstitution(member, undefined)).status).toBe(403);
+    });
+
+    it('should reserve registered names for members', async () => {
+      const legacyIssuer = await User.createWithRole(ethers.Wallet.createRandom().address, 'issuer');
+
+      expect((await institutionService.resolveIssuingInstitution(legacyIssuer, 'example university')).status).toBe(403);
+
+      const unregistered = await institutionService.resolveIssuingInstitution(legacyIssuer, 'Night School');
+      expect(unregistered).toEqual({ institution: null, institutionName: 'Night School' });
+    });
+
+    it('should describe the issuing institution to verifiers', async () => {
+      const registered = await institutionService.getIssuingIdentity({ institution: institution.id });
+      expect(registered).toMatchObject({ name: 'Example University', registered: true, verified: false });
+
+      const unregistered = await institutionService.getIssuingIdentity({
+        institution: null,
+        metadata: { institutionName: 'Night School' }
+      });
+      expect(unregistered).toEqual({ name: 'Night School', registered: false, verified: false });
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Import the actual IPFS service, not the mocked one
+const ipfsService = jest.requireActual('../services/ipfsService');
+
+/**
+ * In-process stand-in for a Kubo node's HTTP RPC API. Stores added files by a CID derived
+ * from their content and keeps a set of recursive pins. Set KUBO_TEST_API_URL to run the
+ * same tests against a real node (e.g. a local ipfs/kubo container).
+ */
+const startMockKubo = () => {
+  const blocks = new Map();
+  const pins = new Set();
+  const requests = [];
+
+  const fakeCid = (content) => {
+    const digest = crypto.createHash('sha256').update(content).digest('hex');
+    return `bafybei${[...digest].map(c => 'abcdefghijklmnop'[parseInt(c, 16)]).join('').slice(0, 52)}`;
+  };
+
+  const fail = (res, message) => {
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ Message: message, Code: 0, Type: 'error' }));
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const command = url.pathname.replace('/api/v0/', '');
+      const arg = url.searchParams.get('arg');
+      requests.push({ method: req.method, command, params: url.searchParams, headers: req.headers });
+
+      if (req.method !== 'POST') {
+        res.writeHead(405);
+        return res.end();
+      }
+
+      const json = (body) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+
+      switch (command) {
+        case 'add': {
+          const body = Buffer.concat(chunks);
+          const boundary = `--${req.headers['content-type'].split('boundary=')[1]}`;
+          const start = body.indexOf('\r\n\r\n') + 4;
+          const content = body.subarray(start, body.indexOf(`\r\n${boundary}`, start));
+          const cid = fakeCid(content);
+          blocks.set(cid, content);
+          if (url.searchParams.get('pin') === 'true') pins.add(cid);
+          return json({ Name: 'file', Hash: cid, Size: String(content.length) });
+        }
+        case 'cat':
+          if (!blocks.has(arg)) return fail(res, `block was not found locally (offline): ${arg}`);
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          return res.end(blocks.get(arg));
+        case 'pin/add':
+          if (!/^(Qm|baf)/.test(arg)) return fail(res, `invalid path "${arg}": invalid cid`);
+          pins.add(arg);
+          return json({ Pins: [arg] });
+        case 'pin/rm':
+          if (!pins.delete(arg)) return fail(res, 'not pinned or pinned indirectly');
+          return json({ Pins: [arg] });
+        case 'pin/ls':
+          if (!pins.has(arg)) return fail(res, `path '${arg}' is not pinned`);
+          return json({ Keys: { [arg]: { Type: 'recursive' } } });
+        case 'version':
+          return json({ Version: '0.29.0' });
+        default:
+          return fail(res, `unknown command "${command}"`);
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+};
+
+describe('IPFS Service Kubo provider', () => {
+  let kubo;
+  let originalProviders;
+
+  beforeAll(async () => {
+    kubo = process.env.KUBO_TEST_API_URL
+      ? { url: process.env.KUBO_TEST_API_URL, requests: [] }
+      : await startMockKubo();
+  });
+
+  afterAll(() => {
+    if (kubo.server) kubo.server.close();
+  });
+
+  beforeEach(() => {
+    originalProviders = ipfsService.providers;
+    ipfsService.providers = [
+      { name: 'kubo', endpoint: kubo.url, priority: 0, limits: 'disk space', enabled: true },
+      { name: 'local', endpoint: 'local', priority: 4, limits: 'disk space', enabled: true }
+    ];
+    ipfsService.uploadQueue = [];
+  });
+
+  afterEach(() => {
+    ipfsService.providers = originalProviders;
+  });
+
+  it('should add and pin files with a real CIDv1 and read them back', async () => {
+    const content = Buffer.from(`kubo test ${Date.now()}`);
+
+    const result = await ipfsService.uploadFile(content, 'transcript.pdf');
+
+    expect(result.provider).toBe('kubo');
+    expect(result.cid).toMatch(/^bafy[a-z0-9]{55}$/);
+    expect(await ipfsService.getPinStatus(result.cid)).toMatchObject({ pinned: true, type: 'recursive' });
+    expect((await ipfsService.retrieveFile(result.cid)).equals(content)).toBe(true);
+  });
+
+  it('should unpin, report the CID unpinned and pin it again', async () => {
+    const { cid } = await ipfsService.uploadFile(Buffer.from(`pin cycle ${Date.now()}`), 'diploma.pdf');
+
+    await ipfsService.unpinFile(cid);
+    expect(await ipfsService.getPinStatus(cid)).toMatchObject({ cid, pinned: false, type: null });
+
+    // Unpinning again is not an error
+    await expect(ipfsService.unpinFile(cid)).resolves.toMatchObject({ pinned: false });
+
+    await ipfsService.pinFile(cid);
+    expect((await ipfsService.getPinStatus(cid)).pinned).toBe(true);
+  });
+
+  it('should send configured credentials and report node health', async () => {
+    if (!kubo.server) return;
+    ipfsService.providers[0].auth = 'admin:secret';
+
+    const health = await ipfsService.checkIPFSHealth();
+
+    expect(health.kubo).toMatchObject({ available: true, priority: 0 });
+    const versionRequest = kubo.requests.filter(entry => entry.command === 'version').pop();
+    expect(versionRequest.headers.authorization).toBe(`Basic ${Buffer.from('admin:secret').toString('base64')}`);
+  });
+
+  it('should surface the node error message when a call fails', async () => {
+    await expect(ipfsService.pinFile('not-a-cid')).rejects.toThrow(/^Kubo pin\/add failed: /);
+  });
+});
@@ -378,6 +378,44 @@ describe('IPFS Service Property-Based Tests', () => {
       ipfsService.providers = originalProviders;
       ipfsService.uploadQueue = [];
     });
+
+    test('should keep a copy of queued files after the caller deletes them', async () => {
+      const fs = require('fs');
+      const os = require('os');
+      const path = require('path');
+
+      const originalProviders = [...ipfsService.providers];
+      const originalStoragePath = ipfsService.localStoragePath;
+      const tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ipfs-queue-'));
+      ipfsService.localStoragePath = tempDir;
+      ipfsService.providers = ipfsService.providers.map(p => ({ ...p, enabled: false }));
+
+      try {
+        const filePath = path.join(tempDir, 'upload.enc');
+        await fs.promises.writeFile(filePath, 'ciphertext');
+
+        await ipfsService.uploadFile({ path: filePath, size: 10 }, 'test.pdf', {});
+        await fs.promises.rm(filePath);
+
+        const [item] = ipfsService.uploadQueue;
+        expect(item.source.path).not.toBe(filePath);
+        expect(await fs.promises.readFile(item.source.path, 'utf8')).toBe('ciphertext');
+
+        // Once the queued upload goes through, its copy is removed
+        ipfsService.providers = originalProviders.map(p => ({ ...p, enabled: true }));
+        const uploadFile = jest.spyOn(ipfsService, 'uploadFile').mockResolvedValue({ cid: 'QmTest' });
+        await ipfsService.processQueue();
+        uploadFile.mockRestore();
+
+        expect(ipfsService.uploadQueue).toHaveLength(0);
+        expect(fs.existsSync(item.source.path)).toBe(false);
+      } finally {
+        ipfsService.providers = originalProviders;
+        ipfsService.localStoragePath = originalStoragePath;
+        ipfsService.uploadQueue = [];
+        await fs.promises.rm(tempDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('Health Check Functionality', () => {
@@ -0,0 +1,266 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const IssuerApplication = require('../models/IssuerApplication');
+const Institution = require('../models/Institution');
+const blockchainService = require('../services/blockchainService');
+const institutionService = require('../services/institutionService');
+
+// Mock the database connection
+jest.mock('../config/database', () => jest.fn());
+
+// Roles are checked by the real auth middleware
+jest.unmock('../middleware/auth');
+
+// Applications are validated as in production
+jest.unmock('express-validator');
+jest.unmock('../middleware/validation');
+
+describe('Issuer onboarding', () => {
+  let app;
+  let applicantWallet, adminWallet;
+  let applicantToken, adminToken;
+
+  const signIn = async (wallet) => {
+    const nonceResponse = await request(app)
+      .post('/api/auth/nonce')
+      .send({ walletAddress: wallet.address });
+    const { nonce, message } = nonceResponse.body.data;
+
+    const response = await request(app)
+      .post('/api/auth/verify')
+      .send({
+        walletAddress: wallet.address,
+        signature: await wallet.signMessage(message),
+        message,
+        nonce
+      });
+    return response.body.data.token;
+  };
+
+  const apply = (fields = {}) => request(app)
+    .post('/api/issuer-applications')
+    .set('Authorization', `Bearer ${applicantToken}`)
+    .field({
+      organizationName: 'Example University',
+      organizationDomain: 'example.edu',
+      contactName: 'Registrar Office',
+      contactEmail: 'registrar@example.edu',
+      ...fields
+    })
+    .attach('supportingDocuments', Buffer.from('accreditation letter'), 'accreditation.pdf');
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    app.use('/api/admin', require('../routes/admin'));
+    app.use('/api/issuer-applications', require('../routes/issuerApplications'));
+  });
+
+  beforeEach(async () => {
+    blockchainService.assignRoleOnChain = jest.fn().mockResolvedValue({
+      transactionHash: '0x' + 'ab'.repeat(32),
+      blockNumber: 42,
+      gasUsed: '50000',
+      success: true
+    });
+
+    applicantWallet = ethers.Wallet.createRandom();
+    adminWallet = ethers.Wallet.createRandom();
+    await User.createWithRole(adminWallet.address, 'admin');
+
+    applicantToken = await signIn(applicantWallet);
+    adminToken = await signIn(adminWallet);
+  });
+
+  describe('self-registration', () => {
+    it('should only create students', async () => {
+      const response = await request(app)
+        .post('/api/auth/register')
+        .send({ walletAddress: ethers.Wallet.createRandom().address, role: 'issuer' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should ignore a role requested when signing in', async () => {
+      const wallet = ethers.Wallet.createRandom();
+      await request(app)
+        .post('/api/auth/nonce')
+        .send({ walletAddress: wallet.address, role: 'admin' })
+        .expect(200);
+
+      const user = await User.findByWallet(wallet.address);
+      expect(user.role).toBe('student');
+    });
+  });
+
+  it('should submit an application with supporting documents', async () => {
+    const response = await apply().expect(201);
+
+    const { application } = response.body.data;
+    expect(application.status).toBe('pending');
+    expect(application.organization.domain).toBe('example.edu');
+    expect(application.supportingDocuments).toHaveLength(1);
+    expect(application.supportingDocuments[0].filename).toBe('accreditation.pdf');
+    expect(application.supportingDocuments[0]).not.toHaveProperty('encryptionKey');
+
+    const mine = await request(app)
+      .get('/api/issuer-applications/mine')
+      .set('Authorization', `Bearer ${applicantToken}`)
+      .expect(200);
+    expect(mine.body.data.applications).toHaveLength(1);
+  });
+
+  it('should reject a second pending application and invalid details', async () => {
+    await apply().expect(201);
+    await apply().expect(409);
+
+    await IssuerApplication.deleteMany({});
+    const response = await apply({ organizationDomain: 'not a domain' }).expect(400);
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should let an admin approve an application and assign the role on-chain', async () => {
+    const { body } = await apply().expect(201);
+    const applicationId = body.data.application._id;
+
+    const queue = await request(app)
+      .get('/api/admin/issuer-applications')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(queue.body.data.applications.map(application => application._id)).toContain(applicationId);
+
+    const response = await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ comments: 'Accreditation checked' })
+      .expect(200);
+
+    const { application } = response.body.data;
+    expect(application.status).toBe('approved');
+    expect(application.review.comments).toBe('Accreditation checked');
+    expect(application.roleAssignment.status).toBe('confirmed');
+    expect(blockchainService.assignRoleOnChain).toHaveBeenCalledWith(
+      applicantWallet.address.toLowerCase(),
+      'issuer',
+      adminWallet.address.toLowerCase()
+    );
+
+    const user = await User.findByWallet(applicantWallet.address);
+    expect(user.role).toBe('issuer');
+    expect(user.permissions.canIssue).toBe(true);
+    expect(user.profile.organization).toBe('Example University');
+
+    // The first approved applicant of an organization administers its new institution
+    const institution = await Institution.findByName('Example University');
+    expect(application.institution).toBe(institution._id.toString());
+    expect(user.institution.toString()).toBe(institution._id.toString());
+    expect(user.institutionRole).toBe('admin');
+
+    // Reviewed applications cannot be reviewed again
+    await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ comments: 'Changed my mind' })
+      .expect(409);
+  });
+
+  it('should record a failed on-chain assignment and retry it', async () => {
+    blockchainService.assignRoleOnChain.mockRejectedValueOnce(new Error('insufficient funds'));
+    const { body } = await apply().expect(201);
+    const applicationId = body.data.application._id;
+
+    const response = await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(207);
+    expect(response.body.data.application.roleAssignment.status).toBe('failed');
+    expect((await User.findByWallet(applicantWallet.address)).role).toBe('issuer');
+
+    const retry = await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/assign-role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(retry.body.data.application.roleAssignment.status).toBe('confirmed');
+  });
+
+  it('should leave the application pending when the applicant belongs to another institution', async () => {
+    const { body } = await apply().expect(201);
+    const applicationId = body.data.application._id;
+
+    const other = await Institution.create({ name: 'Other College', createdBy: adminWallet.address });
+    await User.updateOne(
+      { walletAddress: applicantWallet.address.toLowerCase() },
+      { $set: { institution: other._id } }
+    );
+
+    const response = await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+    expect(response.body.error).toBe('Wallet already belongs to another institution');
+
+    expect((await IssuerApplication.findById(applicationId)).status).toBe('pending');
+    expect(await Institution.findByName('Example University')).toBeNull();
+    expect((await User.findByWallet(applicantWallet.address)).role).toBe('student');
+  });
+
+  it('should undo the approval when adding the member fails', async () => {
+    const { body } = await apply().expect(201);
+    const applicationId = body.data.application._id;
+
+    const addMember = jest.spyOn(institutionService, 'addMember').mockRejectedValueOnce(
+      Object.assign(new Error('Wallet already belongs to another institution'), { code: 'MEMBER_OF_OTHER_INSTITUTION' })
+    );
+
+    await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(409);
+    addMember.mockRestore();
+
+    const application = await IssuerApplication.findById(applicationId);
+    expect(application.status).toBe('pending');
+    expect(application.review?.reviewedBy).toBeUndefined();
+    expect(await Institution.findByName('Example University')).toBeNull();
+
+    // The application can still be approved
+    await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/approve`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+  });
+
+  it('should require comments to reject and keep the applicant a student', async () => {
+    const { body } = await apply().expect(201);
+    const applicationId = body.data.application._id;
+
+    await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+
+    const response = await request(app)
+      .post(`/api/admin/issuer-applications/${applicationId}/reject`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ comments: 'Domain does not match the institution' })
+      .expect(200);
+    expect(response.body.data.application.status).toBe('rejected');
+
+    expect((await User.findByWallet(applicantWallet.address)).role).toBe('student');
+    expect(blockchainService.assignRoleOnChain).not.toHaveBeenCalled();
+  });
+
+  it('should not let applicants review applications', async () => {
+    const { body } = await apply().expect(201);
+
+    await request(app)
+      .post(`/api/admin/issuer-applications/${body.data.application._id}/approve`)
+      .set('Authorization', `Bearer ${applicantToken}`)
+      .expect(403);
+  });
+});
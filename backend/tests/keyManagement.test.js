@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const localKeyring = require('../services/kms/localKeyring');
+const keyManagementService = require('../services/keyManagementService');
+const encryptionService = jest.requireActual('../services/encryptionService');
+
+/**
+ * A record as written before KEK versioning: AES-256-CBC under a key derived from
+ * MASTER_ENCRYPTION_KEY
+ */
+const legacyRecord = (encryptionKey, masterKey) => {
+  const iv = crypto.randomBytes(16);
+  const key = crypto.createHash('sha256').update(masterKey).digest();
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return {
+    encryptedKey: Buffer.concat([cipher.update(encryptionKey, 'utf8'), cipher.final()]).toString('base64'),
+    iv: iv.toString('base64')
+  };
+};
+
+describe('Key Management', () => {
+  const originalKeyringPath = localKeyring.keyringPath;
+  let keyringDir;
+
+  beforeEach(() => {
+    keyringDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+    localKeyring.keyringPath = path.join(keyringDir, 'keyring.json');
+    localKeyring.keyring = null;
+  });
+
+  afterEach(() => {
+    localKeyring.keyringPath = originalKeyringPath;
+    localKeyring.keyring = null;
+    fs.rmSync(keyringDir, { recursive: true, force: true });
+  });
+
+  it('should create a keyring on first use and wrap keys with its current version', async () => {
+    const documentKey = encryptionService.generateKey();
+
+    const record = await encryptionService.encryptKeyForStorage(documentKey);
+
+    expect(record).toMatchObject({ kms: 'local', kekVersion: 1 });
+    expect(JSON.stringify(record)).not.toContain(documentKey);
+    expect(await encryptionService.decryptKeyFromStorage(record)).toBe(documentKey);
+    expect(fs.statSync(localKeyring.keyringPath).mode & 0o777).toBe(0o600);
+  });
+
+  it('should keep records wrapped with older KEK versions readable after a rotation', async () => {
+    const documentKey = encryptionService.generateKey();
+    const before = await encryptionService.encryptKeyForStorage(documentKey);
+
+    expect(await keyManagementService.rotate()).toEqual({ kms: 'local', kekVersion: 2 });
+
+    const after = await encryptionService.encryptKeyForStorage(documentKey);
+    expect(after.kekVersion).toBe(2);
+    expect(keyManagementService.isWrappedWith(before, { kms: 'local', kekVersion: 2 })).toBe(false);
+    expect(keyManagementService.isWrappedWith(after, { kms: 'local', kekVersion: 2 })).toBe(true);
+    expect(await encryptionService.decryptKeyFromStorage(before)).toBe(documentKey);
+    expect(await encryptionService.decryptKeyFromStorage(after)).toBe(documentKey);
+
+    const { currentVersion, versions } = await keyManagementService.describe();
+    expect(currentVersion).toBe(2);
+    expect(versions.map(({ version }) => version)).toEqual([1, 2]);
+    expect(JSON.stringify(versions)).not.toMatch(/"key"/);
+  });
+
+  it('should reject records that name the wrong KEK version or an unknown KMS', async () => {
+    await keyManagementService.rotate();
+    const record = await encryptionService.encryptKeyForStorage(encryptionService.generateKey());
+
+    await expect(encryptionService.decryptKeyFromStorage({ ...record, kekVersion: 1 }))
+      .rejects.toThrow('Key decryption failed');
+    await expect(encryptionService.decryptKeyFromStorage({ ...record, kekVersion: 7 }))
+      .rejects.toThrow('KEK version 7 not found');
+    await expect(encryptionService.decryptKeyFromStorage({ ...record, kms: 'hsm' }))
+      .rejects.toThrow('Unknown KMS provider: hsm');
+  });
+
+  it('should read records written before KEK versioning', async () => {
+    const originalMasterKey = process.env.MASTER_ENCRYPTION_KEY;
+    const documentKey = encryptionService.generateKey();
+
+    try {
+      delete process.env.MASTER_ENCRYPTION_KEY;
+      const record = legacyRecord(documentKey, 'default-master-key-change-in-production');
+      expect(await encryptionService.decryptKeyFromStorage(record)).toBe(documentKey);
+
+      process.env.MASTER_ENCRYPTION_KEY = 'configured-master-key';
+      const configured = legacyRecord(documentKey, 'configured-master-key');
+      expect(await encryptionService.decryptKeyFromStorage(configured)).toBe(documentKey);
+    } finally {
+      if (originalMasterKey === undefined) {
+        delete process.env.MASTER_ENCRYPTION_KEY;
+      } else {
+        process.env.MASTER_ENCRYPTION_KEY = originalMasterKey;
+      }
+    }
+  });
+
+  it('should only accept KMS providers that implement every method', () => {
+    expect(() => keyManagementService.registerProvider('partial', { wrapKey: () => {}, unwrapKey: () => {} }))
+      .toThrow('KMS provider must implement getCurrentVersion, rotate, describe');
+  });
+});
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Document = require('../models/Document');
+const KeyRotation = require('../models/KeyRotation');
+const encryptionService = require('../services/encryptionService');
+const localKeyring = require('../services/kms/localKeyring');
+const keyRotationService = require('../services/keyRotationService');
+const { createTestDocument } = require('./setup');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const actualEncryption = jest.requireActual('../services/encryptionService');
+
+// setup.js mocks encryptionService; key wrapping here goes through the real KMS
+const useRealKeyWrapping = () => {
+  encryptionService.encryptKeyForStorage.mockImplementation(key => actualEncryption.encryptKeyForStorage(key));
+  encryptionService.decryptKeyFromStorage.mockImplementation(record => actualEncryption.decryptKeyFromStorage(record));
+};
+
+const createKeyedDocument = async (storedKey) => {
+  const document = await createTestDocument(OWNER);
+  document.encryptionKey = storedKey;
+  return document.save();
+};
+
+describe('Key Rotation', () => {
+  const originalKeyringPath = localKeyring.keyringPath;
+  let keyringDir;
+  let app;
+
+  beforeEach(() => {
+    keyringDir = fs.mkdtempSync(path.join(os.tmpdir(), 'keyring-'));
+    localKeyring.keyringPath = path.join(keyringDir, 'keyring.json');
+    localKeyring.keyring = null;
+    useRealKeyWrapping();
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../routes/admin'));
+  });
+
+  afterEach(() => {
+    localKeyring.keyringPath = originalKeyringPath;
+    localKeyring.keyring = null;
+    fs.rmSync(keyringDir, { recursive: true, force: true });
+    jest.clearAllMocks();
+  });
+
+  it('should record the KEK version of stored keys on the document', async () => {
+    const documentKey = actualEncryption.generateKey();
+    const wrapped = await createKeyedDocument(JSON.stringify(await actualEncryption.encryptKeyForStorage(documentKey)));
+    const raw = await createKeyedDocument(actualEncryption.generateKey());
+
+    expect(wrapped.keyEncryption.toObject()).toEqual({ kms: 'local', kekVersion: 1 });
+    expect(raw.keyEncryption.kekVersion).toBeUndefined();
+  });
+
+  it('should re-wrap every key with a new KEK version without changing the files', async () => {
+    const keys = [actualEncryption.generateKey(), actualEncryption.generateKey()];
+    const current = await createKeyedDocument(JSON.stringify(await actualEncryption.encryptKeyForStorage(keys[0])));
+    const raw = await createKeyedDocument(keys[1]);
+
+    const rotation = await keyRotationService.run({ triggeredBy: OWNER });
+
+    expect(rotation.toSummaryJSON()).toMatchObject({
+      status: 'completed',
+      kms: 'local',
+      fromVersion: 1,
+      toVersion: 2,
+      rotatedKek: true,
+      totals: { checked: 2, rewrapped: 2, failed: 0, skipped: 0 }
+    });
+
+    for (const [document, key] of [[current, keys[0]], [raw, keys[1]]]) {
+      const updated = await Document.findById(document._id);
+      const record = JSON.parse(updated.encryptionKey);
+      expect(record.kekVersion).toBe(2);
+      expect(updated.keyEncryption.toObject()).toEqual({ kms: 'local', kekVersion: 2 });
+      expect(await actualEncryption.decryptKeyFromStorage(record)).toBe(key);
+      expect(updated.ipfsHash).toBe(document.ipfsHash);
+    }
+  });
+
+  it('should list keys it cannot read and leave them unchanged', async () => {
+    const unreadable = await createKeyedDocument('not-a-key');
+    await createKeyedDocument(actualEncryption.generateKey());
+
+    const rotation = await keyRotationService.run({ rotateKek: false });
+
+    expect(rotation.totals).toMatchObject({ checked: 2, rewrapped: 1, failed: 1 });
+    expect(rotation.failures).toEqual([
+      { documentHash: unreadable.documentHash, error: 'Stored key is neither a key record nor a raw key' }
+    ]);
+    expect((await Document.findById(unreadable._id)).encryptionKey).toBe('not-a-key');
+  });
+
+  it('should start a rotation from the admin endpoint and report progress', async () => {
+    await createKeyedDocument(actualEncryption.generateKey());
+
+    const started = await request(app).post('/api/admin/keys/rotate');
+    expect(started.status).toBe(202);
+    expect(started.body.data.rotation).toMatchObject({ status: 'running', toVersion: 2 });
+
+    const conflict = await request(app).post('/api/admin/keys/rotate');
+    expect(conflict.status).toBe(409);
+    await keyRotationService.currentRun;
+
+    const status = await request(app).get('/api/admin/keys');
+    expect(status.status).toBe(200);
+    expect(status.body.data.status.kms).toMatchObject({ provider: 'local', currentVersion: 2 });
+    expect(status.body.data.status.documents).toEqual([{ kms: 'local', kekVersion: 2, count: 1 }]);
+    expect(status.body.data.rotations[0]).toMatchObject({
+      id: started.body.data.rotation.id,
+      status: 'completed',
+      totals: { rewrapped: 1 }
+    });
+
+    const detail = await request(app).get(`/api/admin/keys/rotations/${started.body.data.rotation.id}`);
+    expect(detail.status).toBe(200);
+    expect(detail.body.data.rotation.failures).toEqual([]);
+
+    expect((await request(app).get('/api/admin/keys/rotations/unknown')).status).toBe(404);
+    expect(await KeyRotation.countDocuments()).toBe(1);
+  });
+});
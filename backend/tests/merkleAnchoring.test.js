@@ -0,0 +1,188 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const blockchainService = require('../services/blockchainService');
+const blockchainOptimizationService = require('../services/blockchainOptimizationService');
+const { buildMerkleTree, verifyMerkleProof } = require('../utils/merkleTree');
+const { createTestUser, createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+const TRANSACTION_HASH = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+const randomHash = () => ethers.hexlify(ethers.randomBytes(32));
+
+describe('Merkle Batch Anchoring', () => {
+  describe('Merkle tree', () => {
+    it('should produce a proof for every document that verifies against the root', () => {
+      [1, 2, 3, 8, 11].forEach(size => {
+        const hashes = Array.from({ length: size }, randomHash);
+        const tree = buildMerkleTree(hashes);
+
+        hashes.forEach((hash, index) => {
+          expect(verifyMerkleProof(hash, tree.proofs[index], tree.root)).toBe(true);
+        });
+      });
+    });
+
+    it('should reject documents outside the tree and tampered proofs', () => {
+      const hashes = Array.from({ length: 5 }, randomHash);
+      const tree = buildMerkleTree(hashes);
+      const tampered = [...tree.proofs[0]];
+      tampered[0] = randomHash();
+
+      expect(verifyMerkleProof(randomHash(), tree.proofs[0], tree.root)).toBe(false);
+      expect(verifyMerkleProof(hashes[0], tampered, tree.root)).toBe(false);
+      expect(verifyMerkleProof(tree.layers[1][0], [tree.layers[1][1]], tree.root)).toBe(false);
+    });
+
+    it('should refuse empty batches and duplicate hashes', () => {
+      const hash = randomHash();
+
+      expect(() => buildMerkleTree([])).toThrow('At least one document hash is required');
+      expect(() => buildMerkleTree([hash, hash.toUpperCase().replace('0X', '0x')]))
+        .toThrow('Duplicate document hash in batch');
+    });
+  });
+
+  describe('POST /api/documents/anchor-batch', () => {
+    let app;
+    let pending;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/documents', require('../routes/documents'));
+    });
+
+    beforeEach(async () => {
+      // Stand in for the contract call, keeping the real tree and proofs
+      blockchainOptimizationService.batchRegisterDocuments.mockImplementation(async (documents, context) => {
+        const tree = buildMerkleTree(documents.map(doc => doc.documentHash));
+        return documents.map((doc, index) => ({
+          documentHash: doc.documentHash,
+          success: true,
+          result: {
+            transactionHash: TRANSACTION_HASH,
+            blockNumber: 4242,
+            gasUsed: 15000,
+            contractAddress: ISSUER_ADDRESS,
+            merkle: { root: tree.root, proof: tree.proofs[index], leafIndex: index, batchId: context.batchId }
+          }
+        }));
+      });
+      blockchainService.verifyMerkleInclusion.mockResolvedValue({ isValid: true, isActive: true });
+
+      pending = [];
+      for (let i = 0; i < 3; i++) {
+        pending.push(await createTestDocument(ISSUER_ADDRESS, { status: 'uploaded' }));
+      }
+    });
+
+    it('should anchor pending documents under one root and store their proofs', async () => {
+      const response = await request(app)
+        .post('/api/documents/anchor-batch')
+        .send({})
+        .expect(201);
+
+      expect(blockchainOptimizationService.batchRegisterDocuments).toHaveBeenLastCalledWith(
+        expect.any(Array),
+        expect.objectContaining({ anchorMode: 'merkle' })
+      );
+      expect(response.body.data.documents).toHaveLength(3);
+
+      const { merkleRoot } = response.body.data;
+      const anchored = await Document.find({ documentHash: { $in: pending.map(doc => doc.documentHash) } });
+
+      anchored.forEach(doc => {
+        expect(doc.status).toBe('blockchain_stored');
+        expect(doc.blockchain.transactionHash).toBe(TRANSACTION_HASH);
+        expect(doc.blockchain.merkle.root).toBe(merkleRoot);
+        expect(verifyMerkleProof(doc.documentHash, doc.blockchain.merkle.proof, merkleRoot)).toBe(true);
+      });
+    });
+
+    it('should refuse documents that are already registered', async () => {
+      const registered = await createTestDocument(ISSUER_ADDRESS, {
+        blockchain: { transactionHash: TRANSACTION_HASH, blockNumber: 1 }
+      });
+
+      const response = await request(app)
+        .post('/api/documents/anchor-batch')
+        .send({ documentHashes: [pending[0].documentHash, registered.documentHash] })
+        .expect(409);
+
+      expect(response.body.details.ineligible).toEqual([registered.documentHash]);
+    });
+
+    it('should check inclusion against the anchored root when verifying by hash', async () => {
+      await request(app).post('/api/documents/anchor-batch').send({}).expect(201);
+
+      const response = await request(app)
+        .post('/api/documents/verify-hash')
+        .send({ documentHash: pending[1].documentHash })
+        .expect(200);
+
+      expect(response.body.data.verified).toBe(true);
+      expect(response.body.data.merkle.included).toBe(true);
+
+      const [hash, root, proof] = blockchainService.verifyMerkleInclusion.mock.calls.slice(-1)[0];
+      expect(hash).toBe(pending[1].documentHash);
+      expect(verifyMerkleProof(hash, proof, root)).toBe(true);
+    });
+
+    it('should fail verification when the root no longer includes the document', async () => {
+      await request(app).post('/api/documents/anchor-batch').send({}).expect(201);
+      blockchainService.verifyMerkleInclusion.mockResolvedValue({ isValid: false, isActive: false });
+
+      const response = await request(app)
+        .get(`/api/documents/verify/${pending[0].documentHash}`)
+        .expect(200);
+
+      expect(response.body.data.verification.isValid).toBe(false);
+      expect(response.body.data.verification.blockchain.anchorMode).toBe('merkle');
+    });
+
+    it('should grant and revoke access without a DocumentRegistry call', async () => {
+      await request(app).post('/api/documents/anchor-batch').send({}).expect(201);
+      const viewer = await createTestUser();
+      const grantCalls = blockchainService.grantDocumentAccess.mock.calls.length;
+      const revokeCalls = blockchainService.revokeDocumentAccess.mock.calls.length;
+
+      const granted = await request(app)
+        .post(`/api/documents/${pending[0].documentHash}/access/grant`)
+        .send({ userAddress: viewer.walletAddress })
+        .expect(200);
+      expect(granted.body.data.blockchain.message).toContain('Merkle batch');
+
+      await request(app)
+        .post(`/api/documents/${pending[0].documentHash}/access/revoke`)
+        .send({ userAddress: viewer.walletAddress })
+        .expect(200);
+
+      expect(blockchainService.grantDocumentAccess.mock.calls).toHaveLength(grantCalls);
+      expect(blockchainService.revokeDocumentAccess.mock.calls).toHaveLength(revokeCalls);
+      const stored = await Document.findOne({ documentHash: pending[0].documentHash });
+      expect(stored.access.authorizedViewers).not.toContain(viewer.walletAddress);
+    });
+
+    it('should not trust a stored proof that does not lead to the root', async () => {
+      await request(app).post('/api/documents/anchor-batch').send({}).expect(201);
+      await Document.updateOne(
+        { documentHash: pending[2].documentHash },
+        { $set: { 'blockchain.merkle.proof': [randomHash()] } }
+      );
+      const callCount = blockchainService.verifyMerkleInclusion.mock.calls.length;
+
+      const response = await request(app)
+        .post('/api/documents/verify-hash')
+        .send({ documentHash: pending[2].documentHash })
+        .expect(200);
+
+      expect(response.body.data.verified).toBe(false);
+      expect(blockchainService.verifyMerkleInclusion.mock.calls).toHaveLength(callCount);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Readable } = require('stream');
+const Document = require('../models/Document');
+const ipfsService = require('../services/ipfsService');
+const pinAuditService = require('../services/pinAuditService');
+const { createTestDocument } = require('./setup');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const CONTENT = Buffer.from('encrypted transcript bytes');
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const KUBO_CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const PINATA_CID = 'QmNLei78zWmzUdbeRB3CiUfAizWUrbeeZh5K1rhAQKCh51';
+
+/**
+ * Point the mocked ipfsService at in-memory providers. `stores` maps provider name to
+ * { cid: Buffer } and `pins` lists the CIDs each provider reports as pinned.
+ */
+const useProviders = (stores, { pins = {}, replicationFactor = 2 } = {}) => {
+  ipfsService.providers = ['kubo', 'pinata', 'web3.storage', 'local']
+    .map((name, priority) => ({ name, priority, enabled: Boolean(stores[name]) }));
+  ipfsService.replicationFactor = replicationFactor;
+  ipfsService.getContentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+  ipfsService.isReplicaPinned = jest.fn(async ({ provider, cid }) => (
+    pins[provider] ? pins[provider].includes(cid) : null
+  ));
+  ipfsService.openReplicaStream = jest.fn(async ({ provider, cid }) => {
+    const content = stores[provider]?.[cid];
+    if (!content) throw new Error(`${cid} not found at ${provider}`);
+    return Readable.from([content]);
+  });
+  ipfsService.retrieveFileStream = jest.fn(async (cid) => {
+    const content = Object.values(stores).map(store => store[cid]).find(Boolean);
+    if (!content) throw new Error('IPFS retrieval failed: not found');
+    return Readable.from([content]);
+  });
+  ipfsService.storeReplica = jest.fn(async (provider, source) => {
+    const cid = `${provider === 'kubo' ? KUBO_CID : PINATA_CID}`;
+    stores[provider][cid] = fs.readFileSync(source.path);
+    if (pins[provider]) pins[provider].push(cid);
+    return { provider, cid, status: 'pinned', pinnedAt: new Date() };
+  });
+};
+
+const createStoredDocument = (replicas, overrides = {}) => createTestDocument(OWNER, {
+  ipfsHash: KUBO_CID,
+  storage: {
+    contentHash: CONTENT_HASH,
+    replicas: replicas.map(([provider, cid]) => ({ provider, cid, status: 'pinned', pinnedAt: new Date() }))
+  },
+  ...overrides
+});
+
+describe('Pin Audit Service', () => {
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should mark healthy replicas and record the audit time', async () => {
+    useProviders({
+      kubo: { [KUBO_CID]: CONTENT },
+      pinata: { [PINATA_CID]: CONTENT }
+    }, { pins: { kubo: [KUBO_CID], pinata: [PINATA_CID] } });
+    const document = await createStoredDocument([['kubo', KUBO_CID], ['pinata', PINATA_CID]]);
+
+    const summary = await pinAuditService.auditDocument(document);
+
+    expect(summary).toEqual({ checked: 2, healthy: 2, repaired: 0, added: 0, failed: 0 });
+    expect(ipfsService.storeReplica).not.toHaveBeenCalled();
+
+    const audited = await Document.findById(document._id);
+    expect(audited.storage.lastAuditedAt).toBeInstanceOf(Date);
+    expect(audited.storage.replicas.map(r => r.status)).toEqual(['pinned', 'pinned']);
+    expect(audited.storage.replicas[0].lastCheckedAt).toBeInstanceOf(Date);
+  });
+
+  it('should re-pin an unpinned replica from a healthy copy', async () => {
+    const stores = { kubo: {}, pinata: { [PINATA_CID]: CONTENT } };
+    useProviders(stores, { pins: { kubo: [], pinata: [PINATA_CID] } });
+    const document = await createStoredDocument([['kubo', KUBO_CID], ['pinata', PINATA_CID]]);
+
+    const summary = await pinAuditService.auditDocument(document);
+
+    expect(summary).toMatchObject({ healthy: 1, repaired: 1, failed: 0 });
+    expect(ipfsService.storeReplica).toHaveBeenCalledWith(
+      'kubo',
+      expect.objectContaining({ size: CONTENT.length }),
+      expect.any(String),
+      expect.any(Object)
+    );
+    expect(stores.kubo[KUBO_CID].equals(CONTENT)).toBe(true);
+    // The healthy copy is only kept on disk for the duration of the audit
+    expect(fs.existsSync(ipfsService.storeReplica.mock.calls[0][1].path)).toBe(false);
+
+    const audited = await Document.findById(document._id);
+    expect(audited.storage.replicas.find(r => r.provider === 'kubo').status).toBe('pinned');
+  });
+
+  it('should detect a corrupt replica by its content hash and replace it', async () => {
+    const stores = {
+      kubo: { [KUBO_CID]: CONTENT },
+      pinata: { [PINATA_CID]: Buffer.from('tampered bytes') }
+    };
+    useProviders(stores);
+    const document = await createStoredDocument([['kubo', KUBO_CID], ['pinata', PINATA_CID]]);
+
+    const summary = await pinAuditService.auditDocument(document);
+
+    expect(summary).toMatchObject({ healthy: 1, repaired: 1 });
+    expect(ipfsService.storeReplica).toHaveBeenCalledWith(
+      'pinata',
+      expect.objectContaining({ size: CONTENT.length }),
+      expect.any(String),
+      expect.any(Object)
+    );
+    expect(stores.pinata[PINATA_CID].equals(CONTENT)).toBe(true);
+  });
+
+  it('should add providers until the replication factor is met', async () => {
+    const stores = { kubo: { [KUBO_CID]: CONTENT }, pinata: {} };
+    useProviders(stores, { replicationFactor: 2 });
+    const document = await createStoredDocument([['kubo', KUBO_CID]]);
+
+    const summary = await pinAuditService.auditDocument(document);
+
+    expect(summary).toMatchObject({ healthy: 1, added: 1 });
+    const audited = await Document.findById(document._id);
+    expect(audited.storage.replicas.map(r => r.provider)).toEqual(['kubo', 'pinata']);
+  });
+
+  it('should adopt the content hash of legacy documents and replicate them', async () => {
+    useProviders({ kubo: {}, pinata: { [PINATA_CID]: CONTENT } }, { replicationFactor: 1 });
+    const document = await createTestDocument(OWNER);
+
+    const summary = await pinAuditService.auditDocument(document);
+
+    // The primary CID is only known to be reachable, so a tracked provider copy is added
+    expect(summary).toMatchObject({ checked: 1, healthy: 1, added: 1 });
+    const audited = await Document.findById(document._id);
+    expect(audited.storage.contentHash).toBe(CONTENT_HASH);
+    expect(audited.storage.replicas.map(r => r.provider)).toEqual(['gateway', 'kubo']);
+  });
+
+  it('should report documents without any healthy copy', async () => {
+    useProviders({ kubo: {}, pinata: {} });
+    await createStoredDocument([['kubo', KUBO_CID], ['pinata', PINATA_CID]]);
+
+    const totals = await pinAuditService.runAudit();
+
+    expect(totals).toMatchObject({ documents: 1, healthy: 0, failed: 2, unrecoverable: 1 });
+    expect(ipfsService.storeReplica).not.toHaveBeenCalled();
+
+    // Audited documents are not picked up again until the interval has passed
+    expect(await pinAuditService.runAudit()).toMatchObject({ documents: 0 });
+  });
+});
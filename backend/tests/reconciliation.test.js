@@ -0,0 +1,222 @@
+const request = require('supertest');
+const express = require('express');
+const Document = require('../models/Document');
+const ChainEvent = require('../models/ChainEvent');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const Revocation = require('../models/Revocation');
+const blockchainService = require('../services/blockchainService');
+const reconciliationService = require('../services/reconciliationService');
+const { createTestDocument } = require('./setup');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const VIEWER = '0x2222222222222222222222222222222222222222';
+const NEW_OWNER = '0x3333333333333333333333333333333333333333';
+const UNKNOWN_HASH = `0x${'ab'.repeat(32)}`;
+
+/**
+ * Point the mocked blockchainService at an in-memory registry keyed by document hash.
+ * Entries hold { owner, issuer, isActive, viewers }; the owner and issuer are listed as
+ * viewers the way DocumentRegistry.getDocumentViewers reports them.
+ */
+const useChain = (records) => {
+  blockchainService.getDocumentRecord.mockImplementation(async (hash) => {
+    const record = records[hash];
+    return record ? { documentHash: hash, ipfsHash: 'QmTest', documentType: 'certificate', ...record } : null;
+  });
+  blockchainService.getDocumentViewers.mockImplementation(async (hash) => {
+    const record = records[hash];
+    return [record.owner, record.issuer, ...(record.viewers || [])];
+  });
+  blockchainService.checkDocumentAccess.mockResolvedValue(false);
+};
+
+const onChain = (document, overrides = {}) => ({
+  owner: document.access.owner,
+  issuer: document.access.issuer,
+  isActive: true,
+  viewers: [],
+  ...overrides
+});
+
+describe('DB/Chain Reconciliation', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../routes/admin'));
+  });
+
+  beforeEach(() => {
+    process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+  });
+
+  afterEach(() => {
+    delete process.env.CONTRACT_ADDRESS_DOCUMENT_REGISTRY;
+    jest.clearAllMocks();
+  });
+
+  it('should classify each kind of mismatch', async () => {
+    const matching = await createTestDocument(OWNER);
+    const missing = await createTestDocument(OWNER);
+    const transferred = await createTestDocument(OWNER);
+    const deactivated = await createTestDocument(OWNER);
+    const shared = await createTestDocument(OWNER);
+    const anchored = await createTestDocument(OWNER);
+    await Document.updateOne({ _id: shared._id }, { 'access.authorizedViewers': [VIEWER] });
+    await Document.updateOne({ _id: anchored._id }, { 'blockchain.merkle.root': `0x${'cd'.repeat(32)}` });
+
+    useChain({
+      [matching.documentHash]: onChain(matching),
+      [transferred.documentHash]: onChain(transferred, { owner: NEW_OWNER }),
+      [deactivated.documentHash]: onChain(deactivated, { isActive: false }),
+      [shared.documentHash]: onChain(shared),
+      [UNKNOWN_HASH]: { owner: OWNER, issuer: OWNER, isActive: true }
+    });
+    await ChainEvent.create({
+      transactionHash: `0x${'ef'.repeat(32)}`,
+      logIndex: 0,
+      blockNumber: 7,
+      blockHash: `0x${'01'.repeat(32)}`,
+      eventName: 'DocumentRegistered',
+      args: { documentHash: UNKNOWN_HASH },
+      target: { model: 'Document', key: UNKNOWN_HASH },
+      outcome: 'unmatched'
+    });
+
+    const report = await reconciliationService.run();
+
+    expect(report.status).toBe('completed');
+    expect(report.toObject().totals).toEqual({ checked: 6, matched: 1, mismatched: 5, skipped: 1 });
+
+    const byType = Object.fromEntries(report.mismatches.map(mismatch => [mismatch.type, mismatch]));
+    expect(byType.missing_on_chain.documentHash).toBe(missing.documentHash);
+    expect(byType.owner_differs.details).toEqual({ db: { owner: OWNER }, chain: { owner: NEW_OWNER } });
+    expect(byType.active_differs.repairActions).toEqual(['adopt_chain', 'dismiss']);
+    expect(byType.viewers_differ.details).toEqual({ db: { viewers: [VIEWER] }, chain: { viewers: [] } });
+    expect(byType.missing_in_db.documentHash).toBe(UNKNOWN_HASH);
+  });
+
+  it('should not report viewers who can read the document through their role', async () => {
+    const document = await createTestDocument(OWNER);
+    await Document.updateOne({ _id: document._id }, { 'access.authorizedViewers': [VIEWER] });
+    useChain({ [document.documentHash]: onChain(document) });
+    blockchainService.checkDocumentAccess.mockResolvedValue(true);
+
+    const report = await reconciliationService.run();
+
+    expect(report.totals.matched).toBe(1);
+    expect(report.mismatches).toHaveLength(0);
+  });
+
+  it('should start a run from the admin endpoint and list the report', async () => {
+    const document = await createTestDocument(OWNER);
+    useChain({ [document.documentHash]: onChain(document, { owner: NEW_OWNER }) });
+
+    const started = await request(app).post('/api/admin/reconciliation/run');
+    expect(started.status).toBe(202);
+    await reconciliationService.currentRun;
+
+    const list = await request(app).get('/api/admin/reconciliation');
+    expect(list.status).toBe(200);
+    expect(list.body.data.reports[0]).toMatchObject({
+      id: started.body.data.report.id,
+      status: 'completed',
+      triggeredBy: '0x1234567890123456789012345678901234567890',
+      mismatchSummary: { owner_differs: { open: 1, resolved: 0 } }
+    });
+
+    const detail = await request(app).get(`/api/admin/reconciliation/${started.body.data.report.id}`);
+    expect(detail.body.data.report.mismatches).toHaveLength(1);
+  });
+
+  it('should adopt the on-chain owner when repairing with adopt_chain', async () => {
+    const document = await createTestDocument(OWNER);
+    useChain({ [document.documentHash]: onChain(document, { owner: NEW_OWNER }) });
+    const report = await reconciliationService.run();
+    const [mismatch] = report.mismatches;
+
+    const res = await request(app)
+      .post(`/api/admin/reconciliation/${report._id}/mismatches/${mismatch._id}/repair`)
+      .send({ action: 'adopt_chain' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.mismatch.resolution).toMatchObject({ action: 'adopt_chain', status: 'repaired' });
+    const updated = await Document.findById(document._id);
+    expect(updated.access.owner).toBe(NEW_OWNER);
+
+    const again = await request(app)
+      .post(`/api/admin/reconciliation/${report._id}/mismatches/${mismatch._id}/repair`)
+      .send({ action: 'dismiss' });
+    expect(again.status).toBe(409);
+  });
+
+  it('should push missing grants and extra viewers to the chain', async () => {
+    const document = await createTestDocument(OWNER);
+    await Document.updateOne({ _id: document._id }, { 'access.authorizedViewers': [VIEWER] });
+    useChain({ [document.documentHash]: onChain(document, { viewers: [NEW_OWNER] }) });
+    const report = await reconciliationService.run();
+    const [mismatch] = report.mismatches;
+
+    const res = await request(app)
+      .post(`/api/admin/reconciliation/${report._id}/mismatches/${mismatch._id}/repair`)
+      .send({ action: 'push_to_chain' });
+
+    expect(res.status).toBe(200);
+    expect(blockchainService.grantDocumentAccess)
+      .toHaveBeenCalledWith(document.documentHash, VIEWER, document.access.issuer);
+    expect(blockchainService.revokeDocumentAccess)
+      .toHaveBeenCalledWith(document.documentHash, NEW_OWNER, document.access.issuer);
+  });
+
+  it('should not offer to reactivate a revoked document from the chain', async () => {
+    const document = await createTestDocument(OWNER);
+    await Document.updateOne({ _id: document._id }, { isActive: false, deactivationReason: 'Revoked: fraud' });
+    await Revocation.create({
+      documentHash: document.documentHash,
+      issuer: document.access.issuer,
+      revokedBy: document.access.issuer,
+      reasonCode: 'fraud'
+    });
+    useChain({ [document.documentHash]: onChain(document) });
+    const report = await reconciliationService.run();
+    const [mismatch] = report.mismatches;
+
+    expect(mismatch.type).toBe('active_differs');
+    expect(mismatch.repairActions).toEqual(['push_to_chain', 'dismiss']);
+
+    const res = await request(app)
+      .post(`/api/admin/reconciliation/${report._id}/mismatches/${mismatch._id}/repair`)
+      .send({ action: 'adopt_chain' });
+    expect(res.status).toBe(400);
+    expect((await Document.findById(document._id)).isActive).toBe(false);
+  });
+
+  it('should reject actions that are not offered and record failed repairs', async () => {
+    const document = await createTestDocument(OWNER);
+    useChain({ [document.documentHash]: onChain(document, { isActive: false }) });
+    const report = await reconciliationService.run();
+    const [mismatch] = report.mismatches;
+    const url = `/api/admin/reconciliation/${report._id}/mismatches/${mismatch._id}/repair`;
+
+    // The registry has no way to reactivate a document
+    const invalid = await request(app).post(url).send({ action: 'push_to_chain' });
+    expect(invalid.status).toBe(400);
+
+    const missing = await createTestDocument(OWNER);
+    blockchainService.registerDocument.mockRejectedValueOnce(new Error('Blockchain registration failed: reverted'));
+    const second = await reconciliationService.run();
+    const missingMismatch = second.mismatches.find(entry => entry.documentHash === missing.documentHash);
+
+    const failed = await request(app)
+      .post(`/api/admin/reconciliation/${second._id}/mismatches/${missingMismatch._id}/repair`)
+      .send({ action: 'push_to_chain' });
+
+    expect(failed.status).toBe(502);
+    const stored = await ReconciliationReport.findById(second._id);
+    expect(stored.mismatches.id(missingMismatch._id).resolution).toMatchObject({
+      action: 'push_to_chain',
+      status: 'failed'
+    });
+  });
+});
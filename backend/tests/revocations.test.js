@@ -0,0 +1,136 @@
+const request = require('supertest');
+const express = require('express');
+const Document = require('../models/Document');
+const Revocation = require('../models/Revocation');
+const blockchainService = require('../services/blockchainService');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+const OTHER_ISSUER = '0x9999999999999999999999999999999999999999';
+
+const TRANSACTION_HASH = '0xabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcd';
+
+describe('Document Revocation Registry', () => {
+  let app;
+  let document;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    document = await createTestDocument(ISSUER_ADDRESS, {
+      blockchain: { transactionHash: TRANSACTION_HASH, blockNumber: 1 }
+    });
+  });
+
+  describe('POST /api/documents/:documentHash/revoke', () => {
+    it('should record the revocation, deactivate the document and mirror it on-chain', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'error', reason: 'Wrong graduation year' })
+        .expect(201);
+
+      expect(response.body.data.revocation).toMatchObject({
+        documentHash: document.documentHash,
+        reasonCode: 'error',
+        reason: 'Wrong graduation year',
+        supersededBy: null
+      });
+      expect(blockchainService.deactivateDocument).toHaveBeenCalledWith(document.documentHash, 'error');
+
+      const updated = await Document.findOne({ documentHash: document.documentHash });
+      expect(updated.isActive).toBe(false);
+    });
+
+    it('should link a superseded document to its replacement', async () => {
+      const replacement = await createTestDocument(ISSUER_ADDRESS);
+
+      const response = await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'superseded', supersededBy: replacement.documentHash })
+        .expect(201);
+
+      expect(response.body.data.revocation.supersededBy).toBe(replacement.documentHash);
+    });
+
+    it('should require a replacement for superseded documents', async () => {
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'superseded' })
+        .expect(400);
+
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'expired' })
+        .expect(400);
+
+      expect(await Revocation.countDocuments()).toBe(0);
+    });
+
+    it('should only let the issuer revoke a document', async () => {
+      const foreign = await createTestDocument(OTHER_ISSUER);
+
+      await request(app)
+        .post(`/api/documents/${foreign.documentHash}/revoke`)
+        .send({ reasonCode: 'fraud' })
+        .expect(403);
+    });
+
+    it('should refuse to revoke a document twice', async () => {
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'rescinded' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'fraud' })
+        .expect(409);
+    });
+  });
+
+  describe('Public revocation status', () => {
+    beforeEach(async () => {
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'fraud', reason: 'Forged transcript' })
+        .expect(201);
+    });
+
+    it('should report the revocation without the private note', async () => {
+      const response = await request(app)
+        .get(`/api/documents/revocations/${document.documentHash}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('revoked');
+      expect(response.body.data.revocation.reasonCode).toBe('fraud');
+      expect(response.body.data.revocation.reason).toBeUndefined();
+    });
+
+    it('should list revocations and filter them by reason code', async () => {
+      const all = await request(app).get('/api/documents/revocations').expect(200);
+      expect(all.body.data.totalCount).toBe(1);
+      expect(all.body.data.revocations[0].documentHash).toBe(document.documentHash);
+
+      const filtered = await request(app)
+        .get('/api/documents/revocations')
+        .query({ reasonCode: 'error' })
+        .expect(200);
+      expect(filtered.body.data.revocations).toHaveLength(0);
+    });
+
+    it('should explain a revoked document when verifying by hash', async () => {
+      const response = await request(app)
+        .post('/api/documents/verify-hash')
+        .send({ documentHash: document.documentHash })
+        .expect(200);
+
+      expect(response.body.data.verified).toBe(false);
+      expect(response.body.data.revocation.reasonCode).toBe('fraud');
+    });
+  });
+});
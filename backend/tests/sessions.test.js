@@ -0,0 +1,216 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const User = require('../models/User');
+const Session = require('../models/Session');
+
+// Mock the database connection
+jest.mock('../config/database', () => jest.fn());
+
+// Sessions are enforced by the real auth middleware
+jest.unmock('../middleware/auth');
+const sessionService = require('../services/sessionService');
+
+describe('Sessions and refresh tokens', () => {
+  let app;
+  let wallet;
+
+  const signIn = async (signer = wallet, userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0') => {
+    const nonceResponse = await request(app)
+      .post('/api/auth/nonce')
+      .send({ walletAddress: signer.address });
+    const { nonce, message } = nonceResponse.body.data;
+
+    const response = await request(app)
+      .post('/api/auth/verify')
+      .set('User-Agent', userAgent)
+      .send({
+        walletAddress: signer.address,
+        signature: await signer.signMessage(message),
+        message,
+        nonce
+      })
+      .expect(200);
+    return response.body.data;
+  };
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/auth', require('../routes/auth'));
+    app.use('/api/admin', require('../routes/admin'));
+  });
+
+  beforeEach(async () => {
+    wallet = ethers.Wallet.createRandom();
+    await User.createWithRole(wallet.address, 'student');
+  });
+
+  it('should return a refresh token for the new session on login', async () => {
+    const data = await signIn();
+
+    expect(data.token).toBeTruthy();
+    expect(data.refreshToken).toMatch(/^[a-f0-9]{32}\.[a-f0-9]{64}$/);
+    expect(new Date(data.expiresAt).getTime()).toBeLessThan(Date.now() + 16 * 60 * 1000);
+
+    const session = await Session.findOne({ sessionId: data.refreshToken.split('.')[0] });
+    expect(session.walletAddress).toBe(wallet.address.toLowerCase());
+    expect(session.device).toBe('Chrome on Windows');
+  });
+
+  it('should rotate the refresh token and revoke the session when an old one is reused', async () => {
+    const { refreshToken } = await signIn();
+
+    const refreshed = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+    expect(refreshed.body.data.refreshToken).not.toBe(refreshToken);
+
+    const reused = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+    expect(reused.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    // The session is gone for the legitimate holder too
+    const afterReuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: refreshed.body.data.refreshToken })
+      .expect(401);
+    expect(afterReuse.body.code).toBe('SESSION_REVOKED');
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${refreshed.body.data.token}`)
+      .expect(401);
+  });
+
+  it('should let only one of two concurrent refreshes with the same token through', async () => {
+    const { refreshToken } = await signIn();
+
+    const responses = await Promise.all([1, 2].map(() => request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })));
+
+    expect(responses.map(response => response.status).sort()).toEqual([200, 401]);
+    const rejected = responses.find(response => response.status === 401);
+    expect(rejected.body.code).toBe('REFRESH_TOKEN_REUSED');
+
+    const session = await Session.findOne({ sessionId: refreshToken.split('.')[0] });
+    expect(session.revocationReason).toBe('refresh_token_reuse');
+  });
+
+  it('should reject unknown refresh tokens', async () => {
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'unknown.token' })
+      .expect(401);
+
+    expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+  });
+
+  it('should list sessions and sign out other devices', async () => {
+    const laptop = await signIn();
+    const phone = await signIn(wallet, 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0) Safari/604.1');
+
+    const list = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+    expect(list.body.data.sessions).toHaveLength(2);
+    const current = list.body.data.sessions.find(session => session.current);
+    const other = list.body.data.sessions.find(session => !session.current);
+    expect(current.device).toBe('Chrome on Windows');
+    expect(other.device).toBe('Safari on iOS');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${other.sessionId}`)
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${phone.token}`)
+      .expect(401);
+    expect(response.body.error).toBe('Session revoked');
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${laptop.token}`)
+      .expect(200);
+  });
+
+  it('should not revoke sessions of other users', async () => {
+    const otherWallet = ethers.Wallet.createRandom();
+    await User.createWithRole(otherWallet.address, 'student');
+    const other = await signIn(otherWallet);
+    const mine = await signIn();
+
+    await request(app)
+      .delete(`/api/auth/sessions/${other.refreshToken.split('.')[0]}`)
+      .set('Authorization', `Bearer ${mine.token}`)
+      .expect(404);
+  });
+
+  it('should revoke the session on logout', async () => {
+    const { token, refreshToken } = await signIn();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+  });
+
+  it('should let an admin sign a wallet out everywhere', async () => {
+    const adminWallet = ethers.Wallet.createRandom();
+    await User.createWithRole(adminWallet.address, 'admin');
+    const admin = await signIn(adminWallet);
+    const first = await signIn();
+    const second = await signIn();
+
+    const response = await request(app)
+      .post(`/api/admin/users/${wallet.address}/revoke-sessions`)
+      .set('Authorization', `Bearer ${admin.token}`)
+      .expect(200);
+    expect(response.body.data.revokedSessions).toBe(2);
+
+    for (const { token } of [first, second]) {
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+    }
+  });
+
+  it('should not let other roles revoke sessions', async () => {
+    const { token } = await signIn();
+
+    await request(app)
+      .post(`/api/admin/users/${wallet.address}/revoke-sessions`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(403);
+  });
+
+  describe('describeDevice', () => {
+    it('should name the browser and operating system', () => {
+      expect(sessionService.describeDevice(
+        'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 Version/17.0 Safari/605.1.15'
+      )).toBe('Safari on macOS');
+      expect(sessionService.describeDevice(
+        'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36 Edg/120.0'
+      )).toBe('Edge on Linux');
+      expect(sessionService.describeDevice('curl/8.0')).toBe('Unknown device');
+      expect(sessionService.describeDevice('')).toBe('Unknown device');
+    });
+  });
+});
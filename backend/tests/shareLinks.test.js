@@ -0,0 +1,158 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const Revocation = require('../models/Revocation');
+const ShareLink = require('../models/ShareLink');
+const VerificationLog = require('../models/VerificationLog');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+describe('Anonymous Share Links', () => {
+  let app;
+  let document;
+
+  const createLink = (options = {}) => request(app)
+    .post(`/api/documents/${document.documentHash}/share-links`)
+    .send(options)
+    .expect(201);
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    const ownerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+
+    document = await createTestDocument(ownerAddress, {
+      access: { owner: ownerAddress, issuer: ISSUER_ADDRESS, authorizedViewers: [] },
+      status: 'blockchain_stored'
+    });
+  });
+
+  it('should create a signed, expiring link without exposing the passcode', async () => {
+    const response = await createLink({ expiresInHours: 24, passcode: 'open-sesame', label: 'Acme HR' });
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.token).toBeDefined();
+    expect(response.body.data.url).toContain('?share=');
+    expect(response.body.data.link.hasPasscode).toBe(true);
+    expect(response.body.data.link.passcodeHash).toBeUndefined();
+
+    const ttl = new Date(response.body.data.link.expiresAt) - Date.now();
+    expect(ttl).toBeGreaterThan(23 * 60 * 60 * 1000);
+    expect(ttl).toBeLessThanOrEqual(24 * 60 * 60 * 1000);
+  });
+
+  it('should open the verification view and log the access', async () => {
+    const { body } = await createLink();
+
+    const response = await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token })
+      .expect(200);
+
+    expect(response.body.data.verification.isValid).toBe(true);
+    expect(response.body.data.verification.document.metadata.studentName).toBe('Test Student');
+    expect(response.body.data.verification.document.encryptionKey).toBeUndefined();
+    expect(response.body.data.link.allowDownload).toBe(false);
+
+    const logs = await VerificationLog.find({ documentHash: document.documentHash });
+    expect(logs).toHaveLength(1);
+    expect(logs[0].verificationMethod).toBe('share_link');
+    expect(logs[0].additionalInfo.shareLinkId).toBe(body.data.link.linkId);
+
+    const link = await ShareLink.findOne({ linkId: body.data.link.linkId });
+    expect(link.accessCount).toBe(1);
+  });
+
+  it('should require the passcode when one is set', async () => {
+    const { body } = await createLink({ passcode: 'open-sesame' });
+
+    const missing = await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token })
+      .expect(403);
+    expect(missing.body.passcodeRequired).toBe(true);
+
+    await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token, passcode: 'wrong-code' })
+      .expect(403);
+
+    await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token, passcode: 'open-sesame' })
+      .expect(200);
+  });
+
+  it('should reject tampered tokens', async () => {
+    const { body } = await createLink();
+
+    const response = await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token.slice(0, -2) + 'xx' })
+      .expect(410);
+
+    expect(response.body.success).toBe(false);
+  });
+
+  it('should stop working once revoked', async () => {
+    const { body } = await createLink();
+
+    await request(app)
+      .delete(`/api/documents/${document.documentHash}/share-links/${body.data.link.linkId}`)
+      .send({ reason: 'Position filled' })
+      .expect(200);
+
+    await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token })
+      .expect(410);
+
+    const list = await request(app)
+      .get(`/api/documents/${document.documentHash}/share-links`)
+      .expect(200);
+
+    expect(list.body.data.links).toHaveLength(1);
+    expect(list.body.data.links[0].isActive).toBe(false);
+    expect(list.body.data.links[0].revocationReason).toBe('Position filled');
+  });
+
+  it('should report the revocation of the shared document', async () => {
+    const { body } = await createLink();
+    await Document.updateOne({ _id: document._id }, { isActive: false, deactivationReason: 'Revoked: rescinded' });
+    await Revocation.create({
+      documentHash: document.documentHash,
+      issuer: ISSUER_ADDRESS,
+      revokedBy: ISSUER_ADDRESS,
+      reasonCode: 'rescinded'
+    });
+
+    const response = await request(app)
+      .post('/api/documents/shared/view')
+      .send({ token: body.data.token })
+      .expect(410);
+
+    expect(response.body.error).toBe('Document has been revoked');
+    expect(response.body.revocation).toMatchObject({
+      documentHash: document.documentHash,
+      reasonCode: 'rescinded'
+    });
+  });
+
+  it('should refuse downloads unless the link allows them', async () => {
+    const { body } = await createLink({ allowDownload: false });
+
+    const response = await request(app)
+      .post('/api/documents/shared/download')
+      .send({ token: body.data.token })
+      .expect(403);
+
+    expect(response.body.error).toContain('does not allow downloads');
+  });
+});
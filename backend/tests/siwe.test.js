@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+const {
+  isSiweMessage,
+  createSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage
+} = require('../utils/siwe');
+
+const wallet = ethers.Wallet.createRandom();
+
+const siweFields = (overrides = {}) => ({
+  domain: 'docs.example.edu',
+  address: wallet.address,
+  statement: 'Sign in to the Blockchain Document Verification System.',
+  uri: 'https://docs.example.edu',
+  version: '1',
+  chainId: 11155111,
+  nonce: 'a1b2c3d4e5f6a7b8',
+  issuedAt: new Date().toISOString(),
+  ...overrides
+});
+
+const expected = {
+  address: wallet.address.toLowerCase(),
+  domains: ['docs.example.edu'],
+  chainIds: [11155111]
+};
+
+describe('Sign-In with Ethereum messages', () => {
+  it('should build the EIP-4361 format', () => {
+    const message = createSiweMessage(siweFields({
+      issuedAt: '2026-01-01T00:00:00.000Z',
+      expirationTime: '2026-01-01T00:10:00.000Z',
+      resources: ['ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi']
+    }));
+
+    expect(message).toBe([
+      'docs.example.edu wants you to sign in with your Ethereum account:',
+      wallet.address,
+      '',
+      'Sign in to the Blockchain Document Verification System.',
+      '',
+      'URI: https://docs.example.edu',
+      'Version: 1',
+      'Chain ID: 11155111',
+      'Nonce: a1b2c3d4e5f6a7b8',
+      'Issued At: 2026-01-01T00:00:00.000Z',
+      'Expiration Time: 2026-01-01T00:10:00.000Z',
+      'Resources:',
+      '- ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi'
+    ].join('\n'));
+  });
+
+  it('should parse what it builds, with and without a statement', () => {
+    const fields = siweFields({ notBefore: new Date().toISOString(), requestId: 'login-1' });
+    expect(parseSiweMessage(createSiweMessage(fields))).toEqual(fields);
+
+    const withoutStatement = siweFields({ statement: undefined, scheme: 'https' });
+    const message = createSiweMessage(withoutStatement);
+    expect(message.split('\n').slice(0, 4)).toEqual([
+      'https://docs.example.edu wants you to sign in with your Ethereum account:',
+      wallet.address,
+      '',
+      ''
+    ]);
+    expect(parseSiweMessage(message)).toEqual({ ...withoutStatement, statement: undefined });
+  });
+
+  it('should tell SIWE messages from the legacy format', () => {
+    expect(isSiweMessage(createSiweMessage(siweFields()))).toBe(true);
+    expect(isSiweMessage('Welcome to Blockchain Document Verification System!\n\nNonce: abc')).toBe(false);
+    expect(isSiweMessage(undefined)).toBe(false);
+  });
+
+  it.each([
+    ['a missing field', message => message.replace(/Chain ID: .*\n/, ''), 'Missing Chain ID'],
+    ['fields out of order', message => message.replace(/(Version: 1)\n(Chain ID: \d+)/, '$2\n$1'), 'Missing Version'],
+    ['an unsupported version', message => message.replace('Version: 1', 'Version: 2'), 'Unsupported version'],
+    ['a short nonce', message => message.replace(/Nonce: .*/, 'Nonce: abc'), 'Nonce must be'],
+    ['a bad timestamp', message => message.replace(/Issued At: .*/, 'Issued At: yesterday'), 'Invalid Issued At'],
+    ['trailing lines', message => `${message}\nHello`, 'Unexpected line']
+  ])('should reject messages with %s', (_, tamper, error) => {
+    expect(() => parseSiweMessage(tamper(createSiweMessage(siweFields())))).toThrow(error);
+  });
+
+  it('should accept a message bound to this deployment', () => {
+    expect(validateSiweMessage(siweFields(), expected)).toBeNull();
+  });
+
+  it.each([
+    ['another domain', { domain: 'evil.example.com', uri: 'https://evil.example.com' }, 'Domain evil.example.com is not accepted'],
+    ['a URI outside the domain', { uri: 'https://evil.example.com' }, 'URI does not belong to the domain'],
+    ['another chain', { chainId: 1 }, 'Chain ID 1 is not accepted'],
+    ['another address', { address: ethers.Wallet.createRandom().address }, 'Message was issued for a different address'],
+    ['an unchecksummed address', { address: wallet.address.toLowerCase() }, 'Address must use its EIP-55 checksum'],
+    ['an expiry in the past', { expirationTime: new Date(Date.now() - 1000).toISOString() }, 'Message has expired'],
+    ['an issue date in the future', { issuedAt: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, 'Message was issued in the future'],
+    ['a not-before in the future', { notBefore: new Date(Date.now() + 60 * 60 * 1000).toISOString() }, 'Message is not valid yet']
+  ])('should reject a message for %s', (_, overrides, reason) => {
+    expect(validateSiweMessage(siweFields(overrides), expected)).toBe(reason);
+  });
+});
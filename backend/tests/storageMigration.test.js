@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const express = require('express');
+const Document = require('../models/Document');
+const StorageMigration = require('../models/StorageMigration');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const ipfsService = require('../services/ipfsService');
+const blockchainService = require('../services/blockchainService');
+const storageMigrationService = require('../services/storageMigrationService');
+const { createTestDocument } = require('./setup');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const CONTENT = Buffer.from('encrypted diploma bytes');
+const CONTENT_HASH = crypto.createHash('sha256').update(CONTENT).digest('hex');
+const LOCAL_CID = `local_${CONTENT_HASH.substring(0, 32)}`;
+const KUBO_CID = 'bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi';
+const TX_HASH = `0x${'cd'.repeat(32)}`;
+const LOCAL_PATH = path.join(os.tmpdir(), `storage-migration-test-${process.pid}`);
+
+/**
+ * Point the mocked ipfsService at a local store holding CONTENT and remote providers whose
+ * health is given by `healthy`
+ */
+const useProviders = (healthy = { kubo: true, pinata: true }) => {
+  ipfsService.providers = [
+    { name: 'kubo', priority: 0, enabled: true },
+    { name: 'pinata', priority: 2, enabled: true },
+    { name: 'local', priority: 4, enabled: true }
+  ];
+  ipfsService.replicationFactor = 1;
+  ipfsService.getContentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+  ipfsService.checkIPFSHealth = jest.fn(async () => Object.fromEntries(
+    Object.entries(healthy).map(([name, available]) => [name, { available }])
+  ));
+  ipfsService.findLocalFilePath = jest.fn((cid) => {
+    if (cid !== LOCAL_CID) throw new Error(`Local CID not found: ${cid}`);
+    return LOCAL_PATH;
+  });
+  ipfsService.hashSource = jest.fn(async (source) => (
+    crypto.createHash('sha256').update(fs.readFileSync(source.path)).digest('hex')
+  ));
+  ipfsService.storeReplica = jest.fn(async (provider) => ({
+    provider,
+    cid: provider === 'kubo' ? KUBO_CID : 'QmNLei78zWmzUdbeRB3CiUfAizWUrbeeZh5K1rhAQKCh51',
+    status: 'pinned',
+    pinnedAt: new Date()
+  }));
+};
+
+const createLocalDocument = (overrides = {}) => createTestDocument(OWNER, {
+  ipfsHash: LOCAL_CID,
+  storage: {
+    contentHash: CONTENT_HASH,
+    replicas: [{ provider: 'local', cid: LOCAL_CID, status: 'pinned' }]
+  },
+  ...overrides
+});
+
+describe('Storage Migration', () => {
+  const originalConfig = { ...storageMigrationService.config };
+  let app;
+
+  beforeAll(() => {
+    fs.writeFileSync(LOCAL_PATH, CONTENT);
+  });
+
+  afterAll(() => {
+    fs.rmSync(LOCAL_PATH, { force: true });
+  });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', require('../routes/admin'));
+    useProviders();
+  });
+
+  afterEach(() => {
+    storageMigrationService.config = { ...originalConfig };
+    jest.clearAllMocks();
+  });
+
+  it('should move a local file to the first healthy provider and record the mapping', async () => {
+    useProviders({ kubo: false, pinata: true });
+    const document = await createLocalDocument();
+
+    const results = await storageMigrationService.runMigration();
+
+    expect(results).toMatchObject({ pending: 1, providers: ['pinata'], migrated: 1, failed: 0 });
+    expect(ipfsService.storeReplica).toHaveBeenCalledWith(
+      'pinata',
+      { path: LOCAL_PATH, size: CONTENT.length },
+      expect.any(String),
+      expect.any(Object)
+    );
+
+    const migrated = await Document.findById(document._id);
+    expect(migrated.ipfsHash).toBe('QmNLei78zWmzUdbeRB3CiUfAizWUrbeeZh5K1rhAQKCh51');
+    // The local copy stays as a last-resort replica
+    expect(migrated.storage.replicas.map(r => r.provider)).toEqual(['pinata', 'local']);
+
+    const migration = await StorageMigration.findOne({ documentHash: document.documentHash });
+    expect(migration).toMatchObject({
+      fromCid: LOCAL_CID,
+      toCid: 'QmNLei78zWmzUdbeRB3CiUfAizWUrbeeZh5K1rhAQKCh51',
+      contentHash: CONTENT_HASH,
+      triggeredBy: null
+    });
+    expect(migration.chainUpdate.status).toBe('not_requested');
+    expect(blockchainService.updateDocumentIpfsHash).not.toHaveBeenCalled();
+  });
+
+  it('should keep migrated documents saveable whatever CIDv1 the provider returns', async () => {
+    const rawLeavesCid = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+    useProviders({ kubo: true, pinata: false });
+    ipfsService.storeReplica = jest.fn(async (provider) => ({
+      provider,
+      cid: rawLeavesCid,
+      status: 'pinned',
+      pinnedAt: new Date()
+    }));
+    const document = await createLocalDocument();
+
+    await storageMigrationService.runMigration();
+
+    const migrated = await Document.findById(document._id);
+    expect(migrated.ipfsHash).toBe(rawLeavesCid);
+    migrated.audit.verificationCount += 1;
+    await expect(migrated.save()).resolves.toBeDefined();
+
+    migrated.ipfsHash = 'not-a-cid';
+    await expect(migrated.validate()).rejects.toThrow('Invalid IPFS hash format');
+  });
+
+  it('should wait while no remote provider is healthy', async () => {
+    useProviders({ kubo: false, pinata: false });
+    const document = await createLocalDocument();
+
+    const results = await storageMigrationService.runMigration();
+
+    expect(results).toMatchObject({ pending: 1, providers: [], migrated: 0 });
+    expect(ipfsService.storeReplica).not.toHaveBeenCalled();
+    expect((await Document.findById(document._id)).ipfsHash).toBe(LOCAL_CID);
+  });
+
+  it('should not migrate a local copy that fails its content hash check', async () => {
+    const document = await createLocalDocument({
+      storage: { contentHash: 'a'.repeat(64), replicas: [] }
+    });
+
+    const results = await storageMigrationService.runMigration();
+
+    expect(results).toMatchObject({ migrated: 0, failed: 1 });
+    expect((await Document.findById(document._id)).ipfsHash).toBe(LOCAL_CID);
+    expect(await StorageMigration.countDocuments()).toBe(0);
+  });
+
+  it('should update the on-chain IPFS hash of registered documents when enabled', async () => {
+    storageMigrationService.config.updateChain = true;
+    const registered = await createLocalDocument({ blockchain: { transactionHash: TX_HASH, blockNumber: 10 } });
+    const pending = await createLocalDocument({ documentHash: `0x${'ef'.repeat(32)}`, status: 'pending' });
+
+    await storageMigrationService.runMigration();
+
+    expect(blockchainService.updateDocumentIpfsHash).toHaveBeenCalledTimes(1);
+    expect(blockchainService.updateDocumentIpfsHash).toHaveBeenCalledWith(registered.documentHash, KUBO_CID);
+    expect((await StorageMigration.findOne({ documentHash: registered.documentHash })).chainUpdate)
+      .toMatchObject({ status: 'confirmed', blockNumber: 12345 });
+    expect((await StorageMigration.findOne({ documentHash: pending.documentHash })).chainUpdate.status)
+      .toBe('not_registered');
+  });
+
+  it('should settle chain updates that were still pending once the tracker resolves them', async () => {
+    storageMigrationService.config.updateChain = true;
+    const pendingError = new Error('Transaction is still pending');
+    pendingError.code = 'TRANSACTION_PENDING';
+    pendingError.transactionHash = TX_HASH;
+    blockchainService.updateDocumentIpfsHash.mockRejectedValueOnce(
+      new Error('Blockchain IPFS hash update failed: pending', { cause: pendingError })
+    );
+    const document = await createLocalDocument({ blockchain: { transactionHash: TX_HASH, blockNumber: 10 } });
+
+    await storageMigrationService.runMigration();
+    let migration = await StorageMigration.findOne({ documentHash: document.documentHash });
+    expect(migration.chainUpdate).toMatchObject({ status: 'submitted', transactionHash: TX_HASH });
+
+    await BlockchainTransaction.create({
+      hash: TX_HASH,
+      from: OWNER,
+      nonce: 0,
+      chainId: 31337,
+      to: '0x5fbdb2315678afecb367f032d93f642f64180aa3',
+      data: '0x',
+      gasLimit: '60000',
+      method: 'updateIpfsHash',
+      documentHash: document.documentHash,
+      submissions: [{ hash: TX_HASH }],
+      status: 'confirmed',
+      receipt: { hash: TX_HASH, blockNumber: 99, status: 1 }
+    });
+
+    const results = await storageMigrationService.runMigration();
+
+    expect(results.chainUpdatesSettled).toBe(1);
+    migration = await StorageMigration.findById(migration._id);
+    expect(migration.chainUpdate).toMatchObject({ status: 'confirmed', blockNumber: 99 });
+  });
+
+  it('should let admins run the migration and list the audit trail', async () => {
+    const document = await createLocalDocument();
+
+    const run = await request(app).post('/api/admin/storage-migrations/run').send({ limit: 5 });
+
+    expect(run.status).toBe(200);
+    expect(run.body.data.results).toMatchObject({ migrated: 1, providers: ['kubo', 'pinata'] });
+
+    const list = await request(app)
+      .get('/api/admin/storage-migrations')
+      .query({ documentHash: document.documentHash });
+
+    expect(list.status).toBe(200);
+    expect(list.body.data.status.localDocuments).toBe(0);
+    expect(list.body.data.migrations).toHaveLength(1);
+    expect(list.body.data.migrations[0]).toMatchObject({
+      fromCid: LOCAL_CID,
+      toCid: KUBO_CID,
+      triggeredBy: '0x1234567890123456789012345678901234567890'
+    });
+  });
+
+  it('should report when no provider is available for an admin run', async () => {
+    useProviders({ kubo: false, pinata: false });
+    await createLocalDocument();
+
+    const res = await request(app).post('/api/admin/storage-migrations/run');
+
+    expect(res.status).toBe(503);
+    expect(res.body.data.results.pending).toBe(1);
+  });
+});
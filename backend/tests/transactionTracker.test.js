@@ -0,0 +1,189 @@
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const BlockchainTransaction = require('../models/BlockchainTransaction');
+const transactionTrackerService = require('../services/transactionTrackerService');
+const { createTestDocument } = require('./setup');
+
+const REGISTRY = '0x5fbdb2315678afecb367f032d93f642f64180aa3';
+const GWEI = 1000000000n;
+
+/**
+ * Minimal provider that keeps broadcast transactions in a mempool until mine() is called.
+ * Only the calls the tracker makes are implemented.
+ */
+const createChain = () => {
+  const chain = {
+    mempool: new Map(),
+    receipts: new Map(),
+    minedNonce: 0,
+    blockNumber: 100,
+    broadcast: []
+  };
+
+  chain.provider = {
+    getNetwork: async () => ({ chainId: 31337n }),
+    getFeeData: async () => ({ maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: GWEI, gasPrice: 10n * GWEI }),
+    getTransactionCount: async (address, tag) => (
+      tag === 'pending' ? chain.minedNonce + chain.mempool.size : chain.minedNonce
+    ),
+    broadcastTransaction: async (signed) => {
+      const tx = ethers.Transaction.from(signed);
+      chain.broadcast.push(tx);
+      // A replacement takes its predecessor's place
+      for (const [hash, pending] of chain.mempool) {
+        if (pending.nonce === tx.nonce) chain.mempool.delete(hash);
+      }
+      chain.mempool.set(tx.hash, tx);
+      return tx;
+    },
+    getTransaction: async (hash) => chain.mempool.get(hash) || null,
+    getTransactionReceipt: async (hash) => chain.receipts.get(hash) || null
+  };
+
+  chain.mine = (status = 1) => {
+    chain.blockNumber++;
+    for (const [hash, tx] of chain.mempool) {
+      chain.receipts.set(hash, {
+        hash,
+        blockNumber: chain.blockNumber,
+        gasUsed: 50000n,
+        gasPrice: tx.maxFeePerGas,
+        status
+      });
+      chain.minedNonce = Math.max(chain.minedNonce, tx.nonce + 1);
+    }
+    chain.mempool.clear();
+  };
+
+  return chain;
+};
+
+const createContract = (signer) => {
+  const method = () => {};
+  method.populateTransaction = async (...args) => ({
+    to: REGISTRY,
+    data: ethers.hexlify(ethers.toUtf8Bytes(JSON.stringify(args)))
+  });
+  method.estimateGas = async () => 100000n;
+  return { runner: signer, registerDocument: method };
+};
+
+describe('Pending Transaction Tracker', () => {
+  let chain;
+  let contract;
+  const originalConfig = { ...transactionTrackerService.config };
+
+  beforeEach(() => {
+    chain = createChain();
+    contract = createContract(ethers.Wallet.createRandom().connect(chain.provider));
+    Object.assign(transactionTrackerService.config, { waitTimeoutMs: 50, pollIntervalMs: 10 });
+  });
+
+  afterEach(() => {
+    Object.assign(transactionTrackerService.config, originalConfig);
+  });
+
+  it('should persist the transaction and return the receipt once mined', async () => {
+    const document = await createTestDocument('0x1111111111111111111111111111111111111111');
+    const sending = transactionTrackerService.send(contract, 'registerDocument', [document.documentHash], {
+      documentHash: document.documentHash
+    });
+    setTimeout(() => chain.mine(), 20);
+
+    const { receipt, transaction } = await sending;
+
+    expect(receipt.blockNumber).toBe(101);
+    const stored = await BlockchainTransaction.findById(transaction._id);
+    expect(stored).toMatchObject({
+      status: 'confirmed',
+      nonce: 0,
+      method: 'registerDocument',
+      documentHash: document.documentHash,
+      gasLimit: '120000'
+    });
+    expect(stored.fees.maxFeePerGas).toBe((10n * GWEI).toString());
+  });
+
+  it('should leave unmined transactions pending and give concurrent sends distinct nonces', async () => {
+    const results = await Promise.allSettled([
+      transactionTrackerService.send(contract, 'registerDocument', ['a']),
+      transactionTrackerService.send(contract, 'registerDocument', ['b'])
+    ]);
+
+    expect(results.map(result => result.reason.code)).toEqual(['TRANSACTION_PENDING', 'TRANSACTION_PENDING']);
+    const pending = await BlockchainTransaction.findPending();
+    expect(pending.map(record => record.nonce)).toEqual([0, 1]);
+    expect(await BlockchainTransaction.findByHash(results[0].reason.transactionHash)).not.toBeNull();
+  });
+
+  it('should replace a stuck registration and mark its document stored', async () => {
+    const document = await createTestDocument('0x1111111111111111111111111111111111111111', { status: 'pending' });
+    await expect(transactionTrackerService.send(contract, 'registerDocument', [document.documentHash], {
+      documentHash: document.documentHash
+    })).rejects.toMatchObject({ code: 'TRANSACTION_PENDING' });
+
+    transactionTrackerService.config.stuckAfterMs = 0;
+    const [record] = await BlockchainTransaction.findPending();
+    expect((await transactionTrackerService.checkTransaction(record)).action).toBe('replaced');
+    expect(record.replacementCount).toBe(1);
+    expect(record.fees.maxFeePerGas).toBe((12n * GWEI).toString());
+    expect(chain.broadcast[1].nonce).toBe(chain.broadcast[0].nonce);
+
+    chain.mine();
+    const results = await transactionTrackerService.processPending();
+
+    expect(results).toMatchObject({ checked: 1, confirmed: 1 });
+    const settled = await BlockchainTransaction.findById(record._id);
+    expect(settled.receipt.hash).toBe(chain.broadcast[1].hash);
+    const updated = await Document.findById(document._id);
+    expect(updated.status).toBe('blockchain_stored');
+    expect(updated.blockchain.transactionHash).toBe(chain.broadcast[1].hash);
+  });
+
+  it('should mark the document failed when the nonce is taken by another transaction', async () => {
+    const document = await createTestDocument('0x1111111111111111111111111111111111111111', { status: 'pending' });
+    await expect(transactionTrackerService.send(contract, 'registerDocument', [document.documentHash], {
+      documentHash: document.documentHash
+    })).rejects.toMatchObject({ code: 'TRANSACTION_PENDING' });
+
+    chain.mempool.clear();
+    chain.minedNonce = 1;
+    const results = await transactionTrackerService.processPending();
+
+    expect(results).toMatchObject({ checked: 1, failed: 1 });
+    const [record] = await BlockchainTransaction.find({ documentHash: document.documentHash });
+    expect(record.error).toBe('Nonce was used by another transaction');
+    expect((await Document.findById(document._id)).status).toBe('failed');
+  });
+
+  it('should settle a transaction mined between the receipt lookup and the nonce check', async () => {
+    const document = await createTestDocument('0x1111111111111111111111111111111111111111', { status: 'pending' });
+    await expect(transactionTrackerService.send(contract, 'registerDocument', [document.documentHash], {
+      documentHash: document.documentHash
+    })).rejects.toMatchObject({ code: 'TRANSACTION_PENDING' });
+
+    const getTransactionCount = chain.provider.getTransactionCount;
+    chain.provider.getTransactionCount = async (...args) => {
+      chain.mine();
+      return getTransactionCount(...args);
+    };
+    const [record] = await BlockchainTransaction.findPending();
+
+    expect((await transactionTrackerService.checkTransaction(record)).action).toBe('confirmed');
+    expect((await Document.findById(document._id)).status).toBe('blockchain_stored');
+  });
+
+  it('should summarise tracked transactions for the blockchain stats endpoint', async () => {
+    await expect(transactionTrackerService.send(contract, 'registerDocument', ['a']))
+      .rejects.toMatchObject({ code: 'TRANSACTION_PENDING' });
+
+    const stats = await transactionTrackerService.getStats();
+
+    expect(stats).toMatchObject({ pending: 1, confirmed: 0, failed: 0, replaced: 0, stuck: 0 });
+    expect(stats.pendingTransactions[0]).toMatchObject({
+      method: 'registerDocument',
+      nonce: 0,
+      replacements: 0
+    });
+  });
+});
@@ -233,6 +233,65 @@ describe('User Management System', () => {
     });
   });
 
+  describe('Encryption keys', () => {
+    const encryptionPublicKey = () => {
+      const ecdh = require('crypto').createECDH('secp256k1');
+      ecdh.generateKeys();
+      return '0x' + ecdh.getPublicKey('hex', 'uncompressed');
+    };
+
+    it('should register a public key others can look up', async () => {
+      const publicKey = encryptionPublicKey();
+
+      await request(app)
+        .put('/api/users/encryption-key')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publicKey })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/users/${userWallet.address}/encryption-key`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.encryptionPublicKey).toBe(publicKey);
+    });
+
+    it('should only replace a registered key when asked to', async () => {
+      await request(app)
+        .put('/api/users/encryption-key')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publicKey: encryptionPublicKey() })
+        .expect(200);
+
+      const replacement = encryptionPublicKey();
+      await request(app)
+        .put('/api/users/encryption-key')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publicKey: replacement })
+        .expect(409);
+
+      await request(app)
+        .put('/api/users/encryption-key')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publicKey: replacement, replace: true })
+        .expect(200);
+    });
+
+    it('should reject points that are not on the curve', async () => {
+      await request(app)
+        .put('/api/users/encryption-key')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ publicKey: '0x04' + '00'.repeat(64) })
+        .expect(400);
+
+      await request(app)
+        .get(`/api/users/${adminWallet.address}/encryption-key`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+  });
+
   describe('PUT /api/users/:walletAddress/role', () => {
     it('should allow admin to update user role', async () => {
       const response = await request(app)
@@ -0,0 +1,162 @@
+const request = require('supertest');
+const express = require('express');
+const { ethers } = require('ethers');
+const Document = require('../models/Document');
+const VerificationLog = require('../models/VerificationLog');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+describe('Verification History', () => {
+  let app;
+  let issuedDocument, otherDocument;
+
+  const logVerification = (documentHash, overrides = {}) => VerificationLog.create({
+    documentHash,
+    verifier: ethers.Wallet.createRandom().address.toLowerCase(),
+    verifierIp: '127.0.0.1',
+    verificationMethod: 'hash',
+    result: 'authentic',
+    ...overrides
+  });
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+  });
+
+  beforeEach(async () => {
+    const studentAddress = ethers.Wallet.createRandom().address.toLowerCase();
+    const strangerAddress = ethers.Wallet.createRandom().address.toLowerCase();
+
+    issuedDocument = await createTestDocument(studentAddress, {
+      access: { owner: studentAddress, issuer: ISSUER_ADDRESS }
+    });
+    otherDocument = await createTestDocument(strangerAddress, {
+      access: { owner: strangerAddress, issuer: strangerAddress }
+    });
+
+    await logVerification(issuedDocument.documentHash, {
+      timestamp: new Date('2024-01-10T10:00:00Z')
+    });
+    await logVerification(issuedDocument.documentHash, {
+      result: 'tampered',
+      verificationMethod: 'upload',
+      timestamp: new Date('2024-02-10T10:00:00Z')
+    });
+    await logVerification(otherDocument.documentHash);
+  });
+
+  it('should only return logs for documents the user issued or owns', async () => {
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .expect(200);
+
+    expect(response.body.success).toBe(true);
+    expect(response.body.data.totalCount).toBe(2);
+    expect(response.body.data.verifications).toHaveLength(2);
+    response.body.data.verifications.forEach(verification => {
+      expect(verification.documentHash).toBe(issuedDocument.documentHash);
+      expect(verification.document.metadata.studentName).toBe('Test Student');
+    });
+
+    // Newest first
+    expect(response.body.data.verifications[0].result).toBe('tampered');
+    expect(response.body.data.verifications[0].isValid).toBe(false);
+    expect(response.body.data.verifications[1].isValid).toBe(true);
+  });
+
+  it('should include checks performed by the user on other documents', async () => {
+    await logVerification(otherDocument.documentHash, { verifier: ISSUER_ADDRESS });
+
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .expect(200);
+
+    expect(response.body.data.totalCount).toBe(3);
+  });
+
+  it('should filter by result, method and date range', async () => {
+    const byResult = await request(app)
+      .get('/api/documents/verifications')
+      .query({ result: 'tampered' })
+      .expect(200);
+    expect(byResult.body.data.totalCount).toBe(1);
+    expect(byResult.body.data.verifications[0].method).toBe('upload');
+
+    const byMethod = await request(app)
+      .get('/api/documents/verifications')
+      .query({ method: 'hash' })
+      .expect(200);
+    expect(byMethod.body.data.totalCount).toBe(1);
+
+    const byDate = await request(app)
+      .get('/api/documents/verifications')
+      .query({ startDate: '2024-02-01', endDate: '2024-03-01' })
+      .expect(200);
+    expect(byDate.body.data.totalCount).toBe(1);
+    expect(byDate.body.data.verifications[0].result).toBe('tampered');
+
+    // The end date includes the whole of that day
+    const endingThatDay = await request(app)
+      .get('/api/documents/verifications')
+      .query({ startDate: '2024-02-01', endDate: '2024-02-10' })
+      .expect(200);
+    expect(endingThatDay.body.data.totalCount).toBe(1);
+  });
+
+  it('should paginate results', async () => {
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .query({ page: 2, limit: 1 })
+      .expect(200);
+
+    expect(response.body.data.verifications).toHaveLength(1);
+    expect(response.body.data.verifications[0].result).toBe('authentic');
+    expect(response.body.data.pagination).toEqual({ current: 2, pages: 2, total: 2, limit: 1 });
+  });
+
+  it('should reject unknown filter values', async () => {
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .query({ result: 'maybe' })
+      .expect(400);
+
+    expect(response.body.success).toBe(false);
+    expect(response.body.error).toContain('Invalid result filter');
+  });
+
+  it('should export the filtered history as CSV', async () => {
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .query({ format: 'csv' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/csv');
+    expect(response.headers['content-disposition']).toContain('verification-history-');
+
+    const lines = response.text.split('\n');
+    expect(lines[0]).toBe(
+      'Verification ID,Document Hash,Timestamp,Result,Method,Verifier,Student Name,Document Type,Institution'
+    );
+    expect(lines).toHaveLength(3);
+    expect(lines[1]).toContain(issuedDocument.documentHash);
+  });
+
+  it('should keep spreadsheet formulas in exported cells as text', async () => {
+    await Document.updateOne(
+      { _id: issuedDocument._id },
+      { 'metadata.studentName': '=HYPERLINK("http://example.com","Open")' }
+    );
+
+    const response = await request(app)
+      .get('/api/documents/verifications')
+      .query({ format: 'csv' })
+      .expect(200);
+
+    expect(response.text).toContain('"\'=HYPERLINK(""http://example.com"",""Open"")"');
+    expect(response.text).not.toMatch(/,=HYPERLINK/);
+  });
+});
@@ -0,0 +1,236 @@
+const http = require('http');
+const request = require('supertest');
+const express = require('express');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const { verifySignature, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../utils/webhookSignature');
+const { createTestDocument } = require('./setup');
+
+// The mocked authenticateToken in setup.js signs every request in as this issuer
+const ISSUER_ADDRESS = '0x1234567890123456789012345678901234567890';
+const OTHER_ISSUER = '0x9999999999999999999999999999999999999999';
+
+// Local stand-in for a subscriber's endpoint: records requests and fails the first `failures`
+const startReceiver = (failures = 0) => new Promise(resolve => {
+  const received = [];
+  let remainingFailures = failures;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = remainingFailures-- > 0 ? 503 : 204;
+      res.end();
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/webhooks` });
+  });
+});
+
+// Deliveries are attempted in the background once an event is recorded
+const waitForDelivery = async (filter, status) => {
+  for (let i = 0; i < 50; i++) {
+    const delivery = await WebhookDelivery.findOne(filter);
+    if (delivery && delivery.status === status && delivery.attempts.length > 0) {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery did not reach status ${status}`);
+};
+
+describe('Document Lifecycle Webhooks', () => {
+  let app;
+  let receiver;
+  const originalConfig = { ...webhookService.config };
+
+  beforeAll(() => {
+    // The test receiver listens on 127.0.0.1
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/documents', require('../routes/documents'));
+    app.use('/api/webhooks', require('../routes/webhooks'));
+  });
+
+  beforeEach(async () => {
+    receiver = await startReceiver();
+  });
+
+  afterAll(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+  });
+
+  afterEach(async () => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+    webhookService.config = { ...originalConfig };
+    await new Promise(resolve => receiver.server.close(resolve));
+  });
+
+  const subscribe = async (eventTypes = ['document.revoked']) => {
+    const response = await request(app)
+      .post('/api/webhooks/subscriptions')
+      .send({ url: receiver.url, eventTypes })
+      .expect(201);
+    return response.body.data;
+  };
+
+  describe('Subscriptions', () => {
+    it('should return the signing secret only when the subscription is created', async () => {
+      const { subscription, secret } = await subscribe();
+
+      expect(secret).toMatch(/^[a-f0-9]{64}$/);
+      expect(subscription.secret).toBeUndefined();
+      expect(subscription.issuer).toBe(ISSUER_ADDRESS);
+
+      const listed = await request(app)
+        .get('/api/webhooks/subscriptions')
+        .expect(200);
+      expect(listed.body.data.subscriptions).toHaveLength(1);
+      expect(listed.body.data.subscriptions[0].secret).toBeUndefined();
+    });
+
+    it('should not let issuers subscribe to every document', async () => {
+      await request(app)
+        .post('/api/webhooks/subscriptions')
+        .send({ url: receiver.url, eventTypes: ['document.verified'], allDocuments: true })
+        .expect(403);
+    });
+
+    it('should not let issuers manage another issuer\'s subscription', async () => {
+      const foreign = await WebhookSubscription.create({
+        url: receiver.url,
+        eventTypes: ['document.revoked'],
+        issuer: OTHER_ISSUER,
+        createdBy: OTHER_ISSUER
+      });
+
+      await request(app)
+        .delete(`/api/webhooks/subscriptions/${foreign._id}`)
+        .expect(403);
+    });
+
+    it('should refuse loopback, private and link-local URLs', async () => {
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+      for (const url of [
+        receiver.url,
+        'http://localhost:8080/hook',
+        'http://10.0.0.5/hook',
+        'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/hook'
+      ]) {
+        const response = await request(app)
+          .post('/api/webhooks/subscriptions')
+          .send({ url, eventTypes: ['document.revoked'] })
+          .expect(400);
+        expect(response.body.details).toContain('Webhook URL must point to a public host');
+      }
+
+      expect(await WebhookSubscription.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('Delivery', () => {
+    it('should deliver a signed event when a document is revoked', async () => {
+      const { secret } = await subscribe();
+      const document = await createTestDocument(ISSUER_ADDRESS);
+
+      await request(app)
+        .post(`/api/documents/${document.documentHash}/revoke`)
+        .send({ reasonCode: 'error', reason: 'Wrong graduation year' })
+        .expect(201);
+
+      await waitForDelivery({ documentHash: document.documentHash }, 'delivered');
+
+      expect(receiver.received).toHaveLength(1);
+      const { headers, body } = receiver.received[0];
+      expect(headers['x-webhook-event']).toBe('document.revoked');
+      expect(verifySignature(
+        secret,
+        headers[TIMESTAMP_HEADER.toLowerCase()],
+        body,
+        headers[SIGNATURE_HEADER.toLowerCase()]
+      )).toBe(true);
+      expect(JSON.parse(body)).toMatchObject({
+        type: 'document.revoked',
+        data: {
+          documentHash: document.documentHash,
+          issuer: ISSUER_ADDRESS,
+          revocation: { reasonCode: 'error' }
+        }
+      });
+    });
+
+    it('should not deliver to a URL that has become private', async () => {
+      await subscribe(['document.registered']);
+      const document = await createTestDocument(ISSUER_ADDRESS);
+      process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'false';
+
+      const [delivery] = await webhookService.emit('document.registered', document);
+      const logged = await waitForDelivery({ _id: delivery._id }, 'pending');
+
+      expect(logged.attempts[0].error).toBe('Webhook URL must point to a public host');
+      expect(receiver.received).toHaveLength(0);
+    });
+
+    it('should only deliver events for the subscribing issuer\'s documents', async () => {
+      await subscribe(['document.registered']);
+      const foreign = await createTestDocument(OTHER_ISSUER);
+
+      const deliveries = await webhookService.emit('document.registered', foreign);
+
+      expect(deliveries).toHaveLength(0);
+    });
+
+    it('should schedule a retry with backoff after a failed attempt', async () => {
+      await new Promise(resolve => receiver.server.close(resolve));
+      receiver = await startReceiver(1);
+      await subscribe(['document.transferred']);
+      const document = await createTestDocument(ISSUER_ADDRESS);
+
+      const [delivery] = await webhookService.emit('document.transferred', document);
+      let logged = await waitForDelivery({ _id: delivery._id }, 'pending');
+
+      expect(logged.attempts[0]).toMatchObject({ statusCode: 503 });
+      expect(logged.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date(Date.now() - 1000) });
+      const results = await webhookService.processDueDeliveries();
+
+      expect(results).toMatchObject({ attempted: 1, delivered: 1 });
+      logged = await WebhookDelivery.findById(delivery._id);
+      expect(logged.attempts).toHaveLength(2);
+      expect(logged.status).toBe('delivered');
+    });
+
+    it('should let a failed delivery be replayed under the same event id', async () => {
+      webhookService.config.maxAttempts = 1;
+      await new Promise(resolve => receiver.server.close(resolve));
+      receiver = await startReceiver(1);
+      await subscribe(['document.shared']);
+      const document = await createTestDocument(ISSUER_ADDRESS);
+
+      const [delivery] = await webhookService.emit('document.shared', document, { shareType: 'link' });
+      await waitForDelivery({ _id: delivery._id }, 'failed');
+
+      const response = await request(app)
+        .post(`/api/webhooks/deliveries/${delivery._id}/replay`)
+        .expect(201);
+
+      expect(response.body.data.delivery).toMatchObject({
+        status: 'delivered',
+        eventId: delivery.eventId,
+        replayOf: String(delivery._id)
+      });
+
+      const log = await request(app)
+        .get('/api/webhooks/deliveries')
+        .expect(200);
+      expect(log.body.data.deliveries.map(entry => entry.status).sort()).toEqual(['delivered', 'failed']);
+    });
+  });
+});
@@ -32,6 +32,8 @@ const auditLogSchema = new mongoose.Schema({
       'document_share',
       'document_access_grant',
       'document_access_revoke',
+      'document_transfer',
+      'document_revoke',
       'document_delete',
       
       // User management events
@@ -413,7 +415,8 @@ class AuditLogger {
     }
     
     // Check for sensitive operations
-    if (eventType.includes('document_delete') || eventType.includes('role_change')) {
+    if (eventType.includes('document_delete') || eventType.includes('document_revoke') ||
+        eventType.includes('role_change')) {
       return 'medium';
     }
     
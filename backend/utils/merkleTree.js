@@ -0,0 +1,103 @@
+const { ethers } = require('ethers');
+
+/**
+ * Merkle tree utilities for batch anchoring
+ * Trees use sorted-pair keccak256 hashing so proofs verify with OpenZeppelin's
+ * MerkleProof in DocumentRegistry.verifyMerkleInclusion
+ */
+
+const HASH_PATTERN = /^0x[a-fA-F0-9]{64}$/;
+
+/**
+ * Compute the leaf for a document hash
+ * Hashing the leaf keeps inner nodes from being passed off as document hashes
+ */
+function computeLeaf(documentHash) {
+  if (!HASH_PATTERN.test(documentHash || '')) {
+    throw new Error(`Invalid document hash: ${documentHash}`);
+  }
+  return ethers.keccak256(documentHash.toLowerCase());
+}
+
+/**
+ * Hash two nodes in sorted order
+ */
+function hashPair(a, b) {
+  return a < b
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree over a list of document hashes
+ * Unpaired nodes are promoted to the next level unchanged
+ * @param {string[]} documentHashes - Document hashes in leaf order
+ * @returns {Object} Root, leaf layers and one proof per document hash
+ */
+function buildMerkleTree(documentHashes) {
+  if (!Array.isArray(documentHashes) || documentHashes.length === 0) {
+    throw new Error('At least one document hash is required');
+  }
+
+  const normalized = documentHashes.map(hash => (hash || '').toLowerCase());
+  if (new Set(normalized).size !== normalized.length) {
+    throw new Error('Duplicate document hash in batch');
+  }
+
+  const layers = [normalized.map(computeLeaf)];
+  while (layers[layers.length - 1].length > 1) {
+    const level = layers[layers.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    layers.push(next);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    layers,
+    proofs: normalized.map((hash, index) => getMerkleProof(layers, index))
+  };
+}
+
+/**
+ * Collect the sibling hashes from a leaf up to the root
+ */
+function getMerkleProof(layers, leafIndex) {
+  const proof = [];
+  let index = leafIndex;
+
+  for (const level of layers.slice(0, -1)) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < level.length) {
+      proof.push(level[sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Check a proof off-chain against a Merkle root
+ */
+function verifyMerkleProof(documentHash, proof, root) {
+  try {
+    const computed = (proof || []).reduce(
+      (node, sibling) => hashPair(node, sibling.toLowerCase()),
+      computeLeaf(documentHash)
+    );
+    return computed === (root || '').toLowerCase();
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  computeLeaf,
+  hashPair,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof
+};
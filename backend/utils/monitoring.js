@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const logger = require('./logger');
 const { auditLogger } = require('./auditLogger');
+const alertNotificationService = require('../services/alertNotificationService');
 
 /**
  * System monitoring and alerting utilities
@@ -122,8 +123,16 @@ const securityAlertSchema = new mongoose.Schema({
   
   notificationsSent: [{
     channel: String,
+    channelType: String,
     sentAt: Date,
-    recipient: String
+    recipient: String,
+    status: {
+      type: String,
+      enum: ['sent', 'failed'],
+      default: 'sent'
+    },
+    attempt: Number,
+    error: String
   }],
   
   relatedEvents: [String], // Event IDs from audit log
@@ -464,10 +473,9 @@ class MonitoringSystem {
         source
       });
 
-      // Send notifications for high/critical alerts
-      if (severity === 'high' || severity === 'critical') {
-        await this.sendAlertNotification(alert);
-      }
+      // Channels decide which severities they receive, so every alert is offered to them.
+      // Delivery (with retries) runs in the background rather than holding up the caller.
+      this.sendAlertNotification(alert);
 
       return alert;
     } catch (error) {
@@ -485,29 +493,31 @@ class MonitoringSystem {
    */
   async sendAlertNotification(alert) {
     try {
-      // In a real implementation, this would send notifications via:
-      // - Email
-      // - Slack/Discord webhooks
-      // - SMS
-      // - Push notifications
-      
-      logger.error('SECURITY ALERT', {
-        alertId: alert._id,
-        type: alert.alertType,
-        severity: alert.severity,
-        description: alert.description,
-        source: alert.source,
-        timestamp: alert.createdAt
-      });
+      if (alert.severity === 'high' || alert.severity === 'critical') {
+        logger.error('SECURITY ALERT', {
+          alertId: alert._id,
+          type: alert.alertType,
+          severity: alert.severity,
+          description: alert.description,
+          source: alert.source,
+          timestamp: alert.createdAt
+        });
+
+        // Record notification
+        alert.notificationsSent.push({
+          channel: 'logger',
+          sentAt: new Date(),
+          recipient: 'system_admin'
+        });
+      }
 
-      // Record notification
-      alert.notificationsSent.push({
-        channel: 'logger',
-        sentAt: new Date(),
-        recipient: 'system_admin'
-      });
-      
-      await alert.save();
+      // Deliver through the channels routed to this alert; every attempt is recorded
+      const deliveries = await alertNotificationService.notify(alert);
+      alert.notificationsSent.push(...deliveries);
+
+      if (alert.isModified('notificationsSent')) {
+        await alert.save();
+      }
     } catch (error) {
       logger.error('Failed to send alert notification:', error);
     }
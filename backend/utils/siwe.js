@@ -0,0 +1,225 @@
+const { ethers } = require('ethers');
+
+/**
+ * Sign-In with Ethereum (EIP-4361) messages.
+ *
+ * A SIWE message binds the signature to the site asking for it (domain and URI), the
+ * chain, a server-issued nonce and a validity window, so a login signature cannot be
+ * replayed against another deployment or after it expires. The frontend builds the same
+ * format in src/utils/siwe.js.
+ */
+
+const PREAMBLE = ' wants you to sign in with your Ethereum account:';
+const HEADER_PATTERN = /^(?:([a-zA-Z][a-zA-Z0-9+.-]*):\/\/)?([^\s/?#]+) wants you to sign in with your Ethereum account:$/;
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const NONCE_PATTERN = /^[a-zA-Z0-9]{8,}$/;
+// RFC 3339 date-time, as the spec requires for the timestamps
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Allowance for clocks running ahead of the server when checking Issued At and Not Before
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const OPTIONAL_FIELDS = [
+  ['Expiration Time', 'expirationTime'],
+  ['Not Before', 'notBefore'],
+  ['Request ID', 'requestId']
+];
+
+const isSiweMessage = (message) =>
+  typeof message === 'string' && HEADER_PATTERN.test(message.split('\n')[0]);
+
+/**
+ * Build a SIWE message
+ * @param {Object} fields - domain, address, statement, uri, version, chainId, nonce,
+ *   issuedAt, and optionally scheme, expirationTime, notBefore, requestId, resources
+ * @returns {string} Message to sign with personal_sign
+ */
+const createSiweMessage = (fields) => {
+  const lines = [
+    `${fields.scheme ? `${fields.scheme}://` : ''}${fields.domain}${PREAMBLE}`,
+    fields.address,
+    ''
+  ];
+  if (fields.statement) {
+    lines.push(fields.statement);
+  }
+  lines.push(
+    '',
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version || '1'}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    if (fields[key]) {
+      lines.push(`${label}: ${fields[key]}`);
+    }
+  }
+  if (fields.resources?.length) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+  return lines.join('\n');
+};
+
+const isUri = (value) => {
+  try {
+    new URL(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isDateTime = (value) => DATE_TIME_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+
+/**
+ * Parse a SIWE message, checking its syntax
+ * @param {string} message - Signed message
+ * @returns {Object} The fields createSiweMessage takes, with chainId as a number
+ * @throws {Error} If the message does not follow EIP-4361
+ */
+const parseSiweMessage = (message) => {
+  if (typeof message !== 'string') {
+    throw new Error('Message must be a string');
+  }
+
+  const lines = message.split('\n');
+  let index = 0;
+  const next = () => lines[index++];
+
+  const header = HEADER_PATTERN.exec(next());
+  if (!header) {
+    throw new Error('Missing "wants you to sign in with your Ethereum account" header');
+  }
+  const fields = { scheme: header[1], domain: header[2] };
+
+  fields.address = next();
+  if (!ADDRESS_PATTERN.test(fields.address || '')) {
+    throw new Error('Invalid address line');
+  }
+  if (next() !== '') {
+    throw new Error('Expected a blank line after the address');
+  }
+
+  // Either a statement between two blank lines, or just one more blank line
+  const statement = next();
+  if (statement !== '') {
+    fields.statement = statement;
+    if (next() !== '') {
+      throw new Error('Expected a blank line after the statement');
+    }
+  }
+
+  const field = (label, { optional = false } = {}) => {
+    const line = lines[index];
+    if (line !== undefined && line.startsWith(`${label}: `)) {
+      index++;
+      return line.slice(label.length + 2);
+    }
+    if (!optional) {
+      throw new Error(`Missing ${label}`);
+    }
+    return undefined;
+  };
+
+  fields.uri = field('URI');
+  if (!isUri(fields.uri)) {
+    throw new Error('Invalid URI');
+  }
+
+  fields.version = field('Version');
+  if (fields.version !== '1') {
+    throw new Error(`Unsupported version: ${fields.version}`);
+  }
+
+  const chainId = field('Chain ID');
+  if (!/^[0-9]+$/.test(chainId)) {
+    throw new Error('Invalid Chain ID');
+  }
+  fields.chainId = Number(chainId);
+
+  fields.nonce = field('Nonce');
+  if (!NONCE_PATTERN.test(fields.nonce)) {
+    throw new Error('Nonce must be at least 8 alphanumeric characters');
+  }
+
+  fields.issuedAt = field('Issued At');
+  if (!isDateTime(fields.issuedAt)) {
+    throw new Error('Invalid Issued At');
+  }
+
+  for (const [label, key] of OPTIONAL_FIELDS) {
+    const value = field(label, { optional: true });
+    if (value === undefined) continue;
+    if (key !== 'requestId' && !isDateTime(value)) {
+      throw new Error(`Invalid ${label}`);
+    }
+    fields[key] = value;
+  }
+
+  if (lines[index] === 'Resources:') {
+    index++;
+    fields.resources = [];
+    while (index < lines.length) {
+      const resource = next();
+      if (!resource.startsWith('- ') || !isUri(resource.slice(2))) {
+        throw new Error('Invalid resource');
+      }
+      fields.resources.push(resource.slice(2));
+    }
+  }
+
+  if (index !== lines.length) {
+    throw new Error(`Unexpected line: ${lines[index]}`);
+  }
+  return fields;
+};
+
+/**
+ * Check a parsed SIWE message against what this server accepts. The nonce and the
+ * signature are checked by the caller.
+ * @param {Object} fields - From parseSiweMessage
+ * @param {Object} expected
+ * @param {string} expected.address - Wallet the client claims to sign in as
+ * @param {string[]} expected.domains - Accepted domains (host[:port])
+ * @param {number[]} expected.chainIds - Accepted chain IDs
+ * @param {Date} expected.now
+ * @returns {string|null} Why the message is rejected, or null if it is acceptable
+ */
+const validateSiweMessage = (fields, { address, domains, chainIds, now = new Date() }) => {
+  if (ethers.getAddress(fields.address.toLowerCase()) !== fields.address) {
+    return 'Address must use its EIP-55 checksum';
+  }
+  if (fields.address.toLowerCase() !== address.toLowerCase()) {
+    return 'Message was issued for a different address';
+  }
+  if (!domains.includes(fields.domain)) {
+    return `Domain ${fields.domain} is not accepted`;
+  }
+  if (new URL(fields.uri).host !== fields.domain) {
+    return 'URI does not belong to the domain';
+  }
+  if (!chainIds.includes(fields.chainId)) {
+    return `Chain ID ${fields.chainId} is not accepted`;
+  }
+
+  const time = now.getTime();
+  if (Date.parse(fields.issuedAt) > time + CLOCK_SKEW_MS) {
+    return 'Message was issued in the future';
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= time) {
+    return 'Message has expired';
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > time + CLOCK_SKEW_MS) {
+    return 'Message is not valid yet';
+  }
+  return null;
+};
+
+module.exports = {
+  isSiweMessage,
+  createSiweMessage,
+  parseSiweMessage,
+  validateSiweMessage
+};
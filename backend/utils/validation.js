@@ -16,7 +16,7 @@ const ALLOWED_FILE_TYPES = {
 
 // File size limits (in bytes)
 const FILE_SIZE_LIMITS = {
-  document: 10 * 1024 * 1024, // 10MB
+  document: parseInt(process.env.MAX_FILE_SIZE) || 2 * 1024 * 1024 * 1024, // 2GB
   image: 5 * 1024 * 1024,     // 5MB
   default: 10 * 1024 * 1024   // 10MB
 };
@@ -303,7 +303,7 @@ const validationRules = {
   // Access level validation
   accessLevel: (field = 'accessLevel') =>
     body(field)
-      .isIn(['view', 'download', 'full'])
+      .isIn(['verify', 'view', 'download'])
       .withMessage('Invalid access level'),
 
   // Generic text validation
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+/**
+ * HMAC-SHA256 signing for outbound webhook deliveries.
+ *
+ * The signature covers `${timestamp}.${body}` so a captured delivery cannot be
+ * replayed with a fresh timestamp. Receivers recompute it with the shared secret
+ * and compare it to the X-Webhook-Signature header.
+ */
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+// Deliveries older than this are rejected by verifySignature
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Shared secret for the endpoint
+ * @param {number} timestamp - Unix time in seconds
+ * @param {string} body - Exact request body that will be sent
+ * @returns {string} Signature in the form "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+/**
+ * Build the signature headers for a webhook body
+ * @param {string} secret - Shared secret for the endpoint
+ * @param {string} body - Exact request body that will be sent
+ * @returns {Object} Headers to merge into the request
+ */
+const buildSignatureHeaders = (secret, body) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    [SIGNATURE_HEADER]: signPayload(secret, timestamp, body),
+    [TIMESTAMP_HEADER]: String(timestamp)
+  };
+};
+
+/**
+ * Verify a webhook signature
+ * @param {string} secret - Shared secret for the endpoint
+ * @param {string|number} timestamp - Value of the timestamp header
+ * @param {string} body - Raw request body
+ * @param {string} signature - Value of the signature header
+ * @param {number} toleranceSeconds - Maximum accepted age of the delivery
+ * @returns {boolean} True if the signature is valid and recent
+ */
+const verifySignature = (secret, timestamp, body, signature, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) => {
+  const sentAt = parseInt(timestamp, 10);
+  if (!signature || isNaN(sentAt)) {
+    return false;
+  }
+
+  if (Math.abs(Math.floor(Date.now() / 1000) - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, sentAt, body));
+  const provided = Buffer.from(signature);
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  buildSignatureHeaders,
+  verifySignature
+};
@@ -0,0 +1,136 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Checks that keep webhook deliveries away from internal services.
+ *
+ * Subscribers choose the URL the server POSTs signed payloads to, so loopback, private,
+ * link-local (including cloud metadata at 169.254.169.254) and other non-public
+ * addresses are refused, both for the hostname as written and for every address it
+ * resolves to. safeLookup applies the same check to the address a delivery actually
+ * connects to, so a hostname cannot be re-pointed at an internal address after it was
+ * checked.
+ *
+ * Set WEBHOOK_ALLOW_PRIVATE_URLS=true to deliver to local receivers in development.
+ */
+
+const blockedRanges = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedRanges.addSubnet(network, prefix, 'ipv6'));
+
+const privateTargetsAllowed = () => process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const bare = address.replace(/^\[|\]$/g, '');
+  const mappedIPv4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(bare);
+  if (mappedIPv4) {
+    return isPrivateAddress(mappedIPv4[1]);
+  }
+
+  const family = net.isIP(bare);
+  if (family === 0) {
+    return false;
+  }
+  return blockedRanges.check(bare, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check a webhook URL without resolving it: refuses localhost names and non-public IP
+ * literals. Used by the WebhookSubscription schema.
+ * @param {string} url - Webhook URL
+ * @returns {boolean}
+ */
+const isAllowedWebhookUrl = (url) => {
+  if (privateTargetsAllowed()) {
+    return true;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch (error) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+  return !isPrivateAddress(hostname);
+};
+
+/**
+ * Resolve a webhook URL's hostname and make sure none of its addresses are private
+ * @param {string} url - Webhook URL
+ * @throws {Error} When the URL is not allowed or cannot be resolved
+ */
+const assertPublicWebhookUrl = async (url) => {
+  if (!isAllowedWebhookUrl(url)) {
+    throw new Error('Webhook URL must point to a public host');
+  }
+  if (privateTargetsAllowed()) {
+    return;
+  }
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname, { all: true });
+  } catch (error) {
+    throw new Error(`Webhook host ${hostname} could not be resolved`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('Webhook URL must point to a public host');
+  }
+};
+
+// dns.lookup replacement for the delivery agents: fails the connection when the
+// hostname resolves to a private address
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!privateTargetsAllowed() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  isPrivateAddress,
+  isAllowedWebhookUrl,
+  assertPublicWebhookUrl,
+  safeLookup
+};
@@ -1,6 +1,7 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "./AccessControl.sol";
 
 /**
@@ -23,14 +24,31 @@ contract DocumentRegistry {
         string metadata; // JSON string for additional metadata
     }
     
+    // Merkle batch structure; only the root of a batch of document hashes is stored
+    struct MerkleBatch {
+        bytes32 merkleRoot;
+        address issuer;
+        uint256 timestamp;
+        uint256 documentCount;
+        bool isActive;
+        string metadata; // JSON string for additional metadata
+    }
+    
     // Mappings
     mapping(bytes32 => Document) public documents;
     mapping(address => bytes32[]) public userDocuments;
     mapping(bytes32 => address[]) public documentViewers;
     mapping(bytes32 => mapping(address => bool)) public hasAccess;
+    mapping(bytes32 => MerkleBatch) public merkleBatches;
+    
+    // Version links; a superseded document stays on record but points at its replacement
+    mapping(bytes32 => bytes32) public previousVersion;
+    mapping(bytes32 => bytes32) public supersededBy;
+    mapping(bytes32 => uint256) public documentVersion;
     
     // Counters
     uint256 public totalDocuments;
+    uint256 public totalMerkleBatches;
     mapping(address => uint256) public userDocumentCount;
     
     // Events
@@ -73,6 +91,33 @@ contract DocumentRegistry {
         string reason
     );
     
+    event DocumentSuperseded(
+        bytes32 indexed previousHash,
+        bytes32 indexed newHash,
+        address indexed issuer,
+        uint256 version
+    );
+    
+    event DocumentStorageUpdated(
+        bytes32 indexed documentHash,
+        address indexed updatedBy,
+        string previousIpfsHash,
+        string newIpfsHash
+    );
+    
+    event MerkleBatchAnchored(
+        bytes32 indexed merkleRoot,
+        address indexed issuer,
+        uint256 documentCount,
+        string metadata
+    );
+    
+    event MerkleBatchDeactivated(
+        bytes32 indexed merkleRoot,
+        address indexed deactivatedBy,
+        string reason
+    );
+    
     // Modifiers
     modifier onlyRegisteredUser() {
         require(accessControl.isUserRegistered(msg.sender), "User not registered");
@@ -132,38 +177,79 @@ contract DocumentRegistry {
         string calldata _documentType,
         string calldata _metadata
     ) external onlyIssuerOrAdmin {
-        require(_documentHash != bytes32(0), "Invalid document hash");
-        require(_owner != address(0), "Invalid owner address");
-        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
-        require(bytes(_documentType).length > 0, "Document type required");
-        require(documents[_documentHash].timestamp == 0, "Document already exists");
+        _registerDocument(_documentHash, _owner, _ipfsHash, _documentType, _metadata);
+    }
+    
+    /**
+     * @dev Register a corrected version of an existing document (only its issuer or an admin)
+     * @param _documentHash SHA-256 hash of the new version
+     * @param _previousHash Hash of the version being superseded
+     * @param _owner Address of the document owner
+     * @param _ipfsHash IPFS hash for document storage
+     * @param _documentType Type of document (degree, certificate, etc.)
+     * @param _metadata Additional metadata as JSON string
+     */
+    function registerDocumentVersion(
+        bytes32 _documentHash,
+        bytes32 _previousHash,
+        address _owner,
+        string calldata _ipfsHash,
+        string calldata _documentType,
+        string calldata _metadata
+    ) external onlyIssuerOrAdmin documentExists(_previousHash) {
+        require(
+            documents[_previousHash].issuer == msg.sender ||
+            accessControl.hasRole(msg.sender, AccessControl.Role.ADMIN),
+            "Not authorized to supersede this document"
+        );
+        require(supersededBy[_previousHash] == bytes32(0), "Document already superseded");
         
-        // Create document
-        documents[_documentHash] = Document({
-            documentHash: _documentHash,
-            issuer: msg.sender,
-            owner: _owner,
-            timestamp: block.timestamp,
-            ipfsHash: _ipfsHash,
-            isActive: true,
-            documentType: _documentType,
-            metadata: _metadata
-        });
+        _registerDocument(_documentHash, _owner, _ipfsHash, _documentType, _metadata);
         
-        // Update mappings
-        userDocuments[_owner].push(_documentHash);
-        userDocumentCount[_owner]++;
-        totalDocuments++;
+        uint256 version = documentVersion[_previousHash] + 1;
+        previousVersion[_documentHash] = _previousHash;
+        supersededBy[_previousHash] = _documentHash;
+        documentVersion[_documentHash] = version;
         
-        // Grant access to owner and issuer
-        hasAccess[_documentHash][_owner] = true;
-        hasAccess[_documentHash][msg.sender] = true;
-        documentViewers[_documentHash].push(_owner);
-        if (_owner != msg.sender) {
-            documentViewers[_documentHash].push(msg.sender);
+        emit DocumentSuperseded(_previousHash, _documentHash, msg.sender, version);
+    }
+    
+    /**
+     * @dev Get the version links of a document
+     * @param _documentHash Hash of the document
+     * @return version Position of the document in its version chain, starting at 1
+     * @return previousHash Hash of the version it supersedes, or zero for the original
+     * @return supersededByHash Hash of the version that supersedes it, or zero if it is the latest
+     */
+    function getDocumentVersion(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash)
+        returns (uint256 version, bytes32 previousHash, bytes32 supersededByHash) 
+    {
+        return (
+            documentVersion[_documentHash],
+            previousVersion[_documentHash],
+            supersededBy[_documentHash]
+        );
+    }
+    
+    /**
+     * @dev Follow the version chain of a document to its latest version
+     * @param _documentHash Hash of any version of the document
+     * @return latestHash Hash of the latest version
+     */
+    function getLatestVersion(bytes32 _documentHash) 
+        external 
+        view 
+        documentExists(_documentHash)
+        returns (bytes32 latestHash) 
+    {
+        latestHash = _documentHash;
+        while (supersededBy[latestHash] != bytes32(0)) {
+            latestHash = supersededBy[latestHash];
         }
-        
-        emit DocumentRegistered(_documentHash, msg.sender, _owner, _ipfsHash, _documentType);
+        return latestHash;
     }
     
     /**
@@ -278,6 +364,113 @@ contract DocumentRegistry {
         emit DocumentDeactivated(_documentHash, msg.sender, _reason);
     }
     
+    /**
+     * @dev Point a document at a new storage location, e.g. after moving its file to
+     * another IPFS provider (only the document issuer or admin)
+     * @param _documentHash Hash of the document
+     * @param _ipfsHash New IPFS hash for document storage
+     */
+    function updateIpfsHash(bytes32 _documentHash, string calldata _ipfsHash) 
+        external 
+        documentExists(_documentHash)
+    {
+        require(
+            documents[_documentHash].issuer == msg.sender ||
+            accessControl.hasRole(msg.sender, AccessControl.Role.ADMIN),
+            "Only issuer or admin allowed"
+        );
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        
+        string memory previousIpfsHash = documents[_documentHash].ipfsHash;
+        require(
+            keccak256(bytes(previousIpfsHash)) != keccak256(bytes(_ipfsHash)),
+            "IPFS hash unchanged"
+        );
+        
+        documents[_documentHash].ipfsHash = _ipfsHash;
+        
+        emit DocumentStorageUpdated(_documentHash, msg.sender, previousIpfsHash, _ipfsHash);
+    }
+    
+    /**
+     * @dev Anchor the Merkle root of a batch of document hashes (only issuers and admins)
+     * @param _merkleRoot Root of the Merkle tree built off-chain over the batch
+     * @param _documentCount Number of documents included in the batch
+     * @param _metadata Additional metadata as JSON string
+     */
+    function anchorMerkleBatch(
+        bytes32 _merkleRoot,
+        uint256 _documentCount,
+        string calldata _metadata
+    ) external onlyIssuerOrAdmin {
+        require(_merkleRoot != bytes32(0), "Invalid Merkle root");
+        require(_documentCount > 0, "Batch must contain documents");
+        require(merkleBatches[_merkleRoot].timestamp == 0, "Batch already anchored");
+        
+        merkleBatches[_merkleRoot] = MerkleBatch({
+            merkleRoot: _merkleRoot,
+            issuer: msg.sender,
+            timestamp: block.timestamp,
+            documentCount: _documentCount,
+            isActive: true,
+            metadata: _metadata
+        });
+        
+        totalMerkleBatches++;
+        
+        emit MerkleBatchAnchored(_merkleRoot, msg.sender, _documentCount, _metadata);
+    }
+    
+    /**
+     * @dev Deactivate an anchored batch (only the batch issuer or admin)
+     * @param _merkleRoot Root of the batch
+     * @param _reason Reason for deactivation
+     */
+    function deactivateMerkleBatch(bytes32 _merkleRoot, string calldata _reason) external {
+        MerkleBatch storage batch = merkleBatches[_merkleRoot];
+        require(batch.timestamp != 0, "Batch does not exist");
+        require(
+            batch.issuer == msg.sender ||
+            accessControl.hasRole(msg.sender, AccessControl.Role.ADMIN),
+            "Not authorized for this batch"
+        );
+        require(batch.isActive, "Batch already inactive");
+        require(bytes(_reason).length > 0, "Reason required");
+        
+        batch.isActive = false;
+        
+        emit MerkleBatchDeactivated(_merkleRoot, msg.sender, _reason);
+    }
+    
+    /**
+     * @dev Check that a document hash is included in an active anchored batch
+     * @param _documentHash SHA-256 hash of the document
+     * @param _merkleRoot Root of the batch the document was anchored in
+     * @param _proof Sibling hashes from the leaf up to the root
+     * @return isIncluded True if the batch is active and the proof is valid
+     */
+    function verifyMerkleInclusion(
+        bytes32 _documentHash,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _proof
+    ) external view returns (bool isIncluded) {
+        if (!merkleBatches[_merkleRoot].isActive) {
+            return false;
+        }
+        
+        return MerkleProof.verifyCalldata(_proof, _merkleRoot, _merkleLeaf(_documentHash));
+    }
+    
+    /**
+     * @dev Get anchored batch details
+     * @param _merkleRoot Root of the batch
+     * @return batch Batch details
+     */
+    function getMerkleBatch(bytes32 _merkleRoot) external view returns (MerkleBatch memory batch) {
+        require(merkleBatches[_merkleRoot].timestamp != 0, "Batch does not exist");
+        return merkleBatches[_merkleRoot];
+    }
+    
     /**
      * @dev Get document details (only for users with access)
      * @param _documentHash Hash of the document
@@ -371,6 +564,65 @@ contract DocumentRegistry {
     
     // Internal helper functions
     
+    /**
+     * @dev Store a new document and grant its owner and issuer access
+     * @param _documentHash SHA-256 hash of the document
+     * @param _owner Address of the document owner
+     * @param _ipfsHash IPFS hash for document storage
+     * @param _documentType Type of document (degree, certificate, etc.)
+     * @param _metadata Additional metadata as JSON string
+     */
+    function _registerDocument(
+        bytes32 _documentHash,
+        address _owner,
+        string calldata _ipfsHash,
+        string calldata _documentType,
+        string calldata _metadata
+    ) internal {
+        require(_documentHash != bytes32(0), "Invalid document hash");
+        require(_owner != address(0), "Invalid owner address");
+        require(bytes(_ipfsHash).length > 0, "IPFS hash required");
+        require(bytes(_documentType).length > 0, "Document type required");
+        require(documents[_documentHash].timestamp == 0, "Document already exists");
+        
+        // Create document
+        documents[_documentHash] = Document({
+            documentHash: _documentHash,
+            issuer: msg.sender,
+            owner: _owner,
+            timestamp: block.timestamp,
+            ipfsHash: _ipfsHash,
+            isActive: true,
+            documentType: _documentType,
+            metadata: _metadata
+        });
+        
+        // Update mappings
+        documentVersion[_documentHash] = 1;
+        userDocuments[_owner].push(_documentHash);
+        userDocumentCount[_owner]++;
+        totalDocuments++;
+        
+        // Grant access to owner and issuer
+        hasAccess[_documentHash][_owner] = true;
+        hasAccess[_documentHash][msg.sender] = true;
+        documentViewers[_documentHash].push(_owner);
+        if (_owner != msg.sender) {
+            documentViewers[_documentHash].push(msg.sender);
+        }
+        
+        emit DocumentRegistered(_documentHash, msg.sender, _owner, _ipfsHash, _documentType);
+    }
+    
+    /**
+     * @dev Compute the Merkle leaf for a document hash
+     * @param _documentHash SHA-256 hash of the document
+     * @return leaf Hashed leaf, so that inner nodes cannot be passed off as documents
+     */
+    function _merkleLeaf(bytes32 _documentHash) internal pure returns (bytes32 leaf) {
+        return keccak256(abi.encodePacked(_documentHash));
+    }
+    
     /**
      * @dev Remove document from user's document list
      * @param _user User address
@@ -391,6 +391,60 @@ describe("DocumentRegistry", function () {
     });
   });
 
+  describe("Storage Updates", function () {
+    const migratedIpfsHash = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+    beforeEach(async function () {
+      await documentRegistry.connect(issuer).registerDocument(
+        sampleDocumentHash,
+        student.address,
+        sampleIpfsHash,
+        sampleDocumentType,
+        sampleMetadata
+      );
+    });
+
+    it("Should allow issuer to move a document to a new IPFS hash", async function () {
+      await expect(
+        documentRegistry.connect(issuer).updateIpfsHash(sampleDocumentHash, migratedIpfsHash)
+      ).to.emit(documentRegistry, "DocumentStorageUpdated")
+        .withArgs(sampleDocumentHash, issuer.address, sampleIpfsHash, migratedIpfsHash);
+
+      const document = await documentRegistry.documents(sampleDocumentHash);
+      expect(document.ipfsHash).to.equal(migratedIpfsHash);
+    });
+
+    it("Should allow admin to update the IPFS hash", async function () {
+      await expect(
+        documentRegistry.connect(owner).updateIpfsHash(sampleDocumentHash, migratedIpfsHash)
+      ).to.emit(documentRegistry, "DocumentStorageUpdated");
+    });
+
+    it("Should not allow the document owner to update the IPFS hash", async function () {
+      await expect(
+        documentRegistry.connect(student).updateIpfsHash(sampleDocumentHash, migratedIpfsHash)
+      ).to.be.revertedWith("Only issuer or admin allowed");
+    });
+
+    it("Should reject empty or unchanged IPFS hashes", async function () {
+      await expect(
+        documentRegistry.connect(issuer).updateIpfsHash(sampleDocumentHash, "")
+      ).to.be.revertedWith("IPFS hash required");
+
+      await expect(
+        documentRegistry.connect(issuer).updateIpfsHash(sampleDocumentHash, sampleIpfsHash)
+      ).to.be.revertedWith("IPFS hash unchanged");
+    });
+
+    it("Should not update a non-existent document", async function () {
+      const unknownHash = ethers.keccak256(ethers.toUtf8Bytes("unknown document"));
+
+      await expect(
+        documentRegistry.connect(issuer).updateIpfsHash(unknownHash, migratedIpfsHash)
+      ).to.be.revertedWith("Document does not exist");
+    });
+  });
+
   describe("Document Retrieval", function () {
     beforeEach(async function () {
       await documentRegistry.connect(issuer).registerDocument(
@@ -438,6 +492,213 @@ describe("DocumentRegistry", function () {
     });
   });
 
+  describe("Document Versioning", function () {
+    const correctedHash = ethers.keccak256(ethers.toUtf8Bytes("corrected document"));
+    const secondCorrectionHash = ethers.keccak256(ethers.toUtf8Bytes("second correction"));
+
+    beforeEach(async function () {
+      await documentRegistry.connect(issuer).registerDocument(
+        sampleDocumentHash,
+        student.address,
+        sampleIpfsHash,
+        sampleDocumentType,
+        sampleMetadata
+      );
+    });
+
+    it("Should start new documents at version 1", async function () {
+      const [version, previousHash, supersededByHash] = await documentRegistry.getDocumentVersion(sampleDocumentHash);
+
+      expect(version).to.equal(1);
+      expect(previousHash).to.equal(ethers.ZeroHash);
+      expect(supersededByHash).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should register a new version and link it to the one it supersedes", async function () {
+      await expect(
+        documentRegistry.connect(issuer).registerDocumentVersion(
+          correctedHash,
+          sampleDocumentHash,
+          student.address,
+          "QmCorrectedHash",
+          sampleDocumentType,
+          sampleMetadata
+        )
+      ).to.emit(documentRegistry, "DocumentSuperseded")
+        .withArgs(sampleDocumentHash, correctedHash, issuer.address, 2);
+
+      const [version, previousHash] = await documentRegistry.getDocumentVersion(correctedHash);
+      expect(version).to.equal(2);
+      expect(previousHash).to.equal(sampleDocumentHash);
+      expect(await documentRegistry.supersededBy(sampleDocumentHash)).to.equal(correctedHash);
+
+      // The superseded version stays on record
+      const original = await documentRegistry.documents(sampleDocumentHash);
+      expect(original.isActive).to.be.true;
+    });
+
+    it("Should follow the chain to the latest version", async function () {
+      await documentRegistry.connect(issuer).registerDocumentVersion(
+        correctedHash, sampleDocumentHash, student.address, "QmCorrectedHash", sampleDocumentType, sampleMetadata
+      );
+      await documentRegistry.connect(issuer).registerDocumentVersion(
+        secondCorrectionHash, correctedHash, student.address, "QmSecondCorrection", sampleDocumentType, sampleMetadata
+      );
+
+      expect(await documentRegistry.getLatestVersion(sampleDocumentHash)).to.equal(secondCorrectionHash);
+      expect(await documentRegistry.getLatestVersion(secondCorrectionHash)).to.equal(secondCorrectionHash);
+    });
+
+    it("Should not allow superseding a document twice", async function () {
+      await documentRegistry.connect(issuer).registerDocumentVersion(
+        correctedHash, sampleDocumentHash, student.address, "QmCorrectedHash", sampleDocumentType, sampleMetadata
+      );
+
+      await expect(
+        documentRegistry.connect(issuer).registerDocumentVersion(
+          secondCorrectionHash, sampleDocumentHash, student.address, "QmSecondCorrection", sampleDocumentType, sampleMetadata
+        )
+      ).to.be.revertedWith("Document already superseded");
+    });
+
+    it("Should only allow the original issuer or an admin to supersede", async function () {
+      await accessControl.assignRole(unauthorized.address, 2); // ISSUER role
+
+      await expect(
+        documentRegistry.connect(unauthorized).registerDocumentVersion(
+          correctedHash, sampleDocumentHash, student.address, "QmCorrectedHash", sampleDocumentType, sampleMetadata
+        )
+      ).to.be.revertedWith("Not authorized to supersede this document");
+
+      await expect(
+        documentRegistry.connect(owner).registerDocumentVersion(
+          correctedHash, sampleDocumentHash, student.address, "QmCorrectedHash", sampleDocumentType, sampleMetadata
+        )
+      ).to.emit(documentRegistry, "DocumentSuperseded");
+    });
+
+    it("Should not allow superseding a document that does not exist", async function () {
+      await expect(
+        documentRegistry.connect(issuer).registerDocumentVersion(
+          secondCorrectionHash, correctedHash, student.address, "QmSecondCorrection", sampleDocumentType, sampleMetadata
+        )
+      ).to.be.revertedWith("Document does not exist");
+    });
+  });
+
+  describe("Merkle Batch Anchoring", function () {
+    const batchHashes = ["degree", "transcript", "certificate"].map(name =>
+      ethers.keccak256(ethers.toUtf8Bytes(name))
+    );
+    const batchMetadata = '{"batchId": "batch-1"}';
+
+    // Sorted-pair tree matching OpenZeppelin MerkleProof; odd nodes are promoted
+    const leafOf = hash => ethers.keccak256(hash);
+    const hashPair = (a, b) => ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+    const buildTree = hashes => {
+      const levels = [hashes.map(leafOf)];
+      while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+          next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+      }
+      return levels;
+    };
+    const proofFor = (levels, index) => {
+      const proof = [];
+      for (const level of levels.slice(0, -1)) {
+        const sibling = index % 2 === 0 ? index + 1 : index - 1;
+        if (sibling < level.length) {
+          proof.push(level[sibling]);
+        }
+        index = Math.floor(index / 2);
+      }
+      return proof;
+    };
+
+    let levels;
+    let merkleRoot;
+
+    beforeEach(async function () {
+      levels = buildTree(batchHashes);
+      merkleRoot = levels[levels.length - 1][0];
+    });
+
+    it("Should allow issuer to anchor a batch root", async function () {
+      await expect(
+        documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata)
+      ).to.emit(documentRegistry, "MerkleBatchAnchored")
+        .withArgs(merkleRoot, issuer.address, batchHashes.length, batchMetadata);
+
+      const batch = await documentRegistry.getMerkleBatch(merkleRoot);
+      expect(batch.issuer).to.equal(issuer.address);
+      expect(batch.documentCount).to.equal(batchHashes.length);
+      expect(batch.isActive).to.be.true;
+      expect(await documentRegistry.totalMerkleBatches()).to.equal(1);
+    });
+
+    it("Should not allow non-issuer to anchor a batch root", async function () {
+      await expect(
+        documentRegistry.connect(student).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata)
+      ).to.be.revertedWith("Only issuer or admin allowed");
+    });
+
+    it("Should not allow anchoring the same root twice", async function () {
+      await documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata);
+
+      await expect(
+        documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata)
+      ).to.be.revertedWith("Batch already anchored");
+    });
+
+    it("Should verify inclusion of every document in the batch", async function () {
+      await documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata);
+
+      for (let i = 0; i < batchHashes.length; i++) {
+        expect(
+          await documentRegistry.verifyMerkleInclusion(batchHashes[i], merkleRoot, proofFor(levels, i))
+        ).to.be.true;
+      }
+    });
+
+    it("Should reject documents outside the batch and unanchored roots", async function () {
+      const outsider = ethers.keccak256(ethers.toUtf8Bytes("forged"));
+
+      expect(
+        await documentRegistry.verifyMerkleInclusion(batchHashes[0], merkleRoot, proofFor(levels, 0))
+      ).to.be.false;
+
+      await documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata);
+
+      expect(
+        await documentRegistry.verifyMerkleInclusion(outsider, merkleRoot, proofFor(levels, 0))
+      ).to.be.false;
+      expect(
+        await documentRegistry.verifyMerkleInclusion(levels[1][0], merkleRoot, [levels[1][1]])
+      ).to.be.false;
+    });
+
+    it("Should stop verifying inclusion once the batch is deactivated", async function () {
+      await documentRegistry.connect(issuer).anchorMerkleBatch(merkleRoot, batchHashes.length, batchMetadata);
+
+      await expect(
+        documentRegistry.connect(student).deactivateMerkleBatch(merkleRoot, "Test")
+      ).to.be.revertedWith("Not authorized for this batch");
+
+      await expect(
+        documentRegistry.connect(issuer).deactivateMerkleBatch(merkleRoot, "Issued in error")
+      ).to.emit(documentRegistry, "MerkleBatchDeactivated")
+        .withArgs(merkleRoot, issuer.address, "Issued in error");
+
+      expect(
+        await documentRegistry.verifyMerkleInclusion(batchHashes[0], merkleRoot, proofFor(levels, 0))
+      ).to.be.false;
+    });
+  });
+
   describe("Edge Cases and Error Handling", function () {
     it("Should handle non-existent document operations", async function () {
       const nonExistentHash = ethers.keccak256(ethers.toUtf8Bytes("non-existent"));
@@ -12,6 +12,9 @@ import StudentLogin from './components/Auth/StudentLogin';
 import EnhancedAdminDashboard from './components/AdminDashboard/EnhancedAdminDashboard';
 import EnhancedStudentPortal from './components/StudentPortal/EnhancedStudentPortal';
 
+// Public view for anonymous share links
+import SharedDocumentView from './components/DocumentVerification/SharedDocumentView';
+
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
 function App() {
@@ -28,6 +31,7 @@ function AppContent() {
   const [userRole, setUserRole] = useState(null);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
   const [backendStatus, setBackendStatus] = useState(null);
+  const [shareToken] = useState(() => new URLSearchParams(window.location.search).get('share'));
 
   // Check authentication status on app load
   useEffect(() => {
@@ -132,6 +136,11 @@ function AppContent() {
     }
   };
 
+  // Share links open a read-only view without requiring login
+  if (shareToken) {
+    return <SharedDocumentView token={shareToken} />;
+  }
+
   // Main render logic
   switch (currentView) {
     case 'loginSelection':
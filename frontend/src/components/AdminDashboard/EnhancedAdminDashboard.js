@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import documentService from '../../services/documentService';
+import ReconciliationPanel from './ReconciliationPanel';
+import IssuerApplicationsPanel from './IssuerApplicationsPanel';
 
 const EnhancedAdminDashboard = ({ user, onLogout, backendStatus }) => {
   const [currentTab, setCurrentTab] = useState('overview');
@@ -205,7 +207,9 @@ const EnhancedAdminDashboard = ({ user, onLogout, backendStatus }) => {
               { id: 'overview', label: '📊 Overview', icon: '📊' },
               { id: 'upload', label: '📤 Upload Documents', icon: '📤' },
               { id: 'documents', label: '📄 Manage Documents', icon: '📄' },
-              { id: 'users', label: '👥 User Management', icon: '👥' }
+              { id: 'users', label: '👥 User Management', icon: '👥' },
+              { id: 'applications', label: '🏛️ Issuer Applications', icon: '🏛️' },
+              { id: 'reconciliation', label: '🔍 Reconciliation', icon: '🔍' }
             ].map(tab => (
               <button
                 key={tab.id}
@@ -732,6 +736,12 @@ const EnhancedAdminDashboard = ({ user, onLogout, backendStatus }) => {
               </div>
             </div>
           )}
+
+          {/* Issuer Onboarding Tab */}
+          {currentTab === 'applications' && <IssuerApplicationsPanel />}
+
+          {/* DB / Chain Reconciliation Tab */}
+          {currentTab === 'reconciliation' && <ReconciliationPanel />}
         </div>
       </div>
     </div>
@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import documentService from '../../services/documentService';
+
+const STATUS_FILTERS = [
+  { id: 'pending', label: 'Waiting for review' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'all', label: 'All' }
+];
+
+const STATUS_COLORS = {
+  pending: '#ffc107',
+  approved: '#28a745',
+  rejected: '#dc3545'
+};
+
+const cardStyle = {
+  backgroundColor: 'white',
+  padding: '25px',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  marginBottom: '20px'
+};
+
+const buttonStyle = (color, disabled) => ({
+  padding: '8px 16px',
+  backgroundColor: disabled ? '#ccc' : color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '14px',
+  marginRight: '8px'
+});
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.ceil((bytes || 0) / 1024)} KB`);
+
+// Describe the on-chain half of an approval
+const describeRoleAssignment = (roleAssignment) => {
+  switch (roleAssignment?.status) {
+    case 'confirmed':
+      return `✅ Issuer role assigned on-chain (block ${roleAssignment.blockNumber})`;
+    case 'failed':
+      return `⚠️ On-chain role assignment failed: ${roleAssignment.error}`;
+    case 'pending':
+      return '🔄 Assigning issuer role on-chain...';
+    default:
+      return null;
+  }
+};
+
+const IssuerApplicationsPanel = () => {
+  const [status, setStatus] = useState('pending');
+  const [applications, setApplications] = useState([]);
+  const [comments, setComments] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadApplications = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await documentService.getIssuerApplications({ status });
+      setApplications(response.data?.applications || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    loadApplications();
+  }, [loadApplications]);
+
+  // Run a review action and show the updated application in place
+  const review = async (application, action) => {
+    try {
+      setError(null);
+      setWorking(application._id);
+      const response = await action();
+      const updated = response.data?.application;
+      setApplications(current => current.map(entry => (entry._id === updated._id ? updated : entry)));
+      if (response.warning) {
+        setError(response.warning);
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(null);
+    }
+  };
+
+  const handleApprove = (application) => review(application, () =>
+    documentService.approveIssuerApplication(application._id, comments[application._id]));
+
+  const handleReject = (application) => {
+    if (!comments[application._id]?.trim()) {
+      setError('Add comments explaining why the application is rejected.');
+      return;
+    }
+    return review(application, () =>
+      documentService.rejectIssuerApplication(application._id, comments[application._id]));
+  };
+
+  const handleRetry = (application) => review(application, () =>
+    documentService.retryIssuerRoleAssignment(application._id));
+
+  const handleDownload = async (application, supportingDocument) => {
+    try {
+      const blob = await documentService.downloadIssuerApplicationDocument(application._id, supportingDocument._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', supportingDocument.filename);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ margin: 0, color: '#333' }}>🏛️ Issuer Applications</h2>
+        <select
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          aria-label="Application status"
+          style={{ padding: '8px', borderRadius: '6px', border: '1px solid #ddd' }}
+        >
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.id} value={filter.id}>{filter.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div role="alert" style={{ ...cardStyle, padding: '15px', backgroundColor: '#f8d7da', color: '#721c24' }}>
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p style={{ color: '#666' }}>Loading issuer applications...</p>
+      ) : applications.length === 0 ? (
+        <div style={{ ...cardStyle, textAlign: 'center' }}>
+          <p style={{ color: '#666' }}>
+            {status === 'pending' ? 'No applications are waiting for review.' : 'No applications found.'}
+          </p>
+        </div>
+      ) : (
+        applications.map(application => {
+          const busy = working === application._id;
+          const roleAssignment = describeRoleAssignment(application.roleAssignment);
+
+          return (
+            <div key={application._id} style={cardStyle}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                <div>
+                  <h3 style={{ margin: '0 0 5px 0', color: '#333' }}>{application.organization.name}</h3>
+                  <p style={{ margin: '0 0 5px 0', color: '#666' }}>
+                    {application.organization.domain}
+                    {application.organization.website && (
+                      <> · <a href={application.organization.website} target="_blank" rel="noopener noreferrer">
+                        {application.organization.website}
+                      </a></>
+                    )}
+                  </p>
+                  <p style={{ margin: 0, fontSize: '12px', color: '#666', fontFamily: 'monospace' }}>
+                    {application.walletAddress}
+                  </p>
+                </div>
+                <span style={{
+                  padding: '4px 12px',
+                  backgroundColor: STATUS_COLORS[application.status],
+                  color: application.status === 'pending' ? '#000' : 'white',
+                  borderRadius: '12px',
+                  fontSize: '12px',
+                  fontWeight: 'bold',
+                  textTransform: 'uppercase'
+                }}>
+                  {application.status}
+                </span>
+              </div>
+
+              {application.organization.description && (
+                <p style={{ color: '#333' }}>{application.organization.description}</p>
+              )}
+              <p style={{ color: '#333', margin: '15px 0' }}>
+                <strong>Contact:</strong> {application.contact.name} · {application.contact.email}
+                {application.contact.phone ? ` · ${application.contact.phone}` : ''}
+                <br />
+                <strong>Submitted:</strong> {new Date(application.createdAt).toLocaleString()}
+              </p>
+
+              <div style={{ marginBottom: '15px' }}>
+                <strong>Supporting documents ({application.supportingDocuments.length})</strong>
+                {application.supportingDocuments.map(supportingDocument => (
+                  <div key={supportingDocument._id} style={{ marginTop: '6px' }}>
+                    <button
+                      onClick={() => handleDownload(application, supportingDocument)}
+                      style={{ ...buttonStyle('#17a2b8', false), padding: '4px 10px', fontSize: '13px' }}
+                    >
+                      ⬇️ {supportingDocument.filename}
+                    </button>
+                    <span style={{ fontSize: '12px', color: '#666' }}>{formatSize(supportingDocument.size)}</span>
+                  </div>
+                ))}
+              </div>
+
+              {application.status === 'pending' ? (
+                <>
+                  <textarea
+                    value={comments[application._id] || ''}
+                    onChange={(e) => setComments(current => ({ ...current, [application._id]: e.target.value }))}
+                    placeholder="Review comments (required to reject)"
+                    aria-label={`Review comments for ${application.organization.name}`}
+                    rows={2}
+                    style={{ width: '100%', padding: '8px', borderRadius: '6px', border: '1px solid #ddd', marginBottom: '10px' }}
+                  />
+                  <button onClick={() => handleApprove(application)} disabled={busy} style={buttonStyle('#28a745', busy)}>
+                    ✅ Approve
+                  </button>
+                  <button onClick={() => handleReject(application)} disabled={busy} style={buttonStyle('#dc3545', busy)}>
+                    ❌ Reject
+                  </button>
+                </>
+              ) : (
+                <div style={{ padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+                  <p style={{ margin: 0, color: '#333' }}>
+                    {application.status === 'approved' ? 'Approved' : 'Rejected'} by{' '}
+                    <span style={{ fontFamily: 'monospace' }}>{application.review?.reviewedBy}</span>
+                    {application.review?.reviewedAt ? ` on ${new Date(application.review.reviewedAt).toLocaleString()}` : ''}
+                  </p>
+                  {application.review?.comments && (
+                    <p style={{ margin: '5px 0 0 0', color: '#666' }}>“{application.review.comments}”</p>
+                  )}
+                  {roleAssignment && <p style={{ margin: '5px 0 0 0' }}>{roleAssignment}</p>}
+                  {application.roleAssignment?.status === 'failed' && (
+                    <button
+                      onClick={() => handleRetry(application)}
+                      disabled={busy}
+                      style={{ ...buttonStyle('#6f42c1', busy), marginTop: '10px' }}
+                    >
+                      🔁 Retry on-chain assignment
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default IssuerApplicationsPanel;
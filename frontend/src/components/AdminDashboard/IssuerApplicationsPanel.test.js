@@ -0,0 +1,93 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import IssuerApplicationsPanel from './IssuerApplicationsPanel';
+import documentService from '../../services/documentService';
+
+jest.mock('../../services/documentService', () => ({
+  getIssuerApplications: jest.fn(),
+  approveIssuerApplication: jest.fn(),
+  rejectIssuerApplication: jest.fn(),
+  retryIssuerRoleAssignment: jest.fn(),
+  downloadIssuerApplicationDocument: jest.fn()
+}));
+
+const pendingApplication = {
+  _id: 'application-1',
+  walletAddress: '0x1111111111111111111111111111111111111111',
+  organization: { name: 'Example University', domain: 'example.edu' },
+  contact: { name: 'Registrar Office', email: 'registrar@example.edu' },
+  supportingDocuments: [{ _id: 'file-1', filename: 'accreditation.pdf', size: 2048 }],
+  status: 'pending',
+  createdAt: '2026-01-01T00:00:00.000Z'
+};
+
+const reviewed = (status, roleAssignment) => ({
+  ...pendingApplication,
+  status,
+  review: {
+    reviewedBy: '0x2222222222222222222222222222222222222222',
+    reviewedAt: '2026-01-02T00:00:00.000Z',
+    comments: 'Checked'
+  },
+  roleAssignment
+});
+
+describe('IssuerApplicationsPanel Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documentService.getIssuerApplications.mockResolvedValue({
+      success: true,
+      data: { applications: [pendingApplication] }
+    });
+  });
+
+  test('lists applications waiting for review', async () => {
+    render(<IssuerApplicationsPanel />);
+
+    expect(await screen.findByText('Example University')).toBeInTheDocument();
+    expect(screen.getByText(/accreditation\.pdf/)).toBeInTheDocument();
+    expect(documentService.getIssuerApplications).toHaveBeenCalledWith({ status: 'pending' });
+  });
+
+  test('approves an application with comments', async () => {
+    documentService.approveIssuerApplication.mockResolvedValue({
+      success: true,
+      data: { application: reviewed('approved', { status: 'confirmed', blockNumber: 42 }) }
+    });
+
+    render(<IssuerApplicationsPanel />);
+    fireEvent.change(await screen.findByLabelText('Review comments for Example University'), {
+      target: { value: 'Checked' }
+    });
+    fireEvent.click(screen.getByText('✅ Approve'));
+
+    expect(await screen.findByText(/Issuer role assigned on-chain \(block 42\)/)).toBeInTheDocument();
+    expect(documentService.approveIssuerApplication).toHaveBeenCalledWith('application-1', 'Checked');
+  });
+
+  test('requires comments to reject', async () => {
+    render(<IssuerApplicationsPanel />);
+    fireEvent.click(await screen.findByText('❌ Reject'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Add comments explaining why the application is rejected.');
+    expect(documentService.rejectIssuerApplication).not.toHaveBeenCalled();
+  });
+
+  test('retries a failed on-chain role assignment', async () => {
+    documentService.getIssuerApplications.mockResolvedValue({
+      success: true,
+      data: { applications: [reviewed('approved', { status: 'failed', error: 'insufficient funds' })] }
+    });
+    documentService.retryIssuerRoleAssignment.mockResolvedValue({
+      success: true,
+      data: { application: reviewed('approved', { status: 'confirmed', blockNumber: 43 }) }
+    });
+
+    render(<IssuerApplicationsPanel />);
+    expect(await screen.findByText(/On-chain role assignment failed: insufficient funds/)).toBeInTheDocument();
+    fireEvent.click(screen.getByText('🔁 Retry on-chain assignment'));
+
+    expect(await screen.findByText(/block 43/)).toBeInTheDocument();
+    expect(documentService.retryIssuerRoleAssignment).toHaveBeenCalledWith('application-1');
+  });
+});
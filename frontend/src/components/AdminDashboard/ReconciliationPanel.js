@@ -0,0 +1,283 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import documentService from '../../services/documentService';
+
+const MISMATCH_LABELS = {
+  missing_on_chain: 'Missing on-chain',
+  missing_in_db: 'Missing in database',
+  owner_differs: 'Owner differs',
+  active_differs: 'Active flag differs',
+  viewers_differ: 'Viewers differ'
+};
+
+const ACTION_LABELS = {
+  adopt_chain: '⬇️ Use chain value',
+  push_to_chain: '⬆️ Push to chain',
+  dismiss: 'Dismiss'
+};
+
+const ACTION_COLORS = {
+  adopt_chain: '#1976d2',
+  push_to_chain: '#6f42c1',
+  dismiss: '#6c757d'
+};
+
+// How long to wait between polls while a run is in progress
+const POLL_INTERVAL_MS = 3000;
+
+const shortAddress = (value) => (value ? `${value.slice(0, 10)}...${value.slice(-6)}` : '—');
+
+// Render one side of a mismatch as short text
+const describeSide = (type, side) => {
+  if (!side) return 'Not found';
+  switch (type) {
+    case 'owner_differs':
+      return shortAddress(side.owner);
+    case 'active_differs':
+      return side.isActive ? 'Active' : 'Inactive';
+    case 'viewers_differ':
+      return side.viewers?.length ? `Only here: ${side.viewers.map(shortAddress).join(', ')}` : 'No extra viewers';
+    case 'missing_on_chain':
+      return `Status ${side.status}`;
+    case 'missing_in_db':
+      return `Owner ${shortAddress(side.owner)}, ${side.isActive ? 'active' : 'inactive'}`;
+    default:
+      return JSON.stringify(side);
+  }
+};
+
+const cardStyle = {
+  backgroundColor: 'white',
+  padding: '25px',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  marginBottom: '20px'
+};
+
+const buttonStyle = (color, disabled) => ({
+  padding: '6px 12px',
+  backgroundColor: disabled ? '#ccc' : color,
+  color: 'white',
+  border: 'none',
+  borderRadius: '6px',
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  fontSize: '13px',
+  marginRight: '6px'
+});
+
+const ReconciliationPanel = () => {
+  const [reports, setReports] = useState([]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [repairing, setRepairing] = useState(null);
+  const [error, setError] = useState(null);
+  const pollTimer = useRef(null);
+
+  const loadReport = useCallback(async (reportId) => {
+    clearTimeout(pollTimer.current);
+    const response = await documentService.getReconciliationReport(reportId);
+    const loaded = response.data?.report;
+    setReport(loaded);
+
+    if (loaded?.status === 'running') {
+      setRunning(true);
+      pollTimer.current = setTimeout(() => {
+        loadReport(reportId).catch(err => setError(err.message));
+      }, POLL_INTERVAL_MS);
+    } else {
+      setRunning(false);
+      setReports(current => current.map(entry => (entry.id === loaded.id ? { ...entry, ...loaded } : entry)));
+    }
+  }, []);
+
+  useEffect(() => {
+    const loadReports = async () => {
+      try {
+        setLoading(true);
+        const response = await documentService.getReconciliationReports();
+        const list = response.data?.reports || [];
+        setReports(list);
+        setRunning(!!response.data?.isRunning);
+
+        if (list.length > 0) {
+          await loadReport(list[0].id);
+        }
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadReports();
+    return () => clearTimeout(pollTimer.current);
+  }, [loadReport]);
+
+  const handleRun = async () => {
+    try {
+      setError(null);
+      setRunning(true);
+      const response = await documentService.runReconciliation();
+      const started = response.data?.report;
+      setReports(current => [started, ...current]);
+      await loadReport(started.id);
+    } catch (err) {
+      setRunning(false);
+      setError(err.message);
+    }
+  };
+
+  const handleRepair = async (mismatch, action) => {
+    try {
+      setError(null);
+      setRepairing(mismatch._id);
+      const response = await documentService.repairReconciliationMismatch(report.id, mismatch._id, action);
+      const updated = response.data?.mismatch;
+      setReport(current => ({
+        ...current,
+        mismatches: current.mismatches.map(entry => (entry._id === updated._id ? updated : entry))
+      }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRepairing(null);
+    }
+  };
+
+  if (loading) {
+    return <p style={{ color: '#666' }}>Loading reconciliation reports...</p>;
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+        <h2 style={{ margin: 0, color: '#333' }}>🔍 DB / Chain Reconciliation</h2>
+        <button
+          onClick={handleRun}
+          disabled={running}
+          style={{ ...buttonStyle('#28a745', running), padding: '10px 20px', fontSize: '14px' }}
+        >
+          {running ? '🔄 Running...' : '▶️ Run reconciliation'}
+        </button>
+      </div>
+
+      {error && (
+        <div role="alert" style={{ ...cardStyle, padding: '15px', backgroundColor: '#f8d7da', color: '#721c24' }}>
+          {error}
+        </div>
+      )}
+
+      {!report ? (
+        <div style={{ ...cardStyle, textAlign: 'center' }}>
+          <p style={{ color: '#666' }}>No reconciliation has been run yet.</p>
+        </div>
+      ) : (
+        <>
+          <div style={cardStyle}>
+            <h3 style={{ margin: '0 0 10px 0', color: '#333' }}>
+              Report from {new Date(report.startedAt).toLocaleString()}
+            </h3>
+            <p style={{ margin: '0 0 15px 0', color: '#666' }}>
+              Status: <strong>{report.status}</strong>
+              {report.triggeredBy ? ` · started by ${shortAddress(report.triggeredBy)}` : ' · scheduled run'}
+              {report.error ? ` · ${report.error}` : ''}
+            </p>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '15px', textAlign: 'center' }}>
+              {['checked', 'matched', 'mismatched', 'skipped'].map(key => (
+                <div key={key} style={{ padding: '10px', backgroundColor: '#f8f9fa', borderRadius: '8px' }}>
+                  <p style={{ margin: 0, fontSize: '22px', fontWeight: 'bold', color: '#333' }}>{report.totals?.[key] ?? 0}</p>
+                  <p style={{ margin: 0, fontSize: '12px', color: '#666', textTransform: 'uppercase' }}>{key}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div style={cardStyle}>
+            <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>Mismatches ({report.mismatches?.length || 0})</h3>
+            {!report.mismatches?.length ? (
+              <p style={{ color: '#666' }}>
+                {report.status === 'running' ? 'Comparing records...' : 'Database and chain agree. ✅'}
+              </p>
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                  <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd' }}>
+                    <th style={{ padding: '8px' }}>Document</th>
+                    <th style={{ padding: '8px' }}>Mismatch</th>
+                    <th style={{ padding: '8px' }}>Database</th>
+                    <th style={{ padding: '8px' }}>Chain</th>
+                    <th style={{ padding: '8px' }}>Repair</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.mismatches.map(mismatch => (
+                    <tr key={mismatch._id} style={{ borderBottom: '1px solid #eee' }}>
+                      <td style={{ padding: '8px', fontFamily: 'monospace', fontSize: '12px' }}>
+                        {shortAddress(mismatch.documentHash)}
+                      </td>
+                      <td style={{ padding: '8px' }}>{MISMATCH_LABELS[mismatch.type] || mismatch.type}</td>
+                      <td style={{ padding: '8px' }}>{describeSide(mismatch.type, mismatch.details?.db)}</td>
+                      <td style={{ padding: '8px' }}>{describeSide(mismatch.type, mismatch.details?.chain)}</td>
+                      <td style={{ padding: '8px' }}>
+                        {mismatch.resolution?.status === 'repaired' ? (
+                          <span style={{ color: '#28a745', fontWeight: 'bold' }}>
+                            ✅ {mismatch.resolution.action === 'dismiss' ? 'Dismissed' : 'Repaired'}
+                          </span>
+                        ) : (
+                          <>
+                            {mismatch.repairActions.map(action => (
+                              <button
+                                key={action}
+                                onClick={() => handleRepair(mismatch, action)}
+                                disabled={repairing === mismatch._id}
+                                style={buttonStyle(ACTION_COLORS[action], repairing === mismatch._id)}
+                              >
+                                {ACTION_LABELS[action]}
+                              </button>
+                            ))}
+                            {mismatch.resolution?.status === 'failed' && (
+                              <p style={{ margin: '6px 0 0 0', color: '#dc3545', fontSize: '12px' }}>
+                                {mismatch.resolution.error}
+                              </p>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+
+      {reports.length > 1 && (
+        <div style={cardStyle}>
+          <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>Previous Reports</h3>
+          {reports.map(entry => (
+            <button
+              key={entry.id}
+              onClick={() => loadReport(entry.id).catch(err => setError(err.message))}
+              style={{
+                display: 'block',
+                width: '100%',
+                textAlign: 'left',
+                padding: '10px',
+                marginBottom: '8px',
+                border: '1px solid #ddd',
+                borderRadius: '8px',
+                backgroundColor: entry.id === report?.id ? '#e3f2fd' : '#f8f9fa',
+                cursor: 'pointer'
+              }}
+            >
+              {new Date(entry.startedAt).toLocaleString()} · {entry.status} · {entry.totals?.mismatched ?? 0} mismatched
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReconciliationPanel;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import ReconciliationPanel from './ReconciliationPanel';
+import documentService from '../../services/documentService';
+
+jest.mock('../../services/documentService', () => ({
+  getReconciliationReports: jest.fn(),
+  getReconciliationReport: jest.fn(),
+  runReconciliation: jest.fn(),
+  repairReconciliationMismatch: jest.fn()
+}));
+
+const ownerMismatch = {
+  _id: 'mismatch-1',
+  documentHash: '0x1234567890123456789012345678901234567890123456789012345678901234',
+  type: 'owner_differs',
+  details: {
+    db: { owner: '0x1111111111111111111111111111111111111111' },
+    chain: { owner: '0x3333333333333333333333333333333333333333' }
+  },
+  repairActions: ['adopt_chain', 'push_to_chain', 'dismiss']
+};
+
+const completedReport = {
+  id: 'report-1',
+  status: 'completed',
+  triggeredBy: null,
+  startedAt: '2024-01-01T03:00:00.000Z',
+  totals: { checked: 4, matched: 3, mismatched: 1, skipped: 0 },
+  mismatches: [ownerMismatch]
+};
+
+describe('ReconciliationPanel Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documentService.getReconciliationReports.mockResolvedValue({
+      success: true,
+      data: { isRunning: false, reports: [completedReport] }
+    });
+    documentService.getReconciliationReport.mockResolvedValue({
+      success: true,
+      data: { report: completedReport }
+    });
+  });
+
+  test('shows the latest report with its mismatches', async () => {
+    render(<ReconciliationPanel />);
+
+    expect(await screen.findByText('Owner differs')).toBeInTheDocument();
+    expect(screen.getByText('Mismatches (1)')).toBeInTheDocument();
+    expect(screen.getByText('0x11111111...111111')).toBeInTheDocument();
+    expect(screen.getByText('0x33333333...333333')).toBeInTheDocument();
+    expect(documentService.getReconciliationReport).toHaveBeenCalledWith('report-1');
+  });
+
+  test('repairs a mismatch with the chosen action', async () => {
+    documentService.repairReconciliationMismatch.mockResolvedValue({
+      success: true,
+      data: {
+        mismatch: { ...ownerMismatch, resolution: { action: 'adopt_chain', status: 'repaired' } }
+      }
+    });
+
+    render(<ReconciliationPanel />);
+    fireEvent.click(await screen.findByText('⬇️ Use chain value'));
+
+    expect(await screen.findByText(/Repaired/)).toBeInTheDocument();
+    expect(documentService.repairReconciliationMismatch)
+      .toHaveBeenCalledWith('report-1', 'mismatch-1', 'adopt_chain');
+    expect(screen.queryByText('⬆️ Push to chain')).not.toBeInTheDocument();
+  });
+
+  test('shows the error when a repair fails', async () => {
+    documentService.repairReconciliationMismatch.mockRejectedValue(
+      new Error('Repair failed: Not authorized for this document')
+    );
+
+    render(<ReconciliationPanel />);
+    fireEvent.click(await screen.findByText('⬆️ Push to chain'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Repair failed: Not authorized for this document');
+  });
+
+  test('starts a new run', async () => {
+    documentService.getReconciliationReports.mockResolvedValue({
+      success: true,
+      data: { isRunning: false, reports: [] }
+    });
+    documentService.runReconciliation.mockResolvedValue({
+      success: true,
+      data: { report: { ...completedReport, id: 'report-2', status: 'running', mismatches: undefined } }
+    });
+    documentService.getReconciliationReport.mockResolvedValue({
+      success: true,
+      data: { report: { ...completedReport, id: 'report-2', mismatches: [] } }
+    });
+
+    render(<ReconciliationPanel />);
+    fireEvent.click(await screen.findByText('▶️ Run reconciliation'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Database and chain agree. ✅')).toBeInTheDocument();
+    });
+    expect(documentService.getReconciliationReport).toHaveBeenCalledWith('report-2');
+  });
+});
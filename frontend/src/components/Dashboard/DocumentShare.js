@@ -21,6 +21,8 @@ import {
   Select,
   MenuItem,
   Divider,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   Delete as DeleteIcon,
@@ -29,17 +31,30 @@ import {
   QrCode as QrCodeIcon,
   Link as LinkIcon,
   ContentCopy as CopyIcon,
+  Lock as LockIcon,
 } from '@mui/icons-material';
 import { QRCodeSVG } from 'qrcode.react';
+import documentService from '../../services/documentService';
+import clientEncryptionService from '../../services/clientEncryptionService';
 
 const DocumentShare = ({ document, onClose }) => {
   const [newViewerAddress, setNewViewerAddress] = useState('');
   const [accessLevel, setAccessLevel] = useState('view');
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [maxViews, setMaxViews] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
   const [qrDialogOpen, setQrDialogOpen] = useState(false);
   const [shareableLink, setShareableLink] = useState('');
+  const [linkDialogOpen, setLinkDialogOpen] = useState(false);
+  const [linkOptions, setLinkOptions] = useState({
+    label: '',
+    expiresInHours: 168,
+    passcode: '',
+    allowDownload: false,
+  });
+  const [privateLink, setPrivateLink] = useState(null);
 
   const handleAddViewer = async () => {
     if (!newViewerAddress.trim()) {
@@ -53,20 +68,34 @@ const DocumentShare = ({ document, onClose }) => {
       return;
     }
 
+    // Expiry and view limit are optional; the server defaults to a 30 day grant
+    const shareRequest = {
+      viewerAddress: newViewerAddress,
+      accessLevel: accessLevel,
+    };
+    if (expiresInDays) {
+      shareRequest.expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+    if (maxViews) {
+      shareRequest.maxViews = parseInt(maxViews, 10);
+    }
+
     try {
       setLoading(true);
       setError(null);
 
+      // Viewers of an end-to-end encrypted document need its key wrapped for them
+      if (document.encryptionMode === 'client' && accessLevel !== 'verify') {
+        shareRequest.wrappedKey = await clientEncryptionService.wrapKeyFor(document.documentHash, newViewerAddress);
+      }
+
       const response = await fetch(`/api/documents/${document.documentHash}/share`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
         },
-        body: JSON.stringify({
-          viewerAddress: newViewerAddress,
-          accessLevel: accessLevel,
-        }),
+        body: JSON.stringify(shareRequest),
       });
 
       const data = await response.json();
@@ -74,6 +103,8 @@ const DocumentShare = ({ document, onClose }) => {
       if (response.ok && data.success) {
         setSuccess('Access granted successfully');
         setNewViewerAddress('');
+        setExpiresInDays('');
+        setMaxViews('');
         // Refresh document data would happen here in a real implementation
       } else {
         throw new Error(data.error || 'Failed to grant access');
@@ -118,6 +149,28 @@ const DocumentShare = ({ document, onClose }) => {
     }
   };
 
+  const handleCreatePrivateLink = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const data = await documentService.createShareLink(document.documentHash, linkOptions);
+      setPrivateLink(data.data);
+      setSuccess('Share link created');
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClosePrivateLinkDialog = () => {
+    setLinkDialogOpen(false);
+    setPrivateLink(null);
+    setLinkOptions({ label: '', expiresInHours: 168, passcode: '', allowDownload: false });
+  };
+
   const generateShareableLink = () => {
     const baseUrl = window.location.origin;
     const link = `${baseUrl}/verify?hash=${document.documentHash}`;
@@ -139,6 +192,18 @@ const DocumentShare = ({ document, onClose }) => {
     return `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
   };
 
+  const activeShareGrants = (document.access.shareGrants || []).filter(grant =>
+    !grant.revokedAt &&
+    new Date(grant.expiresAt) > new Date() &&
+    (!grant.maxViews || grant.viewCount < grant.maxViews)
+  );
+
+  const describeShareGrant = (grant) => {
+    const levels = { verify: 'Verify only', view: 'View', download: 'View and download' };
+    const views = grant.maxViews ? ` · ${grant.viewCount}/${grant.maxViews} views used` : '';
+    return `${levels[grant.level] || grant.level} · expires ${new Date(grant.expiresAt).toLocaleDateString()}${views}`;
+  };
+
   return (
     <Box>
       {/* Error and Success Messages */}
@@ -185,6 +250,13 @@ const DocumentShare = ({ document, onClose }) => {
           >
             QR Code
           </Button>
+          <Button
+            variant="outlined"
+            startIcon={<LockIcon />}
+            onClick={() => setLinkDialogOpen(true)}
+          >
+            Private Link
+          </Button>
         </Box>
       </Box>
 
@@ -212,10 +284,33 @@ const DocumentShare = ({ document, onClose }) => {
               label="Access Level"
               onChange={(e) => setAccessLevel(e.target.value)}
             >
+              <MenuItem value="verify">Verify Only</MenuItem>
               <MenuItem value="view">View Only</MenuItem>
               <MenuItem value="download">View & Download</MenuItem>
             </Select>
           </FormControl>
+          <FormControl sx={{ minWidth: 120 }}>
+            <InputLabel>Expires</InputLabel>
+            <Select
+              value={expiresInDays}
+              label="Expires"
+              onChange={(e) => setExpiresInDays(e.target.value)}
+            >
+              <MenuItem value="">30 days</MenuItem>
+              <MenuItem value={1}>1 day</MenuItem>
+              <MenuItem value={7}>7 days</MenuItem>
+              <MenuItem value={90}>90 days</MenuItem>
+              <MenuItem value={365}>1 year</MenuItem>
+            </Select>
+          </FormControl>
+          <TextField
+            sx={{ width: 120 }}
+            type="number"
+            label="Max Views"
+            value={maxViews}
+            onChange={(e) => setMaxViews(e.target.value)}
+            inputProps={{ min: 1, max: 1000 }}
+          />
           <Button
             variant="contained"
             onClick={handleAddViewer}
@@ -292,9 +387,37 @@ const DocumentShare = ({ document, onClose }) => {
               </ListItemSecondaryAction>
             </ListItem>
           ))}
+
+          {/* Time-limited Share Grants */}
+          {activeShareGrants.map((grant) => (
+            <ListItem key={grant._id || grant.grantee}>
+              <ListItemText
+                primary={
+                  <Box display="flex" alignItems="center" gap={1}>
+                    <Typography variant="body2">
+                      {formatAddress(grant.grantee)}
+                    </Typography>
+                    <Chip label="Shared" color="info" size="small" />
+                  </Box>
+                }
+                secondary={describeShareGrant(grant)}
+              />
+              <ListItemSecondaryAction>
+                <IconButton
+                  edge="end"
+                  onClick={() => handleRemoveViewer(grant.grantee)}
+                  disabled={loading}
+                  size="small"
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
         </List>
 
-        {(!document.access.authorizedViewers || document.access.authorizedViewers.length === 0) && (
+        {(!document.access.authorizedViewers || document.access.authorizedViewers.length === 0) &&
+          activeShareGrants.length === 0 && (
           <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
             No additional viewers have been granted access
           </Typography>
@@ -312,9 +435,12 @@ const DocumentShare = ({ document, onClose }) => {
         <Typography variant="body2" color="text.secondary" paragraph>
           • <strong>Wallet Access:</strong> Specific wallet addresses can view document details and metadata
         </Typography>
-        <Typography variant="body2" color="text.secondary">
+        <Typography variant="body2" color="text.secondary" paragraph>
           • <strong>QR Code:</strong> Generate a QR code for easy mobile verification
         </Typography>
+        <Typography variant="body2" color="text.secondary">
+          • <strong>Private Link:</strong> An expiring link for recipients without a wallet, optionally protected by a passcode
+        </Typography>
       </Box>
 
       {/* QR Code Dialog */}
@@ -368,6 +494,108 @@ const DocumentShare = ({ document, onClose }) => {
           <Button onClick={() => setQrDialogOpen(false)}>Close</Button>
         </DialogActions>
       </Dialog>
+
+      {/* Private Share Link Dialog */}
+      <Dialog
+        open={linkDialogOpen}
+        onClose={handleClosePrivateLinkDialog}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>
+          <Box display="flex" alignItems="center" gap={1}>
+            <LockIcon />
+            Create Private Share Link
+          </Box>
+        </DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {privateLink ? (
+            <Box display="flex" flexDirection="column" gap={2} mt={1}>
+              <Typography variant="body2" color="text.secondary">
+                Anyone with this link can verify the document until{' '}
+                {new Date(privateLink.link.expiresAt).toLocaleString()}.
+                {privateLink.link.hasPasscode && ' Send the passcode separately.'}
+              </Typography>
+              <Box display="flex" alignItems="center" gap={1}>
+                <TextField
+                  fullWidth
+                  label="Private Link"
+                  value={privateLink.url}
+                  InputProps={{
+                    readOnly: true,
+                    style: { fontSize: '0.875rem' }
+                  }}
+                />
+                <IconButton
+                  onClick={() => copyToClipboard(privateLink.url)}
+                  title="Copy private link"
+                >
+                  <CopyIcon />
+                </IconButton>
+              </Box>
+            </Box>
+          ) : (
+            <Box display="flex" flexDirection="column" gap={2} mt={1}>
+              <TextField
+                label="Recipient (optional)"
+                placeholder="e.g. Acme Corp HR"
+                value={linkOptions.label}
+                onChange={(e) => setLinkOptions({ ...linkOptions, label: e.target.value })}
+              />
+              <FormControl>
+                <InputLabel>Link Expires</InputLabel>
+                <Select
+                  value={linkOptions.expiresInHours}
+                  label="Link Expires"
+                  onChange={(e) => setLinkOptions({ ...linkOptions, expiresInHours: e.target.value })}
+                >
+                  <MenuItem value={24}>1 day</MenuItem>
+                  <MenuItem value={168}>7 days</MenuItem>
+                  <MenuItem value={720}>30 days</MenuItem>
+                  <MenuItem value={2160}>90 days</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                type="password"
+                label="Passcode (optional)"
+                value={linkOptions.passcode}
+                onChange={(e) => setLinkOptions({ ...linkOptions, passcode: e.target.value })}
+                helperText="At least 4 characters. Share it with the recipient separately."
+              />
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={linkOptions.allowDownload}
+                    onChange={(e) => setLinkOptions({ ...linkOptions, allowDownload: e.target.checked })}
+                    disabled={document.encryptionMode === 'client'}
+                  />
+                }
+                label={document.encryptionMode === 'client'
+                  ? 'Downloads are not available for end-to-end encrypted documents'
+                  : 'Allow the recipient to download the file'}
+              />
+            </Box>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClosePrivateLinkDialog}>Close</Button>
+          {!privateLink && (
+            <Button
+              variant="contained"
+              onClick={handleCreatePrivateLink}
+              disabled={loading || (linkOptions.passcode.length > 0 && linkOptions.passcode.length < 4)}
+              startIcon={loading ? <CircularProgress size={20} /> : <LockIcon />}
+            >
+              Create Link
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
     </Box>
   );
 };
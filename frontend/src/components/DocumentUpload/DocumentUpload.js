@@ -19,7 +19,9 @@ import {
   Grid,
   Chip,
   IconButton,
-  Divider
+  Divider,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   CloudUpload,
@@ -29,6 +31,8 @@ import {
   Info
 } from '@mui/icons-material';
 import documentService from '../../services/documentService';
+import clientEncryptionService from '../../services/clientEncryptionService';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL } from '../../utils/fileLimits';
 
 const DocumentUpload = () => {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -39,6 +43,7 @@ const DocumentUpload = () => {
   const [uploadResult, setUploadResult] = useState(null);
   const [showSuccessDialog, setShowSuccessDialog] = useState(false);
   const [validationErrors, setValidationErrors] = useState([]);
+  const [endToEnd, setEndToEnd] = useState(false);
   
   // Form data
   const [metadata, setMetadata] = useState({
@@ -100,7 +105,7 @@ const DocumentUpload = () => {
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
     },
     maxFiles: 1,
-    maxSize: 10 * 1024 * 1024 // 10MB
+    maxSize: MAX_FILE_SIZE
   });
 
   const handleMetadataChange = (field, value) => {
@@ -142,12 +147,18 @@ const DocumentUpload = () => {
     setUploadError('');
 
     try {
+      // With end-to-end encryption the file is encrypted here and the server never sees it
+      const { file, encryption } = endToEnd
+        ? await clientEncryptionService.prepareUpload(selectedFile)
+        : { file: selectedFile };
+
       const result = await documentService.uploadDocument(
-        selectedFile,
+        file,
         metadata,
         (progress) => {
           setUploadProgress(progress);
-        }
+        },
+        encryption
       );
 
       setUploadResult(result);
@@ -258,7 +269,7 @@ const DocumentUpload = () => {
               {isDragActive ? 'Drop the file here' : 'Drag & drop a file here, or click to select'}
             </Typography>
             <Typography variant="body2" color="text.secondary">
-              Supported formats: PDF, DOC, DOCX, JPG, PNG (Max 10MB)
+              Supported formats: PDF, DOC, DOCX, JPG, PNG (Max {MAX_FILE_SIZE_LABEL})
             </Typography>
           </Box>
         )}
@@ -403,6 +414,23 @@ const DocumentUpload = () => {
               disabled={isUploading}
             />
           </Grid>
+
+          <Grid item xs={12}>
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={endToEnd}
+                  onChange={(e) => setEndToEnd(e.target.checked)}
+                  disabled={isUploading}
+                />
+              }
+              label="End-to-end encryption"
+            />
+            <Typography variant="body2" color="text.secondary">
+              Encrypts the file in your browser with a key unlocked by your wallet signature.
+              The server stores only ciphertext, and share links cannot offer downloads.
+            </Typography>
+          </Grid>
         </Grid>
       </Paper>
 
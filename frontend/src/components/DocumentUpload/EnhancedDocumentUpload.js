@@ -21,6 +21,8 @@ import {
   InputLabel,
   Select,
   MenuItem,
+  FormControlLabel,
+  Switch,
 } from '@mui/material';
 import {
   CloudUpload,
@@ -32,6 +34,9 @@ import {
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
 import documentService from '../../services/documentService';
+import clientEncryptionService from '../../services/clientEncryptionService';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL } from '../../utils/fileLimits';
+import TransactionStatus from '../WalletConnection/TransactionStatus';
 
 const ALLOWED_TYPES = {
   'application/pdf': ['.pdf'],
@@ -43,12 +48,12 @@ const ALLOWED_TYPES = {
   'text/plain': ['.txt'],
 };
 
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-
 const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
   const [files, setFiles] = useState([]);
   const [documentType, setDocumentType] = useState('certificate');
   const [recipientAddress, setRecipientAddress] = useState('');
+  const [supersedes, setSupersedes] = useState('');
+  const [endToEnd, setEndToEnd] = useState(false);
   const [metadata, setMetadata] = useState({
     studentName: '',
     studentId: '',
@@ -62,6 +67,8 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
   const [uploadProgress, setUploadProgress] = useState({});
   const [error, setError] = useState(null);
   const [success, setSuccess] = useState(null);
+  // Registration still being mined after the upload request returned
+  const [pendingDocumentHash, setPendingDocumentHash] = useState(null);
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     setError(null);
@@ -125,11 +132,28 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
       return;
     }
 
+    if (supersedes) {
+      if (!/^0x[a-fA-F0-9]{64}$/.test(supersedes)) {
+        setError('Please enter a valid document hash for the version being replaced');
+        return;
+      }
+
+      if (files.length > 1) {
+        setError('Upload a single file when registering a new version of a document');
+        return;
+      }
+    }
+
     setUploading(true);
     setError(null);
     setSuccess(null);
 
     try {
+      // Ask for the key-unlocking signature once, not once per file
+      if (endToEnd) {
+        await clientEncryptionService.unlock();
+      }
+
       const uploadPromises = files.map(async (fileItem) => {
         try {
           setUploadProgress(prev => ({ ...prev, [fileItem.id]: 0 }));
@@ -139,11 +163,17 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
             ...metadata,
             documentType: documentType,
             ownerAddress: recipientAddress || undefined,
+            supersedes: supersedes || undefined,
           };
 
-          const result = await documentService.registerDocument(fileItem.file, fullMetadata, (progress) => {
+          // The recipient must have enabled end-to-end encryption to be sent an encrypted file
+          const { file, encryption } = endToEnd
+            ? await clientEncryptionService.prepareUpload(fileItem.file, recipientAddress)
+            : { file: fileItem.file };
+
+          const result = await documentService.registerDocument(file, fullMetadata, (progress) => {
             setUploadProgress(prev => ({ ...prev, [fileItem.id]: progress }));
-          });
+          }, encryption);
 
           setFiles(prev => prev.map(f => 
             f.id === fileItem.id 
@@ -151,6 +181,10 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
               : f
           ));
 
+          if (result.data?.status === 'pending') {
+            setPendingDocumentHash(result.data.documentHash);
+          }
+
           return result;
         } catch (err) {
           setFiles(prev => prev.map(f => 
@@ -305,6 +339,31 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
                   placeholder="0x..."
                   helperText="Ethereum wallet address of the document recipient"
                 />
+
+                <TextField
+                  fullWidth
+                  label="Replaces Document (optional)"
+                  value={supersedes}
+                  onChange={(e) => setSupersedes(e.target.value.trim())}
+                  margin="normal"
+                  placeholder="0x..."
+                  helperText="Hash of a previously issued document that this upload corrects"
+                />
+
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={endToEnd}
+                      onChange={(e) => setEndToEnd(e.target.checked)}
+                      disabled={uploading}
+                    />
+                  }
+                  label="End-to-end encryption"
+                />
+                <Typography variant="body2" color="text.secondary">
+                  Files are encrypted in your browser for you and the recipient only.
+                  The recipient needs to have enabled end-to-end encryption.
+                </Typography>
               </CardContent>
             </Card>
           </Grid>
@@ -341,7 +400,7 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
                     or click to browse
                   </Typography>
                   <Typography variant="caption" color="text.secondary">
-                    Supported: PDF, DOC, DOCX, JPG, PNG, GIF, TXT (Max 10MB)
+                    Supported: PDF, DOC, DOCX, JPG, PNG, GIF, TXT (Max {MAX_FILE_SIZE_LABEL})
                   </Typography>
                 </Box>
 
@@ -404,6 +463,7 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
               setFiles([]);
               setMetadata({ title: '', description: '', issuer: '', issueDate: new Date().toISOString().split('T')[0] });
               setRecipientAddress('');
+              setSupersedes('');
             }}
             disabled={uploading}
           >
@@ -419,6 +479,13 @@ const EnhancedDocumentUpload = ({ onUploadSuccess }) => {
           </Button>
         </Box>
       </Paper>
+
+      <TransactionStatus
+        open={!!pendingDocumentHash}
+        documentHash={pendingDocumentHash}
+        onClose={() => setPendingDocumentHash(null)}
+        requiredConfirmations={1}
+      />
     </Box>
   );
 };
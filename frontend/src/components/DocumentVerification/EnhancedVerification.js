@@ -31,6 +31,7 @@ import {
 import { QRCodeSVG } from 'qrcode.react';
 import { useDropzone } from 'react-dropzone';
 import documentService from '../../services/documentService';
+import { MAX_FILE_SIZE } from '../../utils/fileLimits';
 
 const EnhancedVerification = () => {
   const [tabValue, setTabValue] = useState(0);
@@ -57,7 +58,7 @@ const EnhancedVerification = () => {
       'image/*': ['.jpg', '.jpeg', '.png', '.gif'],
     },
     maxFiles: 1,
-    maxSize: 10 * 1024 * 1024,
+    maxSize: MAX_FILE_SIZE,
   });
 
   const handleVerifyHash = async () => {
@@ -13,6 +13,7 @@ import {
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
 import documentService from '../../services/documentService';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL } from '../../utils/fileLimits';
 
 const FileUploadVerification = ({ onVerify, loading }) => {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -25,7 +26,7 @@ const FileUploadVerification = ({ onVerify, loading }) => {
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors.some(error => error.code === 'file-too-large')) {
-        setValidationError('File size must be less than 10MB');
+        setValidationError(`File size must be less than ${MAX_FILE_SIZE_LABEL}`);
       } else if (rejection.errors.some(error => error.code === 'file-invalid-type')) {
         setValidationError('File type not supported. Please upload PDF, DOC, DOCX, or image files.');
       } else {
@@ -64,7 +65,7 @@ const FileUploadVerification = ({ onVerify, loading }) => {
       'image/png': ['.png'],
     },
     maxFiles: 1,
-    maxSize: 10485760, // 10MB
+    maxSize: MAX_FILE_SIZE,
     onDragEnter: () => setDragActive(true),
     onDragLeave: () => setDragActive(false),
   });
@@ -159,7 +160,7 @@ const FileUploadVerification = ({ onVerify, loading }) => {
           )}
           
           <Typography variant="caption" display="block" sx={{ mt: 2 }}>
-            Supported formats: PDF, DOC, DOCX, JPG, PNG (Max 10MB)
+            Supported formats: PDF, DOC, DOCX, JPG, PNG (Max {MAX_FILE_SIZE_LABEL})
           </Typography>
         </Paper>
       ) : (
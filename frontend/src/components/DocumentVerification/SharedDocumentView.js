@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Container,
+  Paper,
+  Typography,
+  TextField,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import {
+  Lock as LockIcon,
+  Download as DownloadIcon,
+} from '@mui/icons-material';
+import documentService from '../../services/documentService';
+import VerificationResult from './VerificationResult';
+
+// Read-only verification view for recipients opening an anonymous share link
+const SharedDocumentView = ({ token }) => {
+  const [passcode, setPasscode] = useState('');
+  const [passcodeRequired, setPasscodeRequired] = useState(false);
+  const [verification, setVerification] = useState(null);
+  const [link, setLink] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const openLink = useCallback(async (code) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await documentService.openSharedDocument(token, code || undefined);
+      setVerification(response.data.verification);
+      setLink(response.data.link);
+      setPasscodeRequired(false);
+    } catch (err) {
+      setPasscodeRequired(err.passcodeRequired);
+      // Only show the passcode error once the recipient has entered one
+      if (!err.passcodeRequired || code) {
+        setError(err.message);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    openLink();
+  }, [openLink]);
+
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      setError(null);
+
+      const blob = await documentService.downloadSharedDocument(token, passcode || undefined);
+      const url = window.URL.createObjectURL(blob);
+      const a = window.document.createElement('a');
+      a.href = url;
+      a.download = link.fileName || 'document';
+      window.document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      window.document.body.removeChild(a);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <Container maxWidth="lg" sx={{ py: 4 }}>
+      <Typography variant="h4" gutterBottom>
+        Shared Document
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError(null)}>
+          {error}
+        </Alert>
+      )}
+
+      {loading && (
+        <Box display="flex" justifyContent="center" py={8}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      {!loading && passcodeRequired && (
+        <Paper sx={{ p: 3, maxWidth: 420 }}>
+          <Box display="flex" alignItems="center" gap={1} mb={2}>
+            <LockIcon color="action" />
+            <Typography variant="h6">
+              This link is protected
+            </Typography>
+          </Box>
+          <Typography variant="body2" color="text.secondary" paragraph>
+            Enter the passcode you received from the document owner.
+          </Typography>
+          <Box display="flex" gap={2}>
+            <TextField
+              fullWidth
+              type="password"
+              label="Passcode"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && passcode && openLink(passcode)}
+            />
+            <Button
+              variant="contained"
+              onClick={() => openLink(passcode)}
+              disabled={!passcode}
+            >
+              Open
+            </Button>
+          </Box>
+        </Paper>
+      )}
+
+      {!loading && verification && (
+        <>
+          <Box display="flex" justifyContent="space-between" alignItems="center" mb={2}>
+            <Typography variant="body2" color="text.secondary">
+              {link.label ? `Shared with ${link.label} · ` : ''}
+              Link expires {new Date(link.expiresAt).toLocaleString()}
+            </Typography>
+            {link.allowDownload && (
+              <Button
+                variant="outlined"
+                onClick={handleDownload}
+                disabled={downloading}
+                startIcon={downloading ? <CircularProgress size={20} /> : <DownloadIcon />}
+              >
+                Download
+              </Button>
+            )}
+          </Box>
+          <VerificationResult result={verification} />
+        </>
+      )}
+    </Container>
+  );
+};
+
+export default SharedDocumentView;
@@ -32,6 +32,14 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import documentService from '../../services/documentService';
 
+const RESULT_FILTERS = [
+  { value: '', label: 'All' },
+  { value: 'authentic', label: 'Authentic' },
+  { value: 'tampered', label: 'Tampered' },
+  { value: 'not_found', label: 'Not found' },
+  { value: 'revoked', label: 'Revoked' },
+];
+
 const VerificationHistory = () => {
   const { user } = useAuth();
   const [verifications, setVerifications] = useState([]);
@@ -41,23 +49,33 @@ const VerificationHistory = () => {
   const [rowsPerPage, setRowsPerPage] = useState(10);
   const [totalCount, setTotalCount] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
+  const [resultFilter, setResultFilter] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [exporting, setExporting] = useState(false);
   const [selectedVerification, setSelectedVerification] = useState(null);
   const [auditDialogOpen, setAuditDialogOpen] = useState(false);
   const [auditData, setAuditData] = useState(null);
   const [auditLoading, setAuditLoading] = useState(false);
 
+  const buildParams = useCallback((search) => {
+    const params = { search: search.trim() };
+    if (resultFilter) params.result = resultFilter;
+    if (startDate) params.startDate = startDate;
+    if (endDate) params.endDate = `${endDate}T23:59:59.999Z`;
+    return params;
+  }, [resultFilter, startDate, endDate]);
+
   const fetchVerificationHistory = useCallback(async (pageNum = 0, search = '') => {
     try {
       setLoading(true);
       setError(null);
 
-      // Note: This endpoint would need to be implemented in the backend
-      // For now, we'll simulate the data structure
       const response = await documentService.api.get('/documents/verifications', {
         params: {
           page: pageNum + 1,
           limit: rowsPerPage,
-          search: search.trim(),
+          ...buildParams(search),
         }
       });
 
@@ -65,40 +83,13 @@ const VerificationHistory = () => {
       setTotalCount(response.data.data.totalCount || 0);
     } catch (err) {
       console.error('Failed to fetch verification history:', err);
-      setError('Failed to load verification history. This feature may not be fully implemented yet.');
-      
-      // Mock data for demonstration
-      const mockVerifications = [
-        {
-          verificationId: 'ver_001',
-          documentHash: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
-          timestamp: new Date(Date.now() - 86400000).toISOString(), // 1 day ago
-          isValid: true,
-          verifier: user?.walletAddress,
-          document: {
-            metadata: {
-              studentName: 'John Doe',
-              documentType: 'degree',
-              institutionName: 'Sample University'
-            }
-          }
-        },
-        {
-          verificationId: 'ver_002',
-          documentHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
-          timestamp: new Date(Date.now() - 172800000).toISOString(), // 2 days ago
-          isValid: false,
-          verifier: user?.walletAddress,
-          document: null
-        }
-      ];
-      
-      setVerifications(mockVerifications);
-      setTotalCount(mockVerifications.length);
+      setError(err.response?.data?.error || 'Failed to load verification history');
+      setVerifications([]);
+      setTotalCount(0);
     } finally {
       setLoading(false);
     }
-  }, [rowsPerPage, user?.walletAddress]);
+  }, [rowsPerPage, buildParams]);
 
   const fetchAuditTrail = useCallback(async (documentHash) => {
     try {
@@ -158,26 +149,39 @@ const VerificationHistory = () => {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
   };
 
-  const exportVerificationData = () => {
-    const csvContent = [
-      ['Verification ID', 'Document Hash', 'Timestamp', 'Status', 'Student Name', 'Document Type'].join(','),
-      ...verifications.map(v => [
-        v.verificationId,
-        v.documentHash,
-        v.timestamp,
-        v.isValid ? 'Valid' : 'Invalid',
-        v.document?.metadata?.studentName || 'N/A',
-        v.document?.metadata?.documentType || 'N/A'
-      ].join(','))
-    ].join('\n');
-
-    const blob = new Blob([csvContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `verification-history-${new Date().toISOString().split('T')[0]}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
+  const handleResultFilter = (result) => {
+    setResultFilter(result);
+    setPage(0);
+  };
+
+  const handleDateChange = (setter) => (event) => {
+    setter(event.target.value);
+    setPage(0);
+  };
+
+  // The server applies the same filters and builds the CSV from all matching entries,
+  // not just the current page
+  const exportVerificationData = async () => {
+    try {
+      setExporting(true);
+      const response = await documentService.api.get('/documents/verifications', {
+        params: { ...buildParams(searchTerm), format: 'csv' },
+        responseType: 'blob'
+      });
+
+      const blob = response.data instanceof Blob ? response.data : new Blob([response.data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `verification-history-${new Date().toISOString().split('T')[0]}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('Failed to export verification history:', err);
+      setError('Failed to export verification history');
+    } finally {
+      setExporting(false);
+    }
   };
 
   if (!user) {
@@ -196,7 +200,7 @@ const VerificationHistory = () => {
         </Typography>
         <Box sx={{ display: 'flex', gap: 1 }}>
           <Tooltip title="Export to CSV">
-            <IconButton onClick={exportVerificationData} disabled={verifications.length === 0}>
+            <IconButton onClick={exportVerificationData} disabled={totalCount === 0 || exporting}>
               <GetAppIcon />
             </IconButton>
           </Tooltip>
@@ -212,7 +216,7 @@ const VerificationHistory = () => {
         <Box sx={{ p: 2 }}>
           <TextField
             fullWidth
-            placeholder="Search by document hash, student name, or verification ID..."
+            placeholder="Search by document hash or student name..."
             value={searchTerm}
             onChange={handleSearch}
             InputProps={{
@@ -223,6 +227,34 @@ const VerificationHistory = () => {
               ),
             }}
           />
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1, mt: 2 }}>
+            {RESULT_FILTERS.map(({ value, label }) => (
+              <Chip
+                key={value || 'all'}
+                label={label}
+                color={resultFilter === value ? 'primary' : 'default'}
+                variant={resultFilter === value ? 'filled' : 'outlined'}
+                onClick={() => handleResultFilter(value)}
+              />
+            ))}
+            <Box sx={{ flexGrow: 1 }} />
+            <TextField
+              label="From"
+              type="date"
+              size="small"
+              value={startDate}
+              onChange={handleDateChange(setStartDate)}
+              InputLabelProps={{ shrink: true }}
+            />
+            <TextField
+              label="To"
+              type="date"
+              size="small"
+              value={endDate}
+              onChange={handleDateChange(setEndDate)}
+              InputLabelProps={{ shrink: true }}
+            />
+          </Box>
         </Box>
       </Paper>
 
@@ -2,35 +2,30 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import VerificationHistory from './VerificationHistory';
-import { AuthProvider } from '../../contexts/AuthContext';
+import { useAuth } from '../../contexts/AuthContext';
 import documentService from '../../services/documentService';
 
 // Mock the document service
 jest.mock('../../services/documentService');
 
+jest.mock('../../contexts/AuthContext', () => ({
+  useAuth: jest.fn(),
+  AuthProvider: ({ children }) => children
+}));
+
 const theme = createTheme();
 
-const MockAuthProvider = ({ children, user = null }) => {
-  const mockContextValue = {
+const renderWithProviders = (component, { user = null } = {}) => {
+  useAuth.mockReturnValue({
     user,
     isAuthenticated: !!user,
     login: jest.fn(),
     logout: jest.fn(),
-  };
-
-  return (
-    <AuthProvider value={mockContextValue}>
-      {children}
-    </AuthProvider>
-  );
-};
+  });
 
-const renderWithProviders = (component, { user = null } = {}) => {
   return render(
     <ThemeProvider theme={theme}>
-      <MockAuthProvider user={user}>
-        {component}
-      </MockAuthProvider>
+      {component}
     </ThemeProvider>
   );
 };
@@ -144,16 +139,52 @@ describe('VerificationHistory', () => {
     });
   });
 
-  it('handles API error and shows mock data', async () => {
-    documentService.api.get.mockRejectedValue(new Error('API Error'));
+  it('shows the API error without falling back to sample data', async () => {
+    documentService.api.get.mockRejectedValue({
+      response: { data: { error: 'Failed to retrieve verification history' } }
+    });
 
     renderWithProviders(<VerificationHistory />, { user: mockUser });
     
     await waitFor(() => {
-      expect(screen.getByText(/failed to load verification history/i)).toBeInTheDocument();
-      // Should still show mock data
+      expect(screen.getByText('Failed to retrieve verification history')).toBeInTheDocument();
+    });
+    expect(screen.getByText('No verification history found')).toBeInTheDocument();
+    expect(screen.queryByText('ver_001')).not.toBeInTheDocument();
+  });
+
+  it('sends result and date filters to the server', async () => {
+    documentService.api.get.mockResolvedValue({
+      data: {
+        data: {
+          verifications: mockVerifications,
+          totalCount: 2
+        }
+      }
+    });
+
+    renderWithProviders(<VerificationHistory />, { user: mockUser });
+
+    await waitFor(() => {
       expect(screen.getByText('ver_001')).toBeInTheDocument();
     });
+
+    fireEvent.click(screen.getByText('Tampered'));
+    fireEvent.change(screen.getByLabelText('From'), { target: { value: '2024-01-01' } });
+    fireEvent.change(screen.getByLabelText('To'), { target: { value: '2024-01-31' } });
+
+    await waitFor(() => {
+      expect(documentService.api.get).toHaveBeenLastCalledWith('/documents/verifications', {
+        params: {
+          page: 1,
+          limit: 10,
+          search: '',
+          result: 'tampered',
+          startDate: '2024-01-01',
+          endDate: '2024-01-31T23:59:59.999Z'
+        }
+      });
+    });
   });
 
   it('handles search functionality', async () => {
@@ -200,7 +231,7 @@ describe('VerificationHistory', () => {
     renderWithProviders(<VerificationHistory />, { user: mockUser });
     
     await waitFor(() => {
-      expect(screen.getByText('Verification History')).toBeInTheDocument();
+      expect(screen.getByText('ver_001')).toBeInTheDocument();
     });
 
     // Change page
@@ -239,7 +270,7 @@ describe('VerificationHistory', () => {
     fireEvent.click(viewButtons[0]);
 
     expect(screen.getByText('Verification Details')).toBeInTheDocument();
-    expect(screen.getByText('ver_001')).toBeInTheDocument();
+    expect(screen.getAllByText('ver_001')).toHaveLength(2);
   });
 
   it('opens audit trail dialog', async () => {
@@ -273,8 +304,8 @@ describe('VerificationHistory', () => {
     expect(screen.getByText('Document Audit Trail')).toBeInTheDocument();
 
     await waitFor(() => {
-      expect(screen.getByText('DOCUMENT_CREATED')).toBeInTheDocument();
-      expect(screen.getByText('BLOCKCHAIN_REGISTERED')).toBeInTheDocument();
+      expect(screen.getByText('DOCUMENT CREATED')).toBeInTheDocument();
+      expect(screen.getByText('BLOCKCHAIN REGISTERED')).toBeInTheDocument();
       expect(screen.getByText('5')).toBeInTheDocument(); // Verification count
       expect(screen.getByText('180 days')).toBeInTheDocument(); // Document age
     });
@@ -293,7 +324,7 @@ describe('VerificationHistory', () => {
     renderWithProviders(<VerificationHistory />, { user: mockUser });
     
     await waitFor(() => {
-      expect(screen.getByText('Verification History')).toBeInTheDocument();
+      expect(screen.getByText('ver_001')).toBeInTheDocument();
     });
 
     // Click refresh button
@@ -316,29 +347,43 @@ describe('VerificationHistory', () => {
       }
     });
 
+    renderWithProviders(<VerificationHistory />, { user: mockUser });
+    
+    await waitFor(() => {
+      expect(screen.getByText('ver_001')).toBeInTheDocument();
+    });
+
     // Mock URL.createObjectURL and related methods
     global.URL.createObjectURL = jest.fn(() => 'mock-url');
     global.URL.revokeObjectURL = jest.fn();
-    
+
     const mockClick = jest.fn();
     const mockAnchor = {
       href: '',
       download: '',
       click: mockClick
     };
-    jest.spyOn(document, 'createElement').mockReturnValue(mockAnchor);
-
-    renderWithProviders(<VerificationHistory />, { user: mockUser });
-    
-    await waitFor(() => {
-      expect(screen.getByText('Verification History')).toBeInTheDocument();
+    documentService.api.get.mockResolvedValueOnce({
+      data: new Blob(['Verification ID\nver_001'], { type: 'text/csv' })
     });
 
     // Click export button
     const exportButton = screen.getByRole('button', { name: /export to csv/i });
+    const createElement = document.createElement.bind(document);
+    const createElementSpy = jest.spyOn(document, 'createElement')
+      .mockImplementation((tagName, options) => (tagName === 'a' ? mockAnchor : createElement(tagName, options)));
     fireEvent.click(exportButton);
 
-    expect(mockClick).toHaveBeenCalled();
+    await waitFor(() => {
+      expect(mockClick).toHaveBeenCalled();
+    });
+    createElementSpy.mockRestore();
+
+    // The CSV is built by the server from every matching entry
+    expect(documentService.api.get).toHaveBeenLastCalledWith('/documents/verifications', {
+      params: { search: '', format: 'csv' },
+      responseType: 'blob'
+    });
     expect(mockAnchor.download).toContain('verification-history-');
     expect(mockAnchor.download).toContain('.csv');
   });
@@ -400,7 +445,7 @@ describe('VerificationHistory', () => {
     renderWithProviders(<VerificationHistory />, { user: mockUser });
     
     await waitFor(() => {
-      expect(screen.getByText('Verification History')).toBeInTheDocument();
+      expect(screen.getByText('ver_001')).toBeInTheDocument();
     });
 
     // Change rows per page
@@ -25,8 +25,30 @@ import {
   School as SchoolIcon,
   CalendarToday as CalendarTodayIcon,
   Verified as VerifiedIcon,
+  Block as BlockIcon,
+  History as HistoryIcon,
 } from '@mui/icons-material';
 
+// Human-readable explanations for the issuer's revocation reason codes
+const REVOCATION_REASONS = {
+  rescinded: {
+    label: 'Rescinded',
+    description: 'The issuer has withdrawn this document.'
+  },
+  superseded: {
+    label: 'Superseded',
+    description: 'This document has been replaced by a newer version.'
+  },
+  error: {
+    label: 'Issued in error',
+    description: 'The issuer has reported that this document was issued in error.'
+  },
+  fraud: {
+    label: 'Fraud',
+    description: 'The issuer has revoked this document because it was obtained fraudulently.'
+  }
+};
+
 const VerificationResult = ({ result }) => {
   const {
     isValid,
@@ -36,9 +58,16 @@ const VerificationResult = ({ result }) => {
     document,
     blockchain,
     fileIntegrity,
-    verificationId
+    verificationId,
+    revocation,
+    versions,
+    institution
   } = result;
 
+  const revocationReason = revocation
+    ? REVOCATION_REASONS[revocation.reasonCode] || { label: revocation.reasonCode, description: '' }
+    : null;
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleString();
   };
@@ -63,23 +92,125 @@ const VerificationResult = ({ result }) => {
       </Typography>
 
       {/* Overall Status */}
-      <Alert 
-        severity={isValid ? 'success' : 'error'} 
-        icon={getStatusIcon(isValid)}
-        sx={{ mb: 3, fontSize: '1.1rem' }}
-      >
-        <Typography variant="h6" component="div">
-          {isValid ? 'Document is AUTHENTIC' : 'Document verification FAILED'}
-        </Typography>
-        <Typography variant="body2">
-          {isValid 
-            ? 'This document has been verified as authentic and has not been tampered with.'
-            : 'This document could not be verified or may have been tampered with.'
-          }
-        </Typography>
-      </Alert>
+      {revocation ? (
+        <Alert
+          severity="error"
+          icon={<BlockIcon />}
+          sx={{ mb: 3, fontSize: '1.1rem' }}
+        >
+          <Typography variant="h6" component="div">
+            Document has been REVOKED
+          </Typography>
+          <Typography variant="body2">
+            {revocationReason.description || 'The issuer has revoked this document.'}
+          </Typography>
+        </Alert>
+      ) : (
+        <Alert 
+          severity={isValid ? 'success' : 'error'} 
+          icon={getStatusIcon(isValid)}
+          sx={{ mb: 3, fontSize: '1.1rem' }}
+        >
+          <Typography variant="h6" component="div">
+            {isValid ? 'Document is AUTHENTIC' : 'Document verification FAILED'}
+          </Typography>
+          <Typography variant="body2">
+            {isValid 
+              ? 'This document has been verified as authentic and has not been tampered with.'
+              : 'This document could not be verified or may have been tampered with.'
+            }
+          </Typography>
+        </Alert>
+      )}
+
+      {/* Newer Version Notice */}
+      {versions && !versions.isLatest && (
+        <Alert severity="warning" icon={<HistoryIcon />} sx={{ mb: 3 }}>
+          <Typography variant="subtitle1" component="div">
+            A newer version of this document exists
+          </Typography>
+          <Typography variant="body2">
+            This is version {versions.current}. The issuer has since registered version {versions.latestVersion}:
+          </Typography>
+          <Typography variant="body2" sx={{ wordBreak: 'break-all', fontFamily: 'monospace' }}>
+            {versions.latestHash}
+          </Typography>
+        </Alert>
+      )}
 
       <Grid container spacing={3}>
+        {/* Revocation Details */}
+        {revocation && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  <BlockIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+                  Revocation Details
+                </Typography>
+
+                <Grid container spacing={2}>
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Reason
+                    </Typography>
+                    <Chip label={revocationReason.label} color="error" size="small" />
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Effective Date
+                    </Typography>
+                    <Typography variant="body1">
+                      {formatDate(revocation.effectiveDate)}
+                    </Typography>
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Revoked By
+                    </Typography>
+                    <Typography variant="body1">
+                      {formatAddress(revocation.issuer)}
+                    </Typography>
+                  </Grid>
+
+                  <Grid item xs={12} sm={6} md={3}>
+                    <Typography variant="subtitle2" color="text.secondary">
+                      Recorded
+                    </Typography>
+                    <Typography variant="body1">
+                      {formatDate(revocation.revokedAt)}
+                    </Typography>
+                  </Grid>
+
+                  {revocation.supersededBy && (
+                    <Grid item xs={12}>
+                      <Typography variant="subtitle2" color="text.secondary">
+                        Superseded By
+                      </Typography>
+                      <Typography variant="body2" sx={{ wordBreak: 'break-all', fontFamily: 'monospace' }}>
+                        {revocation.supersededBy}
+                      </Typography>
+                    </Grid>
+                  )}
+
+                  {revocation.transactionHash && (
+                    <Grid item xs={12}>
+                      <Typography variant="subtitle2" color="text.secondary">
+                        Revocation Transaction
+                      </Typography>
+                      <Typography variant="body2" sx={{ wordBreak: 'break-all', fontFamily: 'monospace' }}>
+                        {revocation.transactionHash}
+                      </Typography>
+                    </Grid>
+                  )}
+                </Grid>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
         {/* Verification Summary */}
         <Grid item xs={12} md={6}>
           <Card>
@@ -235,8 +366,19 @@ const VerificationResult = ({ result }) => {
                       Institution
                     </Typography>
                     <Typography variant="body1">
-                      {document.metadata?.institutionName || 'N/A'}
+                      {institution?.name || document.metadata?.institutionName || 'N/A'}
                     </Typography>
+                    {institution?.verified ? (
+                      <Chip
+                        icon={<VerifiedIcon />}
+                        label={`Verified institution · ${institution.verifiedDomains.join(', ')}`}
+                        color="success"
+                        size="small"
+                        sx={{ mt: 0.5 }}
+                      />
+                    ) : institution && !institution.registered ? (
+                      <Chip label="Name given by the issuer" size="small" sx={{ mt: 0.5 }} />
+                    ) : null}
                   </Grid>
 
                   <Grid item xs={12} sm={6} md={3}>
@@ -316,6 +458,45 @@ const VerificationResult = ({ result }) => {
           </Grid>
         )}
 
+        {/* Version History */}
+        {versions && versions.chain?.length > 1 && (
+          <Grid item xs={12}>
+            <Card>
+              <CardContent>
+                <Typography variant="h6" gutterBottom>
+                  <HistoryIcon sx={{ mr: 1, verticalAlign: 'middle' }} />
+                  Version History
+                </Typography>
+
+                <List dense>
+                  {versions.chain.map((entry) => (
+                    <ListItem key={entry.documentHash}>
+                      <ListItemIcon>
+                        <Chip
+                          label={`v${entry.version}`}
+                          color={entry.documentHash === documentHash ? 'primary' : 'default'}
+                          size="small"
+                        />
+                      </ListItemIcon>
+                      <ListItemText
+                        primary={
+                          <Typography variant="body2" sx={{ wordBreak: 'break-all', fontFamily: 'monospace' }}>
+                            {entry.documentHash}
+                          </Typography>
+                        }
+                        secondary={entry.supersededAt
+                          ? `Superseded ${formatDate(entry.supersededAt)}`
+                          : 'Latest version'
+                        }
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              </CardContent>
+            </Card>
+          </Grid>
+        )}
+
         {/* Blockchain Details */}
         {blockchain && blockchain.transactionHash && (
           <Grid item xs={12}>
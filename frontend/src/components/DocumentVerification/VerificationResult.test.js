@@ -211,6 +211,85 @@ describe("VerificationResult", () => {
     ).toBeInTheDocument();
   });
 
+  it("explains why a revoked document is no longer valid", () => {
+    const revokedResult = {
+      ...mockInvalidResult,
+      revocation: {
+        documentHash: mockInvalidResult.documentHash,
+        issuer: "0x1111111111111111111111111111111111111111",
+        reasonCode: "superseded",
+        effectiveDate: "2024-01-10T00:00:00.000Z",
+        supersededBy:
+          "0xfedcba0987654321fedcba0987654321fedcba0987654321fedcba0987654321",
+        revokedAt: "2024-01-12T08:00:00.000Z",
+        transactionHash: null,
+      },
+    };
+
+    renderWithTheme(<VerificationResult result={revokedResult} />);
+
+    expect(screen.getByText("Document has been REVOKED")).toBeInTheDocument();
+    expect(screen.queryByText("Document verification FAILED")).not.toBeInTheDocument();
+    expect(screen.getByText(/replaced by a newer version/i)).toBeInTheDocument();
+    expect(screen.getByText("Superseded")).toBeInTheDocument();
+    expect(
+      screen.getByText(
+        "0xfedcba0987654321fedcba0987654321fedcba0987654321fedcba0987654321"
+      )
+    ).toBeInTheDocument();
+    expect(screen.queryByText("Revocation Transaction")).not.toBeInTheDocument();
+  });
+
+  it("points holders of an older copy to the latest version", () => {
+    const latestHash =
+      "0x9999999999999999999999999999999999999999999999999999999999999999";
+    const supersededResult = {
+      ...mockValidResult,
+      versions: {
+        current: 1,
+        isLatest: false,
+        latestHash,
+        latestVersion: 2,
+        supersededBy: latestHash,
+        previousHash: null,
+        chain: [
+          {
+            documentHash: mockValidResult.documentHash,
+            version: 1,
+            supersededAt: "2024-02-01T12:00:00.000Z",
+          },
+          { documentHash: latestHash, version: 2, supersededAt: null },
+        ],
+      },
+    };
+
+    renderWithTheme(<VerificationResult result={supersededResult} />);
+
+    expect(screen.getByText("A newer version of this document exists")).toBeInTheDocument();
+    expect(screen.getByText("Version History")).toBeInTheDocument();
+    expect(screen.getByText("v2")).toBeInTheDocument();
+    expect(screen.getByText("Latest version")).toBeInTheDocument();
+    expect(screen.getAllByText(latestHash)).toHaveLength(2);
+  });
+
+  it("shows the verified identity of the issuing institution", () => {
+    renderWithTheme(
+      <VerificationResult
+        result={{
+          ...mockValidResult,
+          institution: {
+            name: "Sample University",
+            registered: true,
+            verified: true,
+            verifiedDomains: ["sample.edu"],
+          },
+        }}
+      />
+    );
+
+    expect(screen.getByText("Verified institution · sample.edu")).toBeInTheDocument();
+  });
+
   it("handles edge cases with missing or undefined values", () => {
     const incompleteResult = {
       isValid: true,
@@ -2,4 +2,5 @@ export { default as DocumentVerification } from './DocumentVerification';
 export { default as FileUploadVerification } from './FileUploadVerification';
 export { default as QRCodeVerification } from './QRCodeVerification';
 export { default as VerificationResult } from './VerificationResult';
-export { default as VerificationHistory } from './VerificationHistory';
\ No newline at end of file
+export { default as VerificationHistory } from './VerificationHistory';
+export { default as SharedDocumentView } from './SharedDocumentView';
@@ -26,6 +26,7 @@ import {
   Description as FileIcon,
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL } from '../../utils/fileLimits';
 
 const BatchUploadModal = ({ open, onClose, onBatchUpload, commonMetadata }) => {
   const [files, setFiles] = useState([]);
@@ -35,7 +36,7 @@ const BatchUploadModal = ({ open, onClose, onBatchUpload, commonMetadata }) => {
 
   const onDrop = useCallback((acceptedFiles, rejectedFiles) => {
     if (rejectedFiles.length > 0) {
-      setError('Some files were rejected. Please ensure all files are valid documents under 10MB.');
+      setError(`Some files were rejected. Please ensure all files are valid documents under ${MAX_FILE_SIZE_LABEL}.`);
       return;
     }
 
@@ -58,7 +59,7 @@ const BatchUploadModal = ({ open, onClose, onBatchUpload, commonMetadata }) => {
       'image/jpeg': ['.jpg', '.jpeg'],
       'image/png': ['.png'],
     },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxSize: MAX_FILE_SIZE,
     multiple: true,
   });
 
@@ -245,7 +246,7 @@ const BatchUploadModal = ({ open, onClose, onBatchUpload, commonMetadata }) => {
               {isDragActive ? 'Drop files here' : 'Drag & drop files here or click to browse'}
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              Supported: PDF, DOC, DOCX, JPG, PNG (Max 10MB each)
+              Supported: PDF, DOC, DOCX, JPG, PNG (Max {MAX_FILE_SIZE_LABEL} each)
             </Typography>
           </Box>
         )}
@@ -21,6 +21,7 @@ import {
   Description as FileIcon,
 } from '@mui/icons-material';
 import { useDropzone } from 'react-dropzone';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL } from '../../utils/fileLimits';
 
 const DocumentUploadForm = ({ onSubmit, onCancel, loading = false }) => {
   const [file, setFile] = useState(null);
@@ -43,7 +44,7 @@ const DocumentUploadForm = ({ onSubmit, onCancel, loading = false }) => {
     if (rejectedFiles.length > 0) {
       const rejection = rejectedFiles[0];
       if (rejection.errors[0]?.code === 'file-too-large') {
-        setErrors({ file: 'File size must be less than 10MB' });
+        setErrors({ file: `File size must be less than ${MAX_FILE_SIZE_LABEL}` });
       } else if (rejection.errors[0]?.code === 'file-invalid-type') {
         setErrors({ file: 'Invalid file type. Please upload PDF, DOC, DOCX, or image files.' });
       } else {
@@ -67,7 +68,7 @@ const DocumentUploadForm = ({ onSubmit, onCancel, loading = false }) => {
       'image/jpeg': ['.jpg', '.jpeg'],
       'image/png': ['.png'],
     },
-    maxSize: 10 * 1024 * 1024, // 10MB
+    maxSize: MAX_FILE_SIZE,
     multiple: false,
   });
 
@@ -208,7 +209,7 @@ const DocumentUploadForm = ({ onSubmit, onCancel, loading = false }) => {
                 or click to browse files
               </Typography>
               <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 1 }}>
-                Supported formats: PDF, DOC, DOCX, JPG, PNG (Max 10MB)
+                Supported formats: PDF, DOC, DOCX, JPG, PNG (Max {MAX_FILE_SIZE_LABEL})
               </Typography>
             </Box>
           ) : (
@@ -29,6 +29,7 @@ import {
   Warning as WarningIcon,
   History as HistoryIcon,
   FilterList as FilterIcon,
+  Block as BlockIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import documentService from '../../services/documentService';
@@ -159,6 +160,8 @@ const AccessLogs = () => {
       case 'invalid':
       case 'tampered':
         return <ErrorIcon color="error" fontSize="small" />;
+      case 'revoked':
+        return <BlockIcon color="error" fontSize="small" />;
       case 'not_found':
         return <WarningIcon color="warning" fontSize="small" />;
       default:
@@ -173,6 +176,7 @@ const AccessLogs = () => {
         return 'success';
       case 'invalid':
       case 'tampered':
+      case 'revoked':
         return 'error';
       case 'not_found':
         return 'warning';
@@ -270,6 +274,7 @@ const AccessLogs = () => {
                       <MenuItem value="">All</MenuItem>
                       <MenuItem value="valid">Valid</MenuItem>
                       <MenuItem value="invalid">Invalid</MenuItem>
+                      <MenuItem value="revoked">Revoked</MenuItem>
                       <MenuItem value="not_found">Not Found</MenuItem>
                     </Select>
                   </FormControl>
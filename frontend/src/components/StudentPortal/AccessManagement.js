@@ -33,12 +33,15 @@ import {
   Person as PersonIcon,
   Visibility as ViewIcon,
   SwapHoriz as TransferIcon,
+  Link as LinkIcon,
+  LinkOff as LinkOffIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import documentService from '../../services/documentService';
+import clientEncryptionService from '../../services/clientEncryptionService';
 
 const AccessManagement = () => {
-  const { user } = useAuth();
+  const { user, wallet } = useAuth();
   const [documents, setDocuments] = useState([]);
   const [selectedDocument, setSelectedDocument] = useState(null);
   const [newViewerAddress, setNewViewerAddress] = useState('');
@@ -48,11 +51,48 @@ const AccessManagement = () => {
   const [success, setSuccess] = useState(null);
   const [transferDialogOpen, setTransferDialogOpen] = useState(false);
   const [transferAddress, setTransferAddress] = useState('');
+  const [shareLinks, setShareLinks] = useState([]);
 
   useEffect(() => {
     loadOwnedDocuments();
   }, []);
 
+  const selectedDocumentHash = selectedDocument?.documentHash;
+
+  useEffect(() => {
+    if (selectedDocumentHash) {
+      loadShareLinks(selectedDocumentHash);
+    } else {
+      setShareLinks([]);
+    }
+  }, [selectedDocumentHash]);
+
+  const loadShareLinks = async (documentHash) => {
+    try {
+      const response = await documentService.getShareLinks(documentHash);
+      setShareLinks(response.data.links);
+    } catch (err) {
+      console.error('Error loading share links:', err);
+      setShareLinks([]);
+    }
+  };
+
+  const handleRevokeShareLink = async (linkId) => {
+    try {
+      setActionLoading(true);
+      setError(null);
+
+      await documentService.revokeShareLink(selectedDocument.documentHash, linkId);
+      setSuccess('Share link revoked successfully');
+      await loadShareLinks(selectedDocument.documentHash);
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.message);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
   const loadOwnedDocuments = async () => {
     try {
       setLoading(true);
@@ -104,6 +144,11 @@ const AccessManagement = () => {
       setActionLoading(true);
       setError(null);
 
+      // Viewers of an end-to-end encrypted document need its key wrapped for them
+      const wrappedKey = selectedDocument.encryptionMode === 'client'
+        ? await clientEncryptionService.wrapKeyFor(selectedDocument.documentHash, newViewerAddress)
+        : undefined;
+
       const response = await fetch(
         `/api/documents/${selectedDocument.documentHash}/access/grant`,
         {
@@ -114,6 +159,7 @@ const AccessManagement = () => {
           },
           body: JSON.stringify({
             userAddress: newViewerAddress,
+            wrappedKey,
           }),
         }
       );
@@ -192,30 +238,37 @@ const AccessManagement = () => {
       return;
     }
 
+    if (!wallet?.signer) {
+      setError('Please connect your wallet to sign the transfer request');
+      return;
+    }
+
     try {
       setActionLoading(true);
       setError(null);
 
-      const response = await fetch(
-        `/api/documents/${selectedDocument.documentHash}/transfer`,
-        {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
-          },
-          body: JSON.stringify({
-            newOwner: transferAddress,
-          }),
-        }
+      // The current owner signs the transfer request with their wallet
+      const timestamp = Date.now();
+      const message = documentService.generateTransferMessage(
+        selectedDocument.documentHash,
+        selectedDocument.access.owner,
+        transferAddress,
+        timestamp
       );
+      const signature = await wallet.signer.signMessage(message);
 
-      const data = await response.json();
+      const data = await documentService.transferDocument(
+        selectedDocument.documentHash,
+        transferAddress,
+        signature,
+        timestamp
+      );
 
-      if (response.ok && data.success) {
+      if (data.success) {
         setSuccess('Ownership transferred successfully');
         setTransferAddress('');
         setTransferDialogOpen(false);
+        setSelectedDocument(null);
         await loadOwnedDocuments();
       } else {
         throw new Error(data.error || 'Failed to transfer ownership');
@@ -437,6 +490,60 @@ const AccessManagement = () => {
 
                 <Divider sx={{ my: 2 }} />
 
+                {/* Anonymous Share Links */}
+                <Typography variant="subtitle1" gutterBottom>
+                  Share Links
+                </Typography>
+
+                <List dense>
+                  {shareLinks.length > 0 ? (
+                    shareLinks.map((link) => (
+                      <ListItem key={link.linkId}>
+                        <ListItemText
+                          primary={
+                            <Box display="flex" alignItems="center" gap={1}>
+                              <LinkIcon fontSize="small" />
+                              <Typography variant="body2">
+                                {link.label || 'Unnamed link'}
+                              </Typography>
+                              <Chip
+                                label={link.isActive ? 'Active' : link.revokedAt ? 'Revoked' : 'Expired'}
+                                color={link.isActive ? 'success' : 'default'}
+                                size="small"
+                              />
+                              {link.hasPasscode && <Chip label="Passcode" size="small" variant="outlined" />}
+                              {link.allowDownload && <Chip label="Download" size="small" variant="outlined" />}
+                            </Box>
+                          }
+                          secondary={`Expires ${new Date(link.expiresAt).toLocaleString()} · opened ${link.accessCount} times`}
+                        />
+                        {link.isActive && (
+                          <ListItemSecondaryAction>
+                            <Tooltip title="Revoke link">
+                              <IconButton
+                                edge="end"
+                                onClick={() => handleRevokeShareLink(link.linkId)}
+                                disabled={actionLoading}
+                                size="small"
+                              >
+                                <LinkOffIcon />
+                              </IconButton>
+                            </Tooltip>
+                          </ListItemSecondaryAction>
+                        )}
+                      </ListItem>
+                    ))
+                  ) : (
+                    <ListItem>
+                      <ListItemText
+                        secondary="No share links have been created for this document"
+                      />
+                    </ListItem>
+                  )}
+                </List>
+
+                <Divider sx={{ my: 2 }} />
+
                 {/* Transfer Ownership */}
                 <Box>
                   <Typography variant="subtitle1" gutterBottom>
@@ -29,11 +29,44 @@ import {
   Link as LinkIcon,
   QrCode as QrCodeIcon,
   OpenInNew as OpenInNewIcon,
+  Lock as LockIcon,
 } from '@mui/icons-material';
 import { QRCodeSVG } from 'qrcode.react';
+import clientEncryptionService from '../../services/clientEncryptionService';
 
 const DocumentViewer = ({ document, onDownload }) => {
   const [showQR, setShowQR] = useState(false);
+  const [decrypting, setDecrypting] = useState(false);
+  const [downloadError, setDownloadError] = useState(null);
+  const endToEnd = document.encryptionMode === 'client';
+
+  // End-to-end encrypted documents are decrypted here with the key wrapped for this wallet;
+  // the server only has the ciphertext
+  const handleDownload = async () => {
+    if (!endToEnd) {
+      onDownload(document);
+      return;
+    }
+
+    setDecrypting(true);
+    setDownloadError(null);
+    try {
+      const blob = await clientEncryptionService.downloadDocument(document);
+      const url = window.URL.createObjectURL(blob);
+      const a = window.document.createElement('a');
+      a.href = url;
+      a.download = document.fileInfo?.originalName || 'document';
+      window.document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      window.document.body.removeChild(a);
+    } catch (err) {
+      console.error('Decryption error:', err);
+      setDownloadError(err.message);
+    } finally {
+      setDecrypting(false);
+    }
+  };
 
   const getStatusIcon = (status) => {
     switch (status) {
@@ -113,6 +146,11 @@ const DocumentViewer = ({ document, onDownload }) => {
               size="small"
             />
           </Box>
+          {endToEnd && (
+            <Box ml={1}>
+              <Chip icon={<LockIcon />} label="END-TO-END ENCRYPTED" size="small" variant="outlined" />
+            </Box>
+          )}
         </Box>
         
         {document.status === 'blockchain_stored' && (
@@ -385,14 +423,20 @@ const DocumentViewer = ({ document, onDownload }) => {
               <Typography variant="h6" gutterBottom>
                 Actions
               </Typography>
+              {downloadError && (
+                <Alert severity="error" sx={{ mb: 2 }} onClose={() => setDownloadError(null)}>
+                  {downloadError}
+                </Alert>
+              )}
               <Box display="flex" gap={2} flexWrap="wrap">
                 {document.status === 'blockchain_stored' && onDownload && (
                   <Button
                     variant="contained"
                     startIcon={<DownloadIcon />}
-                    onClick={() => onDownload(document)}
+                    onClick={handleDownload}
+                    disabled={decrypting}
                   >
-                    Download Document
+                    {decrypting ? 'Decrypting...' : 'Download Document'}
                   </Button>
                 )}
                 
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import documentService from '../../services/documentService';
+import IssuerApplicationForm from './IssuerApplicationForm';
 
 const EnhancedStudentPortal = ({ user, onLogout, backendStatus }) => {
   const [currentTab, setCurrentTab] = useState('documents');
@@ -760,7 +761,8 @@ const EnhancedStudentPortal = ({ user, onLogout, backendStatus }) => {
               { id: 'documents', label: '📄 My Documents', icon: '📄' },
               { id: 'upload', label: '📤 Upload Documents', icon: '📤' },
               { id: 'verify', label: '🔍 Verify Documents', icon: '🔍' },
-              { id: 'profile', label: '👤 Profile', icon: '👤' }
+              { id: 'profile', label: '👤 Profile', icon: '👤' },
+              { id: 'issuer', label: '🏛️ Become an Issuer', icon: '🏛️' }
             ].map(tab => (
               <button
                 key={tab.id}
@@ -823,6 +825,8 @@ const EnhancedStudentPortal = ({ user, onLogout, backendStatus }) => {
           )}
           
           {currentTab === 'profile' && renderProfile()}
+
+          {currentTab === 'issuer' && <IssuerApplicationForm />}
         </div>
       </div>
     </div>
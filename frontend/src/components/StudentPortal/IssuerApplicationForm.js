@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import documentService from '../../services/documentService';
+
+// Matches the limits of POST /api/issuer-applications
+const MAX_SUPPORTING_DOCUMENTS = 5;
+
+const EMPTY_FORM = {
+  organizationName: '',
+  organizationDomain: '',
+  organizationWebsite: '',
+  organizationDescription: '',
+  contactName: '',
+  contactEmail: '',
+  contactPhone: ''
+};
+
+const STATUS_COLORS = {
+  pending: '#ffc107',
+  approved: '#28a745',
+  rejected: '#dc3545'
+};
+
+const STATUS_LABELS = {
+  pending: 'Waiting for review',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const cardStyle = {
+  backgroundColor: 'white',
+  padding: '25px',
+  borderRadius: '12px',
+  boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
+  marginBottom: '20px'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px',
+  border: '1px solid #ddd',
+  borderRadius: '6px',
+  fontSize: '14px',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '5px',
+  fontWeight: 'bold',
+  color: '#333'
+};
+
+const IssuerApplicationForm = () => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [files, setFiles] = useState([]);
+  const [applications, setApplications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const loadApplications = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await documentService.getMyIssuerApplications();
+      setApplications(response.data?.applications || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApplications();
+  }, [loadApplications]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(current => ({ ...current, [name]: value }));
+  };
+
+  const handleFiles = (e) => {
+    const selected = Array.from(e.target.files || []);
+    if (selected.length > MAX_SUPPORTING_DOCUMENTS) {
+      setError(`At most ${MAX_SUPPORTING_DOCUMENTS} supporting documents are allowed`);
+      return;
+    }
+    setError(null);
+    setFiles(selected);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      setMessage(null);
+      const response = await documentService.submitIssuerApplication(form, files);
+      setApplications(current => [response.data.application, ...current]);
+      setForm(EMPTY_FORM);
+      setFiles([]);
+      setMessage('Application submitted. An administrator will review it.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const hasPending = applications.some(application => application.status === 'pending');
+
+  const field = (name, label, props = {}) => (
+    <div style={{ marginBottom: '15px' }}>
+      <label htmlFor={`issuer-application-${name}`} style={labelStyle}>{label}</label>
+      <input
+        id={`issuer-application-${name}`}
+        name={name}
+        value={form[name]}
+        onChange={handleChange}
+        style={inputStyle}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div>
+      <h2 style={{ margin: '0 0 20px 0', color: '#333' }}>🏛️ Become an Issuer</h2>
+
+      {error && (
+        <div role="alert" style={{ ...cardStyle, padding: '15px', backgroundColor: '#f8d7da', color: '#721c24' }}>
+          {error}
+        </div>
+      )}
+      {message && (
+        <div role="status" style={{ ...cardStyle, padding: '15px', backgroundColor: '#d4edda', color: '#155724' }}>
+          {message}
+        </div>
+      )}
+
+      {loading ? (
+        <p style={{ color: '#666' }}>Loading your applications...</p>
+      ) : applications.length > 0 && (
+        <div style={cardStyle}>
+          <h3 style={{ margin: '0 0 15px 0', color: '#333' }}>Your applications</h3>
+          {applications.map(application => (
+            <div key={application._id} style={{ padding: '10px 0', borderBottom: '1px solid #eee' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <strong>{application.organization.name}</strong>
+                <span style={{
+                  padding: '4px 12px',
+                  backgroundColor: STATUS_COLORS[application.status],
+                  color: application.status === 'pending' ? '#000' : 'white',
+                  borderRadius: '12px',
+                  fontSize: '12px',
+                  fontWeight: 'bold'
+                }}>
+                  {STATUS_LABELS[application.status]}
+                </span>
+              </div>
+              <p style={{ margin: '5px 0 0 0', fontSize: '12px', color: '#666' }}>
+                Submitted {new Date(application.createdAt).toLocaleString()}
+              </p>
+              {application.review?.comments && (
+                <p style={{ margin: '5px 0 0 0', color: '#666' }}>“{application.review.comments}”</p>
+              )}
+              {application.status === 'approved' && (
+                <p style={{ margin: '5px 0 0 0', color: '#333' }}>
+                  Sign out and sign in again to start issuing documents.
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!loading && !hasPending && (
+        <form onSubmit={handleSubmit} style={cardStyle}>
+          <p style={{ margin: '0 0 20px 0', color: '#666' }}>
+            Institutions apply for the issuer role with this wallet. An administrator checks the
+            organization and its supporting documents before the wallet can issue documents.
+          </p>
+
+          {field('organizationName', 'Organization name *', { required: true, minLength: 2, maxLength: 200 })}
+          {field('organizationDomain', 'Organization domain *', { required: true, placeholder: 'university.edu' })}
+          {field('organizationWebsite', 'Website', { type: 'url', placeholder: 'https://university.edu' })}
+
+          <div style={{ marginBottom: '15px' }}>
+            <label htmlFor="issuer-application-organizationDescription" style={labelStyle}>Description</label>
+            <textarea
+              id="issuer-application-organizationDescription"
+              name="organizationDescription"
+              value={form.organizationDescription}
+              onChange={handleChange}
+              maxLength={2000}
+              rows={3}
+              style={inputStyle}
+            />
+          </div>
+
+          {field('contactName', 'Contact name *', { required: true, minLength: 2, maxLength: 100 })}
+          {field('contactEmail', 'Contact email *', { required: true, type: 'email' })}
+          {field('contactPhone', 'Contact phone', { type: 'tel' })}
+
+          <div style={{ marginBottom: '20px' }}>
+            <label htmlFor="issuer-application-supportingDocuments" style={labelStyle}>
+              Supporting documents (accreditation, registration certificate; up to {MAX_SUPPORTING_DOCUMENTS})
+            </label>
+            <input
+              id="issuer-application-supportingDocuments"
+              type="file"
+              multiple
+              onChange={handleFiles}
+              accept=".pdf,.jpg,.jpeg,.png,.doc,.docx"
+              style={inputStyle}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting}
+            style={{
+              padding: '12px 24px',
+              backgroundColor: submitting ? '#ccc' : '#28a745',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              cursor: submitting ? 'not-allowed' : 'pointer',
+              fontSize: '16px'
+            }}
+          >
+            {submitting ? 'Submitting...' : 'Submit application'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default IssuerApplicationForm;
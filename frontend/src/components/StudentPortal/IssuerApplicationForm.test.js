@@ -0,0 +1,90 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import IssuerApplicationForm from './IssuerApplicationForm';
+import documentService from '../../services/documentService';
+
+jest.mock('../../services/documentService', () => ({
+  getMyIssuerApplications: jest.fn(),
+  submitIssuerApplication: jest.fn()
+}));
+
+const application = (status, review) => ({
+  _id: 'application-1',
+  walletAddress: '0x1111111111111111111111111111111111111111',
+  organization: { name: 'Example University', domain: 'example.edu' },
+  contact: { name: 'Registrar Office', email: 'registrar@example.edu' },
+  supportingDocuments: [],
+  status,
+  review,
+  createdAt: '2026-01-01T00:00:00.000Z'
+});
+
+const fillRequiredFields = () => {
+  fireEvent.change(screen.getByLabelText('Organization name *'), { target: { value: 'Example University' } });
+  fireEvent.change(screen.getByLabelText('Organization domain *'), { target: { value: 'example.edu' } });
+  fireEvent.change(screen.getByLabelText('Contact name *'), { target: { value: 'Registrar Office' } });
+  fireEvent.change(screen.getByLabelText('Contact email *'), { target: { value: 'registrar@example.edu' } });
+};
+
+describe('IssuerApplicationForm Component', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    documentService.getMyIssuerApplications.mockResolvedValue({
+      success: true,
+      data: { applications: [] }
+    });
+  });
+
+  test('submits an application with supporting documents', async () => {
+    documentService.submitIssuerApplication.mockResolvedValue({
+      success: true,
+      data: { application: application('pending') }
+    });
+    const file = new File(['accreditation'], 'accreditation.pdf', { type: 'application/pdf' });
+
+    render(<IssuerApplicationForm />);
+    await screen.findByText('Submit application');
+    fillRequiredFields();
+    fireEvent.change(screen.getByLabelText(/Supporting documents/), { target: { files: [file] } });
+    fireEvent.click(screen.getByText('Submit application'));
+
+    expect(await screen.findByText(/Application submitted/)).toBeInTheDocument();
+    expect(documentService.submitIssuerApplication).toHaveBeenCalledWith(
+      expect.objectContaining({
+        organizationName: 'Example University',
+        organizationDomain: 'example.edu',
+        contactName: 'Registrar Office',
+        contactEmail: 'registrar@example.edu'
+      }),
+      [file]
+    );
+    expect(screen.getByText('Waiting for review')).toBeInTheDocument();
+    expect(screen.queryByText('Submit application')).not.toBeInTheDocument();
+  });
+
+  test('shows the server error when the submission is refused', async () => {
+    documentService.submitIssuerApplication.mockRejectedValue(
+      new Error('Organization domain must be a domain name, e.g. university.edu')
+    );
+
+    render(<IssuerApplicationForm />);
+    await screen.findByText('Submit application');
+    fillRequiredFields();
+    fireEvent.click(screen.getByText('Submit application'));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Organization domain must be a domain name');
+  });
+
+  test('shows the review outcome and allows a new application after a rejection', async () => {
+    documentService.getMyIssuerApplications.mockResolvedValue({
+      success: true,
+      data: { applications: [application('rejected', { comments: 'Accreditation is missing' })] }
+    });
+
+    render(<IssuerApplicationForm />);
+
+    expect(await screen.findByText('Rejected')).toBeInTheDocument();
+    expect(screen.getByText(/Accreditation is missing/)).toBeInTheDocument();
+    expect(screen.getByText('Submit application')).toBeInTheDocument();
+  });
+});
@@ -34,9 +34,11 @@ import {
   Error as ErrorIcon,
   Description as DocumentIcon,
   QrCode as QrCodeIcon,
+  WorkspacePremium as CredentialIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import documentService from '../../services/documentService';
+import clientEncryptionService from '../../services/clientEncryptionService';
 import DocumentViewer from './DocumentViewer';
 import DocumentShare from '../Dashboard/DocumentShare';
 
@@ -114,29 +116,42 @@ const MyDocuments = () => {
   const handleDownload = async (document) => {
     try {
       setError(null);
-      const response = await fetch(`/api/documents/${document.documentHash}/download`, {
-        method: 'GET',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('authToken')}`,
-        },
-      });
+      // End-to-end encrypted documents are decrypted in the browser
+      const blob = document.encryptionMode === 'client'
+        ? await clientEncryptionService.downloadDocument(document)
+        : await documentService.downloadDocument(document.documentHash);
 
-      if (response.ok) {
-        const blob = await response.blob();
-        const url = window.URL.createObjectURL(blob);
-        const a = window.document.createElement('a');
-        a.href = url;
-        a.download = document.fileInfo.originalName || 'document';
-        window.document.body.appendChild(a);
-        a.click();
-        window.URL.revokeObjectURL(url);
-        window.document.body.removeChild(a);
-      } else {
-        throw new Error('Download failed');
-      }
+      const url = window.URL.createObjectURL(blob);
+      const a = window.document.createElement('a');
+      a.href = url;
+      a.download = document.fileInfo.originalName || 'document';
+      window.document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      window.document.body.removeChild(a);
     } catch (err) {
       console.error('Download error:', err);
-      setError('Failed to download document');
+      setError(err.message || 'Failed to download document');
+    }
+  };
+
+  const handleExportCredential = async (document) => {
+    try {
+      setError(null);
+      const response = await documentService.exportCredential(document.documentHash);
+
+      const blob = new Blob([response.data.jwt], { type: 'application/vc+jwt' });
+      const url = window.URL.createObjectURL(blob);
+      const a = window.document.createElement('a');
+      a.href = url;
+      a.download = `credential-${document.documentHash.slice(2, 10)}.jwt`;
+      window.document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      window.document.body.removeChild(a);
+    } catch (err) {
+      console.error('Credential export error:', err);
+      setError(err.message);
     }
   };
 
@@ -337,6 +352,17 @@ const MyDocuments = () => {
                     </Tooltip>
                   )}
                   
+                  {document.status === 'blockchain_stored' && isOwner(document) && (
+                    <Tooltip title="Export Verifiable Credential">
+                      <IconButton
+                        size="small"
+                        onClick={() => handleExportCredential(document)}
+                      >
+                        <CredentialIcon />
+                      </IconButton>
+                    </Tooltip>
+                  )}
+                  
                   {isOwner(document) && (
                     <Tooltip title="Share & Manage Access">
                       <IconButton
@@ -19,8 +19,10 @@ import {
   Save,
   Cancel,
   AccountBalanceWallet,
+  Lock,
 } from '@mui/icons-material';
 import authService from '../../services/authService';
+import clientEncryptionService from '../../services/clientEncryptionService';
 
 const UserProfile = ({ user: initialUser, onProfileUpdate }) => {
   const [user, setUser] = useState(initialUser);
@@ -53,6 +55,23 @@ const UserProfile = ({ user: initialUser, onProfileUpdate }) => {
     }));
   };
 
+  // Registers the public key others wrap end-to-end encrypted documents for
+  const handleEnableEncryption = async () => {
+    setIsLoading(true);
+    setError(null);
+    setSuccess(null);
+
+    try {
+      const { encryptionKey } = await clientEncryptionService.unlock();
+      setUser(prev => ({ ...prev, encryptionPublicKey: encryptionKey.publicKey }));
+      setSuccess('End-to-end encryption enabled');
+    } catch (err) {
+      setError(err.message || 'Failed to enable end-to-end encryption');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleEdit = () => {
     setIsEditing(true);
     setError(null);
@@ -216,6 +235,26 @@ const UserProfile = ({ user: initialUser, onProfileUpdate }) => {
             )}
           </Grid>
 
+          {/* End-to-end Encryption */}
+          <Grid item xs={12}>
+            <Box display="flex" alignItems="center" mb={1}>
+              <Lock sx={{ mr: 1 }} />
+              <Typography variant="h6">End-to-end Encryption</Typography>
+            </Box>
+            {user.encryptionPublicKey ? (
+              <Chip label="Enabled" color="success" size="small" />
+            ) : (
+              <Box display="flex" alignItems="center" gap={2}>
+                <Typography variant="body2" color="text.secondary">
+                  Sign a message with your wallet so documents can be encrypted for you.
+                </Typography>
+                <Button variant="outlined" onClick={handleEnableEncryption} disabled={isLoading}>
+                  Enable
+                </Button>
+              </Box>
+            )}
+          </Grid>
+
           <Grid item xs={12}>
             <Divider />
           </Grid>
@@ -13,11 +13,6 @@ import {
   Chip,
   IconButton,
   Tooltip,
-  FormControl,
-  FormLabel,
-  RadioGroup,
-  FormControlLabel,
-  Radio,
 } from '@mui/material';
 import {
   AccountBalanceWallet,
@@ -26,8 +21,6 @@ import {
   Refresh,
   ContentCopy,
   CheckCircle,
-  AdminPanelSettings,
-  School,
 } from '@mui/icons-material';
 import { useWeb3Modal } from '@web3modal/wagmi/react';
 import useMultiWallet from '../../hooks/useMultiWallet';
@@ -41,6 +34,7 @@ const MultiWalletConnect = ({ onAuthSuccess, onAuthError }) => {
     isConnecting,
     error: walletError,
     isConnected,
+    chainId,
     connectionType,
     connectWithMagic,
     disconnectWallet,
@@ -54,7 +48,6 @@ const MultiWalletConnect = ({ onAuthSuccess, onAuthError }) => {
   const [authError, setAuthError] = useState(null);
   const [user, setUser] = useState(null);
   const [copied, setCopied] = useState(false);
-  const [selectedRole, setSelectedRole] = useState('student');
 
   // Handle WalletConnect button
   const handleWalletConnect = async () => {
@@ -102,8 +95,9 @@ const MultiWalletConnect = ({ onAuthSuccess, onAuthError }) => {
         signMessage: signMessage
       };
 
-      // Use the new authenticateWallet method with selected role
-      const authResponse = await authService.authenticateWallet(account, signer, selectedRole);
+      // New wallets sign in as students; issuer and admin roles are granted by an admin.
+      // The signer has no provider, so the login message uses the wallet's chain from the hook
+      const authResponse = await authService.authenticateWallet(account, signer, 'student', chainId);
 
       setUser(authResponse.user);
       onAuthSuccess?.(authResponse.user);
@@ -153,49 +147,10 @@ const MultiWalletConnect = ({ onAuthSuccess, onAuthError }) => {
 
         {!isConnected ? (
           <Stack spacing={3}>
-            {/* Role Selection */}
-            <FormControl component="fieldset">
-              <FormLabel component="legend" sx={{ mb: 1 }}>
-                Select Your Role
-              </FormLabel>
-              <RadioGroup
-                value={selectedRole}
-                onChange={(e) => setSelectedRole(e.target.value)}
-              >
-                <FormControlLabel
-                  value="admin"
-                  control={<Radio />}
-                  label={
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      <AdminPanelSettings fontSize="small" />
-                      <Box>
-                        <Typography variant="body2">Admin</Typography>
-                        <Typography variant="caption" color="text.secondary">
-                          Can upload and manage documents
-                        </Typography>
-                      </Box>
-                    </Box>
-                  }
-                />
-                <FormControlLabel
-                  value="student"
-                  control={<Radio />}
-                  label={
-                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                      <School fontSize="small" />
-                      <Box>
-                        <Typography variant="body2">Student</Typography>
-                        <Typography variant="caption" color="text.secondary">
-                          Can view and verify documents only
-                        </Typography>
-                      </Box>
-                    </Box>
-                  }
-                />
-              </RadioGroup>
-            </FormControl>
-
-            <Divider />
+            <Alert severity="info">
+              New wallets sign in as students. Institutions can apply to issue documents
+              from the student portal once signed in.
+            </Alert>
 
             {/* WalletConnect Option */}
             <Box>
@@ -23,9 +23,14 @@ import {
   OpenInNew,
 } from '@mui/icons-material';
 import { getExplorerUrl } from '../../utils/networks';
+import documentService from '../../services/documentService';
+
+// How often a transaction sent by the backend is re-checked while pending
+const TRACKED_POLL_INTERVAL_MS = 5000;
 
 const TransactionStatus = ({ 
   transaction, 
+  documentHash,
   chainId, 
   open, 
   onClose,
@@ -34,6 +39,7 @@ const TransactionStatus = ({
   const [status, setStatus] = useState('pending');
   const [confirmations, setConfirmations] = useState(0);
   const [error, setError] = useState(null);
+  const [tracked, setTracked] = useState(null);
 
   useEffect(() => {
     if (!transaction || !open) return;
@@ -99,6 +105,53 @@ const TransactionStatus = ({
     };
   }, [transaction, open, requiredConfirmations]);
 
+  // Registrations are sent by the backend, which may replace a stuck transaction with
+  // a higher-fee one; follow the document's latest tracked transaction instead
+  useEffect(() => {
+    if (!documentHash || !open) return;
+
+    let isMounted = true;
+    let timeoutId;
+
+    const checkTrackedTransaction = async () => {
+      try {
+        const response = await documentService.getDocumentTransactions(documentHash);
+        const latest = response.data?.transactions?.[0];
+        if (!isMounted) return;
+
+        if (latest) {
+          setTracked(latest);
+
+          if (latest.status === 'confirmed') {
+            // The tracker settles on the first block, so further confirmations are not followed
+            setStatus(requiredConfirmations <= 1 ? 'finalized' : 'confirmed');
+            setConfirmations(1);
+            return;
+          }
+          if (latest.status === 'failed') {
+            setStatus('failed');
+            setError(latest.error || 'Transaction failed');
+            return;
+          }
+        }
+
+        timeoutId = setTimeout(checkTrackedTransaction, TRACKED_POLL_INTERVAL_MS);
+      } catch (err) {
+        console.error('Error checking tracked transaction:', err);
+        if (isMounted) {
+          timeoutId = setTimeout(checkTrackedTransaction, TRACKED_POLL_INTERVAL_MS);
+        }
+      }
+    };
+
+    checkTrackedTransaction();
+
+    return () => {
+      isMounted = false;
+      clearTimeout(timeoutId);
+    };
+  }, [documentHash, open, requiredConfirmations]);
+
   const getStatusIcon = () => {
     switch (status) {
       case 'pending':
@@ -143,7 +196,8 @@ const TransactionStatus = ({
     }
   };
 
-  const explorerUrl = transaction?.hash ? getExplorerUrl(transaction.hash, chainId) : null;
+  const transactionHash = tracked?.hash || transaction?.hash;
+  const explorerUrl = transactionHash ? getExplorerUrl(transactionHash, chainId) : null;
 
   const steps = [
     {
@@ -192,13 +246,20 @@ const TransactionStatus = ({
           </Box>
         )}
 
-        {transaction?.hash && (
+        {tracked?.replacements > 0 && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            The network was slow to pick up this transaction, so it was resubmitted with a higher
+            fee {tracked.replacements} time{tracked.replacements > 1 ? 's' : ''}.
+          </Alert>
+        )}
+
+        {transactionHash && (
           <Box sx={{ mb: 2 }}>
             <Typography variant="body2" color="text.secondary" gutterBottom>
               Transaction Hash:
             </Typography>
             <Typography variant="body2" fontFamily="monospace" sx={{ wordBreak: 'break-all' }}>
-              {transaction.hash}
+              {transactionHash}
             </Typography>
             {explorerUrl && (
               <Link
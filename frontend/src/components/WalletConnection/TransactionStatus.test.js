@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import TransactionStatus from './TransactionStatus';
+import documentService from '../../services/documentService';
+
+jest.mock('../../services/documentService', () => ({
+  getDocumentTransactions: jest.fn()
+}));
+
+const DOCUMENT_HASH = '0x1234567890123456789012345678901234567890123456789012345678901234';
+const ORIGINAL_HASH = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const REPLACEMENT_HASH = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+const trackedTransaction = (overrides = {}) => ({
+  data: {
+    documentStatus: 'pending',
+    transactions: [{
+      hash: REPLACEMENT_HASH,
+      status: 'pending',
+      method: 'registerDocument',
+      replacements: 1,
+      submissions: [{ hash: ORIGINAL_HASH }, { hash: REPLACEMENT_HASH }],
+      ...overrides
+    }]
+  }
+});
+
+describe('TransactionStatus', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should show the latest hash of a transaction replaced by the backend', async () => {
+    documentService.getDocumentTransactions.mockResolvedValue(trackedTransaction());
+
+    render(<TransactionStatus open documentHash={DOCUMENT_HASH} onClose={jest.fn()} />);
+
+    expect(await screen.findByText(REPLACEMENT_HASH)).toBeInTheDocument();
+    expect(screen.getByText(/resubmitted with a higher\s+fee 1 time\./)).toBeInTheDocument();
+    expect(screen.getByText('Pending')).toBeInTheDocument();
+    expect(documentService.getDocumentTransactions).toHaveBeenCalledWith(DOCUMENT_HASH);
+  });
+
+  it('should finish once the tracked transaction is confirmed', async () => {
+    documentService.getDocumentTransactions.mockResolvedValue(
+      trackedTransaction({ status: 'confirmed', replacements: 0, blockNumber: 42 })
+    );
+
+    render(<TransactionStatus open documentHash={DOCUMENT_HASH} onClose={jest.fn()} requiredConfirmations={1} />);
+
+    expect(await screen.findByText('Finalized')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Close' })).toBeEnabled();
+  });
+
+  it('should show why a tracked transaction failed', async () => {
+    documentService.getDocumentTransactions.mockResolvedValue(
+      trackedTransaction({ status: 'failed', error: 'Nonce was used by another transaction' })
+    );
+
+    render(<TransactionStatus open documentHash={DOCUMENT_HASH} onClose={jest.fn()} />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Nonce was used by another transaction')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Failed')).toBeInTheDocument();
+  });
+});
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useAccount, useDisconnect, useSignMessage } from 'wagmi';
 import { Magic } from 'magic-sdk';
 import { ethers } from 'ethers';
+import { sepolia } from 'wagmi/chains';
 import { magicApiKey } from '../config/walletConfig';
 
 // Initialize Magic
@@ -11,10 +12,11 @@ if (typeof window !== 'undefined' && magicApiKey !== 'YOUR_MAGIC_API_KEY') {
     network: 'sepolia'
   });
 }
+const MAGIC_CHAIN_ID = sepolia.id;
 
 const useMultiWallet = () => {
   // WalletConnect state
-  const { address: wcAddress, isConnected: wcIsConnected, connector } = useAccount();
+  const { address: wcAddress, isConnected: wcIsConnected, connector, chainId: wcChainId } = useAccount();
   const { disconnect: wcDisconnect } = useDisconnect();
   const { signMessageAsync } = useSignMessage();
 
@@ -194,6 +196,7 @@ const useMultiWallet = () => {
     isConnecting,
     error,
     isConnected: wcIsConnected || isMagicConnected,
+    chainId: connectionType === 'magic' ? MAGIC_CHAIN_ID : wcChainId,
     connectionType,
     connectWithMagic,
     disconnectWallet,
@@ -1,8 +1,12 @@
 import axios from 'axios';
 import { ethers } from 'ethers';
+import { createSiweMessage } from '../utils/siwe';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
+// Access tokens are renewed this long before they expire
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 class AuthService {
   constructor() {
     this.api = axios.create({
@@ -24,21 +28,131 @@ class AuthService {
       }
     );
 
-    // Add response interceptor to handle auth errors
+    // Add response interceptor to handle auth errors: renew an expired access token
+    // once and retry, otherwise sign out
     this.api.interceptors.response.use(
       (response) => response,
-      (error) => {
+      async (error) => {
+        const config = error.config;
+        if (error.response?.status === 401 && config && !config.isRetry && !config.url?.startsWith('/auth/')) {
+          const token = await this.refreshSession();
+          if (token) {
+            return this.api({ ...config, isRetry: true });
+          }
+        }
         if (error.response?.status === 401) {
-          this.logout();
+          this.clearSession();
         }
         return Promise.reject(error);
       }
     );
+
+    // Keep the access token of a stored session fresh; components read it from localStorage
+    this.refreshTimer = null;
+    this.refreshing = null;
+    this.scheduleRefresh();
+
+    // Every tab shares the tokens in localStorage; follow refreshes made in other tabs so
+    // their timers do not fire with a refresh token that has already been used
+    window.addEventListener('storage', (event) => {
+      if (event.key === null || event.key === 'refreshToken' || event.key === 'authTokenExpiresAt') {
+        this.scheduleRefresh();
+      }
+    });
+  }
+
+  // Store the tokens returned by /auth/verify and /auth/refresh
+  storeSession({ token, expiresAt, refreshToken, user }) {
+    localStorage.setItem('authToken', token);
+    if (expiresAt) {
+      localStorage.setItem('authTokenExpiresAt', expiresAt);
+    }
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+    if (user) {
+      localStorage.setItem('user', JSON.stringify(user));
+    }
+    this.scheduleRefresh();
+  }
+
+  // Renew the access token shortly before it expires
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    const expiresAt = Date.parse(localStorage.getItem('authTokenExpiresAt'));
+    if (!localStorage.getItem('refreshToken') || Number.isNaN(expiresAt)) {
+      return;
+    }
+
+    const delay = Math.max(expiresAt - Date.now() - REFRESH_MARGIN_MS, 0);
+    this.refreshTimer = setTimeout(() => this.refreshSession(), delay);
+  }
+
+  // Exchange the refresh token for new tokens. Concurrent callers share one request, since
+  // each refresh token can only be used once. Resolves to the new access token, or null
+  // when the session is over.
+  refreshSession() {
+    if (!localStorage.getItem('refreshToken')) {
+      return Promise.resolve(null);
+    }
+
+    if (!this.refreshing) {
+      const staleToken = localStorage.getItem('authToken');
+      this.refreshing = this.withRefreshLock(() => this.exchangeRefreshToken(staleToken))
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // Run a refresh while holding a lock shared by every tab of the app. Presenting a refresh
+  // token twice makes the server revoke the session, so tabs must not refresh at once.
+  withRefreshLock(callback) {
+    if (navigator.locks?.request) {
+      return navigator.locks.request('auth-refresh', callback);
+    }
+    return callback();
+  }
+
+  async exchangeRefreshToken(staleToken) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      return null;
+    }
+
+    // Another tab refreshed while this one waited for the lock
+    const currentToken = localStorage.getItem('authToken');
+    if (currentToken && currentToken !== staleToken) {
+      this.scheduleRefresh();
+      return currentToken;
+    }
+
+    try {
+      const response = await this.api.post('/auth/refresh', { refreshToken });
+      this.storeSession(response.data.data);
+      return response.data.data.token;
+    } catch (error) {
+      console.error('Session refresh failed:', error.response?.data?.error || error.message);
+      this.clearSession();
+      return null;
+    }
   }
 
-  // Generate authentication message
-  generateAuthMessage(address, nonce) {
-    return `Please sign this message to authenticate with the Document Verification System.\n\nAddress: ${address}\nNonce: ${nonce}\nTimestamp: ${new Date().toISOString()}`;
+  // Generate a Sign-In with Ethereum authentication message
+  generateAuthMessage(address, nonce, chainId, expiresAt) {
+    return createSiweMessage({ address, chainId, nonce, expirationTime: expiresAt });
+  }
+
+  // Chain the signer's wallet is connected to, which the login message is bound to.
+  // Signers without a provider (e.g. a bare signMessage wrapper) need the chain ID passed
+  // to authenticateWallet instead.
+  async getChainId(signer) {
+    if (!signer.provider) {
+      throw new Error('Cannot tell which network the wallet is on. Please reconnect your wallet.');
+    }
+    const network = await signer.provider.getNetwork();
+    return Number(network.chainId);
   }
 
   // Sign authentication message
@@ -51,18 +165,19 @@ class AuthService {
     }
   }
 
-  // Authenticate with wallet signature
-  async authenticateWallet(address, signer, role = 'student') {
+  // Authenticate with wallet signature. chainId defaults to the signer provider's network.
+  async authenticateWallet(address, signer, role = 'student', chainId = null) {
     try {
       // Get nonce from server with role
       const nonceResponse = await this.api.post('/auth/nonce', { 
         walletAddress: address,
         role: role 
       });
-      const { nonce } = nonceResponse.data.data;
+      const { nonce, expiresAt } = nonceResponse.data.data;
 
       // Generate and sign message
-      const message = this.generateAuthMessage(address, nonce);
+      const messageChainId = chainId ?? await this.getChainId(signer);
+      const message = this.generateAuthMessage(address, nonce, messageChainId, expiresAt);
       const signature = await this.signMessage(signer, message);
 
       // Send signature to server for verification with role
@@ -70,21 +185,19 @@ class AuthService {
         walletAddress: address,
         signature,
         message,
-        nonce,
         role: role,
       });
 
       const { token, user } = authResponse.data.data;
 
-      // Store auth token
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('user', JSON.stringify(user));
+      // Store auth and refresh tokens
+      this.storeSession(authResponse.data.data);
 
       return { token, user };
     } catch (error) {
       console.error('Authentication error:', error);
       throw new Error(
-        error.response?.data?.message || 'Authentication failed'
+        error.response?.data?.message || (error.response ? 'Authentication failed' : error.message)
       );
     }
   }
@@ -143,12 +256,51 @@ class AuthService {
     return !!(token && user);
   }
 
-  // Logout user
-  logout() {
+  // Signed-in devices of the current user
+  async getSessions() {
+    try {
+      const response = await this.api.get('/auth/sessions');
+      return response.data.data.sessions;
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch sessions'
+      );
+    }
+  }
+
+  // Sign out one device
+  async revokeSession(sessionId) {
+    try {
+      const response = await this.api.delete(`/auth/sessions/${sessionId}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to revoke session'
+      );
+    }
+  }
+
+  // Remove stored tokens without telling the server
+  clearSession() {
+    clearTimeout(this.refreshTimer);
     localStorage.removeItem('authToken');
+    localStorage.removeItem('authTokenExpiresAt');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   }
 
+  // Logout user: revoke this device's session on the server and remove stored tokens
+  logout() {
+    const token = this.getStoredToken();
+    if (token && localStorage.getItem('refreshToken')) {
+      this.api.post('/auth/logout', null, { headers: { Authorization: `Bearer ${token}` } })
+        .catch((error) => console.error('Error revoking session on logout:', error.message));
+    }
+    this.clearSession();
+  }
+
   // Refresh authentication
   async refreshAuth(address, signer) {
     try {
@@ -1,18 +1,32 @@
 import authService from './authService';
 import axios from 'axios';
 
-// Mock axios
-jest.mock('axios');
+// Mock axios; the service creates its client when the module is loaded
+jest.mock('axios', () => ({
+  create: jest.fn(() => ({
+    post: jest.fn(),
+    get: jest.fn(),
+    put: jest.fn(),
+    interceptors: {
+      request: { use: jest.fn() },
+      response: { use: jest.fn() },
+    },
+  })),
+}));
 const mockedAxios = axios;
 
 describe('AuthService', () => {
   const mockSigner = {
     signMessage: jest.fn(),
+    provider: {
+      getNetwork: jest.fn(),
+    },
   };
 
   beforeEach(() => {
     jest.clearAllMocks();
     localStorage.clear();
+    mockSigner.provider.getNetwork.mockResolvedValue({ chainId: 11155111n });
     
     // Mock axios.create to return a mock instance
     mockedAxios.create.mockReturnValue({
@@ -33,14 +47,15 @@ describe('AuthService', () => {
   describe('generateAuthMessage', () => {
     test('should generate correct authentication message', () => {
       const address = '0x1234567890123456789012345678901234567890';
-      const nonce = 'test-nonce';
+      const nonce = 'testnonce1234';
       
-      const message = authService.generateAuthMessage(address, nonce);
+      const message = authService.generateAuthMessage(address, nonce, 11155111);
       
-      expect(message).toContain('Please sign this message to authenticate');
+      expect(message).toContain('wants you to sign in with your Ethereum account:');
       expect(message).toContain(address);
-      expect(message).toContain(nonce);
-      expect(message).toContain('Timestamp:');
+      expect(message).toContain(`Nonce: ${nonce}`);
+      expect(message).toContain('Chain ID: 11155111');
+      expect(message).toContain('Issued At:');
     });
   });
 
@@ -81,24 +96,56 @@ describe('AuthService', () => {
       authService.api = mockApi;
 
       mockApi.post
-        .mockResolvedValueOnce({ data: { nonce } })
-        .mockResolvedValueOnce({ data: { token, user } });
+        .mockResolvedValueOnce({ data: { data: { nonce } } })
+        .mockResolvedValueOnce({ data: { data: { token, user } } });
 
       mockSigner.signMessage.mockResolvedValue(signature);
 
       const result = await authService.authenticateWallet(address, mockSigner);
 
-      expect(mockApi.post).toHaveBeenCalledWith('/auth/nonce', { address });
+      expect(mockApi.post).toHaveBeenCalledWith('/auth/nonce', { walletAddress: address, role: 'student' });
       expect(mockApi.post).toHaveBeenCalledWith('/auth/verify', {
-        address,
+        walletAddress: address,
         signature,
-        message: expect.stringContaining(address),
+        message: expect.stringContaining('Chain ID: 11155111'),
+        role: 'student',
       });
       expect(result).toEqual({ token, user });
       expect(localStorage.getItem('authToken')).toBe(token);
       expect(localStorage.getItem('user')).toBe(JSON.stringify(user));
     });
 
+    test('should use the chain ID it is given for signers without a provider', async () => {
+      const address = '0x1234567890123456789012345678901234567890';
+      const signMessage = jest.fn().mockResolvedValue('0xsignature');
+
+      const mockApi = {
+        post: jest.fn()
+          .mockResolvedValueOnce({ data: { data: { nonce: 'testnonce1234' } } })
+          .mockResolvedValueOnce({ data: { data: { token: 'jwt-token', user: { walletAddress: address } } } }),
+      };
+      authService.api = mockApi;
+
+      await authService.authenticateWallet(address, { signMessage }, 'student', 137);
+
+      expect(signMessage).toHaveBeenCalledWith(expect.stringContaining('Chain ID: 137'));
+    });
+
+    test('should ask to reconnect when the chain cannot be determined', async () => {
+      const address = '0x1234567890123456789012345678901234567890';
+      const signMessage = jest.fn();
+
+      const mockApi = {
+        post: jest.fn().mockResolvedValueOnce({ data: { data: { nonce: 'testnonce1234' } } }),
+      };
+      authService.api = mockApi;
+
+      await expect(authService.authenticateWallet(address, { signMessage }))
+        .rejects.toThrow('Please reconnect your wallet');
+      expect(signMessage).not.toHaveBeenCalled();
+      expect(mockApi.post).toHaveBeenCalledTimes(1);
+    });
+
     test('should handle authentication error', async () => {
       const address = '0x1234567890123456789012345678901234567890';
       const error = new Error('Invalid signature');
@@ -242,6 +289,58 @@ describe('AuthService', () => {
     });
   });
 
+  describe('refreshSession', () => {
+    afterEach(() => {
+      delete navigator.locks;
+    });
+
+    test('should exchange the refresh token for new tokens', async () => {
+      localStorage.setItem('authToken', 'old-token');
+      localStorage.setItem('refreshToken', 'session.old-refresh');
+
+      const mockApi = {
+        post: jest.fn().mockResolvedValue({
+          data: { data: { token: 'new-token', refreshToken: 'session.new-refresh' } }
+        }),
+      };
+      authService.api = mockApi;
+
+      await expect(authService.refreshSession()).resolves.toBe('new-token');
+      expect(mockApi.post).toHaveBeenCalledWith('/auth/refresh', { refreshToken: 'session.old-refresh' });
+      expect(localStorage.getItem('refreshToken')).toBe('session.new-refresh');
+    });
+
+    test('should use the tokens another tab stored while it waited for the lock', async () => {
+      localStorage.setItem('authToken', 'old-token');
+      localStorage.setItem('refreshToken', 'session.old-refresh');
+
+      navigator.locks = {
+        request: jest.fn(async (name, callback) => {
+          // Another tab holds the lock and refreshes first
+          localStorage.setItem('authToken', 'token-from-other-tab');
+          localStorage.setItem('refreshToken', 'session.refresh-from-other-tab');
+          return callback();
+        }),
+      };
+      const mockApi = { post: jest.fn() };
+      authService.api = mockApi;
+
+      await expect(authService.refreshSession()).resolves.toBe('token-from-other-tab');
+      expect(navigator.locks.request).toHaveBeenCalledWith('auth-refresh', expect.any(Function));
+      expect(mockApi.post).not.toHaveBeenCalled();
+    });
+
+    test('should reschedule its timer when another tab stores new tokens', () => {
+      const scheduleRefresh = jest.spyOn(authService, 'scheduleRefresh');
+
+      window.dispatchEvent(new StorageEvent('storage', { key: 'refreshToken' }));
+      window.dispatchEvent(new StorageEvent('storage', { key: 'theme' }));
+
+      expect(scheduleRefresh).toHaveBeenCalledTimes(1);
+      scheduleRefresh.mockRestore();
+    });
+  });
+
   describe('refreshAuth', () => {
     test('should refresh authentication successfully', async () => {
       const address = '0x1234567890123456789012345678901234567890';
@@ -254,8 +353,8 @@ describe('AuthService', () => {
 
       const mockApi = {
         post: jest.fn()
-          .mockResolvedValueOnce({ data: { nonce: 'nonce' } })
-          .mockResolvedValueOnce({ data: { token, user } }),
+          .mockResolvedValueOnce({ data: { data: { nonce: 'testnonce1234' } } })
+          .mockResolvedValueOnce({ data: { data: { token, user } } }),
       };
       authService.api = mockApi;
 
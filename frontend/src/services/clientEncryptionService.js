@@ -0,0 +1,122 @@
+import { ethers } from 'ethers';
+import documentService from './documentService';
+import {
+  getEncryptionKeyMessage,
+  deriveEncryptionKey,
+  generateDocumentKey,
+  wrapDocumentKey,
+  unwrapDocumentKey,
+  encryptFile,
+  decryptFile
+} from '../utils/clientEncryption';
+
+/**
+ * End-to-end encryption for documents: files are encrypted before upload and decrypted
+ * after download in the browser, and the server only ever stores ciphertext and document
+ * keys wrapped for each reader's encryption public key.
+ */
+class ClientEncryptionService {
+  constructor() {
+    // Encryption keys unlocked in this tab, by wallet address. Never persisted.
+    this.keys = new Map();
+  }
+
+  async getSigner() {
+    if (!window.ethereum) {
+      throw new Error('A wallet is required for end-to-end encryption');
+    }
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    return provider.getSigner();
+  }
+
+  // Derive this wallet's encryption key from a signature and register its public key
+  async unlock() {
+    const signer = await this.getSigner();
+    const address = (await signer.getAddress()).toLowerCase();
+    if (this.keys.has(address)) {
+      return { address, encryptionKey: this.keys.get(address) };
+    }
+
+    let signature;
+    try {
+      signature = await signer.signMessage(getEncryptionKeyMessage(address));
+    } catch (error) {
+      throw new Error('Failed to sign message: ' + error.message);
+    }
+
+    const encryptionKey = deriveEncryptionKey(signature);
+    await documentService.registerEncryptionPublicKey(encryptionKey.publicKey);
+    this.keys.set(address, encryptionKey);
+    return { address, encryptionKey };
+  }
+
+  // Public key to wrap a document key for; the reader must have unlocked encryption once
+  async getReaderPublicKey(readerAddress, self) {
+    if (readerAddress.toLowerCase() === self.address) {
+      return self.encryptionKey.publicKey;
+    }
+
+    const publicKey = await documentService.getEncryptionPublicKey(readerAddress);
+    if (!publicKey) {
+      throw new Error(`${readerAddress} has not enabled end-to-end encryption yet`);
+    }
+    return publicKey;
+  }
+
+  /**
+   * Encrypt a file for upload, wrapping its key for the uploader and the owner
+   * @param {File} file - Plaintext file
+   * @param {string} ownerAddress - Owner wallet; defaults to the uploader
+   * @param {Function} onProgress - Called with the percentage encrypted
+   * @returns {Promise<Object>} { file, encryption } for documentService upload methods
+   */
+  async prepareUpload(file, ownerAddress, onProgress) {
+    const self = await this.unlock();
+    const readers = [...new Set([(ownerAddress || self.address).toLowerCase(), self.address])];
+
+    const publicKeys = [];
+    for (const reader of readers) {
+      publicKeys.push(await this.getReaderPublicKey(reader, self));
+    }
+
+    const documentKey = generateDocumentKey();
+    const encrypted = await encryptFile(file, documentKey, { onProgress });
+
+    return {
+      file: encrypted.file,
+      encryption: {
+        documentHash: encrypted.documentHash,
+        size: encrypted.size,
+        wrappedKeys: readers.map((address, i) => ({
+          address,
+          wrappedKey: wrapDocumentKey(documentKey, publicKeys[i])
+        }))
+      }
+    };
+  }
+
+  // Recover the key of an end-to-end encrypted document from the copy wrapped for this wallet
+  async getDocumentKey(documentHash) {
+    const { encryptionKey } = await this.unlock();
+    const wrappedKey = await documentService.getWrappedKey(documentHash);
+    return unwrapDocumentKey(wrappedKey, encryptionKey);
+  }
+
+  // Wrap a document's key for another reader, to send along with a share or grant
+  async wrapKeyFor(documentHash, readerAddress) {
+    const self = await this.unlock();
+    const publicKey = await this.getReaderPublicKey(readerAddress, self);
+    return wrapDocumentKey(await this.getDocumentKey(documentHash), publicKey);
+  }
+
+  // Download and decrypt an end-to-end encrypted document
+  async downloadDocument(document) {
+    const documentKey = await this.getDocumentKey(document.documentHash);
+    const encrypted = await documentService.downloadDocument(document.documentHash);
+    return decryptFile(encrypted, documentKey, document.documentHash, document.fileInfo?.mimeType);
+  }
+}
+
+const clientEncryptionService = new ClientEncryptionService();
+
+export default clientEncryptionService;
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { MAX_FILE_SIZE, MAX_FILE_SIZE_LABEL, FILE_TRANSFER_TIMEOUT } from '../utils/fileLimits';
+import authService from './authService';
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -6,7 +8,7 @@ class DocumentService {
   constructor() {
     this.api = axios.create({
       baseURL: `${API_BASE_URL}/api`,
-      timeout: 30000, // Longer timeout for file uploads
+      timeout: 30000, // File uploads and downloads use FILE_TRANSFER_TIMEOUT instead
     });
 
     // Add request interceptor to include auth token
@@ -26,19 +28,31 @@ class DocumentService {
     // Add response interceptor to handle errors
     this.api.interceptors.response.use(
       (response) => response,
-      (error) => {
+      async (error) => {
         if (error.response?.status === 401) {
-          // Handle auth errors
-          localStorage.removeItem('authToken');
-          localStorage.removeItem('user');
+          // Renew an expired access token once and retry, otherwise sign out
+          const config = error.config;
+          const token = config && !config.isRetry ? await authService.refreshSession() : null;
+          if (token) {
+            return this.api({ ...config, isRetry: true });
+          }
+          authService.clearSession();
         }
         return Promise.reject(error);
       }
     );
   }
 
+  // Append the fields of a file encrypted in the browser (see clientEncryptionService)
+  appendClientEncryption(formData, encryption) {
+    if (encryption) {
+      formData.append('encryptionMode', 'client');
+      formData.append('clientEncryption', JSON.stringify(encryption));
+    }
+  }
+
   // Register document with complete flow
-  async registerDocument(file, metadata, onProgress) {
+  async registerDocument(file, metadata, onProgress, encryption) {
     try {
       const formData = new FormData();
       formData.append('document', file);
@@ -49,11 +63,13 @@ class DocumentService {
           formData.append(key, metadata[key]);
         }
       });
+      this.appendClientEncryption(formData, encryption);
 
       const response = await this.api.post('/documents/register', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        timeout: FILE_TRANSFER_TIMEOUT,
         onUploadProgress: (progressEvent) => {
           if (onProgress && progressEvent.total) {
             const percentCompleted = Math.round(
@@ -74,16 +90,18 @@ class DocumentService {
   }
 
   // Upload document with progress tracking
-  async uploadDocument(file, metadata, onProgress) {
+  async uploadDocument(file, metadata, onProgress, encryption) {
     try {
       const formData = new FormData();
       formData.append('document', file); // Changed from 'file' to 'document'
       formData.append('metadata', JSON.stringify(metadata));
+      this.appendClientEncryption(formData, encryption);
 
       const response = await this.api.post('/documents/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        timeout: FILE_TRANSFER_TIMEOUT,
         onUploadProgress: (progressEvent) => {
           if (onProgress && progressEvent.total) {
             const percentCompleted = Math.round(
@@ -113,6 +131,7 @@ class DocumentService {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        timeout: FILE_TRANSFER_TIMEOUT,
       });
 
       return response.data;
@@ -150,20 +169,32 @@ class DocumentService {
     }
   }
 
+  // Build the ownership transfer message the current owner signs
+  // (must match generateTransferMessage in the backend auth middleware)
+  generateTransferMessage(documentHash, currentOwner, newOwner, timestamp) {
+    return `Blockchain Document Verification System - Ownership Transfer\n\n` +
+           `I authorize the transfer of this document to a new owner.\n\n` +
+           `Document: ${documentHash}\n` +
+           `Current Owner: ${currentOwner.toLowerCase()}\n` +
+           `New Owner: ${newOwner.toLowerCase()}\n` +
+           `Timestamp: ${timestamp}`;
+  }
+
   // Transfer document ownership
-  async transferDocument(documentHash, newOwner, signature) {
+  async transferDocument(documentHash, newOwner, signature, timestamp) {
     try {
       const response = await this.api.post('/documents/transfer', {
         documentHash,
         newOwner,
         signature,
+        timestamp,
       });
 
       return response.data;
     } catch (error) {
       console.error('Document transfer error:', error);
       throw new Error(
-        error.response?.data?.message || 'Failed to transfer document'
+        error.response?.data?.error || error.response?.data?.message || 'Failed to transfer document'
       );
     }
   }
@@ -172,10 +203,9 @@ class DocumentService {
   validateFile(file) {
     const errors = [];
     
-    // Check file size (max 10MB)
-    const maxSize = 10 * 1024 * 1024;
-    if (file.size > maxSize) {
-      errors.push('File size must be less than 10MB');
+    // Check file size
+    if (file.size > MAX_FILE_SIZE) {
+      errors.push(`File size must be less than ${MAX_FILE_SIZE_LABEL}`);
     }
 
     // Check file type
@@ -234,11 +264,13 @@ class DocumentService {
     };
   }
 
-  // Grant access to a document
-  async grantAccess(documentHash, userAddress) {
+  // Grant access to a document; end-to-end encrypted documents need the document key
+  // wrapped for the user
+  async grantAccess(documentHash, userAddress, wrappedKey) {
     try {
       const response = await this.api.post(`/documents/${documentHash}/access/grant`, {
-        userAddress
+        userAddress,
+        wrappedKey: wrappedKey || undefined
       });
       return response.data;
     } catch (error) {
@@ -264,6 +296,209 @@ class DocumentService {
     }
   }
 
+  // Register the public key other users wrap end-to-end encrypted document keys for
+  async registerEncryptionPublicKey(publicKey, replace = false) {
+    try {
+      const response = await this.api.put('/users/encryption-key', { publicKey, replace });
+      return response.data;
+    } catch (error) {
+      console.error('Error registering encryption key:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to register encryption key'
+      );
+    }
+  }
+
+  // Get a user's encryption public key, or null if they have not enabled end-to-end encryption
+  async getEncryptionPublicKey(walletAddress) {
+    try {
+      const response = await this.api.get(`/users/${walletAddress}/encryption-key`);
+      return response.data.data.encryptionPublicKey;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      console.error('Error fetching encryption key:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch encryption key'
+      );
+    }
+  }
+
+  // Get the key of an end-to-end encrypted document, wrapped for the signed-in user
+  async getWrappedKey(documentHash) {
+    try {
+      const response = await this.api.get(`/documents/${documentHash}/wrapped-key`);
+      return response.data.data.wrappedKey;
+    } catch (error) {
+      console.error('Error fetching document key:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch document key'
+      );
+    }
+  }
+
+  // Export a W3C Verifiable Credential (VC-JWT) for a registered document
+  async exportCredential(documentHash) {
+    try {
+      const response = await this.api.get(`/documents/${documentHash}/credential`);
+      return response.data;
+    } catch (error) {
+      console.error('Error exporting credential:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to export credential'
+      );
+    }
+  }
+
+  // Verify a VC-JWT signature and its registry state
+  async verifyCredential(credential) {
+    try {
+      const response = await this.api.post('/documents/credentials/verify', { credential });
+      return response.data;
+    } catch (error) {
+      console.error('Error verifying credential:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to verify credential'
+      );
+    }
+  }
+
+  // Revoke a document with a structured reason code
+  async revokeDocument(documentHash, { reasonCode, reason, effectiveDate, supersededBy } = {}) {
+    try {
+      const response = await this.api.post(`/documents/${documentHash}/revoke`, {
+        reasonCode,
+        reason: reason || undefined,
+        effectiveDate: effectiveDate || undefined,
+        supersededBy: supersededBy || undefined
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking document:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to revoke document'
+      );
+    }
+  }
+
+  // Get the public revocation status of a document
+  async getRevocationStatus(documentHash) {
+    try {
+      const response = await this.api.get(`/documents/revocations/${documentHash}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching revocation status:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch revocation status'
+      );
+    }
+  }
+
+  // Get the public revocation list
+  async getRevocations(params = {}) {
+    try {
+      const response = await this.api.get('/documents/revocations', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching revocations:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch revocations'
+      );
+    }
+  }
+
+    // Create an anonymous share link for recipients without a wallet
+  async createShareLink(documentHash, { expiresInHours, passcode, allowDownload, label } = {}) {
+    try {
+      const response = await this.api.post(`/documents/${documentHash}/share-links`, {
+        expiresInHours,
+        passcode: passcode || undefined,
+        allowDownload,
+        label: label || undefined
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error creating share link:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to create share link'
+      );
+    }
+  }
+
+  // List anonymous share links for a document
+  async getShareLinks(documentHash) {
+    try {
+      const response = await this.api.get(`/documents/${documentHash}/share-links`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching share links:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch share links'
+      );
+    }
+  }
+
+  // Revoke an anonymous share link
+  async revokeShareLink(documentHash, linkId, reason) {
+    try {
+      const response = await this.api.delete(`/documents/${documentHash}/share-links/${linkId}`, {
+        data: { reason }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error revoking share link:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to revoke share link'
+      );
+    }
+  }
+
+  // List blockchain transactions sent for a document, newest first
+  async getDocumentTransactions(documentHash) {
+    try {
+      const response = await this.api.get(`/documents/${documentHash}/transactions`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching document transactions:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch document transactions'
+      );
+    }
+  }
+
+  // Open the read-only verification view behind a share link
+  async openSharedDocument(token, passcode) {
+    try {
+      const response = await this.api.post('/documents/shared/view', { token, passcode });
+      return response.data;
+    } catch (error) {
+      console.error('Error opening share link:', error);
+      const sharedError = new Error(
+        error.response?.data?.error || 'Failed to open share link'
+      );
+      sharedError.passcodeRequired = !!error.response?.data?.passcodeRequired;
+      throw sharedError;
+    }
+  }
+
+  // Download the document behind a share link
+  async downloadSharedDocument(token, passcode) {
+    try {
+      const response = await this.api.post('/documents/shared/download', { token, passcode }, {
+        responseType: 'blob',
+        timeout: FILE_TRANSFER_TIMEOUT
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading shared document:', error);
+      if (error.response?.status === 403) {
+        throw new Error('This link does not allow downloads');
+      }
+      throw new Error('Failed to download document');
+    }
+  }
+
   // Get access logs for a document
   async getAccessLogs(documentHash, params = {}) {
     try {
@@ -281,7 +516,8 @@ class DocumentService {
   async downloadDocument(documentHash) {
     try {
       const response = await this.api.post(`/documents/${documentHash}/download`, {}, {
-        responseType: 'blob'
+        responseType: 'blob',
+        timeout: FILE_TRANSFER_TIMEOUT
       });
       return response.data;
     } catch (error) {
@@ -319,6 +555,7 @@ class DocumentService {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        timeout: FILE_TRANSFER_TIMEOUT,
         onUploadProgress: (progressEvent) => {
           if (onProgress && progressEvent.total) {
             const percentCompleted = Math.round(
@@ -377,6 +614,166 @@ class DocumentService {
     }
   }
 
+  // Get recent DB/chain reconciliation reports (admin)
+  async getReconciliationReports() {
+    try {
+      const response = await this.api.get('/admin/reconciliation');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching reconciliation reports:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch reconciliation reports'
+      );
+    }
+  }
+
+  // Start a reconciliation run (admin)
+  async runReconciliation() {
+    try {
+      const response = await this.api.post('/admin/reconciliation/run');
+      return response.data;
+    } catch (error) {
+      console.error('Error starting reconciliation:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to start reconciliation'
+      );
+    }
+  }
+
+  // Get a reconciliation report with its mismatches (admin)
+  async getReconciliationReport(reportId, params = {}) {
+    try {
+      const response = await this.api.get(`/admin/reconciliation/${reportId}`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching reconciliation report:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch reconciliation report'
+      );
+    }
+  }
+
+  // Repair a reconciliation mismatch: adopt_chain, push_to_chain or dismiss (admin)
+  async repairReconciliationMismatch(reportId, mismatchId, action) {
+    try {
+      const response = await this.api.post(
+        `/admin/reconciliation/${reportId}/mismatches/${mismatchId}/repair`,
+        { action }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error repairing reconciliation mismatch:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to repair mismatch'
+      );
+    }
+  }
+
+  // Apply for the issuer role on behalf of an institution, with supporting documents
+  async submitIssuerApplication(fields, files = []) {
+    try {
+      const formData = new FormData();
+      Object.keys(fields).forEach(key => {
+        if (fields[key] !== undefined && fields[key] !== null && fields[key] !== '') {
+          formData.append(key, fields[key]);
+        }
+      });
+      files.forEach(file => formData.append('supportingDocuments', file));
+
+      const response = await this.api.post('/issuer-applications', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        timeout: FILE_TRANSFER_TIMEOUT,
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error submitting issuer application:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to submit issuer application'
+      );
+    }
+  }
+
+  // Get the current user's issuer applications and their review outcome
+  async getMyIssuerApplications() {
+    try {
+      const response = await this.api.get('/issuer-applications/mine');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching issuer applications:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch issuer applications'
+      );
+    }
+  }
+
+  // Get issuer applications by status: pending (default), approved, rejected or all (admin)
+  async getIssuerApplications(params = {}) {
+    try {
+      const response = await this.api.get('/admin/issuer-applications', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching issuer applications:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to fetch issuer applications'
+      );
+    }
+  }
+
+  // Approve an issuer application; the applicant becomes an issuer (admin)
+  async approveIssuerApplication(applicationId, comments) {
+    try {
+      const response = await this.api.post(`/admin/issuer-applications/${applicationId}/approve`, { comments });
+      return response.data;
+    } catch (error) {
+      console.error('Error approving issuer application:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to approve issuer application'
+      );
+    }
+  }
+
+  // Reject an issuer application with comments for the applicant (admin)
+  async rejectIssuerApplication(applicationId, comments) {
+    try {
+      const response = await this.api.post(`/admin/issuer-applications/${applicationId}/reject`, { comments });
+      return response.data;
+    } catch (error) {
+      console.error('Error rejecting issuer application:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to reject issuer application'
+      );
+    }
+  }
+
+  // Retry the on-chain role assignment of an approved application (admin)
+  async retryIssuerRoleAssignment(applicationId) {
+    try {
+      const response = await this.api.post(`/admin/issuer-applications/${applicationId}/assign-role`);
+      return response.data;
+    } catch (error) {
+      console.error('Error assigning issuer role:', error);
+      throw new Error(
+        error.response?.data?.error || 'Failed to assign issuer role'
+      );
+    }
+  }
+
+  // Download a supporting document of an issuer application (admin)
+  async downloadIssuerApplicationDocument(applicationId, documentId) {
+    try {
+      const response = await this.api.get(
+        `/admin/issuer-applications/${applicationId}/documents/${documentId}`,
+        { responseType: 'blob' }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Error downloading supporting document:', error);
+      throw new Error('Failed to download supporting document');
+    }
+  }
+
   // Verify document by hash
   async verifyDocumentByHash(documentHash) {
     try {
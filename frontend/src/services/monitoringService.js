@@ -115,6 +115,102 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Get alert notification channels
+   */
+  async getNotificationChannels(token) {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/notification-channels`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get notification channels:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create an alert notification channel
+   */
+  async createNotificationChannel(token, channel) {
+    try {
+      const response = await axios.post(
+        `${API_URL}/monitoring/notification-channels`,
+        channel,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Failed to create notification channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an alert notification channel
+   */
+  async updateNotificationChannel(token, channelId, changes) {
+    try {
+      const response = await axios.put(
+        `${API_URL}/monitoring/notification-channels/${channelId}`,
+        changes,
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Failed to update notification channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an alert notification channel
+   */
+  async deleteNotificationChannel(token, channelId) {
+    try {
+      const response = await axios.delete(`${API_URL}/monitoring/notification-channels/${channelId}`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to delete notification channel:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a test notification through a channel
+   */
+  async testNotificationChannel(token, channelId) {
+    try {
+      const response = await axios.post(
+        `${API_URL}/monitoring/notification-channels/${channelId}/test`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error('Failed to send test notification:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get chain event indexer status
+   */
+  async getIndexerStatus(token) {
+    try {
+      const response = await axios.get(`${API_URL}/monitoring/indexer`, {
+        headers: { Authorization: `Bearer ${token}` }
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Failed to get indexer status:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get system resource usage
    */
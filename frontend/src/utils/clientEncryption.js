@@ -0,0 +1,182 @@
+/**
+ * End-to-end encryption of documents in the browser.
+ *
+ * Files are encrypted with a random 256-bit document key into the same chunked AES-256-GCM
+ * format the backend uses for its own storage ("BDCE" header, sealed chunks), so the server
+ * can check the size of an upload without being able to read it. The document key is then
+ * wrapped for every reader: ECDH between a one-off secp256k1 key and the reader's encryption
+ * public key, HKDF-SHA256, and AES-256-GCM over the key. Must match isValidWrappedKey and
+ * the chunked format in the backend encryptionService.
+ *
+ * A reader's encryption key pair is derived from their wallet's signature over a fixed
+ * message, so the same wallet recovers the same key on any device.
+ */
+
+import { SigningKey, keccak256, getBytes, hexlify, randomBytes, toUtf8Bytes } from 'ethers';
+import { gcm } from '@noble/ciphers/aes';
+import { hkdf } from '@noble/hashes/hkdf';
+import { sha256 } from '@noble/hashes/sha256';
+
+const MAGIC = [0x42, 0x44, 0x43, 0x45]; // "BDCE"
+const VERSION = 1;
+const HEADER_LENGTH = 16;
+const NONCE_PREFIX_LENGTH = 7;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const WRAP_VERSION = 1;
+const WRAP_INFO = toUtf8Bytes('BDCE document key v1');
+
+export const CHUNK_SIZE = 64 * 1024;
+
+// Message signed to derive the encryption key. Wallets sign deterministically (RFC 6979),
+// so changing this text changes every user's key and locks them out of their documents.
+export const getEncryptionKeyMessage = (walletAddress) =>
+  `Blockchain Document Verification System - Encryption Key\n\n` +
+  `Sign this message to unlock your end-to-end encrypted documents.\n` +
+  `Only sign it on this site: anyone with this signature can read your documents.\n\n` +
+  `Wallet: ${walletAddress.toLowerCase()}`;
+
+// Derive the encryption key pair from the wallet's signature over getEncryptionKeyMessage
+export const deriveEncryptionKey = (signature) => new SigningKey(keccak256(signature));
+
+export const generateDocumentKey = () => randomBytes(KEY_LENGTH);
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (value) => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+
+const wrappingKey = (sharedPoint) =>
+  // x coordinate of the shared point, as in standard ECDH
+  hkdf(sha256, getBytes(sharedPoint).slice(1, 33), undefined, WRAP_INFO, KEY_LENGTH);
+
+/**
+ * Wrap a document key for a reader
+ * @param {Uint8Array} documentKey - 32-byte document key
+ * @param {string} publicKey - Reader's 0x04-prefixed encryption public key
+ * @returns {string} JSON { version, ephemeralPublicKey, iv, ciphertext }
+ */
+export const wrapDocumentKey = (documentKey, publicKey) => {
+  const ephemeral = new SigningKey(randomBytes(32));
+  const iv = randomBytes(12);
+  const ciphertext = gcm(wrappingKey(ephemeral.computeSharedSecret(publicKey)), iv).encrypt(documentKey);
+
+  return JSON.stringify({
+    version: WRAP_VERSION,
+    ephemeralPublicKey: ephemeral.publicKey,
+    iv: toBase64(iv),
+    ciphertext: toBase64(ciphertext)
+  });
+};
+
+/**
+ * Recover a document key wrapped for this reader
+ * @param {string} wrappedKey - JSON from wrapDocumentKey
+ * @param {SigningKey} encryptionKey - Reader's key from deriveEncryptionKey
+ * @returns {Uint8Array} 32-byte document key
+ */
+export const unwrapDocumentKey = (wrappedKey, encryptionKey) => {
+  const { version, ephemeralPublicKey, iv, ciphertext } = JSON.parse(wrappedKey);
+  if (version !== WRAP_VERSION) {
+    throw new Error(`Unsupported wrapped key version: ${version}`);
+  }
+
+  try {
+    const key = wrappingKey(encryptionKey.computeSharedSecret(ephemeralPublicKey));
+    return gcm(key, fromBase64(iv)).decrypt(fromBase64(ciphertext));
+  } catch (error) {
+    throw new Error('This document key was not wrapped for your encryption key');
+  }
+};
+
+// Blob.arrayBuffer is missing in some environments, FileReader is not
+const readSlice = (blob, start, end) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob.slice(start, end));
+});
+
+const chunkNonce = (header, index, final) => {
+  const nonce = new Uint8Array(12);
+  nonce.set(header.subarray(9, 9 + NONCE_PREFIX_LENGTH));
+  new DataView(nonce.buffer).setUint32(NONCE_PREFIX_LENGTH, index);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+};
+
+/**
+ * Encrypt a file with a document key, one chunk in memory at a time
+ * @param {File} file - Plaintext file
+ * @param {Uint8Array} documentKey - 32-byte document key
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the percentage encrypted
+ * @returns {Promise<Object>} { file, documentHash, size }: the encrypted file keeps the
+ *   original name and type; documentHash is the SHA-256 of the plaintext
+ */
+export const encryptFile = async (file, documentKey, { chunkSize = CHUNK_SIZE, onProgress } = {}) => {
+  const header = new Uint8Array(HEADER_LENGTH);
+  header.set(MAGIC);
+  header[4] = VERSION;
+  new DataView(header.buffer).setUint32(5, chunkSize);
+  header.set(randomBytes(NONCE_PREFIX_LENGTH), 9);
+
+  const hash = sha256.create();
+  const parts = [header];
+  const chunks = Math.max(1, Math.ceil(file.size / chunkSize));
+
+  for (let index = 0; index < chunks; index++) {
+    const plaintext = await readSlice(file, index * chunkSize, (index + 1) * chunkSize);
+    hash.update(plaintext);
+    parts.push(gcm(documentKey, chunkNonce(header, index, index === chunks - 1), header).encrypt(plaintext));
+    if (onProgress) {
+      onProgress(Math.round(((index + 1) * 100) / chunks));
+    }
+  }
+
+  return {
+    file: new File(parts, file.name, { type: file.type }),
+    documentHash: hexlify(hash.digest()),
+    size: file.size
+  };
+};
+
+/**
+ * Decrypt a file in the chunked format and check it against its registered hash
+ * @param {Blob} encrypted - Stored ciphertext
+ * @param {Uint8Array} documentKey - 32-byte document key
+ * @param {string} documentHash - Registered SHA-256 of the plaintext
+ * @param {string} type - MIME type of the result
+ * @returns {Promise<Blob>} Plaintext
+ */
+export const decryptFile = async (encrypted, documentKey, documentHash, type = '') => {
+  const header = await readSlice(encrypted, 0, HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  if (header.length < HEADER_LENGTH || MAGIC.some((byte, i) => header[i] !== byte) || header[4] !== VERSION) {
+    throw new Error('File is not an end-to-end encrypted document');
+  }
+
+  const recordSize = view.getUint32(5) + TAG_LENGTH;
+  const chunks = Math.ceil((encrypted.size - HEADER_LENGTH) / recordSize);
+  if (chunks < 1) {
+    throw new Error('Encrypted document is truncated');
+  }
+
+  const hash = sha256.create();
+  const parts = [];
+  for (let index = 0; index < chunks; index++) {
+    const start = HEADER_LENGTH + index * recordSize;
+    const record = await readSlice(encrypted, start, start + recordSize);
+    let plaintext;
+    try {
+      plaintext = gcm(documentKey, chunkNonce(header, index, index === chunks - 1), header).decrypt(record);
+    } catch (error) {
+      throw new Error('Document could not be decrypted: it is damaged or the key is wrong');
+    }
+    hash.update(plaintext);
+    parts.push(plaintext);
+  }
+
+  if (hexlify(hash.digest()) !== documentHash.toLowerCase()) {
+    throw new Error('Decrypted document does not match its registered hash');
+  }
+  return new Blob(parts, { type });
+};
@@ -0,0 +1,101 @@
+import { Wallet, hexlify, randomBytes } from 'ethers';
+import { sha256 as sha256Bytes } from '@noble/hashes/sha256';
+import {
+  getEncryptionKeyMessage,
+  deriveEncryptionKey,
+  generateDocumentKey,
+  wrapDocumentKey,
+  unwrapDocumentKey,
+  encryptFile,
+  decryptFile
+} from './clientEncryption';
+
+const readBytes = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+// ethers' own sha256 and Wallet.createRandom go through Node's crypto, whose Buffers
+// jsdom does not accept as Uint8Arrays
+const sha256 = (content) => hexlify(sha256Bytes(content));
+const randomWallet = () => new Wallet(hexlify(randomBytes(32)));
+
+const randomContent = (size) => Uint8Array.from({ length: size }, (_, i) => (i * 31 + 7) % 256);
+
+describe('clientEncryption', () => {
+  describe('document keys', () => {
+    test('derives the same encryption key from the same wallet', async () => {
+      const wallet = randomWallet();
+      const message = getEncryptionKeyMessage(wallet.address);
+
+      const first = deriveEncryptionKey(await wallet.signMessage(message));
+      const second = deriveEncryptionKey(await wallet.signMessage(message));
+
+      expect(first.publicKey).toBe(second.publicKey);
+      expect(first.publicKey).toMatch(/^0x04[0-9a-f]{128}$/);
+    });
+
+    test('wraps a document key that only the reader can unwrap', () => {
+      const reader = deriveEncryptionKey(randomWallet().privateKey);
+      const other = deriveEncryptionKey(randomWallet().privateKey);
+      const documentKey = generateDocumentKey();
+
+      const wrapped = wrapDocumentKey(documentKey, reader.publicKey);
+      const { version, ephemeralPublicKey, iv, ciphertext } = JSON.parse(wrapped);
+
+      expect(version).toBe(1);
+      expect(ephemeralPublicKey).toMatch(/^0x04[0-9a-f]{128}$/);
+      expect(atob(iv)).toHaveLength(12);
+      expect(atob(ciphertext)).toHaveLength(48);
+      expect(unwrapDocumentKey(wrapped, reader)).toEqual(documentKey);
+      expect(() => unwrapDocumentKey(wrapped, other)).toThrow('not wrapped for your encryption key');
+    });
+  });
+
+  describe('files', () => {
+    test.each([0, 100, 1024, 2500])('round-trips a %i byte file', async (size) => {
+      const content = randomContent(size);
+      const documentKey = generateDocumentKey();
+
+      const encrypted = await encryptFile(
+        new File([content], 'transcript.pdf', { type: 'application/pdf' }),
+        documentKey,
+        { chunkSize: 1024 }
+      );
+
+      const chunks = Math.max(1, Math.ceil(size / 1024));
+      expect(encrypted.file.size).toBe(16 + size + chunks * 16);
+      expect(encrypted.file.name).toBe('transcript.pdf');
+      expect(encrypted.documentHash).toBe(sha256(content));
+      expect(encrypted.size).toBe(size);
+
+      const decrypted = await decryptFile(encrypted.file, documentKey, encrypted.documentHash);
+      expect(await readBytes(decrypted)).toEqual(content);
+    });
+
+    test('rejects tampered chunks and the wrong key', async () => {
+      const documentKey = generateDocumentKey();
+      const encrypted = await encryptFile(new File([randomContent(3000)], 'a.pdf'), documentKey, { chunkSize: 1024 });
+      const bytes = await readBytes(encrypted.file);
+      bytes[2000] ^= 1;
+
+      await expect(decryptFile(new Blob([bytes]), documentKey, encrypted.documentHash))
+        .rejects.toThrow('damaged or the key is wrong');
+      await expect(decryptFile(encrypted.file, generateDocumentKey(), encrypted.documentHash))
+        .rejects.toThrow('damaged or the key is wrong');
+    });
+
+    test('rejects files whose chunks were dropped or that do not match the registered hash', async () => {
+      const documentKey = generateDocumentKey();
+      const encrypted = await encryptFile(new File([randomContent(3000)], 'a.pdf'), documentKey, { chunkSize: 1024 });
+      const bytes = await readBytes(encrypted.file);
+
+      // Without its final chunk the last remaining chunk was not sealed as final
+      await expect(decryptFile(new Blob([bytes.slice(0, 16 + 2 * 1040)]), documentKey, encrypted.documentHash))
+        .rejects.toThrow('damaged or the key is wrong');
+      await expect(decryptFile(encrypted.file, documentKey, sha256(randomContent(10))))
+        .rejects.toThrow('does not match its registered hash');
+    });
+  });
+});
@@ -1,3 +1,5 @@
+import { MAX_FILE_SIZE_LABEL } from './fileLimits';
+
 /**
  * Error message utility with actionable guidance
  */
@@ -187,7 +189,7 @@ export const getErrorMessage = (error) => {
       title: 'File Upload Error',
       message: 'Unable to upload the file.',
       actions: [
-        'Check the file size (max 10MB)',
+        `Check the file size (max ${MAX_FILE_SIZE_LABEL})`,
         'Verify the file format is supported',
         'Try a different file',
       ],
@@ -0,0 +1,16 @@
+// Upload limits shared by the upload and verification forms. Must match MAX_FILE_SIZE
+// on the backend, which streams and encrypts large files in chunks.
+
+export const MAX_FILE_SIZE =
+  parseInt(process.env.REACT_APP_MAX_FILE_SIZE, 10) || 2 * 1024 * 1024 * 1024; // 2GB
+
+const GB = 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+
+// Human-readable form of MAX_FILE_SIZE for labels and messages, e.g. "2GB"
+export const MAX_FILE_SIZE_LABEL = MAX_FILE_SIZE >= GB
+  ? `${parseFloat((MAX_FILE_SIZE / GB).toFixed(1))}GB`
+  : `${Math.round(MAX_FILE_SIZE / MB)}MB`;
+
+// Uploads and downloads of large files can outlast the default API timeout
+export const FILE_TRANSFER_TIMEOUT = 0;
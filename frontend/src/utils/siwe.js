@@ -0,0 +1,52 @@
+/**
+ * Sign-In with Ethereum (EIP-4361) login messages.
+ *
+ * The message binds the login signature to this site (domain and URI), the wallet's
+ * chain and the nonce the backend issued, so it cannot be replayed against another
+ * deployment. The backend parses the same format in utils/siwe.js.
+ */
+
+import { getAddress } from 'ethers';
+
+export const SIGN_IN_STATEMENT =
+  'Sign in to the Blockchain Document Verification System. ' +
+  'This request will not trigger a blockchain transaction or cost any gas fees.';
+
+/**
+ * Build a SIWE message
+ * @param {Object} fields
+ * @param {string} fields.address - Wallet address; written with its EIP-55 checksum
+ * @param {number|string} fields.chainId - Chain the wallet is connected to
+ * @param {string} fields.nonce - Nonce from /api/auth/nonce
+ * @param {string} fields.expirationTime - Optional ISO time the message stops being valid
+ * @param {string} fields.domain - Defaults to this page's host
+ * @param {string} fields.uri - Defaults to this page's origin
+ * @returns {string} Message to sign
+ */
+export const createSiweMessage = ({
+  address,
+  chainId,
+  nonce,
+  expirationTime,
+  domain = window.location.host,
+  uri = window.location.origin,
+  statement = SIGN_IN_STATEMENT,
+  issuedAt = new Date().toISOString()
+}) => {
+  const lines = [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    getAddress(address),
+    '',
+    statement,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${Number(chainId)}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`
+  ];
+  if (expirationTime) {
+    lines.push(`Expiration Time: ${new Date(expirationTime).toISOString()}`);
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,36 @@
+import { createSiweMessage, SIGN_IN_STATEMENT } from './siwe';
+
+describe('createSiweMessage', () => {
+  const address = '0x52908400098527886e0f7030069857d2e4169ee7';
+
+  test('builds an EIP-4361 message bound to this page', () => {
+    const message = createSiweMessage({
+      address,
+      chainId: '11155111',
+      nonce: 'a1b2c3d4e5f6a7b8',
+      issuedAt: '2026-01-01T00:00:00.000Z',
+      expirationTime: '2026-01-01T00:10:00Z'
+    });
+
+    expect(message).toBe([
+      `${window.location.host} wants you to sign in with your Ethereum account:`,
+      '0x52908400098527886E0F7030069857D2E4169EE7',
+      '',
+      SIGN_IN_STATEMENT,
+      '',
+      `URI: ${window.location.origin}`,
+      'Version: 1',
+      'Chain ID: 11155111',
+      'Nonce: a1b2c3d4e5f6a7b8',
+      'Issued At: 2026-01-01T00:00:00.000Z',
+      'Expiration Time: 2026-01-01T00:10:00.000Z'
+    ].join('\n'));
+  });
+
+  test('leaves out the expiration time when there is none', () => {
+    const message = createSiweMessage({ address, chainId: 1, nonce: 'a1b2c3d4e5f6a7b8' });
+
+    expect(message).not.toContain('Expiration Time');
+    expect(message.split('\n').pop()).toMatch(/^Issued At: \d{4}-\d{2}-\d{2}T/);
+  });
+});